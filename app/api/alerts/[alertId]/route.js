@@ -0,0 +1,46 @@
+/**
+ * Single Alert API
+ * PATCH  /api/alerts/:alertId - Edit an alert, or pause / re-arm it { isActive }
+ * DELETE /api/alerts/:alertId - Delete an alert
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../lib/auth.js';
+import tradingManager from '../../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function PATCH(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const alert = await tradingManager.updateAlert(session.user.id, params.alertId, await request.json());
+    return NextResponse.json({ success: true, alert });
+  } catch (error) {
+    console.error('Update alert error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    await tradingManager.deleteAlert(session.user.id, params.alertId);
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Delete alert error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+function getErrorStatus(error) {
+  if (error.message === 'Alert not found') return 404;
+  if (/^Invalid/.test(error.message)) return 400;
+  return 500;
+}
@@ -0,0 +1,51 @@
+/**
+ * Alerts API
+ * GET  /api/alerts - List the user's price / indicator alerts (?active=true)
+ * POST /api/alerts - Create an alert
+ *                    { exchange, symbol, type, params, name, repeating, cooldownSeconds }
+ *                    (types and params: lib/alerts/alert-conditions.js)
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../lib/auth.js';
+import tradingManager from '../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const alerts = await tradingManager.getAlerts(session.user.id, {
+      activeOnly: searchParams.get('active') === 'true'
+    });
+
+    return NextResponse.json({ alerts });
+  } catch (error) {
+    console.error('Get alerts error:', error);
+    return NextResponse.json({ error: 'Failed to fetch alerts' }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const alert = await tradingManager.createAlert(session.user.id, await request.json());
+    return NextResponse.json({ success: true, alert });
+  } catch (error) {
+    console.error('Create alert error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+function getErrorStatus(error) {
+  if (/^Invalid/.test(error.message)) return 400;
+  return 500;
+}
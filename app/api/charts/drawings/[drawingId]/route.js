@@ -0,0 +1,25 @@
+/**
+ * Single Chart Drawing API
+ * DELETE /api/charts/drawings/:drawingId - Remove a drawing
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../lib/auth.js';
+import { chartDrawingService } from '../../../../../lib/charts/drawing-service.js';
+
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const drawing = await chartDrawingService.deleteDrawing(session.user.id, params.drawingId);
+    return NextResponse.json({ success: true, drawing });
+  } catch (error) {
+    console.error('Delete chart drawing error:', error);
+    const status = error.message === 'Drawing not found' ? 404 : 500;
+    return NextResponse.json({ error: error.message }, { status });
+  }
+}
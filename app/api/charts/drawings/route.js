@@ -0,0 +1,74 @@
+/**
+ * Chart Drawings API
+ * GET    /api/charts/drawings - The user's drawings on a chart ?exchange=BINANCE&symbol=BTCUSDT&interval=1h
+ * POST   /api/charts/drawings - Save a drawing { exchange, symbol, interval, type, data }
+ * DELETE /api/charts/drawings - Clear every drawing on a chart ?exchange=BINANCE&symbol=BTCUSDT&interval=1h
+ * exchange defaults to BINANCE.
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../lib/auth.js';
+import { chartDrawingService } from '../../../../lib/charts/drawing-service.js';
+
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const drawings = await chartDrawingService.getDrawings(session.user.id, {
+      exchange: searchParams.get('exchange'),
+      symbol: searchParams.get('symbol'),
+      interval: searchParams.get('interval')
+    });
+
+    return NextResponse.json({ drawings });
+  } catch (error) {
+    console.error('Get chart drawings error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const drawing = await chartDrawingService.createDrawing(session.user.id, await request.json());
+    return NextResponse.json({ success: true, drawing });
+  } catch (error) {
+    console.error('Create chart drawing error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+export async function DELETE(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const count = await chartDrawingService.clearDrawings(session.user.id, {
+      exchange: searchParams.get('exchange'),
+      symbol: searchParams.get('symbol'),
+      interval: searchParams.get('interval')
+    });
+
+    return NextResponse.json({ success: true, count });
+  } catch (error) {
+    console.error('Clear chart drawings error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+function getErrorStatus(error) {
+  if (/^Invalid/.test(error.message)) return 400;
+  return 500;
+}
@@ -0,0 +1,108 @@
+/**
+ * Market Candles API
+ * GET  /api/market/candles - Stored OHLCV bars, backfilled on demand
+ *                            ?exchange=BINANCE&symbol=BTCUSDT&interval=1h&limit=500
+ *                            [&startTime=&endTime=] (ms or ISO) [&includeOpen=true]
+ * POST   /api/market/candles - Keep a series backfilled and synced { exchange, symbol, interval, backfillDays }
+ * DELETE /api/market/candles - Stop syncing a series ?exchange=&symbol=&interval=
+ * Tracked series are shared and synced for everyone, so only admins add or remove them.
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../lib/auth.js';
+import { candleIngester } from '../../../../lib/market-data/candle-ingester.js';
+
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const exchange = (searchParams.get('exchange') || 'BINANCE').toUpperCase();
+    const symbol = searchParams.get('symbol')?.toUpperCase();
+    const interval = searchParams.get('interval') || '1h';
+    if (!symbol) {
+      return NextResponse.json({ error: 'symbol is required' }, { status: 400 });
+    }
+
+    const candles = await candleIngester.getCandles(exchange, symbol, interval, {
+      startTime: parseTime(searchParams.get('startTime')),
+      endTime: parseTime(searchParams.get('endTime')),
+      limit: searchParams.get('limit') ? parseInt(searchParams.get('limit'), 10) : undefined,
+      includeOpen: searchParams.get('includeOpen') === 'true'
+    });
+
+    return NextResponse.json({ exchange, symbol, interval, candles });
+  } catch (error) {
+    console.error('Get candles error:', error);
+    return NextResponse.json({ error: error.message }, { status: /^Invalid/.test(error.message) ? 400 : 500 });
+  }
+}
+
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    if (!isAdmin(session)) {
+      return NextResponse.json({ error: 'Only admins can track candle series' }, { status: 403 });
+    }
+
+    const { exchange = 'BINANCE', symbol, interval, backfillDays } = await request.json();
+    if (!symbol || !interval) {
+      return NextResponse.json({ error: 'symbol and interval are required' }, { status: 400 });
+    }
+
+    const series = await candleIngester.track(exchange.toUpperCase(), symbol.toUpperCase(), interval, {
+      ...(backfillDays && { backfillDays: parseFloat(backfillDays) })
+    });
+    return NextResponse.json({ success: true, series });
+  } catch (error) {
+    console.error('Track candles error:', error);
+    return NextResponse.json({ error: error.message }, { status: /^Invalid/.test(error.message) ? 400 : 500 });
+  }
+}
+
+export async function DELETE(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+    if (!isAdmin(session)) {
+      return NextResponse.json({ error: 'Only admins can untrack candle series' }, { status: 403 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const exchange = (searchParams.get('exchange') || 'BINANCE').toUpperCase();
+    const symbol = searchParams.get('symbol')?.toUpperCase();
+    const interval = searchParams.get('interval');
+    if (!symbol || !interval) {
+      return NextResponse.json({ error: 'symbol and interval are required' }, { status: 400 });
+    }
+
+    const removed = await candleIngester.untrack(exchange, symbol, interval);
+    if (removed === 0) {
+      return NextResponse.json({ error: 'Series is not tracked' }, { status: 404 });
+    }
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Untrack candles error:', error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+function isAdmin(session) {
+  return session.user.role === 'ADMIN';
+}
+
+// Epoch milliseconds or an ISO date
+function parseTime(value) {
+  if (!value) return undefined;
+  return /^\d+$/.test(value) ? Number(value) : new Date(value).getTime();
+}
@@ -0,0 +1,93 @@
+/**
+ * Market Stream API
+ * GET /api/market/stream - Server-sent events from the market data hub
+ *                          ?streams=BINANCE:ticker:BTCUSDT,BINANCE:kline:BTCUSDT:1m,BINANCE:depth:BTCUSDT
+ *                          Events: ticker | trade | candle | book (JSON), heartbeat every 15s. A stream's
+ *                          latest ticker / candle / book is sent on connect; reconnect to change the set.
+ *                          Streams that fail validation are listed in the ready event's `rejected`.
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../lib/auth.js';
+import { marketDataHub, parseStreamKey } from '../../../../lib/market-data/market-data-hub.js';
+
+export const dynamic = 'force-dynamic';
+
+const HEARTBEAT_INTERVAL = 15000;
+const RETRY_MS = 3000; // EventSource reconnect delay
+const MAX_STREAMS = 20;
+
+export async function GET(request) {
+  const session = await getServerSession(authOptions);
+  if (!session?.user?.id) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  // One bad stream is reported in the ready event rather than failing the others
+  const keys = [...new Set((new URL(request.url).searchParams.get('streams') || '').split(',').filter(Boolean))];
+  if (keys.length === 0 || keys.length > MAX_STREAMS) {
+    return NextResponse.json({ error: `Invalid stream: request 1 to ${MAX_STREAMS} streams` }, { status: 400 });
+  }
+  const specs = [];
+  const rejected = [];
+  keys.forEach(key => {
+    try {
+      specs.push(parseStreamKey(key));
+    } catch (error) {
+      rejected.push({ stream: key, error: error.message });
+    }
+  });
+  if (specs.length === 0) {
+    return NextResponse.json({ error: rejected[0].error, rejected }, { status: 400 });
+  }
+
+  const encoder = new TextEncoder();
+  const unsubscribes = [];
+  let heartbeat = null;
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribes.splice(0).forEach(unsubscribe => unsubscribe());
+  };
+
+  const body = new ReadableStream({
+    start(controller) {
+      const send = (event, data) => {
+        try {
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        } catch (error) {
+          cleanup(); // Stream already closed
+        }
+      };
+
+      controller.enqueue(encoder.encode(`retry: ${RETRY_MS}\n\n`));
+      send('ready', { streams: specs.map(spec => spec.key), rejected, heartbeatInterval: HEARTBEAT_INTERVAL });
+      specs.forEach(spec => {
+        unsubscribes.push(marketDataHub.subscribe(spec, (message) => send(message.type, message)));
+      });
+      heartbeat = setInterval(() => send('heartbeat', { time: Date.now() }), HEARTBEAT_INTERVAL);
+
+      request.signal.addEventListener('abort', () => {
+        cleanup();
+        try {
+          controller.close();
+        } catch (error) {
+          // Already closed
+        }
+      });
+    },
+    cancel() {
+      cleanup();
+    }
+  });
+
+  return new Response(body, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    }
+  });
+}
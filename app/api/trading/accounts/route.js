@@ -0,0 +1,53 @@
+/**
+ * Trading Accounts API
+ * GET  /api/trading/accounts - List the user's trading accounts
+ * POST /api/trading/accounts - Create a trading account (demo by default)
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../lib/auth.js';
+import tradingManager from '../../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const accounts = await tradingManager.getUserAccounts(session.user.id);
+    return NextResponse.json({ accounts: accounts.map(sanitizeAccount) });
+  } catch (error) {
+    console.error('Get accounts error:', error);
+    return NextResponse.json({ error: 'Failed to fetch accounts' }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const config = await request.json();
+    if (!config.platform) {
+      return NextResponse.json({ error: 'platform is required' }, { status: 400 });
+    }
+
+    const account = await tradingManager.createTradingAccount(session.user.id, config);
+    return NextResponse.json({ success: true, account: sanitizeAccount(account) });
+  } catch (error) {
+    console.error('Create account error:', error);
+    return NextResponse.json({ error: 'Failed to create account' }, { status: 500 });
+  }
+}
+
+/**
+ * Never send encrypted credentials to the client
+ */
+function sanitizeAccount(account) {
+  const { apiKey, apiSecret, ...rest } = account;
+  return { ...rest, hasCredentials: Boolean(apiKey && apiSecret) };
+}
@@ -0,0 +1,72 @@
+/**
+ * Single Algo Order API
+ * GET    /api/trading/algo/:algoId - Progress and child orders
+ * PATCH  /api/trading/algo/:algoId - { action: 'pause' | 'resume' }
+ * DELETE /api/trading/algo/:algoId - Cancel the algo and its working child orders
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../lib/auth.js';
+import tradingManager from '../../../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const algoOrder = await tradingManager.getAlgoOrder(session.user.id, params.algoId);
+    return NextResponse.json({ algoOrder });
+  } catch (error) {
+    console.error('Get algo order error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+export async function PATCH(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { action } = await request.json();
+    let algoOrder;
+    if (action === 'pause') {
+      algoOrder = await tradingManager.pauseAlgoOrder(session.user.id, params.algoId);
+    } else if (action === 'resume') {
+      algoOrder = await tradingManager.resumeAlgoOrder(session.user.id, params.algoId);
+    } else {
+      return NextResponse.json({ error: "action must be 'pause' or 'resume'" }, { status: 400 });
+    }
+
+    return NextResponse.json({ success: true, algoOrder });
+  } catch (error) {
+    console.error('Update algo order error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const algoOrder = await tradingManager.cancelAlgoOrder(session.user.id, params.algoId);
+    return NextResponse.json({ success: true, algoOrder });
+  } catch (error) {
+    console.error('Cancel algo order error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+function getErrorStatus(error) {
+  if (error.message === 'Algo order not found') return 404;
+  // Pausing a paused algo, cancelling a completed one...
+  if (/^Algo order is /.test(error.message)) return 409;
+  return 500;
+}
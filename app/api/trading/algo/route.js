@@ -0,0 +1,74 @@
+/**
+ * Algo Orders API
+ * GET  /api/trading/algo - List the user's TWAP / VWAP / iceberg orders with progress (?active=true)
+ * POST /api/trading/algo - Start an algo order
+ *                          { accountId, symbol, side, algo, quantity, durationMinutes, slices,
+ *                            limitPrice, displayQuantity, lookbackDays, quantityStep }
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../lib/auth.js';
+import { tradingRateLimiter } from '../../../../lib/security/rate-limiter.js';
+import tradingManager from '../../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const algoOrders = await tradingManager.getAlgoOrders(session.user.id, {
+      activeOnly: searchParams.get('active') === 'true'
+    });
+
+    return NextResponse.json({ algoOrders });
+  } catch (error) {
+    console.error('Get algo orders error:', error);
+    return NextResponse.json({ error: 'Failed to fetch algo orders' }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { accountId, ...params } = await request.json();
+    if (!accountId || !params.symbol || !params.side || !params.algo || !params.quantity) {
+      return NextResponse.json(
+        { error: 'accountId, symbol, side, algo and quantity are required' },
+        { status: 400 }
+      );
+    }
+
+    const rateLimitResult = tradingRateLimiter.isAllowed(session.user.id, '/api/trading/placeOrder');
+    if (!rateLimitResult.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimitResult.retryAfter },
+        { status: 429 }
+      );
+    }
+
+    const algoOrder = await tradingManager.startAlgoOrder(session.user.id, accountId, params);
+    return NextResponse.json({ success: true, algoOrder });
+  } catch (error) {
+    console.error('Start algo order error:', error);
+    return NextResponse.json(
+      { error: error.message, ...(error.violations && { violations: error.violations }) },
+      { status: getErrorStatus(error) }
+    );
+  }
+}
+
+function getErrorStatus(error) {
+  if (error.violations) return 422; // Pre-trade risk rejection
+  if (/^Kill switch engaged/.test(error.message)) return 423;
+  if (error.message === 'Unauthorized account access') return 403;
+  if (/^Invalid/.test(error.message)) return 400;
+  return 500;
+}
@@ -0,0 +1,44 @@
+/**
+ * Single Backtest API
+ * GET    /api/trading/backtests/:backtestId - Full run: stats, trades and equity curve
+ * DELETE /api/trading/backtests/:backtestId - Remove a stored run
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../lib/auth.js';
+import tradingManager from '../../../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const backtest = await tradingManager.getBacktest(session.user.id, params.backtestId);
+    return NextResponse.json({ backtest });
+  } catch (error) {
+    console.error('Get backtest error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    await tradingManager.deleteBacktest(session.user.id, params.backtestId);
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Delete backtest error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+function getErrorStatus(error) {
+  return error.message === 'Backtest not found' ? 404 : 500;
+}
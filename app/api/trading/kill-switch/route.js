@@ -0,0 +1,69 @@
+/**
+ * Kill Switch API
+ * GET    /api/trading/kill-switch - Engaged switches and the recent audit trail
+ * POST   /api/trading/kill-switch - Engage { accountId, flatten, reason }; omit accountId for all accounts
+ * DELETE /api/trading/kill-switch - Re-arm (?accountId=); without accountId lifts the user-wide switch
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../lib/auth.js';
+import tradingManager from '../../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const status = await tradingManager.getKillSwitchStatus(session.user.id);
+    return NextResponse.json(status);
+  } catch (error) {
+    console.error('Get kill switch error:', error);
+    return NextResponse.json({ error: 'Failed to fetch kill switch status' }, { status: 500 });
+  }
+}
+
+// Not rate limited: the emergency stop must always go through
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { accountId = null, flatten = false, reason = null } = await request.json().catch(() => ({}));
+    const { killSwitch, summary } = await tradingManager.engageKillSwitch(session.user.id, {
+      accountId,
+      flatten: flatten === true,
+      reason: reason ? String(reason).slice(0, 500) : null
+    });
+
+    return NextResponse.json({ success: true, killSwitch, summary });
+  } catch (error) {
+    console.error('Engage kill switch error:', error);
+    const status = error.message === 'Unauthorized account access' ? 403 : 500;
+    return NextResponse.json({ error: error.message }, { status });
+  }
+}
+
+export async function DELETE(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const status = await tradingManager.rearmKillSwitch(session.user.id, {
+      accountId: searchParams.get('accountId')
+    });
+
+    return NextResponse.json({ success: true, ...status });
+  } catch (error) {
+    console.error('Re-arm kill switch error:', error);
+    const status = error.message === 'Kill switch is not engaged' ? 409 : 500;
+    return NextResponse.json({ error: error.message }, { status });
+  }
+}
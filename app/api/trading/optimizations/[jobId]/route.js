@@ -0,0 +1,44 @@
+/**
+ * Single Optimization API
+ * GET    /api/trading/optimizations/:jobId - Job with ranked results and walk-forward windows
+ * DELETE /api/trading/optimizations/:jobId - Cancel a queued or running job, or remove a finished one
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../lib/auth.js';
+import tradingManager from '../../../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const optimization = await tradingManager.getOptimization(session.user.id, params.jobId);
+    return NextResponse.json({ optimization });
+  } catch (error) {
+    console.error('Get optimization error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const result = await tradingManager.cancelOptimization(session.user.id, params.jobId);
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Cancel optimization error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+function getErrorStatus(error) {
+  return error.message === 'Optimization not found' ? 404 : 500;
+}
@@ -0,0 +1,50 @@
+/**
+ * Single Order API
+ * DELETE /api/trading/orders/:orderId - Cancel an open order
+ * PATCH  /api/trading/orders/:orderId - Amend price, quantity and/or stopPrice
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../lib/auth.js';
+import tradingManager from '../../../../../lib/trading-manager/unified-trading-manager.js';
+import { sanitizeOrder, getOrderErrorStatus } from '../../../../../lib/trading-manager/order-responses.js';
+
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const order = await tradingManager.cancelOrder(session.user.id, params.orderId);
+    return NextResponse.json({ success: true, order: sanitizeOrder(order) });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    return NextResponse.json({ error: error.message }, { status: getOrderErrorStatus(error) });
+  }
+}
+
+export async function PATCH(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { price, quantity, stopPrice } = await request.json();
+    const order = await tradingManager.amendOrder(session.user.id, params.orderId, {
+      ...(price !== undefined && price !== '' && { price }),
+      ...(quantity !== undefined && quantity !== '' && { quantity }),
+      ...(stopPrice !== undefined && stopPrice !== '' && { stopPrice })
+    });
+
+    return NextResponse.json({ success: true, order: sanitizeOrder(order) });
+  } catch (error) {
+    console.error('Amend order error:', error);
+    return NextResponse.json(
+      { error: error.message, ...(error.violations && { violations: error.violations }) },
+      { status: getOrderErrorStatus(error) }
+    );
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Orders API
+ * GET    /api/trading/orders - List orders (?status=open&accountId=&symbol=&limit=)
+ * POST   /api/trading/orders - Place an order on one of the user's trading accounts
+ *                              (type OCO for a limit/stop pair; stopLoss/takeProfit for a bracket)
+ * DELETE /api/trading/orders - Cancel all open orders (?symbol=&accountId=)
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../lib/auth.js';
+import { tradingRateLimiter } from '../../../../lib/security/rate-limiter.js';
+import tradingManager from '../../../../lib/trading-manager/unified-trading-manager.js';
+import { sanitizeOrder, getOrderErrorStatus } from '../../../../lib/trading-manager/order-responses.js';
+
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const orders = await tradingManager.getUserOrders(session.user.id, {
+      limit: Math.min(parseInt(searchParams.get('limit') || '50', 10), 200),
+      accountId: searchParams.get('accountId'),
+      symbol: searchParams.get('symbol'),
+      openOnly: searchParams.get('status') === 'open'
+    });
+
+    return NextResponse.json({ orders: orders.map(sanitizeOrder) });
+  } catch (error) {
+    console.error('Get orders error:', error);
+    return NextResponse.json({ error: 'Failed to fetch orders' }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { accountId, ...orderData } = await request.json();
+    if (!accountId || !orderData.symbol || !orderData.side || !orderData.type || !orderData.quantity) {
+      return NextResponse.json(
+        { error: 'accountId, symbol, side, type and quantity are required' },
+        { status: 400 }
+      );
+    }
+
+    const rateLimitResult = tradingRateLimiter.isAllowed(session.user.id, '/api/trading/placeOrder');
+    if (!rateLimitResult.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimitResult.retryAfter },
+        { status: 429 }
+      );
+    }
+
+    const { stopLoss, takeProfit, ...entryData } = orderData;
+    const normalized = {
+      ...entryData,
+      side: orderData.side.toUpperCase(),
+      type: orderData.type.toUpperCase()
+    };
+
+    let order;
+    if (normalized.type === 'OCO') {
+      order = await tradingManager.placeOcoOrder(session.user.id, accountId, normalized);
+    } else if (stopLoss || takeProfit) {
+      order = await tradingManager.placeBracketOrder(session.user.id, accountId, {
+        ...normalized,
+        stopLoss,
+        takeProfit
+      });
+    } else {
+      order = await tradingManager.placeOrder(session.user.id, accountId, normalized);
+    }
+
+    return NextResponse.json({ success: true, order: sanitizeOrder(order) });
+  } catch (error) {
+    console.error('Place order error:', error);
+    return NextResponse.json(
+      { error: error.message, ...(error.violations && { violations: error.violations }) },
+      { status: getOrderErrorStatus(error) }
+    );
+  }
+}
+
+export async function DELETE(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const cancelled = await tradingManager.cancelAllOrders(session.user.id, {
+      accountId: searchParams.get('accountId'),
+      symbol: searchParams.get('symbol')
+    });
+
+    return NextResponse.json({
+      success: true,
+      count: cancelled.length,
+      orders: cancelled.map(sanitizeOrder)
+    });
+  } catch (error) {
+    console.error('Cancel all orders error:', error);
+    return NextResponse.json({ error: error.message }, { status: getOrderErrorStatus(error) });
+  }
+}
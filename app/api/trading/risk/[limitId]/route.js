@@ -0,0 +1,25 @@
+/**
+ * Single Risk Limit API
+ * DELETE /api/trading/risk/:limitId - Drop an override; its scope falls back to the preset
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../lib/auth.js';
+import tradingManager from '../../../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const riskLimit = await tradingManager.removeRiskLimits(session.user.id, params.limitId);
+    return NextResponse.json({ success: true, riskLimit });
+  } catch (error) {
+    console.error('Delete risk limit error:', error);
+    const status = error.message === 'Risk limit not found' ? 404 : 500;
+    return NextResponse.json({ error: error.message }, { status });
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Risk Limits API
+ * GET /api/trading/risk - Effective limits, today's usage and stored overrides (?accountId=)
+ * PUT /api/trading/risk - Set user-wide limits, or per-account ones with accountId
+ *                         { accountId, maxOrderNotional, maxPositionNotional, maxPositionQuantity,
+ *                           maxDailyLoss, maxDailyTrades, maxOpenOrders, maxLeverage }
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../lib/auth.js';
+import { RISK_PRESETS } from '../../../../lib/risk/pre-trade-risk.js';
+import tradingManager from '../../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const status = await tradingManager.getRiskStatus(session.user.id, searchParams.get('accountId'));
+    const limits = await tradingManager.getRiskLimits(session.user.id);
+
+    return NextResponse.json({ status, limits, presets: RISK_PRESETS });
+  } catch (error) {
+    console.error('Get risk limits error:', error);
+    const status = error.message === 'Unauthorized account access' ? 403 : 500;
+    return NextResponse.json({ error: status === 403 ? error.message : 'Failed to fetch risk limits' }, { status });
+  }
+}
+
+export async function PUT(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { accountId, ...limits } = await request.json();
+    const riskLimit = await tradingManager.setRiskLimits(session.user.id, accountId || null, limits);
+
+    return NextResponse.json({ success: true, riskLimit });
+  } catch (error) {
+    console.error('Update risk limits error:', error);
+    const status = error.message === 'Unauthorized account access' ? 403
+      : /^Invalid/.test(error.message) ? 400
+        : 500;
+    return NextResponse.json({ error: error.message }, { status });
+  }
+}
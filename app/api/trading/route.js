@@ -6,6 +6,7 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { tradingRateLimiter } from '../../../lib/security/rate-limiter.js';
 import BinanceAPI from '../../../lib/trading-apis/binance-api.js';
+import tradingManager from '../../../lib/trading-manager/unified-trading-manager.js';
 
 export async function POST(request) {
   try {
@@ -42,13 +43,20 @@ export async function POST(request) {
       );
     }
     
-    // ✅ SECURITY: Additional checks for high-value trades
-    if (action === 'placeOrder' && orderData.quantity * (orderData.price || 50000) > 10000) {
-      const highValueCheck = tradingRateLimiter.checkTradingOperation(
-        userId, 
-        action, 
-        orderData.quantity * (orderData.price || 50000)
-      );
+    // ✅ SECURITY: Additional checks for high-value trades, valued at the live price
+    if (action === 'placeOrder') {
+      let notional;
+      try {
+        const price = orderData.price || await tradingManager.getCurrentPrice(orderData.symbol);
+        notional = orderData.quantity * price;
+      } catch (error) {
+        return NextResponse.json(
+          { error: 'Market price unavailable', message: `Cannot value the order: ${error.message}` },
+          { status: 503 }
+        );
+      }
+
+      const highValueCheck = tradingRateLimiter.checkTradingOperation(userId, action, notional);
       
       if (!highValueCheck.allowed) {
         return NextResponse.json(
@@ -71,7 +79,9 @@ export async function POST(request) {
     
     let result;
     
-    // Handle different trading actions
+    // Handle different trading actions. Order management (cancel, amend, open orders)
+    // is only offered on the authenticated /api/trading/orders routes: this route is
+    // unauthenticated and every caller shares the same demo account.
     switch (action) {
       case 'placeOrder':
         result = await api.placeOrder(orderData);
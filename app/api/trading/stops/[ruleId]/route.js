@@ -0,0 +1,25 @@
+/**
+ * Single Stop Rule API
+ * DELETE /api/trading/stops/:ruleId - Stop trailing (the stop order itself stays working)
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../lib/auth.js';
+import tradingManager from '../../../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const rule = await tradingManager.deactivateStopRule(session.user.id, params.ruleId);
+    return NextResponse.json({ success: true, rule });
+  } catch (error) {
+    console.error('Deactivate stop rule error:', error);
+    const status = error.message === 'Stop rule not found' ? 404 : 500;
+    return NextResponse.json({ error: error.message }, { status });
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Stop Rules API
+ * GET  /api/trading/stops - List the user's trailing / break-even stop rules (?active=true)
+ * POST /api/trading/stops - Attach a stop rule to an open position
+ *                           { positionId, trailType, trailDistance, atrPeriod, atrInterval,
+ *                             breakEvenTrigger, breakEvenOffset, initialStop, orderId }
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../lib/auth.js';
+import tradingManager from '../../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const rules = await tradingManager.getStopRules(session.user.id, {
+      activeOnly: searchParams.get('active') === 'true'
+    });
+
+    return NextResponse.json({ rules });
+  } catch (error) {
+    console.error('Get stop rules error:', error);
+    return NextResponse.json({ error: 'Failed to fetch stop rules' }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { positionId, ...config } = await request.json();
+    if (!positionId) {
+      return NextResponse.json({ error: 'positionId is required' }, { status: 400 });
+    }
+
+    const rule = await tradingManager.createStopRule(session.user.id, positionId, config);
+    return NextResponse.json({ success: true, rule });
+  } catch (error) {
+    console.error('Create stop rule error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+function getErrorStatus(error) {
+  if (error.message === 'Position not found' || error.message === 'Order not found') return 404;
+  if (/^Invalid/.test(error.message)) return 400;
+  return 500;
+}
@@ -0,0 +1,61 @@
+/**
+ * Strategy Backtests API
+ * GET  /api/trading/strategies/:strategyId/backtests - Stored runs (summary stats, newest first)
+ * POST /api/trading/strategies/:strategyId/backtests - Run and store a backtest
+ *                                                      { days | startTime, endTime, accountId, initialCapital,
+ *                                                        commissionRate, commissionPerUnit, slippageBps,
+ *                                                        slippagePoints, multiplier, warmUpBars, intrabar }
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../../lib/auth.js';
+import { tradingRateLimiter } from '../../../../../../lib/security/rate-limiter.js';
+import tradingManager from '../../../../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const backtests = await tradingManager.getBacktests(session.user.id, params.strategyId);
+    return NextResponse.json({ backtests });
+  } catch (error) {
+    console.error('Get backtests error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+export async function POST(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // Each run pages through exchange history, so it shares the market data budget
+    const rateLimitResult = tradingRateLimiter.isAllowed(session.user.id, '/api/trading/marketData');
+    if (!rateLimitResult.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimitResult.retryAfter },
+        { status: 429 }
+      );
+    }
+
+    const options = await request.json();
+    const backtest = await tradingManager.runBacktest(session.user.id, params.strategyId, options);
+    return NextResponse.json({ success: true, backtest });
+  } catch (error) {
+    console.error('Run backtest error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+function getErrorStatus(error) {
+  if (error.message === 'Strategy not found') return 404;
+  if (error.message === 'Unauthorized account access') return 403;
+  if (/^Invalid/.test(error.message)) return 400;
+  return 500;
+}
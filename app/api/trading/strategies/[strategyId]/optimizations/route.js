@@ -0,0 +1,63 @@
+/**
+ * Strategy Optimizations API
+ * GET  /api/trading/strategies/:strategyId/optimizations - Jobs with status and progress, newest first
+ * POST /api/trading/strategies/:strategyId/optimizations - Queue an optimization job
+ *                                                          { parameters: [{ key, min, max, step } | { key, values }],
+ *                                                            method: GRID | RANDOM, samples, seed, objective, minTrades,
+ *                                                            walkForward: { windows, inSamplePercent, anchored },
+ *                                                            candles (imported) | days | startTime, endTime, accountId,
+ *                                                            ...backtest settings }
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../../lib/auth.js';
+import { tradingRateLimiter } from '../../../../../../lib/security/rate-limiter.js';
+import tradingManager from '../../../../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const optimizations = await tradingManager.getOptimizations(session.user.id, params.strategyId);
+    return NextResponse.json({ optimizations });
+  } catch (error) {
+    console.error('Get optimizations error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+export async function POST(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // Stored history may need backfilling from the exchange first, like a backtest
+    const rateLimitResult = tradingRateLimiter.isAllowed(session.user.id, '/api/trading/marketData');
+    if (!rateLimitResult.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimitResult.retryAfter },
+        { status: 429 }
+      );
+    }
+
+    const options = await request.json();
+    const optimization = await tradingManager.startOptimization(session.user.id, params.strategyId, options);
+    return NextResponse.json({ success: true, optimization });
+  } catch (error) {
+    console.error('Start optimization error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+function getErrorStatus(error) {
+  if (error.message === 'Strategy not found') return 404;
+  if (error.message === 'Unauthorized account access') return 403;
+  if (/^Invalid/.test(error.message)) return 400;
+  return 500;
+}
@@ -0,0 +1,36 @@
+/**
+ * Strategy Robustness API
+ * POST /api/trading/strategies/:strategyId/robustness - Monte Carlo report: shuffled, bootstrapped and
+ *                                                       skipped-trade runs, next to the strategy's own stats
+ *                                                       { source: BACKTEST | LIVE | IMPORT, backtestId,
+ *                                                         trades: [{ pnl, entryTime, exitTime }] (IMPORT),
+ *                                                         simulations, initialCapital, skipPercent,
+ *                                                         ruinPercent, confidence, seed }
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../../lib/auth.js';
+import tradingManager from '../../../../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function POST(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const options = await request.json();
+    const robustness = await tradingManager.analyzeRobustness(session.user.id, params.strategyId, options);
+    return NextResponse.json({ robustness });
+  } catch (error) {
+    console.error('Robustness analysis error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+function getErrorStatus(error) {
+  if (error.message === 'Strategy not found' || error.message === 'Backtest not found') return 404;
+  if (/^Invalid/.test(error.message)) return 400;
+  return 500;
+}
@@ -0,0 +1,50 @@
+/**
+ * Single Strategy API
+ * PATCH  /api/trading/strategies/:strategyId - { isActive } to start/stop, or edit
+ *                                              name, description, config, tradingAccountId while stopped
+ * DELETE /api/trading/strategies/:strategyId - Delete a stopped strategy
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../lib/auth.js';
+import tradingManager from '../../../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function PATCH(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const changes = await request.json();
+    const strategy = await tradingManager.updateStrategy(session.user.id, params.strategyId, changes);
+    return NextResponse.json({ success: true, strategy });
+  } catch (error) {
+    console.error('Update strategy error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    await tradingManager.deleteStrategy(session.user.id, params.strategyId);
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Delete strategy error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+function getErrorStatus(error) {
+  if (error.message === 'Strategy not found') return 404;
+  if (error.message === 'Unauthorized account access') return 403;
+  if (/^Kill switch engaged/.test(error.message)) return 423;
+  if (/^Invalid/.test(error.message)) return 400;
+  return 500;
+}
@@ -0,0 +1,48 @@
+/**
+ * Strategies API
+ * GET  /api/trading/strategies - List the user's strategies with live runtime state
+ * POST /api/trading/strategies - Create a strategy (stopped)
+ *                                { name, description, type, config, tradingAccountId, isDemo }
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../lib/auth.js';
+import tradingManager from '../../../../lib/trading-manager/unified-trading-manager.js';
+
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const strategies = await tradingManager.getStrategies(session.user.id);
+    return NextResponse.json({ strategies });
+  } catch (error) {
+    console.error('Get strategies error:', error);
+    return NextResponse.json({ error: 'Failed to fetch strategies' }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const data = await request.json();
+    const strategy = await tradingManager.createStrategy(session.user.id, data);
+    return NextResponse.json({ success: true, strategy });
+  } catch (error) {
+    console.error('Create strategy error:', error);
+    return NextResponse.json({ error: error.message }, { status: getErrorStatus(error) });
+  }
+}
+
+function getErrorStatus(error) {
+  if (error.message === 'Unauthorized account access') return 403;
+  if (/^Invalid/.test(error.message)) return 400;
+  return 500;
+}
@@ -1,12 +1,197 @@
 'use client';
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   Save, Play, Pause, Settings, Brain, Target, TrendingUp, BarChart3, 
   Plus, Minus, Copy, Trash2, Eye, EyeOff, RefreshCw, AlertTriangle,
   CheckCircle, Info, Zap, Code, Layers, Filter, Search, Download,
   Upload, BookOpen, HelpCircle, PlusCircle, Edit3, ArrowRight, ArrowLeft
 } from 'lucide-react';
+import { ResponsiveContainer, AreaChart, Area, BarChart, Bar, XAxis, YAxis, Tooltip, CartesianGrid } from 'recharts';
+import { KILL_ZONES, DEFAULT_KILL_ZONES, DEFAULT_TIMEZONE } from '../lib/strategies/ict-concepts.js';
+import {
+  STRATEGY_SCHEMA_VERSION,
+  STRATEGY_TEMPLATES,
+  CONDITION_OPERATORS,
+  PRICE_FIELDS,
+  STOP_TYPES
+} from '../lib/strategies/strategy-schema.js';
+import { INDICATORS, INDICATOR_OUTPUTS } from '../lib/indicators/indicators.js';
+import { INTERVAL_MS } from '../lib/market-data/timeframes.js';
+
+const formatNumber = (value, digits = 2) => (value === null || value === undefined ? '—' : Number(value).toFixed(digits));
+const formatSigned = (value) => `${value >= 0 ? '+' : ''}${formatNumber(value)}`;
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+// ICTStrategy entry rules; every checked rule must hold for an entry
+const ENTRY_RULE_OPTIONS = [
+  { value: 'ema_trend', label: 'EMA trend', description: 'Close and fast EMA on the trend side of the slow EMA' },
+  { value: 'rsi_filter', label: 'RSI filter', description: 'No longs above 70, no shorts below 30' },
+  { value: 'fvg', label: 'Fair value gap', description: 'Last three candles leave a gap in the entry direction' },
+  { value: 'order_block', label: 'Order block', description: 'Price trading into an unbroken order block' },
+  { value: 'liquidity_sweep', label: 'Liquidity sweep', description: 'Sell-side swept before longs, buy-side before shorts' },
+  { value: 'structure_shift', label: 'Market structure shift', description: 'Recent change of character in the entry direction' },
+  { value: 'market_structure', label: 'Structure trend', description: 'Last break of structure in the entry direction' },
+  { value: 'premium_discount', label: 'Premium / discount', description: 'Longs in discount, shorts in premium' },
+  { value: 'kill_zone', label: 'Kill zone', description: 'Only during the selected sessions' },
+  { value: 'htf_trend', label: 'Higher timeframe trend', description: 'Last closed higher-timeframe bar on the entry side of its EMA' }
+];
+
+const TIMEFRAME_OPTIONS = ['1m', '5m', '15m', '1h', '4h', '1d'];
+
+// Timeframes the feed can build from `base` bars (lib/market-data/timeframes.js)
+const isHigherTimeframe = (timeframe, base) => (
+  INTERVAL_MS[timeframe] > INTERVAL_MS[base] && INTERVAL_MS[timeframe] % INTERVAL_MS[base] === 0
+);
+
+// What the builder saves: ICT entry rules, or a strategy definition of conditions
+const STRATEGY_TYPE_OPTIONS = [
+  { value: 'ICT_STRATEGY', label: 'ICT entry rules' },
+  { value: 'EMA_CROSSOVER', label: 'EMA crossover' },
+  { value: 'MEAN_REVERSION', label: 'Mean reversion' },
+  { value: 'DECLARATIVE', label: 'Custom conditions' },
+  { value: 'CUSTOM', label: 'JavaScript code' }
+];
+
+// Starting point for CUSTOM strategies (lib/strategies/code-strategy.js)
+const DEFAULT_STRATEGY_CODE = `// Indicators are computed for you each bar; read them from ctx.indicators
+const indicators = (params) => ({
+  fast: { type: 'EMA', params: { period: params.fast } },
+  slow: { type: 'EMA', params: { period: params.slow } }
+});
+
+function onBar(bar, ctx) {
+  const { fast, slow } = ctx.indicators;
+  const crossedUp = ctx.previous('fast') <= ctx.previous('slow') && fast > slow;
+
+  if (!ctx.position && crossedUp) {
+    ctx.buy({ stopLoss: bar.close - ctx.params.stop, reason: 'EMA cross up' });
+  } else if (ctx.position && fast < slow) {
+    ctx.exit('EMA cross down');
+  }
+}
+
+function onFill(fill, ctx) {
+  ctx.log('Filled', fill.type, fill.side, fill.quantity);
+}
+`;
+const DEFAULT_STRATEGY_PARAMS = '{\n  "fast": 10,\n  "slow": 30,\n  "stop": 20\n}';
+
+const CODE_API_REFERENCE = [
+  ['indicators', 'Object (or function of params) of { id: { type, params } } from the indicator library'],
+  ['onInit(ctx)', 'Once, when the strategy is built'],
+  ['onBar(bar, ctx)', 'Each closed candle; also over warm-up history with ctx.isWarmingUp set'],
+  ['onTick(quote, ctx)', 'In-progress candle updates (live only)'],
+  ['onFill(fill, ctx)', 'Position opened ({ type: OPEN, side, quantity, price }) or closed'],
+  ['ctx.buy / ctx.sell(options)', 'Enter long / short: { quantity, stopLoss, takeProfit, reason }'],
+  ['ctx.exit(reason)', 'Close the open position'],
+  ['ctx.position', '{ side, quantity, avgPrice } or null'],
+  ['ctx.previous(id, n)', 'Indicator value n bars ago; ctx.history(n) for the last n bars'],
+  ['ctx.book / ctx.depthAt(price)', 'With Live order book: { bestBid, bestAsk, spread, mid, imbalance, bids, asks } and { side, quantity, cumulative } at a price; null in backtests'],
+  ['ctx.state / ctx.params / ctx.log', 'Your own storage, the saved params, debug lines']
+];
+
+const DEFAULT_INDICATOR_PARAMS = {
+  SMA: { period: 20 },
+  EMA: { period: 20 },
+  WMA: { period: 20 },
+  RSI: { period: 14 },
+  MACD: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
+  ATR: { period: 14 },
+  BOLLINGER: { period: 20, multiplier: 2 },
+  VWAP: { reset: 'day' },
+  STOCHASTIC: { kPeriod: 14, kSmoothing: 1, dPeriod: 3 },
+  ADX: { period: 14 },
+  SUPERTREND: { period: 10, multiplier: 3 },
+  PIVOT_POINTS: { period: 'day', method: 'classic' }
+};
+const INDICATOR_COLORS = ['#3B82F6', '#EF4444', '#8B5CF6', '#10B981', '#F59E0B', '#EC4899'];
+
+const OPERATOR_LABELS = {
+  gt: '>',
+  gte: '≥',
+  lt: '<',
+  lte: '≤',
+  crossesAbove: 'crosses above',
+  crossesBelow: 'crosses below'
+};
+
+// Condition trees of a definition the builder edits, each a list of rules joined by all / any
+const CONDITION_SLOTS = [
+  { key: 'entryLong', label: 'Long Entry', path: ['entry', 'long'] },
+  { key: 'entryShort', label: 'Short Entry', path: ['entry', 'short'] },
+  { key: 'exitLong', label: 'Long Exit', path: ['exit', 'long'] },
+  { key: 'exitShort', label: 'Short Exit', path: ['exit', 'short'] },
+  { key: 'filter', label: 'Entry Filter', path: ['filters', 'conditions'] }
+];
+
+// Definition condition <-> { match, rules }; nested groups stay whole as a single rule
+const toConditionSlot = (condition) => {
+  if (!condition) return { match: 'all', rules: [] };
+  if (condition.all || condition.any) {
+    return { match: condition.all ? 'all' : 'any', rules: condition.all || condition.any };
+  }
+  return { match: 'all', rules: [condition] };
+};
+const fromConditionSlot = ({ match, rules }) => {
+  if (rules.length === 0) return undefined;
+  return rules.length === 1 ? rules[0] : { [match]: rules };
+};
+
+// Operands as select values: 'value', 'price:close', 'indicator:bands.lower'
+const operandKey = (operand) => {
+  if (typeof operand === 'number') return 'value';
+  if (operand.price) return `price:${operand.price}`;
+  return `indicator:${operand.indicator}${operand.field ? `.${operand.field}` : ''}`;
+};
+const parseOperandKey = (key, previous) => {
+  const offset = typeof previous === 'object' && previous.offset ? { offset: previous.offset } : {};
+  if (key === 'value') return typeof previous === 'number' ? previous : 0;
+  if (key.startsWith('price:')) return { price: key.slice('price:'.length), ...offset };
+
+  const [indicator, field] = key.slice('indicator:'.length).split('.');
+  return { indicator, ...(field && { field }), ...offset };
+};
+const describeOperand = (operand) => {
+  if (typeof operand === 'number') return String(operand);
+  const name = operand.price || `${operand.indicator}${operand.field ? `.${operand.field}` : ''}`;
+  return operand.offset ? `${name}[${operand.offset}]` : name;
+};
+const describeCondition = (condition) => {
+  if (condition.all || condition.any) {
+    const joiner = condition.all ? ' and ' : ' or ';
+    return `(${(condition.all || condition.any).map(describeCondition).join(joiner)})`;
+  }
+  return `${describeOperand(condition.left)} ${OPERATOR_LABELS[condition.operator]} ${describeOperand(condition.right)}`;
+};
+const describeParams = (params) => Object.values(params).join(', ');
+
+// Config keys the optimizer can sweep, with a starting range for each
+const OPTIMIZABLE_PARAMETERS = [
+  { key: 'emaFastPeriod', label: 'EMA Fast Period', min: 5, max: 20, step: 5 },
+  { key: 'emaSlowPeriod', label: 'EMA Slow Period', min: 30, max: 90, step: 20 },
+  { key: 'rsiPeriod', label: 'RSI Period', min: 7, max: 21, step: 7 },
+  { key: 'stopLossPoints', label: 'Stop Loss (pts)', min: 10, max: 30, step: 5 },
+  { key: 'takeProfitPoints', label: 'Take Profit (pts)', min: 20, max: 60, step: 10 }
+];
+const OBJECTIVE_OPTIONS = [
+  { value: 'sharpeRatio', label: 'Sharpe ratio' },
+  { value: 'sortinoRatio', label: 'Sortino ratio' },
+  { value: 'netProfit', label: 'Net profit' },
+  { value: 'profitFactor', label: 'Profit factor' },
+  { value: 'calmar', label: 'Return / max drawdown' },
+  { value: 'winRate', label: 'Win rate' },
+  { value: 'averageTrade', label: 'Average trade' }
+];
+const ACTIVE_JOB_STATUSES = ['QUEUED', 'RUNNING'];
+const parameterLabel = (key) => OPTIMIZABLE_PARAMETERS.find(parameter => parameter.key === key)?.label || key;
+
+// Red (worst) to green (best) across the scored cells
+const heatColor = (score, min, max) => {
+  if (score === null || score === undefined) return '#1E293B';
+  const ratio = max > min ? (score - min) / (max - min) : 1;
+  return `hsl(${Math.round(ratio * 120)}, 65%, 35%)`;
+};
 
 const StrategyBuilder = () => {
   const [activeTab, setActiveTab] = useState('visual');
@@ -16,15 +201,20 @@ const StrategyBuilder = () => {
     type: 'scalping',
     timeframes: ['1m', '5m'],
     instruments: ['ES', 'NQ', 'YM'],
+    orderBook: false, // CUSTOM code reads the live book as ctx.book
     isActive: false,
     backtestResults: null
   });
 
+  const [strategyType, setStrategyType] = useState('ICT_STRATEGY');
+
   const [indicators, setIndicators] = useState([
-    { id: 'ema_fast', type: 'EMA', period: 10, color: '#3B82F6', enabled: true },
-    { id: 'ema_slow', type: 'EMA', period: 50, color: '#EF4444', enabled: true },
-    { id: 'rsi', type: 'RSI', period: 14, color: '#8B5CF6', enabled: true }
+    { id: 'ema_fast', type: 'EMA', params: { period: 10 }, color: '#3B82F6', enabled: true },
+    { id: 'ema_slow', type: 'EMA', params: { period: 50 }, color: '#EF4444', enabled: true },
+    { id: 'rsi', type: 'RSI', params: { period: 14 }, color: '#8B5CF6', enabled: true }
   ]);
+  const [newIndicatorType, setNewIndicatorType] = useState('SMA');
+  const [editingIndicator, setEditingIndicator] = useState(null);
 
   const [riskSettings, setRiskSettings] = useState({
     accountRisk: 1.0,
@@ -37,12 +227,613 @@ const StrategyBuilder = () => {
     maxDailyTrades: 10
   });
 
+  const [entrySettings, setEntrySettings] = useState({
+    entryRules: ['ema_trend', 'rsi_filter', 'fvg'],
+    killZones: DEFAULT_KILL_ZONES,
+    timezone: DEFAULT_TIMEZONE,
+    swingStrength: 2,
+    lookbackBars: 20
+  });
+
+  const [codeSettings, setCodeSettings] = useState({
+    code: DEFAULT_STRATEGY_CODE,
+    params: DEFAULT_STRATEGY_PARAMS
+  });
+
+  // Strategy definition parts without an ICT counterpart
+  const [conditions, setConditions] = useState(() => Object.fromEntries(
+    CONDITION_SLOTS.map(slot => [slot.key, toConditionSlot(undefined)])
+  ));
+  const [ruleSettings, setRuleSettings] = useState({
+    killZones: [],
+    stopType: 'POINTS',
+    takeProfitType: 'POINTS',
+    atrPeriod: 14
+  });
+
+  const [csrfToken, setCsrfToken] = useState('');
+  const [savedStrategies, setSavedStrategies] = useState([]);
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [backtestSettings, setBacktestSettings] = useState({
+    strategyId: '',
+    days: 30,
+    initialCapital: 10000,
+    commissionPercent: 0.05,
+    slippageBps: 1,
+    multiplier: 1,
+    intrabar: 'CONSERVATIVE'
+  });
+  const [backtests, setBacktests] = useState([]);
+  const [isBacktesting, setIsBacktesting] = useState(false);
+  const [backtestError, setBacktestError] = useState(null);
+  const [optimizeSettings, setOptimizeSettings] = useState({
+    parameters: OPTIMIZABLE_PARAMETERS.map(({ key, min, max, step }) => ({
+      key, min, max, step, enabled: ['emaFastPeriod', 'stopLossPoints', 'takeProfitPoints'].includes(key)
+    })),
+    method: 'GRID',
+    samples: 100,
+    seed: 1,
+    objective: 'sharpeRatio',
+    minTrades: 3,
+    walkForward: false,
+    windows: 4,
+    inSamplePercent: 70,
+    anchored: false
+  });
+  const [importedCandles, setImportedCandles] = useState(null);
+  const [optimizations, setOptimizations] = useState([]);
+  const [optimization, setOptimization] = useState(null);
+  const [optimizeError, setOptimizeError] = useState(null);
+  const [heatmapAxes, setHeatmapAxes] = useState({ x: '', y: '' });
+  const [robustnessSettings, setRobustnessSettings] = useState({
+    source: 'BACKTEST',
+    simulations: 1000,
+    skipPercent: 10,
+    ruinPercent: 50,
+    confidence: 95
+  });
+  const [importedTrades, setImportedTrades] = useState(null);
+  const [robustness, setRobustness] = useState(null);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [robustnessError, setRobustnessError] = useState(null);
+
+  useEffect(() => {
+    fetchCSRFToken();
+    loadStrategies();
+  }, []);
+
+  useEffect(() => {
+    if (backtestSettings.strategyId) {
+      loadBacktests(backtestSettings.strategyId);
+      loadOptimizations(backtestSettings.strategyId);
+    } else {
+      setBacktests([]);
+      setOptimizations([]);
+    }
+    setRobustness(null);
+  }, [backtestSettings.strategyId]);
+
+  // Poll the selected job until it finishes
+  useEffect(() => {
+    if (!optimization || !ACTIVE_JOB_STATUSES.includes(optimization.status)) return;
+
+    const timer = setTimeout(() => {
+      openOptimization(optimization.id);
+      loadOptimizations(optimization.strategyId);
+    }, 2000);
+    return () => clearTimeout(timer);
+  }, [optimization]);
+
+  const fetchCSRFToken = async () => {
+    try {
+      const response = await fetch('/api/csrf');
+      const data = await response.json();
+      setCsrfToken(data.csrfToken);
+    } catch (error) {
+      console.error('CSRF token fetch error:', error);
+    }
+  };
+
+  const loadStrategies = async () => {
+    try {
+      const response = await fetch('/api/trading/strategies');
+      const data = await response.json();
+      setSavedStrategies(data.strategies || []);
+    } catch (error) {
+      console.error('Strategies fetch error:', error);
+    }
+  };
+
+  const isDeclarative = !['ICT_STRATEGY', 'CUSTOM'].includes(strategyType);
+
+  // Builder state -> ICT_STRATEGY config, as read by the runtime and the backtester
+  const buildICTConfig = () => ({
+    symbol: strategy.instruments[0],
+    instruments: strategy.instruments,
+    timeframe: strategy.timeframes[0],
+    timeframes: strategy.timeframes,
+    style: strategy.type,
+    riskPercent: riskSettings.accountRisk,
+    emaFastPeriod: indicators.find(indicator => indicator.id === 'ema_fast')?.params.period,
+    emaSlowPeriod: indicators.find(indicator => indicator.id === 'ema_slow')?.params.period,
+    rsiPeriod: indicators.find(indicator => indicator.id === 'rsi')?.params.period,
+    stopLossPoints: riskSettings.stopLossPoints,
+    takeProfitPoints: riskSettings.takeProfitPoints,
+    indicators: indicators.filter(indicator => indicator.enabled),
+    ...entrySettings,
+    riskSettings
+  });
+
+  // Builder state -> strategy definition (lib/strategies/strategy-schema.js)
+  const buildDefinition = () => {
+    const stop = (type, value) => (value > 0 ? { type, value, atrPeriod: ruleSettings.atrPeriod } : undefined);
+    const slot = (key) => fromConditionSlot(conditions[key]);
+
+    return {
+      version: STRATEGY_SCHEMA_VERSION,
+      symbol: strategy.instruments[0],
+      timeframe: strategy.timeframes[0],
+      indicators: indicators
+        .filter(indicator => indicator.enabled)
+        .map(({ id, type, params }) => ({ id, type, params })),
+      entry: { long: slot('entryLong'), short: slot('entryShort') },
+      exit: { long: slot('exitLong'), short: slot('exitShort') },
+      filters: {
+        conditions: slot('filter'),
+        killZones: ruleSettings.killZones,
+        timezone: entrySettings.timezone
+      },
+      risk: {
+        quantity: riskSettings.maxPositionSize,
+        stopLoss: stop(ruleSettings.stopType, riskSettings.stopLossPoints),
+        takeProfit: stop(ruleSettings.takeProfitType, riskSettings.takeProfitPoints),
+        maxDailyTrades: riskSettings.maxDailyTrades || undefined,
+        maxDailyLoss: riskSettings.maxDailyLoss || undefined,
+        maxPositionSize: riskSettings.maxPositionSize || undefined
+      }
+    };
+  };
+
+  // Builder state -> CUSTOM config: the code and the params it reads as ctx.params
+  const buildCodeConfig = () => {
+    let params;
+    try {
+      params = JSON.parse(codeSettings.params || '{}');
+    } catch (error) {
+      throw new Error(`Params must be valid JSON: ${error.message}`);
+    }
+    return {
+      symbol: strategy.instruments[0],
+      instruments: strategy.instruments,
+      timeframe: strategy.timeframes[0],
+      timeframes: strategy.timeframes,
+      code: codeSettings.code,
+      params,
+      ...(strategy.orderBook && { orderBook: true }),
+      quantity: riskSettings.maxPositionSize,
+      riskSettings
+    };
+  };
+
+  const buildConfig = () => {
+    if (strategyType === 'CUSTOM') return buildCodeConfig();
+    return isDeclarative ? buildDefinition() : buildICTConfig();
+  };
+
+  // Strategy definition -> builder state
+  const loadDefinition = (type, definition) => {
+    setStrategyType(type);
+    setStrategy(current => ({
+      ...current,
+      instruments: [definition.symbol, ...current.instruments.filter(symbol => symbol !== definition.symbol)],
+      timeframes: [definition.timeframe, ...current.timeframes.filter(timeframe => timeframe !== definition.timeframe)]
+    }));
+    setIndicators(definition.indicators.map((indicator, index) => ({
+      ...indicator,
+      params: indicator.params || {},
+      color: INDICATOR_COLORS[index % INDICATOR_COLORS.length],
+      enabled: true
+    })));
+    setConditions(Object.fromEntries(CONDITION_SLOTS.map(({ key, path }) => (
+      [key, toConditionSlot(definition[path[0]]?.[path[1]])]
+    ))));
+
+    const risk = definition.risk || {};
+    setRuleSettings({
+      killZones: definition.filters?.killZones || [],
+      stopType: risk.stopLoss?.type || 'POINTS',
+      takeProfitType: risk.takeProfit?.type || 'POINTS',
+      atrPeriod: risk.stopLoss?.atrPeriod || risk.takeProfit?.atrPeriod || 14
+    });
+    setRiskSettings(current => ({
+      ...current,
+      maxPositionSize: risk.maxPositionSize ?? risk.quantity ?? current.maxPositionSize,
+      stopLossPoints: risk.stopLoss?.value ?? '',
+      takeProfitPoints: risk.takeProfit?.value ?? '',
+      maxDailyTrades: risk.maxDailyTrades ?? '',
+      maxDailyLoss: risk.maxDailyLoss ?? ''
+    }));
+    setEntrySettings(current => ({ ...current, timezone: definition.filters?.timezone || DEFAULT_TIMEZONE }));
+  };
+
+  // A saved strategy back into the builder, to edit and save over it
+  const openSavedStrategy = (record) => {
+    const config = record.config || {};
+    if (record.type === 'CUSTOM') {
+      setStrategyType('CUSTOM');
+      setStrategy(current => ({
+        ...current,
+        instruments: config.instruments || [config.symbol],
+        timeframes: config.timeframes || [config.timeframe || '5m'],
+        orderBook: config.orderBook === true
+      }));
+      setCodeSettings({ code: config.code || '', params: JSON.stringify(config.params || {}, null, 2) });
+      if (config.riskSettings) setRiskSettings(current => ({ ...current, ...config.riskSettings }));
+    } else if (record.type === 'ICT_STRATEGY') {
+      const { riskSettings: savedRisk, indicators: savedIndicators, entryRules, killZones, timezone, swingStrength, lookbackBars } = config;
+      setStrategyType('ICT_STRATEGY');
+      setStrategy(current => ({
+        ...current,
+        instruments: config.instruments || [config.symbol],
+        timeframes: config.timeframes || [config.timeframe],
+        type: config.style || current.type
+      }));
+      if (savedIndicators) {
+        setIndicators(savedIndicators.map(indicator => ({
+          ...indicator,
+          params: indicator.params || { period: indicator.period }
+        })));
+      }
+      if (savedRisk) setRiskSettings(current => ({ ...current, ...savedRisk }));
+      setEntrySettings(current => ({
+        ...current,
+        ...Object.fromEntries(Object.entries({ entryRules, killZones, timezone, swingStrength, lookbackBars })
+          .filter(([, value]) => value !== undefined))
+      }));
+    } else if (config.version) {
+      loadDefinition(record.type, config);
+    } else {
+      setSaveStatus({ success: false, message: `${record.name} has no definition the builder can open` });
+      return;
+    }
+
+    setStrategy(current => ({ ...current, id: record.id, name: record.name, description: record.description || '' }));
+    setBacktestSettings(current => ({ ...current, strategyId: record.id }));
+    setSaveStatus(null);
+  };
+
+  // Template types start from their definition; the type is fixed once saved
+  const changeStrategyType = (type) => {
+    if (STRATEGY_TEMPLATES[type]) {
+      loadDefinition(type, STRATEGY_TEMPLATES[type]);
+    } else {
+      setStrategyType(type);
+    }
+  };
+
+  const addIndicator = () => {
+    const count = indicators.filter(indicator => indicator.type === newIndicatorType).length;
+    const id = `${newIndicatorType.toLowerCase()}${count ? `_${count + 1}` : ''}`;
+    setIndicators([...indicators, {
+      id: indicators.some(indicator => indicator.id === id) ? `${id}_${Date.now() % 1000}` : id,
+      type: newIndicatorType,
+      params: { ...DEFAULT_INDICATOR_PARAMS[newIndicatorType] },
+      color: INDICATOR_COLORS[indicators.length % INDICATOR_COLORS.length],
+      enabled: true
+    }]);
+  };
+
+  const updateIndicatorParam = (id, key, value) => setIndicators(indicators.map(indicator => (
+    indicator.id === id ? { ...indicator, params: { ...indicator.params, [key]: value } } : indicator
+  )));
+
+  const updateConditionSlot = (key, changes) => setConditions({
+    ...conditions,
+    [key]: { ...conditions[key], ...changes }
+  });
+
+  const updateConditionRule = (key, index, changes) => updateConditionSlot(key, {
+    rules: conditions[key].rules.map((rule, position) => (position === index ? { ...rule, ...changes } : rule))
+  });
+
+  const addConditionRule = (key) => {
+    const indicator = indicators.find(item => item.enabled);
+    const right = indicator
+      ? { indicator: indicator.id, ...(INDICATOR_OUTPUTS[indicator.type] && { field: INDICATOR_OUTPUTS[indicator.type][0] }) }
+      : 0;
+    updateConditionSlot(key, { rules: [...conditions[key].rules, { left: { price: 'close' }, operator: 'gt', right }] });
+  };
+
+  // Select options for an operand: each enabled indicator (per field), each price, a constant
+  const operandOptions = () => [
+    ...indicators.filter(indicator => indicator.enabled).flatMap(indicator => (
+      INDICATOR_OUTPUTS[indicator.type]
+        ? INDICATOR_OUTPUTS[indicator.type].map(field => ({ value: `indicator:${indicator.id}.${field}`, label: `${indicator.id} ${field}` }))
+        : [{ value: `indicator:${indicator.id}`, label: indicator.id }]
+    )),
+    ...PRICE_FIELDS.map(field => ({ value: `price:${field}`, label: `price ${field}` })),
+    { value: 'value', label: 'value' }
+  ];
+
+  const toggleListSetting = (key, value) => setEntrySettings({
+    ...entrySettings,
+    [key]: entrySettings[key].includes(value)
+      ? entrySettings[key].filter(item => item !== value)
+      : [...entrySettings[key], value]
+  });
+
+  const saveStrategy = async () => {
+    setSaveStatus(null);
+    try {
+      const response = await fetch(strategy.id ? `/api/trading/strategies/${strategy.id}` : '/api/trading/strategies', {
+        method: strategy.id ? 'PATCH' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify({
+          name: strategy.name,
+          description: strategy.description,
+          config: buildConfig(),
+          ...(!strategy.id && { type: strategyType })
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save strategy');
+      }
+
+      setStrategy({ ...strategy, id: data.strategy.id });
+      setBacktestSettings({ ...backtestSettings, strategyId: data.strategy.id });
+      setSaveStatus({ success: true, message: 'Strategy saved' });
+      loadStrategies();
+    } catch (error) {
+      setSaveStatus({ success: false, message: error.message });
+    }
+  };
+
+  const loadBacktests = async (strategyId) => {
+    try {
+      const response = await fetch(`/api/trading/strategies/${strategyId}/backtests`);
+      const data = await response.json();
+      setBacktests(data.backtests || []);
+    } catch (error) {
+      console.error('Backtests fetch error:', error);
+    }
+  };
+
+  const runBacktest = async () => {
+    const { strategyId, commissionPercent, ...settings } = backtestSettings;
+    setIsBacktesting(true);
+    setBacktestError(null);
+    try {
+      const response = await fetch(`/api/trading/strategies/${strategyId}/backtests`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify({ ...settings, commissionRate: parseFloat(commissionPercent) / 100 })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Backtest failed');
+      }
+
+      setStrategy({ ...strategy, backtestResults: data.backtest });
+      loadBacktests(strategyId);
+    } catch (error) {
+      setBacktestError(error.message);
+    } finally {
+      setIsBacktesting(false);
+    }
+  };
+
+  const openBacktest = async (backtestId) => {
+    try {
+      const response = await fetch(`/api/trading/backtests/${backtestId}`);
+      const data = await response.json();
+      if (response.ok) {
+        setStrategy({ ...strategy, backtestResults: data.backtest });
+      }
+    } catch (error) {
+      console.error('Backtest fetch error:', error);
+    }
+  };
+
+  const deleteBacktest = async (backtestId) => {
+    try {
+      await fetch(`/api/trading/backtests/${backtestId}`, {
+        method: 'DELETE',
+        headers: { 'X-CSRF-Token': csrfToken }
+      });
+      if (strategy.backtestResults?.id === backtestId) {
+        setStrategy({ ...strategy, backtestResults: null });
+      }
+      loadBacktests(backtestSettings.strategyId);
+    } catch (error) {
+      console.error('Backtest delete error:', error);
+    }
+  };
+
+  // Monte Carlo report over the open backtest's trades, the live fills or an imported list
+  const runRobustness = async () => {
+    const { source, ...settings } = robustnessSettings;
+    setIsAnalyzing(true);
+    setRobustnessError(null);
+    try {
+      const response = await fetch(`/api/trading/strategies/${backtestSettings.strategyId}/robustness`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify({
+          ...settings,
+          source,
+          ...(source === 'BACKTEST' && { backtestId: strategy.backtestResults?.id }),
+          ...(source === 'LIVE' && { initialCapital: backtestSettings.initialCapital }),
+          ...(source === 'IMPORT' && { trades: importedTrades?.rows, initialCapital: backtestSettings.initialCapital })
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Robustness analysis failed');
+      }
+      setRobustness(data.robustness);
+    } catch (error) {
+      setRobustnessError(error.message);
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  // JSON array or CSV with a header row: pnl, entryTime, exitTime
+  const importTrades = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      let rows;
+      if (file.name.endsWith('.json')) {
+        rows = JSON.parse(text);
+      } else {
+        const [header, ...lines] = text.trim().split(/\r?\n/);
+        const columns = header.split(',').map(column => column.trim());
+        rows = lines.map(line => Object.fromEntries(line.split(',').map((value, index) => [columns[index], value.trim()])));
+      }
+      if (!Array.isArray(rows) || rows.length === 0) {
+        throw new Error('No trades found in file');
+      }
+      setImportedTrades({ name: file.name, rows });
+      setRobustnessError(null);
+    } catch (error) {
+      setRobustnessError(`Import failed: ${error.message}`);
+    }
+  };
+
+  const loadOptimizations = async (strategyId) => {
+    try {
+      const response = await fetch(`/api/trading/strategies/${strategyId}/optimizations`);
+      const data = await response.json();
+      setOptimizations(data.optimizations || []);
+    } catch (error) {
+      console.error('Optimizations fetch error:', error);
+    }
+  };
+
+  const runOptimization = async () => {
+    const { strategyId, commissionPercent, days, ...settings } = backtestSettings;
+    const { parameters, walkForward, windows, inSamplePercent, anchored, ...options } = optimizeSettings;
+    setOptimizeError(null);
+    try {
+      const response = await fetch(`/api/trading/strategies/${strategyId}/optimizations`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify({
+          ...settings,
+          ...options,
+          commissionRate: parseFloat(commissionPercent) / 100,
+          parameters: parameters
+            .filter(parameter => parameter.enabled)
+            .map(({ key, min, max, step }) => ({ key, min, max, step })),
+          walkForward: walkForward ? { windows: parseInt(windows, 10), inSamplePercent: parseFloat(inSamplePercent), anchored } : null,
+          ...(importedCandles ? { candles: importedCandles.rows } : { days })
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Optimization failed to start');
+      }
+
+      setOptimization(data.optimization);
+      setHeatmapAxes({ x: '', y: '' });
+      loadOptimizations(strategyId);
+    } catch (error) {
+      setOptimizeError(error.message);
+    }
+  };
+
+  const openOptimization = async (jobId) => {
+    try {
+      const response = await fetch(`/api/trading/optimizations/${jobId}`);
+      const data = await response.json();
+      if (response.ok) {
+        setOptimization(data.optimization);
+      }
+    } catch (error) {
+      console.error('Optimization fetch error:', error);
+    }
+  };
+
+  const cancelOptimization = async (jobId) => {
+    try {
+      const response = await fetch(`/api/trading/optimizations/${jobId}`, {
+        method: 'DELETE',
+        headers: { 'X-CSRF-Token': csrfToken }
+      });
+      const data = await response.json();
+      if (optimization?.id === jobId) {
+        data.deleted ? setOptimization(null) : openOptimization(jobId);
+      }
+      loadOptimizations(backtestSettings.strategyId);
+    } catch (error) {
+      console.error('Optimization cancel error:', error);
+    }
+  };
+
+  // Copy a result's parameters into the builder; saving makes them the strategy's config
+  const applyOptimizedParameters = (params) => {
+    const periods = { ema_fast: params.emaFastPeriod, ema_slow: params.emaSlowPeriod, rsi: params.rsiPeriod };
+    setIndicators(indicators.map(indicator => (
+      periods[indicator.id] === undefined ? indicator : { ...indicator, params: { ...indicator.params, period: periods[indicator.id] } }
+    )));
+    setRiskSettings({
+      ...riskSettings,
+      ...(params.stopLossPoints !== undefined && { stopLossPoints: params.stopLossPoints }),
+      ...(params.takeProfitPoints !== undefined && { takeProfitPoints: params.takeProfitPoints })
+    });
+    setSaveStatus({ success: true, message: 'Parameters applied; save to keep them' });
+  };
+
+  // JSON array or CSV with a header row: timestamp, open, high, low, close, volume
+  const importCandles = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      let rows;
+      if (file.name.endsWith('.json')) {
+        rows = JSON.parse(text);
+      } else {
+        const [header, ...lines] = text.trim().split(/\r?\n/);
+        const columns = header.split(',').map(column => column.trim().toLowerCase());
+        rows = lines.map(line => Object.fromEntries(line.split(',').map((value, index) => [columns[index], value.trim()])));
+      }
+      if (!Array.isArray(rows) || rows.length === 0) {
+        throw new Error('No candles found in file');
+      }
+      setImportedCandles({ name: file.name, rows });
+      setOptimizeError(null);
+    } catch (error) {
+      setOptimizeError(`Import failed: ${error.message}`);
+    }
+  };
+
   const strategyTemplates = [
     {
       id: 'ict_pro',
       name: 'ICT Pro Strategy',
       description: 'Inner Circle Trader concepts with FVG and Order Blocks',
       type: 'scalping',
+      strategyType: 'ICT_STRATEGY',
       complexity: 'Advanced'
     },
     {
@@ -50,10 +841,33 @@ const StrategyBuilder = () => {
       name: 'EMA Crossover',
       description: 'Simple moving average crossover strategy',
       type: 'trend',
+      strategyType: 'EMA_CROSSOVER',
+      complexity: 'Beginner'
+    },
+    {
+      id: 'mean_reversion',
+      name: 'Mean Reversion',
+      description: 'Fades closes outside the Bollinger Bands when RSI is stretched',
+      type: 'mean_reversion',
+      strategyType: 'MEAN_REVERSION',
       complexity: 'Beginner'
     }
   ];
 
+  // A template starts a new, unsaved strategy in the visual builder
+  const applyTemplate = (template) => {
+    changeStrategyType(template.strategyType);
+    setStrategy(current => ({
+      ...current,
+      id: undefined,
+      name: template.name,
+      description: template.description,
+      type: template.type
+    }));
+    setSaveStatus(null);
+    setActiveTab('visual');
+  };
+
   const TabButton = ({ id, label, icon: Icon, active }) => (
     <button
       onClick={() => setActiveTab(id)}
@@ -66,6 +880,134 @@ const StrategyBuilder = () => {
     </button>
   );
 
+  const renderOperand = (operand, onChange) => (
+    <div className="flex items-center gap-2">
+      <select
+        value={operandKey(operand)}
+        onChange={(e) => onChange(parseOperandKey(e.target.value, operand))}
+        className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-sm"
+      >
+        {operandOptions().map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        {!operandOptions().some(option => option.value === operandKey(operand)) && (
+          <option value={operandKey(operand)}>{describeOperand(operand)} (missing)</option>
+        )}
+      </select>
+      {typeof operand === 'number' && (
+        <input
+          type="number"
+          step="any"
+          value={operand}
+          onChange={(e) => onChange(parseFloat(e.target.value) || 0)}
+          className="w-24 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-sm"
+        />
+      )}
+    </div>
+  );
+
+  const renderConditions = () => (
+    <div className="bg-slate-800 border border-slate-700 rounded-lg">
+      <div className="p-6 border-b border-slate-700">
+        <h3 className="text-lg font-semibold">Conditions</h3>
+        <p className="text-sm text-slate-400 mt-1">
+          Evaluated on each closed bar. Entries need the entry filter too; exits close the open position early.
+        </p>
+      </div>
+      <div className="p-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {CONDITION_SLOTS.map(slot => {
+          const { match, rules } = conditions[slot.key];
+          return (
+            <div key={slot.key} className="bg-slate-900 rounded-lg p-4 space-y-3">
+              <div className="flex items-center justify-between">
+                <span className="font-medium">{slot.label}</span>
+                <div className="flex items-center gap-2">
+                  {rules.length > 1 && (
+                    <select
+                      value={match}
+                      onChange={(e) => updateConditionSlot(slot.key, { match: e.target.value })}
+                      className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-xs"
+                    >
+                      <option value="all">All must hold</option>
+                      <option value="any">Any may hold</option>
+                    </select>
+                  )}
+                  <button
+                    onClick={() => addConditionRule(slot.key)}
+                    className="p-1 hover:bg-slate-700 rounded"
+                    title="Add condition"
+                  >
+                    <Plus className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+              {rules.length === 0 && <div className="text-sm text-slate-500">No conditions</div>}
+              {rules.map((rule, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2">
+                  {rule.all || rule.any ? (
+                    <span className="text-sm text-slate-300 font-mono">{describeCondition(rule)}</span>
+                  ) : (
+                    <>
+                      {renderOperand(rule.left, (left) => updateConditionRule(slot.key, index, { left }))}
+                      <select
+                        value={rule.operator}
+                        onChange={(e) => updateConditionRule(slot.key, index, { operator: e.target.value })}
+                        className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-sm"
+                      >
+                        {CONDITION_OPERATORS.map(operator => (
+                          <option key={operator} value={operator}>{OPERATOR_LABELS[operator]}</option>
+                        ))}
+                      </select>
+                      {renderOperand(rule.right, (right) => updateConditionRule(slot.key, index, { right }))}
+                    </>
+                  )}
+                  <button
+                    onClick={() => updateConditionSlot(slot.key, { rules: rules.filter((_, position) => position !== index) })}
+                    className="p-1 hover:bg-slate-700 rounded text-red-400"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          );
+        })}
+        <div className="bg-slate-900 rounded-lg p-4 space-y-4">
+          <div>
+            <label className="block text-sm text-slate-400 mb-2">Trade Only In Kill Zones</label>
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(KILL_ZONES).map(([name, window]) => (
+                <button
+                  key={name}
+                  onClick={() => setRuleSettings({
+                    ...ruleSettings,
+                    killZones: ruleSettings.killZones.includes(name)
+                      ? ruleSettings.killZones.filter(zone => zone !== name)
+                      : [...ruleSettings.killZones, name]
+                  })}
+                  title={`${window.start}–${window.end}`}
+                  className={`px-3 py-1 rounded text-xs font-semibold ${
+                    ruleSettings.killZones.includes(name) ? 'bg-blue-500/20 text-blue-400' : 'bg-slate-800 text-slate-400'
+                  }`}
+                >
+                  {name.replace(/_/g, ' ')}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-slate-500 mt-2">None selected trades every session.</p>
+          </div>
+          <div>
+            <label className="block text-sm text-slate-400 mb-2">Session Timezone</label>
+            <input
+              type="text"
+              value={entrySettings.timezone}
+              onChange={(e) => setEntrySettings({ ...entrySettings, timezone: e.target.value })}
+              className="w-full bg-slate-800 border border-slate-700 rounded px-3 py-2"
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+
   const renderVisualBuilder = () => (
     <div className="space-y-6">
       {/* Strategy Header */}
@@ -94,6 +1036,101 @@ const StrategyBuilder = () => {
               <option value="breakout">Breakout</option>
             </select>
           </div>
+          <div>
+            <label className="block text-sm text-slate-400 mb-2">Rules</label>
+            <select
+              value={strategyType}
+              onChange={(e) => changeStrategyType(e.target.value)}
+              disabled={Boolean(strategy.id)}
+              title={strategy.id ? 'A saved strategy keeps its rule type' : undefined}
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 disabled:opacity-60"
+            >
+              {STRATEGY_TYPE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-slate-400 mb-2">Open Saved Strategy</label>
+            <select
+              value={strategy.id || ''}
+              onChange={(e) => {
+                const record = savedStrategies.find(saved => saved.id === e.target.value);
+                if (record) openSavedStrategy(record);
+              }}
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+            >
+              <option value="">New strategy</option>
+              {savedStrategies.map(saved => (
+                <option key={saved.id} value={saved.id}>{saved.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-slate-400 mb-2">Symbol</label>
+            <input
+              type="text"
+              value={strategy.instruments[0] || ''}
+              onChange={(e) => setStrategy({
+                ...strategy,
+                instruments: [e.target.value.toUpperCase(), ...strategy.instruments.slice(1)]
+              })}
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+            />
+          </div>
+          <div>
+            <label className="block text-sm text-slate-400 mb-2">Timeframe</label>
+            <select
+              value={strategy.timeframes[0]}
+              onChange={(e) => setStrategy({
+                ...strategy,
+                timeframes: [e.target.value, ...strategy.timeframes.slice(1).filter(timeframe => isHigherTimeframe(timeframe, e.target.value))]
+              })}
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+            >
+              {TIMEFRAME_OPTIONS.map(timeframe => (
+                <option key={timeframe} value={timeframe}>{timeframe}</option>
+              ))}
+            </select>
+          </div>
+          {strategyType === 'ICT_STRATEGY' && (
+            <div>
+              <label className="block text-sm text-slate-400 mb-2">Higher Timeframes</label>
+              <div className="flex flex-wrap gap-2">
+                {TIMEFRAME_OPTIONS.filter(timeframe => isHigherTimeframe(timeframe, strategy.timeframes[0])).map(timeframe => {
+                  const selected = strategy.timeframes.includes(timeframe);
+                  return (
+                    <button
+                      key={timeframe}
+                      onClick={() => setStrategy({
+                        ...strategy,
+                        timeframes: selected
+                          ? strategy.timeframes.filter(other => other !== timeframe)
+                          : [...strategy.timeframes, timeframe]
+                      })}
+                      className={`px-3 py-1 rounded text-sm ${selected ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`}
+                    >
+                      {timeframe}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+          {strategyType === 'CUSTOM' && (
+            <label className="flex items-start gap-3 p-3 bg-slate-900 rounded-lg cursor-pointer">
+              <input
+                type="checkbox"
+                checked={strategy.orderBook}
+                onChange={(e) => setStrategy({ ...strategy, orderBook: e.target.checked })}
+                className="mt-1"
+              />
+              <div>
+                <div className="font-medium">Live order book</div>
+                <div className="text-xs text-slate-400">ctx.book and ctx.depthAt(price) on each bar when running live; null in backtests</div>
+              </div>
+            </label>
+          )}
           <div className="lg:col-span-2">
             <label className="block text-sm text-slate-400 mb-2">Description</label>
             <textarea
@@ -111,33 +1148,82 @@ const StrategyBuilder = () => {
           <div className="p-6 border-b border-slate-700">
             <div className="flex items-center justify-between">
               <h3 className="text-lg font-semibold">Technical Indicators</h3>
-              <button className="flex items-center gap-2 px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded text-sm">
-                <Plus className="w-4 h-4" />
-                Add Indicator
-              </button>
+              <div className="flex items-center gap-2">
+                <select
+                  value={newIndicatorType}
+                  onChange={(e) => setNewIndicatorType(e.target.value)}
+                  className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-sm"
+                >
+                  {Object.keys(INDICATORS).map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+                <button
+                  onClick={addIndicator}
+                  className="flex items-center gap-2 px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded text-sm"
+                >
+                  <Plus className="w-4 h-4" />
+                  Add Indicator
+                </button>
+              </div>
             </div>
           </div>
           <div className="p-6 space-y-4">
             {indicators.map((indicator) => (
-              <div key={indicator.id} className="flex items-center justify-between p-3 bg-slate-900 rounded-lg">
-                <div className="flex items-center gap-3">
+              <div key={indicator.id} className="p-3 bg-slate-900 rounded-lg">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-3">
+                    <div className="flex items-center gap-2">
+                      <div 
+                        className="w-3 h-3 rounded-full"
+                        style={{ backgroundColor: indicator.color }}
+                      />
+                      <span className="font-medium">{indicator.type}</span>
+                    </div>
+                    <span className="text-slate-400">({describeParams(indicator.params)})</span>
+                    {isDeclarative && <span className="text-xs text-slate-500 font-mono">{indicator.id}</span>}
+                  </div>
                   <div className="flex items-center gap-2">
-                    <div 
-                      className="w-3 h-3 rounded-full"
-                      style={{ backgroundColor: indicator.color }}
-                    />
-                    <span className="font-medium">{indicator.type}</span>
+                    <button
+                      onClick={() => setIndicators(indicators.map(item => (
+                        item.id === indicator.id ? { ...item, enabled: !item.enabled } : item
+                      )))}
+                      className="p-1 hover:bg-slate-700 rounded"
+                      title={indicator.enabled ? 'Disable' : 'Enable'}
+                    >
+                      {indicator.enabled ? <Eye className="w-4 h-4" /> : <EyeOff className="w-4 h-4 text-slate-500" />}
+                    </button>
+                    <button
+                      onClick={() => setEditingIndicator(editingIndicator === indicator.id ? null : indicator.id)}
+                      className="p-1 hover:bg-slate-700 rounded"
+                    >
+                      <Settings className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => setIndicators(indicators.filter(item => item.id !== indicator.id))}
+                      className="p-1 hover:bg-slate-700 rounded text-red-400"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
                   </div>
-                  <span className="text-slate-400">({indicator.period})</span>
-                </div>
-                <div className="flex items-center gap-2">
-                  <button className="p-1 hover:bg-slate-700 rounded">
-                    <Settings className="w-4 h-4" />
-                  </button>
-                  <button className="p-1 hover:bg-slate-700 rounded text-red-400">
-                    <Trash2 className="w-4 h-4" />
-                  </button>
                 </div>
+                {editingIndicator === indicator.id && (
+                  <div className="grid grid-cols-3 gap-3 mt-3">
+                    {Object.entries(indicator.params).map(([key, value]) => (
+                      <div key={key}>
+                        <label className="block text-xs text-slate-400 mb-1">{key}</label>
+                        <input
+                          type={typeof value === 'number' ? 'number' : 'text'}
+                          value={value}
+                          onChange={(e) => updateIndicatorParam(
+                            indicator.id,
+                            key,
+                            typeof value === 'number' ? parseFloat(e.target.value) : e.target.value
+                          )}
+                          className="w-full bg-slate-800 border border-slate-700 rounded px-2 py-1 text-sm"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -189,6 +1275,33 @@ const StrategyBuilder = () => {
               </div>
             </div>
             
+            {isDeclarative && (
+              <div className="grid grid-cols-3 gap-4">
+                {[['stopType', 'Stop Loss In'], ['takeProfitType', 'Take Profit In']].map(([key, label]) => (
+                  <div key={key}>
+                    <label className="block text-sm text-slate-400 mb-2">{label}</label>
+                    <select
+                      value={ruleSettings[key]}
+                      onChange={(e) => setRuleSettings({ ...ruleSettings, [key]: e.target.value })}
+                      className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+                    >
+                      {STOP_TYPES.map(type => <option key={type} value={type}>{type.toLowerCase()}</option>)}
+                    </select>
+                  </div>
+                ))}
+                <div>
+                  <label className="block text-sm text-slate-400 mb-2">ATR Period</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={ruleSettings.atrPeriod}
+                    onChange={(e) => setRuleSettings({ ...ruleSettings, atrPeriod: parseInt(e.target.value) })}
+                    className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+                  />
+                </div>
+              </div>
+            )}
+            
             <div className="flex items-center justify-between pt-2">
               <span className="text-sm text-slate-400">Trailing Stop:</span>
               <button
@@ -203,6 +1316,157 @@ const StrategyBuilder = () => {
           </div>
         </div>
       </div>
+
+      {/* Entry Rules: conditions for a strategy definition, the rule checklist for ICT */}
+      {strategyType === 'CUSTOM' && (
+        <div className="bg-slate-800 border border-slate-700 rounded-lg p-6 flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold">Entry Rules</h3>
+            <p className="text-sm text-slate-400 mt-1">This strategy trades from its own JavaScript.</p>
+          </div>
+          <button
+            onClick={() => setActiveTab('code')}
+            className="flex items-center gap-2 px-3 py-2 bg-blue-600 hover:bg-blue-700 rounded text-sm"
+          >
+            <Code className="w-4 h-4" />
+            Open Code Editor
+          </button>
+        </div>
+      )}
+      {isDeclarative && renderConditions()}
+      {strategyType === 'ICT_STRATEGY' && (
+        <div className="bg-slate-800 border border-slate-700 rounded-lg">
+          <div className="p-6 border-b border-slate-700">
+            <h3 className="text-lg font-semibold">Entry Rules</h3>
+            <p className="text-sm text-slate-400 mt-1">Every checked rule must hold on the same bar to enter.</p>
+          </div>
+          <div className="p-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2 grid grid-cols-1 md:grid-cols-2 gap-3">
+              {ENTRY_RULE_OPTIONS.map(rule => (
+                <label key={rule.value} className="flex items-start gap-3 p-3 bg-slate-900 rounded-lg cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={entrySettings.entryRules.includes(rule.value)}
+                    onChange={() => toggleListSetting('entryRules', rule.value)}
+                    className="mt-1"
+                  />
+                  <div>
+                    <div className="font-medium">{rule.label}</div>
+                    <div className="text-xs text-slate-400">{rule.description}</div>
+                  </div>
+                </label>
+              ))}
+            </div>
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm text-slate-400 mb-2">Kill Zones</label>
+                <div className="flex flex-wrap gap-2">
+                  {Object.entries(KILL_ZONES).map(([name, window]) => (
+                    <button
+                      key={name}
+                      onClick={() => toggleListSetting('killZones', name)}
+                      title={`${window.start}–${window.end}`}
+                      className={`px-3 py-1 rounded text-xs font-semibold ${
+                        entrySettings.killZones.includes(name) ? 'bg-blue-500/20 text-blue-400' : 'bg-slate-900 text-slate-400'
+                      }`}
+                    >
+                      {name.replace(/_/g, ' ')}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm text-slate-400 mb-2">Session Timezone</label>
+                <input
+                  type="text"
+                  value={entrySettings.timezone}
+                  onChange={(e) => setEntrySettings({ ...entrySettings, timezone: e.target.value })}
+                  className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm text-slate-400 mb-2">Swing Strength</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={entrySettings.swingStrength}
+                    onChange={(e) => setEntrySettings({ ...entrySettings, swingStrength: parseInt(e.target.value) })}
+                    className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm text-slate-400 mb-2">Signal Lookback (bars)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={entrySettings.lookbackBars}
+                    onChange={(e) => setEntrySettings({ ...entrySettings, lookbackBars: parseInt(e.target.value) })}
+                    className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+                  />
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+
+  const renderCodeEditor = () => (
+    <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+      <div className="xl:col-span-2 bg-slate-800 border border-slate-700 rounded-lg">
+        <div className="p-6 border-b border-slate-700 flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold">Code Editor</h3>
+            <p className="text-sm text-slate-400 mt-1">
+              Runs sandboxed: no network, files or timers, at most 100 ms per call and 64 MB of memory.
+            </p>
+          </div>
+          {strategyType !== 'CUSTOM' && (
+            <button
+              onClick={() => setStrategyType('CUSTOM')}
+              disabled={Boolean(strategy.id)}
+              title={strategy.id ? 'A saved strategy keeps its rule type' : undefined}
+              className="flex items-center gap-2 px-3 py-2 bg-blue-600 hover:bg-blue-700 rounded text-sm disabled:opacity-60"
+            >
+              <Code className="w-4 h-4" />
+              Trade This Code
+            </button>
+          )}
+        </div>
+        <div className="p-6 space-y-4">
+          <textarea
+            value={codeSettings.code}
+            onChange={(e) => setCodeSettings({ ...codeSettings, code: e.target.value })}
+            spellCheck={false}
+            className="w-full h-[480px] bg-slate-900 border border-slate-700 rounded p-4 font-mono text-sm text-slate-200 resize-y"
+          />
+          <div>
+            <label className="block text-sm text-slate-400 mb-2">Params (JSON, read as ctx.params; optimizable as params.name)</label>
+            <textarea
+              value={codeSettings.params}
+              onChange={(e) => setCodeSettings({ ...codeSettings, params: e.target.value })}
+              spellCheck={false}
+              className="w-full h-28 bg-slate-900 border border-slate-700 rounded p-4 font-mono text-sm text-slate-200 resize-y"
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-slate-800 border border-slate-700 rounded-lg">
+        <div className="p-6 border-b border-slate-700">
+          <h3 className="text-lg font-semibold">Strategy API</h3>
+        </div>
+        <div className="p-6 space-y-3">
+          {CODE_API_REFERENCE.map(([name, description]) => (
+            <div key={name}>
+              <div className="font-mono text-sm text-blue-400">{name}</div>
+              <div className="text-xs text-slate-400">{description}</div>
+            </div>
+          ))}
+        </div>
+      </div>
     </div>
   );
 
@@ -255,7 +1519,10 @@ const StrategyBuilder = () => {
             </div>
 
             <div className="flex items-center gap-2">
-              <button className="flex-1 flex items-center justify-center gap-2 py-2 bg-blue-600 hover:bg-blue-700 rounded font-medium transition-colors">
+              <button
+                onClick={() => applyTemplate(template)}
+                className="flex-1 flex items-center justify-center gap-2 py-2 bg-blue-600 hover:bg-blue-700 rounded font-medium transition-colors"
+              >
                 <Copy className="w-4 h-4" />
                 Use Template
               </button>
@@ -269,6 +1536,823 @@ const StrategyBuilder = () => {
     </div>
   );
 
+  const renderBacktest = () => {
+    const result = strategy.backtestResults;
+    const stats = result?.stats;
+    const settingField = (key, label, step = 'any') => (
+      <div>
+        <label className="block text-sm text-slate-400 mb-2">{label}</label>
+        <input
+          type="number"
+          step={step}
+          value={backtestSettings[key]}
+          onChange={(e) => setBacktestSettings({ ...backtestSettings, [key]: e.target.value })}
+          className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+        />
+      </div>
+    );
+    const statCards = stats ? [
+      { label: 'Net Profit', value: formatSigned(stats.netProfit), positive: stats.netProfit >= 0 },
+      { label: 'Return', value: `${formatSigned(stats.totalReturnPercent)}%`, positive: stats.totalReturnPercent >= 0 },
+      { label: 'Win Rate', value: `${formatNumber(stats.winRate, 1)}%` },
+      { label: 'Profit Factor', value: stats.profitFactor === null ? '∞' : formatNumber(stats.profitFactor) },
+      { label: 'Max Drawdown', value: `${formatNumber(stats.maxDrawdownPercent)}%`, positive: false },
+      { label: 'Sharpe', value: formatNumber(stats.sharpeRatio) },
+      { label: 'Trades', value: stats.totalTrades },
+      { label: 'Costs', value: formatNumber(stats.totalCommission + stats.totalSlippage) }
+    ] : [];
+
+    return (
+      <div className="space-y-6">
+        {/* Run settings */}
+        <div className="bg-slate-800 border border-slate-700 rounded-lg p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">Backtest</h3>
+            <button
+              onClick={runBacktest}
+              disabled={!backtestSettings.strategyId || isBacktesting}
+              className="flex items-center gap-2 px-6 py-2 bg-green-600 hover:bg-green-700 disabled:bg-slate-600 rounded-lg font-medium transition-colors"
+            >
+              {isBacktesting ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+              {isBacktesting ? 'Running...' : 'Start Backtest'}
+            </button>
+          </div>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <div className="col-span-2">
+              <label className="block text-sm text-slate-400 mb-2">Strategy</label>
+              <select
+                value={backtestSettings.strategyId}
+                onChange={(e) => setBacktestSettings({ ...backtestSettings, strategyId: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+              >
+                <option value="">Select a saved strategy</option>
+                {savedStrategies.map(saved => (
+                  <option key={saved.id} value={saved.id}>
+                    {saved.name} ({saved.config?.symbol || saved.config?.instruments?.[0]} {saved.config?.timeframe || saved.config?.timeframes?.[0]})
+                  </option>
+                ))}
+              </select>
+            </div>
+            {settingField('days', 'Lookback (days)', '1')}
+            {settingField('initialCapital', 'Initial Capital')}
+            {settingField('commissionPercent', 'Commission (%)')}
+            {settingField('slippageBps', 'Slippage (bps)')}
+            {settingField('multiplier', 'Point Value')}
+            <div>
+              <label className="block text-sm text-slate-400 mb-2">Stop vs Target in One Bar</label>
+              <select
+                value={backtestSettings.intrabar}
+                onChange={(e) => setBacktestSettings({ ...backtestSettings, intrabar: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+              >
+                <option value="CONSERVATIVE">Stop first</option>
+                <option value="OHLC">Follow bar path</option>
+              </select>
+            </div>
+          </div>
+          {!backtestSettings.strategyId && (
+            <p className="flex items-center gap-2 text-sm text-slate-400 mt-4">
+              <Info className="w-4 h-4" />
+              Save the strategy to backtest its current settings.
+            </p>
+          )}
+          {backtestError && (
+            <p className="flex items-center gap-2 text-sm text-red-400 mt-4">
+              <AlertTriangle className="w-4 h-4" />
+              {backtestError}
+            </p>
+          )}
+        </div>
+
+        {!result ? (
+          <div className="bg-slate-800 border border-slate-700 rounded-lg p-6">
+            <div className="text-center text-slate-400 py-12">
+              <BarChart3 className="w-16 h-16 mx-auto mb-4" />
+              <p>Run a backtest to see historical performance</p>
+            </div>
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className="grid grid-cols-2 md:grid-cols-4 xl:grid-cols-8 gap-4">
+              {statCards.map(card => (
+                <div key={card.label} className="bg-slate-800 border border-slate-700 rounded-lg p-4">
+                  <div className="text-xs text-slate-400">{card.label}</div>
+                  <div className={`text-lg font-semibold mt-1 ${
+                    card.positive === undefined ? '' : card.positive ? 'text-green-400' : 'text-red-400'
+                  }`}>
+                    {card.value}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {/* Equity curve */}
+            <div className="bg-slate-800 border border-slate-700 rounded-lg p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold">Equity Curve</h3>
+                <span className="text-sm text-slate-400">
+                  {result.symbol} {result.interval} · {formatTime(stats.startTime)} – {formatTime(stats.endTime)}
+                </span>
+              </div>
+              <div className="h-72">
+                <ResponsiveContainer width="100%" height="100%">
+                  <AreaChart data={result.equityCurve}>
+                    <CartesianGrid stroke="#334155" strokeDasharray="3 3" />
+                    <XAxis
+                      dataKey="timestamp"
+                      tickFormatter={(timestamp) => new Date(timestamp).toLocaleDateString()}
+                      stroke="#94A3B8"
+                      fontSize={12}
+                    />
+                    <YAxis domain={['auto', 'auto']} stroke="#94A3B8" fontSize={12} />
+                    <Tooltip
+                      labelFormatter={formatTime}
+                      formatter={(value) => [formatNumber(value), 'Equity']}
+                      contentStyle={{ backgroundColor: '#0F172A', border: '1px solid #334155' }}
+                    />
+                    <Area type="monotone" dataKey="equity" stroke="#3B82F6" fill="#3B82F6" fillOpacity={0.15} />
+                  </AreaChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            {/* Trades */}
+            {result.trades && (
+              <div className="bg-slate-800 border border-slate-700 rounded-lg">
+                <div className="p-6 border-b border-slate-700">
+                  <h3 className="text-lg font-semibold">Trades ({result.trades.length})</h3>
+                </div>
+                <div className="max-h-96 overflow-y-auto">
+                  <table className="w-full text-sm">
+                    <thead className="text-slate-400 sticky top-0 bg-slate-800">
+                      <tr>
+                        <th className="text-left px-4 py-2">Side</th>
+                        <th className="text-left px-4 py-2">Entry</th>
+                        <th className="text-right px-4 py-2">Entry Price</th>
+                        <th className="text-left px-4 py-2">Exit</th>
+                        <th className="text-right px-4 py-2">Exit Price</th>
+                        <th className="text-left px-4 py-2">Reason</th>
+                        <th className="text-right px-4 py-2">P&L</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.trades.map((trade, index) => (
+                        <tr key={index} className="border-t border-slate-700">
+                          <td className={`px-4 py-2 font-semibold ${trade.side === 'LONG' ? 'text-green-400' : 'text-red-400'}`}>
+                            {trade.side} {trade.quantity}
+                          </td>
+                          <td className="px-4 py-2 text-slate-300">{formatTime(trade.entryTime)}</td>
+                          <td className="px-4 py-2 text-right">{formatNumber(trade.entryPrice)}</td>
+                          <td className="px-4 py-2 text-slate-300">{formatTime(trade.exitTime)}</td>
+                          <td className="px-4 py-2 text-right">{formatNumber(trade.exitPrice)}</td>
+                          <td className="px-4 py-2 text-slate-400">{trade.exitReason.replace(/_/g, ' ').toLowerCase()}</td>
+                          <td className={`px-4 py-2 text-right font-semibold ${trade.pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                            {formatSigned(trade.pnl)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+
+        {backtestSettings.strategyId && renderRobustness()}
+
+        {/* Stored runs */}
+        {backtests.length > 0 && (
+          <div className="bg-slate-800 border border-slate-700 rounded-lg">
+            <div className="p-6 border-b border-slate-700">
+              <h3 className="text-lg font-semibold">Previous Runs</h3>
+            </div>
+            <div className="p-6 space-y-2">
+              {backtests.map(backtest => (
+                <div
+                  key={backtest.id}
+                  className={`flex items-center justify-between p-3 rounded-lg ${
+                    result?.id === backtest.id ? 'bg-blue-600/20 border border-blue-500/40' : 'bg-slate-900'
+                  }`}
+                >
+                  <button onClick={() => openBacktest(backtest.id)} className="flex-1 text-left">
+                    <div className="font-medium">
+                      {backtest.symbol} {backtest.interval} · {new Date(backtest.startTime).toLocaleDateString()} – {new Date(backtest.endTime).toLocaleDateString()}
+                    </div>
+                    <div className="text-xs text-slate-400">
+                      {backtest.stats.totalTrades} trades · win rate {formatNumber(backtest.stats.winRate, 1)}% · run {formatTime(backtest.createdAt)}
+                    </div>
+                  </button>
+                  <div className="flex items-center gap-3">
+                    <span className={`font-semibold ${backtest.stats.netProfit >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                      {formatSigned(backtest.stats.netProfit)}
+                    </span>
+                    <button onClick={() => deleteBacktest(backtest.id)} className="p-1 hover:bg-slate-700 rounded text-red-400">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderRobustness = () => {
+    const report = robustness?.report;
+    const methodLabels = { SHUFFLE: 'Shuffled order', BOOTSTRAP: 'Bootstrap', SKIP: 'Skipped trades' };
+    const interval = (range, digits = 1) => (range ? `${formatNumber(range.lower, digits)} – ${formatNumber(range.upper, digits)}%` : '—');
+    const settingField = (key, label) => (
+      <div>
+        <label className="block text-sm text-slate-400 mb-2">{label}</label>
+        <input
+          type="number"
+          value={robustnessSettings[key]}
+          onChange={(e) => setRobustnessSettings({ ...robustnessSettings, [key]: e.target.value })}
+          className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+        />
+      </div>
+    );
+    const canRun = robustnessSettings.source !== 'BACKTEST' || strategy.backtestResults?.id;
+
+    return (
+      <div className="bg-slate-800 border border-slate-700 rounded-lg p-6 space-y-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold">Robustness</h3>
+            <p className="text-sm text-slate-400">Monte Carlo runs over the closed trades: how fragile is this result?</p>
+          </div>
+          <button
+            onClick={runRobustness}
+            disabled={!canRun || isAnalyzing || (robustnessSettings.source === 'IMPORT' && !importedTrades)}
+            className="flex items-center gap-2 px-6 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-slate-600 rounded-lg font-medium transition-colors"
+          >
+            {isAnalyzing ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Zap className="w-4 h-4" />}
+            {isAnalyzing ? 'Simulating...' : 'Run Monte Carlo'}
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 lg:grid-cols-5 gap-4">
+          <div>
+            <label className="block text-sm text-slate-400 mb-2">Trades</label>
+            <select
+              value={robustnessSettings.source}
+              onChange={(e) => setRobustnessSettings({ ...robustnessSettings, source: e.target.value })}
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+            >
+              <option value="BACKTEST">Open backtest</option>
+              <option value="LIVE">Live trades</option>
+              <option value="IMPORT">Imported simulation</option>
+            </select>
+          </div>
+          {settingField('simulations', 'Simulations')}
+          {settingField('skipPercent', 'Missed Trades (%)')}
+          {settingField('ruinPercent', 'Ruin at Loss (%)')}
+          {settingField('confidence', 'Confidence (%)')}
+        </div>
+        {robustnessSettings.source === 'IMPORT' && (
+          <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer w-fit">
+            <Upload className="w-4 h-4" />
+            {importedTrades ? `${importedTrades.name} (${importedTrades.rows.length} trades)` : 'Import trades (JSON or CSV: pnl, entryTime, exitTime)'}
+            <input type="file" accept=".json,.csv" onChange={importTrades} className="hidden" />
+          </label>
+        )}
+        {robustnessSettings.source === 'BACKTEST' && !strategy.backtestResults?.id && (
+          <p className="flex items-center gap-2 text-sm text-slate-400">
+            <Info className="w-4 h-4" />
+            Run or open a backtest to analyze its trades.
+          </p>
+        )}
+        {robustnessError && (
+          <p className="flex items-center gap-2 text-sm text-red-400">
+            <AlertTriangle className="w-4 h-4" />
+            {robustnessError}
+          </p>
+        )}
+
+        {report && (
+          <>
+            {/* The single path against the distributions, next to the strategy's live record */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div className="bg-slate-900 rounded-lg p-4">
+                <div className="text-xs text-slate-400">Live Max Drawdown</div>
+                <div className="text-lg font-semibold mt-1">{formatNumber(robustness.strategy.maxDrawdown)}</div>
+                <div className="text-xs text-slate-500">{robustness.strategy.totalTrades} live trades</div>
+              </div>
+              <div className="bg-slate-900 rounded-lg p-4">
+                <div className="text-xs text-slate-400">Live Win Rate</div>
+                <div className="text-lg font-semibold mt-1">{formatNumber(robustness.strategy.winRate, 1)}%</div>
+              </div>
+              <div className="bg-slate-900 rounded-lg p-4">
+                <div className="text-xs text-slate-400">Analyzed Max Drawdown</div>
+                <div className="text-lg font-semibold mt-1">{formatNumber(report.original.maxDrawdownPercent)}%</div>
+                <div className="text-xs text-slate-500">{report.trades} trades, as they happened</div>
+              </div>
+              <div className="bg-slate-900 rounded-lg p-4">
+                <div className="text-xs text-slate-400">Analyzed Win Rate</div>
+                <div className="text-lg font-semibold mt-1">{formatNumber(report.original.winRate, 1)}%</div>
+                <div className="text-xs text-slate-500">CAGR {report.original.cagr === null ? '—' : `${formatNumber(report.original.cagr, 1)}%`}</div>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="text-slate-400">
+                  <tr>
+                    <th className="text-left px-4 py-2">Simulation</th>
+                    <th className="text-right px-4 py-2">Median DD</th>
+                    <th className="text-right px-4 py-2">95th DD</th>
+                    <th className="text-right px-4 py-2">99th DD</th>
+                    <th className="text-right px-4 py-2">Risk of Ruin</th>
+                    <th className="text-right px-4 py-2">CAGR ({report.settings.confidence}%)</th>
+                    <th className="text-right px-4 py-2">Win Rate ({report.settings.confidence}%)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(report.methods).map(([method, summary]) => (
+                    <tr key={method} className="border-t border-slate-700">
+                      <td className="px-4 py-2">{methodLabels[method] || method}</td>
+                      <td className="px-4 py-2 text-right">{formatNumber(summary.maxDrawdownPercent.percentiles[50])}%</td>
+                      <td className="px-4 py-2 text-right">{formatNumber(summary.maxDrawdownPercent.percentiles[95])}%</td>
+                      <td className="px-4 py-2 text-right text-red-400">{formatNumber(summary.maxDrawdownPercent.percentiles[99])}%</td>
+                      <td className={`px-4 py-2 text-right font-semibold ${summary.riskOfRuin > 5 ? 'text-red-400' : 'text-green-400'}`}>
+                        {formatNumber(summary.riskOfRuin, 1)}%
+                      </td>
+                      <td className="px-4 py-2 text-right">{interval(summary.cagr)}</td>
+                      <td className="px-4 py-2 text-right">{interval(summary.winRate)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div>
+              <h4 className="text-sm text-slate-400 mb-2">Max drawdown distribution (bootstrap)</h4>
+              <div className="h-56">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={report.methods.BOOTSTRAP.maxDrawdownPercent.histogram.map(bin => ({
+                    label: `${formatNumber(bin.from, 1)}%`,
+                    count: bin.count
+                  }))}>
+                    <CartesianGrid stroke="#334155" strokeDasharray="3 3" />
+                    <XAxis dataKey="label" stroke="#94A3B8" fontSize={12} />
+                    <YAxis stroke="#94A3B8" fontSize={12} />
+                    <Tooltip
+                      formatter={(value) => [value, 'Runs']}
+                      contentStyle={{ backgroundColor: '#0F172A', border: '1px solid #334155' }}
+                    />
+                    <Bar dataKey="count" fill="#8B5CF6" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderHeatmap = (job) => {
+    const keys = job.parameters.map(parameter => parameter.key);
+    const xKey = heatmapAxes.x || keys[0];
+    const yKey = heatmapAxes.y || keys.find(key => key !== xKey) || null;
+    const sortedValues = (key) => [...new Set(job.results.map(result => result.params[key]))].sort((a, b) => a - b);
+    const xValues = sortedValues(xKey);
+    const yValues = yKey ? sortedValues(yKey).reverse() : [null];
+
+    // Each cell shows the best score over the parameters not on an axis
+    const cells = new Map();
+    job.results.forEach(result => {
+      const cellKey = `${result.params[xKey]}:${yKey ? result.params[yKey] : ''}`;
+      const current = cells.get(cellKey);
+      if (result.score !== null && (current === undefined || current === null || result.score > current)) {
+        cells.set(cellKey, result.score);
+      } else if (current === undefined) {
+        cells.set(cellKey, null);
+      }
+    });
+    const scores = [...cells.values()].filter(score => score !== null);
+    const min = Math.min(...scores);
+    const max = Math.max(...scores);
+    const axisSelect = (axis, value, allowNone) => (
+      <select
+        value={value || ''}
+        onChange={(e) => setHeatmapAxes({ ...heatmapAxes, [axis]: e.target.value })}
+        className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-sm"
+      >
+        {allowNone && <option value="">None</option>}
+        {keys.map(key => <option key={key} value={key}>{parameterLabel(key)}</option>)}
+      </select>
+    );
+
+    return (
+      <div className="bg-slate-800 border border-slate-700 rounded-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Heatmap</h3>
+          <div className="flex items-center gap-3 text-sm text-slate-400">
+            X {axisSelect('x', xKey, false)}
+            Y {axisSelect('y', yKey, true)}
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <div
+            className="grid gap-1 text-xs"
+            style={{ gridTemplateColumns: `auto repeat(${xValues.length}, minmax(3.5rem, 1fr))` }}
+          >
+            {yValues.map(y => (
+              <React.Fragment key={`row-${y}`}>
+                <div className="flex items-center justify-end pr-2 text-slate-400">{y ?? ''}</div>
+                {xValues.map(x => {
+                  const score = cells.get(`${x}:${y ?? ''}`);
+                  return (
+                    <div
+                      key={`${x}:${y}`}
+                      title={`${parameterLabel(xKey)} ${x}${yKey ? ` · ${parameterLabel(yKey)} ${y}` : ''}: ${formatNumber(score)}`}
+                      className="h-10 flex items-center justify-center rounded font-medium"
+                      style={{ backgroundColor: heatColor(score, min, max) }}
+                    >
+                      {formatNumber(score)}
+                    </div>
+                  );
+                })}
+              </React.Fragment>
+            ))}
+            <div />
+            {xValues.map(x => <div key={`axis-${x}`} className="text-center text-slate-400 pt-1">{x}</div>)}
+          </div>
+        </div>
+        <p className="text-xs text-slate-500 mt-3">
+          {parameterLabel(xKey)} across{yKey ? `, ${parameterLabel(yKey)} down` : ''}. Blank cells had too few trades to score.
+        </p>
+      </div>
+    );
+  };
+
+  const renderOptimize = () => {
+    const job = optimization;
+    const isActive = job && ACTIVE_JOB_STATUSES.includes(job.status);
+    const enabledCount = optimizeSettings.parameters.filter(parameter => parameter.enabled).length;
+    const combinations = optimizeSettings.parameters
+      .filter(parameter => parameter.enabled)
+      .reduce((product, { min, max, step }) => product * (Math.floor((max - min) / step + 1e-9) + 1 || 0), 1);
+    const updateParameter = (key, changes) => setOptimizeSettings({
+      ...optimizeSettings,
+      parameters: optimizeSettings.parameters.map(parameter => (parameter.key === key ? { ...parameter, ...changes } : parameter))
+    });
+    const settingField = (key, label, step = '1') => (
+      <div>
+        <label className="block text-sm text-slate-400 mb-2">{label}</label>
+        <input
+          type="number"
+          step={step}
+          value={optimizeSettings[key]}
+          onChange={(e) => setOptimizeSettings({ ...optimizeSettings, [key]: e.target.value })}
+          className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+        />
+      </div>
+    );
+    const walkForward = job?.walkForwardResults;
+
+    return (
+      <div className="space-y-6">
+        {/* Job settings */}
+        <div className="bg-slate-800 border border-slate-700 rounded-lg p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">Parameter Optimization</h3>
+            <button
+              onClick={runOptimization}
+              disabled={!backtestSettings.strategyId || enabledCount === 0}
+              className="flex items-center gap-2 px-6 py-2 bg-green-600 hover:bg-green-700 disabled:bg-slate-600 rounded-lg font-medium transition-colors"
+            >
+              <Zap className="w-4 h-4" />
+              Run Optimization
+            </button>
+          </div>
+
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+            <div className="col-span-2">
+              <label className="block text-sm text-slate-400 mb-2">Strategy</label>
+              <select
+                value={backtestSettings.strategyId}
+                onChange={(e) => setBacktestSettings({ ...backtestSettings, strategyId: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+              >
+                <option value="">Select a saved strategy</option>
+                {savedStrategies.map(saved => (
+                  <option key={saved.id} value={saved.id}>{saved.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm text-slate-400 mb-2">Objective</label>
+              <select
+                value={optimizeSettings.objective}
+                onChange={(e) => setOptimizeSettings({ ...optimizeSettings, objective: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+              >
+                {OBJECTIVE_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm text-slate-400 mb-2">Search</label>
+              <select
+                value={optimizeSettings.method}
+                onChange={(e) => setOptimizeSettings({ ...optimizeSettings, method: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2"
+              >
+                <option value="GRID">Grid (every combination)</option>
+                <option value="RANDOM">Random sample</option>
+              </select>
+            </div>
+            {optimizeSettings.method === 'RANDOM' && settingField('samples', 'Samples')}
+            {optimizeSettings.method === 'RANDOM' && settingField('seed', 'Seed')}
+            {settingField('minTrades', 'Min Trades to Rank')}
+            <div>
+              <label className="block text-sm text-slate-400 mb-2">Candles</label>
+              <div className="flex items-center gap-2">
+                <label className="flex items-center gap-2 px-3 py-2 bg-slate-900 border border-slate-700 rounded cursor-pointer hover:bg-slate-700 text-sm">
+                  <Upload className="w-4 h-4" />
+                  {importedCandles ? importedCandles.name : `Stored (${backtestSettings.days}d)`}
+                  <input type="file" accept=".csv,.json" onChange={importCandles} className="hidden" />
+                </label>
+                {importedCandles && (
+                  <button onClick={() => setImportedCandles(null)} className="p-1 hover:bg-slate-700 rounded text-slate-400">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+
+          {/* Parameter ranges */}
+          <div className="space-y-2 mb-6">
+            {optimizeSettings.parameters.map(parameter => (
+              <div key={parameter.key} className="grid grid-cols-12 gap-3 items-center">
+                <label className="col-span-4 flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={parameter.enabled}
+                    onChange={(e) => updateParameter(parameter.key, { enabled: e.target.checked })}
+                  />
+                  {parameterLabel(parameter.key)}
+                </label>
+                {['min', 'max', 'step'].map(field => (
+                  <div key={field} className="col-span-2 flex items-center gap-2">
+                    <span className="text-xs text-slate-400 w-8">{field}</span>
+                    <input
+                      type="number"
+                      step="any"
+                      value={parameter[field]}
+                      disabled={!parameter.enabled}
+                      onChange={(e) => updateParameter(parameter.key, { [field]: parseFloat(e.target.value) })}
+                      className="w-full bg-slate-900 border border-slate-700 rounded px-2 py-1 text-sm disabled:opacity-50"
+                    />
+                  </div>
+                ))}
+              </div>
+            ))}
+            <p className="text-xs text-slate-400">
+              {optimizeSettings.method === 'GRID'
+                ? `${combinations} combinations (max 1000)`
+                : `${Math.min(optimizeSettings.samples, combinations)} of ${combinations} combinations`}
+              {' '}· commission, slippage and capital from the Backtest tab
+            </p>
+          </div>
+
+          {/* Walk-forward */}
+          <div className="flex flex-wrap items-end gap-4">
+            <label className="flex items-center gap-2 text-sm pb-2">
+              <input
+                type="checkbox"
+                checked={optimizeSettings.walkForward}
+                onChange={(e) => setOptimizeSettings({ ...optimizeSettings, walkForward: e.target.checked })}
+              />
+              Walk-forward analysis
+            </label>
+            {optimizeSettings.walkForward && (
+              <>
+                {settingField('windows', 'Windows')}
+                {settingField('inSamplePercent', 'In-Sample (%)')}
+                <label className="flex items-center gap-2 text-sm pb-2">
+                  <input
+                    type="checkbox"
+                    checked={optimizeSettings.anchored}
+                    onChange={(e) => setOptimizeSettings({ ...optimizeSettings, anchored: e.target.checked })}
+                  />
+                  Anchored
+                </label>
+              </>
+            )}
+          </div>
+
+          {!backtestSettings.strategyId && (
+            <p className="flex items-center gap-2 text-sm text-slate-400 mt-4">
+              <Info className="w-4 h-4" />
+              Save the strategy to optimize its parameters.
+            </p>
+          )}
+          {optimizeError && (
+            <p className="flex items-center gap-2 text-sm text-red-400 mt-4">
+              <AlertTriangle className="w-4 h-4" />
+              {optimizeError}
+            </p>
+          )}
+        </div>
+
+        {/* Selected job */}
+        {job && (
+          <div className="bg-slate-800 border border-slate-700 rounded-lg p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <h3 className="text-lg font-semibold">
+                  {job.method === 'GRID' ? 'Grid' : 'Random'} search · {OBJECTIVE_OPTIONS.find(option => option.value === job.objective)?.label}
+                </h3>
+                <p className="text-sm text-slate-400">
+                  {job.settings.symbol} {job.settings.interval} · {job.settings.candles} candles · {job.settings.combinations} combinations
+                </p>
+              </div>
+              <div className="flex items-center gap-3">
+                <span className="text-sm text-slate-400">{job.status.toLowerCase()}</span>
+                {isActive && (
+                  <button
+                    onClick={() => cancelOptimization(job.id)}
+                    className="flex items-center gap-2 px-3 py-1 bg-red-600 hover:bg-red-700 rounded text-sm"
+                  >
+                    <Pause className="w-4 h-4" />
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </div>
+            {isActive && (
+              <div className="mt-4">
+                <div className="h-2 bg-slate-900 rounded">
+                  <div
+                    className="h-2 bg-blue-500 rounded transition-all"
+                    style={{ width: `${job.total ? (job.progress / job.total) * 100 : 0}%` }}
+                  />
+                </div>
+                <p className="text-xs text-slate-400 mt-1">{job.progress} / {job.total} backtests</p>
+              </div>
+            )}
+            {job.error && (
+              <p className="flex items-center gap-2 text-sm text-red-400 mt-4">
+                <AlertTriangle className="w-4 h-4" />
+                {job.error}
+              </p>
+            )}
+          </div>
+        )}
+
+        {job?.results && renderHeatmap(job)}
+
+        {/* Ranked results */}
+        {job?.results && (
+          <div className="bg-slate-800 border border-slate-700 rounded-lg">
+            <div className="p-6 border-b border-slate-700">
+              <h3 className="text-lg font-semibold">Ranked Results</h3>
+            </div>
+            <div className="max-h-96 overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead className="text-slate-400 sticky top-0 bg-slate-800">
+                  <tr>
+                    <th className="text-left px-4 py-2">#</th>
+                    <th className="text-left px-4 py-2">Parameters</th>
+                    <th className="text-right px-4 py-2">Score</th>
+                    <th className="text-right px-4 py-2">Net Profit</th>
+                    <th className="text-right px-4 py-2">Trades</th>
+                    <th className="text-right px-4 py-2">Win Rate</th>
+                    <th className="text-right px-4 py-2">Max DD</th>
+                    <th className="px-4 py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {job.results.slice(0, 50).map((result, index) => (
+                    <tr key={index} className="border-t border-slate-700">
+                      <td className="px-4 py-2 text-slate-400">{index + 1}</td>
+                      <td className="px-4 py-2">
+                        {Object.entries(result.params).map(([key, value]) => `${parameterLabel(key)} ${value}`).join(' · ')}
+                      </td>
+                      <td className="px-4 py-2 text-right font-semibold">{formatNumber(result.score)}</td>
+                      {result.stats ? (
+                        <>
+                          <td className={`px-4 py-2 text-right ${result.stats.netProfit >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                            {formatSigned(result.stats.netProfit)}
+                          </td>
+                          <td className="px-4 py-2 text-right">{result.stats.totalTrades}</td>
+                          <td className="px-4 py-2 text-right">{formatNumber(result.stats.winRate, 1)}%</td>
+                          <td className="px-4 py-2 text-right">{formatNumber(result.stats.maxDrawdownPercent)}%</td>
+                        </>
+                      ) : (
+                        <td colSpan={4} className="px-4 py-2 text-right text-red-400">{result.error}</td>
+                      )}
+                      <td className="px-4 py-2 text-right">
+                        <button
+                          onClick={() => applyOptimizedParameters(result.params)}
+                          className="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs"
+                        >
+                          Apply
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* Walk-forward */}
+        {walkForward && (
+          <div className="bg-slate-800 border border-slate-700 rounded-lg">
+            <div className="p-6 border-b border-slate-700 flex items-center justify-between">
+              <h3 className="text-lg font-semibold">Walk-Forward</h3>
+              <div className="text-sm text-slate-400">
+                Out-of-sample net {formatSigned(walkForward.summary.outOfSampleNetProfit)} ·
+                {' '}{walkForward.summary.profitableWindows}/{walkForward.summary.testedWindows} windows profitable ·
+                {' '}efficiency {walkForward.summary.efficiency === null ? '—' : `${formatNumber(walkForward.summary.efficiency * 100, 0)}%`}
+              </div>
+            </div>
+            <table className="w-full text-sm">
+              <thead className="text-slate-400">
+                <tr>
+                  <th className="text-left px-4 py-2">Window</th>
+                  <th className="text-left px-4 py-2">Out-of-Sample Period</th>
+                  <th className="text-left px-4 py-2">Best In-Sample Parameters</th>
+                  <th className="text-right px-4 py-2">IS Score</th>
+                  <th className="text-right px-4 py-2">OOS Score</th>
+                  <th className="text-right px-4 py-2">OOS Net</th>
+                  <th className="text-right px-4 py-2">OOS Trades</th>
+                </tr>
+              </thead>
+              <tbody>
+                {walkForward.windows.map(window => (
+                  <tr key={window.index} className="border-t border-slate-700">
+                    <td className="px-4 py-2 text-slate-400">{window.index + 1}</td>
+                    <td className="px-4 py-2 text-slate-300">
+                      {new Date(window.outOfSample.start).toLocaleDateString()} – {new Date(window.outOfSample.end).toLocaleDateString()}
+                    </td>
+                    <td className="px-4 py-2">
+                      {window.best
+                        ? Object.entries(window.best.params).map(([key, value]) => `${parameterLabel(key)} ${value}`).join(' · ')
+                        : 'No setting met the minimum trades'}
+                    </td>
+                    <td className="px-4 py-2 text-right">{formatNumber(window.best?.score)}</td>
+                    <td className="px-4 py-2 text-right">{formatNumber(window.result?.score)}</td>
+                    <td className={`px-4 py-2 text-right ${window.result?.stats?.netProfit >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                      {window.result?.stats ? formatSigned(window.result.stats.netProfit) : '—'}
+                    </td>
+                    <td className="px-4 py-2 text-right">{window.result?.stats?.totalTrades ?? '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Previous jobs */}
+        {optimizations.length > 0 && (
+          <div className="bg-slate-800 border border-slate-700 rounded-lg">
+            <div className="p-6 border-b border-slate-700">
+              <h3 className="text-lg font-semibold">Previous Optimizations</h3>
+            </div>
+            <div className="p-6 space-y-2">
+              {optimizations.map(entry => (
+                <div
+                  key={entry.id}
+                  className={`flex items-center justify-between p-3 rounded-lg ${
+                    job?.id === entry.id ? 'bg-blue-600/20 border border-blue-500/40' : 'bg-slate-900'
+                  }`}
+                >
+                  <button onClick={() => openOptimization(entry.id)} className="flex-1 text-left">
+                    <div className="font-medium">
+                      {entry.parameters.map(parameter => parameterLabel(parameter.key)).join(', ')}
+                    </div>
+                    <div className="text-xs text-slate-400">
+                      {entry.method.toLowerCase()} · {entry.settings.combinations} combinations
+                      {entry.walkForward ? ` · ${entry.walkForward.windows} walk-forward windows` : ''} · {formatTime(entry.createdAt)}
+                    </div>
+                  </button>
+                  <div className="flex items-center gap-3">
+                    <span className="text-sm text-slate-400">
+                      {ACTIVE_JOB_STATUSES.includes(entry.status) ? `${entry.progress}/${entry.total}` : entry.status.toLowerCase()}
+                    </span>
+                    <button onClick={() => cancelOptimization(entry.id)} className="p-1 hover:bg-slate-700 rounded text-red-400">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
   return (
     <div className="min-h-screen bg-slate-950 text-white p-6">
       <div className="max-w-7xl mx-auto">
@@ -287,7 +2371,15 @@ const StrategyBuilder = () => {
             </div>
           </div>
           <div className="flex items-center gap-3">
-            <button className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 rounded-lg font-medium transition-colors">
+            {saveStatus && (
+              <span className={`text-sm ${saveStatus.success ? 'text-green-400' : 'text-red-400'}`}>
+                {saveStatus.message}
+              </span>
+            )}
+            <button
+              onClick={saveStrategy}
+              className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 rounded-lg font-medium transition-colors"
+            >
               <Save className="w-4 h-4" />
               Save Strategy
             </button>
@@ -303,46 +2395,16 @@ const StrategyBuilder = () => {
           <TabButton id="visual" label="Visual Builder" icon={Layers} active={activeTab === 'visual'} />
           <TabButton id="code" label="Code Editor" icon={Code} active={activeTab === 'code'} />
           <TabButton id="backtest" label="Backtest" icon={BarChart3} active={activeTab === 'backtest'} />
+          <TabButton id="optimize" label="Optimize" icon={Target} active={activeTab === 'optimize'} />
           <TabButton id="templates" label="Templates" icon={BookOpen} active={activeTab === 'templates'} />
         </div>
 
         {/* Tab Content */}
         <div className="min-h-[600px]">
           {activeTab === 'visual' && renderVisualBuilder()}
-          {activeTab === 'code' && (
-            <div className="bg-slate-800 border border-slate-700 rounded-lg p-6">
-              <h3 className="text-lg font-semibold mb-4">Code Editor</h3>
-              <div className="bg-slate-900 rounded-lg p-4">
-                <pre className="text-sm text-slate-300">
-                  {`// Strategy code editor coming soon...
-// Write your custom trading algorithms here
-
-class CustomStrategy {
-  constructor(config) {
-    this.config = config;
-    // Initialize your strategy
-  }
-
-  onTick(data) {
-    // Your trading logic here
-  }
-}`}
-                </pre>
-              </div>
-            </div>
-          )}
-          {activeTab === 'backtest' && (
-            <div className="bg-slate-800 border border-slate-700 rounded-lg p-6">
-              <h3 className="text-lg font-semibold mb-4">Backtest Results</h3>
-              <div className="text-center text-slate-400 py-12">
-                <BarChart3 className="w-16 h-16 mx-auto mb-4" />
-                <p>Run a backtest to see historical performance</p>
-                <button className="mt-4 px-6 py-2 bg-green-600 hover:bg-green-700 rounded-lg font-medium transition-colors">
-                  Start Backtest
-                </button>
-              </div>
-            </div>
-          )}
+          {activeTab === 'code' && renderCodeEditor()}
+          {activeTab === 'backtest' && renderBacktest()}
+          {activeTab === 'optimize' && renderOptimize()}
           {activeTab === 'templates' && renderTemplates()}
         </div>
       </div>
@@ -0,0 +1,325 @@
+/**
+ * Alerts Panel
+ * Create and manage price / indicator alerts for the selected market: price crosses,
+ * moves within a window, RSI zones, volume spikes and funding rates. Alerts run on the
+ * server's alert engine; the list is refreshed periodically and newly fired alerts are
+ * reported through onTriggered. A `draft` (e.g. a chart line) pre-fills a price cross.
+ */
+
+'use client';
+
+import React, { useState, useEffect, useRef } from 'react';
+import { BellAlertIcon, TrashIcon, PauseIcon, PlayIcon } from '@heroicons/react/24/outline';
+import { describeAlert, DEFAULT_COOLDOWN_SECONDS } from '../../lib/alerts/alert-conditions.js';
+
+const REFRESH_INTERVAL = 15000;
+const INTERVAL_OPTIONS = ['1m', '5m', '15m', '1h', '4h', '1d'];
+
+// Form fields per alert type; number fields are sent as numbers
+const ALERT_FORMS = {
+  PRICE_CROSS: {
+    label: 'Price crosses level',
+    fields: [
+      { key: 'price', label: 'Price', number: true, default: '' },
+      { key: 'direction', label: 'Direction', options: ['either', 'above', 'below'], default: 'either' }
+    ]
+  },
+  PERCENT_MOVE: {
+    label: 'Percent move in window',
+    fields: [
+      { key: 'percent', label: 'Move %', number: true, default: '3' },
+      { key: 'windowMinutes', label: 'Window (min)', number: true, default: '60' },
+      { key: 'direction', label: 'Direction', options: ['either', 'up', 'down'], default: 'either' }
+    ]
+  },
+  RSI: {
+    label: 'RSI above / below',
+    fields: [
+      { key: 'interval', label: 'Timeframe', options: INTERVAL_OPTIONS, default: '1h' },
+      { key: 'period', label: 'Period', number: true, default: '14' },
+      { key: 'operator', label: 'When', options: ['above', 'below'], default: 'above' },
+      { key: 'level', label: 'Level', number: true, default: '70' }
+    ]
+  },
+  VOLUME_SPIKE: {
+    label: 'Volume spike',
+    fields: [
+      { key: 'interval', label: 'Timeframe', options: INTERVAL_OPTIONS, default: '5m' },
+      { key: 'multiplier', label: 'x Average', number: true, default: '3' },
+      { key: 'lookback', label: 'Bars averaged', number: true, default: '20' }
+    ]
+  },
+  FUNDING_RATE: {
+    label: 'Funding rate',
+    fields: [
+      { key: 'operator', label: 'When', options: ['above', 'below'], default: 'above' },
+      { key: 'rate', label: 'Rate %', number: true, default: '0.05' }
+    ]
+  }
+};
+
+const defaultParams = (type) => Object.fromEntries(ALERT_FORMS[type].fields.map(field => [field.key, field.default]));
+
+export default function AlertsPanel({
+  symbol = 'BTCUSDT',
+  exchange = 'binance',
+  csrfToken,
+  draft, // { price, id } to pre-fill a price cross
+  onTriggered
+}) {
+  const [alerts, setAlerts] = useState([]);
+  const [type, setType] = useState('PRICE_CROSS');
+  const [params, setParams] = useState(defaultParams('PRICE_CROSS'));
+  const [name, setName] = useState('');
+  const [repeating, setRepeating] = useState(false);
+  const [cooldownMinutes, setCooldownMinutes] = useState(String(DEFAULT_COOLDOWN_SECONDS / 60));
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const triggerCountsRef = useRef(null); // alertId -> triggerCount at the last refresh
+  const handlersRef = useRef({}); // Latest loader, for the refresh interval
+
+  useEffect(() => {
+    handlersRef.current.loadAlerts();
+    const interval = setInterval(() => handlersRef.current.loadAlerts(), REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  // A chart line handed over as an alert
+  useEffect(() => {
+    if (!draft) return;
+    setType('PRICE_CROSS');
+    setParams({ price: String(parseFloat(draft.price.toPrecision(8))), direction: 'either' });
+  }, [draft]);
+
+  const loadAlerts = async () => {
+    try {
+      const response = await fetch('/api/alerts');
+      if (!response.ok) return;
+
+      const data = await response.json();
+      const loaded = data.alerts || [];
+      const previous = triggerCountsRef.current;
+      if (previous) {
+        loaded
+          .filter(alert => alert.triggerCount > (previous.get(alert.id) ?? 0))
+          .forEach(alert => onTriggered?.(alert));
+      }
+      triggerCountsRef.current = new Map(loaded.map(alert => [alert.id, alert.triggerCount]));
+      setAlerts(loaded);
+    } catch (error) {
+      console.error('Alerts fetch error:', error);
+    }
+  };
+
+  handlersRef.current = { loadAlerts };
+
+  const sendAlertRequest = async (url, method, body) => {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': csrfToken
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Alert request failed');
+    }
+    return data;
+  };
+
+  const changeType = (nextType) => {
+    setType(nextType);
+    setParams(defaultParams(nextType));
+    setError(null);
+  };
+
+  const createAlert = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      const alertParams = Object.fromEntries(ALERT_FORMS[type].fields.map(field => {
+        const value = params[field.key];
+        return [field.key, field.number ? (value === '' ? undefined : parseFloat(value)) : value];
+      }));
+      await sendAlertRequest('/api/alerts', 'POST', {
+        exchange: exchange.toUpperCase(),
+        symbol,
+        type,
+        params: alertParams,
+        name: name || null,
+        repeating,
+        cooldownSeconds: Math.round(parseFloat(cooldownMinutes || '0') * 60)
+      });
+      setName('');
+      setParams(defaultParams(type));
+      await loadAlerts();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const toggleAlert = async (alert) => {
+    try {
+      await sendAlertRequest(`/api/alerts/${alert.id}`, 'PATCH', { isActive: !alert.isActive });
+      await loadAlerts();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const deleteAlert = async (alert) => {
+    try {
+      await sendAlertRequest(`/api/alerts/${alert.id}`, 'DELETE');
+      setAlerts(prev => prev.filter(item => item.id !== alert.id));
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const getStatus = (alert) => {
+    if (alert.isActive) return alert.repeating ? ['Repeating', 'text-blue-400'] : ['Armed', 'text-green-400'];
+    return !alert.repeating && alert.triggerCount > 0 ? ['Fired', 'text-yellow-400'] : ['Paused', 'text-gray-400'];
+  };
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold mb-3 flex items-center space-x-2">
+        <BellAlertIcon className="h-5 w-5" />
+        <span>Alerts</span>
+        <span className="text-xs text-gray-400 font-normal">
+          {alerts.filter(alert => alert.isActive).length} active
+        </span>
+      </h3>
+
+      <form onSubmit={createAlert} className="space-y-2">
+        <select
+          value={type}
+          onChange={(e) => changeType(e.target.value)}
+          className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-sm"
+        >
+          {Object.entries(ALERT_FORMS).map(([value, form]) => (
+            <option key={value} value={value}>{form.label}</option>
+          ))}
+        </select>
+
+        <div className="grid grid-cols-2 gap-2">
+          {ALERT_FORMS[type].fields.map(field => (
+            <div key={field.key}>
+              <label className="block text-xs text-gray-400 mb-1">{field.label}</label>
+              {field.options ? (
+                <select
+                  value={params[field.key]}
+                  onChange={(e) => setParams(prev => ({ ...prev, [field.key]: e.target.value }))}
+                  className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm"
+                >
+                  {field.options.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="number"
+                  step="any"
+                  value={params[field.key]}
+                  onChange={(e) => setParams(prev => ({ ...prev, [field.key]: e.target.value }))}
+                  className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm"
+                />
+              )}
+            </div>
+          ))}
+        </div>
+
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={100}
+          placeholder={`Name (optional), ${symbol}`}
+          className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-1.5 text-sm"
+        />
+
+        <div className="flex items-center justify-between text-sm">
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={repeating}
+              onChange={(e) => setRepeating(e.target.checked)}
+            />
+            <span>Repeat</span>
+          </label>
+          <label className="flex items-center space-x-2 text-gray-400">
+            <span>Cooldown</span>
+            <input
+              type="number"
+              min="0"
+              value={cooldownMinutes}
+              onChange={(e) => setCooldownMinutes(e.target.value)}
+              className="w-16 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+            />
+            <span>min</span>
+          </label>
+        </div>
+
+        {error && <div className="text-xs text-red-400">{error}</div>}
+
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="w-full py-2 px-4 rounded font-medium bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSaving ? 'Creating...' : `Create ${symbol} Alert`}
+        </button>
+      </form>
+
+      <div className="mt-4 space-y-2 max-h-64 overflow-y-auto">
+        {alerts.length === 0 ? (
+          <div className="text-sm text-gray-500 text-center py-2">No alerts</div>
+        ) : (
+          alerts.map(alert => {
+            const [status, statusColor] = getStatus(alert);
+            return (
+              <div key={alert.id} className="bg-gray-700/50 rounded p-2 text-xs">
+                <div className="flex items-start justify-between">
+                  <div className="min-w-0">
+                    <div className="font-medium text-sm truncate">{alert.name || describeAlert(alert)}</div>
+                    {alert.name && <div className="text-gray-400 truncate">{describeAlert(alert)}</div>}
+                  </div>
+                  <div className="flex items-center space-x-1 ml-2">
+                    <span className={statusColor}>{status}</span>
+                    <button
+                      type="button"
+                      onClick={() => toggleAlert(alert)}
+                      className="p-1 text-gray-400 hover:text-white"
+                      title={alert.isActive ? 'Pause' : 'Re-arm'}
+                    >
+                      {alert.isActive ? <PauseIcon className="h-3.5 w-3.5" /> : <PlayIcon className="h-3.5 w-3.5" />}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => deleteAlert(alert)}
+                      className="p-1 text-gray-400 hover:text-red-400"
+                      title="Delete"
+                    >
+                      <TrashIcon className="h-3.5 w-3.5" />
+                    </button>
+                  </div>
+                </div>
+                {alert.lastTriggeredAt && (
+                  <div className="text-gray-400 mt-1">
+                    {alert.triggerCount}× · last {new Date(alert.lastTriggeredAt).toLocaleString()}
+                    {alert.lastMessage && <div className="text-gray-300">{alert.lastMessage}</div>}
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
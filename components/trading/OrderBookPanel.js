@@ -0,0 +1,173 @@
+/**
+ * Order Book Panel
+ * Live level-2 book from the market data hub: a DOM-style price ladder and a cumulative
+ * depth chart, with spread and bid / ask imbalance. Clicking a level hands it to the
+ * order ticket: a bid price as a buy limit, an ask price as a sell limit.
+ */
+
+'use client';
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { ResponsiveContainer, AreaChart, Area, XAxis, YAxis, Tooltip, CartesianGrid } from 'recharts';
+import { marketStream } from '../../lib/market-data/market-stream.js';
+
+const LADDER_LEVELS = 12; // Per side
+
+export default function OrderBookPanel({
+  symbol = 'BTCUSDT',
+  exchange = 'binance',
+  onPriceClick
+}) {
+  const [book, setBook] = useState(null);
+  const [view, setView] = useState('ladder');
+
+  useEffect(() => {
+    setBook(null);
+    return marketStream.subscribe({ exchange: exchange.toUpperCase(), channel: 'depth', symbol }, setBook);
+  }, [symbol, exchange]);
+
+  const ladder = useMemo(() => {
+    if (!book) return null;
+    const withTotals = (levels) => {
+      let total = 0;
+      return levels.slice(0, LADDER_LEVELS).map(([price, quantity]) => {
+        total += quantity;
+        return { price, quantity, total };
+      });
+    };
+    const bids = withTotals(book.bids);
+    const asks = withTotals(book.asks);
+    const maxTotal = Math.max(bids.at(-1)?.total || 0, asks.at(-1)?.total || 0) || 1;
+    return { bids, asks: asks.slice().reverse(), maxTotal };
+  }, [book]);
+
+  // Cumulative quantity outward from the spread, bids left and asks right
+  const depthData = useMemo(() => {
+    if (!book) return [];
+    let bidTotal = 0;
+    const bids = book.bids.map(([price, quantity]) => {
+      bidTotal += quantity;
+      return { price, bids: bidTotal, asks: null };
+    }).reverse();
+    let askTotal = 0;
+    const asks = book.asks.map(([price, quantity]) => {
+      askTotal += quantity;
+      return { price, bids: null, asks: askTotal };
+    });
+    return [...bids, ...asks];
+  }, [book]);
+
+  const formatPrice = (price) => price.toLocaleString('en-US', { maximumFractionDigits: 8 });
+  const formatQuantity = (quantity) => quantity.toLocaleString('en-US', { maximumFractionDigits: 4 });
+
+  const renderRow = (level, side) => {
+    const isBid = side === 'BID';
+    return (
+      <button
+        key={`${side}-${level.price}`}
+        type="button"
+        onClick={() => onPriceClick?.(isBid ? 'buy' : 'sell', level.price)}
+        title={`${isBid ? 'Buy' : 'Sell'} limit at ${formatPrice(level.price)}`}
+        className="relative w-full grid grid-cols-3 gap-2 px-2 py-0.5 text-xs font-mono hover:bg-gray-700"
+      >
+        <span
+          className={`absolute inset-y-0 right-0 ${isBid ? 'bg-green-500/10' : 'bg-red-500/10'}`}
+          style={{ width: `${(level.total / ladder.maxTotal) * 100}%` }}
+        />
+        <span className={`relative text-left ${isBid ? 'text-green-400' : 'text-red-400'}`}>
+          {formatPrice(level.price)}
+        </span>
+        <span className="relative text-right text-gray-300">{formatQuantity(level.quantity)}</span>
+        <span className="relative text-right text-gray-500">{formatQuantity(level.total)}</span>
+      </button>
+    );
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg h-full flex flex-col">
+      <div className="flex items-center justify-between p-3 border-b border-gray-700">
+        <h3 className="text-sm font-semibold">Order Book</h3>
+        <div className="flex space-x-1">
+          {['ladder', 'depth'].map(option => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setView(option)}
+              className={`px-2 py-1 rounded text-xs capitalize ${view === option ? 'bg-blue-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!book ? (
+        <div className="flex-1 flex items-center justify-center text-sm text-gray-500">
+          Syncing {symbol} book...
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 gap-2 px-3 py-2 text-xs border-b border-gray-700">
+            <div>
+              <span className="text-gray-400">Spread </span>
+              <span className="font-mono">
+                {book.spread === null ? '—' : `${formatPrice(book.spread)} (${book.spreadPercent.toFixed(3)}%)`}
+              </span>
+            </div>
+            <div className="text-right">
+              <span className="text-gray-400">Imbalance </span>
+              <span className={`font-mono ${book.imbalance >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                {book.imbalance >= 0 ? '+' : ''}{(book.imbalance * 100).toFixed(1)}%
+              </span>
+            </div>
+          </div>
+
+          {view === 'ladder' ? (
+            <div className="flex-1 overflow-y-auto py-1">
+              <div className="grid grid-cols-3 gap-2 px-2 pb-1 text-xs text-gray-500">
+                <span>Price</span>
+                <span className="text-right">Size</span>
+                <span className="text-right">Total</span>
+              </div>
+              {ladder.asks.map(level => renderRow(level, 'ASK'))}
+              <div className="px-2 py-1 my-1 text-center text-sm font-mono bg-gray-700/50">
+                {book.mid === null ? '—' : formatPrice(book.mid)}
+              </div>
+              {ladder.bids.map(level => renderRow(level, 'BID'))}
+            </div>
+          ) : (
+            <div className="flex-1 min-h-[240px] p-2">
+              <ResponsiveContainer width="100%" height="100%">
+                <AreaChart
+                  data={depthData}
+                  onClick={(state) => {
+                    const price = state?.activeLabel;
+                    if (price !== undefined) onPriceClick?.(price <= book.bestBid?.price ? 'buy' : 'sell', price);
+                  }}
+                >
+                  <CartesianGrid stroke="#334155" strokeDasharray="3 3" />
+                  <XAxis
+                    dataKey="price"
+                    type="number"
+                    domain={['dataMin', 'dataMax']}
+                    tickFormatter={formatPrice}
+                    stroke="#94A3B8"
+                    fontSize={10}
+                  />
+                  <YAxis stroke="#94A3B8" fontSize={10} width={40} />
+                  <Tooltip
+                    labelFormatter={formatPrice}
+                    formatter={(value, name) => [formatQuantity(value), name === 'bids' ? 'Bids' : 'Asks']}
+                    contentStyle={{ backgroundColor: '#0F172A', border: '1px solid #334155' }}
+                  />
+                  <Area type="stepAfter" dataKey="bids" stroke="#22C55E" fill="#22C55E" fillOpacity={0.2} connectNulls={false} />
+                  <Area type="stepBefore" dataKey="asks" stroke="#EF4444" fill="#EF4444" fillOpacity={0.2} connectNulls={false} />
+                </AreaChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -16,11 +16,13 @@ import {
   Percent,
   Calculator,
   Shield,
-  Zap
+  Zap,
+  GitBranch
 } from 'lucide-react';
 
 export default function OrderPlacementInterface({ 
   selectedExchange = 'binance',
+  accountId = null,
   currentMarketData = {},
   onOrderPlaced,
   accountBalance = 10000 
@@ -31,8 +33,14 @@ export default function OrderPlacementInterface({
     type: 'market',
     quantity: '',
     price: '',
+    stopPrice: '',
+    stopLimitPrice: '',
+    attachExits: false,
+    stopLoss: '',
+    takeProfit: '',
     timeInForce: 'GTC'
   });
+  const [tradingAccounts, setTradingAccounts] = useState([]);
   
   const [validation, setValidation] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -46,11 +54,16 @@ export default function OrderPlacementInterface({
     'DOGEUSDT', 'MATICUSDT', 'LINKUSDT', 'AVAXUSDT'
   ];
 
-  // Initialize CSRF token
+  // Initialize CSRF token and trading accounts
   useEffect(() => {
     fetchCSRFToken();
+    loadTradingAccounts();
   }, []);
 
+  // Explicit account first, otherwise the first account on the selected exchange
+  const activeAccount = tradingAccounts.find(account => account.id === accountId) ||
+    tradingAccounts.find(account => account.platform === selectedExchange.toUpperCase());
+
   // Calculate order values when form changes
   useEffect(() => {
     calculateOrderValues();
@@ -66,6 +79,16 @@ export default function OrderPlacementInterface({
     }
   };
 
+  const loadTradingAccounts = async () => {
+    try {
+      const response = await fetch('/api/trading/accounts');
+      const data = await response.json();
+      setTradingAccounts(data.accounts || []);
+    } catch (error) {
+      console.error('Trading accounts fetch error:', error);
+    }
+  };
+
   const calculateOrderValues = () => {
     const { symbol, side, type, quantity, price } = orderForm;
     const marketPrice = currentMarketData[symbol]?.price || 50000;
@@ -104,12 +127,42 @@ export default function OrderPlacementInterface({
     }
 
     // Price validation for limit orders
-    if (type === 'limit') {
+    if (type === 'limit' || type === 'oco') {
       if (!price || isNaN(price) || parseFloat(price) <= 0) {
-        errors.price = 'Valid price is required for limit orders';
+        errors.price = `Valid price is required for ${type === 'oco' ? 'OCO' : 'limit'} orders`;
+      }
+    }
+
+    // OCO: limit leg above the stop for sells, below it for buys
+    if (type === 'oco') {
+      const stop = parseFloat(orderForm.stopPrice);
+      if (!stop || stop <= 0) {
+        errors.stopPrice = 'Valid stop price is required for OCO orders';
+      } else if (orderForm.side === 'sell' ? parseFloat(price) <= stop : parseFloat(price) >= stop) {
+        errors.stopPrice = `Stop price must be ${orderForm.side === 'sell' ? 'below' : 'above'} the limit price`;
+      }
+    }
+
+    // Bracket exits: long stops below / targets above the entry, shorts the other way round
+    if (type !== 'oco' && orderForm.attachExits) {
+      const stopLoss = parseFloat(orderForm.stopLoss);
+      const takeProfit = parseFloat(orderForm.takeProfit);
+      const entry = calculatedValues.orderPrice;
+      const isBuy = orderForm.side === 'buy';
+
+      if (!stopLoss && !takeProfit) {
+        errors.exits = 'Enter a stop-loss and/or take-profit';
+      } else if (stopLoss && (isBuy ? stopLoss >= entry : stopLoss <= entry)) {
+        errors.exits = `Stop-loss must be ${isBuy ? 'below' : 'above'} the entry price`;
+      } else if (takeProfit && (isBuy ? takeProfit <= entry : takeProfit >= entry)) {
+        errors.exits = `Take-profit must be ${isBuy ? 'above' : 'below'} the entry price`;
       }
     }
 
+    if (!activeAccount) {
+      errors.account = `No ${selectedExchange} trading account found`;
+    }
+
     // Balance validation
     if (orderForm.side === 'buy' && totalWithFee > accountBalance) {
       errors.balance = 'Insufficient balance for this order';
@@ -126,11 +179,12 @@ export default function OrderPlacementInterface({
     }));
     
     // Clear specific validation error when user starts typing
-    if (validation[field]) {
-      setValidation(prev => ({
-        ...prev,
-        [field]: undefined
-      }));
+    const errorKey = ['stopLoss', 'takeProfit', 'attachExits', 'side'].includes(field) ? 'exits' : field;
+    if (validation[errorKey]) {
+      setValidation(prev => {
+        const { [errorKey]: cleared, ...rest } = prev;
+        return rest;
+      });
     }
   };
 
@@ -153,19 +207,32 @@ export default function OrderPlacementInterface({
     setIsSubmitting(true);
     setOrderResult(null);
 
+    const { type, attachExits } = orderForm;
+    const hasExits = type !== 'oco' && attachExits;
+
     try {
-      const response = await fetch('/api/trading', {
+      const response = await fetch('/api/trading/orders', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'X-CSRF-Token': csrfToken
         },
         body: JSON.stringify({
-          action: 'placeOrder',
-          exchange: selectedExchange,
-          ...orderForm,
+          accountId: activeAccount.id,
+          symbol: orderForm.symbol,
+          side: orderForm.side,
+          type,
+          timeInForce: orderForm.timeInForce,
           quantity: parseFloat(orderForm.quantity),
-          price: orderForm.type === 'limit' ? parseFloat(orderForm.price) : undefined
+          price: type !== 'market' ? parseFloat(orderForm.price) : undefined,
+          ...(type === 'oco' && {
+            stopPrice: parseFloat(orderForm.stopPrice),
+            stopLimitPrice: orderForm.stopLimitPrice ? parseFloat(orderForm.stopLimitPrice) : undefined
+          }),
+          ...(hasExits && {
+            stopLoss: orderForm.stopLoss ? parseFloat(orderForm.stopLoss) : undefined,
+            takeProfit: orderForm.takeProfit ? parseFloat(orderForm.takeProfit) : undefined
+          })
         })
       });
 
@@ -174,24 +241,31 @@ export default function OrderPlacementInterface({
       if (response.ok) {
         setOrderResult({
           success: true,
-          data: result.data,
-          message: 'Order placed successfully!'
+          data: result.order,
+          message: type === 'oco'
+            ? 'OCO order placed successfully!'
+            : hasExits ? 'Bracket order placed successfully!' : 'Order placed successfully!'
         });
         
         // Reset form on success
         setOrderForm(prev => ({
           ...prev,
           quantity: '',
-          price: ''
+          price: '',
+          stopPrice: '',
+          stopLimitPrice: '',
+          stopLoss: '',
+          takeProfit: ''
         }));
         
         // Notify parent component
-        onOrderPlaced?.(result.data);
+        onOrderPlaced?.(result.order);
         
       } else {
         setOrderResult({
           success: false,
-          message: result.message || 'Order failed to place'
+          message: result.violations ? 'Order blocked by risk limits' : result.error || 'Order failed to place',
+          violations: result.violations
         });
       }
     } catch (error) {
@@ -236,9 +310,19 @@ export default function OrderPlacementInterface({
             }
             <span className="font-medium">{orderResult.message}</span>
           </div>
+          {orderResult.violations?.length > 0 && (
+            <ul className="mt-2 space-y-1 text-sm">
+              {orderResult.violations.map(violation => (
+                <li key={`${violation.scope}-${violation.code}`}>• {violation.message}</li>
+              ))}
+            </ul>
+          )}
           {orderResult.success && orderResult.data && (
             <div className="mt-2 text-sm">
-              Order ID: {orderResult.data.orderId}
+              Order ID: {orderResult.data.id}
+              {orderResult.data.childOrders?.length > 0 && (
+                <span> · {orderResult.data.childOrders.map(leg => leg.legRole.replace('_', ' ').toLowerCase()).join(' + ')}</span>
+              )}
             </div>
           )}
         </div>
@@ -295,6 +379,17 @@ export default function OrderPlacementInterface({
             <Clock className="h-4 w-4 inline mr-1" />
             Limit
           </button>
+          <button
+            onClick={() => handleInputChange('type', 'oco')}
+            className={`flex-1 py-2 px-4 rounded-lg text-sm font-medium transition-colors ${
+              orderForm.type === 'oco'
+                ? 'bg-blue-500 text-white'
+                : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }`}
+          >
+            <GitBranch className="h-4 w-4 inline mr-1" />
+            OCO
+          </button>
         </div>
 
         {/* Symbol Selection */}
@@ -316,11 +411,11 @@ export default function OrderPlacementInterface({
           )}
         </div>
 
-        {/* Price Input (for limit orders) */}
-        {orderForm.type === 'limit' && (
+        {/* Price Input (for limit and OCO orders) */}
+        {orderForm.type !== 'market' && (
           <div>
             <label className="block text-sm font-medium text-gray-300 mb-2">
-              Price (USDT)
+              {orderForm.type === 'oco' ? 'Limit Price (USDT)' : 'Price (USDT)'}
             </label>
             <div className="relative">
               <DollarSign className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
@@ -342,6 +437,44 @@ export default function OrderPlacementInterface({
           </div>
         )}
 
+        {/* Stop leg (OCO orders) */}
+        {orderForm.type === 'oco' && (
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Stop Price
+              </label>
+              <input
+                type="number"
+                step="0.01"
+                value={orderForm.stopPrice}
+                onChange={(e) => handleInputChange('stopPrice', e.target.value)}
+                placeholder="Trigger"
+                className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Stop Limit (optional)
+              </label>
+              <input
+                type="number"
+                step="0.01"
+                value={orderForm.stopLimitPrice}
+                onChange={(e) => handleInputChange('stopLimitPrice', e.target.value)}
+                placeholder="Market if empty"
+                className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            {validation.stopPrice && (
+              <p className="col-span-2 text-sm text-red-400">{validation.stopPrice}</p>
+            )}
+            <p className="col-span-2 text-xs text-gray-400">
+              Whichever leg fills first cancels the other.
+            </p>
+          </div>
+        )}
+
         {/* Quantity Input */}
         <div>
           <label className="block text-sm font-medium text-gray-300 mb-2">
@@ -376,6 +509,54 @@ export default function OrderPlacementInterface({
           </div>
         </div>
 
+        {/* Bracket exits (market and limit entries) */}
+        {orderForm.type !== 'oco' && (
+          <div>
+            <label className="flex items-center space-x-2 text-sm font-medium text-gray-300">
+              <input
+                type="checkbox"
+                checked={orderForm.attachExits}
+                onChange={(e) => handleInputChange('attachExits', e.target.checked)}
+                className="rounded bg-gray-700 border-gray-600"
+              />
+              <span>Attach stop-loss / take-profit</span>
+            </label>
+
+            {orderForm.attachExits && (
+              <div className="grid grid-cols-2 gap-3 mt-3">
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Stop-Loss</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={orderForm.stopLoss}
+                    onChange={(e) => handleInputChange('stopLoss', e.target.value)}
+                    placeholder={orderForm.side === 'buy' ? 'Below entry' : 'Above entry'}
+                    className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Take-Profit</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={orderForm.takeProfit}
+                    onChange={(e) => handleInputChange('takeProfit', e.target.value)}
+                    placeholder={orderForm.side === 'buy' ? 'Above entry' : 'Below entry'}
+                    className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  />
+                </div>
+                <p className="col-span-2 text-xs text-gray-400">
+                  Exits are placed as an OCO pair once the entry fills.
+                </p>
+              </div>
+            )}
+            {validation.exits && (
+              <p className="mt-1 text-sm text-red-400">{validation.exits}</p>
+            )}
+          </div>
+        )}
+
         {/* Order Summary */}
         <div className="bg-gray-700/30 rounded-lg p-4 space-y-2">
           <h3 className="font-medium text-gray-300 mb-3">Order Summary</h3>
@@ -428,6 +609,16 @@ export default function OrderPlacementInterface({
           </div>
         </div>
 
+        {/* Account Warning */}
+        {validation.account && (
+          <div className="bg-red-500/10 border border-red-500/20 rounded-lg p-3">
+            <div className="flex items-center space-x-2 text-red-400">
+              <AlertTriangle className="h-4 w-4" />
+              <span className="text-sm font-medium">{validation.account}</span>
+            </div>
+          </div>
+        )}
+
         {/* Balance Warning */}
         {validation.balance && (
           <div className="bg-red-500/10 border border-red-500/20 rounded-lg p-3">
@@ -461,14 +652,16 @@ export default function OrderPlacementInterface({
         </button>
 
         {/* Demo Notice */}
-        <div className="bg-blue-500/10 border border-blue-500/20 rounded-lg p-3">
-          <div className="flex items-center space-x-2 text-blue-400">
-            <Shield className="h-4 w-4" />
-            <span className="text-sm">
-              Demo Mode: Orders are simulated and no real trading occurs
-            </span>
+        {activeAccount?.isDemo !== false && (
+          <div className="bg-blue-500/10 border border-blue-500/20 rounded-lg p-3">
+            <div className="flex items-center space-x-2 text-blue-400">
+              <Shield className="h-4 w-4" />
+              <span className="text-sm">
+                Demo Mode: Orders are simulated and no real trading occurs
+              </span>
+            </div>
           </div>
-        </div>
+        )}
       </div>
     </div>
   );
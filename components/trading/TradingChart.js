@@ -1,31 +1,108 @@
 /**
  * Advanced Trading Chart Component - PROFESSIONAL CHARTS
- * Real-time price charts with technical indicators and trading tools
+ * Candlestick chart on lightweight-charts: stored klines from /api/market/candles, older
+ * history loaded as the chart is scrolled back, and the live kline stream from the market
+ * data hub. SMA / EMA and ICT zones overlay the price pane; volume, RSI and MACD get
+ * their own panes, kept in step with it. The user's fills on the symbol are marked on the
+ * candles and their open orders drawn as price lines.
+ *
+ * Drawing tools (lines, rectangles, Fibonacci retracements, notes) are saved per user,
+ * exchange, symbol and timeframe through /api/charts/drawings; the measure tool's ruler is not. A
+ * selected horizontal line can be handed on as a limit order or a price alert.
  */
 
 'use client';
 
 import React, { useState, useEffect, useRef } from 'react';
-import { 
-  TrendingUp, 
-  TrendingDown, 
-  BarChart3, 
-  Activity, 
-  Maximize, 
-  Settings,
+import {
+  TrendingUp,
+  TrendingDown,
+  Activity,
+  Maximize,
   Eye,
   EyeOff,
   RefreshCw,
-  Clock,
-  Zap
+  MousePointer2,
+  Minus,
+  Slash,
+  Square,
+  AlignJustify,
+  Type,
+  Ruler,
+  Trash2,
+  Bell
 } from 'lucide-react';
+import { createChart, ColorType, CrosshairMode, LineStyle } from 'lightweight-charts';
+import { analyzeICT } from '../../lib/strategies/ict-concepts.js';
+import { SMA, EMA, RSI, MACD } from '../../lib/indicators/indicators.js';
+import { intervalToMs } from '../../lib/market-data/timeframes.js';
+import { marketStream } from '../../lib/market-data/market-stream.js';
+import { ChartShapes, createTimeIndex } from '../../lib/charts/chart-shapes.js';
+import {
+  DRAWING_POINTS,
+  DEFAULT_DRAWING_COLOR,
+  drawingToShapes,
+  measureToShapes
+} from '../../lib/charts/chart-drawings.js';
 
-export default function TradingChart({ 
+const INITIAL_CANDLES = 300;
+const HISTORY_PAGE = 300; // Candles per scroll-back load
+const LOAD_MORE_THRESHOLD = 10; // Bars left of the visible range before more history loads
+const ORDER_REFRESH_INTERVAL = 15000; // Order reads share the per-user account rate limit with the dashboard
+const OPEN_ORDER_STATUSES = ['PENDING', 'SUBMITTED', 'PARTIALLY_FILLED'];
+
+const DRAWING_TOOLS = [
+  { value: 'CURSOR', label: 'Select', icon: MousePointer2 },
+  { value: 'HORIZONTAL_LINE', label: 'Horizontal line', icon: Minus },
+  { value: 'TREND_LINE', label: 'Trend line', icon: Slash },
+  { value: 'RECTANGLE', label: 'Rectangle', icon: Square },
+  { value: 'FIBONACCI', label: 'Fibonacci retracement', icon: AlignJustify },
+  { value: 'TEXT', label: 'Text note', icon: Type },
+  { value: 'MEASURE', label: 'Measure', icon: Ruler }
+];
+
+const UP_COLOR = '#10b981';
+const DOWN_COLOR = '#ef4444';
+
+const CHART_OPTIONS = {
+  autoSize: true,
+  layout: {
+    background: { type: ColorType.Solid, color: 'transparent' },
+    textColor: '#9ca3af',
+    fontSize: 11
+  },
+  grid: {
+    vertLines: { color: 'rgba(55, 65, 81, 0.3)' },
+    horzLines: { color: 'rgba(55, 65, 81, 0.3)' }
+  },
+  crosshair: { mode: CrosshairMode.Normal },
+  rightPriceScale: { borderColor: '#374151', minimumWidth: 70 },
+  timeScale: { borderColor: '#374151', timeVisible: true, secondsVisible: false }
+};
+
+// Sub-panes follow the price pane's scrolling and zoom
+const PANE_OPTIONS = {
+  ...CHART_OPTIONS,
+  handleScroll: false,
+  handleScale: false,
+  timeScale: { ...CHART_OPTIONS.timeScale, visible: false }
+};
+
+const toChartTime = (timestamp) => Math.floor(timestamp / 1000);
+
+// Indicator values -> line data, with whitespace during warm-up so every pane has the same bars
+const toLineData = (candles, values, pick = (value) => value) => candles.map((candle, index) => {
+  const value = values[index] === null || values[index] === undefined ? null : pick(values[index]);
+  return value === null ? { time: toChartTime(candle.timestamp) } : { time: toChartTime(candle.timestamp), value };
+});
+
+export default function TradingChart({
   symbol = 'BTCUSDT',
   exchange = 'binance',
   height = 400,
   onSymbolChange,
-  currentPrice = 50000 
+  onCreateOrder, // ({ side: 'buy' | 'sell', price }) from a horizontal line
+  onCreateAlert // ({ exchange, symbol, price }) from a horizontal line
 }) {
   const [chartData, setChartData] = useState([]);
   const [timeframe, setTimeframe] = useState('1h');
@@ -34,11 +111,38 @@ export default function TradingChart({
     ema: false,
     rsi: true,
     macd: false,
-    volume: true
+    volume: true,
+    ict: false
   });
   const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
   const [isFullscreen, setIsFullscreen] = useState(false);
+  const [streamStatus, setStreamStatus] = useState('idle');
+  const [activeTool, setActiveTool] = useState('CURSOR');
+  const [drawings, setDrawings] = useState([]);
+  const [selectedDrawingId, setSelectedDrawingId] = useState(null);
+  const [textDraft, setTextDraft] = useState(null); // { point, x, y, value } while a note is typed
+  const [drawingError, setDrawingError] = useState(null);
+  const [clearArmed, setClearArmed] = useState(false);
+  const [csrfToken, setCsrfToken] = useState('');
+
   const chartContainerRef = useRef(null);
+  const volumePaneRef = useRef(null);
+  const rsiPaneRef = useRef(null);
+  const macdPaneRef = useRef(null);
+  const paneRefs = { volume: volumePaneRef, rsi: rsiPaneRef, macd: macdPaneRef };
+  const chartsRef = useRef(null); // lightweight-charts objects, see the mount effect
+  const candlesRef = useRef([]);
+  const ordersRef = useRef([]);
+  const priceLinesRef = useRef([]);
+  const timeIndexRef = useRef(createTimeIndex([], 1));
+  const draftRef = useRef(null); // { points, hover } while a drawing is being placed
+  const measureRef = useRef(null); // { a, b, done }
+  const historyRef = useRef({ loading: false, exhausted: false, generation: 0 });
+  const drawingsRequestRef = useRef(0); // Latest loadDrawings call; older responses are dropped
+  const indicatorsRef = useRef(indicators);
+  indicatorsRef.current = indicators;
+  const handlersRef = useRef({}); // Latest loaders and renderers, for callbacks and effects registered once
 
   const timeframes = [
     { value: '1m', label: '1m', name: '1 Minute' },
@@ -54,137 +158,643 @@ export default function TradingChart({
     'DOGEUSDT', 'MATICUSDT', 'LINKUSDT', 'AVAXUSDT'
   ];
 
+  /**
+   * ===== CHART SETUP =====
+   */
+
+  useEffect(() => {
+    const main = createChart(chartContainerRef.current, CHART_OPTIONS);
+    const candles = main.addCandlestickSeries({
+      upColor: UP_COLOR,
+      downColor: DOWN_COLOR,
+      borderVisible: false,
+      wickUpColor: UP_COLOR,
+      wickDownColor: DOWN_COLOR
+    });
+    const sma = main.addLineSeries({ color: '#3b82f6', lineWidth: 2, priceLineVisible: false, lastValueVisible: false });
+    const ema = main.addLineSeries({ color: '#a855f7', lineWidth: 2, priceLineVisible: false, lastValueVisible: false });
+    const ictShapes = new ChartShapes({ zOrder: 'bottom' });
+    const drawingShapes = new ChartShapes({ zOrder: 'top' });
+    candles.attachPrimitive(ictShapes);
+    candles.attachPrimitive(drawingShapes);
+
+    const volumeChart = createChart(volumePaneRef.current, PANE_OPTIONS);
+    const volume = volumeChart.addHistogramSeries({ priceFormat: { type: 'volume' }, priceLineVisible: false });
+
+    const rsiChart = createChart(rsiPaneRef.current, PANE_OPTIONS);
+    const rsi = rsiChart.addLineSeries({ color: '#f59e0b', lineWidth: 2, priceLineVisible: false });
+    [70, 30].forEach(level => rsi.createPriceLine({
+      price: level,
+      color: '#4b5563',
+      lineWidth: 1,
+      lineStyle: LineStyle.Dashed,
+      axisLabelVisible: false
+    }));
+
+    const macdChart = createChart(macdPaneRef.current, PANE_OPTIONS);
+    const macdHistogram = macdChart.addHistogramSeries({ priceLineVisible: false, lastValueVisible: false });
+    const macd = macdChart.addLineSeries({ color: '#3b82f6', lineWidth: 1.5, priceLineVisible: false });
+    const macdSignal = macdChart.addLineSeries({ color: '#f59e0b', lineWidth: 1.5, priceLineVisible: false });
+
+    const panes = [volumeChart, rsiChart, macdChart];
+    const onRangeChange = (range) => {
+      if (!range) return;
+      panes.forEach(pane => pane.timeScale().setVisibleLogicalRange(range));
+      if (range.from < LOAD_MORE_THRESHOLD) handlersRef.current.loadMoreHistory();
+    };
+    main.timeScale().subscribeVisibleLogicalRangeChange(onRangeChange);
+
+    const onClick = (param) => handlersRef.current.onChartClick(param);
+    const onCrosshairMove = (param) => handlersRef.current.onCrosshairMove(param);
+    const onKeyDown = (event) => handlersRef.current.onKeyDown(event);
+    main.subscribeClick(onClick);
+    main.subscribeCrosshairMove(onCrosshairMove);
+    window.addEventListener('keydown', onKeyDown);
+
+    chartsRef.current = {
+      main,
+      panes,
+      series: { candles, sma, ema, volume, rsi, macd, macdSignal, macdHistogram },
+      ictShapes,
+      drawingShapes
+    };
+    fetchCSRFToken();
+
+    return () => {
+      main.timeScale().unsubscribeVisibleLogicalRangeChange(onRangeChange);
+      main.unsubscribeClick(onClick);
+      main.unsubscribeCrosshairMove(onCrosshairMove);
+      window.removeEventListener('keydown', onKeyDown);
+      [main, ...panes].forEach(chart => chart.remove());
+      chartsRef.current = null;
+    };
+  }, []);
+
+  // Market data: history, then the live kline stream
   useEffect(() => {
-    generateChartData();
-    const interval = setInterval(updateRealTimeData, 5000);
+    historyRef.current = { loading: false, exhausted: false, generation: historyRef.current.generation + 1 };
+    candlesRef.current = [];
+    handlersRef.current.loadChartData();
+
+    const unsubscribe = marketStream.subscribe(
+      { exchange: exchange.toUpperCase(), channel: 'kline', symbol, interval: timeframe },
+      (message) => handlersRef.current.updateRealTimeData(message)
+    );
+    const unsubscribeStatus = marketStream.onStatus(setStreamStatus);
+    return () => {
+      unsubscribe();
+      unsubscribeStatus();
+    };
+  }, [symbol, timeframe, exchange]);
+
+  // The user's orders on this symbol: fill markers and open-order price lines
+  useEffect(() => {
+    ordersRef.current = [];
+    handlersRef.current.loadOrders();
+    const interval = setInterval(() => handlersRef.current.loadOrders(), ORDER_REFRESH_INTERVAL);
     return () => clearInterval(interval);
-  }, [symbol, timeframe]);
+  }, [symbol, exchange]);
+
+  useEffect(() => {
+    handlersRef.current.renderSeries();
+  }, [indicators]);
+
+  // Drawings belong to one exchange, symbol and timeframe
+  useEffect(() => {
+    draftRef.current = null;
+    measureRef.current = null;
+    setSelectedDrawingId(null);
+    setTextDraft(null);
+    setDrawings([]);
+    handlersRef.current.loadDrawings();
+  }, [exchange, symbol, timeframe]);
+
+  useEffect(() => {
+    handlersRef.current.renderDrawings();
+  }, [drawings, selectedDrawingId]);
 
-  const generateChartData = () => {
+  /**
+   * ===== DATA =====
+   */
+
+  const fetchCandles = async ({ limit, endTime }) => {
+    const params = new URLSearchParams({
+      exchange: exchange.toUpperCase(),
+      symbol,
+      interval: timeframe,
+      limit: String(limit)
+    });
+    if (endTime !== undefined) {
+      params.set('endTime', String(endTime));
+    } else {
+      params.set('includeOpen', 'true');
+    }
+
+    const response = await fetch(`/api/market/candles?${params.toString()}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load candles');
+    }
+    return data.candles;
+  };
+
+  const loadChartData = async () => {
+    const { generation } = historyRef.current;
     setIsLoading(true);
-    
-    // Generate realistic candlestick data
-    const data = [];
-    const basePrice = currentPrice;
-    let price = basePrice;
-    const now = new Date();
-    const timeframeMs = getTimeframeMs(timeframe);
-    
-    // Generate 100 data points
-    for (let i = 99; i >= 0; i--) {
-      const timestamp = new Date(now.getTime() - (i * timeframeMs));
-      
-      // Simulate price movement
-      const volatility = 0.02; // 2% volatility
-      const change = (Math.random() - 0.5) * volatility * price;
-      price = Math.max(price + change, price * 0.95); // Minimum 5% below current
-      
-      const open = price;
-      const high = open + (Math.random() * 0.01 * open);
-      const low = open - (Math.random() * 0.01 * open);
-      const close = low + (Math.random() * (high - low));
-      const volume = Math.random() * 1000000;
-      
-      data.push({
-        timestamp: timestamp.getTime(),
-        time: timestamp.toISOString(),
-        open: parseFloat(open.toFixed(2)),
-        high: parseFloat(high.toFixed(2)),
-        low: parseFloat(low.toFixed(2)),
-        close: parseFloat(close.toFixed(2)),
-        volume: parseFloat(volume.toFixed(0))
-      });
+    setLoadError(null);
+    try {
+      const candles = await fetchCandles({ limit: INITIAL_CANDLES });
+      if (generation !== historyRef.current.generation) return;
+
+      candlesRef.current = candles;
+      renderSeries();
+      chartsRef.current?.main.timeScale().scrollToRealTime();
+    } catch (error) {
+      console.error('Chart data error:', error);
+      setLoadError(error.message);
+      candlesRef.current = [];
+      renderSeries();
+    } finally {
+      setIsLoading(false);
     }
-    
-    setChartData(data);
-    setIsLoading(false);
   };
 
-  const updateRealTimeData = () => {
-    if (chartData.length === 0) return;
-    
-    setChartData(prev => {
-      const newData = [...prev];
-      const lastCandle = newData[newData.length - 1];
-      const now = new Date();
-      
-      // Update last candle or add new one
-      const timeframeMs = getTimeframeMs(timeframe);
-      const shouldAddNewCandle = now.getTime() - lastCandle.timestamp > timeframeMs;
-      
-      if (shouldAddNewCandle) {
-        // Add new candle
-        const newPrice = lastCandle.close * (1 + (Math.random() - 0.5) * 0.01);
-        newData.push({
-          timestamp: now.getTime(),
-          time: now.toISOString(),
-          open: lastCandle.close,
-          high: newPrice * 1.002,
-          low: newPrice * 0.998,
-          close: newPrice,
-          volume: Math.random() * 1000000
-        });
-        
-        // Keep only last 100 candles
-        return newData.slice(-100);
-      } else {
-        // Update last candle
-        const updatedCandle = { ...lastCandle };
-        updatedCandle.close = lastCandle.close * (1 + (Math.random() - 0.5) * 0.005);
-        updatedCandle.high = Math.max(updatedCandle.high, updatedCandle.close);
-        updatedCandle.low = Math.min(updatedCandle.low, updatedCandle.close);
-        updatedCandle.volume += Math.random() * 10000;
-        
-        newData[newData.length - 1] = updatedCandle;
-        return newData;
+  // Scrolled near the start of the loaded bars: prepend the page before them
+  const loadMoreHistory = async () => {
+    const history = historyRef.current;
+    const first = candlesRef.current[0];
+    if (!first || history.loading || history.exhausted) return;
+
+    history.loading = true;
+    try {
+      const older = (await fetchCandles({ limit: HISTORY_PAGE, endTime: first.timestamp - 1 }))
+        .filter(candle => candle.timestamp < first.timestamp);
+      if (history !== historyRef.current) return; // Symbol or timeframe changed meanwhile
+
+      if (older.length === 0) {
+        history.exhausted = true;
+        return;
       }
-    });
+      candlesRef.current = [...older, ...candlesRef.current];
+      renderSeries();
+    } catch (error) {
+      console.error('Chart history error:', error);
+      history.exhausted = true;
+    } finally {
+      history.loading = false;
+    }
   };
 
-  const getTimeframeMs = (tf) => {
-    const timeframeMap = {
-      '1m': 60 * 1000,
-      '5m': 5 * 60 * 1000,
-      '15m': 15 * 60 * 1000,
-      '1h': 60 * 60 * 1000,
-      '4h': 4 * 60 * 60 * 1000,
-      '1d': 24 * 60 * 60 * 1000
+  // Live candles from the market stream: update the forming candle or append a new one
+  const updateRealTimeData = (message) => {
+    const candles = candlesRef.current;
+    const last = candles[candles.length - 1];
+    if (!last || message.timestamp < last.timestamp) return;
+
+    const candle = {
+      timestamp: message.timestamp,
+      open: message.open,
+      high: message.high,
+      low: message.low,
+      close: message.close,
+      volume: message.volume,
+      closed: message.closed
     };
-    return timeframeMap[tf] || 60 * 60 * 1000;
+    const barAdded = candle.timestamp !== last.timestamp;
+    if (barAdded) {
+      candles.push(candle);
+    } else {
+      candles[candles.length - 1] = candle;
+    }
+    updateLastBar(candle.closed !== false, barAdded);
+  };
+
+  const loadOrders = async () => {
+    try {
+      const response = await fetch(`/api/trading/orders?symbol=${encodeURIComponent(symbol)}&limit=200`);
+      if (!response.ok) return;
+
+      const { orders } = await response.json();
+      ordersRef.current = (orders || []).filter(order => order.tradingAccount?.platform === exchange.toUpperCase());
+      renderOrders();
+    } catch (error) {
+      console.error('Chart orders error:', error);
+    }
+  };
+
+  const fetchCSRFToken = async () => {
+    try {
+      const response = await fetch('/api/csrf');
+      const data = await response.json();
+      setCsrfToken(data.csrfToken);
+    } catch (error) {
+      console.error('CSRF token fetch error:', error);
+    }
   };
 
-  const calculateSMA = (data, period = 20) => {
-    return data.map((item, index) => {
-      if (index < period - 1) return null;
-      const sum = data.slice(index - period + 1, index + 1)
-        .reduce((acc, curr) => acc + curr.close, 0);
-      return sum / period;
+  /**
+   * ===== DRAWINGS =====
+   */
+
+  const loadDrawings = async () => {
+    const request = ++drawingsRequestRef.current;
+    try {
+      const params = new URLSearchParams({ exchange: exchange.toUpperCase(), symbol, interval: timeframe });
+      const response = await fetch(`/api/charts/drawings?${params.toString()}`);
+      if (!response.ok || request !== drawingsRequestRef.current) return;
+
+      const data = await response.json();
+      if (request !== drawingsRequestRef.current) return; // Chart switched meanwhile
+      setDrawings(data.drawings || []);
+    } catch (error) {
+      console.error('Chart drawings error:', error);
+    }
+  };
+
+  const sendDrawingRequest = async (url, method, body) => {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': csrfToken
+      },
+      body: body ? JSON.stringify(body) : undefined
     });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Drawing request failed');
+    }
+    return data;
   };
 
-  const calculateRSI = (data, period = 14) => {
-    if (data.length < period + 1) return [];
-    
-    const rsi = [];
-    const gains = [];
-    const losses = [];
-    
-    // Calculate initial gains and losses
-    for (let i = 1; i < data.length; i++) {
-      const change = data[i].close - data[i - 1].close;
-      gains.push(change > 0 ? change : 0);
-      losses.push(change < 0 ? Math.abs(change) : 0);
+  const saveDrawing = async (type, data) => {
+    try {
+      setDrawingError(null);
+      const { drawing } = await sendDrawingRequest('/api/charts/drawings', 'POST', {
+        exchange: exchange.toUpperCase(),
+        symbol,
+        interval: timeframe,
+        type,
+        data: { color: DEFAULT_DRAWING_COLOR, ...data }
+      });
+      setDrawings(prev => [...prev, drawing]);
+      setSelectedDrawingId(drawing.id);
+    } catch (error) {
+      console.error('Save drawing error:', error);
+      setDrawingError(error.message);
     }
-    
-    // Calculate RSI
-    for (let i = period; i < gains.length; i++) {
-      const avgGain = gains.slice(i - period, i).reduce((a, b) => a + b) / period;
-      const avgLoss = losses.slice(i - period, i).reduce((a, b) => a + b) / period;
-      const rs = avgGain / (avgLoss || 1);
-      rsi.push(100 - (100 / (1 + rs)));
+  };
+
+  const deleteDrawing = async (drawingId) => {
+    try {
+      setDrawingError(null);
+      await sendDrawingRequest(`/api/charts/drawings/${drawingId}`, 'DELETE');
+      setDrawings(prev => prev.filter(drawing => drawing.id !== drawingId));
+      setSelectedDrawingId(null);
+    } catch (error) {
+      console.error('Delete drawing error:', error);
+      setDrawingError(error.message);
+    }
+  };
+
+  // First click arms the button, a second within a few seconds clears the chart
+  const clearDrawings = async () => {
+    if (!clearArmed) {
+      setClearArmed(true);
+      setTimeout(() => setClearArmed(false), 3000);
+      return;
+    }
+    setClearArmed(false);
+    try {
+      setDrawingError(null);
+      const params = new URLSearchParams({ exchange: exchange.toUpperCase(), symbol, interval: timeframe });
+      await sendDrawingRequest(`/api/charts/drawings?${params.toString()}`, 'DELETE');
+      setDrawings([]);
+      setSelectedDrawingId(null);
+    } catch (error) {
+      console.error('Clear drawings error:', error);
+      setDrawingError(error.message);
+    }
+  };
+
+  const selectTool = (tool) => {
+    draftRef.current = null;
+    measureRef.current = null;
+    setTextDraft(null);
+    setSelectedDrawingId(null);
+    setActiveTool(tool);
+    renderDrawings();
+  };
+
+  // Chart pixel -> { time, price }, snapped to the nearest bar
+  const toChartPoint = (point) => {
+    const charts = chartsRef.current;
+    const logical = charts?.main.timeScale().coordinateToLogical(point.x);
+    const price = charts?.series.candles.coordinateToPrice(point.y);
+    if (logical === null || logical === undefined || price === null || price === undefined) return null;
+
+    const time = timeIndexRef.current.toTime(Math.round(logical));
+    return time === null ? null : { time: Math.round(time), price };
+  };
+
+  const onChartClick = (param) => {
+    const charts = chartsRef.current;
+    if (!charts || !param.point) return;
+
+    if (activeTool === 'CURSOR') {
+      setSelectedDrawingId(charts.drawingShapes.hitTest(param.point.x, param.point.y));
+      return;
+    }
+
+    const point = toChartPoint(param.point);
+    if (!point) return;
+
+    if (activeTool === 'MEASURE') {
+      const measure = measureRef.current;
+      measureRef.current = !measure || measure.done ? { a: point, b: point, done: false } : { ...measure, b: point, done: true };
+      renderDrawings();
+      return;
+    }
+
+    if (activeTool === 'TEXT') {
+      setTextDraft({ point, x: param.point.x, y: param.point.y, value: '' });
+      return;
+    }
+
+    const points = [...(draftRef.current?.points || []), point];
+    if (points.length < DRAWING_POINTS[activeTool]) {
+      draftRef.current = { points, hover: point };
+      renderDrawings();
+      return;
+    }
+
+    draftRef.current = null;
+    setActiveTool('CURSOR');
+    saveDrawing(activeTool, { points });
+  };
+
+  // Rubber-band preview of the drawing or ruler being placed
+  const onCrosshairMove = (param) => {
+    if (!param.point) return;
+    const placing = draftRef.current || (measureRef.current && !measureRef.current.done);
+    if (!placing) return;
+
+    const point = toChartPoint(param.point);
+    if (!point) return;
+    if (draftRef.current) {
+      draftRef.current.hover = point;
+    } else {
+      measureRef.current.b = point;
     }
-    
-    return rsi;
+    renderDrawings();
+  };
+
+  const onKeyDown = (event) => {
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+
+    if (event.key === 'Escape') {
+      selectTool('CURSOR');
+    } else if ((event.key === 'Delete' || event.key === 'Backspace') && selectedDrawingId) {
+      deleteDrawing(selectedDrawingId);
+    }
+  };
+
+  const submitTextDraft = () => {
+    const text = textDraft?.value.trim();
+    if (text) saveDrawing('TEXT', { points: [textDraft.point], text });
+    setTextDraft(null);
+    setActiveTool('CURSOR');
+  };
+
+  /**
+   * ===== RENDERING =====
+   */
+
+  // Every series from candlesRef, e.g. after a load or an indicator toggle
+  const renderSeries = () => {
+    const charts = chartsRef.current;
+    if (!charts) return;
+    const candles = candlesRef.current;
+    const enabled = indicatorsRef.current;
+    const { series } = charts;
+
+    updateTimeIndex();
+    series.candles.setData(candles.map(toCandleBar));
+    series.volume.setData(candles.map(toVolumeBar));
+
+    series.sma.applyOptions({ visible: enabled.sma });
+    series.ema.applyOptions({ visible: enabled.ema });
+    series.sma.setData(enabled.sma ? toLineData(candles, SMA.compute(candles, { period: 20 })) : []);
+    series.ema.setData(enabled.ema ? toLineData(candles, EMA.compute(candles, { period: 50 })) : []);
+    series.rsi.setData(enabled.rsi ? toLineData(candles, RSI.compute(candles, { period: 14 })) : []);
+
+    const macd = enabled.macd ? MACD.compute(candles) : [];
+    series.macd.setData(enabled.macd ? toLineData(candles, macd, value => value.macd) : []);
+    series.macdSignal.setData(enabled.macd ? toLineData(candles, macd, value => value.signal) : []);
+    series.macdHistogram.setData(enabled.macd ? toLineData(candles, macd, value => value.histogram).map(point => (
+      point.value === undefined ? point : { ...point, color: point.value >= 0 ? 'rgba(16, 185, 129, 0.5)' : 'rgba(239, 68, 68, 0.5)' }
+    )) : []);
+
+    renderICT();
+    renderOrders();
+    setChartData(candles.slice(-2));
+  };
+
+  // Live tick: only the last bar of each series changes
+  const updateLastBar = (barClosed, barAdded) => {
+    const charts = chartsRef.current;
+    if (!charts) return;
+    const candles = candlesRef.current;
+    const enabled = indicatorsRef.current;
+    const { series } = charts;
+    const last = candles[candles.length - 1];
+    const lastOf = (values, pick = (value) => value) => toLineData([last], [values[values.length - 1]], pick)[0];
+
+    if (barAdded) updateTimeIndex();
+    series.candles.update(toCandleBar(last));
+    series.volume.update(toVolumeBar(last));
+    if (enabled.sma) series.sma.update(lastOf(SMA.compute(candles, { period: 20 })));
+    if (enabled.ema) series.ema.update(lastOf(EMA.compute(candles, { period: 50 })));
+    if (enabled.rsi) series.rsi.update(lastOf(RSI.compute(candles, { period: 14 })));
+    if (enabled.macd) {
+      const macd = MACD.compute(candles);
+      series.macd.update(lastOf(macd, value => value.macd));
+      series.macdSignal.update(lastOf(macd, value => value.signal));
+      const histogram = lastOf(macd, value => value.histogram);
+      series.macdHistogram.update(histogram.value === undefined
+        ? histogram
+        : { ...histogram, color: histogram.value >= 0 ? 'rgba(16, 185, 129, 0.5)' : 'rgba(239, 68, 68, 0.5)' });
+    }
+
+    if (barClosed) renderICT();
+    setChartData(candles.slice(-2));
+  };
+
+  // Times of the loaded bars, shared by every shape layer
+  const updateTimeIndex = () => {
+    const charts = chartsRef.current;
+    timeIndexRef.current = createTimeIndex(candlesRef.current, intervalToMs(timeframe));
+    charts.ictShapes.setTimeIndex(timeIndexRef.current);
+    charts.drawingShapes.setTimeIndex(timeIndexRef.current);
+  };
+
+  // Saved drawings, the one being placed and the measure ruler
+  const renderDrawings = () => {
+    const charts = chartsRef.current;
+    if (!charts) return;
+
+    const shapes = drawings.flatMap(drawing => drawingToShapes(drawing, { selected: drawing.id === selectedDrawingId }));
+    const draft = draftRef.current;
+    if (draft) {
+      shapes.push(...drawingToShapes({
+        type: activeTool,
+        data: { points: [...draft.points, draft.hover], color: DEFAULT_DRAWING_COLOR }
+      }));
+    }
+    const measure = measureRef.current;
+    if (measure) {
+      shapes.push(...measureToShapes(measure.a, measure.b, timeIndexRef.current));
+    }
+    charts.drawingShapes.setShapes(shapes);
+  };
+
+  // Kill zone sessions, premium / discount range, order blocks, open fair value gaps,
+  // structure breaks and liquidity sweeps, as shapes behind the candles
+  const renderICT = () => {
+    const charts = chartsRef.current;
+    if (!charts) return;
+    const candles = candlesRef.current;
+    const step = intervalToMs(timeframe);
+
+    if (!indicatorsRef.current.ict || candles.length === 0) {
+      charts.ictShapes.setShapes([]);
+      return;
+    }
+
+    const analysis = analyzeICT(candles);
+    const time = (index) => candles[Math.min(index, candles.length - 1)].timestamp;
+    const end = candles[candles.length - 1].timestamp + step;
+    const range = analysis.dealingRange;
+    const shapes = [];
+
+    analysis.killZones.forEach(session => shapes.push({
+      type: 'rect',
+      from: time(session.startIndex),
+      to: time(session.endIndex) + step,
+      high: null,
+      low: null,
+      color: '#a855f7',
+      opacity: 0.06,
+      label: session.name.replace(/_/g, ' '),
+      labelColor: '#c084fc'
+    }));
+
+    if (range) {
+      shapes.push(
+        { type: 'rect', from: time(0), to: end, high: range.high, low: range.equilibrium, color: DOWN_COLOR, opacity: 0.04 },
+        { type: 'rect', from: time(0), to: end, high: range.equilibrium, low: range.low, color: UP_COLOR, opacity: 0.04 },
+        {
+          type: 'line',
+          points: [{ time: time(0), price: range.equilibrium }, { time: end, price: range.equilibrium }],
+          color: '#9ca3af',
+          dashed: true,
+          label: 'EQ'
+        }
+      );
+    }
+
+    analysis.orderBlocks.forEach(block => shapes.push({
+      type: 'rect',
+      from: time(block.index),
+      to: block.invalidatedIndex === null ? end : time(block.invalidatedIndex),
+      high: block.high,
+      low: block.low,
+      color: block.type === 'bullish' ? UP_COLOR : DOWN_COLOR,
+      opacity: block.invalidatedIndex === null ? 0.25 : 0.1
+    }));
+
+    analysis.fairValueGaps
+      .filter(gap => gap.filledIndex === null)
+      .forEach(gap => shapes.push({
+        type: 'rect',
+        from: time(gap.index),
+        to: end,
+        high: gap.high,
+        low: gap.low,
+        color: gap.type === 'bullish' ? '#3b82f6' : '#f97316',
+        opacity: 0.2
+      }));
+
+    analysis.structure.events.forEach(event => shapes.push({
+      type: 'line',
+      points: [
+        { time: time(event.swingIndex) + step / 2, price: event.level },
+        { time: time(event.index) + step / 2, price: event.level }
+      ],
+      color: event.direction === 'bullish' ? '#34d399' : '#f87171',
+      dashed: event.type === 'CHOCH',
+      label: event.type === 'CHOCH' ? 'CHoCH' : 'BOS'
+    }));
+
+    analysis.sweeps.forEach(sweep => shapes.push({
+      type: 'text',
+      time: time(sweep.index) + step / 2,
+      price: sweep.level,
+      text: sweep.side === 'BUY_SIDE' ? '◯ BSL' : '◯ SSL',
+      color: '#facc15'
+    }));
+
+    charts.ictShapes.setShapes(shapes);
+  };
+
+  // Fills as markers on the bar they happened in; open orders as price lines
+  const renderOrders = () => {
+    const charts = chartsRef.current;
+    if (!charts) return;
+    const candles = candlesRef.current;
+    const { candles: series } = charts.series;
+    const step = intervalToMs(timeframe);
+    const first = candles[0]?.timestamp ?? Infinity;
+
+    const markers = ordersRef.current
+      .flatMap(order => (order.fills || []).map(fill => ({ order, fill, timestamp: new Date(fill.timestamp).getTime() })))
+      .filter(({ timestamp }) => timestamp >= first)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(({ order, fill, timestamp }) => ({
+        time: toChartTime(Math.floor(timestamp / step) * step),
+        position: order.side === 'BUY' ? 'belowBar' : 'aboveBar',
+        color: order.side === 'BUY' ? UP_COLOR : DOWN_COLOR,
+        shape: order.side === 'BUY' ? 'arrowUp' : 'arrowDown',
+        text: `${order.side} ${parseFloat(fill.quantity)} @ ${formatPrice(parseFloat(fill.price))}`
+      }));
+    series.setMarkers(markers);
+
+    priceLinesRef.current.forEach(line => series.removePriceLine(line));
+    priceLinesRef.current = ordersRef.current
+      .filter(order => OPEN_ORDER_STATUSES.includes(order.status))
+      .map(order => ({ order, price: parseFloat(order.price ?? order.stopPrice) }))
+      .filter(({ price }) => Number.isFinite(price))
+      .map(({ order, price }) => series.createPriceLine({
+        price,
+        color: order.side === 'BUY' ? UP_COLOR : DOWN_COLOR,
+        lineWidth: 1,
+        lineStyle: LineStyle.Dashed,
+        axisLabelVisible: true,
+        title: `${order.side} ${order.type} ${parseFloat(order.quantity) - parseFloat(order.filledQuantity || 0)}`
+      }));
+  };
+
+  handlersRef.current = {
+    loadChartData,
+    loadMoreHistory,
+    updateRealTimeData,
+    loadOrders,
+    loadDrawings,
+    onChartClick,
+    onCrosshairMove,
+    onKeyDown,
+    renderSeries,
+    renderDrawings
   };
 
   const toggleIndicator = (indicator) => {
@@ -212,28 +822,21 @@ export default function TradingChart({
   };
 
   const lastCandle = chartData[chartData.length - 1];
-  const priceChange = lastCandle && chartData.length > 1 
-    ? lastCandle.close - chartData[chartData.length - 2].close 
+  const priceChange = lastCandle && chartData.length > 1
+    ? lastCandle.close - chartData[chartData.length - 2].close
     : 0;
   const priceChangePercent = lastCandle && chartData.length > 1
     ? (priceChange / chartData[chartData.length - 2].close) * 100
     : 0;
 
-  const smaData = indicators.sma ? calculateSMA(chartData) : [];
-  const rsiData = indicators.rsi ? calculateRSI(chartData) : [];
+  const selectedDrawing = drawings.find(drawing => drawing.id === selectedDrawingId) || null;
+  const selectedLinePrice = selectedDrawing?.type === 'HORIZONTAL_LINE' ? selectedDrawing.data.points[0].price : null;
 
-  if (isLoading) {
-    return (
-      <div className="bg-gray-800/50 border border-gray-700 rounded-xl p-6">
-        <div className="flex items-center justify-center h-96">
-          <div className="text-center">
-            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto mb-4"></div>
-            <p className="text-gray-400">Loading chart data...</p>
-          </div>
-        </div>
-      </div>
-    );
-  }
+  const panes = [
+    { key: 'volume', label: 'Volume' },
+    { key: 'rsi', label: 'RSI' },
+    { key: 'macd', label: 'MACD' }
+  ];
 
   return (
     <div className={`bg-gray-800/50 border border-gray-700 rounded-xl ${
@@ -253,15 +856,15 @@ export default function TradingChart({
                 <option key={sym} value={sym}>{sym}</option>
               ))}
             </select>
-            
+
             {lastCandle && (
               <div className="flex items-center space-x-3">
                 <span className="text-2xl font-bold">
                   {formatPrice(lastCandle.close)}
                 </span>
                 <span className={`flex items-center space-x-1 px-2 py-1 rounded text-sm font-medium ${
-                  priceChange >= 0 
-                    ? 'bg-green-500/20 text-green-400' 
+                  priceChange >= 0
+                    ? 'bg-green-500/20 text-green-400'
                     : 'bg-red-500/20 text-red-400'
                 }`}>
                   {priceChange >= 0 ? <TrendingUp className="h-3 w-3" /> : <TrendingDown className="h-3 w-3" />}
@@ -299,9 +902,12 @@ export default function TradingChart({
             >
               <Maximize className="h-4 w-4" />
             </button>
-            
+
             <button
-              onClick={generateChartData}
+              onClick={() => {
+                historyRef.current = { loading: false, exhausted: false, generation: historyRef.current.generation + 1 };
+                loadChartData();
+              }}
               className="p-2 text-gray-400 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
               title="Refresh Data"
             >
@@ -328,177 +934,164 @@ export default function TradingChart({
             </button>
           ))}
         </div>
+
+        {/* Drawing Tools */}
+        <div className="flex items-center space-x-2 mt-3">
+          <span className="text-sm text-gray-400 font-medium">Draw:</span>
+          {DRAWING_TOOLS.map(tool => {
+            const Icon = tool.icon;
+            return (
+              <button
+                key={tool.value}
+                onClick={() => selectTool(tool.value)}
+                className={`p-1.5 rounded-lg transition-colors ${
+                  activeTool === tool.value
+                    ? 'bg-blue-500/20 text-blue-400 border border-blue-500/30'
+                    : 'bg-gray-700 text-gray-400 hover:text-gray-300'
+                }`}
+                title={tool.label}
+              >
+                <Icon className="h-3.5 w-3.5" />
+              </button>
+            );
+          })}
+          <button
+            onClick={clearDrawings}
+            disabled={drawings.length === 0}
+            className={`flex items-center space-x-1 px-2 py-1 rounded-lg text-xs transition-colors disabled:opacity-40 ${
+              clearArmed ? 'bg-red-500/20 text-red-400' : 'bg-gray-700 text-gray-400 hover:text-gray-300'
+            }`}
+            title="Remove every drawing on this chart"
+          >
+            <Trash2 className="h-3 w-3" />
+            <span>{clearArmed ? 'Click again to clear' : 'Clear'}</span>
+          </button>
+          {drawingError && <span className="text-xs text-red-400">{drawingError}</span>}
+        </div>
       </div>
 
       {/* Chart Content */}
-      <div className="p-4" style={{ height: isFullscreen ? 'calc(100vh - 200px)' : height }}>
-        <div ref={chartContainerRef} className="w-full h-full relative bg-gray-900/30 rounded-lg overflow-hidden">
-          {/* Price Chart */}
-          <div className="absolute inset-0 p-4">
-            <svg width="100%" height="70%" viewBox="0 0 800 300" className="overflow-visible">
-              {/* Grid Lines */}
-              <defs>
-                <pattern id="grid" width="40" height="20" patternUnits="userSpaceOnUse">
-                  <path d="M 40 0 L 0 0 0 20" fill="none" stroke="#374151" strokeWidth="0.5" opacity="0.3"/>
-                </pattern>
-              </defs>
-              <rect width="100%" height="100%" fill="url(#grid)" />
-              
-              {/* Price Data */}
-              {chartData.length > 0 && (() => {
-                const maxPrice = Math.max(...chartData.map(d => d.high));
-                const minPrice = Math.min(...chartData.map(d => d.low));
-                const priceRange = maxPrice - minPrice;
-                const width = 800;
-                const height = 300;
-                const candleWidth = width / chartData.length * 0.8;
-                
-                return chartData.map((candle, index) => {
-                  const x = (index / chartData.length) * width;
-                  const yHigh = ((maxPrice - candle.high) / priceRange) * height;
-                  const yLow = ((maxPrice - candle.low) / priceRange) * height;
-                  const yOpen = ((maxPrice - candle.open) / priceRange) * height;
-                  const yClose = ((maxPrice - candle.close) / priceRange) * height;
-                  
-                  const isGreen = candle.close >= candle.open;
-                  const bodyTop = Math.min(yOpen, yClose);
-                  const bodyHeight = Math.abs(yOpen - yClose);
-                  
-                  return (
-                    <g key={index}>
-                      {/* Wick */}
-                      <line
-                        x1={x + candleWidth/2}
-                        y1={yHigh}
-                        x2={x + candleWidth/2}
-                        y2={yLow}
-                        stroke={isGreen ? '#10b981' : '#ef4444'}
-                        strokeWidth="1"
-                      />
-                      {/* Body */}
-                      <rect
-                        x={x}
-                        y={bodyTop}
-                        width={candleWidth}
-                        height={Math.max(bodyHeight, 1)}
-                        fill={isGreen ? '#10b981' : '#ef4444'}
-                        opacity="0.8"
-                      />
-                    </g>
-                  );
-                });
-              })()}
-              
-              {/* SMA Line */}
-              {indicators.sma && smaData.length > 0 && (
-                <polyline
-                  points={smaData.map((sma, index) => {
-                    if (sma === null) return '';
-                    const maxPrice = Math.max(...chartData.map(d => d.high));
-                    const minPrice = Math.min(...chartData.map(d => d.low));
-                    const priceRange = maxPrice - minPrice;
-                    const x = (index / chartData.length) * 800;
-                    const y = ((maxPrice - sma) / priceRange) * 300;
-                    return `${x},${y}`;
-                  }).filter(Boolean).join(' ')}
-                  fill="none"
-                  stroke="#3b82f6"
-                  strokeWidth="2"
-                  opacity="0.7"
-                />
+      <div className="p-4 flex flex-col" style={{ height: isFullscreen ? 'calc(100vh - 200px)' : height }}>
+        <div className="flex-1 min-h-0 relative bg-gray-900/30 rounded-lg overflow-hidden">
+          <div ref={chartContainerRef} className="absolute inset-0" />
+          {selectedDrawing && (
+            <div className="absolute top-2 left-2 z-10 flex items-center space-x-2 bg-gray-800/90 border border-gray-600 rounded-lg px-2 py-1 text-xs">
+              <span className="text-gray-300">
+                {DRAWING_TOOLS.find(tool => tool.value === selectedDrawing.type)?.label}
+              </span>
+              {selectedLinePrice !== null && onCreateOrder && lastCandle && (
+                <button
+                  onClick={() => onCreateOrder({ side: selectedLinePrice < lastCandle.close ? 'buy' : 'sell', price: selectedLinePrice })}
+                  className={`px-2 py-0.5 rounded ${
+                    selectedLinePrice < lastCandle.close ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'
+                  }`}
+                >
+                  {selectedLinePrice < lastCandle.close ? 'Buy' : 'Sell'} limit @ {formatPrice(selectedLinePrice)}
+                </button>
               )}
-            </svg>
-            
-            {/* Volume Chart */}
-            {indicators.volume && (
-              <div className="mt-4 h-16 relative">
-                <svg width="100%" height="100%" viewBox="0 0 800 60">
-                  {chartData.map((candle, index) => {
-                    const maxVolume = Math.max(...chartData.map(d => d.volume));
-                    const x = (index / chartData.length) * 800;
-                    const height = (candle.volume / maxVolume) * 60;
-                    const width = 800 / chartData.length * 0.8;
-                    const isGreen = candle.close >= candle.open;
-                    
-                    return (
-                      <rect
-                        key={index}
-                        x={x}
-                        y={60 - height}
-                        width={width}
-                        height={height}
-                        fill={isGreen ? '#10b981' : '#ef4444'}
-                        opacity="0.6"
-                      />
-                    );
-                  })}
-                </svg>
-                <div className="absolute top-0 left-0 text-xs text-gray-400">Volume</div>
-              </div>
-            )}
-            
-            {/* RSI Indicator */}
-            {indicators.rsi && rsiData.length > 0 && (
-              <div className="mt-4 h-16 relative">
-                <svg width="100%" height="100%" viewBox="0 0 800 60">
-                  {/* RSI Grid */}
-                  <line x1="0" y1="18" x2="800" y2="18" stroke="#374151" strokeWidth="0.5" opacity="0.5" />
-                  <line x1="0" y1="42" x2="800" y2="42" stroke="#374151" strokeWidth="0.5" opacity="0.5" />
-                  
-                  {/* RSI Line */}
-                  <polyline
-                    points={rsiData.map((rsi, index) => {
-                      const x = ((index + 14) / chartData.length) * 800;
-                      const y = 60 - (rsi / 100) * 60;
-                      return `${x},${y}`;
-                    }).join(' ')}
-                    fill="none"
-                    stroke="#f59e0b"
-                    strokeWidth="2"
-                  />
-                </svg>
-                <div className="absolute top-0 left-0 text-xs text-gray-400">RSI</div>
-                <div className="absolute top-0 right-0 text-xs text-gray-400">
-                  {rsiData[rsiData.length - 1]?.toFixed(1) || '--'}
+              {selectedLinePrice !== null && onCreateAlert && (
+                <button
+                  onClick={() => onCreateAlert({ exchange: exchange.toUpperCase(), symbol, price: selectedLinePrice })}
+                  className="flex items-center space-x-1 px-2 py-0.5 rounded bg-yellow-500/20 text-yellow-400"
+                >
+                  <Bell className="h-3 w-3" />
+                  <span>Alert</span>
+                </button>
+              )}
+              <button
+                onClick={() => deleteDrawing(selectedDrawing.id)}
+                className="p-1 text-gray-400 hover:text-red-400"
+                title="Delete drawing"
+              >
+                <Trash2 className="h-3 w-3" />
+              </button>
+            </div>
+          )}
+          {textDraft && (
+            <input
+              autoFocus
+              value={textDraft.value}
+              onChange={(e) => setTextDraft(prev => ({ ...prev, value: e.target.value }))}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') submitTextDraft();
+                if (e.key === 'Escape') setTextDraft(null);
+              }}
+              onBlur={() => setTextDraft(null)}
+              maxLength={200}
+              placeholder="Note, Enter to save"
+              className="absolute z-10 bg-gray-800 border border-blue-500 rounded px-2 py-0.5 text-xs text-white"
+              style={{ left: textDraft.x, top: textDraft.y - 12 }}
+            />
+          )}
+          {isLoading && (
+            <div className="absolute inset-0 flex items-center justify-center">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+            </div>
+          )}
+          {!isLoading && loadError && (
+            <div className="absolute inset-0 flex items-center justify-center text-gray-400 text-sm">
+              {loadError}
+            </div>
+          )}
+        </div>
+
+        {/* Indicator Panes */}
+        {panes.map(pane => (
+          <div key={pane.key} className={`relative h-20 mt-2 bg-gray-900/30 rounded-lg overflow-hidden ${indicators[pane.key] ? '' : 'hidden'}`}>
+            <div ref={paneRefs[pane.key]} className="absolute inset-0" />
+            <div className="absolute top-1 left-2 text-xs text-gray-400 pointer-events-none">{pane.label}</div>
+          </div>
+        ))}
+
+        {/* Chart Stats */}
+        <div className="flex items-center justify-between text-sm mt-2">
+          <div className="flex items-center space-x-6 text-gray-400">
+            {lastCandle && (
+              <>
+                <div>
+                  <span className="text-gray-500">O:</span> {formatPrice(lastCandle.open)}
                 </div>
-              </div>
+                <div>
+                  <span className="text-gray-500">H:</span> {formatPrice(lastCandle.high)}
+                </div>
+                <div>
+                  <span className="text-gray-500">L:</span> {formatPrice(lastCandle.low)}
+                </div>
+                <div>
+                  <span className="text-gray-500">C:</span> {formatPrice(lastCandle.close)}
+                </div>
+                <div>
+                  <span className="text-gray-500">V:</span> {formatVolume(lastCandle.volume)}
+                </div>
+              </>
             )}
           </div>
 
-          {/* Chart Stats */}
-          <div className="absolute bottom-4 left-4 right-4">
-            <div className="flex items-center justify-between text-sm">
-              <div className="flex items-center space-x-6 text-gray-400">
-                {lastCandle && (
-                  <>
-                    <div>
-                      <span className="text-gray-500">O:</span> {formatPrice(lastCandle.open)}
-                    </div>
-                    <div>
-                      <span className="text-gray-500">H:</span> {formatPrice(lastCandle.high)}
-                    </div>
-                    <div>
-                      <span className="text-gray-500">L:</span> {formatPrice(lastCandle.low)}
-                    </div>
-                    <div>
-                      <span className="text-gray-500">C:</span> {formatPrice(lastCandle.close)}
-                    </div>
-                    <div>
-                      <span className="text-gray-500">V:</span> {formatVolume(lastCandle.volume)}
-                    </div>
-                  </>
-                )}
-              </div>
-              
-              <div className="flex items-center space-x-2 text-gray-400">
-                <Activity className="h-4 w-4" />
-                <span>Live Data</span>
-                <div className="h-2 w-2 bg-green-400 rounded-full animate-pulse"></div>
-              </div>
-            </div>
+          <div className="flex items-center space-x-2 text-gray-400">
+            <Activity className="h-4 w-4" />
+            <span>{streamStatus === 'open' ? 'Live Data' : streamStatus === 'idle' ? 'Offline' : 'Reconnecting...'}</span>
+            <div className={`h-2 w-2 rounded-full ${streamStatus === 'open' ? 'bg-green-400 animate-pulse' : 'bg-yellow-400'}`}></div>
           </div>
         </div>
       </div>
     </div>
   );
 }
+
+function toCandleBar(candle) {
+  return {
+    time: toChartTime(candle.timestamp),
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close
+  };
+}
+
+function toVolumeBar(candle) {
+  return {
+    time: toChartTime(candle.timestamp),
+    value: candle.volume,
+    color: candle.close >= candle.open ? 'rgba(16, 185, 129, 0.5)' : 'rgba(239, 68, 68, 0.5)'
+  };
+}
@@ -5,7 +5,7 @@
 
 'use client';
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   TrendingUp, 
   TrendingDown, 
@@ -20,6 +20,9 @@ import {
   ArrowDownRight,
   Refresh
 } from 'lucide-react';
+import { marketStream } from '../../lib/market-data/market-stream.js';
+
+const MARKET_SYMBOLS = ['BTCUSDT', 'ETHUSDT', 'ADAUSDT', 'SOLUSDT'];
 
 export default function TradingDashboard() {
   const [accountData, setAccountData] = useState(null);
@@ -28,12 +31,18 @@ export default function TradingDashboard() {
   const [csrfToken, setCsrfToken] = useState('');
   const [selectedExchange, setSelectedExchange] = useState('binance');
   const [rateLimitStatus, setRateLimitStatus] = useState({});
+  const handlersRef = useRef({}); // Latest loaders, for the exchange effect
 
   // Initialize dashboard data
   useEffect(() => {
-    initializeDashboard();
-    const interval = setInterval(updateMarketData, 5000); // Update every 5 seconds
-    return () => clearInterval(interval);
+    setMarketData({});
+    handlersRef.current.initializeDashboard();
+    // Live tickers from the market stream after the initial snapshot
+    const unsubscribes = MARKET_SYMBOLS.map(symbol => marketStream.subscribe(
+      { exchange: selectedExchange.toUpperCase(), channel: 'ticker', symbol },
+      (ticker) => handlersRef.current.updateMarketData(ticker)
+    ));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
   }, [selectedExchange]);
 
   const initializeDashboard = async () => {
@@ -92,8 +101,7 @@ export default function TradingDashboard() {
 
   const fetchMarketData = async () => {
     try {
-      const symbols = ['BTCUSDT', 'ETHUSDT', 'ADAUSDT', 'SOLUSDT'];
-      const marketPromises = symbols.map(async (symbol) => {
+      const marketPromises = MARKET_SYMBOLS.map(async (symbol) => {
         const response = await fetch('/api/trading', {
           method: 'POST',
           headers: {
@@ -122,7 +130,7 @@ export default function TradingDashboard() {
         }
       });
       
-      setMarketData(newMarketData);
+      setMarketData(prev => ({ ...newMarketData, ...prev }));
     } catch (error) {
       console.error('Market data fetch error:', error);
     }
@@ -140,12 +148,27 @@ export default function TradingDashboard() {
     }
   };
 
-  const updateMarketData = () => {
-    if (!isLoading) {
-      fetchMarketData();
-    }
+  // Partial updates (some venues send deltas) keep the fields they leave out
+  const updateMarketData = (ticker) => {
+    setMarketData(prev => {
+      const current = prev[ticker.symbol] || {};
+      return {
+        ...prev,
+        [ticker.symbol]: {
+          ...current,
+          symbol: ticker.symbol,
+          price: ticker.price,
+          priceChangePercent: ticker.priceChangePercent ?? current.priceChangePercent,
+          volume: ticker.volume ?? current.volume,
+          isMock: false,
+          updatedAt: ticker.timestamp
+        }
+      };
+    });
   };
 
+  handlersRef.current = { initializeDashboard, updateMarketData };
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -293,7 +316,7 @@ export default function TradingDashboard() {
             
             <div className="space-y-4">
               {Object.entries(marketData).map(([symbol, data]) => {
-                const priceChange = parseFloat(data?.priceChangePercent || (Math.random() * 10 - 5));
+                const priceChange = parseFloat(data?.priceChangePercent || 0);
                 const isPositive = priceChange >= 0;
                 
                 return (
@@ -308,14 +331,14 @@ export default function TradingDashboard() {
                       <div>
                         <p className="font-medium">{symbol}</p>
                         <p className="text-sm text-gray-400">
-                          Vol: {(Math.random() * 1000000).toFixed(0)}
+                          Vol: {data?.volume != null ? parseFloat(data.volume).toFixed(0) : '—'}
                         </p>
                       </div>
                     </div>
                     
                     <div className="text-right">
                       <p className="font-bold">
-                        ${parseFloat(data?.price || (45000 + Math.random() * 10000)).toFixed(2)}
+                        {data?.price != null ? `$${parseFloat(data.price).toFixed(2)}` : '—'}
                       </p>
                       <p className={`text-sm font-medium ${isPositive ? 'text-green-400' : 'text-red-400'}`}>
                         {formatPercent(priceChange)}
@@ -333,7 +356,10 @@ export default function TradingDashboard() {
             
             <div className="space-y-4">
               {accountData?.balances ? 
-                Object.entries(typeof accountData.balances === 'object' ? accountData.balances : {}).map(([asset, balance]) => (
+                (Array.isArray(accountData.balances)
+                  ? accountData.balances.map(balance => [balance.asset, balance])
+                  : Object.entries(typeof accountData.balances === 'object' ? accountData.balances : {})
+                ).map(([asset, balance]) => (
                   <div key={asset} className="flex items-center justify-between p-4 bg-gray-700/30 rounded-lg">
                     <div className="flex items-center space-x-3">
                       <div className="w-8 h-8 bg-gradient-to-r from-blue-400 to-purple-500 rounded-full flex items-center justify-center text-sm font-bold">
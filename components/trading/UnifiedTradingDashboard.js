@@ -16,6 +16,25 @@ import {
   CheckCircleIcon,
   XCircleIcon
 } from '@heroicons/react/24/outline';
+import { marketStream } from '../../lib/market-data/market-stream.js';
+import OrderBookPanel from './OrderBookPanel';
+import TradingChart from './TradingChart';
+import AlertsPanel from './AlertsPanel';
+
+// Open orders and kill-switch state are polled; order reads share the per-user account rate limit
+const DASHBOARD_REFRESH_INTERVAL = 10000;
+
+// Available platforms and symbols
+const PLATFORMS = {
+  traditional: [
+    { id: 'tradovate', name: 'Tradovate', symbols: ['ESZ1', 'NQZ1', 'YMZ1', 'RTY'] },
+    { id: 'ninjatrader', name: 'NinjaTrader', symbols: ['ES', 'NQ', 'YM', 'RTY'] }
+  ],
+  crypto: [
+    { id: 'binance', name: 'Binance', symbols: ['BTCUSDT', 'ETHUSDT', 'ADAUSDT', 'SOLUSDT'] },
+    { id: 'bybit', name: 'Bybit', symbols: ['BTCUSDT', 'ETHUSDT', 'BNBUSDT', 'XRPUSDT'] }
+  ]
+};
 
 const UnifiedTradingDashboard = () => {
   const [isDemo, setIsDemo] = useState(true);
@@ -26,32 +45,30 @@ const UnifiedTradingDashboard = () => {
   const [accountBalances, setAccountBalances] = useState({});
   const [activePositions, setActivePositions] = useState([]);
   const [openOrders, setOpenOrders] = useState([]);
+  const [tradingAccounts, setTradingAccounts] = useState([]);
+  const [editingOrder, setEditingOrder] = useState(null); // { id, price, quantity }
+  const [csrfToken, setCsrfToken] = useState('');
   const [marketOverview, setMarketOverview] = useState(null);
+  const [orderTicket, setOrderTicket] = useState(null); // { side, price, id } from an order book click
+  const [alertDraft, setAlertDraft] = useState(null); // { price, id } from a chart line
   const [isConnected, setIsConnected] = useState(false);
   const [notifications, setNotifications] = useState([]);
+  const [killSwitch, setKillSwitch] = useState({ isEngaged: false, engaged: [] });
+  const [showKillConfirm, setShowKillConfirm] = useState(false);
+  const [flattenOnKill, setFlattenOnKill] = useState(true);
+  const [killSwitchBusy, setKillSwitchBusy] = useState(false);
   
   // Trading manager reference
   const tradingManagerRef = useRef(null);
-  
-  // Available platforms and symbols
-  const platforms = {
-    traditional: [
-      { id: 'tradovate', name: 'Tradovate', symbols: ['ESZ1', 'NQZ1', 'YMZ1', 'RTY'] },
-      { id: 'ninjatrader', name: 'NinjaTrader', symbols: ['ES', 'NQ', 'YM', 'RTY'] }
-    ],
-    crypto: [
-      { id: 'binance', name: 'Binance', symbols: ['BTCUSDT', 'ETHUSDT', 'ADAUSDT', 'SOLUSDT'] },
-      { id: 'bybit', name: 'Bybit', symbols: ['BTCUSDT', 'ETHUSDT', 'BNBUSDT', 'XRPUSDT'] }
-    ]
-  };
+  const handlersRef = useRef({}); // Latest loaders, for the mount effect and its interval
   
   useEffect(() => {
-    initializeTradingManager();
+    handlersRef.current.initializeTradingManager();
     
     // Setup periodic updates
     const updateInterval = setInterval(() => {
-      updateDashboardData();
-    }, 5000);
+      handlersRef.current.updateDashboardData();
+    }, DASHBOARD_REFRESH_INTERVAL);
     
     return () => {
       clearInterval(updateInterval);
@@ -61,10 +78,67 @@ const UnifiedTradingDashboard = () => {
     };
   }, []);
   
+  // Live ticker for the selected symbol; only the crypto venues stream market data
+  useEffect(() => {
+    setMarketOverview(null);
+    if (!PLATFORMS.crypto.some(platform => platform.id === selectedPlatform)) return undefined;
+
+    return marketStream.subscribe(
+      { exchange: selectedPlatform.toUpperCase(), channel: 'ticker', symbol: selectedSymbol },
+      (ticker) => setMarketOverview(prev => ({
+        ...ticker,
+        priceChangePercent: ticker.priceChangePercent ?? prev?.priceChangePercent ?? null,
+        volume: ticker.volume ?? prev?.volume ?? null
+      }))
+    );
+  }, [selectedPlatform, selectedSymbol]);
+
+  const fetchCSRFToken = async () => {
+    try {
+      const response = await fetch('/api/csrf');
+      const data = await response.json();
+      setCsrfToken(data.csrfToken);
+    } catch (error) {
+      console.error('CSRF token fetch error:', error);
+    }
+  };
+  
+  const loadTradingAccounts = async () => {
+    try {
+      const response = await fetch('/api/trading/accounts');
+      if (!response.ok) return;
+      const data = await response.json();
+      setTradingAccounts(data.accounts || []);
+    } catch (error) {
+      console.error('Failed to load trading accounts:', error);
+    }
+  };
+  
+  const loadOpenOrders = async () => {
+    try {
+      const response = await fetch('/api/trading/orders?status=open');
+      if (!response.ok) return;
+      const data = await response.json();
+      setOpenOrders(data.orders || []);
+    } catch (error) {
+      console.error('Failed to load open orders:', error);
+    }
+  };
+  
+  const loadKillSwitchStatus = async () => {
+    try {
+      const response = await fetch('/api/trading/kill-switch');
+      if (!response.ok) return;
+      setKillSwitch(await response.json());
+    } catch (error) {
+      console.error('Failed to load kill switch status:', error);
+    }
+  };
+  
   const initializeTradingManager = async () => {
     try {
-      // Simulate initialization for demo
       console.log('Initializing trading manager...');
+      await Promise.all([fetchCSRFToken(), loadTradingAccounts(), loadOpenOrders(), loadKillSwitchStatus()]);
       setIsConnected(true);
       
       // Mock platform status
@@ -116,30 +190,43 @@ const UnifiedTradingDashboard = () => {
   };
   
   const updateDashboardData = async () => {
-    // Simulate data updates
-    console.log('Updating dashboard data...');
+    await Promise.all([loadOpenOrders(), loadKillSwitchStatus()]);
+  };
+  
+  const sendOrderRequest = async (url, method, body) => {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': csrfToken
+      },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || data.message || 'Request failed');
+    }
+    return data;
   };
   
   const placeOrder = async (orderData) => {
     try {
-      // Simulate order placement
-      console.log('Placing order:', orderData);
-      addNotification('success', `Order placed: ${orderData.symbol}`);
-      
-      // Add mock order to open orders
-      const mockOrder = {
-        orderId: `order_${Date.now()}`,
-        symbol: orderData.symbol,
-        side: orderData.side,
-        quantity: orderData.quantity,
-        type: orderData.type,
-        price: orderData.price,
-        status: 'pending'
-      };
+      const account = tradingAccounts.find(a => 
+        a.platform === selectedPlatform.toUpperCase() && a.isDemo === isDemo && a.isActive !== false
+      );
+      if (!account) {
+        throw new Error(`No ${isDemo ? 'demo' : 'live'} ${selectedPlatform} account connected`);
+      }
       
-      setOpenOrders(prev => [mockOrder, ...prev]);
+      const { order } = await sendOrderRequest('/api/trading/orders', 'POST', {
+        accountId: account.id,
+        ...orderData
+      });
       
-      return mockOrder;
+      addNotification('success', `Order placed: ${order.symbol} (${order.status.toLowerCase()})`);
+      await loadOpenOrders();
+      return order;
     } catch (error) {
       addNotification('error', `Order failed: ${error.message}`);
       throw error;
@@ -148,14 +235,82 @@ const UnifiedTradingDashboard = () => {
   
   const cancelOrder = async (orderId) => {
     try {
-      // Remove order from list
-      setOpenOrders(prev => prev.filter(order => order.orderId !== orderId));
+      await sendOrderRequest(`/api/trading/orders/${orderId}`, 'DELETE');
       addNotification('success', 'Order cancelled');
+      await loadOpenOrders();
     } catch (error) {
       addNotification('error', `Cancel failed: ${error.message}`);
     }
   };
   
+  const cancelAllOrders = async () => {
+    try {
+      const { count } = await sendOrderRequest(
+        `/api/trading/orders?symbol=${encodeURIComponent(selectedSymbol)}`,
+        'DELETE'
+      );
+      addNotification('success', `Cancelled ${count} ${selectedSymbol} order(s)`);
+      await loadOpenOrders();
+    } catch (error) {
+      addNotification('error', `Cancel all failed: ${error.message}`);
+    }
+  };
+  
+  const modifyOrder = async () => {
+    if (!editingOrder) return;
+    
+    try {
+      await sendOrderRequest(`/api/trading/orders/${editingOrder.id}`, 'PATCH', {
+        price: editingOrder.price,
+        quantity: editingOrder.quantity
+      });
+      addNotification('success', 'Order modified');
+      setEditingOrder(null);
+      await loadOpenOrders();
+    } catch (error) {
+      addNotification('error', `Modify failed: ${error.message}`);
+    }
+  };
+  
+  const engageKillSwitch = async () => {
+    setKillSwitchBusy(true);
+    try {
+      const { summary } = await sendOrderRequest('/api/trading/kill-switch', 'POST', {
+        flatten: flattenOnKill,
+        reason: 'Manual kill switch from trading dashboard'
+      });
+      addNotification(summary.failures.length ? 'warning' : 'success',
+        `Kill switch engaged: ${summary.cancelledOrders} order(s) cancelled, ${summary.flattened.length} position(s) flattened` +
+        (summary.failures.length ? `, ${summary.failures.length} step(s) failed` : ''));
+      setShowKillConfirm(false);
+    } catch (error) {
+      addNotification('error', `Kill switch failed: ${error.message}`);
+    } finally {
+      setKillSwitchBusy(false);
+      await Promise.all([loadOpenOrders(), loadKillSwitchStatus()]);
+    }
+  };
+  
+  const rearmKillSwitch = async () => {
+    setKillSwitchBusy(true);
+    try {
+      // Lift every engaged scope: the user-wide switch and any per-account ones
+      const scopes = [...new Set(killSwitch.engaged.map(entry => entry.tradingAccountId))];
+      for (const accountId of scopes) {
+        await sendOrderRequest(
+          `/api/trading/kill-switch${accountId ? `?accountId=${encodeURIComponent(accountId)}` : ''}`,
+          'DELETE'
+        );
+      }
+      addNotification('success', 'Kill switch re-armed; trading resumed');
+    } catch (error) {
+      addNotification('error', `Re-arm failed: ${error.message}`);
+    } finally {
+      setKillSwitchBusy(false);
+      await loadKillSwitchStatus();
+    }
+  };
+  
   const addNotification = (type, message) => {
     const notification = {
       id: Date.now(),
@@ -171,6 +326,8 @@ const UnifiedTradingDashboard = () => {
     }, 5000);
   };
   
+  handlersRef.current = { initializeTradingManager, updateDashboardData };
+
   const getNotificationIcon = (type) => {
     switch (type) {
       case 'success': return <CheckCircleIcon className="h-5 w-5 text-green-500" />;
@@ -198,6 +355,26 @@ const UnifiedTradingDashboard = () => {
           </div>
           
           <div className="flex items-center space-x-4">
+            {/* Kill Switch */}
+            {killSwitch.isEngaged ? (
+              <button
+                onClick={rearmKillSwitch}
+                disabled={killSwitchBusy}
+                className="px-3 py-1 rounded text-sm font-bold bg-yellow-500 text-gray-900 hover:bg-yellow-400 disabled:opacity-50"
+              >
+                RE-ARM TRADING
+              </button>
+            ) : (
+              <button
+                onClick={() => setShowKillConfirm(true)}
+                disabled={killSwitchBusy}
+                className="flex items-center px-3 py-1 rounded text-sm font-bold bg-red-600 text-white hover:bg-red-700 ring-2 ring-red-400 disabled:opacity-50"
+              >
+                <ExclamationTriangleIcon className="h-4 w-4 mr-1" />
+                KILL SWITCH
+              </button>
+            )}
+            
             {/* Demo/Live Toggle */}
             <div className="flex items-center space-x-2">
               <span className="text-sm">Mode:</span>
@@ -220,14 +397,14 @@ const UnifiedTradingDashboard = () => {
               className="bg-gray-700 border border-gray-600 rounded px-3 py-1 text-sm"
             >
               <optgroup label="Traditional">
-                {platforms.traditional.map(platform => (
+                {PLATFORMS.traditional.map(platform => (
                   <option key={platform.id} value={platform.id}>
                     {platform.name}
                   </option>
                 ))}
               </optgroup>
               <optgroup label="Crypto">
-                {platforms.crypto.map(platform => (
+                {PLATFORMS.crypto.map(platform => (
                   <option key={platform.id} value={platform.id}>
                     {platform.name}
                   </option>
@@ -241,7 +418,7 @@ const UnifiedTradingDashboard = () => {
               onChange={(e) => setSelectedSymbol(e.target.value)}
               className="bg-gray-700 border border-gray-600 rounded px-3 py-1 text-sm"
             >
-              {[...platforms.traditional, ...platforms.crypto]
+              {[...PLATFORMS.traditional, ...PLATFORMS.crypto]
                 .find(p => p.id === selectedPlatform)?.symbols.map(symbol => (
                 <option key={symbol} value={symbol}>
                   {symbol}
@@ -252,6 +429,59 @@ const UnifiedTradingDashboard = () => {
         </div>
       </div>
       
+      {/* Kill Switch Confirmation */}
+      {showKillConfirm && (
+        <div className="bg-red-900/40 border-b border-red-700 p-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <div className="font-semibold text-red-300">
+                Halt all trading on every account?
+              </div>
+              <div className="text-sm text-red-200">
+                Stops strategies and algo orders, cancels every working order and blocks new orders until re-armed.
+              </div>
+              <label className="flex items-center mt-2 text-sm text-red-100">
+                <input
+                  type="checkbox"
+                  checked={flattenOnKill}
+                  onChange={(e) => setFlattenOnKill(e.target.checked)}
+                  className="mr-2"
+                />
+                Also flatten all open positions at market
+              </label>
+            </div>
+            <div className="flex space-x-2">
+              <button
+                onClick={engageKillSwitch}
+                disabled={killSwitchBusy}
+                className="bg-red-600 hover:bg-red-700 rounded px-4 py-2 text-sm font-bold disabled:opacity-50"
+              >
+                {killSwitchBusy ? 'Engaging...' : 'Engage'}
+              </button>
+              <button
+                onClick={() => setShowKillConfirm(false)}
+                disabled={killSwitchBusy}
+                className="bg-gray-600 hover:bg-gray-500 rounded px-4 py-2 text-sm"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+      
+      {/* Kill Switch Engaged Banner */}
+      {killSwitch.isEngaged && (
+        <div className="bg-red-700 text-white p-3 text-sm flex items-center">
+          <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+          <span className="font-semibold mr-2">Trading halted.</span>
+          <span>
+            Kill switch engaged {killSwitch.userWide ? 'for all accounts' : `for ${killSwitch.engaged.length} account(s)`} since{' '}
+            {new Date(killSwitch.engaged[killSwitch.engaged.length - 1]?.engagedAt).toLocaleString()}. New orders are blocked until re-armed.
+          </span>
+        </div>
+      )}
+      
       {/* Main Content */}
       <div className="flex">
         {/* Left Sidebar - Account Info */}
@@ -299,23 +529,47 @@ const UnifiedTradingDashboard = () => {
           
           {/* Open Orders */}
           <div>
-            <h3 className="text-lg font-semibold mb-3">Open Orders</h3>
-            <div className="space-y-2 max-h-40 overflow-y-auto">
+            <div className="flex justify-between items-center mb-3">
+              <h3 className="text-lg font-semibold">Open Orders</h3>
+              {openOrders.some(order => order.symbol === selectedSymbol) && (
+                <button
+                  onClick={cancelAllOrders}
+                  className="text-red-400 hover:text-red-300 text-xs"
+                >
+                  Cancel all {selectedSymbol}
+                </button>
+              )}
+            </div>
+            <div className="space-y-2 max-h-64 overflow-y-auto">
               {openOrders.length === 0 ? (
                 <div className="text-gray-400 text-sm text-center py-4">
                   No open orders
                 </div>
               ) : (
-                openOrders.map((order, index) => (
-                  <div key={index} className="bg-gray-700 p-3 rounded text-sm">
+                openOrders.map((order) => (
+                  <div key={order.id} className="bg-gray-700 p-3 rounded text-sm">
                     <div className="flex justify-between items-center mb-1">
                       <span className="font-medium">{order.symbol}</span>
-                      <button
-                        onClick={() => cancelOrder(order.orderId)}
-                        className="text-red-400 hover:text-red-300 text-xs"
-                      >
-                        Cancel
-                      </button>
+                      <div className="space-x-2">
+                        {order.type !== 'MARKET' && (
+                          <button
+                            onClick={() => setEditingOrder({
+                              id: order.id,
+                              price: order.price || '',
+                              quantity: order.quantity
+                            })}
+                            className="text-blue-400 hover:text-blue-300 text-xs"
+                          >
+                            Modify
+                          </button>
+                        )}
+                        <button
+                          onClick={() => cancelOrder(order.id)}
+                          className="text-red-400 hover:text-red-300 text-xs"
+                        >
+                          Cancel
+                        </button>
+                      </div>
                     </div>
                     <div className="flex justify-between">
                       <span>{order.side} {order.quantity}</span>
@@ -326,6 +580,48 @@ const UnifiedTradingDashboard = () => {
                         Price: ${order.price}
                       </div>
                     )}
+                    {parseFloat(order.filledQuantity) > 0 && (
+                      <div className="text-gray-400">
+                        Filled: {order.filledQuantity}
+                      </div>
+                    )}
+                    
+                    {editingOrder?.id === order.id && (
+                      <div className="mt-2 space-y-2">
+                        <div className="flex space-x-2">
+                          <input
+                            type="number"
+                            step="any"
+                            value={editingOrder.price}
+                            onChange={(e) => setEditingOrder({ ...editingOrder, price: e.target.value })}
+                            placeholder="Price"
+                            className="w-1/2 bg-gray-600 border border-gray-500 rounded px-2 py-1 text-xs"
+                          />
+                          <input
+                            type="number"
+                            step="any"
+                            value={editingOrder.quantity}
+                            onChange={(e) => setEditingOrder({ ...editingOrder, quantity: e.target.value })}
+                            placeholder="Quantity"
+                            className="w-1/2 bg-gray-600 border border-gray-500 rounded px-2 py-1 text-xs"
+                          />
+                        </div>
+                        <div className="flex space-x-2">
+                          <button
+                            onClick={modifyOrder}
+                            className="flex-1 bg-blue-600 hover:bg-blue-700 rounded py-1 text-xs"
+                          >
+                            Save
+                          </button>
+                          <button
+                            onClick={() => setEditingOrder(null)}
+                            className="flex-1 bg-gray-600 hover:bg-gray-500 rounded py-1 text-xs"
+                          >
+                            Close
+                          </button>
+                        </div>
+                      </div>
+                    )}
                   </div>
                 ))
               )}
@@ -333,17 +629,51 @@ const UnifiedTradingDashboard = () => {
           </div>
         </div>
         
-        {/* Center - Chart Placeholder */}
-        <div className="flex-1 p-4">
-          <div className="bg-gray-800 rounded-lg h-[600px] flex items-center justify-center">
-            <div className="text-center">
-              <ChartBarIcon className="h-16 w-16 text-gray-600 mx-auto mb-4" />
-              <div className="text-gray-400 text-lg">Real-Time Chart</div>
-              <div className="text-sm text-gray-500 mt-2">
-                {selectedSymbol} on {selectedPlatform}
+        {/* Center - Chart and Order Book */}
+        <div className="flex-1 p-4 flex space-x-4">
+          {PLATFORMS.crypto.some(platform => platform.id === selectedPlatform) ? (
+            <div className="flex-1 min-w-0">
+              <TradingChart
+                symbol={selectedSymbol}
+                exchange={selectedPlatform}
+                height={460}
+                onSymbolChange={setSelectedSymbol}
+                onCreateOrder={({ side, price }) => setOrderTicket({ side, price, id: Date.now() })}
+                onCreateAlert={({ price }) => setAlertDraft({ price, id: Date.now() })}
+              />
+            </div>
+          ) : (
+            <div className="flex-1 bg-gray-800 rounded-lg h-[600px] flex items-center justify-center">
+              <div className="text-center">
+                <ChartBarIcon className="h-16 w-16 text-gray-600 mx-auto mb-4" />
+                <div className="text-gray-400 text-lg">Real-Time Chart</div>
+                <div className="text-sm text-gray-500 mt-2">
+                  {selectedSymbol} on {selectedPlatform}
+                </div>
+                {marketOverview && (
+                  <div className="mt-4">
+                    <div className="text-3xl font-bold text-white">
+                      {marketOverview.price.toLocaleString('en-US', { maximumFractionDigits: 8 })}
+                    </div>
+                    {marketOverview.priceChangePercent !== null && (
+                      <div className={`text-sm ${marketOverview.priceChangePercent >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                        {marketOverview.priceChangePercent >= 0 ? '+' : ''}{marketOverview.priceChangePercent.toFixed(2)}% 24h
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
             </div>
-          </div>
+          )}
+          {PLATFORMS.crypto.some(platform => platform.id === selectedPlatform) && (
+            <div className="w-72 h-[600px]">
+              <OrderBookPanel
+                symbol={selectedSymbol}
+                exchange={selectedPlatform}
+                onPriceClick={(side, price) => setOrderTicket({ side, price, id: Date.now() })}
+              />
+            </div>
+          )}
         </div>
         
         {/* Right Sidebar - Trading Panel */}
@@ -351,8 +681,16 @@ const UnifiedTradingDashboard = () => {
           <QuickTradePanel
             symbol={selectedSymbol}
             platform={selectedPlatform}
+            ticket={orderTicket}
             onPlaceOrder={placeOrder}
           />
+          <AlertsPanel
+            symbol={selectedSymbol}
+            exchange={selectedPlatform}
+            csrfToken={csrfToken}
+            draft={alertDraft}
+            onTriggered={(alert) => addNotification('warning', alert.lastMessage)}
+          />
         </div>
       </div>
       
@@ -378,12 +716,20 @@ const UnifiedTradingDashboard = () => {
 };
 
 // Quick Trade Panel Component
-const QuickTradePanel = ({ symbol, platform, onPlaceOrder }) => {
+const QuickTradePanel = ({ symbol, platform, ticket, onPlaceOrder }) => {
   const [orderType, setOrderType] = useState('market');
   const [side, setSide] = useState('buy');
   const [quantity, setQuantity] = useState('');
   const [price, setPrice] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+
+  // A clicked book level becomes a limit order at that price
+  useEffect(() => {
+    if (!ticket) return;
+    setOrderType('limit');
+    setSide(ticket.side);
+    setPrice(String(ticket.price));
+  }, [ticket]);
   
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -0,0 +1,344 @@
+/**
+ * Alert Conditions
+ * What a price / indicator alert watches and when it fires. Each condition names the
+ * market data hub stream it is evaluated on and the kline history it warms up from, and
+ * turns stream messages into trigger events. Conditions fire when they become true (a
+ * cross, RSI entering its zone, a move reaching its size), not on every update while
+ * they stay true; a volume spike fires on each bar that spikes. Whether a trigger is
+ * delivered (one-shot or repeating, cooldown) is up to the alert engine.
+ *
+ * Types and params:
+ *   PRICE_CROSS   { price, direction: 'above' | 'below' | 'either' }              last price (ticker)
+ *   PERCENT_MOVE  { percent, windowMinutes, direction: 'up' | 'down' | 'either' }  1m klines: price vs the window's low / high
+ *   RSI           { interval, period, operator: 'above' | 'below', level }          on bar close
+ *   VOLUME_SPIKE  { interval, multiplier, lookback }                                on bar close, vs the lookback's average
+ *   FUNDING_RATE  { operator: 'above' | 'below', rate (percent) }                   perpetual funding, polled
+ */
+
+import { z } from 'zod';
+import { RSI } from '../indicators/indicators.js';
+import { INTERVAL_MS } from '../market-data/timeframes.js';
+
+export const ALERT_TYPES = ['PRICE_CROSS', 'PERCENT_MOVE', 'RSI', 'VOLUME_SPIKE', 'FUNDING_RATE'];
+export const DEFAULT_COOLDOWN_SECONDS = 300;
+
+const MAX_WINDOW_MINUTES = 1440;
+const MAX_COOLDOWN_SECONDS = 7 * 24 * 60 * 60;
+const MAX_RSI_HISTORY = 500;
+const MAX_ISSUES = 3;
+
+/**
+ * ===== SCHEMA =====
+ */
+
+const intervalSchema = z.enum(Object.keys(INTERVAL_MS));
+
+export const ALERT_PARAM_SCHEMAS = {
+  PRICE_CROSS: z.object({
+    price: z.number().positive(),
+    direction: z.enum(['above', 'below', 'either']).default('either')
+  }).strict(),
+  PERCENT_MOVE: z.object({
+    percent: z.number().positive().max(100),
+    windowMinutes: z.number().int().min(1).max(MAX_WINDOW_MINUTES),
+    direction: z.enum(['up', 'down', 'either']).default('either')
+  }).strict(),
+  RSI: z.object({
+    interval: intervalSchema.default('1h'),
+    period: z.number().int().min(2).max(100).default(14),
+    operator: z.enum(['above', 'below']),
+    level: z.number().min(0).max(100)
+  }).strict(),
+  VOLUME_SPIKE: z.object({
+    interval: intervalSchema.default('5m'),
+    multiplier: z.number().gt(1).max(100).default(3),
+    lookback: z.number().int().min(5).max(200).default(20)
+  }).strict(),
+  FUNDING_RATE: z.object({
+    operator: z.enum(['above', 'below']),
+    rate: z.number().min(-10).max(10)
+  }).strict()
+};
+
+const alertSchema = z.object({
+  exchange: z.string().trim().min(1).default('BINANCE').transform(exchange => exchange.toUpperCase()),
+  symbol: z.string().trim().regex(/^[A-Za-z0-9._-]{2,30}$/, 'must be an exchange symbol').transform(symbol => symbol.toUpperCase()),
+  type: z.enum(ALERT_TYPES),
+  params: z.record(z.unknown()),
+  name: z.string().trim().max(100).nullish().transform(name => name || null),
+  repeating: z.boolean().default(false),
+  cooldownSeconds: z.number().int().min(0).max(MAX_COOLDOWN_SECONDS).default(DEFAULT_COOLDOWN_SECONDS)
+}).strict().superRefine((alert, context) => {
+  const result = ALERT_PARAM_SCHEMAS[alert.type]?.safeParse(alert.params);
+  if (result && !result.success) {
+    result.error.issues.forEach(issue => context.addIssue({ ...issue, path: ['params', ...issue.path] }));
+  }
+}).transform(alert => ({ ...alert, params: ALERT_PARAM_SCHEMAS[alert.type].parse(alert.params) }));
+
+/**
+ * Validate an alert definition and fill in defaults
+ * @throws {Error} 'Invalid alert: <path>: <problem>' for the first few problems
+ */
+export function parseAlert(alert) {
+  const result = alertSchema.safeParse(alert);
+  if (!result.success) {
+    const problems = result.error.issues.slice(0, MAX_ISSUES).map(issue => (
+      issue.path.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message
+    ));
+    throw new Error(`Invalid alert: ${problems.join('; ')}`);
+  }
+  return result.data;
+}
+
+/**
+ * ===== STREAMS =====
+ */
+
+/**
+ * Market data hub stream spec an alert is evaluated on
+ */
+export function getAlertStream({ exchange, symbol, type, params }) {
+  switch (type) {
+    case 'PRICE_CROSS':
+      return { exchange, channel: 'ticker', symbol };
+    case 'PERCENT_MOVE':
+      return { exchange, channel: 'kline', symbol, interval: '1m' };
+    case 'RSI':
+    case 'VOLUME_SPIKE':
+      return { exchange, channel: 'kline', symbol, interval: params.interval };
+    case 'FUNDING_RATE':
+      return { exchange, channel: 'funding', symbol };
+    default:
+      throw new Error(`Invalid alert: unknown type ${type}`);
+  }
+}
+
+/**
+ * Closed kline history a condition warms up on: { interval, bars }, or null
+ */
+export function getAlertHistory({ type, params }) {
+  switch (type) {
+    case 'PERCENT_MOVE':
+      return { interval: '1m', bars: params.windowMinutes };
+    case 'RSI':
+      return { interval: params.interval, bars: Math.min(params.period * 10, MAX_RSI_HISTORY) };
+    case 'VOLUME_SPIKE':
+      return { interval: params.interval, bars: params.lookback };
+    default:
+      return null;
+  }
+}
+
+/**
+ * One-line description, e.g. 'BTCUSDT RSI(14) 1h above 70'
+ */
+export function describeAlert({ symbol, type, params }) {
+  switch (type) {
+    case 'PRICE_CROSS':
+      return `${symbol} crosses ${params.direction === 'either' ? '' : `${params.direction} `}${formatNumber(params.price)}`;
+    case 'PERCENT_MOVE':
+      return `${symbol} moves ${params.direction === 'either' ? '' : `${params.direction} `}${params.percent}% in ${params.windowMinutes}m`;
+    case 'RSI':
+      return `${symbol} RSI(${params.period}) ${params.interval} ${params.operator} ${params.level}`;
+    case 'VOLUME_SPIKE':
+      return `${symbol} ${params.interval} volume ≥ ${params.multiplier}× ${params.lookback}-bar average`;
+    case 'FUNDING_RATE':
+      return `${symbol} funding rate ${params.operator} ${params.rate}%`;
+    default:
+      return `${symbol} ${type}`;
+  }
+}
+
+/**
+ * ===== CONDITIONS =====
+ */
+
+/**
+ * Stateful evaluator for one alert. warmUp(candles) takes closed history oldest first;
+ * evaluate(message) takes hub messages and returns { value, message } when it fires.
+ */
+export class AlertCondition {
+  constructor(alert) {
+    this.symbol = alert.symbol;
+    this.params = alert.params;
+    this.active = false; // Condition held at the last evaluation
+  }
+
+  warmUp() {}
+
+  evaluate() {
+    return null;
+  }
+
+  // Fire on the transition into the condition only
+  edge(matched) {
+    const fired = matched && !this.active;
+    this.active = matched;
+    return fired;
+  }
+}
+
+export class PriceCrossCondition extends AlertCondition {
+  constructor(alert) {
+    super(alert);
+    this.lastPrice = null;
+  }
+
+  evaluate(message) {
+    if (message.type !== 'ticker') return null;
+    const { price: level, direction } = this.params;
+    const previous = this.lastPrice;
+    this.lastPrice = message.price;
+    if (previous === null) return null;
+
+    const crossedAbove = previous < level && message.price >= level;
+    const crossedBelow = previous > level && message.price <= level;
+    if (!(crossedAbove && direction !== 'below') && !(crossedBelow && direction !== 'above')) return null;
+
+    return {
+      value: message.price,
+      message: `${this.symbol} crossed ${crossedAbove ? 'above' : 'below'} ${formatNumber(level)} (last ${formatNumber(message.price)})`
+    };
+  }
+}
+
+export class PercentMoveCondition extends AlertCondition {
+  constructor(alert) {
+    super(alert);
+    this.bars = new Map(); // 1m open time -> { low, high }
+  }
+
+  warmUp(candles) {
+    candles.forEach(candle => this.addBar(candle));
+  }
+
+  addBar({ timestamp, high, low }) {
+    this.bars.set(timestamp, { high, low });
+    const cutoff = timestamp - this.params.windowMinutes * INTERVAL_MS['1m'];
+    for (const time of this.bars.keys()) {
+      if (time <= cutoff) this.bars.delete(time);
+    }
+  }
+
+  evaluate(message) {
+    if (message.type !== 'candle') return null;
+    this.addBar(message);
+
+    const { percent, windowMinutes, direction } = this.params;
+    const bars = Array.from(this.bars.values());
+    const low = Math.min(...bars.map(bar => bar.low));
+    const high = Math.max(...bars.map(bar => bar.high));
+    const price = message.close;
+    const up = low > 0 ? ((price - low) / low) * 100 : 0;
+    const down = high > 0 ? ((high - price) / high) * 100 : 0;
+
+    const upHit = direction !== 'down' && up >= percent;
+    const downHit = direction !== 'up' && down >= percent;
+    if (!this.edge(upHit || downHit)) return null;
+
+    return upHit
+      ? { value: up, message: `${this.symbol} up ${up.toFixed(2)}% in ${windowMinutes}m (from ${formatNumber(low)} to ${formatNumber(price)})` }
+      : { value: -down, message: `${this.symbol} down ${down.toFixed(2)}% in ${windowMinutes}m (from ${formatNumber(high)} to ${formatNumber(price)})` };
+  }
+}
+
+export class RsiCondition extends AlertCondition {
+  constructor(alert) {
+    super(alert);
+    this.rsi = new RSI({ period: this.params.period });
+    this.lastTimestamp = null;
+  }
+
+  warmUp(candles) {
+    candles.forEach(candle => this.update(candle));
+  }
+
+  update(candle) {
+    if (this.lastTimestamp !== null && candle.timestamp <= this.lastTimestamp) return null;
+    this.lastTimestamp = candle.timestamp;
+    return this.rsi.update(candle);
+  }
+
+  evaluate(message) {
+    if (message.type !== 'candle' || !message.closed) return null;
+    const value = this.update(message);
+    if (value === null) return null;
+
+    const { operator, level, period, interval } = this.params;
+    if (!this.edge(operator === 'above' ? value > level : value < level)) return null;
+
+    return {
+      value,
+      message: `${this.symbol} RSI(${period}) ${interval} at ${value.toFixed(1)}, ${operator} ${level}`
+    };
+  }
+}
+
+export class VolumeSpikeCondition extends AlertCondition {
+  constructor(alert) {
+    super(alert);
+    this.volumes = []; // Last `lookback` closed bars
+    this.lastTimestamp = null;
+  }
+
+  warmUp(candles) {
+    candles.forEach(candle => this.addVolume(candle));
+  }
+
+  addVolume(candle) {
+    this.lastTimestamp = candle.timestamp;
+    this.volumes.push(candle.volume);
+    if (this.volumes.length > this.params.lookback) this.volumes.shift();
+  }
+
+  evaluate(message) {
+    if (message.type !== 'candle' || !message.closed) return null;
+    if (this.lastTimestamp !== null && message.timestamp <= this.lastTimestamp) return null;
+
+    const { multiplier, lookback, interval } = this.params;
+    const full = this.volumes.length === lookback;
+    const average = this.volumes.reduce((sum, volume) => sum + volume, 0) / (this.volumes.length || 1);
+    this.addVolume(message);
+    if (!full || !(average > 0) || message.volume < multiplier * average) return null;
+
+    const ratio = message.volume / average;
+    return {
+      value: ratio,
+      message: `${this.symbol} ${interval} volume ${formatNumber(message.volume)} is ${ratio.toFixed(1)}× its ${lookback}-bar average`
+    };
+  }
+}
+
+export class FundingRateCondition extends AlertCondition {
+  evaluate(message) {
+    if (message.type !== 'funding') return null;
+    const ratePercent = message.fundingRate * 100;
+    const { operator, rate } = this.params;
+    if (!this.edge(operator === 'above' ? ratePercent > rate : ratePercent < rate)) return null;
+
+    return {
+      value: ratePercent,
+      message: `${this.symbol} funding rate ${ratePercent.toFixed(4)}%, ${operator} ${rate}%`
+    };
+  }
+}
+
+const CONDITIONS = {
+  PRICE_CROSS: PriceCrossCondition,
+  PERCENT_MOVE: PercentMoveCondition,
+  RSI: RsiCondition,
+  VOLUME_SPIKE: VolumeSpikeCondition,
+  FUNDING_RATE: FundingRateCondition
+};
+
+export function createAlertCondition(alert) {
+  const Condition = CONDITIONS[alert.type];
+  if (!Condition) {
+    throw new Error(`Invalid alert: unknown type ${alert.type}`);
+  }
+  return new Condition(alert);
+}
+
+function formatNumber(value) {
+  return value.toLocaleString('en-US', { maximumFractionDigits: 8 });
+}
@@ -0,0 +1,227 @@
+/**
+ * Alert Engine
+ * Watches every active Alert on the market data hub: each alert's condition (see
+ * alert-conditions.js) is warmed up on kline history where it needs it and fed its
+ * stream. When a condition fires the user gets a STRATEGY_ALERT notification. One-shot
+ * alerts then switch off; repeating ones stay armed and fire at most once per cooldown.
+ * Active alerts are resumed from the database on start.
+ */
+
+import { prisma } from '../database.js';
+import { marketDataHub, normalizeStream } from '../market-data/market-data-hub.js';
+import { candleIngester } from '../market-data/candle-ingester.js';
+import {
+  parseAlert,
+  createAlertCondition,
+  getAlertStream,
+  getAlertHistory,
+  describeAlert
+} from './alert-conditions.js';
+
+const MAX_ACTIVE_ALERTS_PER_USER = 100;
+
+export class AlertEngine {
+  /**
+   * @param {object} manager - UnifiedTradingManager
+   */
+  constructor(manager) {
+    this.manager = manager;
+    this.watches = new Map(); // alertId -> { alert, condition, unsubscribe }
+    this.started = false;
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.resume().catch(error => console.error('❌ Alert engine failed to resume alerts:', error));
+  }
+
+  stop() {
+    this.started = false;
+    for (const alertId of Array.from(this.watches.keys())) {
+      this.unwatch(alertId);
+    }
+  }
+
+  async resume() {
+    const alerts = await prisma.alert.findMany({ where: { isActive: true } });
+    await Promise.all(alerts.map(alert => this.watch(alert)));
+    console.log(`🔔 Alert engine started: watching ${this.watches.size} alerts`);
+  }
+
+  /**
+   * ===== ALERTS =====
+   */
+
+  /**
+   * @param {object} input - { exchange, symbol, type, params, name, repeating, cooldownSeconds }
+   */
+  async createAlert(userId, input) {
+    const alert = parseAlert(input);
+    this.checkStream(alert);
+    await this.assertUnderActiveLimit(userId);
+
+    const record = await prisma.alert.create({ data: { userId, ...alert } });
+    await this.watch(record);
+    console.log(`🔔 Alert created: ${describeAlert(record)}`);
+    return record;
+  }
+
+  async getUserAlerts(userId, { activeOnly = false } = {}) {
+    return prisma.alert.findMany({
+      where: { userId, ...(activeOnly && { isActive: true }) },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Change an alert's definition, or pause / re-arm it with { isActive }. Re-arming a
+   * fired one-shot alert lets it fire again; it counts against the active-alert limit.
+   */
+  async updateAlert(userId, alertId, changes = {}) {
+    const existing = await this.getOwnedAlert(userId, alertId);
+    const { isActive = existing.isActive, ...fields } = changes;
+    if (typeof isActive !== 'boolean') {
+      throw new Error('Invalid alert: isActive must be true or false');
+    }
+
+    const alert = parseAlert({
+      exchange: existing.exchange,
+      symbol: existing.symbol,
+      type: existing.type,
+      params: existing.params,
+      name: existing.name,
+      repeating: existing.repeating,
+      cooldownSeconds: existing.cooldownSeconds,
+      ...fields
+    });
+    if (isActive) this.checkStream(alert);
+    if (isActive && !existing.isActive) await this.assertUnderActiveLimit(userId);
+
+    const record = await prisma.alert.update({
+      where: { id: alertId },
+      data: { ...alert, isActive }
+    });
+
+    if (isActive) {
+      await this.watch(record);
+    } else {
+      this.unwatch(alertId);
+    }
+    return record;
+  }
+
+  async deleteAlert(userId, alertId) {
+    await this.getOwnedAlert(userId, alertId);
+    this.unwatch(alertId);
+    await prisma.alert.delete({ where: { id: alertId } });
+  }
+
+  async getOwnedAlert(userId, alertId) {
+    const alert = await prisma.alert.findUnique({ where: { id: alertId } });
+    if (!alert || alert.userId !== userId) {
+      throw new Error('Alert not found');
+    }
+    return alert;
+  }
+
+  async assertUnderActiveLimit(userId) {
+    const active = await prisma.alert.count({ where: { userId, isActive: true } });
+    if (active >= MAX_ACTIVE_ALERTS_PER_USER) {
+      throw new Error(`Invalid alert: at most ${MAX_ACTIVE_ALERTS_PER_USER} active alerts`);
+    }
+  }
+
+  // The hub must be able to serve the alert's stream on its exchange
+  checkStream(alert) {
+    try {
+      normalizeStream(getAlertStream(alert));
+    } catch (error) {
+      throw new Error(error.message.replace(/^Invalid stream/, 'Invalid alert'));
+    }
+  }
+
+  /**
+   * ===== EVALUATION =====
+   */
+
+  async watch(alert) {
+    this.unwatch(alert.id);
+    const watch = { alert, condition: createAlertCondition(alert), unsubscribe: null };
+    this.watches.set(alert.id, watch);
+
+    const history = getAlertHistory(alert);
+    if (history) {
+      try {
+        const candles = await candleIngester.getCandles(alert.exchange, alert.symbol, history.interval, { limit: history.bars });
+        watch.condition.warmUp(candles);
+      } catch (error) {
+        // The condition warms up on live bars instead
+        console.warn(`🔔 No ${alert.symbol} ${history.interval} history for alert ${alert.id}:`, error.message);
+      }
+    }
+    if (this.watches.get(alert.id) !== watch) return; // Removed or replaced while warming up
+
+    try {
+      watch.unsubscribe = marketDataHub.subscribe(getAlertStream(alert), (message) => this.onMessage(watch, message));
+    } catch (error) {
+      this.watches.delete(alert.id);
+      console.error(`❌ Alert ${alert.id} cannot watch ${alert.symbol}:`, error.message);
+    }
+  }
+
+  unwatch(alertId) {
+    const watch = this.watches.get(alertId);
+    if (!watch) return;
+    this.watches.delete(alertId);
+    watch.unsubscribe?.();
+  }
+
+  onMessage(watch, message) {
+    const event = watch.condition.evaluate(message);
+    if (!event || this.watches.get(watch.alert.id) !== watch) return;
+
+    const { alert } = watch;
+    const lastTriggeredAt = alert.lastTriggeredAt ? new Date(alert.lastTriggeredAt).getTime() : 0;
+    if (Date.now() - lastTriggeredAt < alert.cooldownSeconds * 1000) return;
+
+    // Claimed before the writes so a burst of updates fires once
+    alert.lastTriggeredAt = new Date();
+    if (!alert.repeating) this.unwatch(alert.id);
+
+    this.trigger(alert, event).catch(error => console.error(`❌ Alert ${alert.id} trigger failed:`, error));
+  }
+
+  async trigger(alert, event) {
+    console.log(`🔔 Alert fired: ${event.message}`);
+
+    await prisma.alert.update({
+      where: { id: alert.id },
+      data: {
+        triggerCount: { increment: 1 },
+        lastTriggeredAt: alert.lastTriggeredAt,
+        lastMessage: event.message,
+        ...(!alert.repeating && { isActive: false })
+      }
+    });
+
+    await prisma.notification.create({
+      data: {
+        userId: alert.userId,
+        type: 'STRATEGY_ALERT',
+        title: alert.name || describeAlert(alert),
+        message: event.message,
+        data: {
+          alertId: alert.id,
+          alertType: alert.type,
+          exchange: alert.exchange,
+          symbol: alert.symbol,
+          value: event.value
+        }
+      }
+    });
+  }
+}
+
+export default AlertEngine;
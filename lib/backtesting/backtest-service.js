@@ -0,0 +1,209 @@
+/**
+ * Backtest Service
+ * Runs a saved Strategy's config through the backtester over exchange kline history and
+ * keeps each run (settings, stats, trades, equity curve) as a Backtest row on the strategy.
+ * History is read from the candle store, on the linked account's venue (Binance otherwise).
+ * Every run happens in a worker thread so a long backtest never stalls the API process.
+ */
+
+import { prisma } from '../database.js';
+import { Worker } from 'worker_threads';
+import { STRATEGY_IMPLEMENTATIONS, ISOLATED_STRATEGY_TYPES, getStrategyMarket } from '../strategies/strategy-registry.js';
+import { SANDBOX_RESOURCE_LIMITS } from '../strategies/code-sandbox.js';
+import { candleIngester, MAX_CANDLE_LIMIT } from '../market-data/candle-ingester.js';
+import { intervalToMs } from '../market-data/timeframes.js';
+import { getCandleExchange } from '../market-data/candle-store.js';
+import { DEFAULT_BACKTEST_SETTINGS } from './backtester.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LOOKBACK_DAYS = 30;
+const DEFAULT_EXCHANGE = 'BINANCE';
+const BACKTEST_TIMEOUT = 120000;
+
+const NUMERIC_SETTINGS = Object.keys(DEFAULT_BACKTEST_SETTINGS).filter(key => key !== 'intrabar');
+
+export class BacktestService {
+  /**
+   * @param {object} manager - UnifiedTradingManager
+   */
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  /**
+   * @param {object} options - { startTime, endTime, days, accountId, ...backtester settings }
+   */
+  async runBacktest(userId, strategyId, options = {}) {
+    const strategy = await this.getOwnedStrategy(userId, strategyId);
+    if (!STRATEGY_IMPLEMENTATIONS[strategy.type]) {
+      throw new Error(`Invalid backtest: no runtime for ${strategy.type} strategies`);
+    }
+
+    const { symbol, interval } = getStrategyMarket(strategy.config);
+    const { startTime, endTime } = this.getRange(options, interval);
+    const settings = this.parseSettings(options);
+
+    const exchange = await this.getHistoryExchange(userId, options.accountId || strategy.tradingAccountId);
+    const candles = await candleIngester.getCandles(exchange, symbol, interval, { startTime, endTime });
+
+    console.log(`🧪 Backtesting ${strategy.name} on ${symbol} ${interval}: ${candles.length} candles`);
+    const result = await this.runInWorker({ type: strategy.type, config: strategy.config, candles, ...settings });
+
+    const backtest = await prisma.backtest.create({
+      data: {
+        userId,
+        strategyId,
+        symbol,
+        interval,
+        startTime: new Date(result.stats.startTime),
+        endTime: new Date(result.stats.endTime),
+        config: strategy.config,
+        settings: result.settings,
+        stats: result.stats,
+        trades: result.trades,
+        equityCurve: result.equityCurve
+      }
+    });
+
+    console.log(`🧪 ${strategy.name}: ${result.stats.totalTrades} trades, net ${result.stats.netProfit.toFixed(2)}`);
+    return backtest;
+  }
+
+  /**
+   * Backtest in a worker thread; strategies running user code get a memory-limited one
+   */
+  runInWorker(args) {
+    const isolated = ISOLATED_STRATEGY_TYPES.includes(args.type);
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./backtest-worker.js', import.meta.url), {
+        workerData: args,
+        ...(isolated && { resourceLimits: SANDBOX_RESOURCE_LIMITS })
+      });
+      // The first outcome wins; the worker is stopped whichever it is
+      let settled = false;
+      const settle = (error, result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        worker.terminate();
+        if (error) reject(error);
+        else resolve(result);
+      };
+      const timer = setTimeout(() => {
+        settle(new Error(isolated
+          ? `Invalid backtest: strategy code took longer than ${BACKTEST_TIMEOUT / 1000}s`
+          : `Invalid backtest: took longer than ${BACKTEST_TIMEOUT / 1000}s, use a shorter range`));
+      }, BACKTEST_TIMEOUT);
+
+      worker.on('message', (message) => {
+        if (message.type === 'result') {
+          settle(null, message.result);
+        } else {
+          // The code failing is the user's to fix, like any invalid input
+          settle(new Error(/^Strategy code/.test(message.message) ? `Invalid backtest: ${message.message}` : message.message));
+        }
+      });
+      worker.on('error', (error) => {
+        settle(error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+          ? new Error('Invalid backtest: strategy code ran out of memory')
+          : error);
+      });
+      worker.on('exit', (code) => {
+        settle(new Error(code === 0
+          ? 'Backtest worker exited without a result'
+          : `Backtest worker exited with code ${code}`));
+      });
+    });
+  }
+
+  /**
+   * Without a startTime the window is `days` back from the end, by default 30 days or as
+   * many bars as one candle read returns, whichever is shorter
+   */
+  getRange({ startTime, endTime, days }, interval) {
+    const end = endTime ? new Date(endTime).getTime() : Date.now();
+    const lookback = parseFloat(days) > 0
+      ? parseFloat(days) * DAY_MS
+      : Math.min(DEFAULT_LOOKBACK_DAYS * DAY_MS, (MAX_CANDLE_LIMIT - 1) * intervalToMs(interval));
+    const start = startTime ? new Date(startTime).getTime() : end - lookback;
+
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start >= end) {
+      throw new Error('Invalid backtest: startTime must be before endTime');
+    }
+    return { startTime: start, endTime: end };
+  }
+
+  parseSettings(options) {
+    const settings = {};
+    for (const key of NUMERIC_SETTINGS) {
+      if (options[key] === undefined || options[key] === null || options[key] === '') continue;
+
+      const value = parseFloat(options[key]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid backtest: ${key} must be a non-negative number`);
+      }
+      settings[key] = key === 'warmUpBars' ? Math.floor(value) : value;
+    }
+    if (options.intrabar) {
+      settings.intrabar = String(options.intrabar).toUpperCase();
+    }
+    return settings;
+  }
+
+  async getHistoryExchange(userId, accountId) {
+    if (!accountId) return DEFAULT_EXCHANGE;
+
+    const account = await prisma.tradingAccount.findUnique({ where: { id: accountId } });
+    if (!account || account.userId !== userId) {
+      throw new Error('Unauthorized account access');
+    }
+    return getCandleExchange(account.platform, account.isDemo);
+  }
+
+  /**
+   * ===== STORED RESULTS =====
+   */
+
+  async getStrategyBacktests(userId, strategyId) {
+    await this.getOwnedStrategy(userId, strategyId);
+
+    // Summaries only; trades and the equity curve come with getBacktest
+    return await prisma.backtest.findMany({
+      where: { strategyId },
+      orderBy: { createdAt: 'desc' },
+      select: {
+        id: true,
+        symbol: true,
+        interval: true,
+        startTime: true,
+        endTime: true,
+        settings: true,
+        stats: true,
+        createdAt: true
+      }
+    });
+  }
+
+  async getBacktest(userId, backtestId) {
+    const backtest = await prisma.backtest.findUnique({ where: { id: backtestId } });
+    if (!backtest || backtest.userId !== userId) {
+      throw new Error('Backtest not found');
+    }
+    return backtest;
+  }
+
+  async deleteBacktest(userId, backtestId) {
+    await this.getBacktest(userId, backtestId);
+    await prisma.backtest.delete({ where: { id: backtestId } });
+  }
+
+  async getOwnedStrategy(userId, strategyId) {
+    const strategy = await prisma.strategy.findUnique({ where: { id: strategyId } });
+    if (!strategy || strategy.userId !== userId) {
+      throw new Error('Strategy not found');
+    }
+    return strategy;
+  }
+}
+
+export default BacktestService;
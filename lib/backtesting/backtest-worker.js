@@ -0,0 +1,14 @@
+/**
+ * Backtest Worker
+ * Worker-thread entry for backtests of strategies that run user code: the same
+ * Backtester, in a thread whose memory is capped, posting the result (or the error) back.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { runBacktest } from './backtester.js';
+
+try {
+  parentPort.postMessage({ type: 'result', result: runBacktest(workerData) });
+} catch (error) {
+  parentPort.postMessage({ type: 'failure', message: error.message });
+}
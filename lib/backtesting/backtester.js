@@ -0,0 +1,424 @@
+/**
+ * Backtester
+ * Deterministic, event-driven replay of OHLCV bars through the same strategy interface
+ * the live runtime uses (onTick / 'signal' / setPosition). Signals raised on a bar's close
+ * fill at the next bar's open; bracket stops and targets are resolved inside each bar
+ * from its open/high/low/close. Commission and slippage are charged on every fill, and
+ * the run yields an equity curve, the trade list and summary statistics.
+ */
+
+import { createStrategyInstance, createTimeframeFeed, getEntryQuantity, getRiskSettings } from '../strategies/strategy-registry.js';
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const MAX_WINDOW_CANDLES = 500; // Same history depth the runtime buffers per feed
+const MAX_EQUITY_POINTS = 1000;
+
+export const INTRABAR_MODES = ['CONSERVATIVE', 'OHLC'];
+
+export const DEFAULT_BACKTEST_SETTINGS = {
+  initialCapital: 10000,
+  commissionRate: 0, // Fraction of notional per fill (0.001 = 0.1%)
+  commissionPerUnit: 0, // Flat fee per unit / contract per fill
+  slippageBps: 0, // Adverse slippage on market and stop fills, basis points of price
+  slippagePoints: 0, // ...plus a fixed number of price points
+  multiplier: 1, // Quote value of one point per unit (e.g. 50 for ES)
+  warmUpBars: 50, // Bars fed to warmUp() before the strategy may trade
+  // When a bar reaches both the stop and the target: CONSERVATIVE assumes the stop
+  // filled first, OHLC assumes open -> low -> high -> close on up bars and
+  // open -> high -> low -> close on down bars
+  intrabar: 'CONSERVATIVE'
+};
+
+/**
+ * Keep the first and last points and evenly spaced ones between them
+ */
+export function downsample(points, maxPoints = MAX_EQUITY_POINTS) {
+  if (points.length <= maxPoints) return points;
+
+  const step = (points.length - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, index) => points[Math.round(index * step)]);
+}
+
+export class Backtester {
+  constructor({ type, config = {}, ...settings }) {
+    this.type = type;
+    this.config = config;
+    this.settings = { ...DEFAULT_BACKTEST_SETTINGS, ...settings };
+
+    if (!INTRABAR_MODES.includes(this.settings.intrabar)) {
+      throw new Error(`Invalid backtest: intrabar must be one of ${INTRABAR_MODES.join(', ')}`);
+    }
+    if (!(this.settings.initialCapital > 0)) {
+      throw new Error('Invalid backtest: initialCapital must be positive');
+    }
+  }
+
+  /**
+   * Replay candles (oldest first) and return { settings, trades, equityCurve, stats }
+   */
+  run(candles) {
+    const bars = candles.filter(candle => candle.closed !== false);
+    this.reset();
+    const strategy = createStrategyInstance(this.type, this.config);
+    const timeframeFeed = createTimeframeFeed(this.config);
+
+    // Trading starts once the strategy's own indicators are primed, even past warmUpBars
+    const warmUpBars = Math.max(this.settings.warmUpBars, strategy.getWarmUpBars?.() ?? 0);
+    if (bars.length <= warmUpBars + 1) {
+      throw new Error(`Invalid backtest: need more than ${warmUpBars + 1} closed candles, got ${bars.length}`);
+    }
+    this.settings.warmUpBars = warmUpBars;
+
+    strategy.on('signal', (signal) => this.onSignal(signal));
+    timeframeFeed.warmUp(bars.slice(0, warmUpBars));
+    strategy.warmUp?.(bars.slice(0, warmUpBars));
+    strategy.start();
+    this.strategy = strategy;
+
+    for (let index = warmUpBars; index < bars.length; index++) {
+      const bar = bars[index];
+      this.bar = bar;
+
+      if (this.pending) this.fillPending(bar);
+      if (this.position) this.resolveExits(bar);
+      if (this.position) this.barsInMarket += 1;
+
+      this.equityCurve.push({ timestamp: bar.timestamp, equity: this.getEquity(bar.close) });
+
+      timeframeFeed.update(bar);
+      strategy.onTick({
+        symbol: this.config.symbol || this.config.instruments?.[0],
+        interval: timeframeFeed.interval,
+        ...bar,
+        candle: bar,
+        candles: bars.slice(Math.max(0, index + 1 - MAX_WINDOW_CANDLES), index + 1),
+        timeframes: timeframeFeed.snapshot(),
+        book: null // No historical depth; order book strategies must handle its absence
+      });
+    }
+
+    // Whatever is still open is marked out at the last close
+    const last = bars[bars.length - 1];
+    if (this.position) {
+      this.closePosition(last, {
+        price: this.applySlippage(last.close, this.position.side === 'LONG' ? 'SELL' : 'BUY'),
+        reference: last.close,
+        exitReason: 'END_OF_DATA'
+      });
+      this.equityCurve[this.equityCurve.length - 1].equity = this.cash;
+    }
+    strategy.stop();
+    strategy.removeAllListeners('signal');
+
+    return {
+      settings: this.settings,
+      trades: this.trades,
+      equityCurve: downsample(this.equityCurve),
+      stats: this.computeStats(bars.slice(this.settings.warmUpBars))
+    };
+  }
+
+  reset() {
+    this.cash = this.settings.initialCapital;
+    this.position = null;
+    this.pending = null;
+    this.trades = [];
+    this.equityCurve = [];
+    this.barsInMarket = 0;
+    this.totalCommission = 0;
+    this.totalSlippage = 0;
+    this.daily = { date: null, trades: 0, pnl: 0 };
+  }
+
+  /**
+   * ===== SIGNALS =====
+   */
+
+  /**
+   * Mirrors the runtime: one order in flight at a time, entries only when flat,
+   * and the builder's daily trade / loss limits
+   */
+  onSignal(signal) {
+    if (this.pending) return;
+
+    switch (signal.action) {
+      case 'ENTER_LONG':
+      case 'ENTER_SHORT': {
+        if (this.position) return;
+
+        const daily = this.getDaily(this.bar.timestamp);
+        const { maxDailyTrades, maxDailyLoss } = getRiskSettings(this.config);
+        if (maxDailyTrades !== null && daily.trades >= maxDailyTrades) return;
+        if (maxDailyLoss !== null && daily.pnl <= -maxDailyLoss) return;
+
+        daily.trades += 1;
+        this.pending = {
+          action: signal.action,
+          side: signal.action === 'ENTER_LONG' ? 'BUY' : 'SELL',
+          quantity: getEntryQuantity(signal, this.config),
+          stopLoss: toPrice(signal.stopLoss),
+          takeProfit: toPrice(signal.takeProfit),
+          reason: signal.reason || null
+        };
+        break;
+      }
+      case 'EXIT':
+        if (this.position) {
+          this.pending = { action: 'EXIT', reason: signal.reason || null };
+        }
+        break;
+      default:
+        throw new Error(`Unknown signal action ${signal.action}`);
+    }
+  }
+
+  getDaily(timestamp) {
+    const date = new Date(timestamp).toISOString().slice(0, 10);
+    if (this.daily.date !== date) {
+      this.daily = { date, trades: 0, pnl: 0 };
+    }
+    return this.daily;
+  }
+
+  /**
+   * ===== FILLS =====
+   */
+
+  fillPending(bar) {
+    const order = this.pending;
+    this.pending = null;
+
+    if (order.action === 'EXIT') {
+      if (!this.position) return;
+      const side = this.position.side === 'LONG' ? 'SELL' : 'BUY';
+      this.closePosition(bar, {
+        price: this.applySlippage(bar.open, side),
+        reference: bar.open,
+        exitReason: 'SIGNAL',
+        note: order.reason
+      });
+      return;
+    }
+
+    const price = this.applySlippage(bar.open, order.side);
+    const commission = this.getCommission(price, order.quantity);
+    this.totalSlippage += Math.abs(price - bar.open) * order.quantity * this.settings.multiplier;
+    this.totalCommission += commission;
+    this.cash -= commission;
+
+    this.position = {
+      side: order.side === 'BUY' ? 'LONG' : 'SHORT',
+      quantity: order.quantity,
+      avgPrice: price,
+      openedAt: new Date(bar.timestamp).toISOString(),
+      entryTime: bar.timestamp,
+      entryCommission: commission,
+      stopLoss: order.stopLoss,
+      takeProfit: order.takeProfit,
+      reason: order.reason
+    };
+    this.notifyPosition();
+  }
+
+  /**
+   * Stop / target resolution within one bar, including gaps through either level at the open
+   */
+  resolveExits(bar) {
+    const { side, stopLoss, takeProfit } = this.position;
+    if (stopLoss === null && takeProfit === null) return;
+
+    const isLong = side === 'LONG';
+    const exitSide = isLong ? 'SELL' : 'BUY';
+    const beyond = (price, level, adverse) => (isLong === adverse ? price <= level : price >= level);
+
+    const stopHit = stopLoss !== null && beyond(isLong ? bar.low : bar.high, stopLoss, true);
+    const targetHit = takeProfit !== null && beyond(isLong ? bar.high : bar.low, takeProfit, false);
+    if (!stopHit && !targetHit) return;
+
+    // Gapped through a level: a stop fills at the open, a resting target fills at the (better) open
+    if (stopHit && beyond(bar.open, stopLoss, true)) {
+      this.closePosition(bar, { price: this.applySlippage(bar.open, exitSide), reference: bar.open, exitReason: 'STOP_LOSS' });
+      return;
+    }
+    if (targetHit && beyond(bar.open, takeProfit, false)) {
+      this.closePosition(bar, { price: bar.open, exitReason: 'TAKE_PROFIT' });
+      return;
+    }
+
+    let stopFirst = stopHit;
+    if (stopHit && targetHit && this.settings.intrabar === 'OHLC') {
+      const lowFirst = bar.close >= bar.open;
+      stopFirst = isLong === lowFirst;
+    }
+
+    if (stopFirst) {
+      this.closePosition(bar, { price: this.applySlippage(stopLoss, exitSide), reference: stopLoss, exitReason: 'STOP_LOSS' });
+    } else {
+      this.closePosition(bar, { price: takeProfit, exitReason: 'TAKE_PROFIT' });
+    }
+  }
+
+  /**
+   * @param {object} exit - { price, reference (pre-slippage price), exitReason, note }
+   */
+  closePosition(bar, { price, reference = price, exitReason, note = null }) {
+    const position = this.position;
+    const direction = position.side === 'LONG' ? 1 : -1;
+    const { multiplier } = this.settings;
+
+    const commission = this.getCommission(price, position.quantity);
+    const gross = (price - position.avgPrice) * position.quantity * multiplier * direction;
+    const pnl = gross - position.entryCommission - commission;
+
+    this.cash += gross - commission;
+    this.totalCommission += commission;
+    this.totalSlippage += Math.abs(price - reference) * position.quantity * multiplier;
+    this.getDaily(bar.timestamp).pnl += pnl;
+
+    this.trades.push({
+      side: position.side,
+      quantity: position.quantity,
+      entryTime: position.entryTime,
+      entryPrice: position.avgPrice,
+      exitTime: bar.timestamp,
+      exitPrice: price,
+      exitReason,
+      pnl,
+      returnPercent: (pnl / (position.avgPrice * position.quantity * multiplier)) * 100,
+      commission: position.entryCommission + commission,
+      reason: position.reason,
+      exitNote: note
+    });
+
+    this.position = null;
+    this.notifyPosition();
+  }
+
+  notifyPosition() {
+    const position = this.position;
+    this.strategy.setPosition?.(position && {
+      side: position.side,
+      quantity: position.quantity,
+      avgPrice: position.avgPrice,
+      openedAt: position.openedAt
+    });
+  }
+
+  applySlippage(price, side) {
+    const slippage = price * (this.settings.slippageBps / 10000) + this.settings.slippagePoints;
+    return side === 'BUY' ? price + slippage : price - slippage;
+  }
+
+  getCommission(price, quantity) {
+    const { commissionRate, commissionPerUnit, multiplier } = this.settings;
+    return price * quantity * multiplier * commissionRate + quantity * commissionPerUnit;
+  }
+
+  getEquity(markPrice) {
+    if (!this.position) return this.cash;
+
+    const { side, avgPrice, quantity } = this.position;
+    const direction = side === 'LONG' ? 1 : -1;
+    return this.cash + (markPrice - avgPrice) * quantity * this.settings.multiplier * direction;
+  }
+
+  /**
+   * ===== STATISTICS =====
+   */
+
+  computeStats(bars) {
+    const { initialCapital } = this.settings;
+    const pnls = this.trades.map(trade => trade.pnl);
+    const wins = pnls.filter(pnl => pnl > 0);
+    const losses = pnls.filter(pnl => pnl <= 0);
+    const grossProfit = sum(wins);
+    const grossLoss = sum(losses);
+    const finalEquity = this.equityCurve[this.equityCurve.length - 1].equity;
+
+    let peak = initialCapital;
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+    for (const { equity } of this.equityCurve) {
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.max(maxDrawdown, peak - equity);
+      maxDrawdownPercent = Math.max(maxDrawdownPercent, ((peak - equity) / peak) * 100);
+    }
+
+    let consecutiveLosses = 0;
+    let maxConsecutiveLosses = 0;
+    for (const pnl of pnls) {
+      consecutiveLosses = pnl > 0 ? 0 : consecutiveLosses + 1;
+      maxConsecutiveLosses = Math.max(maxConsecutiveLosses, consecutiveLosses);
+    }
+
+    // Per-bar returns, annualised by the bar spacing of the data itself
+    const returns = [];
+    let previous = initialCapital;
+    for (const { equity } of this.equityCurve) {
+      returns.push(previous > 0 ? equity / previous - 1 : 0);
+      previous = equity;
+    }
+    const barMs = bars.length > 1 ? (bars[bars.length - 1].timestamp - bars[0].timestamp) / (bars.length - 1) : 0;
+    const annualisation = barMs > 0 ? Math.sqrt(YEAR_MS / barMs) : 0;
+    const meanReturn = mean(returns);
+    const deviation = standardDeviation(returns, meanReturn);
+    const downside = Math.sqrt(mean(returns.map(value => Math.min(value, 0) ** 2)));
+
+    return {
+      startTime: bars[0].timestamp,
+      endTime: bars[bars.length - 1].timestamp,
+      bars: bars.length,
+      initialCapital,
+      finalEquity,
+      netProfit: finalEquity - initialCapital,
+      totalReturnPercent: ((finalEquity - initialCapital) / initialCapital) * 100,
+      totalTrades: pnls.length,
+      winningTrades: wins.length,
+      losingTrades: losses.length,
+      winRate: pnls.length ? (wins.length / pnls.length) * 100 : 0,
+      grossProfit,
+      grossLoss,
+      profitFactor: grossLoss < 0 ? grossProfit / Math.abs(grossLoss) : null,
+      averageTrade: pnls.length ? mean(pnls) : 0,
+      averageWin: wins.length ? mean(wins) : 0,
+      averageLoss: losses.length ? mean(losses) : 0,
+      largestWin: wins.length ? Math.max(...wins) : 0,
+      largestLoss: losses.length ? Math.min(...losses) : 0,
+      maxConsecutiveLosses,
+      maxDrawdown,
+      maxDrawdownPercent,
+      sharpeRatio: deviation > 0 ? (meanReturn / deviation) * annualisation : 0,
+      sortinoRatio: downside > 0 ? (meanReturn / downside) * annualisation : 0,
+      exposurePercent: (this.barsInMarket / bars.length) * 100,
+      totalCommission: this.totalCommission,
+      totalSlippage: this.totalSlippage
+    };
+  }
+}
+
+/**
+ * One-shot convenience wrapper
+ */
+export function runBacktest({ type, config, candles, ...settings }) {
+  return new Backtester({ type, config, ...settings }).run(candles);
+}
+
+function toPrice(value) {
+  const price = value === undefined || value === null || value === '' ? null : parseFloat(value);
+  return Number.isFinite(price) ? price : null;
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function mean(values) {
+  return values.length ? sum(values) / values.length : 0;
+}
+
+function standardDeviation(values, average = mean(values)) {
+  if (values.length < 2) return 0;
+  return Math.sqrt(sum(values.map(value => (value - average) ** 2)) / (values.length - 1));
+}
+
+export default Backtester;
@@ -0,0 +1,305 @@
+/**
+ * Optimization Service
+ * Runs parameter optimizations of a saved Strategy as OptimizationJob rows. Candles come
+ * from the candle store (the same history backtests use) or are imported with the request;
+ * jobs run one at a time in the background, their workers fanned out by the Optimizer,
+ * with progress and the ranked / walk-forward results written back to the row. Each user
+ * may have a few jobs queued or running, and a job that outlives its wall-clock budget
+ * has its workers terminated and fails.
+ */
+
+import { prisma } from '../database.js';
+import { STRATEGY_IMPLEMENTATIONS, getStrategyMarket } from '../strategies/strategy-registry.js';
+import { candleIngester } from '../market-data/candle-ingester.js';
+import { Optimizer } from './optimizer.js';
+
+const PROGRESS_WRITE_INTERVAL = 2000;
+const MAX_IMPORTED_CANDLES = 20000;
+const DEFAULT_MIN_TRADES = 3;
+const DEFAULT_OBJECTIVE = 'sharpeRatio';
+const ACTIVE_STATUSES = ['QUEUED', 'RUNNING'];
+const DEFAULT_JOB_TIMEOUT = 30 * 60 * 1000;
+const DEFAULT_MAX_JOBS_PER_USER = 2;
+
+export class OptimizationService {
+  /**
+   * @param {object} manager - UnifiedTradingManager
+   */
+  constructor(manager, { jobTimeoutMs = DEFAULT_JOB_TIMEOUT, maxJobsPerUser = DEFAULT_MAX_JOBS_PER_USER } = {}) {
+    this.manager = manager;
+    this.jobTimeoutMs = jobTimeoutMs;
+    this.maxJobsPerUser = maxJobsPerUser;
+    this.queue = []; // [{ jobId, userId, optimizer }], run in order
+    this.active = null; // { jobId, userId, optimizer } currently running
+  }
+
+  /**
+   * Jobs only live in this process; anything left active by a restart can't finish
+   */
+  async start() {
+    try {
+      const { count } = await prisma.optimizationJob.updateMany({
+        where: { status: { in: ACTIVE_STATUSES } },
+        data: { status: 'FAILED', error: 'Interrupted by a restart', completedAt: new Date() }
+      });
+      if (count > 0) {
+        console.log(`🧬 Marked ${count} interrupted optimization(s) as failed`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to recover optimization jobs:', error);
+    }
+  }
+
+  stop() {
+    this.queue = [];
+    this.active?.optimizer.cancel();
+  }
+
+  /**
+   * @param {object} options - { parameters, method, samples, seed, objective, minTrades,
+   *   walkForward, candles (imported) | startTime / endTime / days / accountId, ...backtester settings }
+   */
+  async startOptimization(userId, strategyId, options = {}) {
+    this.assertUnderJobLimit(userId);
+    const backtests = this.manager.backtestService;
+    const strategy = await backtests.getOwnedStrategy(userId, strategyId);
+    if (!STRATEGY_IMPLEMENTATIONS[strategy.type]) {
+      throw new Error(`Invalid optimization: no runtime for ${strategy.type} strategies`);
+    }
+
+    const { symbol, interval } = getStrategyMarket(strategy.config);
+    const backtestSettings = backtests.parseSettings(options);
+
+    let candles;
+    let source;
+    if (options.candles) {
+      candles = this.parseImportedCandles(options.candles);
+      source = 'IMPORTED';
+    } else {
+      const { startTime, endTime } = backtests.getRange(options, interval);
+      source = await backtests.getHistoryExchange(userId, options.accountId || strategy.tradingAccountId);
+      candles = await candleIngester.getCandles(source, symbol, interval, { startTime, endTime });
+    }
+    if (candles.length === 0) {
+      throw new Error('Invalid optimization: no candles in range');
+    }
+
+    const method = options.method ? String(options.method).toUpperCase() : 'GRID';
+    const objective = options.objective || DEFAULT_OBJECTIVE;
+    const seed = options.seed === undefined ? 1 : parseInt(options.seed, 10);
+    const minTrades = options.minTrades === undefined ? DEFAULT_MIN_TRADES : parseInt(options.minTrades, 10);
+    if (!(minTrades >= 0)) {
+      throw new Error('Invalid optimization: minTrades must be a non-negative integer');
+    }
+
+    // Validates the parameter space, method, objective and walk-forward split
+    const optimizer = new Optimizer({
+      type: strategy.type,
+      config: strategy.config,
+      candles,
+      parameters: options.parameters,
+      method,
+      samples: options.samples === undefined ? undefined : parseInt(options.samples, 10),
+      seed,
+      objective,
+      minTrades,
+      settings: backtestSettings,
+      walkForward: options.walkForward || null,
+      timeoutMs: this.jobTimeoutMs
+    });
+
+    // Again, now that candles are loaded: another request may have queued meanwhile
+    this.assertUnderJobLimit(userId);
+    const job = await prisma.optimizationJob.create({
+      data: {
+        userId,
+        strategyId,
+        method,
+        objective,
+        parameters: options.parameters,
+        settings: {
+          symbol,
+          interval,
+          source,
+          startTime: candles[0].timestamp,
+          endTime: candles[candles.length - 1].timestamp,
+          candles: candles.length,
+          combinations: optimizer.paramSets.length,
+          minTrades,
+          ...(method === 'RANDOM' && { seed }),
+          backtest: backtestSettings
+        },
+        walkForward: options.walkForward || undefined,
+        total: optimizer.total
+      }
+    });
+
+    console.log(`🧬 Queued optimization of ${strategy.name}: ${optimizer.paramSets.length} combinations over ${candles.length} candles`);
+    this.queue.push({ jobId: job.id, userId, optimizer });
+    this.processQueue();
+    return job;
+  }
+
+  assertUnderJobLimit(userId) {
+    const jobs = [this.active, ...this.queue].filter(entry => entry?.userId === userId).length;
+    if (jobs >= this.maxJobsPerUser) {
+      throw new Error(`Invalid optimization: ${jobs} of your optimizations are already queued or running; wait for one to finish or cancel it`);
+    }
+  }
+
+  /**
+   * OHLCV rows from a CSV/JSON import: timestamp (ms or ISO), open, high, low, close, volume
+   */
+  parseImportedCandles(rows) {
+    if (!Array.isArray(rows) || rows.length === 0 || rows.length > MAX_IMPORTED_CANDLES) {
+      throw new Error(`Invalid candles: import 1 to ${MAX_IMPORTED_CANDLES} candles`);
+    }
+
+    const candles = rows.map((row) => {
+      const timestamp = typeof row.timestamp === 'string' && !/^\d+$/.test(row.timestamp)
+        ? new Date(row.timestamp).getTime()
+        : Number(row.timestamp);
+      const candle = {
+        timestamp,
+        open: parseFloat(row.open),
+        high: parseFloat(row.high),
+        low: parseFloat(row.low),
+        close: parseFloat(row.close),
+        volume: parseFloat(row.volume) || 0
+      };
+      const prices = [candle.open, candle.high, candle.low, candle.close];
+      if (!Number.isFinite(timestamp) || !prices.every(Number.isFinite) || candle.high < candle.low) {
+        throw new Error('Invalid candles: every row needs a timestamp and numeric open, high, low, close');
+      }
+      return candle;
+    });
+
+    candles.sort((a, b) => a.timestamp - b.timestamp);
+    return candles.filter((candle, index) => index === 0 || candle.timestamp !== candles[index - 1].timestamp);
+  }
+
+  /**
+   * ===== JOB EXECUTION =====
+   */
+
+  async processQueue() {
+    if (this.active || this.queue.length === 0) return;
+
+    this.active = this.queue.shift();
+    try {
+      await this.runJob(this.active);
+    } finally {
+      this.active = null;
+      this.processQueue();
+    }
+  }
+
+  async runJob({ jobId, optimizer }) {
+    let lastWrite = 0;
+    optimizer.on('progress', ({ completed }) => {
+      if (Date.now() - lastWrite < PROGRESS_WRITE_INTERVAL) return;
+      lastWrite = Date.now();
+      prisma.optimizationJob.update({ where: { id: jobId }, data: { progress: completed } })
+        .catch(error => console.error('❌ Failed to record optimization progress:', error.message));
+    });
+
+    try {
+      await prisma.optimizationJob.update({
+        where: { id: jobId },
+        data: { status: 'RUNNING', startedAt: new Date() }
+      });
+
+      const { results, walkForward } = await optimizer.run();
+      await prisma.optimizationJob.update({
+        where: { id: jobId },
+        data: {
+          status: 'COMPLETED',
+          progress: optimizer.total,
+          results,
+          walkForwardResults: walkForward ?? undefined,
+          completedAt: new Date()
+        }
+      });
+
+      const best = results[0];
+      console.log(`🧬 Optimization ${jobId} completed; best ${JSON.stringify(best?.params)} scored ${best?.score}`);
+    } catch (error) {
+      const cancelled = optimizer.cancelled && !optimizer.timedOut;
+      if (!cancelled) {
+        console.error(`❌ Optimization ${jobId} failed:`, error);
+      }
+      await prisma.optimizationJob.update({
+        where: { id: jobId },
+        data: {
+          status: cancelled ? 'CANCELLED' : 'FAILED',
+          error: cancelled ? null : error.message,
+          completedAt: new Date()
+        }
+      }).catch(updateError => console.error('❌ Failed to record optimization outcome:', updateError.message));
+    }
+  }
+
+  /**
+   * ===== STORED JOBS =====
+   */
+
+  async getStrategyOptimizations(userId, strategyId) {
+    await this.manager.backtestService.getOwnedStrategy(userId, strategyId);
+
+    // Without results; those come with getOptimization
+    return await prisma.optimizationJob.findMany({
+      where: { strategyId },
+      orderBy: { createdAt: 'desc' },
+      select: {
+        id: true,
+        status: true,
+        method: true,
+        objective: true,
+        parameters: true,
+        settings: true,
+        walkForward: true,
+        progress: true,
+        total: true,
+        error: true,
+        startedAt: true,
+        completedAt: true,
+        createdAt: true
+      }
+    });
+  }
+
+  async getOptimization(userId, jobId) {
+    const job = await prisma.optimizationJob.findUnique({ where: { id: jobId } });
+    if (!job || job.userId !== userId) {
+      throw new Error('Optimization not found');
+    }
+    return job;
+  }
+
+  /**
+   * Cancel a queued or running job; a finished one is deleted
+   */
+  async cancelOptimization(userId, jobId) {
+    const job = await this.getOptimization(userId, jobId);
+
+    if (this.active?.jobId === jobId) {
+      this.active.optimizer.cancel();
+      return { cancelled: true };
+    }
+
+    const queued = this.queue.findIndex(entry => entry.jobId === jobId);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      await prisma.optimizationJob.update({
+        where: { id: jobId },
+        data: { status: 'CANCELLED', completedAt: new Date() }
+      });
+      return { cancelled: true };
+    }
+
+    await prisma.optimizationJob.delete({ where: { id: job.id } });
+    return { deleted: true };
+  }
+}
+
+export default OptimizationService;
@@ -0,0 +1,14 @@
+/**
+ * Optimizer Worker
+ * Worker-thread entry for the optimizer: backtests its share of parameter sets and
+ * posts each scored result back as soon as it is done, so progress stays live.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { evaluateParameterSets } from './optimizer.js';
+
+const { job, paramSets } = workerData;
+
+evaluateParameterSets(job, paramSets, (result) => {
+  parentPort.postMessage({ type: 'result', result });
+});
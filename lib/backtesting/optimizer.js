@@ -0,0 +1,405 @@
+/**
+ * Strategy Optimizer
+ * Grid or seeded random search over numeric strategy config parameters, each candidate
+ * scored by a full backtest in worker threads. Walk-forward mode re-optimizes on rolling
+ * (or anchored) in-sample windows and replays the winner on the out-of-sample slice
+ * that follows, which is what separates a robust setting from an overfit one.
+ */
+
+import { EventEmitter } from 'events';
+import { Worker } from 'worker_threads';
+import os from 'os';
+import { DEFAULT_BACKTEST_SETTINGS, runBacktest } from './backtester.js';
+import { createStrategyInstance, ISOLATED_STRATEGY_TYPES } from '../strategies/strategy-registry.js';
+import { IsolatedStrategy } from '../strategies/isolated-strategy.js';
+import { SANDBOX_RESOURCE_LIMITS } from '../strategies/code-sandbox.js';
+import { mulberry32 } from './random.js';
+
+export const OPTIMIZATION_METHODS = ['GRID', 'RANDOM'];
+export const MAX_COMBINATIONS = 1000;
+const MAX_PROFIT_FACTOR = 100; // Stand-in score when a run has no losing trades
+
+// Objective -> score from backtest stats (higher is better)
+export const OBJECTIVES = {
+  netProfit: stats => stats.netProfit,
+  totalReturnPercent: stats => stats.totalReturnPercent,
+  sharpeRatio: stats => stats.sharpeRatio,
+  sortinoRatio: stats => stats.sortinoRatio,
+  profitFactor: stats => stats.profitFactor ?? (stats.grossProfit > 0 ? MAX_PROFIT_FACTOR : 0),
+  winRate: stats => stats.winRate,
+  averageTrade: stats => stats.averageTrade,
+  // Return per unit of drawdown
+  calmar: stats => (stats.maxDrawdownPercent > 0
+    ? stats.totalReturnPercent / stats.maxDrawdownPercent
+    : Math.max(stats.totalReturnPercent, 0))
+};
+
+/**
+ * ===== PARAMETER SPACE =====
+ */
+
+/**
+ * @param {Array} parameters - [{ key, min, max, step } | { key, values: [] }]; key may be a
+ *   dotted config path such as 'riskSettings.maxPositionSize'
+ * @returns {Array} [{ key, values }]
+ */
+export function normalizeParameters(parameters) {
+  if (!Array.isArray(parameters) || parameters.length === 0) {
+    throw new Error('Invalid optimization: at least one parameter is required');
+  }
+
+  return parameters.map(({ key, min, max, step, values }) => {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Invalid optimization: every parameter needs a key');
+    }
+
+    if (Array.isArray(values)) {
+      const numbers = [...new Set(values.map(Number))];
+      if (numbers.length === 0 || numbers.some(value => !Number.isFinite(value))) {
+        throw new Error(`Invalid optimization: ${key} values must be numbers`);
+      }
+      return { key, values: numbers };
+    }
+
+    const [low, high, increment] = [min, max, step].map(Number);
+    if (![low, high, increment].every(Number.isFinite) || increment <= 0 || low > high) {
+      throw new Error(`Invalid optimization: ${key} needs min <= max and a positive step`);
+    }
+
+    const count = Math.floor((high - low) / increment + 1e-9) + 1;
+    if (count > MAX_COMBINATIONS) {
+      throw new Error(`Invalid optimization: ${key} has more than ${MAX_COMBINATIONS} values`);
+    }
+    // Rounded to the step's precision so 0.1 steps don't drift
+    const decimals = (String(increment).split('.')[1] || '').length;
+    return {
+      key,
+      values: Array.from({ length: count }, (_, index) => Number((low + index * increment).toFixed(decimals)))
+    };
+  });
+}
+
+export function buildGrid(space) {
+  const total = space.reduce((product, { values }) => product * values.length, 1);
+  if (total > MAX_COMBINATIONS) {
+    throw new Error(`Invalid optimization: grid has ${total} combinations (max ${MAX_COMBINATIONS}); narrow the ranges or use RANDOM`);
+  }
+
+  return space.reduce(
+    (combinations, { key, values }) => combinations.flatMap(params => values.map(value => ({ ...params, [key]: value }))),
+    [{}]
+  );
+}
+
+/**
+ * Distinct random combinations, reproducible for a given seed
+ */
+export function sampleRandom(space, samples, seed = 1) {
+  const total = space.reduce((product, { values }) => product * values.length, 1);
+  const target = Math.min(samples, total, MAX_COMBINATIONS);
+  const random = mulberry32(seed);
+  const seen = new Map();
+
+  for (let attempt = 0; seen.size < target && attempt < target * 20; attempt++) {
+    const params = Object.fromEntries(
+      space.map(({ key, values }) => [key, values[Math.floor(random() * values.length)]])
+    );
+    seen.set(JSON.stringify(params), params);
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Copy of config with dotted-path parameters set
+ */
+export function applyParameters(config, params) {
+  const next = structuredClone(config);
+  for (const [path, value] of Object.entries(params)) {
+    const keys = path.split('.');
+    let target = next;
+    keys.slice(0, -1).forEach(key => {
+      if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  }
+  return next;
+}
+
+/**
+ * ===== WALK-FORWARD WINDOWS =====
+ */
+
+/**
+ * Split `length` bars into `windows` in-sample / out-of-sample pairs ([start, end) indices).
+ * Rolling windows slide a fixed in-sample block; anchored ones grow it from bar 0.
+ */
+export function buildWalkForwardWindows(length, { windows = 4, inSamplePercent = 70, anchored = false } = {}) {
+  const ratio = inSamplePercent / (100 - inSamplePercent);
+  if (!(windows >= 1) || !(inSamplePercent > 0 && inSamplePercent < 100)) {
+    throw new Error('Invalid optimization: walk-forward needs windows >= 1 and 0 < inSamplePercent < 100');
+  }
+
+  const outOfSampleBars = Math.floor(length / (windows + ratio));
+  const inSampleBars = Math.floor(outOfSampleBars * ratio);
+  if (outOfSampleBars < 1 || inSampleBars < 1) {
+    throw new Error('Invalid optimization: not enough candles for the walk-forward windows');
+  }
+
+  return Array.from({ length: windows }, (_, index) => {
+    const outOfSampleStart = inSampleBars + index * outOfSampleBars;
+    return {
+      index,
+      inSample: [anchored ? 0 : index * outOfSampleBars, outOfSampleStart],
+      outOfSample: [outOfSampleStart, outOfSampleStart + outOfSampleBars]
+    };
+  });
+}
+
+/**
+ * ===== EVALUATION =====
+ */
+
+const SUMMARY_FIELDS = [
+  'netProfit', 'totalReturnPercent', 'totalTrades', 'winRate', 'profitFactor',
+  'maxDrawdownPercent', 'sharpeRatio', 'sortinoRatio', 'averageTrade'
+];
+
+/**
+ * Backtest each parameter set and score it. Runs inside the workers, but has no
+ * worker dependency so it can be called directly too.
+ */
+export function evaluateParameterSets({ type, config, candles, settings, objective, minTrades }, paramSets, onResult) {
+  const score = OBJECTIVES[objective];
+
+  return paramSets.map((params, index) => {
+    let result;
+    try {
+      const { stats } = runBacktest({ type, config: applyParameters(config, params), candles, ...settings });
+      const summary = Object.fromEntries(SUMMARY_FIELDS.map(field => [field, stats[field]]));
+      // Too few trades to mean anything: kept for the heatmap, never ranked as best
+      result = { params, score: stats.totalTrades >= minTrades ? score(stats) : null, stats: summary };
+    } catch (error) {
+      result = { params, score: null, error: error.message };
+    }
+    onResult?.(result, index);
+    return result;
+  });
+}
+
+export function rankResults(results) {
+  return results.slice().sort((a, b) => {
+    if (a.score === null) return b.score === null ? 0 : 1;
+    if (b.score === null) return -1;
+    return b.score - a.score;
+  });
+}
+
+export class Optimizer extends EventEmitter {
+  /**
+   * @param {object} options - { type, config, candles, parameters, method, samples, seed,
+   *   objective, minTrades, settings, walkForward: { windows, inSamplePercent, anchored } | null, concurrency,
+   *   timeoutMs (wall-clock budget for run(), workers are terminated when it runs out) }
+   */
+  constructor({
+    type,
+    config,
+    candles,
+    parameters,
+    method = 'GRID',
+    samples = 100,
+    seed = 1,
+    objective = 'sharpeRatio',
+    minTrades = 3,
+    settings = {},
+    walkForward = null,
+    concurrency = Math.max(1, Math.min(4, os.cpus().length - 1)),
+    timeoutMs = null
+  }) {
+    super();
+    if (!OPTIMIZATION_METHODS.includes(method)) {
+      throw new Error(`Invalid optimization: method must be one of ${OPTIMIZATION_METHODS.join(', ')}`);
+    }
+    if (!OBJECTIVES[objective]) {
+      throw new Error(`Invalid optimization: objective must be one of ${Object.keys(OBJECTIVES).join(', ')}`);
+    }
+
+    this.base = { type, config, settings, objective, minTrades };
+    this.candles = candles;
+    this.walkForward = walkForward;
+    this.concurrency = concurrency;
+    this.workers = new Set();
+    this.cancelled = false;
+    this.timeoutMs = timeoutMs;
+    this.timedOut = false;
+
+    const space = normalizeParameters(parameters);
+    this.paramSets = method === 'GRID' ? buildGrid(space) : sampleRandom(space, samples, seed);
+    this.windows = walkForward ? buildWalkForwardWindows(candles.length, walkForward) : [];
+
+    // Full-period sweep, then per window: the in-sample sweep plus one out-of-sample replay
+    this.total = this.paramSets.length * (1 + this.windows.length) + this.windows.length;
+    this.completed = 0;
+  }
+
+  /**
+   * @returns {Promise<{ results, walkForward }>} results ranked best first
+   */
+  async run() {
+    const timer = this.timeoutMs
+      ? setTimeout(() => {
+        this.timedOut = true;
+        this.cancel();
+      }, this.timeoutMs)
+      : null;
+
+    try {
+      const results = rankResults(await this.evaluate(this.candles, this.paramSets));
+      const walkForward = this.windows.length ? await this.runWalkForward() : null;
+      return { results, walkForward };
+    } catch (error) {
+      // One chunk failing (or the budget running out) stops the rest before the next job starts
+      await Promise.all([...this.workers].map(worker => worker.terminate()));
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  cancel() {
+    this.cancelled = true;
+    this.workers.forEach(worker => worker.terminate());
+  }
+
+  getCancelError() {
+    return new Error(this.timedOut
+      ? `Optimization timed out after ${this.timeoutMs / 1000}s`
+      : 'Optimization cancelled');
+  }
+
+  async runWalkForward() {
+    const { config, settings } = this.base;
+    const windows = [];
+
+    for (const window of this.windows) {
+      const [inStart, inEnd] = window.inSample;
+      const [outStart, outEnd] = window.outOfSample;
+
+      const inSample = rankResults(await this.evaluate(this.candles.slice(inStart, inEnd), this.paramSets));
+      const best = inSample[0];
+      if (!best || best.score === null) {
+        windows.push({ ...this.describeWindow(window), best: null, result: null });
+        // The skipped out-of-sample replay still counts toward progress
+        this.completed += 1;
+        this.emit('progress', { completed: this.completed, total: this.total });
+        continue;
+      }
+
+      // The bars before the out-of-sample slice warm the strategy up, so it trades the whole
+      // slice; its score counts however few trades it takes
+      const warmUpBars = Math.max(
+        settings.warmUpBars ?? DEFAULT_BACKTEST_SETTINGS.warmUpBars,
+        await this.getStrategyWarmUpBars(applyParameters(config, best.params))
+      );
+      const [result] = await this.evaluate(
+        this.candles.slice(Math.max(0, outStart - warmUpBars), outEnd),
+        [best.params],
+        { minTrades: 0 }
+      );
+      windows.push({ ...this.describeWindow(window), best, result });
+    }
+
+    return { windows, summary: summarizeWalkForward(windows) };
+  }
+
+  // User code is only ever built inside a worker, even just to read its warm-up
+  async getStrategyWarmUpBars(config) {
+    const { type } = this.base;
+    if (!ISOLATED_STRATEGY_TYPES.includes(type)) {
+      return createStrategyInstance(type, config).getWarmUpBars?.() ?? 0;
+    }
+
+    const strategy = await IsolatedStrategy.create(type, config);
+    strategy.destroy();
+    return strategy.getWarmUpBars();
+  }
+
+  describeWindow({ index, inSample, outOfSample }) {
+    const time = (position) => this.candles[Math.min(position, this.candles.length - 1)].timestamp;
+    return {
+      index,
+      inSample: { start: time(inSample[0]), end: time(inSample[1] - 1) },
+      outOfSample: { start: time(outOfSample[0]), end: time(outOfSample[1] - 1) }
+    };
+  }
+
+  /**
+   * Spread parameter sets across worker threads; results come back in input order
+   */
+  async evaluate(candles, paramSets, overrides = {}) {
+    if (this.cancelled) throw this.getCancelError();
+
+    const chunkCount = Math.min(this.concurrency, paramSets.length);
+    const chunkSize = Math.ceil(paramSets.length / chunkCount);
+    const chunks = Array.from({ length: chunkCount }, (_, index) => paramSets.slice(index * chunkSize, (index + 1) * chunkSize));
+
+    const chunkResults = await Promise.all(chunks.map(chunk => this.runWorker({ ...this.base, ...overrides, candles }, chunk)));
+    return chunkResults.flat();
+  }
+
+  runWorker(job, paramSets) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./optimizer-worker.js', import.meta.url), {
+        workerData: { job, paramSets },
+        ...(ISOLATED_STRATEGY_TYPES.includes(job.type) && { resourceLimits: SANDBOX_RESOURCE_LIMITS })
+      });
+      this.workers.add(worker);
+
+      const results = [];
+      worker.on('message', (message) => {
+        if (message.type === 'result') {
+          results.push(message.result);
+          this.completed += 1;
+          this.emit('progress', { completed: this.completed, total: this.total });
+        }
+      });
+      worker.on('error', reject);
+      worker.on('exit', (code) => {
+        this.workers.delete(worker);
+        if (this.cancelled) {
+          reject(this.getCancelError());
+        } else if (code !== 0 || results.length !== paramSets.length) {
+          reject(new Error(`Optimizer worker exited with code ${code}`));
+        } else {
+          resolve(results);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Out-of-sample totals plus how much of the in-sample edge survived (efficiency)
+ */
+export function summarizeWalkForward(windows) {
+  const tested = windows.filter(window => window.result?.stats);
+  const outOfSampleScores = tested.map(window => window.result.score).filter(score => score !== null);
+  const inSampleScores = tested.map(window => window.best.score);
+  const meanOf = (values) => (values.length ? values.reduce((total, value) => total + value, 0) / values.length : null);
+
+  const inSampleMean = meanOf(inSampleScores);
+  const outOfSampleMean = meanOf(outOfSampleScores);
+
+  return {
+    windows: windows.length,
+    testedWindows: tested.length,
+    profitableWindows: tested.filter(window => window.result.stats.netProfit > 0).length,
+    outOfSampleNetProfit: tested.reduce((total, window) => total + window.result.stats.netProfit, 0),
+    outOfSampleTrades: tested.reduce((total, window) => total + window.result.stats.totalTrades, 0),
+    inSampleMeanScore: inSampleMean,
+    outOfSampleMeanScore: outOfSampleMean,
+    efficiency: inSampleMean > 0 && outOfSampleMean !== null ? outOfSampleMean / inSampleMean : null
+  };
+}
+
+export default Optimizer;
@@ -0,0 +1,17 @@
+/**
+ * Random
+ * Small seeded PRNG shared by the optimizer's random search and the Monte Carlo
+ * reports, so a run with the same seed can be repeated exactly.
+ */
+
+// mulberry32: seed -> () => float in [0, 1)
+export function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
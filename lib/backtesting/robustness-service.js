@@ -0,0 +1,125 @@
+/**
+ * Robustness Service
+ * Monte Carlo reports (see robustness.js) for a saved Strategy, from one of three trade
+ * lists: a stored backtest's trades, the strategy's own live fills (Order / OrderFill
+ * history), or an imported simulation. Reports come back with the strategy's recorded
+ * maxDrawdown and winRate so the two can be read side by side; nothing is stored.
+ * The simulations run in a worker thread (robustness-worker.js), under a time limit.
+ */
+
+import { Worker } from 'worker_threads';
+import { prisma } from '../database.js';
+import { tradesFromFills } from './robustness.js';
+
+export const ROBUSTNESS_SOURCES = ['BACKTEST', 'LIVE', 'IMPORT'];
+const MAX_IMPORTED_TRADES = 20000;
+const DEFAULT_REPORT_TIMEOUT = 60000;
+
+export class RobustnessService {
+  /**
+   * @param {object} manager - UnifiedTradingManager
+   * @param {object} options - { reportTimeoutMs }
+   */
+  constructor(manager, { reportTimeoutMs = DEFAULT_REPORT_TIMEOUT } = {}) {
+    this.manager = manager;
+    this.reportTimeoutMs = reportTimeoutMs;
+  }
+
+  /**
+   * @param {object} options - { source, backtestId (BACKTEST, default latest), trades (IMPORT),
+   *   simulations, initialCapital, skipPercent, ruinPercent, confidence, seed }
+   */
+  async analyzeStrategy(userId, strategyId, { source = 'BACKTEST', backtestId, trades, ...settings } = {}) {
+    const backtests = this.manager.backtestService;
+    const strategy = await backtests.getOwnedStrategy(userId, strategyId);
+    if (!ROBUSTNESS_SOURCES.includes(source)) {
+      throw new Error(`Invalid robustness: source must be one of ${ROBUSTNESS_SOURCES.join(', ')}`);
+    }
+
+    let closedTrades;
+    let initialCapital = settings.initialCapital;
+    let backtest = null;
+
+    if (source === 'BACKTEST') {
+      backtest = backtestId
+        ? await backtests.getBacktest(userId, backtestId)
+        : await prisma.backtest.findFirst({ where: { strategyId }, orderBy: { createdAt: 'desc' } });
+      if (!backtest || backtest.strategyId !== strategyId) {
+        throw new Error('Backtest not found');
+      }
+      closedTrades = backtest.trades;
+      initialCapital = initialCapital ?? backtest.settings?.initialCapital;
+    } else if (source === 'LIVE') {
+      closedTrades = await this.getLiveTrades(strategyId);
+    } else {
+      if (!Array.isArray(trades) || trades.length > MAX_IMPORTED_TRADES) {
+        throw new Error(`Invalid robustness: import between 2 and ${MAX_IMPORTED_TRADES} trades`);
+      }
+      closedTrades = trades;
+    }
+
+    const report = await this.runMonteCarlo(closedTrades, { ...settings, initialCapital });
+    console.log(`🎲 ${strategy.name}: ${report.settings.simulations} Monte Carlo runs over ${report.trades} ${source.toLowerCase()} trades`);
+
+    return {
+      source,
+      backtestId: backtest?.id ?? null,
+      strategy: {
+        id: strategy.id,
+        name: strategy.name,
+        totalTrades: strategy.totalTrades,
+        winRate: parseFloat(strategy.winRate),
+        maxDrawdown: parseFloat(strategy.maxDrawdown)
+      },
+      report
+    };
+  }
+
+  /**
+   * runMonteCarlo in a worker; its 'Invalid robustness: ...' errors come back as they are
+   */
+  runMonteCarlo(trades, settings) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./robustness-worker.js', import.meta.url), {
+        workerData: { trades, settings }
+      });
+      const timer = setTimeout(() => {
+        worker.terminate();
+        reject(new Error(`Invalid robustness: the report took longer than ${this.reportTimeoutMs / 1000}s, run fewer simulations`));
+      }, this.reportTimeoutMs);
+
+      worker.on('message', (message) => {
+        clearTimeout(timer);
+        if (message.type === 'result') {
+          resolve(message.report);
+        } else {
+          reject(new Error(message.message));
+        }
+      });
+      worker.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Closed trades from the fills of every order the strategy placed, oldest first
+   */
+  async getLiveTrades(strategyId) {
+    const fills = await prisma.orderFill.findMany({
+      where: { order: { strategyId } },
+      orderBy: { timestamp: 'asc' },
+      select: { quantity: true, price: true, timestamp: true, order: { select: { side: true } } }
+    });
+
+    return tradesFromFills(fills.map(fill => ({
+      side: fill.order.side,
+      quantity: fill.quantity.toString(),
+      price: fill.price.toString(),
+      timestamp: fill.timestamp
+    })));
+  }
+}
+
+export default RobustnessService;
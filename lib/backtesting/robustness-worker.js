@@ -0,0 +1,14 @@
+/**
+ * Robustness Worker
+ * Worker-thread entry for Monte Carlo reports: thousands of simulated equity paths stay
+ * off the server's event loop, and the report (or the error) is posted back.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { runMonteCarlo } from './robustness.js';
+
+try {
+  parentPort.postMessage({ type: 'result', report: runMonteCarlo(workerData.trades, workerData.settings) });
+} catch (error) {
+  parentPort.postMessage({ type: 'failure', message: error.message });
+}
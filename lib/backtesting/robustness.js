@@ -0,0 +1,299 @@
+/**
+ * Robustness
+ * Monte Carlo analysis of a closed-trade list: the same trades replayed in shuffled
+ * order, resampled with replacement, and with trades randomly missed. Where a single
+ * backtest gives one drawdown and one return, these give their distributions: how deep
+ * drawdowns get at a given confidence, how often the account is ruined, and intervals
+ * around CAGR and win rate. Pure and seeded, so a report can be reproduced exactly.
+ */
+
+import { mulberry32 } from './random.js';
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const HISTOGRAM_BINS = 20;
+
+export const ROBUSTNESS_METHODS = {
+  SHUFFLE: 'Trade order shuffled', // Same trades and total, different path
+  BOOTSTRAP: 'Trades resampled with replacement',
+  SKIP: 'Trades randomly missed'
+};
+
+export const MAX_SIMULATIONS = 10000;
+export const MAX_SIMULATED_TRADES = 5000000; // Simulations x trades, per method
+
+export const DEFAULT_ROBUSTNESS_SETTINGS = {
+  simulations: 1000,
+  initialCapital: 10000,
+  skipPercent: 10, // Chance each trade is missed in SKIP runs
+  ruinPercent: 50, // Loss of initial capital that counts as ruin
+  confidence: 95, // Width of the reported intervals, percent
+  seed: 1
+};
+
+/**
+ * ===== INPUT =====
+ */
+
+/**
+ * Closed trades ({ pnl, entryTime?, exitTime? }) -> { pnls, startTime, endTime }, in exit
+ * order when every trade has an exit time
+ * @throws {Error} 'Invalid robustness: ...'
+ */
+export function normalizeTrades(trades) {
+  if (!Array.isArray(trades) || trades.length < 2) {
+    throw new Error('Invalid robustness: at least two closed trades are required');
+  }
+
+  const rows = trades.map((trade, index) => {
+    const pnl = parseFloat(trade?.pnl);
+    if (!Number.isFinite(pnl)) {
+      throw new Error(`Invalid robustness: trade ${index + 1} needs a numeric pnl`);
+    }
+    return { pnl, entryTime: toTime(trade.entryTime), exitTime: toTime(trade.exitTime) };
+  });
+
+  const timed = rows.every(row => row.exitTime !== null);
+  if (timed) rows.sort((a, b) => a.exitTime - b.exitTime);
+
+  const times = rows.flatMap(row => [row.entryTime, row.exitTime]).filter(time => time !== null);
+  return {
+    pnls: rows.map(row => row.pnl),
+    startTime: times.length ? Math.min(...times) : null,
+    endTime: times.length ? Math.max(...times) : null
+  };
+}
+
+/**
+ * Fills of a strategy's orders ({ side BUY|SELL, quantity, price, timestamp }), oldest
+ * first, -> closed trades. A trade runs from flat to flat, as the strategy runtime counts
+ * them for Strategy.totalTrades; commissions are left out, as they are there.
+ */
+export function tradesFromFills(fills) {
+  const trades = [];
+  let position = null; // { quantity (signed), avgPrice, entryTime, pnl }
+
+  for (const fill of fills) {
+    const quantity = parseFloat(fill.quantity);
+    const price = parseFloat(fill.price);
+    const timestamp = toTime(fill.timestamp);
+    if (!(quantity > 0) || !Number.isFinite(price)) continue;
+    const signed = fill.side === 'BUY' ? quantity : -quantity;
+
+    if (!position) {
+      position = { quantity: signed, avgPrice: price, entryTime: timestamp, pnl: 0 };
+      continue;
+    }
+
+    if (Math.sign(signed) === Math.sign(position.quantity)) {
+      const total = position.quantity + signed;
+      position.avgPrice = (position.avgPrice * position.quantity + price * signed) / total;
+      position.quantity = total;
+      continue;
+    }
+
+    const closed = Math.min(Math.abs(position.quantity), quantity);
+    position.pnl += (price - position.avgPrice) * closed * Math.sign(position.quantity);
+    const remaining = position.quantity + signed;
+
+    if (Math.abs(remaining) < 1e-9 || Math.sign(remaining) !== Math.sign(position.quantity)) {
+      trades.push({ pnl: position.pnl, entryTime: position.entryTime, exitTime: timestamp });
+      // Overshot through flat: the rest opens the next trade
+      position = Math.abs(remaining) < 1e-9
+        ? null
+        : { quantity: remaining, avgPrice: price, entryTime: timestamp, pnl: 0 };
+    } else {
+      position.quantity = remaining;
+    }
+  }
+  return trades;
+}
+
+/**
+ * ===== SIMULATION =====
+ */
+
+/**
+ * One equity path over `pnls` from `initialCapital`
+ */
+export function simulatePath(pnls, { initialCapital, ruinLevel, years = null }) {
+  let equity = initialCapital;
+  let peak = initialCapital;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+  let ruined = false;
+  let wins = 0;
+
+  for (const pnl of pnls) {
+    equity += pnl;
+    if (pnl > 0) wins += 1;
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+    maxDrawdownPercent = Math.max(maxDrawdownPercent, Math.min(100, ((peak - equity) / peak) * 100));
+    if (equity <= ruinLevel) ruined = true;
+  }
+
+  return {
+    finalEquity: equity,
+    netProfit: equity - initialCapital,
+    maxDrawdown,
+    maxDrawdownPercent,
+    ruined,
+    winRate: pnls.length ? (wins / pnls.length) * 100 : 0,
+    cagr: getCagr(initialCapital, equity, years)
+  };
+}
+
+/**
+ * @param {Array} trades - closed trades, see normalizeTrades
+ * @param {object} options - DEFAULT_ROBUSTNESS_SETTINGS overrides
+ * @returns {object} { settings, trades, span, original, methods: { SHUFFLE, BOOTSTRAP, SKIP } }
+ */
+export function runMonteCarlo(trades, options = {}) {
+  const settings = parseRobustnessSettings(options);
+  const { pnls, startTime, endTime } = normalizeTrades(trades);
+  if (settings.simulations * pnls.length > MAX_SIMULATED_TRADES) {
+    throw new Error(`Invalid robustness: simulations x trades is limited to ${MAX_SIMULATED_TRADES}`);
+  }
+
+  const years = startTime !== null && endTime > startTime ? (endTime - startTime) / YEAR_MS : null;
+  const path = {
+    initialCapital: settings.initialCapital,
+    ruinLevel: settings.initialCapital * (1 - settings.ruinPercent / 100),
+    years
+  };
+  const random = mulberry32(settings.seed);
+  const resample = {
+    SHUFFLE: () => shuffle(pnls, random),
+    BOOTSTRAP: () => pnls.map(() => pnls[Math.floor(random() * pnls.length)]),
+    SKIP: () => pnls.filter(() => random() * 100 >= settings.skipPercent)
+  };
+
+  const methods = {};
+  for (const method of Object.keys(ROBUSTNESS_METHODS)) {
+    const runs = Array.from({ length: settings.simulations }, () => simulatePath(resample[method](), path));
+    methods[method] = summarizeRuns(runs, settings.confidence);
+  }
+
+  return {
+    settings,
+    trades: pnls.length,
+    span: { startTime, endTime, years },
+    original: simulatePath(pnls, path),
+    methods
+  };
+}
+
+export function parseRobustnessSettings(options = {}) {
+  const settings = { ...DEFAULT_ROBUSTNESS_SETTINGS };
+  const limits = {
+    simulations: [1, MAX_SIMULATIONS],
+    initialCapital: [Number.MIN_VALUE, Infinity],
+    skipPercent: [0, 99],
+    ruinPercent: [1, 100],
+    confidence: [50, 99.9],
+    seed: [0, 2 ** 32 - 1]
+  };
+
+  for (const [key, [min, max]] of Object.entries(limits)) {
+    if (options[key] === undefined || options[key] === null || options[key] === '') continue;
+
+    const value = parseFloat(options[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`Invalid robustness: ${key} must be between ${min === Number.MIN_VALUE ? 0 : min} and ${max}`);
+    }
+    settings[key] = key === 'simulations' || key === 'seed' ? Math.floor(value) : value;
+  }
+  return settings;
+}
+
+/**
+ * ===== SUMMARY =====
+ */
+
+function summarizeRuns(runs, confidence) {
+  const drawdowns = runs.map(run => run.maxDrawdownPercent);
+  const cagrs = runs.map(run => run.cagr).filter(cagr => cagr !== null);
+
+  return {
+    simulations: runs.length,
+    riskOfRuin: (runs.filter(run => run.ruined).length / runs.length) * 100,
+    maxDrawdownPercent: {
+      ...describe(drawdowns, confidence),
+      percentiles: Object.fromEntries([50, 75, 90, 95, 99].map(p => [p, percentile(sorted(drawdowns), p)])),
+      histogram: histogram(drawdowns)
+    },
+    maxDrawdown: describe(runs.map(run => run.maxDrawdown), confidence),
+    netProfit: describe(runs.map(run => run.netProfit), confidence),
+    winRate: describe(runs.map(run => run.winRate), confidence),
+    cagr: cagrs.length ? describe(cagrs, confidence) : null
+  };
+}
+
+/**
+ * Mean, median and the central `confidence` percent interval
+ */
+function describe(values, confidence) {
+  const ordered = sorted(values);
+  const tail = (100 - confidence) / 2;
+  return {
+    mean: values.reduce((total, value) => total + value, 0) / values.length,
+    median: percentile(ordered, 50),
+    lower: percentile(ordered, tail),
+    upper: percentile(ordered, 100 - tail),
+    worst: ordered[0],
+    best: ordered[ordered.length - 1]
+  };
+}
+
+// Linear interpolation between closest ranks
+function percentile(ordered, p) {
+  const rank = (p / 100) * (ordered.length - 1);
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return ordered[low] + (ordered[high] - ordered[low]) * (rank - low);
+}
+
+function histogram(values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const width = (max - min) / HISTOGRAM_BINS || 1;
+  const bins = Array.from({ length: HISTOGRAM_BINS }, (_, index) => ({
+    from: min + index * width,
+    to: min + (index + 1) * width,
+    count: 0
+  }));
+  values.forEach(value => {
+    bins[Math.min(HISTOGRAM_BINS - 1, Math.floor((value - min) / width))].count += 1;
+  });
+  return max === min ? [{ from: min, to: max, count: values.length }] : bins;
+}
+
+/**
+ * ===== HELPERS =====
+ */
+
+function getCagr(initialCapital, finalEquity, years) {
+  if (years === null || !(years > 0)) return null;
+  if (finalEquity <= 0) return -100;
+  return ((finalEquity / initialCapital) ** (1 / years) - 1) * 100;
+}
+
+function sorted(values) {
+  return [...values].sort((a, b) => a - b);
+}
+
+// Fisher-Yates over a copy
+function shuffle(values, random) {
+  const copy = values.slice();
+  for (let index = copy.length - 1; index > 0; index--) {
+    const other = Math.floor(random() * (index + 1));
+    [copy[index], copy[other]] = [copy[other], copy[index]];
+  }
+  return copy;
+}
+
+function toTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
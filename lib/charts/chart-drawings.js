@@ -0,0 +1,182 @@
+/**
+ * Chart Drawings
+ * Annotations users draw on the TradingChart: the stored format, its validation, and the
+ * ChartShapes each drawing renders as. Anchor points are { time (ms), price }, so a
+ * drawing stays on the bars it was drawn against at any zoom and as history loads. The
+ * measure tool's ruler renders the same way but is never stored.
+ *
+ * Drawing: { id, exchange, symbol, interval, type, data: { points, color, text, extend } }
+ *   HORIZONTAL_LINE  1 point, text as its label
+ *   TREND_LINE       2 points, extend past the second
+ *   RECTANGLE        2 opposite corners, text as its label
+ *   FIBONACCI        2 points: the swing start (level 1) and end (level 0)
+ *   TEXT             1 point, text required
+ */
+
+import { z } from 'zod';
+import { INTERVAL_MS } from '../market-data/timeframes.js';
+
+export const DRAWING_TYPES = ['HORIZONTAL_LINE', 'TREND_LINE', 'RECTANGLE', 'FIBONACCI', 'TEXT'];
+export const FIBONACCI_LEVELS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1];
+export const DEFAULT_DRAWING_COLOR = '#38bdf8';
+export const DEFAULT_DRAWING_EXCHANGE = 'BINANCE';
+export const EXCHANGE_PATTERN = /^[A-Za-z_]{2,30}$/; // 'BINANCE', 'bybit_testnet', ...
+
+// Clicks it takes to place each type
+export const DRAWING_POINTS = {
+  HORIZONTAL_LINE: 1,
+  TREND_LINE: 2,
+  RECTANGLE: 2,
+  FIBONACCI: 2,
+  TEXT: 1
+};
+
+const MAX_TEXT_LENGTH = 200;
+const MAX_ISSUES = 3;
+const TEXT_FONT = '12px sans-serif';
+
+/**
+ * ===== SCHEMA =====
+ */
+
+const pointSchema = z.object({
+  time: z.number().finite(),
+  price: z.number().finite()
+}).strict();
+
+const drawingSchema = z.object({
+  exchange: z.string().trim().regex(EXCHANGE_PATTERN, 'must be an exchange name')
+    .transform(exchange => exchange.toUpperCase())
+    .default(DEFAULT_DRAWING_EXCHANGE),
+  symbol: z.string().trim().min(1).max(30).transform(symbol => symbol.toUpperCase()),
+  interval: z.enum(Object.keys(INTERVAL_MS)),
+  type: z.enum(DRAWING_TYPES),
+  data: z.object({
+    points: z.array(pointSchema).min(1).max(2),
+    color: z.string().regex(/^#[0-9a-fA-F]{6}$/, 'must be a #rrggbb color').default(DEFAULT_DRAWING_COLOR),
+    text: z.string().trim().max(MAX_TEXT_LENGTH).optional(),
+    extend: z.boolean().optional()
+  }).strict()
+}).superRefine(({ type, data }, context) => {
+  if (data.points.length !== DRAWING_POINTS[type]) {
+    context.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['data', 'points'],
+      message: `${type} takes ${DRAWING_POINTS[type]} point(s)`
+    });
+  }
+  if (type === 'TEXT' && !data.text) {
+    context.addIssue({ code: z.ZodIssueCode.custom, path: ['data', 'text'], message: 'Text is required' });
+  }
+});
+
+/**
+ * Validate a drawing and fill in defaults
+ * @throws {Error} 'Invalid drawing: <path>: <problem>' for the first few problems
+ */
+export function parseDrawing(drawing) {
+  const result = drawingSchema.safeParse(drawing);
+  if (!result.success) {
+    const problems = result.error.issues.slice(0, MAX_ISSUES).map(issue => (
+      issue.path.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message
+    ));
+    throw new Error(`Invalid drawing: ${problems.join('; ')}`);
+  }
+  return result.data;
+}
+
+/**
+ * ===== RENDERING =====
+ */
+
+/**
+ * Retracement levels between a swing's start (level 1) and end (level 0)
+ */
+export function getFibonacciLevels([start, end]) {
+  return FIBONACCI_LEVELS.map(level => ({ level, price: end.price + (start.price - end.price) * level }));
+}
+
+/**
+ * ChartShapes for a drawing, tagged with its id for hit testing; selected drawings are
+ * drawn heavier
+ */
+export function drawingToShapes(drawing, { selected = false } = {}) {
+  const { id, type, data: { points, color = DEFAULT_DRAWING_COLOR, text, extend } } = drawing;
+  const width = selected ? 2 : 1;
+  const [a, b] = points;
+
+  switch (type) {
+    case 'HORIZONTAL_LINE':
+      return [{ id, type: 'hline', price: a.price, color, width, label: text || formatPrice(a.price) }];
+    case 'TREND_LINE':
+      return [{ id, type: 'line', points, color, width, extend: Boolean(extend), label: text }];
+    case 'RECTANGLE':
+      return [{
+        id,
+        type: 'rect',
+        from: Math.min(a.time, b.time),
+        to: Math.max(a.time, b.time),
+        high: Math.max(a.price, b.price),
+        low: Math.min(a.price, b.price),
+        color,
+        opacity: selected ? 0.25 : 0.15,
+        border: true,
+        width,
+        label: text
+      }];
+    case 'FIBONACCI':
+      return [
+        { id, type: 'line', points, color, width: 1, dashed: true },
+        ...getFibonacciLevels(points).map(({ level, price }) => ({
+          id,
+          type: 'line',
+          points: [{ time: a.time, price }, { time: b.time, price }],
+          color,
+          width,
+          label: `${level} (${formatPrice(price)})`,
+          labelPosition: 'start'
+        }))
+      ];
+    case 'TEXT':
+      return [{ id, type: 'text', time: a.time, price: a.price, text, color, font: selected ? `bold ${TEXT_FONT}` : TEXT_FONT }];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Measure tool ruler from a to b: price change, percent and bar count
+ * @param {object} timeIndex - createTimeIndex() over the chart's candles
+ */
+export function measureToShapes(a, b, timeIndex) {
+  const change = b.price - a.price;
+  const percent = a.price ? (change / a.price) * 100 : 0;
+  const bars = Math.round(timeIndex.toLogical(b.time) - timeIndex.toLogical(a.time));
+  const sign = change >= 0 ? '+' : '';
+  const color = change >= 0 ? '#10b981' : '#ef4444';
+
+  return [
+    {
+      type: 'rect',
+      from: Math.min(a.time, b.time),
+      to: Math.max(a.time, b.time),
+      high: Math.max(a.price, b.price),
+      low: Math.min(a.price, b.price),
+      color,
+      opacity: 0.15
+    },
+    { type: 'line', points: [a, b], color, dashed: true },
+    {
+      type: 'text',
+      time: b.time,
+      price: b.price,
+      text: `  ${sign}${formatPrice(change)} (${sign}${percent.toFixed(2)}%) · ${bars} bars`,
+      color,
+      align: 'left'
+    }
+  ];
+}
+
+function formatPrice(price) {
+  return price.toLocaleString('en-US', { maximumSignificantDigits: 6 });
+}
@@ -0,0 +1,295 @@
+/**
+ * Chart Shapes
+ * lightweight-charts series primitive drawing boxes, lines and labels anchored to
+ * { time (ms), price } points: ICT zones on the TradingChart, and anything else that has
+ * to span bars rather than sit on one. Times map to logical bar positions through a
+ * TimeIndex over the chart's candles, so a shape can start before the loaded history or
+ * reach past the last bar and still lands where it belongs once more bars load.
+ *
+ * Shapes (an `id` makes a shape findable with hitTest):
+ *   { type: 'rect', from, to, high, low, color, opacity, border, label }   null bounds run to the pane edge
+ *   { type: 'line', points: [a, b], color, width, dashed, label, labelPosition, extend }
+ *       extend: true (past b) | 'both'; labelPosition: 'start' | 'middle' | 'end'
+ *   { type: 'hline', price, color, width, dashed, label }   across the whole pane
+ *   { type: 'text', time, price, text, color, align, font }
+ */
+
+const LABEL_FONT = '10px sans-serif';
+const HIT_TOLERANCE = 5; // px
+const CHARACTER_WIDTH = 6; // Rough text width per character, for hit testing labels
+
+/**
+ * Time <-> logical bar position over ascending candles, interpolating inside a bar and
+ * extrapolating by `intervalMs` beyond either end
+ */
+export function createTimeIndex(candles, intervalMs) {
+  const times = candles.map(candle => candle.timestamp);
+  const last = times.length - 1;
+
+  const toLogical = (time) => {
+    if (times.length === 0) return null;
+    if (time <= times[0]) return (time - times[0]) / intervalMs;
+    if (time >= times[last]) return last + (time - times[last]) / intervalMs;
+
+    let low = 0;
+    let high = last;
+    while (high - low > 1) {
+      const middle = (low + high) >> 1;
+      if (times[middle] <= time) low = middle;
+      else high = middle;
+    }
+    return low + Math.min(1, (time - times[low]) / intervalMs);
+  };
+
+  const toTime = (logical) => {
+    if (times.length === 0 || logical === null) return null;
+    if (logical <= 0) return times[0] + logical * intervalMs;
+    if (logical >= last) return times[last] + (logical - last) * intervalMs;
+    const index = Math.floor(logical);
+    return times[index] + (logical - index) * intervalMs;
+  };
+
+  return { toLogical, toTime };
+}
+
+export class ChartShapes {
+  /**
+   * @param {object} options - { zOrder: 'bottom' (behind the candles) | 'normal' | 'top' }
+   */
+  constructor({ zOrder = 'normal' } = {}) {
+    this.shapes = [];
+    this.timeIndex = null;
+    this.params = null; // { chart, series, requestUpdate } while attached
+    this.size = null; // Pane size at the last draw
+    this.paneView = {
+      zOrder: () => zOrder,
+      renderer: () => ({
+        draw: (target) => target.useMediaCoordinateSpace(({ context, mediaSize }) => this.draw(context, mediaSize))
+      })
+    };
+  }
+
+  attached(params) {
+    this.params = params;
+  }
+
+  detached() {
+    this.params = null;
+  }
+
+  paneViews() {
+    return [this.paneView];
+  }
+
+  setShapes(shapes) {
+    this.shapes = shapes;
+    this.params?.requestUpdate();
+  }
+
+  setTimeIndex(timeIndex) {
+    this.timeIndex = timeIndex;
+    this.params?.requestUpdate();
+  }
+
+  /**
+   * Pixel position of a time / price in the pane, null when it can't be placed
+   */
+  toX(time) {
+    const logical = this.timeIndex?.toLogical(time);
+    if (logical === null || logical === undefined) return null;
+    return this.params.chart.timeScale().logicalToCoordinate(logical);
+  }
+
+  toY(price) {
+    return this.params.series.priceToCoordinate(price);
+  }
+
+  /**
+   * Id of the topmost shape with an id under (or within a few pixels of) a pane point
+   */
+  hitTest(x, y) {
+    if (!this.params || !this.timeIndex || !this.size) return null;
+    const { width, height } = this.size;
+
+    for (let index = this.shapes.length - 1; index >= 0; index--) {
+      const shape = this.shapes[index];
+      if (shape.id === undefined) continue;
+
+      let hit = false;
+      if (shape.type === 'rect') {
+        const bounds = this.rectBounds(shape, width, height);
+        hit = bounds !== null
+          && x >= bounds.x - HIT_TOLERANCE && x <= bounds.x + bounds.width + HIT_TOLERANCE
+          && y >= bounds.y - HIT_TOLERANCE && y <= bounds.y + bounds.height + HIT_TOLERANCE;
+      } else if (shape.type === 'line' || shape.type === 'hline') {
+        const ends = shape.type === 'line' ? this.lineEnds(shape, width) : this.hlineEnds(shape, width);
+        hit = ends !== null && distanceToSegment(x, y, ends) <= HIT_TOLERANCE;
+      } else if (shape.type === 'text') {
+        const textX = this.toX(shape.time);
+        const textY = this.toY(shape.price);
+        const textWidth = shape.text.length * CHARACTER_WIDTH;
+        const left = shape.align === 'left' ? textX : shape.align === 'right' ? textX - textWidth : textX - textWidth / 2;
+        hit = textX !== null && textY !== null
+          && x >= left - HIT_TOLERANCE && x <= left + textWidth + HIT_TOLERANCE
+          && Math.abs(y - textY) <= 6 + HIT_TOLERANCE;
+      }
+      if (hit) return shape.id;
+    }
+    return null;
+  }
+
+  /**
+   * ===== RENDERING =====
+   */
+
+  draw(context, { width, height }) {
+    this.size = { width, height };
+    if (!this.params || !this.timeIndex) return;
+
+    context.save();
+    context.font = LABEL_FONT;
+    for (const shape of this.shapes) {
+      switch (shape.type) {
+        case 'rect':
+          this.drawRect(context, shape, width, height);
+          break;
+        case 'line':
+          this.drawLine(context, shape, this.lineEnds(shape, width));
+          break;
+        case 'hline':
+          this.drawLine(context, { labelPosition: 'end', ...shape }, this.hlineEnds(shape, width));
+          break;
+        case 'text':
+          this.drawText(context, shape);
+          break;
+        default:
+          break;
+      }
+    }
+    context.restore();
+  }
+
+  /**
+   * Pane-space geometry: { x, y, width, height } of a rect, { x1, y1, x2, y2 } of a line,
+   * null when part of the shape can't be placed
+   */
+  rectBounds(shape, width, height) {
+    const left = shape.from === null || shape.from === undefined ? 0 : this.toX(shape.from);
+    const right = shape.to === null || shape.to === undefined ? width : this.toX(shape.to);
+    const top = shape.high === null || shape.high === undefined ? 0 : this.toY(shape.high);
+    const bottom = shape.low === null || shape.low === undefined ? height : this.toY(shape.low);
+    if ([left, right, top, bottom].some(value => value === null)) return null;
+
+    return {
+      x: Math.min(left, right),
+      y: Math.min(top, bottom),
+      width: Math.abs(right - left),
+      height: Math.abs(bottom - top)
+    };
+  }
+
+  lineEnds(shape, width) {
+    const [a, b] = shape.points;
+    let x1 = this.toX(a.time);
+    let y1 = this.toY(a.price);
+    let x2 = this.toX(b.time);
+    let y2 = this.toY(b.price);
+    if ([x1, y1, x2, y2].some(value => value === null)) return null;
+
+    // Extended lines run on along their slope to the pane edge
+    if (shape.extend && x2 !== x1) {
+      const slope = (y2 - y1) / (x2 - x1);
+      const end = x2 > x1 ? width : 0;
+      const start = x2 > x1 ? 0 : width;
+      if (shape.extend === 'both') {
+        y1 += slope * (start - x1);
+        x1 = start;
+      }
+      y2 += slope * (end - x2);
+      x2 = end;
+    }
+    return { x1, y1, x2, y2 };
+  }
+
+  hlineEnds(shape, width) {
+    const y = this.toY(shape.price);
+    return y === null ? null : { x1: 0, y1: y, x2: width, y2: y };
+  }
+
+  drawRect(context, shape, width, height) {
+    const bounds = this.rectBounds(shape, width, height);
+    if (!bounds) return;
+
+    const { x, y } = bounds;
+    context.globalAlpha = shape.opacity ?? 0.2;
+    context.fillStyle = shape.color;
+    context.fillRect(x, y, Math.max(bounds.width, 1), Math.max(bounds.height, 1));
+    if (shape.border) {
+      context.globalAlpha = 1;
+      context.strokeStyle = shape.color;
+      context.lineWidth = shape.width || 1;
+      context.strokeRect(x, y, bounds.width, bounds.height);
+    }
+    if (shape.label) {
+      context.globalAlpha = 1;
+      context.fillStyle = shape.labelColor || shape.color;
+      context.textAlign = 'left';
+      context.textBaseline = 'top';
+      context.fillText(shape.label, x + 2, y + 2);
+    }
+    context.globalAlpha = 1;
+  }
+
+  drawLine(context, shape, ends) {
+    if (!ends) return;
+    const { x1, y1, x2, y2 } = ends;
+
+    context.strokeStyle = shape.color;
+    context.lineWidth = shape.width || 1;
+    context.setLineDash(shape.dashed ? [4, 4] : []);
+    context.beginPath();
+    context.moveTo(x1, y1);
+    context.lineTo(x2, y2);
+    context.stroke();
+    context.setLineDash([]);
+
+    if (shape.label) {
+      const [left, right] = x1 <= x2 ? [{ x: x1, y: y1 }, { x: x2, y: y2 }] : [{ x: x2, y: y2 }, { x: x1, y: y1 }];
+      context.fillStyle = shape.color;
+      context.textBaseline = 'bottom';
+      if (shape.labelPosition === 'start') {
+        context.textAlign = 'left';
+        context.fillText(shape.label, left.x + 2, left.y - 2);
+      } else if (shape.labelPosition === 'end') {
+        context.textAlign = 'right';
+        context.fillText(shape.label, right.x - 2, right.y - 2);
+      } else {
+        context.textAlign = 'center';
+        context.fillText(shape.label, (x1 + x2) / 2, (y1 + y2) / 2 - 2);
+      }
+    }
+  }
+
+  drawText(context, shape) {
+    const x = this.toX(shape.time);
+    const y = this.toY(shape.price);
+    if (x === null || y === null) return;
+
+    context.font = shape.font || LABEL_FONT;
+    context.fillStyle = shape.color;
+    context.textAlign = shape.align || 'center';
+    context.textBaseline = 'middle';
+    context.fillText(shape.text, x, y);
+    context.font = LABEL_FONT;
+  }
+}
+
+function distanceToSegment(x, y, { x1, y1, x2, y2 }) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared));
+  return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
+
+export default ChartShapes;
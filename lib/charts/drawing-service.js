@@ -0,0 +1,74 @@
+/**
+ * Chart Drawing Service
+ * Keeps each user's chart drawings per exchange, symbol and timeframe, so the
+ * TradingChart puts them back when that chart is opened again.
+ */
+
+import { prisma } from '../database.js';
+import { DEFAULT_DRAWING_EXCHANGE, EXCHANGE_PATTERN, parseDrawing } from './chart-drawings.js';
+import { INTERVAL_MS } from '../market-data/timeframes.js';
+
+const MAX_DRAWINGS_PER_CHART = 200;
+
+export class ChartDrawingService {
+  async getDrawings(userId, chart) {
+    const { exchange, symbol, interval } = this.parseChart(chart);
+    return prisma.chartDrawing.findMany({
+      where: { userId, exchange, symbol, interval },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * @param {object} input - { exchange, symbol, interval, type, data }, see chart-drawings.js
+   */
+  async createDrawing(userId, input) {
+    const drawing = parseDrawing(input);
+
+    const count = await prisma.chartDrawing.count({
+      where: { userId, exchange: drawing.exchange, symbol: drawing.symbol, interval: drawing.interval }
+    });
+    if (count >= MAX_DRAWINGS_PER_CHART) {
+      throw new Error(`Invalid drawing: at most ${MAX_DRAWINGS_PER_CHART} drawings per chart`);
+    }
+
+    return prisma.chartDrawing.create({ data: { userId, ...drawing } });
+  }
+
+  async deleteDrawing(userId, drawingId) {
+    const drawing = await prisma.chartDrawing.findUnique({ where: { id: drawingId } });
+    if (!drawing || drawing.userId !== userId) {
+      throw new Error('Drawing not found');
+    }
+    await prisma.chartDrawing.delete({ where: { id: drawingId } });
+    return drawing;
+  }
+
+  /**
+   * Remove every drawing on one chart
+   * @returns {number} Drawings removed
+   */
+  async clearDrawings(userId, chart) {
+    const { exchange, symbol, interval } = this.parseChart(chart);
+    const { count } = await prisma.chartDrawing.deleteMany({ where: { userId, exchange, symbol, interval } });
+    console.log(`🧹 Cleared ${count} drawings on ${exchange} ${symbol} ${interval}`);
+    return count;
+  }
+
+  parseChart({ exchange, symbol, interval } = {}) {
+    const venue = exchange || DEFAULT_DRAWING_EXCHANGE;
+    if (!EXCHANGE_PATTERN.test(venue)) {
+      throw new Error(`Invalid chart: unknown exchange ${exchange}`);
+    }
+    if (!symbol) {
+      throw new Error('Invalid chart: symbol is required');
+    }
+    if (!INTERVAL_MS[interval]) {
+      throw new Error(`Invalid chart: unknown interval ${interval}`);
+    }
+    return { exchange: venue.toUpperCase(), symbol: symbol.toUpperCase(), interval };
+  }
+}
+
+export const chartDrawingService = new ChartDrawingService();
+export default chartDrawingService;
@@ -0,0 +1,84 @@
+/**
+ * Execution Algorithms
+ * Slice schedules for the execution engine. TWAP spreads a parent order evenly over
+ * its window, VWAP weights each slice by the volume historically traded at that hour
+ * of the day, and iceberg keeps a single display-sized child working at a time.
+ */
+
+export const ALGO_TYPES = ['TWAP', 'VWAP', 'ICEBERG'];
+
+export const DEFAULT_SLICE_INTERVAL = 60000; // One slice per minute unless told otherwise
+export const MAX_SLICES = 500;
+
+const HOURS_PER_DAY = 24;
+
+/**
+ * Round a quantity down to the venue's lot step (8 decimals when no step is known)
+ */
+export function roundToStep(quantity, step = null) {
+  if (!step) {
+    return Math.floor(quantity * 1e8 + 1e-6) / 1e8;
+  }
+
+  const decimals = (String(step).split('.')[1] || '').length;
+  return parseFloat((Math.floor(quantity / step + 1e-9) * step).toFixed(decimals));
+}
+
+export function getSliceCount(startTime, endTime, slices = null) {
+  const requested = slices || Math.ceil((endTime - startTime) / DEFAULT_SLICE_INTERVAL);
+  return Math.min(Math.max(1, Math.floor(requested)), MAX_SLICES);
+}
+
+/**
+ * Evenly spaced slice times across [startTime, endTime); the first slice goes out at startTime
+ */
+function sliceTimes(startTime, endTime, slices) {
+  const interval = (endTime - startTime) / slices;
+  return Array.from({ length: slices }, (_, i) => Math.round(startTime + i * interval));
+}
+
+/**
+ * -> [{ at, quantity }] with equal quantities
+ */
+export function buildTwapSchedule({ quantity, startTime, endTime, slices }) {
+  const count = getSliceCount(startTime, endTime, slices);
+  return sliceTimes(startTime, endTime, count).map(at => ({
+    at,
+    quantity: quantity / count
+  }));
+}
+
+/**
+ * Average volume per UTC hour of day from historical candles (CandleDTO[])
+ */
+export function buildVolumeProfile(candles) {
+  const totals = new Array(HOURS_PER_DAY).fill(0);
+  const counts = new Array(HOURS_PER_DAY).fill(0);
+
+  for (const candle of candles) {
+    const hour = new Date(candle.timestamp).getUTCHours();
+    totals[hour] += candle.volume;
+    counts[hour] += 1;
+  }
+
+  return totals.map((total, hour) => (counts[hour] > 0 ? total / counts[hour] : 0));
+}
+
+/**
+ * -> [{ at, quantity }] weighted by the volume profile; uniform (TWAP) when the profile is empty
+ */
+export function buildVwapSchedule({ quantity, startTime, endTime, slices, volumeProfile = [] }) {
+  const count = getSliceCount(startTime, endTime, slices);
+  const times = sliceTimes(startTime, endTime, count);
+  const weights = times.map(at => volumeProfile[new Date(at).getUTCHours()] || 0);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  if (totalWeight <= 0) {
+    return buildTwapSchedule({ quantity, startTime, endTime, slices: count });
+  }
+
+  return times.map((at, i) => ({
+    at,
+    quantity: quantity * weights[i] / totalWeight
+  }));
+}
@@ -0,0 +1,517 @@
+/**
+ * Execution Engine
+ * Works TWAP, VWAP and iceberg parent orders (AlgoOrder rows) as a stream of ordinary
+ * child orders. Every child goes through UnifiedTradingManager.placeOrder, so it is stored,
+ * reconciled and applied to the portfolio like any other order, and each one is checked
+ * against the venue's order rate (RateLimiter.exchangeLimits) before it is sent; a slice
+ * that would breach it waits for the next tick. Progress is rebuilt from the children.
+ */
+
+import { prisma } from '../database.js';
+import { tradingRateLimiter } from '../security/rate-limiter.js';
+import { adapterRegistry } from '../trading-apis/adapter-registry.js';
+import { OPEN_ORDER_STATUSES } from '../trading-manager/order-reconciler.js';
+import {
+  ALGO_TYPES,
+  buildTwapSchedule,
+  buildVwapSchedule,
+  buildVolumeProfile,
+  roundToStep
+} from './algorithms.js';
+
+const DEFAULT_TICK_INTERVAL = 1000;
+const MAX_CONSECUTIVE_FAILURES = 3;
+const DEFAULT_LOOKBACK_DAYS = 7;
+const ACTIVE_ALGO_STATUSES = ['RUNNING', 'PAUSED'];
+const QUANTITY_EPSILON = 1e-8;
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+export class ExecutionEngine {
+  /**
+   * @param {object} manager - UnifiedTradingManager (placeOrder, cancelOrder, connectAccount, reconciler...)
+   */
+  constructor(manager, { tickMs = DEFAULT_TICK_INTERVAL } = {}) {
+    this.manager = manager;
+    this.tickMs = tickMs;
+    this.timer = null;
+    this.active = new Map(); // algoOrderId -> AlgoOrder row (RUNNING / PAUSED)
+    this.busy = new Set(); // algoOrderIds with a slice in flight
+    this.failures = new Map(); // algoOrderId -> consecutive child failures
+
+    this.onOrder = (order) => {
+      if (!order.algoOrderId) return;
+      this.refreshProgress(order.algoOrderId)
+        .catch(error => console.error('❌ Algo progress update failed:', error));
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.manager.reconciler.on('order', this.onOrder);
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+
+    // Resume whatever was still working before a restart
+    this.loadActive().catch(error => console.error('❌ Failed to load algo orders:', error));
+
+    console.log('🧮 Execution engine started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.manager.reconciler.off('order', this.onOrder);
+  }
+
+  async loadActive() {
+    const algos = await prisma.algoOrder.findMany({
+      where: { status: { in: ACTIVE_ALGO_STATUSES } },
+      include: { tradingAccount: { select: { platform: true, isDemo: true } } }
+    });
+
+    for (const algo of algos) {
+      this.active.set(algo.id, algo);
+    }
+  }
+
+  /**
+   * ===== ALGO ORDERS =====
+   */
+
+  /**
+   * Validate, schedule and persist a parent order; its first slice goes out on the next tick
+   */
+  async createAlgoOrder(userId, account, api, params = {}) {
+    const settings = this.validateParams(params);
+    const startTime = Date.now();
+    const endTime = settings.durationMinutes
+      ? startTime + settings.durationMinutes * 60000
+      : null;
+
+    let schedule = null;
+    if (settings.algo === 'TWAP') {
+      schedule = buildTwapSchedule({ ...settings, startTime, endTime });
+    } else if (settings.algo === 'VWAP') {
+      schedule = buildVwapSchedule({
+        ...settings,
+        startTime,
+        endTime,
+        volumeProfile: await this.getVolumeProfile(api, settings.symbol, settings.lookbackDays)
+      });
+    }
+
+    const algo = await prisma.algoOrder.create({
+      data: {
+        userId,
+        tradingAccountId: account.id,
+        symbol: settings.symbol,
+        side: settings.side,
+        algo: settings.algo,
+        totalQuantity: settings.quantity,
+        limitPrice: settings.limitPrice,
+        displayQuantity: settings.displayQuantity,
+        startTime: new Date(startTime),
+        endTime: endTime ? new Date(endTime) : null,
+        schedule,
+        params: {
+          slices: settings.slices,
+          lookbackDays: settings.lookbackDays,
+          quantityStep: settings.quantityStep
+        }
+      },
+      include: { tradingAccount: { select: { platform: true, isDemo: true } } }
+    });
+
+    this.active.set(algo.id, algo);
+
+    console.log(`🧮 ${algo.algo} started: ${algo.symbol} ${algo.side} ${algo.totalQuantity}${schedule ? ` in ${schedule.length} slice(s)` : ''}`);
+    return algo;
+  }
+
+  validateParams(params) {
+    const algo = String(params.algo || '').toUpperCase();
+    const side = String(params.side || '').toUpperCase();
+    const quantity = toNumber(params.quantity);
+    const durationMinutes = toNumber(params.durationMinutes);
+    const slices = toNumber(params.slices);
+    const limitPrice = toNumber(params.limitPrice);
+    const displayQuantity = toNumber(params.displayQuantity);
+    const quantityStep = toNumber(params.quantityStep);
+
+    if (!ALGO_TYPES.includes(algo)) {
+      throw new Error(`Invalid algo order: algo must be one of ${ALGO_TYPES.join(', ')}`);
+    }
+    if (!params.symbol) {
+      throw new Error('Invalid algo order: symbol is required');
+    }
+    if (!['BUY', 'SELL'].includes(side)) {
+      throw new Error('Invalid algo order: side must be BUY or SELL');
+    }
+    if (!(quantity > 0)) {
+      throw new Error('Invalid algo order: quantity must be a positive number');
+    }
+    if (limitPrice !== null && !(limitPrice > 0)) {
+      throw new Error('Invalid algo order: limitPrice must be a positive number');
+    }
+    if (quantityStep !== null && !(quantityStep > 0)) {
+      throw new Error('Invalid algo order: quantityStep must be a positive number');
+    }
+
+    if (algo === 'ICEBERG') {
+      if (limitPrice === null) {
+        throw new Error('Invalid algo order: iceberg orders need a limitPrice');
+      }
+      if (!(displayQuantity > 0) || displayQuantity >= quantity) {
+        throw new Error('Invalid algo order: displayQuantity must be positive and below quantity');
+      }
+      if (durationMinutes !== null && !(durationMinutes > 0)) {
+        throw new Error('Invalid algo order: durationMinutes must be a positive number');
+      }
+    } else {
+      if (!(durationMinutes > 0)) {
+        throw new Error(`Invalid algo order: ${algo} needs a positive durationMinutes`);
+      }
+      if (slices !== null && !(Number.isInteger(slices) && slices > 0)) {
+        throw new Error('Invalid algo order: slices must be a positive integer');
+      }
+    }
+
+    return {
+      algo,
+      symbol: params.symbol,
+      side,
+      quantity,
+      durationMinutes,
+      slices,
+      limitPrice,
+      displayQuantity: algo === 'ICEBERG' ? displayQuantity : null,
+      quantityStep,
+      lookbackDays: parseInt(params.lookbackDays || DEFAULT_LOOKBACK_DAYS, 10)
+    };
+  }
+
+  /**
+   * Hour-of-day volume profile from hourly klines; empty (uniform schedule) when unavailable
+   */
+  async getVolumeProfile(api, symbol, lookbackDays) {
+    try {
+      const candles = await api.getKlines(symbol, '1h', {
+        limit: Math.min(lookbackDays * 24, 1000)
+      });
+      return buildVolumeProfile(candles.filter(candle => candle.closed !== false));
+    } catch (error) {
+      console.warn(`🧮 No volume history for ${symbol}, falling back to a uniform schedule:`, error.message);
+      return [];
+    }
+  }
+
+  async getUserAlgoOrders(userId, { activeOnly = false } = {}) {
+    const algos = await prisma.algoOrder.findMany({
+      where: { userId, ...(activeOnly && { status: { in: ACTIVE_ALGO_STATUSES } }) },
+      orderBy: { createdAt: 'desc' },
+      include: { _count: { select: { childOrders: true } } }
+    });
+
+    return algos.map(withProgress);
+  }
+
+  async getAlgoOrder(userId, algoOrderId) {
+    const algo = await prisma.algoOrder.findUnique({
+      where: { id: algoOrderId },
+      include: { childOrders: { orderBy: { createdAt: 'asc' } } }
+    });
+    if (!algo || algo.userId !== userId) {
+      throw new Error('Algo order not found');
+    }
+
+    return withProgress(algo);
+  }
+
+  async pause(userId, algoOrderId) {
+    const algo = await this.getOwnedActive(userId, algoOrderId);
+    if (algo.status !== 'RUNNING') {
+      throw new Error(`Algo order is ${algo.status.toLowerCase()}`);
+    }
+
+    await this.updateAlgo(algo, { status: 'PAUSED', pausedAt: new Date() });
+    console.log(`⏸️ ${algo.algo} paused: ${algo.symbol}`);
+    return await this.getAlgoOrder(userId, algoOrderId);
+  }
+
+  /**
+   * Pick up where the schedule left off: remaining slices and the end time shift by the pause
+   */
+  async resume(userId, algoOrderId) {
+    const algo = await this.getOwnedActive(userId, algoOrderId);
+    if (algo.status !== 'PAUSED') {
+      throw new Error(`Algo order is ${algo.status.toLowerCase()}`);
+    }
+
+    const pausedFor = Date.now() - new Date(algo.pausedAt).getTime();
+    const schedule = algo.schedule
+      ? algo.schedule.map((slice, i) => (i >= algo.nextSlice ? { ...slice, at: slice.at + pausedFor } : slice))
+      : null;
+
+    await this.updateAlgo(algo, {
+      status: 'RUNNING',
+      pausedAt: null,
+      schedule,
+      ...(algo.endTime && { endTime: new Date(new Date(algo.endTime).getTime() + pausedFor) })
+    });
+    console.log(`▶️ ${algo.algo} resumed: ${algo.symbol}`);
+    return await this.getAlgoOrder(userId, algoOrderId);
+  }
+
+  async cancel(userId, algoOrderId) {
+    const algo = await this.getOwnedActive(userId, algoOrderId);
+    await this.finish(algo, 'CANCELLED');
+    return await this.getAlgoOrder(userId, algoOrderId);
+  }
+
+  async getOwnedActive(userId, algoOrderId) {
+    const algo = this.active.get(algoOrderId);
+    if (algo && algo.userId === userId) return algo;
+
+    // Not working (finished, or another user's): report the stored state
+    const stored = await prisma.algoOrder.findUnique({ where: { id: algoOrderId } });
+    if (!stored || stored.userId !== userId) {
+      throw new Error('Algo order not found');
+    }
+    throw new Error(`Algo order is ${stored.status.toLowerCase()}`);
+  }
+
+  /**
+   * ===== SLICING =====
+   */
+
+  tick() {
+    for (const algo of this.active.values()) {
+      if (algo.status !== 'RUNNING' || this.busy.has(algo.id)) continue;
+
+      this.busy.add(algo.id);
+      this.processAlgo(algo)
+        .catch(error => console.error(`❌ ${algo.algo} slice failed:`, error))
+        .finally(() => this.busy.delete(algo.id));
+    }
+  }
+
+  async processAlgo(algo) {
+    if (algo.algo === 'ICEBERG') {
+      await this.processIceberg(algo);
+    } else {
+      await this.processScheduled(algo);
+    }
+  }
+
+  /**
+   * TWAP / VWAP: once a slice is due, send whatever keeps cumulative fills on plan
+   */
+  async processScheduled(algo) {
+    const schedule = algo.schedule || [];
+
+    if (algo.nextSlice >= schedule.length) {
+      // Last slice sent and not fully filled (e.g. limit children that missed)
+      await this.cancelOpenChildren(algo);
+      await this.refreshProgress(algo.id);
+      if (this.active.has(algo.id)) {
+        await this.finish(algo, 'EXPIRED');
+      }
+      return;
+    }
+
+    const slice = schedule[algo.nextSlice];
+    if (slice.at > Date.now()) return;
+
+    // A limit child left over from the previous slice is rolled into this one
+    await this.cancelOpenChildren(algo);
+    await this.refreshProgress(algo.id);
+    if (!this.active.has(algo.id)) return;
+
+    const total = parseFloat(algo.totalQuantity);
+    const isLast = algo.nextSlice === schedule.length - 1;
+    const target = isLast
+      ? total
+      : schedule.slice(0, algo.nextSlice + 1).reduce((sum, s) => sum + s.quantity, 0);
+    const quantity = roundToStep(Math.min(target, total) - parseFloat(algo.filledQuantity), algo.params?.quantityStep);
+
+    if (quantity > QUANTITY_EPSILON) {
+      const limitPrice = toNumber(algo.limitPrice);
+      const child = await this.placeChild(algo, quantity, limitPrice === null
+        ? { type: 'MARKET' }
+        : { type: 'LIMIT', price: limitPrice, timeInForce: this.getSliceTimeInForce(algo) });
+      if (!child) return; // Rate limited or failed; retried next tick
+    }
+
+    await this.updateAlgo(algo, { nextSlice: algo.nextSlice + 1 });
+    await this.refreshProgress(algo.id);
+  }
+
+  /**
+   * Iceberg: one display-sized limit child at a time until the total is filled
+   */
+  async processIceberg(algo) {
+    if (algo.endTime && Date.now() >= new Date(algo.endTime).getTime()) {
+      await this.finish(algo, 'EXPIRED');
+      return;
+    }
+
+    const working = await prisma.order.findFirst({
+      where: { algoOrderId: algo.id, status: { in: OPEN_ORDER_STATUSES } }
+    });
+    if (working) return;
+
+    await this.refreshProgress(algo.id);
+    if (!this.active.has(algo.id)) return;
+
+    const remaining = parseFloat(algo.totalQuantity) - parseFloat(algo.filledQuantity);
+    const quantity = roundToStep(Math.min(parseFloat(algo.displayQuantity), remaining), algo.params?.quantityStep);
+    if (!(quantity > QUANTITY_EPSILON)) return;
+
+    await this.placeChild(algo, quantity, {
+      type: 'LIMIT',
+      price: parseFloat(algo.limitPrice),
+      timeInForce: 'GTC'
+    });
+  }
+
+  /**
+   * Limit slices are IOC where the venue allows it; otherwise GTC, and the leftover is
+   * cancelled before the next slice
+   */
+  getSliceTimeInForce(algo) {
+    const { platform, isDemo } = algo.tradingAccount;
+    return isDemo || adapterRegistry.supports(platform, 'timeInForce', 'IOC') ? 'IOC' : 'GTC';
+  }
+
+  /**
+   * Place one child order. Returns null when the venue's order rate is exhausted or the
+   * placement failed; repeated failures fail the parent.
+   */
+  async placeChild(algo, quantity, orderFields) {
+    const exchange = algo.tradingAccount.platform.toLowerCase();
+    const rateCheck = tradingRateLimiter.checkExchangeLimit(algo.userId, exchange, '/order', Date.now());
+    if (!rateCheck.allowed) {
+      console.warn(`🧮 ${algo.symbol} slice deferred: ${exchange} order limit (retry in ${rateCheck.retryAfter}ms)`);
+      return null;
+    }
+
+    try {
+      const child = await this.manager.placeOrder(algo.userId, algo.tradingAccountId, {
+        symbol: algo.symbol,
+        side: algo.side,
+        quantity,
+        ...orderFields
+      }, { algoOrderId: algo.id });
+
+      this.failures.delete(algo.id);
+      return child;
+    } catch (error) {
+      const failures = (this.failures.get(algo.id) || 0) + 1;
+      this.failures.set(algo.id, failures);
+
+      if (failures >= MAX_CONSECUTIVE_FAILURES) {
+        await this.finish(algo, 'FAILED', error.message);
+      } else {
+        await this.updateAlgo(algo, { lastError: error.message });
+      }
+      return null;
+    }
+  }
+
+  async cancelOpenChildren(algo) {
+    const openChildren = await prisma.order.findMany({
+      where: { algoOrderId: algo.id, status: { in: OPEN_ORDER_STATUSES } }
+    });
+
+    for (const child of openChildren) {
+      try {
+        await this.manager.cancelOrder(algo.userId, child.id);
+      } catch (error) {
+        console.warn(`🧮 Could not cancel child order ${child.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * ===== PROGRESS =====
+   */
+
+  /**
+   * Roll child fills up into the parent; completes it once the total is filled
+   */
+  async refreshProgress(algoOrderId) {
+    const algo = this.active.get(algoOrderId);
+    if (!algo) return;
+
+    const children = await prisma.order.findMany({
+      where: { algoOrderId },
+      select: { filledQuantity: true, avgFillPrice: true }
+    });
+
+    let filledQuantity = 0;
+    let notional = 0;
+    for (const child of children) {
+      const filled = parseFloat(child.filledQuantity || 0);
+      filledQuantity += filled;
+      notional += filled * parseFloat(child.avgFillPrice || 0);
+    }
+
+    await this.updateAlgo(algo, {
+      filledQuantity,
+      avgFillPrice: filledQuantity > 0 ? notional / filledQuantity : null
+    });
+
+    if (filledQuantity >= parseFloat(algo.totalQuantity) - QUANTITY_EPSILON && this.active.has(algoOrderId)) {
+      await this.finish(algo, 'COMPLETED');
+    }
+  }
+
+  async finish(algo, status, lastError = null) {
+    // Stop slicing first so the tick and late fills cannot reschedule it
+    this.active.delete(algo.id);
+    this.failures.delete(algo.id);
+
+    if (status !== 'COMPLETED') {
+      await this.cancelOpenChildren(algo);
+    }
+
+    await this.updateAlgo(algo, {
+      status,
+      completedAt: new Date(),
+      pausedAt: null,
+      ...(lastError && { lastError })
+    });
+
+    console.log(`🧮 ${algo.algo} ${status.toLowerCase()}: ${algo.symbol} ${algo.filledQuantity}/${algo.totalQuantity}`);
+  }
+
+  async updateAlgo(algo, data) {
+    const updated = await prisma.algoOrder.update({ where: { id: algo.id }, data });
+    Object.assign(algo, updated);
+    return algo;
+  }
+}
+
+/**
+ * Attach progress figures for the API
+ */
+function withProgress(algo) {
+  const total = parseFloat(algo.totalQuantity);
+  const filled = parseFloat(algo.filledQuantity);
+  const schedule = algo.schedule || null;
+
+  return {
+    ...algo,
+    progress: {
+      filledQuantity: filled,
+      remainingQuantity: Math.max(total - filled, 0),
+      percent: total > 0 ? Math.min((filled / total) * 100, 100) : 0,
+      slicesSent: schedule ? algo.nextSlice : null,
+      sliceCount: schedule ? schedule.length : null,
+      nextSliceAt: schedule && algo.status === 'RUNNING' ? schedule[algo.nextSlice]?.at ?? null : null
+    }
+  };
+}
+
+export default ExecutionEngine;
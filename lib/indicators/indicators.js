@@ -0,0 +1,618 @@
+/**
+ * Technical Indicators
+ * Incremental indicators shared by strategies, the backtester, the stop manager and the
+ * chart, so a value on screen is the value a strategy traded on. Each indicator takes one
+ * bar (or price) at a time through update(), which returns the current value, or null
+ * until the indicator has seen warmUpBars inputs. Indicator.compute() runs a whole series
+ * the same way and returns values aligned with the inputs.
+ *
+ * Price-based indicators accept plain numbers or candles (reading `source`, default
+ * close); range-based ones need candles ({ timestamp, open, high, low, close, volume }).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PRICE_SOURCES = ['open', 'high', 'low', 'close', 'hl2', 'hlc3', 'ohlc4'];
+
+export function priceOf(input, source = 'close') {
+  if (typeof input === 'number') return input;
+
+  switch (source) {
+    case 'hl2': return (input.high + input.low) / 2;
+    case 'hlc3': return (input.high + input.low + input.close) / 3;
+    case 'ohlc4': return (input.open + input.high + input.low + input.close) / 4;
+    default: return input[source];
+  }
+}
+
+export function trueRange(candle, previousClose) {
+  if (previousClose === null || previousClose === undefined) return candle.high - candle.low;
+  return Math.max(
+    candle.high - candle.low,
+    Math.abs(candle.high - previousClose),
+    Math.abs(candle.low - previousClose)
+  );
+}
+
+/**
+ * Session bucket for resets: UTC day, ISO week (Monday start) or a single bucket
+ */
+function periodBucket(timestamp, period) {
+  if (period === 'day') return Math.floor(timestamp / DAY_MS);
+  if (period === 'week') return Math.floor((timestamp / DAY_MS + 3) / 7); // Epoch day 0 was a Thursday
+  return 0;
+}
+
+function requirePeriod(name, value) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Invalid indicator: ${name} must be a positive integer`);
+  }
+  return value;
+}
+
+/**
+ * ===== BASE =====
+ */
+
+// Subclasses set their parameters, then call reset() to build their state in init()
+class Indicator {
+  constructor(warmUpBars) {
+    this.warmUpBars = warmUpBars;
+    this.value = null;
+  }
+
+  update(input) {
+    this.value = this.next(input);
+    return this.value;
+  }
+
+  getValue() {
+    return this.value;
+  }
+
+  get isReady() {
+    return this.value !== null;
+  }
+
+  reset() {
+    this.value = null;
+    this.init();
+  }
+
+  /**
+   * Batch form: one value (or null during warm-up) per input
+   */
+  static compute(inputs, params) {
+    const indicator = new this(params);
+    return inputs.map(input => indicator.update(input));
+  }
+}
+
+/**
+ * ===== MOVING AVERAGES =====
+ */
+
+export class SMA extends Indicator {
+  constructor({ period = 20, source = 'close' } = {}) {
+    super(requirePeriod('period', period));
+    this.period = period;
+    this.source = source;
+    this.reset();
+  }
+
+  init() {
+    this.window = [];
+    this.sum = 0;
+  }
+
+  next(input) {
+    const price = priceOf(input, this.source);
+    this.window.push(price);
+    this.sum += price;
+    if (this.window.length > this.period) {
+      this.sum -= this.window.shift();
+    }
+    return this.window.length === this.period ? this.sum / this.period : null;
+  }
+}
+
+/**
+ * Seeded with the SMA of the first `period` inputs
+ */
+export class EMA extends Indicator {
+  constructor({ period = 20, source = 'close' } = {}) {
+    super(requirePeriod('period', period));
+    this.period = period;
+    this.source = source;
+    this.multiplier = 2 / (period + 1);
+    this.reset();
+  }
+
+  init() {
+    this.count = 0;
+    this.seedSum = 0;
+    this.ema = null;
+  }
+
+  next(input) {
+    const price = priceOf(input, this.source);
+    if (this.ema === null) {
+      this.seedSum += price;
+      this.count += 1;
+      if (this.count === this.period) this.ema = this.seedSum / this.period;
+      return this.ema;
+    }
+    this.ema = (price - this.ema) * this.multiplier + this.ema;
+    return this.ema;
+  }
+}
+
+/**
+ * Linearly weighted: the newest input counts `period` times, the oldest once
+ */
+export class WMA extends Indicator {
+  constructor({ period = 20, source = 'close' } = {}) {
+    super(requirePeriod('period', period));
+    this.period = period;
+    this.source = source;
+    this.divisor = (period * (period + 1)) / 2;
+    this.reset();
+  }
+
+  init() {
+    this.window = [];
+  }
+
+  next(input) {
+    this.window.push(priceOf(input, this.source));
+    if (this.window.length > this.period) this.window.shift();
+    if (this.window.length < this.period) return null;
+
+    return this.window.reduce((total, price, index) => total + price * (index + 1), 0) / this.divisor;
+  }
+}
+
+/**
+ * ===== OSCILLATORS =====
+ */
+
+/**
+ * Wilder's RSI
+ */
+export class RSI extends Indicator {
+  constructor({ period = 14, source = 'close' } = {}) {
+    super(requirePeriod('period', period) + 1);
+    this.period = period;
+    this.source = source;
+    this.reset();
+  }
+
+  init() {
+    this.previous = null;
+    this.count = 0;
+    this.gainSum = 0;
+    this.lossSum = 0;
+    this.averageGain = null;
+    this.averageLoss = null;
+  }
+
+  next(input) {
+    const price = priceOf(input, this.source);
+    if (this.previous === null) {
+      this.previous = price;
+      return null;
+    }
+
+    const change = price - this.previous;
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+    this.previous = price;
+
+    if (this.averageGain === null) {
+      this.gainSum += gain;
+      this.lossSum += loss;
+      this.count += 1;
+      if (this.count < this.period) return null;
+      this.averageGain = this.gainSum / this.period;
+      this.averageLoss = this.lossSum / this.period;
+    } else {
+      this.averageGain = (this.averageGain * (this.period - 1) + gain) / this.period;
+      this.averageLoss = (this.averageLoss * (this.period - 1) + loss) / this.period;
+    }
+
+    if (this.averageLoss === 0) return this.averageGain === 0 ? 50 : 100;
+    return 100 - 100 / (1 + this.averageGain / this.averageLoss);
+  }
+}
+
+/**
+ * { macd, signal, histogram }
+ */
+export class MACD extends Indicator {
+  constructor({ fastPeriod = 12, slowPeriod = 26, signalPeriod = 9, source = 'close' } = {}) {
+    super(requirePeriod('slowPeriod', slowPeriod) + requirePeriod('signalPeriod', signalPeriod) - 1);
+    this.params = { fastPeriod: requirePeriod('fastPeriod', fastPeriod), slowPeriod, signalPeriod };
+    this.source = source;
+    this.reset();
+  }
+
+  init() {
+    this.fast = new EMA({ period: this.params.fastPeriod });
+    this.slow = new EMA({ period: this.params.slowPeriod });
+    this.signal = new EMA({ period: this.params.signalPeriod });
+  }
+
+  next(input) {
+    const price = priceOf(input, this.source);
+    const fast = this.fast.update(price);
+    const slow = this.slow.update(price);
+    if (fast === null || slow === null) return null;
+
+    const macd = fast - slow;
+    const signal = this.signal.update(macd);
+    return signal === null ? null : { macd, signal, histogram: macd - signal };
+  }
+}
+
+/**
+ * { k, d }: %K over kPeriod bars (optionally smoothed), %D its SMA
+ */
+export class Stochastic extends Indicator {
+  constructor({ kPeriod = 14, kSmoothing = 1, dPeriod = 3 } = {}) {
+    super(requirePeriod('kPeriod', kPeriod) + requirePeriod('kSmoothing', kSmoothing) + requirePeriod('dPeriod', dPeriod) - 2);
+    this.params = { kPeriod, kSmoothing, dPeriod };
+    this.reset();
+  }
+
+  init() {
+    this.window = [];
+    this.kAverage = new SMA({ period: this.params.kSmoothing });
+    this.dAverage = new SMA({ period: this.params.dPeriod });
+  }
+
+  next(candle) {
+    this.window.push(candle);
+    if (this.window.length > this.params.kPeriod) this.window.shift();
+    if (this.window.length < this.params.kPeriod) return null;
+
+    const highest = Math.max(...this.window.map(bar => bar.high));
+    const lowest = Math.min(...this.window.map(bar => bar.low));
+    const rawK = highest === lowest ? 50 : ((candle.close - lowest) / (highest - lowest)) * 100;
+
+    const k = this.kAverage.update(rawK);
+    if (k === null) return null;
+    const d = this.dAverage.update(k);
+    return d === null ? null : { k, d };
+  }
+}
+
+/**
+ * ===== VOLATILITY & TREND =====
+ */
+
+/**
+ * Wilder's Average True Range, seeded with the mean of the first `period` true ranges
+ */
+export class ATR extends Indicator {
+  constructor({ period = 14 } = {}) {
+    super(requirePeriod('period', period));
+    this.period = period;
+    this.reset();
+  }
+
+  init() {
+    this.previousClose = null;
+    this.count = 0;
+    this.rangeSum = 0;
+    this.atr = null;
+  }
+
+  next(candle) {
+    const range = trueRange(candle, this.previousClose);
+    this.previousClose = candle.close;
+
+    if (this.atr === null) {
+      this.rangeSum += range;
+      this.count += 1;
+      if (this.count === this.period) this.atr = this.rangeSum / this.period;
+      return this.atr;
+    }
+    this.atr = (this.atr * (this.period - 1) + range) / this.period;
+    return this.atr;
+  }
+}
+
+/**
+ * { upper, middle, lower, bandwidth }: SMA ± multiplier population standard deviations
+ */
+export class BollingerBands extends Indicator {
+  constructor({ period = 20, multiplier = 2, source = 'close' } = {}) {
+    super(requirePeriod('period', period));
+    this.period = period;
+    this.multiplier = multiplier;
+    this.source = source;
+    this.reset();
+  }
+
+  init() {
+    this.window = [];
+  }
+
+  next(input) {
+    this.window.push(priceOf(input, this.source));
+    if (this.window.length > this.period) this.window.shift();
+    if (this.window.length < this.period) return null;
+
+    const middle = this.window.reduce((total, price) => total + price, 0) / this.period;
+    const variance = this.window.reduce((total, price) => total + (price - middle) ** 2, 0) / this.period;
+    const offset = Math.sqrt(variance) * this.multiplier;
+    return {
+      upper: middle + offset,
+      middle,
+      lower: middle - offset,
+      bandwidth: middle !== 0 ? (2 * offset) / middle : 0
+    };
+  }
+}
+
+/**
+ * { adx, plusDI, minusDI }: Wilder's directional movement system
+ */
+export class ADX extends Indicator {
+  constructor({ period = 14 } = {}) {
+    super(requirePeriod('period', period) * 2);
+    this.period = period;
+    this.reset();
+  }
+
+  init() {
+    this.previous = null;
+    this.count = 0;
+    this.smoothed = { range: 0, plus: 0, minus: 0 };
+    this.dxSum = 0;
+    this.dxCount = 0;
+    this.adx = null;
+  }
+
+  next(candle) {
+    const previous = this.previous;
+    this.previous = candle;
+    if (!previous) return null;
+
+    const up = candle.high - previous.high;
+    const down = previous.low - candle.low;
+    const movement = {
+      range: trueRange(candle, previous.close),
+      plus: up > down && up > 0 ? up : 0,
+      minus: down > up && down > 0 ? down : 0
+    };
+
+    this.count += 1;
+    for (const key of Object.keys(movement)) {
+      this.smoothed[key] = this.count <= this.period
+        ? this.smoothed[key] + movement[key]
+        : this.smoothed[key] - this.smoothed[key] / this.period + movement[key];
+    }
+    if (this.count < this.period) return null;
+
+    const { range, plus, minus } = this.smoothed;
+    const plusDI = range ? (100 * plus) / range : 0;
+    const minusDI = range ? (100 * minus) / range : 0;
+    const dx = plusDI + minusDI ? (100 * Math.abs(plusDI - minusDI)) / (plusDI + minusDI) : 0;
+
+    if (this.adx === null) {
+      this.dxSum += dx;
+      this.dxCount += 1;
+      if (this.dxCount < this.period) return null;
+      this.adx = this.dxSum / this.period;
+    } else {
+      this.adx = (this.adx * (this.period - 1) + dx) / this.period;
+    }
+    return { adx: this.adx, plusDI, minusDI };
+  }
+}
+
+/**
+ * { value, direction: 'up' | 'down', upper, lower }: ATR bands around hl2 that only
+ * tighten while the trend holds; value is the band price would have to close through
+ */
+export class Supertrend extends Indicator {
+  constructor({ period = 10, multiplier = 3 } = {}) {
+    super(requirePeriod('period', period));
+    this.period = period;
+    this.multiplier = multiplier;
+    this.reset();
+  }
+
+  init() {
+    this.atr = new ATR({ period: this.period });
+    this.previousClose = null;
+    this.upper = null;
+    this.lower = null;
+    this.direction = null;
+  }
+
+  next(candle) {
+    const atr = this.atr.update(candle);
+    const previousClose = this.previousClose;
+    this.previousClose = candle.close;
+    if (atr === null) return null;
+
+    const middle = (candle.high + candle.low) / 2;
+    const basicUpper = middle + this.multiplier * atr;
+    const basicLower = middle - this.multiplier * atr;
+
+    if (this.direction === null) {
+      this.upper = basicUpper;
+      this.lower = basicLower;
+      this.direction = candle.close >= middle ? 'up' : 'down';
+    } else {
+      this.upper = basicUpper < this.upper || previousClose > this.upper ? basicUpper : this.upper;
+      this.lower = basicLower > this.lower || previousClose < this.lower ? basicLower : this.lower;
+      if (this.direction === 'up' && candle.close < this.lower) this.direction = 'down';
+      else if (this.direction === 'down' && candle.close > this.upper) this.direction = 'up';
+    }
+
+    return {
+      value: this.direction === 'up' ? this.lower : this.upper,
+      direction: this.direction,
+      upper: this.upper,
+      lower: this.lower
+    };
+  }
+}
+
+/**
+ * ===== VOLUME & LEVELS =====
+ */
+
+/**
+ * Volume-weighted typical price, reset each UTC day ('day'), week ('week') or never ('none')
+ */
+export class VWAP extends Indicator {
+  constructor({ reset = 'day' } = {}) {
+    super(1);
+    this.resetPeriod = reset;
+    this.reset();
+  }
+
+  init() {
+    this.bucket = null;
+    this.priceVolume = 0;
+    this.volume = 0;
+  }
+
+  next(candle) {
+    const bucket = periodBucket(candle.timestamp, this.resetPeriod);
+    if (bucket !== this.bucket) {
+      this.bucket = bucket;
+      this.priceVolume = 0;
+      this.volume = 0;
+    }
+
+    this.priceVolume += priceOf(candle, 'hlc3') * (candle.volume || 0);
+    this.volume += candle.volume || 0;
+    return this.volume > 0 ? this.priceVolume / this.volume : null;
+  }
+}
+
+const PIVOT_METHODS = {
+  classic: ({ high, low, close }) => {
+    const pivot = (high + low + close) / 3;
+    const range = high - low;
+    return {
+      pivot,
+      r1: 2 * pivot - low,
+      s1: 2 * pivot - high,
+      r2: pivot + range,
+      s2: pivot - range,
+      r3: high + 2 * (pivot - low),
+      s3: low - 2 * (high - pivot)
+    };
+  },
+  fibonacci: ({ high, low, close }) => {
+    const pivot = (high + low + close) / 3;
+    const range = high - low;
+    return {
+      pivot,
+      r1: pivot + 0.382 * range,
+      s1: pivot - 0.382 * range,
+      r2: pivot + 0.618 * range,
+      s2: pivot - 0.618 * range,
+      r3: pivot + range,
+      s3: pivot - range
+    };
+  },
+  camarilla: ({ high, low, close }) => {
+    const range = (high - low) * 1.1;
+    return {
+      pivot: (high + low + close) / 3,
+      r1: close + range / 12,
+      s1: close - range / 12,
+      r2: close + range / 6,
+      s2: close - range / 6,
+      r3: close + range / 4,
+      s3: close - range / 4
+    };
+  }
+};
+
+/**
+ * { pivot, r1..r3, s1..s3 } from the previous completed UTC day or week; null until the
+ * first session completes, however many bars that takes
+ */
+export class PivotPoints extends Indicator {
+  constructor({ period = 'day', method = 'classic' } = {}) {
+    super(1);
+    if (!PIVOT_METHODS[method]) {
+      throw new Error(`Invalid indicator: pivot method must be one of ${Object.keys(PIVOT_METHODS).join(', ')}`);
+    }
+    this.period = period;
+    this.method = method;
+    this.reset();
+  }
+
+  init() {
+    this.session = null;
+    this.levels = null;
+  }
+
+  next(candle) {
+    const bucket = periodBucket(candle.timestamp, this.period);
+    if (this.session && this.session.bucket !== bucket) {
+      this.levels = PIVOT_METHODS[this.method](this.session);
+      this.session = null;
+    }
+
+    if (!this.session) {
+      this.session = { bucket, high: candle.high, low: candle.low, close: candle.close };
+    } else {
+      this.session.high = Math.max(this.session.high, candle.high);
+      this.session.low = Math.min(this.session.low, candle.low);
+      this.session.close = candle.close;
+    }
+    return this.levels;
+  }
+}
+
+/**
+ * ===== REGISTRY =====
+ */
+
+export const INDICATORS = {
+  SMA,
+  EMA,
+  WMA,
+  RSI,
+  MACD,
+  ATR,
+  BOLLINGER: BollingerBands,
+  VWAP,
+  STOCHASTIC: Stochastic,
+  ADX,
+  SUPERTREND: Supertrend,
+  PIVOT_POINTS: PivotPoints
+};
+
+// Numeric fields of the indicators whose value is an object; the first is the main line
+export const INDICATOR_OUTPUTS = {
+  MACD: ['macd', 'signal', 'histogram'],
+  BOLLINGER: ['middle', 'upper', 'lower', 'bandwidth'],
+  STOCHASTIC: ['k', 'd'],
+  ADX: ['adx', 'plusDI', 'minusDI'],
+  SUPERTREND: ['value', 'upper', 'lower'],
+  PIVOT_POINTS: ['pivot', 'r1', 's1', 'r2', 's2', 'r3', 's3']
+};
+
+export function createIndicator(type, params) {
+  const Implementation = INDICATORS[type];
+  if (!Implementation) {
+    throw new Error(`Invalid indicator: ${type} (use one of ${Object.keys(INDICATORS).join(', ')})`);
+  }
+  return new Implementation(params);
+}
+
+export function computeIndicator(type, inputs, params) {
+  const indicator = createIndicator(type, params);
+  return inputs.map(input => indicator.update(input));
+}
@@ -0,0 +1,296 @@
+/**
+ * Candle Ingester
+ * Backfills and keeps kline history in the candle store. Tracked series (CandleSeries
+ * rows) are topped up every sync and scanned for holes periodically; reads through
+ * getCandles fill any missing range on demand, so charts, backtests and strategy
+ * warm-up all share the same stored bars. A new series must be listed on its venue,
+ * and at most maxSeries are tracked at once.
+ */
+
+import { prisma } from '../database.js';
+import { adapterRegistry } from '../trading-apis/adapter-registry.js';
+import { candleStore, intervalToMs, parseCandleExchange } from './candle-store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SYNC_INTERVAL = 60000;
+const GAP_SCAN_INTERVAL = 60 * 60 * 1000;
+const DEFAULT_BACKFILL_DAYS = 30;
+const KLINE_PAGE_SIZE = 1000;
+const DEFAULT_CANDLE_LIMIT = 500;
+export const MAX_CANDLE_LIMIT = 20000;
+const MAX_EMPTY_RANGES = 10000;
+const MAX_BACKFILL_CANDLES = 200000;
+const MAX_TRACKED_SERIES = 200; // Every one is re-synced each interval
+
+export class CandleIngester {
+  constructor({ syncIntervalMs = DEFAULT_SYNC_INTERVAL, store = candleStore, maxSeries = MAX_TRACKED_SERIES } = {}) {
+    this.syncIntervalMs = syncIntervalMs;
+    this.store = store;
+    this.maxSeries = maxSeries;
+    this.timer = null;
+    this.syncing = false;
+    this.sources = new Map(); // exchange -> public-data adapter
+    this.lastGapScan = new Map(); // seriesId -> time of last full gap scan
+    this.emptyRanges = new Set(); // exchange:symbol:interval:start:end the venue returned nothing for
+    this.inflight = new Map(); // exchange:symbol:interval:start:end -> fill promise
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.syncAll().catch(error => console.error('❌ Candle sync failed:', error));
+    }, this.syncIntervalMs);
+    console.log('🕯️ Candle ingester started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * ===== TRACKED SERIES =====
+   */
+
+  /**
+   * Keep a series synced from now on, backfilling `backfillDays` of history first
+   */
+  async track(exchange, symbol, interval, { backfillDays = DEFAULT_BACKFILL_DAYS } = {}) {
+    if (!(backfillDays > 0) || (backfillDays * DAY_MS) / intervalToMs(interval) > MAX_BACKFILL_CANDLES) {
+      throw new Error(`Invalid backfill: backfillDays must cover 1 to ${MAX_BACKFILL_CANDLES} ${interval} candles`);
+    }
+    const backfillFrom = new Date(Date.now() - backfillDays * DAY_MS);
+
+    const existing = await prisma.candleSeries.findUnique({
+      where: { exchange_symbol_interval: { exchange, symbol, interval } }
+    });
+    if (!existing) {
+      const tracked = await prisma.candleSeries.count();
+      if (tracked >= this.maxSeries) {
+        throw new Error(`Invalid series: ${tracked} series are already tracked (limit ${this.maxSeries}); untrack one first`);
+      }
+      await this.assertListed(exchange, symbol, interval);
+    }
+
+    const series = existing
+      ? await prisma.candleSeries.update({
+        where: { id: existing.id },
+        data: { backfillFrom: existing.backfillFrom < backfillFrom ? existing.backfillFrom : backfillFrom }
+      })
+      : await prisma.candleSeries.create({ data: { exchange, symbol, interval, backfillFrom } });
+
+    this.start();
+    return await this.syncSeries(series, { scanGaps: true });
+  }
+
+  async untrack(exchange, symbol, interval) {
+    const series = await prisma.candleSeries.findMany({ where: { exchange, symbol, interval } });
+    await prisma.candleSeries.deleteMany({ where: { exchange, symbol, interval } });
+    series.forEach(({ id }) => this.lastGapScan.delete(id));
+    return series.length;
+  }
+
+  /**
+   * A symbol the venue has no bars for would be re-synced forever without storing any
+   */
+  async assertListed(exchange, symbol, interval) {
+    const source = this.getSource(exchange);
+
+    let latest;
+    try {
+      latest = await source.getKlines(symbol, interval, { limit: 1 });
+    } catch (error) {
+      throw new Error(`Invalid symbol: ${symbol} is not available on ${exchange} (${error.message})`);
+    }
+    if (latest.length === 0) {
+      throw new Error(`Invalid symbol: ${exchange} has no ${symbol} ${interval} candles`);
+    }
+  }
+
+  async getSeries() {
+    return await prisma.candleSeries.findMany({ orderBy: [{ exchange: 'asc' }, { symbol: 'asc' }] });
+  }
+
+  async syncAll() {
+    if (this.syncing) return;
+    this.syncing = true;
+
+    try {
+      const seriesList = await prisma.candleSeries.findMany();
+      for (const series of seriesList) {
+        const lastScan = this.lastGapScan.get(series.id) || 0;
+        await this.syncSeries(series, { scanGaps: Date.now() - lastScan >= GAP_SCAN_INTERVAL });
+      }
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Top up the tail of a series; with scanGaps, also refill holes since backfillFrom
+   */
+  async syncSeries(series, { scanGaps = false } = {}) {
+    const { exchange, symbol, interval } = series;
+    const step = intervalToMs(interval);
+    const lastClosed = Math.floor(Date.now() / step) * step - step;
+
+    try {
+      let saved = 0;
+      if (scanGaps) {
+        saved = await this.fillGaps(exchange, symbol, interval, series.backfillFrom.getTime(), lastClosed);
+        this.lastGapScan.set(series.id, Date.now());
+      } else {
+        const latest = await this.store.getLatestOpenTime(exchange, symbol, interval);
+        const from = latest === null ? series.backfillFrom.getTime() : latest + step;
+        if (from <= lastClosed) {
+          saved = await this.fillRange(exchange, symbol, interval, from, lastClosed);
+        }
+      }
+
+      const updated = await prisma.candleSeries.update({
+        where: { id: series.id },
+        data: { lastSyncedAt: new Date(), lastError: null }
+      });
+      if (saved > 0) {
+        console.log(`🕯️ ${exchange} ${symbol} ${interval}: stored ${saved} candle(s)`);
+      }
+      return updated;
+    } catch (error) {
+      console.error(`❌ Candle sync failed for ${exchange} ${symbol} ${interval}:`, error.message);
+      return await prisma.candleSeries.update({
+        where: { id: series.id },
+        data: { lastError: error.message }
+      });
+    }
+  }
+
+  /**
+   * ===== READS =====
+   */
+
+  /**
+   * Stored bars for a range (or the latest `limit`), fetching whatever is missing first.
+   * includeOpen appends the still-forming bar straight from the venue.
+   */
+  async getCandles(exchange, symbol, interval, { startTime, endTime, limit, includeOpen = false } = {}) {
+    const { start, end } = this.resolveRange(interval, { startTime, endTime, limit });
+
+    await this.fillGaps(exchange, symbol, interval, start, end);
+    const candles = await this.store.getCandles(exchange, symbol, interval, { startTime: start, endTime: end });
+
+    if (includeOpen && endTime === undefined) {
+      const latest = await this.getSource(exchange).getKlines(symbol, interval, { limit: 2 });
+      const forming = latest.find(candle => candle.closed === false && candle.timestamp > end);
+      if (forming) candles.push(forming);
+    }
+    return candles;
+  }
+
+  /**
+   * Open-time range for a read: startTime / endTime as given, a missing side derived
+   * from limit, never past the last closed bar and never more than MAX_CANDLE_LIMIT bars
+   */
+  resolveRange(interval, { startTime, endTime, limit }) {
+    const step = intervalToMs(interval);
+    const lastClosed = Math.floor(Date.now() / step) * step - step;
+    const count = Math.min(limit || DEFAULT_CANDLE_LIMIT, MAX_CANDLE_LIMIT);
+
+    let start;
+    let end;
+    if (startTime !== undefined) {
+      start = startTime;
+      end = endTime !== undefined ? endTime : start + ((limit ? count : MAX_CANDLE_LIMIT) - 1) * step;
+    } else {
+      end = endTime !== undefined ? endTime : lastClosed;
+      start = end - (count - 1) * step;
+    }
+    end = Math.min(end, lastClosed);
+
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start > end) {
+      throw new Error('Invalid candle range: startTime must be before endTime');
+    }
+    if ((end - start) / step >= MAX_CANDLE_LIMIT) {
+      throw new Error(`Invalid candle range: more than ${MAX_CANDLE_LIMIT} ${interval} candles`);
+    }
+    return { start, end };
+  }
+
+  /**
+   * ===== FETCHING =====
+   */
+
+  async fillGaps(exchange, symbol, interval, startTime, endTime) {
+    const gaps = await this.store.findGaps(exchange, symbol, interval, startTime, endTime);
+
+    let saved = 0;
+    for (const gap of gaps) {
+      saved += await this.fillRange(exchange, symbol, interval, gap.start, gap.end);
+    }
+    return saved;
+  }
+
+  /**
+   * Fetch and store one range. Ranges the venue has no bars for (delisting, maintenance)
+   * are remembered so they are not requested again on every read.
+   */
+  async fillRange(exchange, symbol, interval, startTime, endTime) {
+    const key = `${exchange}:${symbol}:${interval}:${startTime}:${endTime}`;
+    if (this.emptyRanges.has(key)) return 0;
+
+    // Concurrent readers of the same hole share one fetch
+    if (!this.inflight.has(key)) {
+      const fill = this.fetchRange(exchange, symbol, interval, startTime, endTime)
+        .then(saved => {
+          if (saved === 0) {
+            if (this.emptyRanges.size >= MAX_EMPTY_RANGES) this.emptyRanges.clear();
+            this.emptyRanges.add(key);
+          }
+          return saved;
+        })
+        .finally(() => this.inflight.delete(key));
+      this.inflight.set(key, fill);
+    }
+    return await this.inflight.get(key);
+  }
+
+  /**
+   * Page backwards from endTime (the one direction every venue's kline endpoint agrees on)
+   */
+  async fetchRange(exchange, symbol, interval, startTime, endTime) {
+    const source = this.getSource(exchange);
+    const step = intervalToMs(interval);
+    let cursor = endTime + step - 1;
+    let saved = 0;
+
+    while (cursor >= startTime) {
+      const page = await source.getKlines(symbol, interval, { endTime: cursor, limit: KLINE_PAGE_SIZE });
+      if (page.length === 0) break;
+
+      const inRange = page.filter(candle => candle.timestamp >= startTime && candle.timestamp <= endTime);
+      saved += await this.store.saveCandles(exchange, symbol, interval, inRange);
+
+      const oldest = page[0].timestamp;
+      if (oldest <= startTime || oldest >= cursor) break;
+      cursor = oldest - 1;
+    }
+    return saved;
+  }
+
+  /**
+   * Public market data needs no credentials; one adapter per venue and environment
+   */
+  getSource(exchange) {
+    if (!this.sources.has(exchange)) {
+      const { platform, isDemo } = parseCandleExchange(exchange);
+      if (!adapterRegistry.supports(platform, 'streams', 'kline')) {
+        throw new Error(`Invalid exchange: no kline history for ${exchange}`);
+      }
+      this.sources.set(exchange, adapterRegistry.create(platform, { isDemo }));
+    }
+    return this.sources.get(exchange);
+  }
+}
+
+export const candleIngester = new CandleIngester();
+export default candleIngester;
@@ -0,0 +1,121 @@
+/**
+ * Candle Store
+ * Closed OHLCV bars per exchange / symbol / interval in the candles table. Rows are
+ * immutable once written, so saves skip what is already stored; gap detection walks the
+ * stored open times against the interval grid.
+ */
+
+import { prisma } from '../database.js';
+import { INTERVAL_MS, intervalToMs } from './timeframes.js';
+
+export { INTERVAL_MS, intervalToMs };
+
+/**
+ * Store key for a venue: demo accounts see testnet prices, so their bars are kept apart
+ */
+export function getCandleExchange(platform, isDemo = false) {
+  return isDemo ? `${platform}_TESTNET` : platform;
+}
+
+export function parseCandleExchange(exchange) {
+  const isDemo = exchange.endsWith('_TESTNET');
+  return { platform: isDemo ? exchange.slice(0, -'_TESTNET'.length) : exchange, isDemo };
+}
+
+const toCandle = (row) => ({
+  timestamp: row.openTime.getTime(),
+  open: parseFloat(row.open),
+  high: parseFloat(row.high),
+  low: parseFloat(row.low),
+  close: parseFloat(row.close),
+  volume: parseFloat(row.volume),
+  closed: true
+});
+
+export class CandleStore {
+  /**
+   * Persist closed bars; returns how many were new
+   */
+  async saveCandles(exchange, symbol, interval, candles) {
+    const cutoff = Date.now() - intervalToMs(interval);
+    const rows = candles
+      .filter(candle => candle.closed !== false && candle.timestamp <= cutoff)
+      .map(candle => ({
+        exchange,
+        symbol,
+        interval,
+        openTime: new Date(candle.timestamp),
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume
+      }));
+    if (rows.length === 0) return 0;
+
+    const { count } = await prisma.candle.createMany({ data: rows, skipDuplicates: true });
+    return count;
+  }
+
+  /**
+   * Bars oldest first. With only a limit, the most recent `limit` bars.
+   */
+  async getCandles(exchange, symbol, interval, { startTime, endTime, limit } = {}) {
+    const openTime = {
+      ...(startTime !== undefined && { gte: new Date(startTime) }),
+      ...(endTime !== undefined && { lte: new Date(endTime) })
+    };
+    const newestFirst = startTime === undefined && limit !== undefined;
+
+    const rows = await prisma.candle.findMany({
+      where: { exchange, symbol, interval, openTime },
+      orderBy: { openTime: newestFirst ? 'desc' : 'asc' },
+      ...(limit !== undefined && { take: limit })
+    });
+
+    const candles = rows.map(toCandle);
+    return newestFirst ? candles.reverse() : candles;
+  }
+
+  async getLatestOpenTime(exchange, symbol, interval) {
+    const row = await prisma.candle.findFirst({
+      where: { exchange, symbol, interval },
+      orderBy: { openTime: 'desc' },
+      select: { openTime: true }
+    });
+    return row ? row.openTime.getTime() : null;
+  }
+
+  /**
+   * Missing bar ranges between startTime and endTime: [{ start, end }] as inclusive open times
+   */
+  async findGaps(exchange, symbol, interval, startTime, endTime) {
+    const step = intervalToMs(interval);
+    const first = Math.ceil(startTime / step) * step;
+    const last = Math.floor(endTime / step) * step;
+    if (first > last) return [];
+
+    const rows = await prisma.candle.findMany({
+      where: { exchange, symbol, interval, openTime: { gte: new Date(first), lte: new Date(last) } },
+      orderBy: { openTime: 'asc' },
+      select: { openTime: true }
+    });
+
+    const gaps = [];
+    let expected = first;
+    for (const { openTime } of rows) {
+      const time = openTime.getTime();
+      if (time > expected) {
+        gaps.push({ start: expected, end: time - step });
+      }
+      expected = Math.max(expected, time + step);
+    }
+    if (expected <= last) {
+      gaps.push({ start: expected, end: last });
+    }
+    return gaps;
+  }
+}
+
+export const candleStore = new CandleStore();
+export default candleStore;
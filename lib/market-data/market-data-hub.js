@@ -0,0 +1,319 @@
+/**
+ * Market Data Hub
+ * One upstream exchange stream per exchange / channel / symbol (/ interval), shared by
+ * everything on the server that wants it: browsers through the /api/market/stream SSE
+ * route and the strategy runtime's candle feeds. Subscriptions are reference counted;
+ * the upstream stream opens with the first listener and closes with the last. Updates
+ * are normalized to { stream, type: 'ticker' | 'trade' | 'candle' | 'book' | 'funding', exchange, symbol, ... }.
+ * Depth streams keep a synced OrderBook on the server (see order-book-feed.js) and publish
+ * its top levels at most every BOOK_PUBLISH_INTERVAL. Funding has no exchange stream here,
+ * so funding "streams" poll the adapter's getFundingRate every FUNDING_POLL_INTERVAL. Adapters reconnect dropped sockets
+ * and resubscribe; a watchdog also re-opens any stream that has gone quiet for too long.
+ */
+
+import { adapterRegistry } from '../trading-apis/adapter-registry.js';
+import { parseCandleExchange } from './candle-store.js';
+import { intervalToMs } from './timeframes.js';
+import { OrderBookFeed } from './order-book-feed.js';
+import { DEFAULT_BOOK_LEVELS } from './order-book.js';
+
+export const MARKET_CHANNELS = ['ticker', 'trade', 'kline', 'depth', 'funding'];
+
+const WATCHDOG_INTERVAL = 15000;
+const FUNDING_POLL_INTERVAL = 60000;
+const STALE_STREAM_MS = {
+  ticker: 60000,
+  kline: 60000,
+  depth: 60000,
+  trade: 5 * 60000, // Trades can be sparse
+  funding: 3 * FUNDING_POLL_INTERVAL
+};
+const BOOK_PUBLISH_INTERVAL = 250;
+const SYMBOL_PATTERN = /^[A-Z0-9._-]{2,30}$/;
+
+/**
+ * 'BINANCE:kline:BTCUSDT:1m' -> { exchange, channel, symbol, interval }
+ * @throws {Error} 'Invalid stream: ...'
+ */
+export function parseStreamKey(key) {
+  const [exchange, channel, symbol, interval] = String(key).split(':');
+  return normalizeStream({ exchange, channel, symbol, interval });
+}
+
+/**
+ * Validated stream spec, with its key
+ * @throws {Error} 'Invalid stream: ...'
+ */
+export function normalizeStream({ exchange = 'BINANCE', channel, symbol, interval }) {
+  const venue = String(exchange).toUpperCase();
+  const upperSymbol = String(symbol || '').toUpperCase();
+
+  if (!MARKET_CHANNELS.includes(channel)) {
+    throw new Error(`Invalid stream: channel must be one of ${MARKET_CHANNELS.join(', ')}`);
+  }
+  if (!SYMBOL_PATTERN.test(upperSymbol)) {
+    throw new Error(`Invalid stream: bad symbol ${symbol}`);
+  }
+  const { platform } = parseCandleExchange(venue);
+  if (!adapterRegistry.supports(platform, 'streams', channel)) {
+    throw new Error(`Invalid stream: no ${channel} stream on ${venue}`);
+  }
+  if (channel === 'kline') {
+    try {
+      intervalToMs(interval);
+    } catch (error) {
+      throw new Error(`Invalid stream: ${error.message}`);
+    }
+  }
+
+  const stream = { exchange: venue, channel, symbol: upperSymbol, ...(channel === 'kline' && { interval }) };
+  return { ...stream, key: [venue, channel, upperSymbol, ...(channel === 'kline' ? [interval] : [])].join(':') };
+}
+
+export class MarketDataHub {
+  constructor() {
+    this.sources = new Map(); // exchange -> public-data adapter
+    this.streams = new Map(); // key -> { spec, listeners, unsubscribe, last, lastMessageAt, openedAt, book }
+    this.watchdog = null;
+  }
+
+  /**
+   * Listen to one stream; the latest update (if any) is replayed to the new listener.
+   * Returns an unsubscribe function.
+   * @param {object} spec - { exchange ('BINANCE', 'BYBIT_TESTNET', ...), channel, symbol, interval }
+   * @throws {Error} 'Invalid stream: ...'
+   */
+  subscribe(spec, listener) {
+    const { key, ...stream } = normalizeStream(spec);
+    let entry = this.streams.get(key);
+
+    if (!entry) {
+      entry = {
+        key,
+        spec: stream,
+        listeners: new Set(),
+        unsubscribe: null,
+        last: null,
+        lastMessageAt: null,
+        openedAt: null,
+        book: null,
+        publishTimer: null
+      };
+      this.streams.set(key, entry);
+      this.open(entry);
+      this.startWatchdog();
+    }
+
+    entry.listeners.add(listener);
+    if (entry.last) listener(entry.last);
+
+    return () => {
+      entry.listeners.delete(listener);
+      if (entry.listeners.size === 0 && this.streams.get(key) === entry) {
+        this.close(entry);
+        this.streams.delete(key);
+        if (this.streams.size === 0) this.stopWatchdog();
+      }
+    };
+  }
+
+  open(entry) {
+    const { exchange, channel, symbol, interval } = entry.spec;
+    entry.openedAt = Date.now();
+    try {
+      if (channel === 'depth') {
+        this.openBook(entry);
+      } else if (channel === 'funding') {
+        this.openFunding(entry);
+      } else {
+        entry.unsubscribe = this.getSource(exchange).subscribe(channel, { symbol, interval }, (payload) => {
+          this.deliver(entry, payload);
+        });
+      }
+      console.log(`📡 Hub stream opened: ${entry.key}`);
+    } catch (error) {
+      // Left to the watchdog to retry
+      entry.unsubscribe = null;
+      console.error(`❌ Hub stream ${entry.key} failed to open:`, error.message);
+    }
+  }
+
+  close(entry) {
+    try {
+      entry.unsubscribe?.();
+    } catch (error) {
+      console.warn(`📡 Hub stream ${entry.key} close error:`, error.message);
+    }
+    entry.unsubscribe = null;
+    console.log(`📡 Hub stream closed: ${entry.key}`);
+  }
+
+  openBook(entry) {
+    const { exchange, symbol } = entry.spec;
+    const feed = new OrderBookFeed({
+      source: this.getSource(exchange),
+      exchange,
+      symbol,
+      onUpdate: () => this.scheduleBookPublish(entry)
+    });
+    feed.start();
+    entry.book = feed.book;
+    entry.unsubscribe = () => {
+      clearTimeout(entry.publishTimer);
+      entry.publishTimer = null;
+      feed.stop();
+    };
+  }
+
+  openFunding(entry) {
+    const { exchange, symbol } = entry.spec;
+    const source = this.getSource(exchange);
+    const poll = () => {
+      source.getFundingRate(symbol)
+        .then(funding => {
+          if (this.streams.get(entry.key) === entry && entry.unsubscribe) this.deliver(entry, funding);
+        })
+        .catch(error => console.warn(`📡 ${exchange} ${symbol} funding rate failed:`, error.message));
+    };
+
+    poll();
+    const timer = setInterval(poll, FUNDING_POLL_INTERVAL);
+    entry.unsubscribe = () => clearInterval(timer);
+  }
+
+  // Books change many times a second; listeners get the latest at most every BOOK_PUBLISH_INTERVAL
+  scheduleBookPublish(entry) {
+    if (entry.publishTimer) return;
+    const wait = Math.max(0, (entry.lastMessageAt ?? 0) + BOOK_PUBLISH_INTERVAL - Date.now());
+    entry.publishTimer = setTimeout(() => {
+      entry.publishTimer = null;
+      if (entry.book?.synced) this.deliver(entry, entry.book.getSummary(DEFAULT_BOOK_LEVELS));
+    }, wait);
+  }
+
+  /**
+   * The live book of a depth stream someone is subscribed to; null until it has synced
+   */
+  getOrderBook({ exchange = 'BINANCE', symbol }) {
+    const entry = this.streams.get(normalizeStream({ exchange, channel: 'depth', symbol }).key);
+    return entry?.book?.synced ? entry.book : null;
+  }
+
+  deliver(entry, payload) {
+    const message = this.normalize(entry, payload);
+    if (!message) return;
+
+    entry.last = message.type === 'trade' ? null : message;
+    entry.lastMessageAt = Date.now();
+    for (const listener of entry.listeners) {
+      try {
+        listener(message);
+      } catch (error) {
+        console.error(`❌ Hub listener on ${entry.key} failed:`, error);
+      }
+    }
+  }
+
+  normalize(entry, payload) {
+    const { exchange, channel, symbol, interval } = entry.spec;
+    const base = { stream: entry.key, exchange, symbol };
+    const number = (value) => (value === undefined || value === null ? null : parseFloat(value));
+
+    switch (channel) {
+      case 'ticker':
+        if (!Number.isFinite(number(payload.price))) return null;
+        return {
+          ...base,
+          type: 'ticker',
+          price: number(payload.price),
+          priceChangePercent: number(payload.priceChangePercent),
+          volume: number(payload.volume),
+          timestamp: payload.timestamp ?? Date.now()
+        };
+      case 'trade':
+        return {
+          ...base,
+          type: 'trade',
+          tradeId: payload.tradeId ?? null,
+          price: number(payload.price),
+          quantity: number(payload.quantity),
+          side: payload.side,
+          timestamp: payload.timestamp ?? Date.now()
+        };
+      case 'kline':
+        return {
+          ...base,
+          type: 'candle',
+          interval,
+          timestamp: payload.timestamp,
+          open: number(payload.open),
+          high: number(payload.high),
+          low: number(payload.low),
+          close: number(payload.close),
+          volume: number(payload.volume),
+          closed: payload.closed !== false
+        };
+      case 'depth':
+        return { ...payload, ...base, type: 'book' };
+      case 'funding':
+        if (!Number.isFinite(number(payload.fundingRate))) return null;
+        return {
+          ...base,
+          type: 'funding',
+          fundingRate: number(payload.fundingRate),
+          nextFundingTime: payload.nextFundingTime ?? null,
+          markPrice: number(payload.markPrice),
+          timestamp: payload.timestamp ?? Date.now()
+        };
+      default:
+        return null;
+    }
+  }
+
+  getSource(exchange) {
+    if (!this.sources.has(exchange)) {
+      const { platform, isDemo } = parseCandleExchange(exchange);
+      this.sources.set(exchange, adapterRegistry.create(platform, { isDemo }));
+    }
+    return this.sources.get(exchange);
+  }
+
+  /**
+   * ===== WATCHDOG =====
+   */
+
+  startWatchdog() {
+    if (this.watchdog) return;
+    this.watchdog = setInterval(() => this.checkStreams(), WATCHDOG_INTERVAL);
+    this.watchdog.unref?.();
+  }
+
+  stopWatchdog() {
+    clearInterval(this.watchdog);
+    this.watchdog = null;
+  }
+
+  // Re-open streams that never opened or have been silent past their limit
+  checkStreams() {
+    const now = Date.now();
+    for (const entry of this.streams.values()) {
+      const silentSince = Math.max(entry.lastMessageAt ?? 0, entry.openedAt);
+      if (entry.unsubscribe && now - silentSince < STALE_STREAM_MS[entry.spec.channel]) continue;
+
+      console.warn(`🔄 Hub stream ${entry.key} is stale, resubscribing`);
+      this.close(entry);
+      this.open(entry);
+    }
+  }
+
+  getStatus() {
+    return Array.from(this.streams.values()).map(entry => ({
+      stream: entry.key,
+      listeners: entry.listeners.size,
+      lastMessageAt: entry.lastMessageAt
+    }));
+  }
+}
+
+export const marketDataHub = new MarketDataHub();
+export default marketDataHub;
@@ -0,0 +1,192 @@
+/**
+ * Market Stream (browser)
+ * Client side of the market data hub: one EventSource to /api/market/stream carrying
+ * every stream the page has subscribed to. Components subscribe per stream and get the
+ * hub's normalized ticker / trade / candle / book messages; subscriptions are reference counted
+ * and the connection is re-opened, with the new stream set, when they change. Dropped or
+ * silent connections are re-opened with backoff, and the hub replays each stream's latest
+ * ticker / candle on connect, so subscribers pick up where they left off.
+ */
+
+const STREAM_URL = '/api/market/stream';
+const MAX_STREAMS = 20; // Route limit
+const REOPEN_DEBOUNCE = 50; // Batch subscription changes made in the same render
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];
+const DEFAULT_HEARTBEAT_INTERVAL = 15000;
+const MESSAGE_EVENTS = ['ticker', 'trade', 'candle', 'book', 'funding'];
+
+/**
+ * { exchange, channel, symbol, interval } -> 'BINANCE:kline:BTCUSDT:1m', as the hub keys streams
+ */
+export function getStreamKey({ exchange = 'BINANCE', channel, symbol, interval }) {
+  const parts = [String(exchange).toUpperCase(), channel, String(symbol).toUpperCase()];
+  return (channel === 'kline' ? [...parts, interval] : parts).join(':');
+}
+
+export class MarketStream {
+  constructor(url = STREAM_URL) {
+    this.url = url;
+    this.handlers = new Map(); // key -> Set of handlers
+    this.statusListeners = new Set();
+    this.status = 'idle'; // idle | connecting | open | reconnecting
+    this.source = null;
+    this.openTimer = null;
+    this.reconnectTimer = null;
+    this.watchdog = null;
+    this.attempts = 0;
+    this.lastEventAt = 0;
+    this.heartbeatInterval = DEFAULT_HEARTBEAT_INTERVAL;
+  }
+
+  /**
+   * Receive one stream's messages. Returns an unsubscribe function.
+   * @param {object} spec - { exchange ('BINANCE', 'BYBIT_TESTNET', ...), channel: ticker | trade | kline, symbol, interval }
+   */
+  subscribe(spec, handler) {
+    const key = getStreamKey(spec);
+    if (!this.handlers.has(key)) {
+      this.handlers.set(key, new Set());
+      this.scheduleOpen();
+    }
+    this.handlers.get(key).add(handler);
+
+    return () => {
+      const handlers = this.handlers.get(key);
+      if (!handlers) return;
+      handlers.delete(handler);
+      if (handlers.size === 0) {
+        this.handlers.delete(key);
+        this.scheduleOpen();
+      }
+    };
+  }
+
+  /**
+   * Follow connection status changes; called with the current status straight away
+   */
+  onStatus(listener) {
+    this.statusListeners.add(listener);
+    listener(this.status);
+    return () => this.statusListeners.delete(listener);
+  }
+
+  /**
+   * ===== CONNECTION =====
+   */
+
+  scheduleOpen() {
+    clearTimeout(this.openTimer);
+    this.openTimer = setTimeout(() => {
+      this.attempts = 0;
+      this.open();
+    }, REOPEN_DEBOUNCE);
+  }
+
+  open() {
+    this.close();
+    const keys = Array.from(this.handlers.keys());
+    if (keys.length === 0 || typeof EventSource === 'undefined') {
+      this.setStatus('idle');
+      return;
+    }
+    if (keys.length > MAX_STREAMS) {
+      console.warn(`📡 ${keys.length} market streams requested, only the first ${MAX_STREAMS} are connected`);
+    }
+
+    const params = new URLSearchParams({ streams: keys.slice(0, MAX_STREAMS).join(',') });
+    const source = new EventSource(`${this.url}?${params.toString()}`);
+    this.source = source;
+    this.lastEventAt = Date.now();
+    this.setStatus(this.attempts > 0 ? 'reconnecting' : 'connecting');
+
+    source.addEventListener('ready', (event) => {
+      const ready = parseMessage(event) || {};
+      ready.rejected?.forEach(({ stream, error }) => console.warn(`📡 Market stream ${stream} rejected: ${error}`));
+      this.attempts = 0;
+      this.heartbeatInterval = ready.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL;
+      this.touch();
+      this.setStatus('open');
+    });
+    source.addEventListener('heartbeat', () => this.touch());
+    MESSAGE_EVENTS.forEach(type => {
+      source.addEventListener(type, (event) => {
+        this.touch();
+        const message = parseMessage(event);
+        if (message) this.dispatch(message);
+      });
+    });
+
+    source.onerror = () => {
+      // EventSource retries on its own unless the server refused the request
+      if (source.readyState === EventSource.CLOSED) {
+        this.scheduleReconnect();
+      } else {
+        this.setStatus('reconnecting');
+      }
+    };
+
+    this.startWatchdog();
+  }
+
+  close() {
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.watchdog);
+    this.reconnectTimer = null;
+    this.watchdog = null;
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+  }
+
+  scheduleReconnect() {
+    this.close();
+    this.setStatus('reconnecting');
+    const delay = RECONNECT_DELAYS[Math.min(this.attempts, RECONNECT_DELAYS.length - 1)];
+    this.attempts += 1;
+    this.reconnectTimer = setTimeout(() => this.open(), delay);
+  }
+
+  // Re-open when nothing, not even a heartbeat, has arrived for two heartbeat periods
+  startWatchdog() {
+    this.watchdog = setInterval(() => {
+      if (Date.now() - this.lastEventAt > this.heartbeatInterval * 2) {
+        console.warn('🔄 Market stream went quiet, reconnecting');
+        this.scheduleReconnect();
+      }
+    }, this.heartbeatInterval);
+  }
+
+  touch() {
+    this.lastEventAt = Date.now();
+  }
+
+  dispatch(message) {
+    const handlers = this.handlers.get(message.stream);
+    if (!handlers) return;
+    for (const handler of handlers) {
+      try {
+        handler(message);
+      } catch (error) {
+        console.error(`❌ Market stream handler on ${message.stream} failed:`, error);
+      }
+    }
+  }
+
+  setStatus(status) {
+    if (status === this.status) return;
+    this.status = status;
+    this.statusListeners.forEach(listener => listener(status));
+  }
+}
+
+function parseMessage(event) {
+  try {
+    return JSON.parse(event.data);
+  } catch (error) {
+    return null;
+  }
+}
+
+export const marketStream = new MarketStream();
+export default marketStream;
@@ -0,0 +1,132 @@
+/**
+ * Order Book Feed
+ * Keeps an OrderBook in sync with one exchange's depth stream. Diffs are buffered until a
+ * snapshot arrives (a REST snapshot, or the stream's own on venues that send one on
+ * subscribe), replayed on top of it, then applied as they come. A sequence gap throws the
+ * book away and resyncs: a new REST snapshot, or a resubscription where the stream sends
+ * snapshots itself.
+ *
+ * Adapter contract: subscribe('depth', { symbol }, handler) emitting
+ * { type: 'snapshot' | 'delta', firstUpdateId, finalUpdateId, bids, asks, timestamp },
+ * and getOrderBook(symbol, limit) -> { updateId, bids, asks, timestamp }.
+ */
+
+import { OrderBook } from './order-book.js';
+
+const SNAPSHOT_LIMIT = 1000; // Levels per side requested from REST snapshots
+const MAX_BUFFERED_DIFFS = 2000;
+const RETRY_DELAY = 3000; // After a failed snapshot request
+
+export class OrderBookFeed {
+  /**
+   * @param {object} options - { source (exchange adapter), exchange, symbol, onUpdate(book) }
+   */
+  constructor({ source, exchange, symbol, onUpdate }) {
+    this.source = source;
+    this.symbol = symbol;
+    this.onUpdate = onUpdate;
+    this.book = new OrderBook({ exchange, symbol });
+    this.buffer = [];
+    this.unsubscribe = null;
+    this.fetching = null;
+    this.retryTimer = null;
+    this.streamSnapshots = false; // The stream sends its own snapshots
+    this.resyncs = 0;
+    this.stopped = false;
+  }
+
+  start() {
+    this.stopped = false;
+    this.unsubscribe = this.source.subscribe('depth', { symbol: this.symbol }, (event) => this.onEvent(event));
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.retryTimer);
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.buffer = [];
+    this.book.reset();
+  }
+
+  onEvent(event) {
+    if (this.stopped) return;
+
+    if (event.type === 'snapshot') {
+      this.streamSnapshots = true;
+      this.book.applySnapshot({ ...event, updateId: event.finalUpdateId });
+      this.buffer = [];
+      this.onUpdate(this.book);
+      return;
+    }
+
+    if (!this.book.synced) {
+      this.buffer.push(event);
+      if (this.buffer.length > MAX_BUFFERED_DIFFS) this.buffer.shift();
+      if (!this.streamSnapshots) this.fetchSnapshot();
+      return;
+    }
+
+    const result = this.book.applyDiff(event);
+    if (result === 'applied') {
+      this.onUpdate(this.book);
+    } else if (result === 'gap') {
+      this.resync(event);
+    }
+  }
+
+  // REST snapshot, then the diffs buffered while it was in flight
+  fetchSnapshot() {
+    if (this.fetching || this.retryTimer) return;
+
+    this.fetching = this.source.getOrderBook(this.symbol, SNAPSHOT_LIMIT)
+      .then((snapshot) => {
+        if (this.stopped) return;
+        this.book.applySnapshot(snapshot);
+
+        const buffered = this.buffer.splice(0);
+        for (const event of buffered) {
+          if (this.book.applyDiff(event) === 'gap') {
+            // Snapshot older than the first buffered diff: try again with a newer one
+            this.buffer = buffered.slice(buffered.indexOf(event));
+            this.book.reset();
+            this.retryLater();
+            return;
+          }
+        }
+        this.onUpdate(this.book);
+      })
+      .catch((error) => {
+        console.warn(`📚 ${this.symbol} order book snapshot failed:`, error.message);
+        this.retryLater();
+      })
+      .finally(() => {
+        this.fetching = null;
+      });
+  }
+
+  retryLater() {
+    if (this.stopped || this.retryTimer) return;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      if (!this.stopped && !this.book.synced) this.fetchSnapshot();
+    }, RETRY_DELAY);
+  }
+
+  resync(event) {
+    this.resyncs += 1;
+    console.warn(`📚 ${this.symbol} order book gap at ${event.firstUpdateId} after ${this.book.updateId}, resyncing`);
+    this.book.reset();
+    this.buffer = [];
+
+    if (this.streamSnapshots) {
+      this.unsubscribe?.();
+      this.start();
+    } else {
+      this.buffer.push(event);
+      this.fetchSnapshot();
+    }
+  }
+}
+
+export default OrderBookFeed;
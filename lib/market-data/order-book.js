@@ -0,0 +1,212 @@
+/**
+ * Order Book
+ * Level-2 book for one symbol, kept from an exchange snapshot plus its diff stream.
+ * Update ids follow Binance's depth stream semantics: a snapshot carries `updateId`
+ * (lastUpdateId); each diff covers firstUpdateId..finalUpdateId (U..u) and must start
+ * right after the previous one. The first diff after a snapshot may straddle it; diffs
+ * older than the snapshot are dropped. A diff that skips ids is a gap, and the book is
+ * out of sync until the next snapshot. Venues sending one id per update (Bybit's `u`)
+ * use it as both first and final id.
+ *
+ * The query helpers work on plain { bids, asks } books, best level first, so strategies
+ * get the same answers from a live OrderBook, its getSummary() copy in a worker, or a
+ * book sent to the browser.
+ */
+
+export const DEFAULT_BOOK_LEVELS = 20; // Levels per side in summaries and published books
+
+const ZERO = 1e-12;
+
+/**
+ * ===== QUERIES =====
+ */
+
+/**
+ * Best bid and ask ({ price, quantity } or null)
+ */
+export function getTopOfBook(book) {
+  const [bidPrice, bidQuantity] = book.bids[0] || [];
+  const [askPrice, askQuantity] = book.asks[0] || [];
+  return {
+    bid: bidPrice === undefined ? null : { price: bidPrice, quantity: bidQuantity },
+    ask: askPrice === undefined ? null : { price: askPrice, quantity: askQuantity }
+  };
+}
+
+/**
+ * { spread, spreadPercent (of mid), mid }, null while either side is empty
+ */
+export function getSpread(book) {
+  const { bid, ask } = getTopOfBook(book);
+  if (!bid || !ask) return null;
+
+  const mid = (bid.price + ask.price) / 2;
+  return { spread: ask.price - bid.price, spreadPercent: ((ask.price - bid.price) / mid) * 100, mid };
+}
+
+/**
+ * Liquidity at a price: the side resting there, the quantity on that level, and the total
+ * from the best level through it (what a marketable order would sweep to reach it)
+ */
+export function getDepthAtPrice(book, price) {
+  const bestAsk = book.asks[0]?.[0];
+  const side = bestAsk !== undefined && price >= bestAsk ? 'ASK' : 'BID';
+  const levels = side === 'ASK' ? book.asks : book.bids;
+
+  let quantity = 0;
+  let cumulative = 0;
+  for (const [levelPrice, levelQuantity] of levels) {
+    if (side === 'ASK' ? levelPrice > price : levelPrice < price) break;
+    cumulative += levelQuantity;
+    if (Math.abs(levelPrice - price) <= ZERO) quantity = levelQuantity;
+  }
+  return { side, price, quantity, cumulative };
+}
+
+/**
+ * (bid - ask) / (bid + ask) quantity over the best `levels` per side: +1 all bids, -1 all asks
+ */
+export function getImbalance(book, levels = DEFAULT_BOOK_LEVELS) {
+  const total = (side) => side.slice(0, levels).reduce((sum, [, quantity]) => sum + quantity, 0);
+  const bids = total(book.bids);
+  const asks = total(book.asks);
+  return bids + asks > 0 ? (bids - asks) / (bids + asks) : 0;
+}
+
+/**
+ * ===== BOOK =====
+ */
+
+export class OrderBook {
+  constructor({ exchange = null, symbol } = {}) {
+    this.exchange = exchange;
+    this.symbol = symbol;
+    this.bids = new Map(); // price -> quantity
+    this.asks = new Map();
+    this.updateId = null;
+    this.timestamp = null;
+    this.synced = false;
+    this.bridged = false; // A diff has been applied since the snapshot
+    this.sorted = null; // { bids, asks } best first, rebuilt after changes
+  }
+
+  /**
+   * Replace the book. Levels are [price, quantity] pairs (numbers or numeric strings).
+   */
+  applySnapshot({ updateId, bids = [], asks = [], timestamp = null }) {
+    this.bids = new Map();
+    this.asks = new Map();
+    setLevels(this.bids, bids);
+    setLevels(this.asks, asks);
+    this.updateId = Number(updateId);
+    this.timestamp = timestamp;
+    this.synced = true;
+    this.bridged = false;
+    this.sorted = null;
+  }
+
+  /**
+   * Apply one diff; zero quantities remove levels.
+   * @returns {string} 'applied' | 'stale' (already in the book) | 'gap' (book needs a new snapshot)
+   */
+  applyDiff({ firstUpdateId, finalUpdateId, bids = [], asks = [], timestamp = null }) {
+    if (!this.synced) return 'gap';
+
+    const first = Number(firstUpdateId ?? finalUpdateId);
+    const final = Number(finalUpdateId);
+    if (final <= this.updateId) return 'stale';
+
+    const expected = this.updateId + 1;
+    if (this.bridged ? first !== expected : first > expected) {
+      this.synced = false;
+      return 'gap';
+    }
+
+    setLevels(this.bids, bids);
+    setLevels(this.asks, asks);
+    this.updateId = final;
+    this.timestamp = timestamp ?? this.timestamp;
+    this.bridged = true;
+    this.sorted = null;
+    return 'applied';
+  }
+
+  reset() {
+    this.bids.clear();
+    this.asks.clear();
+    this.updateId = null;
+    this.synced = false;
+    this.bridged = false;
+    this.sorted = null;
+  }
+
+  /**
+   * [price, quantity] levels, best first
+   */
+  getLevels(side, limit = Infinity) {
+    if (!this.sorted) {
+      this.sorted = {
+        bids: Array.from(this.bids).sort((a, b) => b[0] - a[0]),
+        asks: Array.from(this.asks).sort((a, b) => a[0] - b[0])
+      };
+    }
+    const levels = side === 'BID' ? this.sorted.bids : this.sorted.asks;
+    return Number.isFinite(limit) ? levels.slice(0, limit) : levels;
+  }
+
+  getTopOfBook() {
+    return getTopOfBook(this.view());
+  }
+
+  getSpread() {
+    return getSpread(this.view());
+  }
+
+  getDepthAtPrice(price) {
+    return getDepthAtPrice(this.view(), price);
+  }
+
+  getImbalance(levels = DEFAULT_BOOK_LEVELS) {
+    return getImbalance(this.view(), levels);
+  }
+
+  /**
+   * Plain copy of the best `levels` per side with the derived figures, as strategies get it
+   * in onTick data and the market stream publishes it
+   */
+  getSummary(levels = DEFAULT_BOOK_LEVELS) {
+    const book = { bids: this.getLevels('BID', levels), asks: this.getLevels('ASK', levels) };
+    const { bid, ask } = getTopOfBook(book);
+    return {
+      exchange: this.exchange,
+      symbol: this.symbol,
+      updateId: this.updateId,
+      timestamp: this.timestamp,
+      bestBid: bid,
+      bestAsk: ask,
+      ...(getSpread(book) || { spread: null, spreadPercent: null, mid: null }),
+      imbalance: getImbalance(book, levels),
+      bids: book.bids,
+      asks: book.asks
+    };
+  }
+
+  view() {
+    return { bids: this.getLevels('BID'), asks: this.getLevels('ASK') };
+  }
+}
+
+function setLevels(side, levels) {
+  for (const [price, quantity] of levels) {
+    const level = parseFloat(price);
+    const size = parseFloat(quantity);
+    if (!Number.isFinite(level) || !Number.isFinite(size)) continue;
+    if (size <= ZERO) {
+      side.delete(level);
+    } else {
+      side.set(level, size);
+    }
+  }
+}
+
+export default OrderBook;
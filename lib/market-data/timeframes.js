@@ -0,0 +1,153 @@
+/**
+ * Timeframes
+ * Candle intervals and the multi-timeframe feed: higher-timeframe bars are built from
+ * closed base-interval candles, so a strategy sees every timeframe it asks for as of
+ * the same moment. Buckets are aligned to the UTC epoch (a 15m bar opens on :00, :15,
+ * ...; a 1d bar at 00:00 UTC). Pure and synchronous, so the backtester, the runtime and
+ * strategy workers all build the same snapshots from the same candles.
+ */
+
+export const INTERVAL_MS = {
+  '1m': 60000,
+  '3m': 180000,
+  '5m': 300000,
+  '15m': 900000,
+  '30m': 1800000,
+  '1h': 3600000,
+  '2h': 7200000,
+  '4h': 14400000,
+  '6h': 21600000,
+  '12h': 43200000,
+  '1d': 86400000
+};
+
+const MAX_TIMEFRAME_CANDLES = 500; // Closed bars kept per timeframe, as the runtime buffers per feed
+
+export function intervalToMs(interval) {
+  const ms = INTERVAL_MS[interval];
+  if (!ms) {
+    throw new Error(`Invalid interval: ${interval} (use one of ${Object.keys(INTERVAL_MS).join(', ')})`);
+  }
+  return ms;
+}
+
+/**
+ * ===== AGGREGATION =====
+ */
+
+/**
+ * Builds one higher timeframe from closed base candles. A bar closes on the base candle
+ * that ends its bucket (or, across a gap, when a candle opens in a later bucket); until
+ * then it is `current`, made only of the base candles closed so far.
+ */
+class TimeframeAggregator {
+  constructor(interval, baseMs, maxCandles) {
+    this.interval = interval;
+    this.ms = intervalToMs(interval);
+    this.baseMs = baseMs;
+    this.maxCandles = maxCandles;
+    this.candles = [];
+    this.current = null;
+  }
+
+  update(candle) {
+    const start = Math.floor(candle.timestamp / this.ms) * this.ms;
+
+    if (this.current && this.current.timestamp !== start) {
+      this.close();
+    }
+
+    if (!this.current) {
+      // A bucket joined part-way (start of history) would be a short bar: skip to the next
+      if (this.candles.length === 0 && candle.timestamp - start >= this.baseMs) return;
+      this.current = {
+        timestamp: start,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume ?? 0,
+        closed: false
+      };
+    } else {
+      this.current.high = Math.max(this.current.high, candle.high);
+      this.current.low = Math.min(this.current.low, candle.low);
+      this.current.close = candle.close;
+      this.current.volume += candle.volume ?? 0;
+    }
+
+    if (candle.timestamp + this.baseMs >= start + this.ms) {
+      this.close();
+    }
+  }
+
+  close() {
+    this.candles.push({ ...this.current, closed: true });
+    if (this.candles.length > this.maxCandles) this.candles.shift();
+    this.current = null;
+  }
+
+  snapshot() {
+    return { candles: this.candles.slice(), current: this.current && { ...this.current } };
+  }
+}
+
+/**
+ * Aligned views of several timeframes over one base candle stream. Feed closed base
+ * candles, oldest first, to update(); snapshot() returns, per timeframe, its closed bars
+ * and the bar still forming, never anything past the last base candle:
+ *
+ *   { '5m': { candles, current: null }, '15m': { candles, current }, ... }
+ */
+export class MultiTimeframeFeed {
+  /**
+   * @param {object} options - { interval (base), timeframes, maxCandles }
+   * @throws {Error} 'Invalid timeframe: ...' for a timeframe that isn't a whole multiple of the base
+   */
+  constructor({ interval, timeframes = [], maxCandles = MAX_TIMEFRAME_CANDLES }) {
+    this.interval = interval;
+    this.baseMs = intervalToMs(interval);
+    this.maxCandles = maxCandles;
+    this.candles = [];
+    this.lastTimestamp = null;
+
+    this.aggregators = [...new Set(timeframes)]
+      .filter(timeframe => timeframe !== interval)
+      .map((timeframe) => {
+        const ms = intervalToMs(timeframe);
+        if (ms < this.baseMs || ms % this.baseMs !== 0) {
+          throw new Error(`Invalid timeframe: ${timeframe} is not a multiple of the ${interval} base interval`);
+        }
+        return new TimeframeAggregator(timeframe, this.baseMs, maxCandles);
+      });
+  }
+
+  get timeframes() {
+    return [this.interval, ...this.aggregators.map(aggregator => aggregator.interval)];
+  }
+
+  // Candles at or before the last one seen (replays, duplicates) are ignored
+  update(candle) {
+    if (candle.closed === false) return;
+    if (this.lastTimestamp !== null && candle.timestamp <= this.lastTimestamp) return;
+    this.lastTimestamp = candle.timestamp;
+
+    this.candles.push(candle);
+    if (this.candles.length > this.maxCandles) this.candles.shift();
+    this.aggregators.forEach(aggregator => aggregator.update(candle));
+  }
+
+  warmUp(candles) {
+    candles.forEach(candle => this.update(candle));
+  }
+
+  snapshot() {
+    const snapshot = { [this.interval]: { candles: this.candles.slice(), current: null } };
+    for (const aggregator of this.aggregators) {
+      snapshot[aggregator.interval] = aggregator.snapshot();
+    }
+    return snapshot;
+  }
+}
+
+export default MultiTimeframeFeed;
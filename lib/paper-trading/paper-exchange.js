@@ -0,0 +1,638 @@
+/**
+ * Paper Trading Exchange - Local Matching Engine
+ * Simulated exchange behind demo accounts: resting orders, slippage, fees and cash balances.
+ * State lives in memory; every change is announced as a 'change' event so PaperStore can
+ * persist it, and exportAccount / importAccount carry it across restarts.
+ */
+
+import { EventEmitter } from 'events';
+import { toOrderDTO, toFillDTO } from '../trading-apis/exchange-adapter.js';
+
+const QUOTE_ASSETS = ['USDT', 'USDC', 'BUSD', 'FDUSD', 'BTC', 'ETH', 'BNB', 'USD'];
+
+const DEFAULT_BALANCES = {
+  USDT: 10000
+};
+
+const round = (value, decimals = 8) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Split an exchange symbol into base/quote assets.
+ * Futures contracts (ES, NQ...) have no quote suffix and settle in USD.
+ */
+export function splitSymbol(symbol) {
+  for (const quote of QUOTE_ASSETS) {
+    if (symbol.length > quote.length && symbol.endsWith(quote)) {
+      return { base: symbol.slice(0, -quote.length), quote };
+    }
+  }
+  return { base: symbol, quote: 'USD' };
+}
+
+export class PaperExchange extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.accounts = new Map(); // accountId -> paper account state
+    this.lastPrices = new Map(); // symbol -> { price, timestamp }
+    this.orderSequence = 0;
+
+    // Fee model: fractional rates charged in the quote asset
+    this.feeModel = {
+      maker: 0.001,
+      taker: 0.001,
+      ...options.feeModel
+    };
+
+    // Slippage model: applied against the taker on market/stop fills
+    // { type: 'bps', value: 5 } | { type: 'fixed', value: 0.5 } | { type: 'none' }
+    this.slippageModel = {
+      type: 'bps',
+      value: 5,
+      ...options.slippageModel
+    };
+
+    this.initialBalances = options.initialBalances || DEFAULT_BALANCES;
+  }
+
+  /**
+   * ===== ACCOUNTS =====
+   */
+
+  getAccount(accountId, options = {}) {
+    if (!this.accounts.has(accountId)) {
+      const balances = new Map();
+      for (const [asset, amount] of Object.entries(options.initialBalances || this.initialBalances)) {
+        balances.set(asset, { free: amount, locked: 0 });
+      }
+
+      this.accounts.set(accountId, {
+        id: accountId,
+        allowShort: options.allowShort ?? false,
+        balances,
+        orders: new Map(),
+        fills: [],
+        createdAt: Date.now()
+      });
+      this.emit('change', accountId);
+    }
+    return this.accounts.get(accountId);
+  }
+
+  /**
+   * Balances and working orders of an account, as plain data for persistence
+   */
+  exportAccount(accountId) {
+    const account = this.getAccount(accountId);
+    return {
+      allowShort: account.allowShort,
+      balances: Object.fromEntries(Array.from(account.balances, ([asset, bal]) => [asset, { ...bal }])),
+      orders: Array.from(account.orders.values())
+        .filter(order => order.status === 'SUBMITTED' || order.status === 'PARTIALLY_FILLED')
+        .map(order => ({ ...order }))
+    };
+  }
+
+  /**
+   * Replace an account's state with an exportAccount snapshot. Fill history is not kept:
+   * the fills a snapshot's orders already had are on their Order rows.
+   */
+  importAccount(accountId, { allowShort = false, balances = {}, orders = [] }) {
+    this.accounts.set(accountId, {
+      id: accountId,
+      allowShort,
+      balances: new Map(Object.entries(balances).map(([asset, bal]) => [asset, { free: bal.free, locked: bal.locked }])),
+      orders: new Map(orders.map(order => [order.orderId, { ...order }])),
+      fills: [],
+      createdAt: Date.now()
+    });
+    return this.accounts.get(accountId);
+  }
+
+  resetAccount(accountId, initialBalances = null) {
+    const existing = this.accounts.get(accountId);
+    this.accounts.delete(accountId);
+    return this.getAccount(accountId, {
+      allowShort: existing?.allowShort,
+      initialBalances: initialBalances || this.initialBalances
+    });
+  }
+
+  getBalance(account, asset) {
+    if (!account.balances.has(asset)) {
+      account.balances.set(asset, { free: 0, locked: 0 });
+    }
+    return account.balances.get(asset);
+  }
+
+  getBalances(accountId) {
+    const account = this.getAccount(accountId);
+    return Array.from(account.balances.entries()).map(([asset, bal]) => ({
+      asset,
+      free: round(bal.free),
+      locked: round(bal.locked)
+    }));
+  }
+
+  /**
+   * Mark-to-market equity in the given quote asset using the last known prices
+   */
+  getEquity(accountId, quoteAsset = 'USDT') {
+    const account = this.getAccount(accountId);
+    let equity = 0;
+
+    for (const [asset, bal] of account.balances) {
+      const total = bal.free + bal.locked;
+      if (total === 0) continue;
+
+      if (asset === quoteAsset || (quoteAsset === 'USDT' && asset === 'USD')) {
+        equity += total;
+        continue;
+      }
+
+      const last = this.getLastPrice(`${asset}${quoteAsset}`) ?? this.getLastPrice(asset);
+      if (last !== null) {
+        equity += total * last;
+      }
+    }
+
+    return round(equity);
+  }
+
+  /**
+   * ===== MARKET DATA =====
+   */
+
+  getLastPrice(symbol) {
+    return this.lastPrices.get(symbol)?.price ?? null;
+  }
+
+  /**
+   * Feed a live or replayed price; triggers matching of resting orders
+   */
+  updatePrice(symbol, price, timestamp = Date.now()) {
+    const numericPrice = parseFloat(price);
+    if (!Number.isFinite(numericPrice) || numericPrice <= 0) return;
+
+    this.lastPrices.set(symbol, { price: numericPrice, timestamp });
+    this.matchRestingOrders(symbol, numericPrice, timestamp);
+  }
+
+  /**
+   * Replay a recorded price stream: [{ symbol, price, timestamp }]
+   */
+  replay(ticks) {
+    for (const tick of ticks) {
+      this.updatePrice(tick.symbol, tick.price, tick.timestamp);
+    }
+  }
+
+  getWorkingSymbols() {
+    const symbols = new Set();
+    for (const account of this.accounts.values()) {
+      for (const order of account.orders.values()) {
+        if (order.status === 'SUBMITTED') {
+          symbols.add(order.symbol);
+        }
+      }
+    }
+    return Array.from(symbols);
+  }
+
+  /**
+   * ===== ORDERS =====
+   */
+
+  placeOrder(accountId, orderData) {
+    const account = this.getAccount(accountId);
+    const now = Date.now();
+
+    const order = {
+      orderId: `paper_${now}_${++this.orderSequence}`,
+      clientOrderId: orderData.clientOrderId || null,
+      accountId,
+      symbol: orderData.symbol,
+      side: orderData.side.toUpperCase(),
+      type: (orderData.type || 'MARKET').toUpperCase(),
+      quantity: parseFloat(orderData.quantity),
+      price: orderData.price ? parseFloat(orderData.price) : null,
+      stopPrice: orderData.stopPrice ? parseFloat(orderData.stopPrice) : null,
+      timeInForce: orderData.timeInForce || 'GTC',
+      status: 'SUBMITTED',
+      executedQty: 0,
+      avgPrice: null,
+      locked: null,
+      triggered: false,
+      ocoListId: orderData.ocoListId || null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    if (['LIMIT', 'STOP_LIMIT'].includes(order.type) && !order.price) {
+      throw new Error(`${order.type} order requires a price`);
+    }
+    if (['STOP', 'STOP_LIMIT'].includes(order.type) && !order.stopPrice) {
+      throw new Error(`${order.type} order requires a stopPrice`);
+    }
+
+    account.orders.set(order.orderId, order);
+    const lastPrice = this.getLastPrice(order.symbol);
+
+    switch (order.type) {
+      case 'MARKET':
+        if (lastPrice === null) {
+          this.rejectOrder(order, `No market price available for ${order.symbol}`);
+          break;
+        }
+        this.fillOrder(account, order, this.applySlippage(order.side, lastPrice), 'taker', now);
+        break;
+
+      case 'LIMIT':
+        if (lastPrice !== null && this.isLimitMarketable(order, lastPrice)) {
+          // Marketable limit crosses the book as taker, never worse than the limit
+          const fillPrice = order.side === 'BUY'
+            ? Math.min(order.price, this.applySlippage('BUY', lastPrice))
+            : Math.max(order.price, this.applySlippage('SELL', lastPrice));
+          this.fillOrder(account, order, fillPrice, 'taker', now);
+        } else if (order.timeInForce === 'IOC' || order.timeInForce === 'FOK') {
+          order.status = 'EXPIRED';
+          order.updatedAt = now;
+        } else {
+          this.lockFunds(account, order);
+        }
+        break;
+
+      case 'STOP':
+      case 'STOP_LIMIT':
+        // Stops rest untriggered; funds are checked at trigger time
+        if (lastPrice !== null && this.isStopTriggered(order, lastPrice)) {
+          this.triggerStop(account, order, lastPrice, now);
+        }
+        break;
+
+      default:
+        this.rejectOrder(order, `Order type ${order.type} not supported by paper exchange`);
+    }
+
+    this.emit('change', accountId);
+    return this.toResponse(order);
+  }
+
+  /**
+   * One-cancels-the-other list: a LIMIT leg and a STOP/STOP_LIMIT leg on the same side.
+   * As on Binance, either leg filling or being cancelled cancels the other.
+   * -> [limitLeg, stopLeg]
+   */
+  placeOcoOrder(accountId, { symbol, side, quantity, price, stopPrice, stopLimitPrice, limitClientOrderId, stopClientOrderId }) {
+    const upperSide = side.toUpperCase();
+    const lastPrice = this.getLastPrice(symbol);
+
+    if (!price || !stopPrice) {
+      throw new Error('OCO order requires a price and a stopPrice');
+    }
+    if (lastPrice !== null) {
+      const valid = upperSide === 'SELL'
+        ? price > lastPrice && stopPrice < lastPrice
+        : price < lastPrice && stopPrice > lastPrice;
+      if (!valid) {
+        throw new Error(`OCO prices must sit either side of the last price (${lastPrice})`);
+      }
+    }
+
+    const ocoListId = `paper_oco_${Date.now()}_${++this.orderSequence}`;
+
+    // Only the limit leg reserves funds; the stop takes them over when it triggers
+    const limitLeg = this.placeOrder(accountId, {
+      symbol,
+      side: upperSide,
+      type: 'LIMIT',
+      quantity,
+      price,
+      clientOrderId: limitClientOrderId,
+      ocoListId
+    });
+    if (limitLeg.status === 'REJECTED') {
+      throw new Error(`OCO rejected: ${limitLeg.rejectReason}`);
+    }
+
+    const stopLeg = this.placeOrder(accountId, {
+      symbol,
+      side: upperSide,
+      type: stopLimitPrice ? 'STOP_LIMIT' : 'STOP',
+      quantity,
+      price: stopLimitPrice,
+      stopPrice,
+      clientOrderId: stopClientOrderId,
+      ocoListId
+    });
+
+    return [limitLeg, stopLeg];
+  }
+
+  cancelOrder(accountId, orderId) {
+    const account = this.getAccount(accountId);
+    const order = account.orders.get(orderId) ||
+      Array.from(account.orders.values()).find(o => o.clientOrderId === orderId);
+
+    if (!order) {
+      throw new Error(`Paper order ${orderId} not found`);
+    }
+    if (order.status !== 'SUBMITTED' && order.status !== 'PARTIALLY_FILLED') {
+      throw new Error(`Paper order ${orderId} is ${order.status} and cannot be cancelled`);
+    }
+
+    this.releaseFunds(account, order);
+    order.status = 'CANCELLED';
+    order.updatedAt = Date.now();
+    this.cancelOcoSiblings(account, order);
+
+    this.emit('order', this.toResponse(order));
+    this.emit('change', accountId);
+    return this.toResponse(order);
+  }
+
+  amendOrder(accountId, orderId, changes = {}) {
+    const account = this.getAccount(accountId);
+    const order = account.orders.get(orderId) ||
+      Array.from(account.orders.values()).find(o => o.clientOrderId === orderId);
+
+    if (!order) {
+      throw new Error(`Paper order ${orderId} not found`);
+    }
+    if (order.status !== 'SUBMITTED') {
+      throw new Error(`Paper order ${orderId} is ${order.status} and cannot be amended`);
+    }
+
+    // Re-reserve funds against the new terms
+    this.releaseFunds(account, order);
+    if (changes.quantity) order.quantity = parseFloat(changes.quantity);
+    if (changes.price) order.price = parseFloat(changes.price);
+    if (changes.stopPrice) order.stopPrice = parseFloat(changes.stopPrice);
+    order.updatedAt = Date.now();
+
+    const lastPrice = this.getLastPrice(order.symbol);
+    const isWorkingLimit = order.type === 'LIMIT' || (order.type === 'STOP_LIMIT' && order.triggered);
+
+    if (isWorkingLimit) {
+      if (lastPrice !== null && this.isLimitMarketable(order, lastPrice)) {
+        this.fillOrder(account, order, order.price, 'taker', order.updatedAt);
+      } else {
+        this.lockFunds(account, order);
+      }
+    } else if (lastPrice !== null && this.isStopTriggered(order, lastPrice)) {
+      this.triggerStop(account, order, lastPrice, order.updatedAt);
+    }
+
+    this.emit('change', accountId);
+    return this.toResponse(order);
+  }
+
+  getOpenOrders(accountId, symbol = null) {
+    const account = this.getAccount(accountId);
+    return Array.from(account.orders.values())
+      .filter(o => o.status === 'SUBMITTED' || o.status === 'PARTIALLY_FILLED')
+      .filter(o => !symbol || o.symbol === symbol)
+      .map(o => this.toResponse(o));
+  }
+
+  getOrder(accountId, orderId) {
+    const account = this.getAccount(accountId);
+    const order = account.orders.get(orderId);
+    return order ? this.toResponse(order) : null;
+  }
+
+  getFills(accountId, symbol = null) {
+    const account = this.getAccount(accountId);
+    return account.fills.filter(f => !symbol || f.symbol === symbol);
+  }
+
+  /**
+   * ===== MATCHING =====
+   */
+
+  matchRestingOrders(symbol, price, timestamp) {
+    for (const account of this.accounts.values()) {
+      let changed = false;
+      for (const order of account.orders.values()) {
+        if (order.symbol !== symbol || order.status !== 'SUBMITTED') continue;
+
+        if ((order.type === 'STOP' || order.type === 'STOP_LIMIT') && !order.triggered) {
+          if (this.isStopTriggered(order, price)) {
+            this.triggerStop(account, order, price, timestamp);
+            this.emit('order', this.toResponse(order));
+            changed = true;
+          }
+          continue;
+        }
+
+        if (this.isLimitMarketable(order, price)) {
+          // Resting limit orders fill at their limit price as maker
+          this.releaseFunds(account, order);
+          this.fillOrder(account, order, order.price, 'maker', timestamp);
+          this.emit('order', this.toResponse(order));
+          changed = true;
+        }
+      }
+      if (changed) {
+        this.emit('change', account.id);
+      }
+    }
+  }
+
+  isLimitMarketable(order, price) {
+    return order.side === 'BUY' ? price <= order.price : price >= order.price;
+  }
+
+  isStopTriggered(order, price) {
+    return order.side === 'BUY' ? price >= order.stopPrice : price <= order.stopPrice;
+  }
+
+  triggerStop(account, order, price, timestamp) {
+    order.triggered = true;
+    order.updatedAt = timestamp;
+
+    // The stop takes over the OCO limit leg's reserved funds. The leg is only cancelled
+    // once the stop has them, so a rejected stop leaves the other leg working.
+    const siblings = this.getOcoSiblings(account, order);
+    siblings.forEach(sibling => this.releaseFunds(account, sibling));
+
+    if (order.type === 'STOP') {
+      this.fillOrder(account, order, this.applySlippage(order.side, price), 'taker', timestamp);
+    } else if (this.isLimitMarketable(order, price)) {
+      // STOP_LIMIT becomes a working limit order once triggered
+      this.fillOrder(account, order, order.price, 'taker', timestamp);
+    } else {
+      this.lockFunds(account, order);
+    }
+
+    if (order.status === 'REJECTED') {
+      siblings.forEach(sibling => this.lockFunds(account, sibling));
+    } else {
+      this.cancelOcoSiblings(account, order);
+    }
+  }
+
+  applySlippage(side, price) {
+    const direction = side === 'BUY' ? 1 : -1;
+
+    switch (this.slippageModel.type) {
+      case 'bps':
+        return round(price * (1 + direction * this.slippageModel.value / 10000));
+      case 'fixed':
+        return round(price + direction * this.slippageModel.value);
+      case 'none':
+      default:
+        return price;
+    }
+  }
+
+  fillOrder(account, order, price, liquidity, timestamp) {
+    const { base, quote } = splitSymbol(order.symbol);
+    const qty = order.quantity - order.executedQty;
+    const notional = qty * price;
+    const feeRate = liquidity === 'maker' ? this.feeModel.maker : this.feeModel.taker;
+    const commission = round(notional * feeRate);
+
+    const quoteBal = this.getBalance(account, quote);
+    const baseBal = this.getBalance(account, base);
+
+    if (order.side === 'BUY') {
+      if (quoteBal.free < notional + commission) {
+        this.rejectOrder(order, `Insufficient ${quote} balance`);
+        return;
+      }
+      quoteBal.free = round(quoteBal.free - notional - commission);
+      baseBal.free = round(baseBal.free + qty);
+    } else {
+      if (!account.allowShort && baseBal.free < qty) {
+        this.rejectOrder(order, `Insufficient ${base} balance`);
+        return;
+      }
+      baseBal.free = round(baseBal.free - qty);
+      quoteBal.free = round(quoteBal.free + notional - commission);
+    }
+
+    const fill = toFillDTO({
+      fillId: `${order.orderId}_${account.fills.length + 1}`,
+      orderId: order.orderId,
+      clientOrderId: order.clientOrderId,
+      symbol: order.symbol,
+      side: order.side,
+      price: round(price),
+      quantity: round(qty),
+      commission,
+      commissionAsset: quote,
+      isMaker: liquidity === 'maker',
+      timestamp
+    });
+    account.fills.push(fill);
+
+    order.avgPrice = order.executedQty > 0
+      ? round(((order.avgPrice * order.executedQty) + (price * qty)) / (order.executedQty + qty))
+      : round(price);
+    order.executedQty = round(order.executedQty + qty);
+    order.status = order.executedQty >= order.quantity ? 'FILLED' : 'PARTIALLY_FILLED';
+    order.updatedAt = timestamp;
+    order.lastFill = fill;
+
+    this.emit('fill', { accountId: account.id, ...fill });
+    this.cancelOcoSiblings(account, order);
+  }
+
+  getOcoSiblings(account, order) {
+    if (!order.ocoListId) return [];
+
+    return Array.from(account.orders.values()).filter(sibling =>
+      sibling !== order &&
+      sibling.ocoListId === order.ocoListId &&
+      (sibling.status === 'SUBMITTED' || sibling.status === 'PARTIALLY_FILLED')
+    );
+  }
+
+  cancelOcoSiblings(account, order) {
+    for (const sibling of this.getOcoSiblings(account, order)) {
+      this.releaseFunds(account, sibling);
+      sibling.status = 'CANCELLED';
+      sibling.updatedAt = order.updatedAt;
+      this.emit('order', this.toResponse(sibling));
+    }
+  }
+
+  rejectOrder(order, reason) {
+    order.status = 'REJECTED';
+    order.rejectReason = reason;
+    order.updatedAt = Date.now();
+    console.warn(`🎭 Paper order rejected (${order.symbol}): ${reason}`);
+  }
+
+  /**
+   * Reserve funds for a resting order so balances reflect working exposure
+   */
+  lockFunds(account, order) {
+    const { base, quote } = splitSymbol(order.symbol);
+
+    if (order.side === 'BUY') {
+      const amount = round(order.quantity * order.price * (1 + this.feeModel.maker));
+      const bal = this.getBalance(account, quote);
+      if (bal.free < amount) {
+        this.rejectOrder(order, `Insufficient ${quote} balance`);
+        return;
+      }
+      bal.free = round(bal.free - amount);
+      bal.locked = round(bal.locked + amount);
+      order.locked = { asset: quote, amount };
+    } else if (!account.allowShort) {
+      const bal = this.getBalance(account, base);
+      if (bal.free < order.quantity) {
+        this.rejectOrder(order, `Insufficient ${base} balance`);
+        return;
+      }
+      bal.free = round(bal.free - order.quantity);
+      bal.locked = round(bal.locked + order.quantity);
+      order.locked = { asset: base, amount: order.quantity };
+    }
+  }
+
+  releaseFunds(account, order) {
+    if (!order.locked) return;
+
+    const bal = this.getBalance(account, order.locked.asset);
+    bal.locked = round(bal.locked - order.locked.amount);
+    bal.free = round(bal.free + order.locked.amount);
+    order.locked = null;
+  }
+
+  /**
+   * Normalized OrderDTO, tagged with the paper account it belongs to
+   */
+  toResponse(order) {
+    return {
+      ...toOrderDTO({
+        orderId: order.orderId,
+        clientOrderId: order.clientOrderId,
+        symbol: order.symbol,
+        side: order.side,
+        type: order.type,
+        status: order.status,
+        quantity: order.quantity,
+        price: order.price,
+        stopPrice: order.stopPrice,
+        timeInForce: order.timeInForce,
+        filledQuantity: order.executedQty,
+        avgFillPrice: order.avgPrice,
+        fills: order.lastFill && order.status !== 'REJECTED' ? [order.lastFill] : [],
+        rejectReason: order.rejectReason,
+        createdAt: order.createdAt,
+        updatedAt: order.updatedAt
+      }),
+      accountId: order.accountId
+    };
+  }
+}
+
+// Export singleton instance shared by all demo connections
+export const paperExchange = new PaperExchange();
+
+export default paperExchange;
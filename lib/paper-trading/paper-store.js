@@ -0,0 +1,107 @@
+/**
+ * Paper Store
+ * Keeps the paper exchange's balances and working orders in PaperAccount rows so demo
+ * accounts survive a restart: every 'change' the exchange announces for a tracked demo
+ * TradingAccount is saved (one write in flight per account) and restore() loads the rows
+ * back before accounts connect.
+ */
+
+import { prisma } from '../database.js';
+
+export class PaperStore {
+  /**
+   * @param {PaperExchange} exchange
+   */
+  constructor(exchange) {
+    this.exchange = exchange;
+    this.queues = new Map(); // accountId -> tail of its serialised saves
+    this.pending = new Set(); // accountIds with a save queued but not yet started
+    this.tracked = new Set(); // Demo TradingAccount ids; other paper ids (adapter defaults) stay in memory
+    this.ready = null;
+
+    this.onChange = (accountId) => this.scheduleSave(accountId);
+  }
+
+  /**
+   * Restore every saved account, then persist changes as they happen
+   */
+  start() {
+    if (this.ready) return this.ready;
+
+    this.ready = this.restore()
+      .catch(error => console.error('❌ Paper account restore failed:', error))
+      .finally(() => this.exchange.on('change', this.onChange));
+    return this.ready;
+  }
+
+  stop() {
+    this.exchange.off('change', this.onChange);
+  }
+
+  async restore() {
+    const rows = await prisma.paperAccount.findMany();
+    for (const row of rows) {
+      this.tracked.add(row.tradingAccountId);
+      this.exchange.importAccount(row.tradingAccountId, {
+        allowShort: row.allowShort,
+        balances: row.balances,
+        orders: row.orders
+      });
+    }
+
+    console.log(`🎭 Restored ${rows.length} paper account(s)`);
+    return rows.length;
+  }
+
+  /**
+   * Persist a demo account from now on, starting with its current state
+   */
+  track(accountId) {
+    if (this.tracked.has(accountId)) return this.queues.get(accountId);
+    this.tracked.add(accountId);
+    return this.scheduleSave(accountId);
+  }
+
+  /**
+   * Saves run one at a time per account; changes arriving meanwhile share the next save,
+   * which snapshots the account when it runs
+   */
+  scheduleSave(accountId) {
+    if (!this.tracked.has(accountId)) return null;
+    if (this.pending.has(accountId)) return this.queues.get(accountId);
+    this.pending.add(accountId);
+
+    const previous = this.queues.get(accountId) || Promise.resolve();
+    const next = previous
+      .then(() => {
+        this.pending.delete(accountId);
+        return this.save(accountId);
+      })
+      .catch(error => console.error(`❌ Paper account save failed for ${accountId}:`, error));
+
+    this.queues.set(accountId, next);
+    next.finally(() => {
+      if (this.queues.get(accountId) === next) this.queues.delete(accountId);
+    });
+    return next;
+  }
+
+  async save(accountId) {
+    const snapshot = this.exchange.exportAccount(accountId);
+    const existing = await prisma.paperAccount.findUnique({ where: { tradingAccountId: accountId } });
+    if (existing) {
+      await prisma.paperAccount.update({ where: { id: existing.id }, data: snapshot });
+    } else {
+      await prisma.paperAccount.create({ data: { tradingAccountId: accountId, ...snapshot } });
+    }
+  }
+
+  /**
+   * Resolves once every queued save has been written
+   */
+  async flush() {
+    await Promise.all(this.queues.values());
+  }
+}
+
+export default PaperStore;
@@ -0,0 +1,290 @@
+/**
+ * Kill Switch
+ * Emergency stop for a single account or every account a user has: halts running
+ * strategies and algo orders, cancels all working orders, optionally flattens open
+ * positions at market, then refuses new orders until the switch is re-armed. Each step
+ * is written to the audit trail and raised as a SYSTEM_ALERT notification.
+ */
+
+import { prisma } from '../database.js';
+import { OPEN_ORDER_STATUSES } from '../trading-manager/order-reconciler.js';
+
+export class KillSwitch {
+  /**
+   * @param {object} manager - UnifiedTradingManager (cancelAllOrders, cancelOrder, placeOrder, executionEngine...)
+   */
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  /**
+   * ===== ENGAGE / RE-ARM =====
+   */
+
+  async engage(userId, { accountId = null, flatten = false, reason = null } = {}) {
+    const accounts = await this.getScopeAccounts(userId, accountId);
+
+    const killSwitch = await prisma.killSwitch.create({
+      data: {
+        userId,
+        tradingAccountId: accountId,
+        flatten: Boolean(flatten),
+        reason
+      }
+    });
+
+    const scopeLabel = accountId ? `account ${accounts[0].nickname || accounts[0].platform}` : 'all accounts';
+    console.log(`🛑 Kill switch engaged for ${scopeLabel}${reason ? `: ${reason}` : ''}`);
+
+    await this.record(killSwitch, 'KILL_SWITCH_ENGAGED',
+      `Kill switch engaged for ${scopeLabel}; new orders are blocked until re-armed`,
+      { reason, flatten: Boolean(flatten), accountIds: accounts.map(account => account.id) });
+
+    const summary = { haltedStrategies: 0, cancelledAlgoOrders: 0, cancelledOrders: 0, flattened: [], failures: [] };
+
+    // Stop anything that would keep placing orders before clearing the book
+    await this.haltStrategies(killSwitch, summary);
+    await this.cancelAlgoOrders(killSwitch, accountId, summary);
+
+    for (const account of accounts) {
+      await this.cancelOrders(killSwitch, account, summary);
+      if (flatten) {
+        await this.flattenPositions(killSwitch, account, summary);
+      }
+    }
+
+    await this.record(killSwitch, 'KILL_SWITCH_COMPLETE',
+      `Kill switch finished: ${summary.cancelledOrders} order(s) cancelled, ${summary.flattened.length} position(s) flattened${summary.failures.length ? `, ${summary.failures.length} step(s) failed` : ''}`,
+      summary);
+
+    return { killSwitch, summary };
+  }
+
+  /**
+   * Lift the switch for exactly the scope it was engaged on (user-wide or one account)
+   */
+  async rearm(userId, { accountId = null } = {}) {
+    const engaged = await prisma.killSwitch.findMany({
+      where: { userId, tradingAccountId: accountId, isEngaged: true }
+    });
+    if (engaged.length === 0) {
+      throw new Error('Kill switch is not engaged');
+    }
+
+    for (const killSwitch of engaged) {
+      await prisma.killSwitch.update({
+        where: { id: killSwitch.id },
+        data: { isEngaged: false, rearmedAt: new Date() }
+      });
+      await this.record(killSwitch, 'KILL_SWITCH_REARMED',
+        `Kill switch re-armed for ${accountId ? 'account' : 'all accounts'}; orders are accepted again`);
+    }
+
+    console.log(`🟢 Kill switch re-armed for ${accountId ? `account ${accountId}` : `user ${userId}`}`);
+    return await this.getStatus(userId);
+  }
+
+  /**
+   * Throws while a user-wide or account switch is engaged
+   */
+  async assertArmed(userId, accountId) {
+    const engaged = await prisma.killSwitch.findFirst({
+      where: {
+        userId,
+        isEngaged: true,
+        OR: [{ tradingAccountId: null }, { tradingAccountId: accountId }]
+      },
+      orderBy: { engagedAt: 'desc' }
+    });
+
+    if (engaged) {
+      throw new Error(`Kill switch engaged since ${engaged.engagedAt.toISOString()}; re-arm it to place orders`);
+    }
+  }
+
+  async getStatus(userId, { auditLimit = 50 } = {}) {
+    const [engaged, auditLog] = await Promise.all([
+      prisma.killSwitch.findMany({
+        where: { userId, isEngaged: true },
+        orderBy: { engagedAt: 'desc' }
+      }),
+      prisma.auditLog.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' },
+        take: auditLimit
+      })
+    ]);
+
+    return {
+      isEngaged: engaged.length > 0,
+      userWide: engaged.some(killSwitch => killSwitch.tradingAccountId === null),
+      engaged,
+      auditLog
+    };
+  }
+
+  /**
+   * ===== STEPS =====
+   */
+
+  async getScopeAccounts(userId, accountId) {
+    if (accountId) {
+      const account = await prisma.tradingAccount.findUnique({ where: { id: accountId } });
+      if (!account || account.userId !== userId) {
+        throw new Error('Unauthorized account access');
+      }
+      return [account];
+    }
+
+    return await prisma.tradingAccount.findMany({ where: { userId } });
+  }
+
+  /**
+   * A user-wide switch halts all of the user's strategies; an account switch only the
+   * ones routing signals to that account
+   */
+  async haltStrategies(killSwitch, summary) {
+    const running = await prisma.strategy.findMany({
+      where: {
+        userId: killSwitch.userId,
+        isActive: true,
+        ...(killSwitch.tradingAccountId && { tradingAccountId: killSwitch.tradingAccountId })
+      },
+      select: { id: true, name: true }
+    });
+    if (running.length === 0) return;
+
+    await prisma.strategy.updateMany({
+      where: { id: { in: running.map(strategy => strategy.id) } },
+      data: { isActive: false }
+    });
+    await this.manager.strategyRuntime.sync();
+    summary.haltedStrategies = running.length;
+
+    await this.record(killSwitch, 'STRATEGIES_HALTED',
+      `Halted ${running.length} strategy(ies): ${running.map(strategy => strategy.name).join(', ')}`,
+      { strategyIds: running.map(strategy => strategy.id) });
+  }
+
+  async cancelAlgoOrders(killSwitch, accountId, summary) {
+    const algos = await this.manager.getAlgoOrders(killSwitch.userId, { activeOnly: true });
+    const inScope = algos.filter(algo => !accountId || algo.tradingAccountId === accountId);
+
+    for (const algo of inScope) {
+      try {
+        await this.manager.cancelAlgoOrder(killSwitch.userId, algo.id);
+        summary.cancelledAlgoOrders += 1;
+        await this.record(killSwitch, 'ALGO_ORDER_CANCELLED',
+          `Cancelled ${algo.algo} ${algo.side} ${algo.symbol} (${algo.filledQuantity}/${algo.totalQuantity} filled)`,
+          { algoOrderId: algo.id }, algo.tradingAccountId);
+      } catch (error) {
+        summary.failures.push({ step: 'ALGO_ORDER_CANCELLED', algoOrderId: algo.id, error: error.message });
+        await this.record(killSwitch, 'ALGO_ORDER_CANCEL_FAILED',
+          `Could not cancel ${algo.algo} ${algo.symbol}: ${error.message}`,
+          { algoOrderId: algo.id }, algo.tradingAccountId);
+      }
+    }
+  }
+
+  async cancelOrders(killSwitch, account, summary) {
+    const { userId } = killSwitch;
+    let cancelled = [];
+    try {
+      cancelled = await this.manager.cancelAllOrders(userId, { accountId: account.id });
+    } catch (error) {
+      console.error(`❌ Kill switch cancel-all failed for account ${account.id}:`, error);
+    }
+
+    // Rows the venue-wide cancel did not cover (unarmed bracket legs, venues that failed)
+    const leftover = await prisma.order.findMany({
+      where: { tradingAccountId: account.id, status: { in: OPEN_ORDER_STATUSES } }
+    });
+    for (const order of leftover) {
+      try {
+        cancelled.push(await this.manager.cancelOrder(userId, order.id));
+      } catch (error) {
+        summary.failures.push({ step: 'ORDERS_CANCELLED', orderId: order.id, error: error.message });
+      }
+    }
+
+    summary.cancelledOrders += cancelled.length;
+    const stillOpen = await prisma.order.count({
+      where: { tradingAccountId: account.id, status: { in: OPEN_ORDER_STATUSES } }
+    });
+
+    await this.record(killSwitch, stillOpen > 0 ? 'ORDERS_CANCEL_INCOMPLETE' : 'ORDERS_CANCELLED',
+      `Cancelled ${cancelled.length} working order(s) on ${account.nickname || account.platform}${stillOpen > 0 ? `; ${stillOpen} could not be cancelled` : ''}`,
+      { orderIds: cancelled.filter(Boolean).map(order => order.id), stillOpen }, account.id);
+  }
+
+  async flattenPositions(killSwitch, account, summary) {
+    const positions = await prisma.position.findMany({
+      where: { tradingAccountId: account.id, quantity: { gt: 0 } }
+    });
+
+    for (const symbol of new Set(positions.map(position => position.symbol))) {
+      const rows = positions.filter(position => position.symbol === symbol);
+      const positionIds = rows.map(position => position.id);
+      // Net signed quantity: longs (BUY) count up, shorts (SELL) down
+      const net = rows.reduce(
+        (sum, position) => sum + (position.side === 'SELL' ? -1 : 1) * parseFloat(position.quantity),
+        0
+      );
+      const quantity = parseFloat(Math.abs(net).toFixed(8));
+      if (quantity === 0) continue;
+
+      const side = net > 0 ? 'SELL' : 'BUY';
+      try {
+        const order = await this.manager.placeOrder(killSwitch.userId, account.id, {
+          symbol,
+          side,
+          type: 'MARKET',
+          quantity,
+          reduceOnly: true
+        }, { killSwitchId: killSwitch.id });
+
+        summary.flattened.push({ symbol, positionIds, orderId: order.id });
+        await this.record(killSwitch, 'POSITION_FLATTENED',
+          `Flattened ${symbol}: ${side} ${quantity} at market (${order.status.toLowerCase()})`,
+          { positionIds, orderId: order.id }, account.id);
+      } catch (error) {
+        summary.failures.push({ step: 'POSITION_FLATTENED', symbol, positionIds, error: error.message });
+        await this.record(killSwitch, 'POSITION_FLATTEN_FAILED',
+          `Could not flatten ${symbol} ${net > 0 ? 'long' : 'short'} ${quantity}: ${error.message}`,
+          { positionIds }, account.id);
+      }
+    }
+  }
+
+  /**
+   * Audit row + SYSTEM_ALERT notification for one step
+   */
+  async record(killSwitch, action, message, details = null, accountId = killSwitch.tradingAccountId) {
+    try {
+      await prisma.auditLog.create({
+        data: {
+          userId: killSwitch.userId,
+          tradingAccountId: accountId,
+          killSwitchId: killSwitch.id,
+          action,
+          message,
+          details
+        }
+      });
+      await prisma.notification.create({
+        data: {
+          userId: killSwitch.userId,
+          type: 'SYSTEM_ALERT',
+          title: action === 'KILL_SWITCH_REARMED' ? 'Kill switch re-armed' : 'Kill switch',
+          message,
+          data: { killSwitchId: killSwitch.id, action, ...(accountId && { accountId }) }
+        }
+      });
+    } catch (error) {
+      // Never let bookkeeping stop the emergency path
+      console.error(`❌ Failed to record kill switch step ${action}:`, error);
+    }
+  }
+}
+
+export default KillSwitch;
@@ -0,0 +1,493 @@
+/**
+ * Pre-Trade Risk Engine
+ * Every order that adds exposure is checked before it reaches the exchange: order
+ * notional, position size per symbol, realized loss since 00:00 UTC, daily trade count,
+ * open orders and leverage. Notionals use the order's own limit/stop price or the live
+ * market price - never an assumed one. Leverage is the account's exposure after the
+ * order over its equity. Limits come from RiskLimit rows (user-wide and per account) on
+ * top of a preset for User.riskTolerance. Orders that only reduce a position (a SELL
+ * against a long, a BUY against a short, net of the account's other working orders on
+ * that side) are held only to the open-order limit so stops and exits are never blocked;
+ * the kill switch's reduce-only flatten orders pass every check.
+ */
+
+import { prisma } from '../database.js';
+import { OPEN_ORDER_STATUSES } from '../trading-manager/order-reconciler.js';
+
+export const LIMIT_FIELDS = [
+  'maxOrderNotional',
+  'maxPositionNotional',
+  'maxPositionQuantity',
+  'maxDailyLoss',
+  'maxDailyTrades',
+  'maxOpenOrders',
+  'maxLeverage'
+];
+
+const INTEGER_LIMITS = ['maxDailyTrades', 'maxOpenOrders', 'maxLeverage'];
+
+// Defaults by User.riskTolerance; RiskLimit rows override field by field
+export const RISK_PRESETS = {
+  LOW: {
+    maxOrderNotional: 1000,
+    maxPositionNotional: 5000,
+    maxPositionQuantity: null,
+    maxDailyLoss: 100,
+    maxDailyTrades: 10,
+    maxOpenOrders: 10,
+    maxLeverage: 2
+  },
+  MEDIUM: {
+    maxOrderNotional: 10000,
+    maxPositionNotional: 25000,
+    maxPositionQuantity: null,
+    maxDailyLoss: 500,
+    maxDailyTrades: 50,
+    maxOpenOrders: 25,
+    maxLeverage: 5
+  },
+  HIGH: {
+    maxOrderNotional: 50000,
+    maxPositionNotional: 100000,
+    maxPositionQuantity: null,
+    maxDailyLoss: 2500,
+    maxDailyTrades: 200,
+    maxOpenOrders: 50,
+    maxLeverage: 20
+  }
+};
+
+/**
+ * Thrown when an order fails one or more checks; `violations` is safe to show in the order ticket:
+ * [{ code, scope: 'user' | 'account', message, limit, actual }]
+ */
+export class RiskCheckError extends Error {
+  constructor(violations) {
+    super(`Risk check failed: ${violations.map(v => v.message).join('; ')}`);
+    this.name = 'RiskCheckError';
+    this.violations = violations;
+  }
+}
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+function startOfUtcDay(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+function formatAmount(value) {
+  return Number(value).toLocaleString('en-US', { maximumFractionDigits: 8 });
+}
+
+export class PreTradeRiskEngine {
+  /**
+   * @param {object} manager - UnifiedTradingManager (getCurrentPrice)
+   */
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  /**
+   * ===== LIMITS =====
+   */
+
+  /**
+   * Resolved limits: `user` applies across every account, `account` only to this one (null without a row)
+   */
+  async getEffectiveLimits(userId, accountId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { riskTolerance: true }
+    });
+    const rows = await prisma.riskLimit.findMany({
+      where: { userId, OR: [{ tradingAccountId: null }, { tradingAccountId: accountId }] }
+    });
+
+    const userRow = rows.find(row => row.tradingAccountId === null);
+    const accountRow = accountId ? rows.find(row => row.tradingAccountId === accountId) : null;
+    const preset = RISK_PRESETS[user?.riskTolerance] || RISK_PRESETS.MEDIUM;
+
+    return {
+      riskTolerance: user?.riskTolerance || 'MEDIUM',
+      user: mergeLimits(preset, userRow),
+      account: accountRow ? mergeLimits({}, accountRow) : null
+    };
+  }
+
+  async getUserLimits(userId) {
+    return await prisma.riskLimit.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Create or replace the user-wide (accountId null) or per-account limits.
+   * Omitted or null fields inherit from the preset.
+   */
+  async setLimits(userId, accountId, limits = {}) {
+    if (accountId) {
+      const account = await prisma.tradingAccount.findUnique({ where: { id: accountId } });
+      if (!account || account.userId !== userId) {
+        throw new Error('Unauthorized account access');
+      }
+    }
+
+    const data = {};
+    for (const field of LIMIT_FIELDS) {
+      const value = toNumber(limits[field]);
+      if (value !== null && !(value > 0)) {
+        throw new Error(`Invalid risk limit: ${field} must be a positive number`);
+      }
+      if (value !== null && INTEGER_LIMITS.includes(field) && !Number.isInteger(value)) {
+        throw new Error(`Invalid risk limit: ${field} must be a whole number`);
+      }
+      data[field] = value;
+    }
+
+    const existing = await prisma.riskLimit.findFirst({
+      where: { userId, tradingAccountId: accountId || null }
+    });
+
+    const saved = existing
+      ? await prisma.riskLimit.update({ where: { id: existing.id }, data })
+      : await prisma.riskLimit.create({ data: { ...data, userId, tradingAccountId: accountId || null } });
+
+    console.log(`🛡️ Risk limits updated for ${accountId ? `account ${accountId}` : `user ${userId}`}`);
+    return saved;
+  }
+
+  async removeLimits(userId, riskLimitId) {
+    const row = await prisma.riskLimit.findUnique({ where: { id: riskLimitId } });
+    if (!row || row.userId !== userId) {
+      throw new Error('Risk limit not found');
+    }
+    await prisma.riskLimit.delete({ where: { id: riskLimitId } });
+    return row;
+  }
+
+  /**
+   * ===== CHECKS =====
+   */
+
+  /**
+   * Throws RiskCheckError when the order breaches a limit; returns { price, notional, reducing }.
+   * `countsAsTrade: false` for algo slices, which are counted once at the parent.
+   * `algoParent: true` for a TWAP / VWAP / iceberg parent: it never rests on the exchange
+   * itself, so only its position and exposure are checked here and each slice is checked
+   * against the order limits as it is sent.
+   * `replacesOrderId` for an amend: the order being resized is left out of the open-order
+   * count and the working orders so it is not counted against itself.
+   */
+  async checkOrder(userId, account, orderData, options = {}) {
+    const result = await this.evaluateOrder(userId, account, orderData, options);
+    if (result.violations.length > 0) {
+      console.warn(`🛡️ Order rejected by risk checks: ${orderData.symbol} ${orderData.side} ${orderData.quantity}`, result.violations.map(v => v.code));
+      throw new RiskCheckError(result.violations);
+    }
+    return result;
+  }
+
+  /**
+   * Run every check without throwing -> { price, notional, reducing, violations }
+   */
+  async evaluateOrder(userId, account, orderData, { countsAsTrade = true, algoParent = false, flatten = false, replacesOrderId = null } = {}) {
+    const quantity = parseFloat(orderData.quantity);
+    const side = String(orderData.side).toUpperCase();
+    const violations = [];
+
+    // A kill switch flatten usually follows a breached loss or open-order limit; it is
+    // sized from the position it closes, so no limit may hold it back
+    if (flatten && orderData.reduceOnly) {
+      return { price: toNumber(orderData.price), notional: null, reducing: true, violations };
+    }
+    const accountPosition = await this.getPositionQuantity({ tradingAccountId: account.id }, orderData.symbol);
+
+    // Signed position: trading against it only takes risk off up to the part of it the
+    // account's other working orders on that side have not already claimed
+    const opposed = side === 'SELL' ? accountPosition : -accountPosition;
+    const reducing = opposed > 0 && quantity <= opposed &&
+      quantity <= opposed - await this.getWorkingQuantity(account.id, orderData.symbol, side, replacesOrderId);
+
+    let price = toNumber(orderData.price) ?? toNumber(orderData.stopPrice);
+    if (price === null && !reducing) {
+      try {
+        price = await this.manager.getCurrentPrice(orderData.symbol);
+      } catch (error) {
+        violations.push({
+          code: 'PRICE_UNAVAILABLE',
+          scope: 'account',
+          message: `No market price for ${orderData.symbol}; cannot size the order`,
+          limit: null,
+          actual: null
+        });
+        return { price: null, notional: null, reducing: false, violations };
+      }
+    }
+
+    const notional = price === null ? null : quantity * price;
+    const limits = await this.getEffectiveLimits(userId, account.id);
+    const accountLeverage = await this.getProjectedLeverage(account, notional);
+    const requestedLeverage = toNumber(orderData.leverage);
+    const leverage = accountLeverage === null
+      ? requestedLeverage
+      : Math.max(accountLeverage, requestedLeverage ?? 0);
+
+    const scopes = [
+      { name: 'user', limits: limits.user, where: { userId } },
+      ...(limits.account
+        ? [{ name: 'account', limits: limits.account, where: { tradingAccountId: account.id } }]
+        : [])
+    ];
+
+    for (const scope of scopes) {
+      const checks = await this.evaluateScope(scope, {
+        symbol: orderData.symbol,
+        side,
+        quantity,
+        price,
+        notional,
+        leverage,
+        countsAsTrade,
+        algoParent,
+        reducing,
+        replacesOrderId,
+        position: scope.name === 'account'
+          ? accountPosition
+          : await this.getPositionQuantity({ userId }, orderData.symbol)
+      });
+      violations.push(...checks);
+    }
+
+    return { price, notional, reducing, violations };
+  }
+
+  async evaluateScope({ name, limits, where }, order) {
+    const violations = [];
+    const breach = (code, message, limit, actual) => violations.push({ code, scope: name, message, limit, actual });
+    const label = name === 'user' ? '' : ' for this account';
+
+    if (limits.maxOpenOrders !== null && !order.algoParent) {
+      const openOrders = await prisma.order.count({
+        where: {
+          ...where,
+          status: { in: OPEN_ORDER_STATUSES },
+          type: { not: 'OCO' },
+          ...(order.replacesOrderId && { id: { not: order.replacesOrderId } })
+        }
+      });
+      if (openOrders >= limits.maxOpenOrders) {
+        breach('MAX_OPEN_ORDERS',
+          `${openOrders} orders already open; the limit${label} is ${limits.maxOpenOrders}`,
+          limits.maxOpenOrders, openOrders);
+      }
+    }
+
+    // Exits only take risk off; resting orders are the one limit they still count against
+    if (order.reducing) {
+      return violations;
+    }
+
+    if (limits.maxOrderNotional !== null && !order.algoParent && order.notional > limits.maxOrderNotional) {
+      breach('MAX_ORDER_NOTIONAL',
+        `Order value ${formatAmount(order.notional)} exceeds the ${formatAmount(limits.maxOrderNotional)} limit${label}`,
+        limits.maxOrderNotional, order.notional);
+    }
+
+    const projected = Math.abs(order.position + (order.side === 'BUY' ? order.quantity : -order.quantity));
+    if (limits.maxPositionQuantity !== null && projected > limits.maxPositionQuantity) {
+      breach('MAX_POSITION_QUANTITY',
+        `${order.symbol} position would be ${formatAmount(projected)}, above the ${formatAmount(limits.maxPositionQuantity)} limit${label}`,
+        limits.maxPositionQuantity, projected);
+    }
+    if (limits.maxPositionNotional !== null && projected * order.price > limits.maxPositionNotional) {
+      breach('MAX_POSITION_NOTIONAL',
+        `${order.symbol} position value would be ${formatAmount(projected * order.price)}, above the ${formatAmount(limits.maxPositionNotional)} limit${label}`,
+        limits.maxPositionNotional, projected * order.price);
+    }
+
+    if (limits.maxLeverage !== null && order.leverage !== null && order.leverage > limits.maxLeverage) {
+      breach('MAX_LEVERAGE',
+        `Leverage ${formatAmount(Math.round(order.leverage * 100) / 100)}x exceeds the ${limits.maxLeverage}x limit${label}`,
+        limits.maxLeverage, order.leverage);
+    }
+
+    if (limits.maxDailyLoss !== null) {
+      const realized = await this.getDailyRealizedPnL(where);
+      if (realized <= -limits.maxDailyLoss) {
+        breach('DAILY_LOSS_LIMIT',
+          `Daily realized loss ${formatAmount(-realized)} has reached the ${formatAmount(limits.maxDailyLoss)} limit${label}; new exposure is blocked until 00:00 UTC`,
+          limits.maxDailyLoss, -realized);
+      }
+    }
+
+    if (limits.maxDailyTrades !== null && order.countsAsTrade) {
+      const trades = await this.getDailyTradeCount(where);
+      if (trades >= limits.maxDailyTrades) {
+        breach('MAX_DAILY_TRADES',
+          `${trades} trades placed today; the limit${label} is ${limits.maxDailyTrades}`,
+          limits.maxDailyTrades, trades);
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Leverage changes made outside an order (UnifiedTradingManager.setLeverage)
+   */
+  async checkLeverage(userId, accountId, leverage) {
+    const limits = await this.getEffectiveLimits(userId, accountId);
+    const violations = [];
+
+    for (const [name, scopeLimits] of [['user', limits.user], ['account', limits.account]]) {
+      if (scopeLimits?.maxLeverage != null && leverage > scopeLimits.maxLeverage) {
+        violations.push({
+          code: 'MAX_LEVERAGE',
+          scope: name,
+          message: `Leverage ${leverage}x exceeds the ${scopeLimits.maxLeverage}x limit${name === 'user' ? '' : ' for this account'}`,
+          limit: scopeLimits.maxLeverage,
+          actual: leverage
+        });
+      }
+    }
+
+    if (violations.length > 0) {
+      throw new RiskCheckError(violations);
+    }
+  }
+
+  /**
+   * ===== USAGE =====
+   */
+
+  /**
+   * Net position: long quantity positive, short (SELL-side) quantity negative
+   */
+  async getPositionQuantity(where, symbol) {
+    const positions = await prisma.position.findMany({
+      where: { symbol, ...(where.userId ? { portfolio: { userId: where.userId } } : where) },
+      select: { side: true, quantity: true }
+    });
+    return positions.reduce((sum, position) => {
+      const quantity = parseFloat(position.quantity);
+      return sum + (position.side === 'SELL' ? -quantity : quantity);
+    }, 0);
+  }
+
+  /**
+   * Unfilled quantity of the account's open orders on one side of a symbol. Legs of one
+   * OCO pair or bracket can only fill one at a time, so each group counts its largest leg.
+   */
+  async getWorkingQuantity(accountId, symbol, side, excludeOrderId = null) {
+    const orders = await prisma.order.findMany({
+      where: {
+        tradingAccountId: accountId,
+        symbol,
+        side,
+        status: { in: OPEN_ORDER_STATUSES },
+        type: { not: 'OCO' },
+        ...(excludeOrderId && { id: { not: excludeOrderId } })
+      },
+      select: { id: true, parentOrderId: true, quantity: true, filledQuantity: true }
+    });
+
+    const groups = new Map();
+    for (const order of orders) {
+      const key = order.parentOrderId || order.id;
+      const remaining = parseFloat(order.quantity) - parseFloat(order.filledQuantity || 0);
+      groups.set(key, Math.max(groups.get(key) || 0, remaining));
+    }
+    return [...groups.values()].reduce((sum, remaining) => sum + remaining, 0);
+  }
+
+  /**
+   * Gross exposure of the account's open positions plus this order, over its equity.
+   * Null when the account has no equity on record to measure against.
+   */
+  async getProjectedLeverage(account, notional) {
+    const equity = toNumber(account.equity) || toNumber(account.balance);
+    if (!(equity > 0) || notional === null) return null;
+
+    const positions = await prisma.position.findMany({
+      where: { tradingAccountId: account.id, closedAt: null },
+      select: { quantity: true, currentPrice: true }
+    });
+    const exposure = positions.reduce(
+      (sum, position) => sum + Math.abs(parseFloat(position.quantity)) * parseFloat(position.currentPrice || 0),
+      0
+    );
+    return (exposure + notional) / equity;
+  }
+
+  async getDailyRealizedPnL(where) {
+    const result = await prisma.orderFill.aggregate({
+      where: {
+        timestamp: { gte: startOfUtcDay() },
+        realizedPnL: { not: null },
+        order: where
+      },
+      _sum: { realizedPnL: true }
+    });
+    return parseFloat(result._sum.realizedPnL || 0);
+  }
+
+  /**
+   * Orders the user placed today. Bracket / OCO legs and algo slices belong to a parent,
+   * so each algo order counts once and its children not at all.
+   */
+  async getDailyTradeCount(where) {
+    const since = startOfUtcDay();
+    const [orders, algoOrders] = await Promise.all([
+      prisma.order.count({
+        where: {
+          ...where,
+          createdAt: { gte: since },
+          status: { not: 'REJECTED' },
+          parentOrderId: null,
+          algoOrderId: null
+        }
+      }),
+      prisma.algoOrder.count({
+        where: { ...where, createdAt: { gte: since } }
+      })
+    ]);
+    return orders + algoOrders;
+  }
+
+  /**
+   * Limits and today's usage for an account, for the risk settings panel
+   */
+  async getRiskStatus(userId, accountId) {
+    const limits = await this.getEffectiveLimits(userId, accountId);
+    const usage = async (where) => ({
+      dailyRealizedPnL: await this.getDailyRealizedPnL(where),
+      dailyTrades: await this.getDailyTradeCount(where),
+      openOrders: await prisma.order.count({
+        where: { ...where, status: { in: OPEN_ORDER_STATUSES }, type: { not: 'OCO' } }
+      })
+    });
+
+    return {
+      ...limits,
+      usage: {
+        user: await usage({ userId }),
+        account: accountId ? await usage({ tradingAccountId: accountId }) : null
+      }
+    };
+  }
+}
+
+/**
+ * Overlay a RiskLimit row's non-null fields on a base set of limits
+ */
+function mergeLimits(base, row) {
+  const merged = {};
+  for (const field of LIMIT_FIELDS) {
+    const value = row ? toNumber(row[field]) : null;
+    merged[field] = value ?? base[field] ?? null;
+  }
+  return merged;
+}
+
+export default PreTradeRiskEngine;
@@ -22,15 +22,18 @@ export class RateLimiter {
     this.exchangeLimits = {
       binance: {
         orders: 10,      // 10 orders per second
+        ordersWindowMs: 1000,
         weight: 1200,    // 1200 weight per minute
         raw: 6000        // 6000 raw requests per 5 minutes
       },
       bybit: {
         orders: 20,      // 20 orders per second
+        ordersWindowMs: 1000,
         queries: 120     // 120 queries per minute
       },
       tradovate: {
         orders: 500,     // 500 orders per day
+        ordersWindowMs: 86400000,
         queries: 1000    // 1000 queries per day
       }
     };
@@ -41,7 +44,7 @@ export class RateLimiter {
   /**
    * ✅ SECURE: Check if request is allowed
    */
-  isAllowed(userId, endpoint, exchange = 'general') {
+  isAllowed(userId, endpoint, exchange = 'general', method = 'POST') {
     const now = Date.now();
     
     // Check if user is temporarily blocked
@@ -54,7 +57,7 @@ export class RateLimiter {
     }
 
     // Determine rate limit type
-    const limitType = this.getLimitType(endpoint);
+    const limitType = this.getLimitType(endpoint, method);
     const limit = this.limits[limitType];
     
     // Get user's request history for this endpoint
@@ -79,7 +82,7 @@ export class RateLimiter {
     }
     
     // Check exchange-specific limits
-    const exchangeCheck = this.checkExchangeLimit(userId, exchange, endpoint, now);
+    const exchangeCheck = this.checkExchangeLimit(userId, exchange, endpoint, now, method);
     if (!exchangeCheck.allowed) {
       return exchangeCheck;
     }
@@ -101,7 +104,7 @@ export class RateLimiter {
   /**
    * ✅ SECURE: Check exchange-specific rate limits
    */
-  checkExchangeLimit(userId, exchange, endpoint, now) {
+  checkExchangeLimit(userId, exchange, endpoint, now, method = 'POST') {
     if (!this.exchangeLimits[exchange]) {
       return { allowed: true };
     }
@@ -109,20 +112,21 @@ export class RateLimiter {
     const exchangeLimit = this.exchangeLimits[exchange];
     const key = `${userId}:${exchange}`;
     
-    // Check orders per second for trading endpoints
-    if (endpoint.includes('order') || endpoint.includes('trade')) {
+    // Check order rate (per second, or per day on Tradovate) for trading endpoints
+    if (this.isTradingRequest(endpoint, method)) {
       const orderKey = `${key}:orders`;
       const recentOrders = this.requests.get(orderKey) || [];
-      const ordersInLastSecond = recentOrders.filter(
-        time => now - time < 1000
-      ).length;
+      const orderWindow = exchangeLimit.ordersWindowMs || 1000;
+      const ordersInWindow = recentOrders.filter(
+        time => now - time < orderWindow
+      );
       
-      if (ordersInLastSecond >= exchangeLimit.orders) {
+      if (ordersInWindow.length >= exchangeLimit.orders) {
         return {
           allowed: false,
           reason: 'exchange_order_limit',
           exchange: exchange,
-          retryAfter: 1000
+          retryAfter: orderWindow - (now - ordersInWindow[0])
         };
       }
       
@@ -137,11 +141,11 @@ export class RateLimiter {
   /**
    * ✅ SECURE: Determine rate limit type based on endpoint
    */
-  getLimitType(endpoint) {
-    if (endpoint.includes('order') || endpoint.includes('trade')) {
+  getLimitType(endpoint, method = 'POST') {
+    if (this.isTradingRequest(endpoint, method)) {
       return 'trading';
     }
-    if (endpoint.includes('account') || endpoint.includes('balance')) {
+    if (endpoint.includes('account') || endpoint.includes('balance') || this.isOrderEndpoint(endpoint)) {
       return 'account';
     }
     if (endpoint.includes('ticker') || endpoint.includes('market') || endpoint.includes('kline')) {
@@ -153,6 +157,20 @@ export class RateLimiter {
     return 'global';
   }
 
+  /**
+   * Order / trade endpoints that change state. Reads of the same endpoints (order lists
+   * polled by the dashboard and chart) count against the account limit instead, so
+   * polling never uses up the budget for placing and cancelling orders.
+   */
+  isTradingRequest(endpoint, method = 'POST') {
+    const isRead = ['GET', 'HEAD'].includes(String(method).toUpperCase());
+    return !isRead && this.isOrderEndpoint(endpoint);
+  }
+
+  isOrderEndpoint(endpoint) {
+    return endpoint.includes('order') || endpoint.includes('trade');
+  }
+
   /**
    * ✅ SECURE: Check if user is temporarily blocked
    */
@@ -278,8 +296,12 @@ export class RateLimiter {
     // Clean up old requests
     for (const [key, requests] of this.requests.entries()) {
       if (Array.isArray(requests)) {
+        // Keep data for 2 windows, or a full day for daily exchange order caps
+        const retention = key.endsWith(':orders')
+          ? Math.max(this.windowMs * 2, ...Object.values(this.exchangeLimits).map(l => l.ordersWindowMs || 0))
+          : this.windowMs * 2;
         const validRequests = requests.filter(
-          time => now - time < this.windowMs * 2 // Keep data for 2 windows
+          time => now - time < retention
         );
         
         if (validRequests.length === 0) {
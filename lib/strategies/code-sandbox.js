@@ -0,0 +1,294 @@
+/**
+ * Code Sandbox
+ * Runs user-authored strategy JavaScript in its own V8 context: no require, process,
+ * timers, network or filesystem, and no eval / new Function / WebAssembly compilation.
+ * Nothing from the host realm is reachable from inside: input goes in and results come
+ * out as JSON strings, so user code never holds a host object (whose constructors would
+ * lead back out). Every call runs under a time limit.
+ *
+ * import() is refused when the code is compiled: its rejection is created by the host,
+ * and that error's constructor is a way out.
+ *
+ * A vm context is not a process boundary; memory is capped by running sandboxes inside
+ * worker threads started with SANDBOX_RESOURCE_LIMITS (see IsolatedStrategy and the
+ * backtest / optimizer workers).
+ */
+
+import vm from 'vm';
+import { types } from 'util';
+
+export const SANDBOX_LIMITS = {
+  maxCodeLength: 100000, // Characters of source
+  initTimeoutMs: 1000, // Running the top level of the code
+  callTimeoutMs: 100, // Each onBar / onTick / onFill call
+  maxIntents: 5, // Order intents per call
+  maxLogs: 10, // ctx.log lines per call
+  historyBars: 500 // Bars and indicator values kept for ctx.history / ctx.previous
+};
+
+// Worker resourceLimits for threads hosting sandboxes
+export const SANDBOX_RESOURCE_LIMITS = {
+  maxOldGenerationSizeMb: 64,
+  maxYoungGenerationSizeMb: 16,
+  codeRangeSizeMb: 16,
+  stackSizeMb: 4
+};
+
+export const CODE_HANDLERS = ['onInit', 'onBar', 'onTick', 'onFill'];
+
+/**
+ * ===== IN-SANDBOX RUNTIME =====
+ */
+
+/**
+ * Evaluated inside the sandbox (from its source text), before any user code: it captures
+ * the intrinsics it relies on so user code can't swap them, and builds the ctx API.
+ * Must not reference anything outside its own body.
+ */
+function sandboxPrelude(limits) {
+  const { stringify, parse } = JSON;
+  const freeze = Object.freeze;
+  const toNumber = (value) => (value === undefined || value === null ? null : Number(value));
+
+  let handlers = null;
+  let intents = [];
+  let logs = [];
+  let trading = false;
+  let current = { params: {}, position: null, indicators: {}, bars: [], values: {}, book: null };
+  const state = {};
+
+  const keep = (series, value) => {
+    series.push(value);
+    if (series.length > limits.historyBars) series.shift();
+  };
+
+  const order = (action) => (options = {}) => {
+    if (!trading) return;
+    if (intents.length >= limits.maxIntents) throw new Error(`At most ${limits.maxIntents} orders per call`);
+    intents.push({
+      action,
+      quantity: toNumber(options.quantity),
+      stopLoss: toNumber(options.stopLoss),
+      takeProfit: toNumber(options.takeProfit),
+      reason: options.reason === undefined ? null : String(options.reason).slice(0, 200)
+    });
+  };
+
+  const ctx = freeze({
+    get params() { return current.params; },
+    get position() { return current.position; },
+    get indicators() { return current.indicators; },
+    get isWarmingUp() { return !trading; },
+    // Order book summary (see order-book.js getSummary) as of the current bar, or null
+    get book() { return current.book; },
+    // { side, quantity on the level, cumulative from the best level } at a price, as getDepthAtPrice
+    depthAt: (price) => {
+      const book = current.book;
+      if (!book) return null;
+      const side = book.asks.length && price >= book.asks[0][0] ? 'ASK' : 'BID';
+      let quantity = 0;
+      let cumulative = 0;
+      for (const [level, size] of side === 'ASK' ? book.asks : book.bids) {
+        if (side === 'ASK' ? level > price : level < price) break;
+        cumulative += size;
+        if (level === price) quantity = size;
+      }
+      return { side, price, quantity, cumulative };
+    },
+    state,
+    // Last `count` bars, oldest first, the current bar last
+    history: (count = limits.historyBars) => current.bars.slice(-count),
+    // An indicator's value `barsAgo` bars back (0 is the current bar)
+    previous: (id, barsAgo = 1) => {
+      const series = current.values[id] || [];
+      const value = series[series.length - 1 - barsAgo];
+      return value === undefined ? null : value;
+    },
+    buy: order('ENTER_LONG'),
+    sell: order('ENTER_SHORT'),
+    exit: (reason) => order('EXIT')({ reason }),
+    log: (...args) => {
+      if (logs.length < limits.maxLogs) {
+        logs.push(args.map(arg => (typeof arg === 'string' ? arg : stringify(arg))).join(' ').slice(0, 500));
+      }
+    }
+  });
+
+  const fail = (error) => {
+    let message = 'error';
+    try {
+      message = String(error && error.message !== undefined ? error.message : error);
+    } catch (ignored) {
+      // Keep the generic message
+    }
+    return stringify({ error: message, logs });
+  };
+
+  return freeze({
+    // main: the compiled user code, returning its declarations
+    load(main) {
+      try {
+        handlers = main() || {};
+        return stringify({});
+      } catch (error) {
+        return fail(error);
+      }
+    },
+
+    // input: JSON { event, payload }; returns JSON { intents, logs, result } or { error }
+    dispatch(input) {
+      intents = [];
+      logs = [];
+      try {
+        const { event, payload } = parse(input);
+        let result = null;
+
+        if (event === 'describe') {
+          const declared = typeof handlers.indicators === 'function'
+            ? handlers.indicators(payload.params)
+            : handlers.indicators;
+          current.params = freeze(payload.params);
+          result = { indicators: declared || {}, warmUpBars: Number(handlers.warmUpBars) || 0 };
+        } else if (event === 'init') {
+          handlers.onInit?.(ctx);
+        } else if (event === 'bar') {
+          const bar = freeze(payload.bar);
+          keep(current.bars, bar);
+          for (const [id, value] of Object.entries(payload.indicators)) {
+            current.values[id] = current.values[id] || [];
+            keep(current.values[id], value);
+          }
+          current.indicators = freeze(payload.indicators);
+          current.position = payload.position && freeze(payload.position);
+          current.book = payload.book && freeze(payload.book);
+          trading = payload.trading;
+          handlers.onBar?.(bar, ctx);
+        } else if (event === 'tick') {
+          current.position = payload.position && freeze(payload.position);
+          trading = true;
+          handlers.onTick?.(freeze(payload.quote), ctx);
+        } else if (event === 'fill') {
+          current.position = payload.position && freeze(payload.position);
+          trading = true;
+          handlers.onFill?.(freeze(payload.fill), ctx);
+        }
+        return stringify({ intents, logs, result });
+      } catch (error) {
+        return fail(error);
+      } finally {
+        trading = false;
+      }
+    }
+  });
+}
+
+/**
+ * ===== HOST SIDE =====
+ */
+
+// The keyword anywhere, strings and comments included: import(), with comments or line
+// breaks before the parenthesis, can't slip past a word match
+const IMPORT_PATTERN = /\bimport\b/;
+
+// The user code becomes a function body returning its top-level declarations
+function functionBody(code) {
+  const pick = (name) => `${name}: typeof ${name} === 'undefined' ? undefined : ${name}`;
+  return `'use strict';\n${code}\n;return { ${['indicators', 'warmUpBars', ...CODE_HANDLERS].map(pick).join(', ')} };`;
+}
+
+/**
+ * Compile strategy code into a function of `context` (or just syntax-check it without
+ * one); nothing runs
+ * @throws {Error} 'Invalid strategy: ...'
+ */
+export function compileStrategyCode(code, context = undefined) {
+  if (typeof code !== 'string' || code.trim() === '') {
+    throw new Error('Invalid strategy: config needs code');
+  }
+  if (code.length > SANDBOX_LIMITS.maxCodeLength) {
+    throw new Error(`Invalid strategy: code is longer than ${SANDBOX_LIMITS.maxCodeLength} characters`);
+  }
+  if (IMPORT_PATTERN.test(code)) {
+    throw new Error('Invalid strategy: code can\'t use import, modules are not available in the sandbox');
+  }
+  try {
+    return vm.compileFunction(functionBody(code), [], { filename: 'strategy.js', parsingContext: context });
+  } catch (error) {
+    throw new Error(`Invalid strategy: ${error.message}`);
+  }
+}
+
+export class CodeSandbox {
+  /**
+   * @param {string} code - user strategy source
+   * @param {object} options - { limits } overriding SANDBOX_LIMITS
+   */
+  constructor(code, { limits = {} } = {}) {
+    this.limits = { ...SANDBOX_LIMITS, ...limits };
+    this.context = vm.createContext(Object.create(null), {
+      name: 'strategy sandbox',
+      codeGeneration: { strings: false, wasm: false },
+      // Promise callbacks run inside the timed call, not after it returns
+      microtaskMode: 'afterEvaluate'
+    });
+
+    const preludeLimits = JSON.stringify({ historyBars: this.limits.historyBars, maxIntents: this.limits.maxIntents, maxLogs: this.limits.maxLogs });
+    new vm.Script(`const __sandbox = (${sandboxPrelude.toString()})(${preludeLimits});`)
+      .runInContext(this.context);
+    this.dispatchScript = new vm.Script('__sandbox.dispatch(__input)');
+
+    // Compiled inside the context, so the code is a function of the sandbox realm
+    this.context.__main = compileStrategyCode(code, this.context);
+    const output = this.run(
+      () => new vm.Script('__sandbox.load(__main)').runInContext(this.context, { timeout: this.limits.initTimeoutMs }),
+      'loading'
+    );
+    delete this.context.__main;
+    this.parse(output, 'loading');
+  }
+
+  /**
+   * Deliver an event; returns { intents, logs, result }
+   * @throws {Error} 'Strategy code ...' on an exception or timeout inside the code
+   */
+  dispatch(event, payload = {}) {
+    this.context.__input = JSON.stringify({ event, payload });
+    const output = this.run(
+      () => this.dispatchScript.runInContext(this.context, { timeout: this.limits.callTimeoutMs }),
+      event
+    );
+
+    return this.parse(output, event);
+  }
+
+  parse(output, stage) {
+    // Only a string can come back from the prelude; anything else means it was tampered with
+    if (typeof output !== 'string') {
+      throw new Error(`Strategy code returned an invalid result from ${stage}`);
+    }
+    const response = JSON.parse(output);
+    if (response.error !== undefined) {
+      const error = new Error(`Strategy code failed in ${stage}: ${response.error}`);
+      error.logs = response.logs;
+      throw error;
+    }
+    return response;
+  }
+
+  run(call, stage) {
+    try {
+      return call();
+    } catch (error) {
+      // Whatever escaped may be a user object: reading it normally could run its getters or
+      // proxy traps outside the time limit, so only an own data property is looked at
+      const isTimeout = !types.isProxy(error) && types.isNativeError(error) &&
+        Object.getOwnPropertyDescriptor(error, 'code')?.value === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+      if (isTimeout) {
+        throw new Error(`Strategy code timed out in ${stage}`);
+      }
+      throw new Error(`Strategy code failed in ${stage}`);
+    }
+  }
+}
+
+export default CodeSandbox;
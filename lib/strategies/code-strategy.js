@@ -0,0 +1,175 @@
+/**
+ * Code Strategy
+ * CUSTOM strategies: user-authored JavaScript run in a CodeSandbox. The code declares
+ * the indicators it wants (computed here, from the shared indicator library) and
+ * handlers that place order intents through ctx:
+ *
+ *   const indicators = (params) => ({ fast: { type: 'EMA', params: { period: params.fast } } });
+ *   function onBar(bar, ctx) {
+ *     if (!ctx.position && bar.close > ctx.indicators.fast) ctx.buy({ stopLoss: bar.close - 10 });
+ *   }
+ *
+ * Handlers: onInit(ctx), onBar(bar, ctx) on each closed candle, onTick(quote, ctx) on
+ * in-progress candle updates, onFill(fill, ctx) when the position opens or closes.
+ * ctx: params, position, indicators, state, isWarmingUp, history(n), previous(id, n),
+ * book and depthAt(price) (live order book, with config.orderBook; null in backtests),
+ * buy / sell({ quantity, stopLoss, takeProfit, reason }), exit(reason), log(...).
+ *
+ * Runs synchronously on the calling thread, like every strategy; the runtime hosts it in
+ * an IsolatedStrategy worker and backtests of it run in a worker too, for memory limits.
+ */
+
+import { EventEmitter } from 'events';
+import { createIndicator } from '../indicators/indicators.js';
+import { CodeSandbox, compileStrategyCode } from './code-sandbox.js';
+
+const MAX_LOG_LINES = 50;
+const SIGNAL_ACTIONS = ['ENTER_LONG', 'ENTER_SHORT', 'EXIT'];
+
+const toBar = ({ timestamp, open, high, low, close, volume }) => ({ timestamp, open, high, low, close, volume });
+
+export class CodeStrategy extends EventEmitter {
+  /**
+   * Syntax and size check for saving; the code is not run
+   */
+  static validate(config) {
+    compileStrategyCode(config.code);
+    if (config.params !== undefined && (typeof config.params !== 'object' || Array.isArray(config.params))) {
+      throw new Error('Invalid strategy: params must be an object');
+    }
+  }
+
+  /**
+   * @param {object} config - { symbol, timeframe, code, params, quantity, riskSettings }
+   */
+  constructor(config) {
+    super();
+    CodeStrategy.validate(config);
+    this.config = { params: {}, ...config };
+    this.logs = []; // Latest ctx.log lines, newest last
+    this.sandbox = new CodeSandbox(this.config.code);
+
+    const { result } = this.dispatch('describe', { params: this.config.params });
+    this.extraWarmUpBars = Math.max(0, Math.floor(result.warmUpBars));
+    this.indicators = Object.entries(result.indicators).map(([id, spec]) => {
+      try {
+        return { id, indicator: createIndicator(spec?.type, spec?.params) };
+      } catch (error) {
+        throw new Error(`Invalid strategy: indicator ${id}: ${error.message}`);
+      }
+    });
+
+    this.position = null;
+    this.isActive = false;
+    this.dispatch('init');
+  }
+
+  getWarmUpBars() {
+    return Math.max(0, ...this.indicators.map(({ indicator }) => indicator.warmUpBars)) + this.extraWarmUpBars;
+  }
+
+  // onBar runs over history with ctx.isWarmingUp set; its orders are ignored
+  warmUp(candles) {
+    candles.forEach(candle => this.deliverBar(candle, false));
+  }
+
+  onTick(data) {
+    if (!this.isActive) return;
+    this.deliverBar(data.candle || data, true, data.book);
+  }
+
+  // In-progress candle update from the live feed
+  onQuote(candle) {
+    if (!this.isActive) return;
+    this.emitIntents(this.dispatch('tick', { quote: toBar(candle), position: this.position }));
+  }
+
+  deliverBar(candle, trading, book = null) {
+    const values = {};
+    for (const { id, indicator } of this.indicators) {
+      values[id] = indicator.update(candle);
+    }
+
+    const response = this.dispatch('bar', {
+      bar: toBar(candle),
+      indicators: values,
+      position: this.position,
+      book,
+      trading
+    });
+    if (trading) this.emitIntents(response);
+  }
+
+  dispatch(event, payload) {
+    try {
+      const response = this.sandbox.dispatch(event, payload);
+      this.recordLogs(response.logs);
+      return response;
+    } catch (error) {
+      this.recordLogs(error.logs);
+      throw error;
+    }
+  }
+
+  recordLogs(lines = []) {
+    for (const line of lines) {
+      this.logs.push(line);
+      this.emit('log', line);
+    }
+    if (this.logs.length > MAX_LOG_LINES) this.logs.splice(0, this.logs.length - MAX_LOG_LINES);
+  }
+
+  // Order intents -> the signals every strategy emits
+  emitIntents({ intents = [] }) {
+    for (const intent of intents) {
+      if (!SIGNAL_ACTIONS.includes(intent.action)) continue;
+
+      const finite = (value) => (Number.isFinite(value) ? value : null);
+      this.emit('signal', intent.action === 'EXIT'
+        ? { action: 'EXIT', reason: intent.reason }
+        : {
+            action: intent.action,
+            quantity: intent.quantity > 0 ? intent.quantity : undefined,
+            stopLoss: finite(intent.stopLoss),
+            takeProfit: finite(intent.takeProfit),
+            reason: intent.reason
+          });
+    }
+  }
+
+  // Position as tracked by the runtime (null when flat); changes reach the code as fills
+  setPosition(position) {
+    const previous = this.position;
+    this.position = position
+      ? { side: position.side, quantity: position.quantity, avgPrice: position.avgPrice, openedAt: position.openedAt ?? null }
+      : null;
+
+    const opened = !previous && this.position;
+    const closed = previous && !this.position;
+    if (!this.isActive || (!opened && !closed)) return;
+
+    const fill = opened
+      ? { type: 'OPEN', side: this.position.side, quantity: this.position.quantity, price: this.position.avgPrice }
+      : { type: 'CLOSE', side: previous.side, quantity: previous.quantity };
+    this.emitIntents(this.dispatch('fill', { fill, position: this.position }));
+  }
+
+  start() {
+    this.isActive = true;
+  }
+
+  stop() {
+    this.isActive = false;
+  }
+
+  getStatus() {
+    return {
+      isActive: this.isActive,
+      positionsCount: this.position ? 1 : 0,
+      logs: this.logs.slice(),
+      config: this.config
+    };
+  }
+}
+
+export default CodeStrategy;
@@ -0,0 +1,341 @@
+/**
+ * ICT Concepts
+ * Detectors for Inner Circle Trader price-action concepts over OHLC candles (oldest
+ * first): swing points, market structure (break of structure / change of character),
+ * order blocks, fair value gaps, buy-side / sell-side liquidity sweeps, premium / discount
+ * dealing ranges and session kill zones. Every detected item records the bar index at
+ * which it became known, so strategies can use it without look-ahead. No server-only
+ * imports: the chart draws the same analysis the strategy trades on.
+ */
+
+export const DEFAULT_TIMEZONE = 'America/New_York';
+
+// Session windows in the configured timezone's wall-clock time (ICT's New York defaults)
+export const KILL_ZONES = {
+  ASIA: { start: '20:00', end: '00:00' },
+  LONDON: { start: '02:00', end: '05:00' },
+  NEW_YORK_AM: { start: '07:00', end: '10:00' },
+  LONDON_CLOSE: { start: '10:00', end: '12:00' },
+  NEW_YORK_PM: { start: '13:30', end: '16:00' }
+};
+export const DEFAULT_KILL_ZONES = ['LONDON', 'NEW_YORK_AM'];
+
+const DEFAULT_SWING_STRENGTH = 2;
+const ORDER_BLOCK_SEARCH_BARS = 10;
+
+/**
+ * ===== SWINGS & STRUCTURE =====
+ */
+
+/**
+ * Fractal swing points: a high (low) above (below) the `strength` bars either side.
+ * Each is confirmed `strength` bars later, at confirmedIndex.
+ */
+export function findSwings(candles, { strength = DEFAULT_SWING_STRENGTH } = {}) {
+  const swings = [];
+
+  for (let index = strength; index < candles.length - strength; index++) {
+    const { high, low } = candles[index];
+    let isHigh = true;
+    let isLow = true;
+    for (let offset = 1; offset <= strength; offset++) {
+      const before = candles[index - offset];
+      const after = candles[index + offset];
+      if (before.high >= high || after.high > high) isHigh = false;
+      if (before.low <= low || after.low < low) isLow = false;
+    }
+
+    const base = { index, confirmedIndex: index + strength, timestamp: candles[index].timestamp };
+    if (isHigh) swings.push({ ...base, type: 'HIGH', price: high });
+    if (isLow) swings.push({ ...base, type: 'LOW', price: low });
+  }
+  return swings;
+}
+
+/**
+ * Closes beyond the latest confirmed swing. With the trend: break of structure (BOS);
+ * against it: change of character (CHOCH), the market structure shift ICT entries key off.
+ * @returns {{ events: Array, trend: 'bullish' | 'bearish' | null }}
+ */
+export function detectMarketStructure(candles, swings) {
+  const events = [];
+  let trend = null;
+  let swingHigh = null;
+  let swingLow = null;
+  let next = 0;
+  const ordered = swings.slice().sort((a, b) => a.confirmedIndex - b.confirmedIndex);
+
+  candles.forEach((candle, index) => {
+    while (next < ordered.length && ordered[next].confirmedIndex <= index) {
+      const swing = ordered[next++];
+      if (swing.type === 'HIGH') swingHigh = swing;
+      else swingLow = swing;
+    }
+
+    if (swingHigh && candle.close > swingHigh.price) {
+      events.push(structureEvent(trend === 'bearish' ? 'CHOCH' : 'BOS', 'bullish', swingHigh, candle, index));
+      trend = 'bullish';
+      swingHigh = null;
+    } else if (swingLow && candle.close < swingLow.price) {
+      events.push(structureEvent(trend === 'bullish' ? 'CHOCH' : 'BOS', 'bearish', swingLow, candle, index));
+      trend = 'bearish';
+      swingLow = null;
+    }
+  });
+
+  return { events, trend };
+}
+
+function structureEvent(type, direction, swing, candle, index) {
+  return {
+    type,
+    direction,
+    level: swing.price,
+    swingIndex: swing.index,
+    index,
+    confirmedIndex: index,
+    timestamp: candle.timestamp
+  };
+}
+
+/**
+ * ===== ORDER BLOCKS & GAPS =====
+ */
+
+/**
+ * The last opposing candle before the displacement that broke structure: the last
+ * down-close candle before a bullish break, the last up-close one before a bearish break.
+ * Mitigated once price trades back into it; invalidated by a close through the far side.
+ */
+export function detectOrderBlocks(candles, structureEvents) {
+  const blocks = [];
+
+  for (const event of structureEvents) {
+    const bullish = event.direction === 'bullish';
+    const floor = Math.max(0, event.swingIndex - ORDER_BLOCK_SEARCH_BARS);
+    let origin = -1;
+    for (let index = event.index - 1; index >= floor; index--) {
+      const candle = candles[index];
+      if (bullish ? candle.close < candle.open : candle.close > candle.open) {
+        origin = index;
+        break;
+      }
+    }
+    if (origin === -1 || blocks.some(block => block.index === origin)) continue;
+
+    const { high, low, timestamp } = candles[origin];
+    const block = {
+      type: bullish ? 'bullish' : 'bearish',
+      high,
+      low,
+      index: origin,
+      confirmedIndex: event.index,
+      timestamp,
+      structure: event.type,
+      mitigatedIndex: null,
+      invalidatedIndex: null
+    };
+
+    for (let index = event.index + 1; index < candles.length; index++) {
+      const candle = candles[index];
+      if (block.mitigatedIndex === null && (bullish ? candle.low <= high : candle.high >= low)) {
+        block.mitigatedIndex = index;
+      }
+      if (bullish ? candle.close < low : candle.close > high) {
+        block.invalidatedIndex = index;
+        break;
+      }
+    }
+    blocks.push(block);
+  }
+  return blocks;
+}
+
+/**
+ * Three-candle imbalances: candle 1's high below candle 3's low (bullish) or candle 1's
+ * low above candle 3's high (bearish). Filled once price trades through the whole gap.
+ */
+export function detectFairValueGaps(candles) {
+  const gaps = [];
+
+  for (let index = 2; index < candles.length; index++) {
+    const first = candles[index - 2];
+    const third = candles[index];
+    let gap = null;
+    if (first.high < third.low) {
+      gap = { type: 'bullish', high: third.low, low: first.high };
+    } else if (first.low > third.high) {
+      gap = { type: 'bearish', high: first.low, low: third.high };
+    }
+    if (!gap) continue;
+
+    gap = { ...gap, index: index - 1, confirmedIndex: index, timestamp: candles[index - 1].timestamp, filledIndex: null };
+    for (let later = index + 1; later < candles.length; later++) {
+      if (gap.type === 'bullish' ? candles[later].low <= gap.low : candles[later].high >= gap.high) {
+        gap.filledIndex = later;
+        break;
+      }
+    }
+    gaps.push(gap);
+  }
+  return gaps;
+}
+
+/**
+ * ===== LIQUIDITY =====
+ */
+
+/**
+ * Stops resting beyond a swing get taken and price closes back inside: a wick through a
+ * swing high that closes below it sweeps buy-side liquidity (bearish), and a wick through
+ * a swing low that closes above it sweeps sell-side liquidity (bullish). A close beyond
+ * the level is a real break, not a sweep, and retires the level.
+ */
+export function detectLiquiditySweeps(candles, swings) {
+  const sweeps = [];
+  const pending = [];
+  const ordered = swings.slice().sort((a, b) => a.confirmedIndex - b.confirmedIndex);
+  let next = 0;
+
+  candles.forEach((candle, index) => {
+    for (let position = pending.length - 1; position >= 0; position--) {
+      const swing = pending[position];
+      const buySide = swing.type === 'HIGH';
+      const pierced = buySide ? candle.high > swing.price : candle.low < swing.price;
+      if (!pierced) continue;
+
+      const rejected = buySide ? candle.close < swing.price : candle.close > swing.price;
+      if (rejected) {
+        sweeps.push({
+          side: buySide ? 'BUY_SIDE' : 'SELL_SIDE',
+          direction: buySide ? 'bearish' : 'bullish',
+          level: swing.price,
+          swingIndex: swing.index,
+          index,
+          confirmedIndex: index,
+          timestamp: candle.timestamp
+        });
+      }
+      pending.splice(position, 1);
+    }
+
+    // A swing only holds liquidity from the bar after it is confirmed
+    while (next < ordered.length && ordered[next].confirmedIndex <= index) {
+      pending.push(ordered[next++]);
+    }
+  });
+  return sweeps;
+}
+
+/**
+ * Range between the latest confirmed swing high and low as of `index`; above the
+ * midpoint (equilibrium) is premium, below it discount
+ */
+export function getDealingRange(candles, swings, index = candles.length - 1) {
+  const known = swings.filter(swing => swing.confirmedIndex <= index);
+  const high = known.filter(swing => swing.type === 'HIGH').pop();
+  const low = known.filter(swing => swing.type === 'LOW').pop();
+  if (!high || !low || high.price <= low.price) return null;
+
+  const equilibrium = (high.price + low.price) / 2;
+  const close = candles[index].close;
+  return {
+    high: high.price,
+    low: low.price,
+    highIndex: high.index,
+    lowIndex: low.index,
+    equilibrium,
+    zone: close > equilibrium ? 'PREMIUM' : close < equilibrium ? 'DISCOUNT' : 'EQUILIBRIUM'
+  };
+}
+
+/**
+ * ===== KILL ZONES =====
+ */
+
+const clockFormats = new Map(); // timezone -> Intl.DateTimeFormat
+
+function getMinuteOfDay(timestamp, timezone) {
+  if (!clockFormats.has(timezone)) {
+    clockFormats.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  const parts = clockFormats.get(timezone).formatToParts(new Date(timestamp));
+  const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+  return value('hour') * 60 + value('minute');
+}
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Kill zone definitions from config: names from KILL_ZONES, or { NAME: { start, end } }
+ */
+export function resolveKillZones(killZones = DEFAULT_KILL_ZONES) {
+  const entries = Array.isArray(killZones)
+    ? killZones.map(name => [name, KILL_ZONES[name]])
+    : Object.entries(killZones);
+
+  return entries.map(([name, window]) => {
+    if (!window || !/^\d{1,2}:\d{2}$/.test(window.start) || !/^\d{1,2}:\d{2}$/.test(window.end)) {
+      throw new Error(`Invalid kill zone: ${name}`);
+    }
+    return { name, start: toMinutes(window.start), end: toMinutes(window.end) };
+  });
+}
+
+/**
+ * Name of the kill zone a timestamp falls in, or null. Windows ending at or before their
+ * start run past midnight.
+ */
+export function getKillZone(timestamp, { timezone = DEFAULT_TIMEZONE, killZones = DEFAULT_KILL_ZONES } = {}) {
+  const minute = getMinuteOfDay(timestamp, timezone);
+  const zone = resolveKillZones(killZones).find(({ start, end }) => (
+    end > start ? minute >= start && minute < end : minute >= start || minute < end
+  ));
+  return zone ? zone.name : null;
+}
+
+/**
+ * ===== FULL ANALYSIS =====
+ */
+
+/**
+ * Everything above for a candle series, plus kill zone sessions as runs of bars
+ * ([{ name, startIndex, endIndex }]) for drawing
+ */
+export function analyzeICT(candles, {
+  swingStrength = DEFAULT_SWING_STRENGTH,
+  timezone = DEFAULT_TIMEZONE,
+  killZones = DEFAULT_KILL_ZONES
+} = {}) {
+  const swings = findSwings(candles, { strength: swingStrength });
+  const structure = detectMarketStructure(candles, swings);
+
+  const sessions = [];
+  candles.forEach((candle, index) => {
+    const name = getKillZone(candle.timestamp, { timezone, killZones });
+    const current = sessions[sessions.length - 1];
+    if (name && current?.name === name && current.endIndex === index - 1) {
+      current.endIndex = index;
+    } else if (name) {
+      sessions.push({ name, startIndex: index, endIndex: index });
+    }
+  });
+
+  return {
+    swings,
+    structure,
+    orderBlocks: detectOrderBlocks(candles, structure.events),
+    fairValueGaps: detectFairValueGaps(candles),
+    sweeps: detectLiquiditySweeps(candles, swings),
+    dealingRange: candles.length ? getDealingRange(candles, swings) : null,
+    killZones: sessions
+  };
+}
@@ -1,20 +1,113 @@
 // ICT (Inner Circle Trader) Strategy Implementation
-export class ICTStrategy {
+// Emits 'signal' events ({ action: 'ENTER_LONG' | 'ENTER_SHORT' | 'EXIT', ... }); the
+// strategy runtime turns them into orders and reports the resulting position back.
+import { EventEmitter } from 'events';
+import {
+  DEFAULT_TIMEZONE,
+  DEFAULT_KILL_ZONES,
+  findSwings,
+  detectMarketStructure,
+  detectOrderBlocks,
+  detectLiquiditySweeps,
+  getDealingRange,
+  getKillZone
+} from './ict-concepts.js';
+import { EMA, RSI } from '../indicators/indicators.js';
+import { intervalToMs } from '../market-data/timeframes.js';
+
+const direction = (bullish) => (bullish ? 'bullish' : 'bearish');
+const isRecent = (item, context) => item.confirmedIndex >= context.index - context.lookbackBars;
+
+// Entry rules by name; config.entryRules lists the ones that must all hold for an entry.
+// Each gets the bar's context and whether the entry is long.
+export const ENTRY_RULES = {
+  // Close and fast EMA stacked on the trend side of the slow EMA
+  ema_trend: ({ close, emaFast, emaSlow }, bullish) => (
+    bullish ? close > emaFast && emaFast > emaSlow : close < emaFast && emaFast < emaSlow
+  ),
+  rsi_filter: ({ rsi }, bullish) => (bullish ? rsi < 70 : rsi > 30),
+  // Fair value gap formed by the last three candles
+  fvg: ({ fvg }, bullish) => fvg?.type === direction(bullish),
+  // Bar trading into an order block that still holds
+  order_block: (context, bullish) => context.analysis().orderBlocks.some(block => (
+    block.type === direction(bullish) &&
+    block.invalidatedIndex === null &&
+    (bullish
+      ? context.candle.low <= block.high && context.candle.close >= block.low
+      : context.candle.high >= block.low && context.candle.close <= block.high)
+  )),
+  // Sell-side liquidity taken before a long, buy-side before a short
+  liquidity_sweep: (context, bullish) => context.analysis().sweeps.some(sweep => (
+    sweep.direction === direction(bullish) && isRecent(sweep, context)
+  )),
+  // Recent change of character in the entry's direction
+  structure_shift: (context, bullish) => context.analysis().structure.events.some(event => (
+    event.type === 'CHOCH' && event.direction === direction(bullish) && isRecent(event, context)
+  )),
+  market_structure: (context, bullish) => context.analysis().structure.trend === direction(bullish),
+  // Buy in discount, sell in premium
+  premium_discount: (context, bullish) => (
+    context.analysis().dealingRange?.zone === (bullish ? 'DISCOUNT' : 'PREMIUM')
+  ),
+  kill_zone: ({ killZone }) => killZone !== null,
+  // Last closed higher-timeframe bar on the entry's side of its EMA
+  htf_trend: ({ higherTimeframe }, bullish) => higherTimeframe.close !== null && higherTimeframe.ema !== null && (
+    bullish ? higherTimeframe.close > higherTimeframe.ema : higherTimeframe.close < higherTimeframe.ema
+  )
+};
+
+export class ICTStrategy extends EventEmitter {
   constructor(config) {
+    super();
     this.config = {
       timeframes: ['5m', '15m'],
       instruments: ['ES', 'NQ'],
       riskPercent: 1.0,
       stopLossPoints: 20,
       takeProfitPoints: 40,
+      maxPositions: 1,
+      emaFastPeriod: 10,
+      emaSlowPeriod: 50,
+      rsiPeriod: 14,
+      entryRules: ['ema_trend', 'rsi_filter', 'fvg'],
+      swingStrength: 2,
+      lookbackBars: 20, // How recent a sweep or structure shift must be
+      htfEmaPeriod: 20, // EMA over the higher timeframe's closes, for htf_trend
+      timezone: DEFAULT_TIMEZONE,
+      killZones: DEFAULT_KILL_ZONES,
       ...config
     };
+
+    const unknownRule = this.config.entryRules.find(rule => !ENTRY_RULES[rule]);
+    if (unknownRule) {
+      throw new Error(`Invalid strategy: unknown entry rule ${unknownRule}`);
+    }
+    // htf_trend reads the first of the configured timeframes above the trading interval; the
+    // raw config is used, as that is what the feed delivering data.timeframes is built from
+    this.higherTimeframe = null;
+    if (this.config.entryRules.includes('htf_trend')) {
+      const timeframes = config.timeframes || [];
+      const interval = config.timeframe || timeframes[0] || '5m';
+      this.higherTimeframe = timeframes.find(timeframe => intervalToMs(timeframe) > intervalToMs(interval));
+      if (!this.higherTimeframe) {
+        throw new Error('Invalid strategy: htf_trend needs a timeframe above the trading interval in timeframes');
+      }
+      this.barsPerHigherBar = intervalToMs(this.higherTimeframe) / intervalToMs(interval);
+    }
+    // Surface a bad timezone or kill zone now rather than on every bar
+    try {
+      getKillZone(0, { timezone: this.config.timezone, killZones: this.config.killZones });
+    } catch (error) {
+      throw new Error(`Invalid strategy: ${error.message}`);
+    }
     
     this.indicators = {
-      ema_fast: new EMA(10),
-      ema_slow: new EMA(50),
-      rsi: new RSI(14)
+      ema_fast: new EMA({ period: this.config.emaFastPeriod }),
+      ema_slow: new EMA({ period: this.config.emaSlowPeriod }),
+      rsi: new RSI({ period: this.config.rsiPeriod })
     };
+    this.htfEma = new EMA({ period: this.config.htfEmaPeriod });
+    this.htfTimestamp = null; // Last higher-timeframe bar fed to htfEma
     
     this.positions = [];
     this.isActive = false;
@@ -49,21 +142,50 @@ export class ICTStrategy {
     return null;
   }
 
+  // Prime indicators from history without trading on it
+  warmUp(candles) {
+    candles.forEach(candle => this.updateIndicators(candle.close));
+  }
+
+  updateIndicators(close) {
+    Object.values(this.indicators).forEach(indicator => indicator.update(close));
+  }
+
+  // Bars of history needed before every indicator has a value; the higher-timeframe EMA
+  // needs its bars built from trading-interval ones (plus one for a bucket joined part-way)
+  getWarmUpBars() {
+    const warmUps = Object.values(this.indicators).map(indicator => indicator.warmUpBars);
+    if (this.higherTimeframe) {
+      warmUps.push((this.htfEma.warmUpBars + 1) * this.barsPerHigherBar);
+    }
+    return Math.max(...warmUps);
+  }
+
+  // Feed htfEma the higher-timeframe bars closed since the last tick
+  updateHigherTimeframe(timeframes) {
+    const candles = timeframes?.[this.higherTimeframe]?.candles || [];
+    for (const candle of candles) {
+      if (this.htfTimestamp !== null && candle.timestamp <= this.htfTimestamp) continue;
+      this.htfEma.update(candle.close);
+      this.htfTimestamp = candle.timestamp;
+    }
+  }
+
   // Main strategy logic
   onTick(data) {
     if (!this.isActive) return;
     
     // Update indicators
-    this.indicators.ema_fast.update(data.close);
-    this.indicators.ema_slow.update(data.close);
-    this.indicators.rsi.update(data.close);
+    this.updateIndicators(data.close);
+    if (this.higherTimeframe) this.updateHigherTimeframe(data.timeframes);
+    if (!Object.values(this.indicators).every(indicator => indicator.isReady)) return;
     
-    const fvg = this.detectFVG(data.candles);
+    const context = this.getEntryContext(data);
     
     // Entry conditions
-    if (this.shouldEnterLong(data, fvg)) {
+    if (this.shouldEnterLong(context)) {
       this.enterLong(data);
-    } else if (this.shouldEnterShort(data, fvg)) {
+    } else if (this.shouldEnterShort(context)) {
       this.enterShort(data);
     }
     
@@ -71,107 +193,106 @@ export class ICTStrategy {
     this.managePositions(data);
   }
 
-  shouldEnterLong(data, fvg) {
-    const emaFast = this.indicators.ema_fast.getValue();
-    const emaSlow = this.indicators.ema_slow.getValue();
-    const rsi = this.indicators.rsi.getValue();
-    
-    return (
-      data.close > emaFast &&
-      emaFast > emaSlow &&
-      fvg && fvg.type === 'bullish' &&
-      rsi < 70 &&
-      this.positions.length < this.config.maxPositions
-    );
+  // Inputs for the entry rules; the ICT analysis is only run if a rule asks for it
+  getEntryContext(data) {
+    const candles = data.candles;
+    let analysis = null;
+
+    return {
+      candle: candles[candles.length - 1],
+      index: candles.length - 1,
+      close: data.close,
+      emaFast: this.indicators.ema_fast.getValue(),
+      emaSlow: this.indicators.ema_slow.getValue(),
+      rsi: this.indicators.rsi.getValue(),
+      fvg: this.detectFVG(candles),
+      killZone: getKillZone(data.timestamp, { timezone: this.config.timezone, killZones: this.config.killZones }),
+      lookbackBars: this.config.lookbackBars,
+      higherTimeframe: this.higherTimeframe && {
+        close: data.timeframes?.[this.higherTimeframe]?.candles.at(-1)?.close ?? null,
+        ema: this.htfEma.getValue()
+      },
+      analysis: () => {
+        if (!analysis) {
+          const swings = findSwings(candles, { strength: this.config.swingStrength });
+          const structure = detectMarketStructure(candles, swings);
+          analysis = {
+            structure,
+            orderBlocks: detectOrderBlocks(candles, structure.events),
+            sweeps: detectLiquiditySweeps(candles, swings),
+            dealingRange: getDealingRange(candles, swings)
+          };
+        }
+        return analysis;
+      }
+    };
   }
 
-  shouldEnterShort(data, fvg) {
-    const emaFast = this.indicators.ema_fast.getValue();
-    const emaSlow = this.indicators.ema_slow.getValue();
-    const rsi = this.indicators.rsi.getValue();
-    
+  shouldEnterLong(context) {
     return (
-      data.close < emaFast &&
-      emaFast < emaSlow &&
-      fvg && fvg.type === 'bearish' &&
-      rsi > 30 &&
-      this.positions.length < this.config.maxPositions
+      this.positions.length < this.config.maxPositions &&
+      this.config.entryRules.every(rule => ENTRY_RULES[rule](context, true))
     );
   }
 
-  start() {
-    this.isActive = true;
+  shouldEnterShort(context) {
+    return (
+      this.positions.length < this.config.maxPositions &&
+      this.config.entryRules.every(rule => ENTRY_RULES[rule](context, false))
+    );
   }
 
-  stop() {
-    this.isActive = false;
+  enterLong(data) {
+    this.emit('signal', {
+      action: 'ENTER_LONG',
+      quantity: this.config.quantity,
+      stopLoss: data.close - this.config.stopLossPoints,
+      takeProfit: data.close + this.config.takeProfitPoints,
+      reason: 'Bullish FVG with EMA trend'
+    });
   }
 
-  getStatus() {
-    return {
-      isActive: this.isActive,
-      positionsCount: this.positions.length,
-      config: this.config
-    };
+  enterShort(data) {
+    this.emit('signal', {
+      action: 'ENTER_SHORT',
+      quantity: this.config.quantity,
+      stopLoss: data.close + this.config.stopLossPoints,
+      takeProfit: data.close - this.config.takeProfitPoints,
+      reason: 'Bearish FVG with EMA trend'
+    });
   }
-}
 
-// Simple EMA indicator
-class EMA {
-  constructor(period) {
-    this.period = period;
-    this.multiplier = 2 / (period + 1);
-    this.value = null;
-  }
+  // Bracket exits handle stop-loss / take-profit; close early when the trend flips
+  managePositions(data) {
+    const emaFast = this.indicators.ema_fast.getValue();
+    const emaSlow = this.indicators.ema_slow.getValue();
 
-  update(price) {
-    if (this.value === null) {
-      this.value = price;
-    } else {
-      this.value = (price * this.multiplier) + (this.value * (1 - this.multiplier));
+    for (const position of this.positions) {
+      const trendFlipped = position.side === 'LONG' ? emaFast < emaSlow : emaFast > emaSlow;
+      if (trendFlipped) {
+        this.emit('signal', { action: 'EXIT', reason: 'EMA trend reversed' });
+      }
     }
   }
 
-  getValue() {
-    return this.value;
+  // Position as tracked by the runtime (null when flat)
+  setPosition(position) {
+    this.positions = position ? [position] : [];
   }
-}
 
-// Simple RSI indicator
-class RSI {
-  constructor(period) {
-    this.period = period;
-    this.prices = [];
-    this.gains = [];
-    this.losses = [];
+  start() {
+    this.isActive = true;
   }
 
-  update(price) {
-    this.prices.push(price);
-    
-    if (this.prices.length > 1) {
-      const change = price - this.prices[this.prices.length - 2];
-      this.gains.push(change > 0 ? change : 0);
-      this.losses.push(change < 0 ? Math.abs(change) : 0);
-    }
-    
-    // Keep only the last 'period' values
-    if (this.prices.length > this.period + 1) {
-      this.prices.shift();
-      this.gains.shift();
-      this.losses.shift();
-    }
+  stop() {
+    this.isActive = false;
   }
 
-  getValue() {
-    if (this.gains.length < this.period) return 50;
-    
-    const avgGain = this.gains.reduce((a, b) => a + b) / this.period;
-    const avgLoss = this.losses.reduce((a, b) => a + b) / this.period;
-    
-    if (avgLoss === 0) return 100;
-    
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
+  getStatus() {
+    return {
+      isActive: this.isActive,
+      positionsCount: this.positions.length,
+      config: this.config
+    };
   }
 }
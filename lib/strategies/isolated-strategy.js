@@ -0,0 +1,119 @@
+/**
+ * Isolated Strategy
+ * Runs a strategy in its own worker thread with SANDBOX_RESOURCE_LIMITS, behind the
+ * usual strategy interface: calls are forwarded as messages and the worker's signals
+ * re-emitted. User code that runs away with memory takes down its worker, not the
+ * server. Anything that ends the worker early is emitted as 'failure'.
+ */
+
+import { EventEmitter } from 'events';
+import { Worker } from 'worker_threads';
+import { SANDBOX_RESOURCE_LIMITS } from './code-sandbox.js';
+
+export class IsolatedStrategy extends EventEmitter {
+  /**
+   * Start the worker and wait until the strategy is built (or failed to build)
+   */
+  static async create(type, config) {
+    const strategy = new IsolatedStrategy(type, config);
+    await strategy.ready;
+    return strategy;
+  }
+
+  constructor(type, config) {
+    super();
+    this.type = type;
+    this.warmUpBars = 0;
+    this.destroyed = false;
+    this.worker = new Worker(new URL('./strategy-worker.js', import.meta.url), {
+      workerData: { type, config },
+      resourceLimits: SANDBOX_RESOURCE_LIMITS
+    });
+
+    this.ready = new Promise((resolve, reject) => {
+      this.settleReady = { resolve, reject };
+    });
+    this.isReady = false;
+
+    this.worker.on('message', (message) => this.onMessage(message));
+    this.worker.on('error', (error) => this.fail(error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+      ? new Error('Strategy code ran out of memory')
+      : error));
+    this.worker.on('exit', (code) => {
+      if (!this.destroyed) this.fail(new Error(`Strategy worker exited with code ${code}`));
+    });
+  }
+
+  onMessage(message) {
+    switch (message.type) {
+      case 'ready':
+        this.warmUpBars = message.warmUpBars;
+        this.isReady = true;
+        this.settleReady.resolve();
+        break;
+      case 'signal':
+        this.emit('signal', message.signal);
+        break;
+      case 'log':
+        this.emit('log', message.line);
+        break;
+      case 'failure':
+        this.fail(new Error(message.message));
+        break;
+    }
+  }
+
+  // Before the strategy is built the failure rejects create(); afterwards it is emitted
+  fail(error) {
+    if (this.destroyed) return;
+    this.destroy();
+
+    if (!this.isReady) {
+      this.settleReady.reject(error);
+    } else {
+      this.emit('failure', error);
+    }
+  }
+
+  post(message) {
+    if (!this.destroyed) this.worker.postMessage(message);
+  }
+
+  getWarmUpBars() {
+    return this.warmUpBars;
+  }
+
+  warmUp(candles) {
+    this.post({ type: 'warmUp', candles });
+  }
+
+  // The worker keeps its own candle window and timeframe feed, so only the candle (and the
+  // order book summary, when there is one) crosses
+  onTick({ symbol, interval, candle, candles, timeframes, book = null, ...bar }) {
+    this.post({ type: 'candle', symbol, interval, candle: candle || bar, book });
+  }
+
+  onQuote(candle) {
+    this.post({ type: 'quote', candle });
+  }
+
+  setPosition(position) {
+    this.post({ type: 'position', position });
+  }
+
+  start() {
+    this.post({ type: 'start' });
+  }
+
+  stop() {
+    this.post({ type: 'stop' });
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.worker.terminate();
+  }
+}
+
+export default IsolatedStrategy;
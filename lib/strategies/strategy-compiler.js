@@ -0,0 +1,259 @@
+/**
+ * Strategy Compiler
+ * Turns a declarative strategy definition (see strategy-schema.js) into a runnable
+ * strategy: condition trees become predicates over the bar's indicator and price history,
+ * and DeclarativeStrategy drives them with the same interface the hand-written
+ * strategies have, so the runtime and the backtester run both alike.
+ */
+
+import { EventEmitter } from 'events';
+import { createIndicator, INDICATOR_OUTPUTS, ATR, priceOf } from '../indicators/indicators.js';
+import { getKillZone } from './ict-concepts.js';
+import { parseStrategyDefinition } from './strategy-schema.js';
+
+/**
+ * ===== COMPILATION =====
+ */
+
+const COMPARATORS = {
+  gt: (left, right) => left > right,
+  gte: (left, right) => left >= right,
+  lt: (left, right) => left < right,
+  lte: (left, right) => left <= right
+};
+
+// Deepest operand offset in a condition tree
+function maxOffset(condition) {
+  if (!condition) return 0;
+  const group = condition.all || condition.any;
+  if (group) return Math.max(...group.map(maxOffset));
+  return Math.max(condition.left.offset ?? 0, condition.right.offset ?? 0);
+}
+
+/**
+ * Operand -> (state, barsBack) => number | null, reading `offset + barsBack` bars back
+ */
+function compileOperand(operand, indicatorTypes) {
+  if (typeof operand === 'number') {
+    return () => operand;
+  }
+
+  if (operand.price) {
+    return (state, barsBack = 0) => {
+      const candle = state.candles[state.candles.length - 1 - operand.offset - barsBack];
+      return candle ? priceOf(candle, operand.price) ?? null : null;
+    };
+  }
+
+  const field = operand.field ?? INDICATOR_OUTPUTS[indicatorTypes[operand.indicator]]?.[0];
+  return (state, barsBack = 0) => {
+    const history = state.values[operand.indicator];
+    const value = history[history.length - 1 - operand.offset - barsBack];
+    if (value === null || value === undefined) return null;
+    return field ? value[field] ?? null : value;
+  };
+}
+
+/**
+ * Condition tree -> (state) => boolean. Missing values (warm-up, too little history) are false.
+ */
+export function compileCondition(condition, indicatorTypes) {
+  if (condition.all || condition.any) {
+    const children = (condition.all || condition.any).map(child => compileCondition(child, indicatorTypes));
+    return condition.all
+      ? (state) => children.every(child => child(state))
+      : (state) => children.some(child => child(state));
+  }
+
+  const left = compileOperand(condition.left, indicatorTypes);
+  const right = compileOperand(condition.right, indicatorTypes);
+  const crossing = condition.operator === 'crossesAbove' || condition.operator === 'crossesBelow';
+
+  if (!crossing) {
+    const compare = COMPARATORS[condition.operator];
+    return (state) => {
+      const a = left(state);
+      const b = right(state);
+      return a !== null && b !== null && compare(a, b);
+    };
+  }
+
+  // Crossed on this bar: on the other side (or level) one bar earlier
+  const above = condition.operator === 'crossesAbove';
+  return (state) => {
+    const values = [left(state), right(state), left(state, 1), right(state, 1)];
+    if (values.includes(null)) return false;
+    const [a, b, previousA, previousB] = values;
+    return above ? a > b && previousA <= previousB : a < b && previousA >= previousB;
+  };
+}
+
+/**
+ * Validated definition -> { definition, indicators, entry, exit, filter, historyBars, warmUpBars }
+ */
+export function compileStrategy(input) {
+  const definition = parseStrategyDefinition(input);
+  const indicatorTypes = Object.fromEntries(definition.indicators.map(({ id, type }) => [id, type]));
+  const compile = (condition) => (condition ? compileCondition(condition, indicatorTypes) : null);
+
+  const conditions = [
+    definition.entry.long, definition.entry.short,
+    definition.exit.long, definition.exit.short,
+    definition.filters.conditions
+  ];
+  // Values kept per series: the deepest offset, plus the bar before it for crossings
+  const historyBars = Math.max(...conditions.map(maxOffset)) + 2;
+
+  const indicators = definition.indicators.map(({ id, type, params }) => ({ id, indicator: createIndicator(type, params) }));
+  const stopIndicators = {};
+  for (const stop of [definition.risk.stopLoss, definition.risk.takeProfit]) {
+    if (stop?.type === 'ATR' && !stopIndicators[stop.atrPeriod]) {
+      stopIndicators[stop.atrPeriod] = new ATR({ period: stop.atrPeriod });
+    }
+  }
+
+  const warmUps = [...indicators.map(({ indicator }) => indicator), ...Object.values(stopIndicators)]
+    .map(indicator => indicator.warmUpBars);
+
+  return {
+    definition,
+    indicators,
+    stopIndicators,
+    entry: { long: compile(definition.entry.long), short: compile(definition.entry.short) },
+    exit: { long: compile(definition.exit.long), short: compile(definition.exit.short) },
+    filter: compile(definition.filters.conditions),
+    historyBars,
+    warmUpBars: Math.max(0, ...warmUps) + historyBars - 1
+  };
+}
+
+/**
+ * ===== RUNTIME =====
+ */
+
+export class DeclarativeStrategy extends EventEmitter {
+  /**
+   * @param {object} config - strategy definition
+   */
+  constructor(config) {
+    super();
+    this.compiled = compileStrategy(config);
+    this.config = this.compiled.definition;
+    this.state = {
+      candles: [],
+      values: Object.fromEntries(this.compiled.indicators.map(({ id }) => [id, []]))
+    };
+    this.position = null;
+    this.isActive = false;
+  }
+
+  getWarmUpBars() {
+    return this.compiled.warmUpBars;
+  }
+
+  // Prime indicators from history without trading on it
+  warmUp(candles) {
+    candles.forEach(candle => this.update(candle));
+  }
+
+  update(candle) {
+    const { historyBars } = this.compiled;
+    const keep = (series, value) => {
+      series.push(value);
+      if (series.length > historyBars) series.shift();
+    };
+
+    keep(this.state.candles, candle);
+    for (const { id, indicator } of this.compiled.indicators) {
+      keep(this.state.values[id], indicator.update(candle));
+    }
+    Object.values(this.compiled.stopIndicators).forEach(indicator => indicator.update(candle));
+  }
+
+  onTick(data) {
+    if (!this.isActive) return;
+
+    const candle = data.candle || data;
+    this.update(candle);
+    if (!this.compiled.indicators.every(({ indicator }) => indicator.isReady)) return;
+
+    const { entry, exit } = this.compiled;
+    if (this.position) {
+      const side = this.position.side === 'LONG' ? 'long' : 'short';
+      if (exit[side]?.(this.state)) {
+        this.emit('signal', { action: 'EXIT', reason: `${side === 'long' ? 'Long' : 'Short'} exit conditions met` });
+      }
+      return;
+    }
+
+    if (!this.passesFilters(candle)) return;
+    if (entry.long?.(this.state)) {
+      this.enter('ENTER_LONG', candle);
+    } else if (entry.short?.(this.state)) {
+      this.enter('ENTER_SHORT', candle);
+    }
+  }
+
+  passesFilters(candle) {
+    const { killZones, timezone } = this.config.filters;
+    if (killZones.length > 0 && getKillZone(candle.timestamp, { timezone, killZones }) === null) {
+      return false;
+    }
+    return !this.compiled.filter || this.compiled.filter(this.state);
+  }
+
+  enter(action, candle) {
+    const { quantity, stopLoss, takeProfit } = this.config.risk;
+    const long = action === 'ENTER_LONG';
+
+    this.emit('signal', {
+      action,
+      quantity,
+      stopLoss: this.getStopPrice(stopLoss, candle.close, long ? -1 : 1),
+      takeProfit: this.getStopPrice(takeProfit, candle.close, long ? 1 : -1),
+      reason: `${long ? 'Long' : 'Short'} entry conditions met`
+    });
+  }
+
+  /**
+   * Price `stop` away from `price` in `direction` (+1 above, -1 below); null without a stop
+   * or before its ATR is ready
+   */
+  getStopPrice(stop, price, direction) {
+    if (!stop) return null;
+
+    switch (stop.type) {
+      case 'POINTS':
+        return price + direction * stop.value;
+      case 'PERCENT':
+        return price * (1 + direction * stop.value / 100);
+      case 'ATR': {
+        const atr = this.compiled.stopIndicators[stop.atrPeriod].getValue();
+        return atr === null ? null : price + direction * stop.value * atr;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Position as tracked by the runtime (null when flat)
+  setPosition(position) {
+    this.position = position || null;
+  }
+
+  start() {
+    this.isActive = true;
+  }
+
+  stop() {
+    this.isActive = false;
+  }
+
+  getStatus() {
+    return {
+      isActive: this.isActive,
+      positionsCount: this.position ? 1 : 0,
+      config: this.config
+    };
+  }
+}
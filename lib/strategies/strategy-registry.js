@@ -0,0 +1,124 @@
+/**
+ * Strategy Registry
+ * Maps a StrategyType to the class that implements it, so the live runtime and the
+ * backtester build strategies the same way. Implementations take the record's config,
+ * emit 'signal' events from onTick and accept setPosition / warmUp / start / stop.
+ * onTick data: { symbol, interval, ...candle, candle, candles, timeframes, book }.
+ */
+
+import { ICTStrategy } from './ict-strategy.js';
+import { DeclarativeStrategy } from './strategy-compiler.js';
+import { CodeStrategy } from './code-strategy.js';
+import { MultiTimeframeFeed } from '../market-data/timeframes.js';
+
+// StrategyType -> implementation (constructed with the record's config). The template
+// types and DECLARATIVE all hold a strategy definition (strategy-schema.js).
+export const STRATEGY_IMPLEMENTATIONS = {
+  EMA_CROSSOVER: DeclarativeStrategy,
+  MEAN_REVERSION: DeclarativeStrategy,
+  DECLARATIVE: DeclarativeStrategy,
+  ICT_STRATEGY: ICTStrategy,
+  CUSTOM: CodeStrategy
+};
+
+// Types running user code: only ever constructed inside a memory-limited worker
+export const ISOLATED_STRATEGY_TYPES = ['CUSTOM'];
+
+export const STRATEGY_TYPES = ['EMA_CROSSOVER', 'MEAN_REVERSION', 'ICT_STRATEGY', 'DECLARATIVE', 'CUSTOM'];
+
+const STRATEGY_BOOK_LEVELS = 50;
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+/**
+ * Symbol and candle interval a strategy trades, from its config
+ */
+export function getStrategyMarket(config = {}) {
+  const symbol = config.symbol || config.instruments?.[0];
+  const interval = config.timeframe || config.timeframes?.[0] || '5m';
+  if (!symbol) {
+    throw new Error('Invalid strategy: config needs a symbol');
+  }
+  return { symbol, interval };
+}
+
+/**
+ * Multi-timeframe feed for a strategy: its trading interval plus any higher config.timeframes.
+ * onTick data carries feed.snapshot() as `timeframes` wherever the strategy runs.
+ * @throws {Error} 'Invalid strategy: ...' for a timeframe that can't be built from the interval
+ */
+export function createTimeframeFeed(config = {}) {
+  const { interval } = getStrategyMarket(config);
+  try {
+    return new MultiTimeframeFeed({ interval, timeframes: config.timeframes || [] });
+  } catch (error) {
+    throw new Error(`Invalid strategy: ${error.message}`);
+  }
+}
+
+/**
+ * Levels per side of the order book summary a strategy gets as onTick `book` (config.orderBook
+ * opts in), or null. Backtests have no depth history, so `book` is null there.
+ * @throws {Error} 'Invalid strategy: ...'
+ */
+export function getOrderBookLevels(config = {}) {
+  if (config.orderBook === undefined || config.orderBook === false) return null;
+  if (config.orderBook !== true) {
+    throw new Error('Invalid strategy: orderBook must be true or false');
+  }
+  return STRATEGY_BOOK_LEVELS;
+}
+
+export function createStrategyInstance(type, config) {
+  const Implementation = STRATEGY_IMPLEMENTATIONS[type];
+  if (!Implementation) {
+    throw new Error(`No runtime for ${type} strategies`);
+  }
+  return new Implementation(config);
+}
+
+/**
+ * Check a config before it is saved: building the strategy validates it, unless the
+ * implementation has a static validate() (user code is checked, not run)
+ * @throws {Error} 'Invalid strategy: ...'
+ */
+export function validateStrategyConfig(type, config) {
+  const Implementation = STRATEGY_IMPLEMENTATIONS[type];
+  if (!Implementation) return;
+
+  createTimeframeFeed(config);
+  getOrderBookLevels(config);
+  if (Implementation.validate) {
+    Implementation.validate(config);
+  } else {
+    createStrategyInstance(type, config);
+  }
+}
+
+/**
+ * StrategyBuilder riskSettings (a definition's risk rules) as numbers (null when unset)
+ */
+export function getRiskSettings(config = {}) {
+  const riskSettings = config.riskSettings || config.risk || {};
+  return {
+    maxDailyTrades: toNumber(riskSettings.maxDailyTrades),
+    maxDailyLoss: toNumber(riskSettings.maxDailyLoss),
+    maxPositionSize: toNumber(riskSettings.maxPositionSize)
+  };
+}
+
+/**
+ * Entry size: the signal's quantity, else config.quantity, else maxPositionSize, capped at maxPositionSize
+ */
+export function getEntryQuantity(signal, config = {}) {
+  const { maxPositionSize } = getRiskSettings(config);
+
+  let quantity = toNumber(signal.quantity) ?? toNumber(config.quantity ?? config.risk?.quantity) ?? maxPositionSize;
+  if (!(quantity > 0)) {
+    throw new Error('Invalid strategy: config needs a quantity');
+  }
+  if (maxPositionSize !== null) {
+    quantity = Math.min(quantity, maxPositionSize);
+  }
+  return quantity;
+}
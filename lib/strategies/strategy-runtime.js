@@ -0,0 +1,684 @@
+/**
+ * Strategy Runtime
+ * Hosts the active Strategy records: each one is instantiated from its type and config,
+ * warmed up on kline history and fed closed candles from its account's stream. Signals
+ * ('ENTER_LONG' | 'ENTER_SHORT' | 'EXIT') become orders on the linked account through
+ * UnifiedTradingManager, so risk limits and the kill switch apply. Each strategy runs one
+ * order flow at a time: the latest signal arriving meanwhile waits for it, and a working
+ * entry counts as the position until it fills or ends. Fills of orders tagged
+ * with the strategy drive its own position, and every closed trade updates totalTrades,
+ * winRate, totalPnL and maxDrawdown on the record.
+ */
+
+import { prisma } from '../database.js';
+import { OPEN_ORDER_STATUSES, TERMINAL_ORDER_STATUSES } from '../trading-manager/order-reconciler.js';
+import { candleIngester } from '../market-data/candle-ingester.js';
+import { getCandleExchange } from '../market-data/candle-store.js';
+import { marketDataHub } from '../market-data/market-data-hub.js';
+import { IsolatedStrategy } from './isolated-strategy.js';
+import {
+  STRATEGY_TYPES,
+  ISOLATED_STRATEGY_TYPES,
+  createStrategyInstance,
+  createTimeframeFeed,
+  getEntryQuantity,
+  getOrderBookLevels,
+  getRiskSettings,
+  getStrategyMarket,
+  validateStrategyConfig
+} from './strategy-registry.js';
+
+const DEFAULT_SYNC_INTERVAL = 15000;
+const HISTORY_CANDLES = 200;
+const MAX_BUFFERED_CANDLES = 500;
+const QUANTITY_EPSILON = 1e-8;
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+/**
+ * Persisted runtime state with the daily counters rolled over at 00:00 UTC
+ */
+function normalizeState(state) {
+  const today = new Date().toISOString().slice(0, 10);
+  return {
+    position: state?.position || null,
+    daily: state?.daily?.date === today ? state.daily : { date: today, trades: 0, pnl: 0 }
+  };
+}
+
+export class StrategyRuntime {
+  /**
+   * @param {object} manager - UnifiedTradingManager (placeOrder, placeBracketOrder, cancelOrder, connectAccount, reconciler...)
+   */
+  constructor(manager, { syncIntervalMs = DEFAULT_SYNC_INTERVAL } = {}) {
+    this.manager = manager;
+    this.syncIntervalMs = syncIntervalMs;
+    this.timer = null;
+    this.syncing = null;
+    this.instances = new Map(); // strategyId -> { record, strategy, symbol, interval, timeframeFeed, book, busy, pendingSignal, pendingEntry, unsubscribe }
+    this.feeds = new Map(); // accountId:symbol:interval -> { candles, listeners, unsubscribe }
+    this.queues = new Map(); // strategyId -> tail of its serialised state updates
+
+    this.onFill = ({ order, fill }) => {
+      if (!order.strategyId) return;
+      this.enqueue(order.strategyId, () => this.applyFill(order, fill));
+    };
+
+    // Behind the fills already queued, so the position is in place once the entry is cleared
+    this.onOrder = (order) => {
+      if (!order.strategyId || !TERMINAL_ORDER_STATUSES.includes(order.status)) return;
+      this.enqueue(order.strategyId, () => this.settleEntry(order));
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.manager.reconciler.on('fill', this.onFill);
+    this.manager.reconciler.on('order', this.onOrder);
+    this.timer = setInterval(() => {
+      this.sync().catch(error => console.error('❌ Strategy sync failed:', error));
+    }, this.syncIntervalMs);
+
+    this.sync().catch(error => console.error('❌ Strategy sync failed:', error));
+    console.log('🤖 Strategy runtime started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.manager.reconciler.off('fill', this.onFill);
+    this.manager.reconciler.off('order', this.onOrder);
+
+    for (const strategyId of [...this.instances.keys()]) {
+      this.unload(strategyId);
+    }
+  }
+
+  /**
+   * Bring running instances in line with Strategy.isActive
+   */
+  async sync() {
+    // A sync already under way may have read isActive before the caller changed it
+    if (this.syncing) {
+      await this.syncing.catch(() => {});
+      return this.sync();
+    }
+
+    this.syncing = (async () => {
+      const active = await prisma.strategy.findMany({ where: { isActive: true } });
+      const activeIds = new Set(active.map(record => record.id));
+
+      for (const strategyId of [...this.instances.keys()]) {
+        if (!activeIds.has(strategyId)) this.unload(strategyId);
+      }
+      for (const record of active) {
+        if (!this.instances.has(record.id)) await this.launch(record);
+      }
+    })();
+
+    try {
+      await this.syncing;
+    } finally {
+      this.syncing = null;
+    }
+  }
+
+  /**
+   * ===== INSTANCES =====
+   */
+
+  async launch(record) {
+    try {
+      if (!record.tradingAccountId) {
+        throw new Error('Strategy has no trading account');
+      }
+
+      const account = await prisma.tradingAccount.findUnique({ where: { id: record.tradingAccountId } });
+      if (!account || account.userId !== record.userId) {
+        throw new Error('Unauthorized account access');
+      }
+      if (account.isDemo !== record.isDemo) {
+        throw new Error(`Strategy is ${record.isDemo ? 'demo' : 'live'} but its account is ${account.isDemo ? 'demo' : 'live'}`);
+      }
+
+      const { symbol, interval } = getStrategyMarket(record.config);
+      const timeframeFeed = createTimeframeFeed(record.config);
+      const bookLevels = getOrderBookLevels(record.config);
+      // User code runs in its own memory-limited worker
+      const strategy = ISOLATED_STRATEGY_TYPES.includes(record.type)
+        ? await IsolatedStrategy.create(record.type, record.config)
+        : createStrategyInstance(record.type, record.config);
+      const instance = { record, strategy, symbol, interval, timeframeFeed, book: null, busy: false, pendingSignal: null, pendingEntry: null, unsubscribe: null };
+
+      strategy.on('signal', (signal) => {
+        this.handleSignal(instance, signal).catch(error => console.error('❌ Strategy signal failed:', error));
+      });
+      strategy.on('log', (line) => console.log(`🧩 ${record.name}: ${line}`));
+      strategy.on('failure', (error) => {
+        this.unload(record.id);
+        this.deactivate(record, error.message)
+          .catch(err => console.error('❌ Strategy deactivate failed:', err));
+      });
+      strategy.setPosition?.(normalizeState(record.state).position);
+      this.instances.set(record.id, instance);
+
+      await this.manager.connectAccount(account.id);
+      if (bookLevels) {
+        // Kept in sync by the hub while the strategy runs; read per bar in deliverCandle
+        const stream = { exchange: getCandleExchange(account.platform, account.isDemo), symbol };
+        instance.book = { stream, levels: bookLevels, unsubscribe: marketDataHub.subscribe({ ...stream, channel: 'depth' }, () => {}) };
+      }
+      instance.unsubscribe = await this.subscribeFeed(account, symbol, interval, {
+        historyBars: strategy.getWarmUpBars?.() ?? 0,
+        warmUp: (candles) => {
+          instance.timeframeFeed.warmUp(candles);
+          strategy.warmUp?.(candles);
+        },
+        onCandle: (candle, candles) => this.deliverCandle(instance, candle, candles),
+        onQuote: (candle) => strategy.onQuote?.(candle)
+      });
+
+      strategy.start();
+      await prisma.strategy.update({
+        where: { id: record.id },
+        data: { startedAt: new Date(), lastError: null }
+      });
+
+      console.log(`🤖 Strategy started: ${record.name} on ${symbol} ${interval}`);
+    } catch (error) {
+      this.unload(record.id);
+      await this.deactivate(record, error.message);
+    }
+  }
+
+  unload(strategyId) {
+    const instance = this.instances.get(strategyId);
+    if (!instance) return;
+
+    instance.strategy.stop();
+    instance.strategy.removeAllListeners();
+    instance.strategy.destroy?.();
+    instance.unsubscribe?.();
+    instance.book?.unsubscribe();
+    this.instances.delete(strategyId);
+
+    console.log(`🤖 Strategy stopped: ${instance.record.name}`);
+  }
+
+  /**
+   * Switch a strategy off after an error it cannot run past
+   */
+  async deactivate(record, message) {
+    console.error(`❌ Strategy ${record.name} stopped:`, message);
+
+    await prisma.strategy.update({
+      where: { id: record.id },
+      data: { isActive: false, lastError: message }
+    });
+    await this.notify(record, 'Strategy stopped', `${record.name} was stopped: ${message}`);
+  }
+
+  // Same onTick data the backtester builds, so a strategy trades live as it backtested
+  deliverCandle(instance, candle, candles) {
+    try {
+      instance.timeframeFeed.update(candle);
+      instance.strategy.onTick({
+        symbol: instance.symbol,
+        interval: instance.interval,
+        ...candle,
+        candle,
+        candles,
+        timeframes: instance.timeframeFeed.snapshot(),
+        book: this.getBookSummary(instance)
+      });
+    } catch (error) {
+      this.unload(instance.record.id);
+      this.deactivate(instance.record, `onTick failed: ${error.message}`)
+        .catch(err => console.error('❌ Strategy deactivate failed:', err));
+    }
+  }
+
+  /**
+   * ===== MARKET DATA =====
+   */
+
+  // Top of the strategy's order book, null when it has not opted in or the book is not synced
+  getBookSummary(instance) {
+    if (!instance.book) return null;
+    return marketDataHub.getOrderBook(instance.book.stream)?.getSummary(instance.book.levels) ?? null;
+  }
+
+  /**
+   * Strategies on the same account, symbol and interval share one candle buffer, fed by the
+   * market data hub's stream for the account's venue. History comes from the candle store,
+   * and the series is tracked so it stays backfilled for backtests and charts. Returns an
+   * unsubscribe function.
+   */
+  async subscribeFeed(account, symbol, interval, listener) {
+    const key = `${account.id}:${symbol}:${interval}`;
+    const exchange = getCandleExchange(account.platform, account.isDemo);
+    let feed = this.feeds.get(key);
+
+    if (!feed) {
+      feed = { candles: [], listeners: new Set(), unsubscribe: null };
+      this.feeds.set(key, feed);
+
+      try {
+        feed.candles = await candleIngester.getCandles(exchange, symbol, interval, { limit: HISTORY_CANDLES });
+        candleIngester.track(exchange, symbol, interval)
+          .catch(error => console.warn(`🕯️ Could not track ${exchange} ${symbol} ${interval}:`, error.message));
+        feed.unsubscribe = marketDataHub.subscribe({ exchange, channel: 'kline', symbol, interval }, (message) => {
+          const { timestamp, open, high, low, close, volume, closed } = message;
+          this.onCandle(feed, { timestamp, open, high, low, close, volume, closed });
+        });
+      } catch (error) {
+        this.feeds.delete(key);
+        throw new Error(`No ${symbol} ${interval} candle feed: ${error.message}`);
+      }
+    }
+
+    // Indicators needing more history than the shared buffer warm up from their own read
+    const history = listener.historyBars > HISTORY_CANDLES
+      ? await candleIngester.getCandles(exchange, symbol, interval, { limit: listener.historyBars })
+      : feed.candles.slice();
+    listener.warmUp(history);
+    feed.listeners.add(listener);
+
+    return () => {
+      feed.listeners.delete(listener);
+      if (feed.listeners.size === 0) {
+        feed.unsubscribe?.();
+        this.feeds.delete(key);
+      }
+    };
+  }
+
+  onCandle(feed, candle) {
+    if (!candle.closed) {
+      feed.listeners.forEach(listener => listener.onQuote(candle));
+      return;
+    }
+
+    const last = feed.candles[feed.candles.length - 1];
+    if (last && candle.timestamp <= last.timestamp) return;
+
+    feed.candles.push(candle);
+    if (feed.candles.length > MAX_BUFFERED_CANDLES) {
+      feed.candles.splice(0, feed.candles.length - MAX_BUFFERED_CANDLES);
+    }
+
+    const candles = feed.candles.slice();
+    feed.listeners.forEach(listener => listener.onCandle(candle, candles));
+  }
+
+  /**
+   * ===== SIGNALS =====
+   */
+
+  async handleSignal(instance, signal) {
+    // One order flow at a time; of the signals arriving meanwhile only the latest is kept
+    if (instance.busy) {
+      instance.pendingSignal = signal;
+      return;
+    }
+    instance.busy = true;
+
+    const { record: { id: strategyId, name } } = instance;
+    try {
+      // Fills already reported are applied before the position is read
+      await this.queues.get(strategyId);
+      const record = await prisma.strategy.findUnique({ where: { id: strategyId } });
+      if (!record?.isActive) return;
+
+      const state = normalizeState(record.state);
+      switch (signal.action) {
+        case 'ENTER_LONG':
+        case 'ENTER_SHORT':
+          if (!state.position && !instance.pendingEntry) await this.enter(instance, record, state, signal);
+          break;
+        case 'EXIT':
+          if (state.position || instance.pendingEntry) await this.exit(instance, record, signal);
+          break;
+        default:
+          throw new Error(`Unknown signal action ${signal.action}`);
+      }
+    } catch (error) {
+      // Rejections (risk limits, kill switch, venue errors) are reported; the strategy keeps running
+      console.error(`❌ ${name} ${signal.action} failed:`, error.message);
+      await prisma.strategy.update({ where: { id: strategyId }, data: { lastError: error.message } })
+        .catch(() => {});
+      await this.notify(instance.record, `${name}: order rejected`, `${signal.action} on ${instance.symbol} failed: ${error.message}`);
+    } finally {
+      instance.busy = false;
+    }
+
+    const next = instance.pendingSignal;
+    instance.pendingSignal = null;
+    if (next && this.instances.get(strategyId) === instance) {
+      await this.handleSignal(instance, next);
+    }
+  }
+
+  /**
+   * Open a position, with a bracket when the signal carries stop-loss / take-profit.
+   * StrategyBuilder riskSettings (maxDailyTrades, maxDailyLoss, maxPositionSize) are applied here.
+   */
+  async enter(instance, record, state, signal) {
+    const { maxDailyTrades, maxDailyLoss } = getRiskSettings(record.config);
+
+    if (maxDailyTrades !== null && state.daily.trades >= maxDailyTrades) {
+      console.log(`🤖 ${record.name}: ${signal.action} skipped, ${state.daily.trades}/${maxDailyTrades} trades today`);
+      return;
+    }
+    if (maxDailyLoss !== null && state.daily.pnl <= -maxDailyLoss) {
+      console.log(`🤖 ${record.name}: ${signal.action} skipped, daily loss limit reached`);
+      return;
+    }
+
+    const quantity = getEntryQuantity(signal, record.config);
+
+    const orderData = {
+      symbol: instance.symbol,
+      side: signal.action === 'ENTER_LONG' ? 'BUY' : 'SELL',
+      type: 'MARKET',
+      quantity
+    };
+    const links = { strategyId: record.id };
+    const hasExits = toNumber(signal.stopLoss) !== null || toNumber(signal.takeProfit) !== null;
+
+    const order = hasExits
+      ? await this.manager.placeBracketOrder(record.userId, record.tradingAccountId, {
+        ...orderData,
+        stopLoss: signal.stopLoss,
+        takeProfit: signal.takeProfit
+      }, links)
+      : await this.manager.placeOrder(record.userId, record.tradingAccountId, orderData, links);
+
+    // Until it fills or ends, a working entry counts as the position for later signals
+    if (!TERMINAL_ORDER_STATUSES.includes(order.status)) {
+      instance.pendingEntry = order.id;
+    }
+
+    await this.enqueue(record.id, async () => {
+      const latest = await prisma.strategy.findUnique({ where: { id: record.id } });
+      const latestState = normalizeState(latest.state);
+      latestState.daily.trades += 1;
+      await prisma.strategy.update({ where: { id: record.id }, data: { state: latestState } });
+    });
+
+    console.log(`🤖 ${record.name}: ${signal.action} ${instance.symbol} ${quantity} (${order.status.toLowerCase()})${signal.reason ? ` - ${signal.reason}` : ''}`);
+  }
+
+  /**
+   * Close the strategy's position at market after pulling its working entry and exits
+   */
+  async exit(instance, record, signal) {
+    const working = await prisma.order.findMany({
+      where: { strategyId: record.id, status: { in: OPEN_ORDER_STATUSES } }
+    });
+    for (const order of working) {
+      try {
+        await this.manager.cancelOrder(record.userId, order.id);
+      } catch (error) {
+        console.warn(`🤖 ${record.name}: could not cancel order ${order.id}:`, error.message);
+      }
+    }
+
+    // An exit leg may have filled while we were cancelling
+    await this.queues.get(record.id);
+    const latest = await prisma.strategy.findUnique({ where: { id: record.id } });
+    const current = normalizeState(latest.state).position;
+    if (!current) return;
+
+    const order = await this.manager.placeOrder(record.userId, record.tradingAccountId, {
+      symbol: instance.symbol,
+      side: current.side === 'LONG' ? 'SELL' : 'BUY',
+      type: 'MARKET',
+      quantity: current.quantity
+    }, { strategyId: record.id });
+
+    console.log(`🤖 ${record.name}: EXIT ${instance.symbol} ${current.quantity} (${order.status.toLowerCase()})${signal.reason ? ` - ${signal.reason}` : ''}`);
+  }
+
+  /**
+   * ===== POSITIONS & PERFORMANCE =====
+   */
+
+  enqueue(strategyId, task) {
+    const previous = this.queues.get(strategyId) || Promise.resolve();
+    const next = previous
+      .then(task)
+      .catch(error => console.error('❌ Strategy state update failed:', error));
+
+    this.queues.set(strategyId, next);
+    next.finally(() => {
+      if (this.queues.get(strategyId) === next) this.queues.delete(strategyId);
+    });
+    return next;
+  }
+
+  settleEntry(order) {
+    const instance = this.instances.get(order.strategyId);
+    if (instance?.pendingEntry === order.id) {
+      instance.pendingEntry = null;
+    }
+  }
+
+  /**
+   * Apply one fill to the strategy's position; a return to flat (or a flip) closes a trade
+   */
+  async applyFill(order, fill) {
+    const record = await prisma.strategy.findUnique({ where: { id: order.strategyId } });
+    if (!record) return;
+
+    const state = normalizeState(record.state);
+    const quantity = parseFloat(fill.quantity);
+    const price = parseFloat(fill.price);
+    const signedFill = order.side === 'BUY' ? quantity : -quantity;
+
+    let position = state.position;
+    const current = position ? (position.side === 'LONG' ? position.quantity : -position.quantity) : 0;
+    let realized = 0;
+    let closedTradePnL = null;
+
+    if (current === 0 || Math.sign(current) === Math.sign(signedFill)) {
+      const next = current + signedFill;
+      position = {
+        side: next > 0 ? 'LONG' : 'SHORT',
+        quantity: Math.abs(next),
+        avgPrice: position
+          ? (Math.abs(current) * position.avgPrice + quantity * price) / Math.abs(next)
+          : price,
+        openedAt: position?.openedAt || new Date(fill.timestamp).toISOString(),
+        realizedPnL: position?.realizedPnL || 0
+      };
+    } else {
+      const closedQuantity = Math.min(Math.abs(current), quantity);
+      realized = (price - position.avgPrice) * closedQuantity * Math.sign(current);
+      const tradePnL = position.realizedPnL + realized;
+      const remaining = current + signedFill;
+
+      if (Math.abs(remaining) < QUANTITY_EPSILON) {
+        closedTradePnL = tradePnL;
+        position = null;
+      } else if (Math.sign(remaining) === Math.sign(current)) {
+        position = { ...position, quantity: Math.abs(remaining), realizedPnL: tradePnL };
+      } else {
+        // Overshot through flat: the old trade closes and the rest opens a new one
+        closedTradePnL = tradePnL;
+        position = {
+          side: remaining > 0 ? 'LONG' : 'SHORT',
+          quantity: Math.abs(remaining),
+          avgPrice: price,
+          openedAt: new Date(fill.timestamp).toISOString(),
+          realizedPnL: 0
+        };
+      }
+    }
+
+    state.position = position;
+    state.daily.pnl += realized;
+    const data = { state };
+
+    if (closedTradePnL !== null) {
+      const totalTrades = record.totalTrades + 1;
+      const winningTrades = record.winningTrades + (closedTradePnL > 0 ? 1 : 0);
+      const totalPnL = parseFloat(record.totalPnL) + closedTradePnL;
+      const peakPnL = Math.max(parseFloat(record.peakPnL), totalPnL);
+
+      Object.assign(data, {
+        totalTrades,
+        winningTrades,
+        winRate: (winningTrades / totalTrades) * 100,
+        totalPnL,
+        peakPnL,
+        maxDrawdown: Math.max(parseFloat(record.maxDrawdown), peakPnL - totalPnL)
+      });
+
+      console.log(`🤖 ${record.name}: trade closed ${closedTradePnL >= 0 ? '+' : ''}${closedTradePnL.toFixed(2)} (${totalTrades} trades, total ${totalPnL.toFixed(2)})`);
+    }
+
+    await prisma.strategy.update({ where: { id: record.id }, data });
+    this.instances.get(record.id)?.strategy.setPosition?.(position);
+  }
+
+  /**
+   * ===== STRATEGY RECORDS =====
+   */
+
+  async createStrategy(userId, { name, description, type, config = {}, tradingAccountId = null, isDemo } = {}) {
+    if (!name) {
+      throw new Error('Invalid strategy: name is required');
+    }
+    if (!STRATEGY_TYPES.includes(type)) {
+      throw new Error(`Invalid strategy: type must be one of ${STRATEGY_TYPES.join(', ')}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('Invalid strategy: config must be an object');
+    }
+
+    validateStrategyConfig(type, config);
+
+    const account = tradingAccountId ? await this.getOwnedAccount(userId, tradingAccountId) : null;
+
+    return await prisma.strategy.create({
+      data: {
+        userId,
+        name,
+        description,
+        type,
+        config,
+        tradingAccountId,
+        isDemo: account ? account.isDemo : isDemo !== false
+      }
+    });
+  }
+
+  /**
+   * Edit a stopped strategy, or start / stop it with { isActive }
+   */
+  async updateStrategy(userId, strategyId, changes = {}) {
+    const record = await this.getOwnedStrategy(userId, strategyId);
+    const { isActive, ...edits } = changes;
+    const editable = ['name', 'description', 'config', 'tradingAccountId'];
+    const data = Object.fromEntries(Object.entries(edits).filter(([key]) => editable.includes(key)));
+
+    if (Object.keys(data).length > 0) {
+      if (record.isActive) {
+        throw new Error('Invalid strategy: stop the strategy before editing it');
+      }
+      if (data.config) {
+        validateStrategyConfig(record.type, data.config);
+      }
+      if (data.tradingAccountId) {
+        const account = await this.getOwnedAccount(userId, data.tradingAccountId);
+        data.isDemo = account.isDemo;
+      }
+      await prisma.strategy.update({ where: { id: strategyId }, data });
+    }
+
+    if (isActive === true && !record.isActive) {
+      const accountId = data.tradingAccountId || record.tradingAccountId;
+      if (!accountId) {
+        throw new Error('Invalid strategy: link a trading account before starting it');
+      }
+      await this.manager.killSwitch.assertArmed(userId, accountId);
+      await prisma.strategy.update({ where: { id: strategyId }, data: { isActive: true, lastError: null } });
+    } else if (isActive === false && record.isActive) {
+      await prisma.strategy.update({ where: { id: strategyId }, data: { isActive: false } });
+    }
+
+    // Starting validates and launches; a failure leaves it inactive with lastError set
+    await this.sync();
+    return await this.getOwnedStrategy(userId, strategyId);
+  }
+
+  async deleteStrategy(userId, strategyId) {
+    const record = await this.getOwnedStrategy(userId, strategyId);
+    if (record.isActive) {
+      throw new Error('Invalid strategy: stop the strategy before deleting it');
+    }
+
+    this.unload(strategyId);
+    await prisma.strategy.delete({ where: { id: strategyId } });
+    return record;
+  }
+
+  async getUserStrategies(userId) {
+    const records = await prisma.strategy.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        tradingAccount: { select: { id: true, nickname: true, platform: true, isDemo: true } }
+      }
+    });
+
+    return records.map(record => {
+      const instance = this.instances.get(record.id);
+      return {
+        ...record,
+        runtime: {
+          running: Boolean(instance),
+          symbol: instance?.symbol || null,
+          interval: instance?.interval || null,
+          position: normalizeState(record.state).position
+        }
+      };
+    });
+  }
+
+  async getOwnedStrategy(userId, strategyId) {
+    const record = await prisma.strategy.findUnique({ where: { id: strategyId } });
+    if (!record || record.userId !== userId) {
+      throw new Error('Strategy not found');
+    }
+    return record;
+  }
+
+  async getOwnedAccount(userId, accountId) {
+    const account = await prisma.tradingAccount.findUnique({ where: { id: accountId } });
+    if (!account || account.userId !== userId) {
+      throw new Error('Unauthorized account access');
+    }
+    return account;
+  }
+
+  async notify(record, title, message) {
+    try {
+      await prisma.notification.create({
+        data: {
+          userId: record.userId,
+          type: 'STRATEGY_ALERT',
+          title,
+          message,
+          data: { strategyId: record.id }
+        }
+      });
+    } catch (error) {
+      console.error('❌ Strategy notification failed:', error);
+    }
+  }
+}
+
+export default StrategyRuntime;
@@ -0,0 +1,236 @@
+/**
+ * Strategy Schema
+ * Versioned JSON format for declarative strategies: named indicators from the indicator
+ * library, entry / exit condition trees per side, entry filters and risk rules. The
+ * visual builder reads and writes it, the strategy compiler turns it into a runnable
+ * strategy. A definition is a whole Strategy config: symbol and timeframe included.
+ */
+
+import { z } from 'zod';
+import { INDICATORS, INDICATOR_OUTPUTS, PRICE_SOURCES, createIndicator } from '../indicators/indicators.js';
+import { KILL_ZONES, DEFAULT_TIMEZONE, resolveKillZones } from './ict-concepts.js';
+
+export const STRATEGY_SCHEMA_VERSION = 1;
+
+export const CONDITION_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'crossesAbove', 'crossesBelow'];
+export const STOP_TYPES = ['POINTS', 'PERCENT', 'ATR'];
+export const PRICE_FIELDS = [...PRICE_SOURCES, 'volume'];
+
+const MAX_OFFSET = 50; // Furthest back (in bars) an operand may look
+const MAX_ISSUES = 3;
+
+/**
+ * ===== SCHEMA =====
+ */
+
+const offsetSchema = z.number().int().min(0).max(MAX_OFFSET).default(0);
+
+// A constant, an indicator's value (a field of it for multi-line indicators) or a price,
+// `offset` bars back
+const operandSchema = z.union([
+  z.number(),
+  z.object({
+    indicator: z.string(),
+    field: z.string().optional(),
+    offset: offsetSchema
+  }).strict(),
+  z.object({
+    price: z.enum(PRICE_FIELDS),
+    offset: offsetSchema
+  }).strict()
+]);
+
+const comparisonSchema = z.object({
+  left: operandSchema,
+  operator: z.enum(CONDITION_OPERATORS),
+  right: operandSchema
+}).strict();
+
+// Comparisons combined with nested { all: [...] } / { any: [...] } groups
+const conditionSchema = z.lazy(() => z.union([
+  comparisonSchema,
+  z.object({ all: z.array(conditionSchema).min(1) }).strict(),
+  z.object({ any: z.array(conditionSchema).min(1) }).strict()
+]));
+
+const sidesSchema = z.object({
+  long: conditionSchema.optional(),
+  short: conditionSchema.optional()
+}).strict();
+
+const stopSchema = z.object({
+  type: z.enum(STOP_TYPES),
+  value: z.number().positive(),
+  atrPeriod: z.number().int().positive().default(14)
+}).strict();
+
+const limitSchema = z.number().positive().optional();
+
+export const strategyDefinitionSchema = z.object({
+  version: z.literal(STRATEGY_SCHEMA_VERSION),
+  symbol: z.string().min(1),
+  timeframe: z.string().min(1).default('5m'),
+  indicators: z.array(z.object({
+    id: z.string().regex(/^[A-Za-z][A-Za-z0-9_]*$/, 'use letters, digits and underscores'),
+    type: z.enum(Object.keys(INDICATORS)),
+    params: z.record(z.union([z.number(), z.string()])).default({})
+  }).strict()).default([]),
+  entry: sidesSchema.refine(sides => sides.long || sides.short, 'needs a long or a short condition'),
+  exit: sidesSchema.default({}),
+  filters: z.object({
+    conditions: conditionSchema.optional(),
+    killZones: z.array(z.enum(Object.keys(KILL_ZONES))).default([]),
+    timezone: z.string().default(DEFAULT_TIMEZONE)
+  }).strict().default({}),
+  risk: z.object({
+    quantity: z.number().positive().default(1),
+    stopLoss: stopSchema.optional(),
+    takeProfit: stopSchema.optional(),
+    maxDailyTrades: limitSchema,
+    maxDailyLoss: limitSchema,
+    maxPositionSize: limitSchema
+  }).strict().default({})
+}).superRefine(checkReferences);
+
+/**
+ * Cross-field rules zod can't express per field: unique indicator ids, parameters the
+ * indicator accepts, operands naming a declared indicator and one of its fields
+ */
+function checkReferences(definition, context) {
+  const types = new Map();
+
+  definition.indicators.forEach(({ id, type, params }, index) => {
+    if (types.has(id)) {
+      context.addIssue({ code: z.ZodIssueCode.custom, path: ['indicators', index, 'id'], message: `duplicate id ${id}` });
+    }
+    types.set(id, type);
+    try {
+      createIndicator(type, params);
+    } catch (error) {
+      context.addIssue({ code: z.ZodIssueCode.custom, path: ['indicators', index, 'params'], message: error.message });
+    }
+  });
+
+  const checkOperand = (operand, path) => {
+    if (typeof operand !== 'object' || operand.indicator === undefined) return;
+    if (!types.has(operand.indicator)) {
+      context.addIssue({ code: z.ZodIssueCode.custom, path, message: `unknown indicator ${operand.indicator}` });
+      return;
+    }
+    const fields = INDICATOR_OUTPUTS[types.get(operand.indicator)];
+    if (operand.field !== undefined && !fields?.includes(operand.field)) {
+      const message = fields
+        ? `${operand.indicator} has no field ${operand.field} (use one of ${fields.join(', ')})`
+        : `${operand.indicator} has a single value, no field ${operand.field}`;
+      context.addIssue({ code: z.ZodIssueCode.custom, path, message });
+    }
+  };
+
+  const checkCondition = (condition, path) => {
+    if (!condition) return;
+    const group = condition.all || condition.any;
+    if (group) {
+      group.forEach((child, index) => checkCondition(child, [...path, condition.all ? 'all' : 'any', index]));
+      return;
+    }
+    checkOperand(condition.left, [...path, 'left']);
+    checkOperand(condition.right, [...path, 'right']);
+  };
+
+  for (const side of ['long', 'short']) {
+    checkCondition(definition.entry[side], ['entry', side]);
+    checkCondition(definition.exit[side], ['exit', side]);
+  }
+  checkCondition(definition.filters.conditions, ['filters', 'conditions']);
+
+  try {
+    resolveKillZones(definition.filters.killZones);
+    new Intl.DateTimeFormat('en-US', { timeZone: definition.filters.timezone });
+  } catch (error) {
+    context.addIssue({ code: z.ZodIssueCode.custom, path: ['filters'], message: error.message });
+  }
+}
+
+/**
+ * Validate a definition and fill in defaults
+ * @throws {Error} 'Invalid strategy: <path>: <problem>' for the first few problems
+ */
+export function parseStrategyDefinition(definition) {
+  if (definition?.version !== undefined && definition.version !== STRATEGY_SCHEMA_VERSION) {
+    throw new Error(`Invalid strategy: unsupported definition version ${definition.version}`);
+  }
+
+  const result = strategyDefinitionSchema.safeParse(definition);
+  if (!result.success) {
+    const problems = result.error.issues.slice(0, MAX_ISSUES).map(issue => (
+      issue.path.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message
+    ));
+    throw new Error(`Invalid strategy: ${problems.join('; ')}`);
+  }
+  return result.data;
+}
+
+/**
+ * ===== TEMPLATES =====
+ */
+
+// Starting definitions for the builder, keyed by the StrategyType they are saved as
+export const STRATEGY_TEMPLATES = {
+  EMA_CROSSOVER: {
+    version: STRATEGY_SCHEMA_VERSION,
+    symbol: 'ES',
+    timeframe: '5m',
+    indicators: [
+      { id: 'ema_fast', type: 'EMA', params: { period: 10 } },
+      { id: 'ema_slow', type: 'EMA', params: { period: 50 } }
+    ],
+    entry: {
+      long: { left: { indicator: 'ema_fast' }, operator: 'crossesAbove', right: { indicator: 'ema_slow' } },
+      short: { left: { indicator: 'ema_fast' }, operator: 'crossesBelow', right: { indicator: 'ema_slow' } }
+    },
+    exit: {
+      long: { left: { indicator: 'ema_fast' }, operator: 'crossesBelow', right: { indicator: 'ema_slow' } },
+      short: { left: { indicator: 'ema_fast' }, operator: 'crossesAbove', right: { indicator: 'ema_slow' } }
+    },
+    filters: { killZones: [], timezone: DEFAULT_TIMEZONE },
+    risk: {
+      quantity: 1,
+      stopLoss: { type: 'ATR', value: 2, atrPeriod: 14 },
+      takeProfit: { type: 'ATR', value: 4, atrPeriod: 14 },
+      maxDailyTrades: 10
+    }
+  },
+  MEAN_REVERSION: {
+    version: STRATEGY_SCHEMA_VERSION,
+    symbol: 'ES',
+    timeframe: '5m',
+    indicators: [
+      { id: 'bands', type: 'BOLLINGER', params: { period: 20, multiplier: 2 } },
+      { id: 'rsi', type: 'RSI', params: { period: 14 } }
+    ],
+    entry: {
+      long: {
+        all: [
+          { left: { price: 'close' }, operator: 'lt', right: { indicator: 'bands', field: 'lower' } },
+          { left: { indicator: 'rsi' }, operator: 'lt', right: 30 }
+        ]
+      },
+      short: {
+        all: [
+          { left: { price: 'close' }, operator: 'gt', right: { indicator: 'bands', field: 'upper' } },
+          { left: { indicator: 'rsi' }, operator: 'gt', right: 70 }
+        ]
+      }
+    },
+    exit: {
+      long: { left: { price: 'close' }, operator: 'gte', right: { indicator: 'bands', field: 'middle' } },
+      short: { left: { price: 'close' }, operator: 'lte', right: { indicator: 'bands', field: 'middle' } }
+    },
+    filters: { killZones: [], timezone: DEFAULT_TIMEZONE },
+    risk: {
+      quantity: 1,
+      stopLoss: { type: 'PERCENT', value: 1, atrPeriod: 14 },
+      maxDailyTrades: 10
+    }
+  }
+};
@@ -0,0 +1,66 @@
+/**
+ * Strategy Worker
+ * Worker-thread entry for an IsolatedStrategy: builds the strategy from its type and
+ * config, feeds it what the main thread forwards, and posts its signals and log lines
+ * back. Keeps its own candle window and timeframe feed so only the new candle crosses
+ * per bar.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { createStrategyInstance, createTimeframeFeed } from './strategy-registry.js';
+
+let strategy = null;
+let timeframeFeed = null;
+
+function fail(error) {
+  parentPort.postMessage({ type: 'failure', message: error.message });
+  parentPort.close();
+}
+
+function handle(message) {
+  switch (message.type) {
+    case 'warmUp':
+      timeframeFeed.warmUp(message.candles);
+      strategy.warmUp?.(message.candles);
+      break;
+    case 'candle': {
+      const { candle, symbol, interval, book } = message;
+      timeframeFeed.update(candle);
+      const timeframes = timeframeFeed.snapshot();
+      strategy.onTick({ symbol, interval, ...candle, candle, candles: timeframes[timeframeFeed.interval].candles, timeframes, book });
+      break;
+    }
+    case 'quote':
+      strategy.onQuote?.(message.candle);
+      break;
+    case 'position':
+      strategy.setPosition?.(message.position);
+      break;
+    case 'start':
+      strategy.start();
+      break;
+    case 'stop':
+      strategy.stop();
+      break;
+    default:
+      throw new Error(`Unknown strategy worker message ${message.type}`);
+  }
+}
+
+try {
+  timeframeFeed = createTimeframeFeed(workerData.config);
+  strategy = createStrategyInstance(workerData.type, workerData.config);
+  strategy.on('signal', signal => parentPort.postMessage({ type: 'signal', signal }));
+  strategy.on('log', line => parentPort.postMessage({ type: 'log', line }));
+
+  parentPort.on('message', (message) => {
+    try {
+      handle(message);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  parentPort.postMessage({ type: 'ready', warmUpBars: strategy.getWarmUpBars?.() ?? 0 });
+} catch (error) {
+  fail(error);
+}
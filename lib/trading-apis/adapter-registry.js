@@ -0,0 +1,135 @@
+/**
+ * Exchange Adapter Registry
+ * Maps trading platforms to adapter factories and the capabilities they support
+ */
+
+import BinanceAPI from './binance-api.js';
+import BybitAPI from './bybit-api.js';
+import { TradovateAPI } from './crypto-exchanges.js';
+
+const DEFAULT_CAPABILITIES = {
+  orderTypes: ['MARKET', 'LIMIT'],
+  timeInForce: ['GTC'],
+  markets: ['spot'],
+  margin: false,
+  hedgeMode: false,
+  amend: false,
+  oco: false,
+  streams: []
+};
+
+export class AdapterRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Register an adapter for a platform
+   * @param {string} platform - TradingPlatform enum value
+   * @param {{ create: Function, capabilities?: object }} definition
+   */
+  register(platform, { create, capabilities = {} }) {
+    if (typeof create !== 'function') {
+      throw new Error(`Adapter for ${platform} must provide a create(config) factory`);
+    }
+
+    this.adapters.set(platform, {
+      platform,
+      create,
+      capabilities: { ...DEFAULT_CAPABILITIES, ...capabilities }
+    });
+    return this;
+  }
+
+  unregister(platform) {
+    this.adapters.delete(platform);
+  }
+
+  has(platform) {
+    return this.adapters.has(platform);
+  }
+
+  get(platform) {
+    const entry = this.adapters.get(platform);
+    if (!entry) {
+      throw new Error(`No exchange adapter registered for platform: ${platform}`);
+    }
+    return entry;
+  }
+
+  getCapabilities(platform) {
+    return this.get(platform).capabilities;
+  }
+
+  /**
+   * Check a single capability, e.g. supports('BINANCE', 'oco')
+   * or supports('BYBIT', 'orderTypes', 'STOP_LIMIT')
+   */
+  supports(platform, capability, value) {
+    if (!this.has(platform)) return false;
+    const supported = this.getCapabilities(platform)[capability];
+
+    if (Array.isArray(supported)) {
+      return value === undefined ? supported.length > 0 : supported.includes(value);
+    }
+    return Boolean(supported);
+  }
+
+  list() {
+    return Array.from(this.adapters.values()).map(({ platform, capabilities }) => ({
+      platform,
+      capabilities
+    }));
+  }
+
+  /**
+   * Build an adapter instance for a platform
+   */
+  create(platform, config = {}) {
+    return this.get(platform).create(config);
+  }
+}
+
+export const adapterRegistry = new AdapterRegistry();
+
+/**
+ * ===== BUILT-IN ADAPTERS =====
+ */
+
+adapterRegistry.register('BINANCE', {
+  create: (config) => new BinanceAPI(config),
+  capabilities: {
+    orderTypes: ['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT'],
+    timeInForce: ['GTC', 'IOC', 'FOK'],
+    markets: ['spot'],
+    amend: true,
+    oco: true,
+    streams: ['ticker', 'kline', 'trade', 'depth', 'funding']
+  }
+});
+
+adapterRegistry.register('BYBIT', {
+  create: (config) => new BybitAPI(config),
+  capabilities: {
+    orderTypes: ['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT'],
+    timeInForce: ['GTC', 'IOC', 'FOK', 'POST_ONLY'],
+    markets: ['spot', 'linear'],
+    margin: true,
+    hedgeMode: true,
+    amend: true,
+    streams: ['ticker', 'kline', 'trade', 'depth', 'funding', 'order', 'execution', 'position', 'wallet']
+  }
+});
+
+adapterRegistry.register('TRADOVATE', {
+  create: (config) => new TradovateAPI(config),
+  capabilities: {
+    orderTypes: ['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT'],
+    timeInForce: ['Day', 'GTC'],
+    markets: ['futures'],
+    margin: true,
+    amend: true
+  }
+});
+
+export default adapterRegistry;
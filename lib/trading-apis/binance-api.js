@@ -3,23 +3,68 @@
  * Proper HMAC-SHA256 authentication + Safe fallbacks
  */
 
-class BinanceAPI {
-  constructor(config) {
-    this.isDemo = config.isDemo || true; // Default to demo mode
-    this.apiKey = config.apiKey;
-    this.apiSecret = config.apiSecret;
+import { paperExchange } from '../paper-trading/paper-exchange.js';
+import {
+  ExchangeAdapter,
+  toOrderDTO,
+  toFillDTO,
+  toBalanceDTO,
+  toCandleDTO,
+  createWebSocket,
+  WS_CONNECTING,
+  WS_OPEN
+} from './exchange-adapter.js';
+
+// Our OrderType enum -> Binance spot order types
+const ORDER_TYPE_MAP = {
+  MARKET: 'MARKET',
+  LIMIT: 'LIMIT',
+  STOP: 'STOP_LOSS',
+  STOP_LIMIT: 'STOP_LOSS_LIMIT'
+};
+
+const BINANCE_TYPE_MAP = {
+  MARKET: 'MARKET',
+  LIMIT: 'LIMIT',
+  LIMIT_MAKER: 'LIMIT',
+  STOP_LOSS: 'STOP',
+  TAKE_PROFIT: 'STOP',
+  STOP_LOSS_LIMIT: 'STOP_LIMIT',
+  TAKE_PROFIT_LIMIT: 'STOP_LIMIT'
+};
+
+const USER_DATA_CHANNELS = ['order', 'execution', 'wallet'];
+const LISTEN_KEY_KEEPALIVE = 30 * 60 * 1000;
+const USER_STREAM_RETRY_DELAY = 5000;
+const STREAM_RECONNECT_DELAY = 3000;
+
+class BinanceAPI extends ExchangeAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.paperAccountId = config.accountId || 'binance_demo';
     
     // Use testnet for demo trading
     this.baseUrl = this.isDemo 
       ? 'https://testnet.binance.vision/api'
       : 'https://api.binance.com/api';
     
+    // USD-M perpetuals, for funding rates
+    this.futuresUrl = this.isDemo
+      ? 'https://testnet.binancefuture.com/fapi'
+      : 'https://fapi.binance.com/fapi';
+
+    // Combined stream endpoint so every message carries its stream name
     this.wsBaseUrl = this.isDemo
-      ? 'wss://testnet.binance.vision/ws'
-      : 'wss://stream.binance.com:9443/ws';
+      ? 'wss://testnet.binance.vision/stream'
+      : 'wss://stream.binance.com:9443/stream';
     
     this.wsConnection = null;
-    this.subscriptions = new Map();
+    this.wsConnecting = null;
+    this.subscriptions = new Map(); // stream -> { type, handlers: Set }
+    this.closing = false; // Set by disconnect(): dropped streams are not reopened
+    this.userStream = null; // { listenKey, socket, keepAlive }
+    this.userStreamStarting = null;
+    this.userHandlers = new Map(); // 'order' | 'execution' | 'wallet' -> Set
     
     // Security: Warn if not in demo mode without proper setup
     if (!this.isDemo && !this.apiSecret) {
@@ -28,6 +73,22 @@ class BinanceAPI {
   }
 
   /**
+   * ✅ Verify credentials (live) or prepare the paper account (demo)
+   */
+  async connect() {
+    if (this.isDemo) {
+      paperExchange.getAccount(this.paperAccountId);
+      this.isConnected = true;
+      return true;
+    }
+
+    await this.makeSignedRequest('/v3/account', 'GET', { timestamp: this.getTimestamp() });
+    this.isConnected = true;
+    console.log('✅ Binance API Connected');
+    return true;
+  }
+
+/**
    * ✅ FIXED: Proper HMAC-SHA256 Authentication
    */
   async generateSignature(queryString) {
@@ -91,7 +152,7 @@ class BinanceAPI {
       errors.push('Quantity too large');
     }
     
-    if (orderData.type === 'limit' && (!orderData.price || orderData.price <= 0)) {
+    if (orderData.type?.toUpperCase() === 'LIMIT' && (!orderData.price || orderData.price <= 0)) {
       errors.push('Invalid price for limit order');
     }
     
@@ -132,6 +193,7 @@ class BinanceAPI {
     } catch (error) {
       console.warn('📊 Using demo ticker data:', error.message);
       const mockTicker = {
+        isMock: true, // Never feed these into P&L or the paper exchange
         symbol: symbol || 'BTCUSDT',
         price: (45000 + Math.random() * 10000).toFixed(2),
         priceChangePercent: (Math.random() * 10 - 5).toFixed(2),
@@ -143,6 +205,66 @@ class BinanceAPI {
     }
   }
 
+  async getTicker(symbol) {
+    const ticker = await this.getTicker24hr(symbol);
+    return {
+      symbol: ticker.symbol,
+      price: parseFloat(ticker.lastPrice || ticker.price),
+      priceChangePercent: parseFloat(ticker.priceChangePercent),
+      volume: parseFloat(ticker.volume),
+      isMock: Boolean(ticker.isMock)
+    };
+  }
+
+  // REST depth snapshot; lastUpdateId anchors the depth diff stream (see order-book.js)
+  async getOrderBook(symbol, limit = 1000) {
+    const params = new URLSearchParams({ symbol, limit: String(limit) });
+    const book = await this.makeRequest(`/v3/depth?${params.toString()}`);
+    return {
+      symbol,
+      updateId: book.lastUpdateId,
+      bids: book.bids,
+      asks: book.asks,
+      timestamp: Date.now()
+    };
+  }
+
+  // Funding of the USD-M perpetual; public, so it needs no key
+  async getFundingRate(symbol) {
+    const response = await fetch(`${this.futuresUrl}/v1/premiumIndex?symbol=${encodeURIComponent(symbol)}`);
+    if (!response.ok) {
+      throw new Error(`Binance API Error: ${response.status} ${response.statusText}`);
+    }
+
+    const index = await response.json();
+    return {
+      symbol: index.symbol,
+      fundingRate: parseFloat(index.lastFundingRate),
+      nextFundingTime: index.nextFundingTime,
+      markPrice: parseFloat(index.markPrice),
+      timestamp: index.time
+    };
+  }
+
+  async getKlines(symbol, interval = '1h', options = {}) {
+    const params = new URLSearchParams({ symbol, interval, limit: String(options.limit || 500) });
+    if (options.startTime) params.set('startTime', String(options.startTime));
+    if (options.endTime) params.set('endTime', String(options.endTime));
+
+    const rows = await this.makeRequest(`/v3/klines?${params.toString()}`);
+    const now = Date.now();
+
+    return rows.map(([openTime, open, high, low, close, volume, closeTime]) => toCandleDTO({
+      timestamp: openTime,
+      open,
+      high,
+      low,
+      close,
+      volume,
+      closed: closeTime < now
+    }));
+  }
+
   /**
    * ✅ IMPROVED: Trading with Validation
    */
@@ -155,74 +277,300 @@ class BinanceAPI {
 
     if (this.isDemo) {
       console.log('🎭 DEMO ORDER:', orderData);
-      
-      // Return realistic demo order response
-      return {
-        orderId: `demo_${Date.now()}`,
-        symbol: orderData.symbol,
-        side: orderData.side,
-        type: orderData.type,
-        quantity: orderData.quantity,
-        price: orderData.price,
-        status: 'FILLED',
-        transactTime: Date.now(),
-        fills: [{
-          price: orderData.price || (45000 + Math.random() * 10000).toFixed(2),
-          qty: orderData.quantity,
-          commission: (orderData.quantity * 0.001).toFixed(8),
-          commissionAsset: orderData.symbol.endsWith('USDT') ? 'USDT' : 'BNB'
-        }]
-      };
+
+      // Seed the paper exchange with a real price before matching
+      if (paperExchange.getLastPrice(orderData.symbol) === null) {
+        const ticker = await this.getTicker24hr(orderData.symbol);
+        if (!ticker.isMock) {
+          paperExchange.updatePrice(orderData.symbol, ticker.lastPrice || ticker.price);
+        }
+      }
+
+      const result = paperExchange.placeOrder(this.paperAccountId, orderData);
+      if (result.status === 'REJECTED') {
+        throw new Error(`Order failed: ${result.rejectReason}`);
+      }
+      return result;
     }
 
     // Real trading implementation (when not in demo mode)
     try {
+      const type = (orderData.type || 'MARKET').toUpperCase();
       const params = {
         symbol: orderData.symbol,
         side: orderData.side.toUpperCase(),
-        type: orderData.type.toUpperCase(),
+        type: ORDER_TYPE_MAP[type] || type,
         quantity: orderData.quantity,
+        newOrderRespType: 'FULL',
         timestamp: this.getTimestamp()
       };
 
-      if (orderData.type.toUpperCase() === 'LIMIT') {
+      if (orderData.clientOrderId) {
+        params.newClientOrderId = orderData.clientOrderId;
+      }
+
+      if (type === 'LIMIT' || type === 'STOP_LIMIT') {
         params.price = orderData.price;
         params.timeInForce = orderData.timeInForce || 'GTC';
       }
 
+      if (type === 'STOP' || type === 'STOP_LIMIT') {
+        params.stopPrice = orderData.stopPrice;
+      }
+
       const response = await this.makeSignedRequest('/v3/order', 'POST', params);
-      return response;
+      return this.toOrder(response);
     } catch (error) {
       console.error('❌ Order placement failed:', error.message);
       throw new Error(`Order failed: ${error.message}`);
     }
   }
 
+  /**
+   * Native OCO list: a LIMIT_MAKER leg plus a STOP_LOSS(_LIMIT) leg.
+   * The limit leg sits above the market for sells and below it for buys.
+   */
+  async placeOcoOrder({ symbol, side, quantity, price, stopPrice, stopLimitPrice, limitClientOrderId, stopClientOrderId }) {
+    if (this.isDemo) {
+      if (paperExchange.getLastPrice(symbol) === null) {
+        const ticker = await this.getTicker24hr(symbol);
+        if (!ticker.isMock) {
+          paperExchange.updatePrice(symbol, ticker.lastPrice || ticker.price);
+        }
+      }
+      return paperExchange.placeOcoOrder(this.paperAccountId, {
+        symbol, side, quantity, price, stopPrice, stopLimitPrice, limitClientOrderId, stopClientOrderId
+      });
+    }
+
+    const limitLeg = {
+      Type: 'LIMIT_MAKER',
+      Price: price,
+      ...(limitClientOrderId && { ClientOrderId: limitClientOrderId })
+    };
+    const stopLeg = {
+      Type: stopLimitPrice ? 'STOP_LOSS_LIMIT' : 'STOP_LOSS',
+      StopPrice: stopPrice,
+      ...(stopLimitPrice && { Price: stopLimitPrice, TimeInForce: 'GTC' }),
+      ...(stopClientOrderId && { ClientOrderId: stopClientOrderId })
+    };
+    const isSell = side.toUpperCase() === 'SELL';
+
+    const params = {
+      symbol,
+      side: side.toUpperCase(),
+      quantity,
+      newOrderRespType: 'FULL',
+      timestamp: this.getTimestamp()
+    };
+    for (const [key, value] of Object.entries(isSell ? limitLeg : stopLeg)) params[`above${key}`] = value;
+    for (const [key, value] of Object.entries(isSell ? stopLeg : limitLeg)) params[`below${key}`] = value;
+
+    try {
+      const response = await this.makeSignedRequest('/v3/orderList/oco', 'POST', params);
+      const reports = response.orderReports.map(report => this.toOrder(report));
+      const limitOrder = reports.find(order => order.type === 'LIMIT');
+      return [limitOrder, reports.find(order => order !== limitOrder)];
+    } catch (error) {
+      console.error('❌ OCO placement failed:', error.message);
+      throw new Error(`Order failed: ${error.message}`);
+    }
+  }
+
+  async cancelOrder({ symbol, orderId, clientOrderId }) {
+    if (this.isDemo) {
+      return paperExchange.cancelOrder(this.paperAccountId, orderId || clientOrderId);
+    }
+
+    const params = { symbol, timestamp: this.getTimestamp() };
+    if (orderId) params.orderId = orderId;
+    else params.origClientOrderId = clientOrderId;
+
+    const response = await this.makeSignedRequest('/v3/order', 'DELETE', params);
+    return this.toOrder(response);
+  }
+
+  async cancelAllOrders(symbol) {
+    if (this.isDemo || !symbol) {
+      return super.cancelAllOrders(symbol);
+    }
+
+    const response = await this.makeSignedRequest('/v3/openOrders', 'DELETE', {
+      symbol,
+      timestamp: this.getTimestamp()
+    });
+
+    // OCO legs come back wrapped in orderList entries
+    return response
+      .flatMap(entry => entry.orderReports || [entry])
+      .map(order => this.toOrder(order));
+  }
+
+  /**
+   * Binance spot has no in-place amend: cancel and replace atomically
+   */
+  async amendOrder({ symbol, orderId, clientOrderId, price, quantity, stopPrice }) {
+    if (this.isDemo) {
+      return paperExchange.amendOrder(this.paperAccountId, orderId || clientOrderId, { price, quantity, stopPrice });
+    }
+
+    const lookup = { symbol, timestamp: this.getTimestamp() };
+    if (orderId) lookup.orderId = orderId;
+    else lookup.origClientOrderId = clientOrderId;
+
+    const current = await this.makeSignedRequest('/v3/order', 'GET', lookup);
+
+    // `quantity` is the order's new total, as on Bybit; the replacement order only
+    // carries what is still unfilled
+    const executedQty = parseFloat(current.executedQty);
+    const totalQty = quantity !== undefined && quantity !== null ? parseFloat(quantity) : parseFloat(current.origQty);
+    if (totalQty <= executedQty) {
+      throw new Error(`Quantity cannot be at or below the ${executedQty} already filled`);
+    }
+
+    const params = {
+      symbol,
+      side: current.side,
+      type: current.type,
+      cancelReplaceMode: 'STOP_ON_FAILURE',
+      cancelOrderId: current.orderId,
+      quantity: parseFloat((totalQty - executedQty).toFixed(8)),
+      newOrderRespType: 'FULL',
+      timestamp: this.getTimestamp()
+    };
+
+    if (current.type !== 'MARKET' && current.type !== 'STOP_LOSS') {
+      params.price = price || current.price;
+      params.timeInForce = current.timeInForce;
+    }
+    if (parseFloat(current.stopPrice) > 0) {
+      params.stopPrice = stopPrice || current.stopPrice;
+    }
+
+    const response = await this.makeSignedRequest('/v3/order/cancelReplace', 'POST', params);
+    return {
+      ...this.toOrder(response.newOrderResponse),
+      replacedOrderId: String(current.orderId),
+      replacedFilledQuantity: parseFloat(response.cancelResponse?.executedQty ?? current.executedQty)
+    };
+  }
+
+  async getOrder({ symbol, orderId, clientOrderId }) {
+    if (this.isDemo) {
+      return paperExchange.getOrder(this.paperAccountId, orderId);
+    }
+
+    const params = { symbol, timestamp: this.getTimestamp() };
+    if (orderId) params.orderId = orderId;
+    else params.origClientOrderId = clientOrderId;
+
+    const response = await this.makeSignedRequest('/v3/order', 'GET', params);
+    return this.toOrder(response);
+  }
+
+  async getOpenOrders(symbol = null) {
+    if (this.isDemo) {
+      return paperExchange.getOpenOrders(this.paperAccountId, symbol);
+    }
+
+    const params = { timestamp: this.getTimestamp() };
+    if (symbol) params.symbol = symbol;
+
+    const response = await this.makeSignedRequest('/v3/openOrders', 'GET', params);
+    return response.map(order => this.toOrder(order));
+  }
+
+  async getFills(symbol, options = {}) {
+    if (this.isDemo) {
+      return paperExchange.getFills(this.paperAccountId, symbol)
+        .filter(fill => !options.startTime || fill.timestamp >= options.startTime);
+    }
+
+    const params = { symbol, limit: options.limit || 500, timestamp: this.getTimestamp() };
+    if (options.startTime) params.startTime = options.startTime;
+
+    const trades = await this.makeSignedRequest('/v3/myTrades', 'GET', params);
+    return trades.map(trade => toFillDTO({
+      fillId: trade.id,
+      orderId: trade.orderId,
+      symbol: trade.symbol,
+      side: trade.isBuyer ? 'BUY' : 'SELL',
+      quantity: trade.qty,
+      price: trade.price,
+      commission: trade.commission,
+      commissionAsset: trade.commissionAsset,
+      isMaker: trade.isMaker,
+      timestamp: trade.time
+    }));
+  }
+
+  /**
+   * Convert a Binance order payload into an OrderDTO
+   */
+  toOrder(raw) {
+    const executedQty = parseFloat(raw.executedQty || 0);
+    const quoteQty = parseFloat(raw.cummulativeQuoteQty || 0);
+
+    return toOrderDTO({
+      orderId: raw.orderId,
+      clientOrderId: raw.clientOrderId || raw.origClientOrderId,
+      symbol: raw.symbol,
+      side: raw.side,
+      type: BINANCE_TYPE_MAP[raw.type] || raw.type,
+      status: raw.status,
+      quantity: raw.origQty,
+      price: parseFloat(raw.price) > 0 ? raw.price : null,
+      stopPrice: parseFloat(raw.stopPrice) > 0 ? raw.stopPrice : null,
+      timeInForce: raw.timeInForce,
+      filledQuantity: executedQty,
+      avgFillPrice: executedQty > 0 && quoteQty > 0 ? quoteQty / executedQty : null,
+      fills: (raw.fills || []).map(fill => ({
+        fillId: fill.tradeId,
+        orderId: raw.orderId,
+        clientOrderId: raw.clientOrderId,
+        symbol: raw.symbol,
+        side: raw.side,
+        quantity: fill.qty,
+        price: fill.price,
+        commission: fill.commission,
+        commissionAsset: fill.commissionAsset,
+        timestamp: raw.transactTime
+      })),
+      createdAt: raw.time || raw.transactTime,
+      updatedAt: raw.updateTime || raw.transactTime,
+      raw
+    });
+  }
+
   async getAccountInfo() {
     if (this.isDemo) {
       console.log('🎭 DEMO ACCOUNT INFO');
-      
+
+      const balances = paperExchange.getBalances(this.paperAccountId).map(toBalanceDTO);
+      const cash = balances.find(b => b.asset === 'USDT');
       return {
-        balances: [
-          { asset: 'USDT', free: '10000.00', locked: '500.00' },
-          { asset: 'BTC', free: '0.5', locked: '0.0' },
-          { asset: 'ETH', free: '5.0', locked: '0.0' },
-          { asset: 'ADA', free: '1000.0', locked: '0.0' }
-        ],
-        totalWalletBalance: '15000.00',
-        totalUnrealizedProfit: '250.50',
-        totalMarginBalance: '15250.50'
+        accountType: 'DEMO',
+        balance: cash ? cash.total : 0,
+        equity: paperExchange.getEquity(this.paperAccountId),
+        balances
       };
     }
 
-    try {
-      const params = { timestamp: this.getTimestamp() };
-      const response = await this.makeSignedRequest('/v3/account', 'GET', params);
-      return response;
-    } catch (error) {
-      console.warn('📊 Using demo account info:', error.message);
-      return this.getAccountInfo(); // Fallback to demo
-    }
+    const params = { timestamp: this.getTimestamp() };
+    const response = await this.makeSignedRequest('/v3/account', 'GET', params);
+
+    const balances = response.balances
+      .filter(b => parseFloat(b.free) > 0 || parseFloat(b.locked) > 0)
+      .map(toBalanceDTO);
+    const cash = balances.find(b => b.asset === 'USDT');
+
+    return {
+      accountType: 'LIVE',
+      balance: cash ? cash.total : 0,
+      equity: cash ? cash.total : 0,
+      balances,
+      raw: response
+    };
   }
 
   /**
@@ -254,8 +602,7 @@ class BinanceAPI {
 
   async makeSignedRequest(endpoint, method = 'GET', params = {}) {
     if (this.isDemo) {
-      console.log('🎭 DEMO SIGNED REQUEST:', { endpoint, method, params });
-      return { success: true, orderId: `demo_${Date.now()}` };
+      throw new Error(`Signed request ${method} ${endpoint} is not available in demo mode`);
     }
 
     try {
@@ -288,101 +635,375 @@ class BinanceAPI {
    * ✅ SAFE: WebSocket with Error Handling
    */
   async connectWebSocket() {
-    try {
-      return new Promise((resolve, reject) => {
-        this.wsConnection = new WebSocket(this.wsBaseUrl);
-        
-        this.wsConnection.onopen = () => {
-          console.log(`✅ Binance ${this.isDemo ? 'Testnet' : 'Live'} WebSocket connected`);
-          resolve(true);
-        };
+    if (this.wsConnection?.readyState === WS_OPEN) return true;
+    if (this.wsConnecting) return this.wsConnecting;
 
-        this.wsConnection.onmessage = (event) => {
-          try {
-            const data = JSON.parse(event.data);
-            this.handleWebSocketMessage(data);
-          } catch (error) {
-            console.warn('📡 WebSocket message parse error:', error);
-          }
-        };
+    this.wsConnecting = new Promise((resolve, reject) => {
+      this.wsConnection = createWebSocket(this.wsBaseUrl);
+      
+      this.wsConnection.onopen = () => {
+        console.log(`✅ Binance ${this.isDemo ? 'Testnet' : 'Live'} WebSocket connected`);
+        this.sendSubscribe(Array.from(this.subscriptions.keys()));
+        resolve(true);
+      };
 
-        this.wsConnection.onerror = (error) => {
-          console.error('📡 WebSocket error:', error);
-          reject(error);
-        };
+      this.wsConnection.onmessage = (event) => {
+        try {
+          const data = JSON.parse(event.data);
+          this.handleWebSocketMessage(data);
+        } catch (error) {
+          console.warn('📡 WebSocket message parse error:', error);
+        }
+      };
 
-        this.wsConnection.onclose = () => {
-          console.log('📡 WebSocket disconnected');
-        };
+      this.wsConnection.onerror = (error) => {
+        console.error('📡 WebSocket error:', error);
+        reject(error);
+      };
+
+      const socket = this.wsConnection;
+      socket.onclose = () => {
+        if (this.wsConnection === socket) this.wsConnection = null;
 
-        // Timeout after 10 seconds
+        // Reopen while streams are still wanted; onopen resubscribes them all
+        if (this.closing || this.subscriptions.size === 0) {
+          console.log('📡 WebSocket disconnected');
+          return;
+        }
+        console.log('🔄 Binance stream closed, reconnecting...');
         setTimeout(() => {
-          if (this.wsConnection.readyState === WebSocket.CONNECTING) {
-            reject(new Error('WebSocket connection timeout'));
-          }
-        }, 10000);
-      });
-    } catch (error) {
-      console.warn('📡 WebSocket fallback to polling mode');
-      return true; // Continue without WebSocket
+          if (this.closing || this.subscriptions.size === 0) return;
+          this.connectWebSocket().catch(error => console.warn('📡 Binance stream reconnect failed:', error.message || error));
+        }, STREAM_RECONNECT_DELAY);
+      };
+
+      // Timeout after 10 seconds
+      setTimeout(() => {
+        if (this.wsConnection?.readyState === WS_CONNECTING) {
+          reject(new Error('WebSocket connection timeout'));
+        }
+      }, 10000);
+    }).finally(() => {
+      this.wsConnecting = null;
+    });
+
+    return this.wsConnecting;
+  }
+
+  sendSubscribe(streams, method = 'SUBSCRIBE') {
+    if (streams.length === 0 || this.wsConnection?.readyState !== WS_OPEN) return;
+
+    this.wsConnection.send(JSON.stringify({
+      method,
+      params: streams,
+      id: Date.now()
+    }));
+  }
+
+  /**
+   * Subscribe to a public stream ('ticker' | 'kline' | 'trade' | 'depth') or the
+   * private user-data stream ('order' | 'execution' | 'wallet').
+   * Returns an unsubscribe function
+   */
+  subscribe(channel, { symbol, interval = '1m' } = {}, handler) {
+    if (USER_DATA_CHANNELS.includes(channel)) {
+      return this.subscribeUserData(channel, handler);
     }
+
+    const lower = symbol.toLowerCase();
+    const stream = channel === 'kline'
+      ? `${lower}@kline_${interval}`
+      : channel === 'depth'
+        ? `${lower}@depth@100ms`
+        : `${lower}@${channel}`;
+
+    if (!this.subscriptions.has(stream)) {
+      this.subscriptions.set(stream, { type: channel, handlers: new Set() });
+      this.sendSubscribe([stream]);
+    }
+    this.subscriptions.get(stream).handlers.add(handler);
+
+    this.connectWebSocket().catch(error => {
+      console.warn(`📡 Stream ${stream} unavailable:`, error.message);
+    });
+
+    return () => {
+      const subscription = this.subscriptions.get(stream);
+      if (!subscription) return;
+
+      subscription.handlers.delete(handler);
+      if (subscription.handlers.size === 0) {
+        this.subscriptions.delete(stream);
+        this.sendSubscribe([stream], 'UNSUBSCRIBE');
+      }
+    };
   }
 
   subscribeToTicker(symbol) {
-    const stream = `${symbol.toLowerCase()}@ticker`;
-    this.subscriptions.set(stream, 'ticker');
-    
-    if (this.wsConnection && this.wsConnection.readyState === WebSocket.OPEN) {
-      this.wsConnection.send(JSON.stringify({
-        method: 'SUBSCRIBE',
-        params: [stream],
-        id: Date.now()
-      }));
-      console.log(`📡 Subscribed to ${symbol} ticker`);
-    } else {
-      console.log(`📡 Simulated subscription to ${symbol} ticker`);
-    }
+    return this.subscribe('ticker', { symbol }, (ticker) => this.onTickerUpdate?.(ticker));
   }
 
   handleWebSocketMessage(data) {
-    if (data.stream) {
-      const streamType = this.subscriptions.get(data.stream);
-      
-      switch (streamType) {
-        case 'ticker':
-          this.onTickerUpdate?.(data.data);
-          break;
-        case 'kline':
-          this.onKlineUpdate?.(data.data);
-          break;
-        default:
-          console.log('📡 Unhandled stream:', data);
-      }
+    if (!data.stream) return;
+
+    const subscription = this.subscriptions.get(data.stream);
+    if (!subscription) return;
+
+    let payload;
+    switch (subscription.type) {
+      case 'ticker':
+        payload = {
+          symbol: data.data.s,
+          price: parseFloat(data.data.c),
+          priceChangePercent: parseFloat(data.data.P),
+          volume: parseFloat(data.data.v),
+          timestamp: data.data.E
+        };
+        break;
+      case 'kline':
+        payload = {
+          symbol: data.data.s,
+          interval: data.data.k.i,
+          ...toCandleDTO({
+            timestamp: data.data.k.t,
+            open: data.data.k.o,
+            high: data.data.k.h,
+            low: data.data.k.l,
+            close: data.data.k.c,
+            volume: data.data.k.v,
+            closed: data.data.k.x
+          })
+        };
+        break;
+      case 'trade':
+        payload = {
+          symbol: data.data.s,
+          tradeId: data.data.t,
+          price: parseFloat(data.data.p),
+          quantity: parseFloat(data.data.q),
+          side: data.data.m ? 'SELL' : 'BUY',
+          timestamp: data.data.T
+        };
+        break;
+      case 'depth':
+        // Diffs only; the book starts from a getOrderBook snapshot
+        payload = {
+          type: 'delta',
+          symbol: data.data.s,
+          firstUpdateId: data.data.U,
+          finalUpdateId: data.data.u,
+          bids: data.data.b,
+          asks: data.data.a,
+          timestamp: data.data.E
+        };
+        break;
+      default:
+        console.log('📡 Unhandled stream:', data);
+        return;
+    }
+
+    for (const handler of subscription.handlers) {
+      handler(payload);
     }
   }
 
   /**
-   * Event Handlers
+   * ===== USER DATA STREAM (listenKey) =====
    */
-  onTickerUpdate(data) {
-    console.log('📈 Ticker update:', data);
+
+  subscribeUserData(channel, handler) {
+    if (this.isDemo) {
+      // Demo accounts mirror the user-data stream from the paper exchange
+      const event = channel === 'execution' ? 'fill' : channel;
+      const listener = (payload) => {
+        if (payload.accountId === this.paperAccountId) handler(payload);
+      };
+      paperExchange.on(event, listener);
+      return () => paperExchange.off(event, listener);
+    }
+
+    if (!this.userHandlers.has(channel)) {
+      this.userHandlers.set(channel, new Set());
+    }
+    this.userHandlers.get(channel).add(handler);
+
+    this.startUserDataStream().catch(error => {
+      console.error('❌ Binance user-data stream failed:', error.message);
+    });
+
+    return () => {
+      this.userHandlers.get(channel)?.delete(handler);
+      if (!this.hasUserHandlers()) this.stopUserDataStream();
+    };
+  }
+
+  startUserDataStream() {
+    if (this.userStream) return Promise.resolve(this.userStream);
+    // Channels subscribed back to back ('order', 'execution') share one listenKey and socket
+    if (this.userStreamStarting) return this.userStreamStarting;
+
+    this.userStreamStarting = this.openUserDataStream().finally(() => {
+      this.userStreamStarting = null;
+    });
+    return this.userStreamStarting;
+  }
+
+  async openUserDataStream() {
+    const { listenKey } = await this.makeRequest('/v3/userDataStream', 'POST');
+
+    // Every handler unsubscribed while the listenKey was being created
+    if (!this.hasUserHandlers()) {
+      this.makeRequest(`/v3/userDataStream?listenKey=${listenKey}`, 'DELETE').catch(() => {});
+      return null;
+    }
+
+    const socket = createWebSocket(`${this.wsBaseUrl.replace(/\/stream$/, '/ws')}/${listenKey}`);
+    this.userStream = { listenKey, socket, keepAlive: null };
+
+    socket.onopen = () => {
+      console.log('🔐 Binance user-data stream connected');
+    };
+
+    socket.onmessage = (event) => {
+      try {
+        this.handleUserDataMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.warn('📡 User-data message parse error:', error);
+      }
+    };
+
+    socket.onerror = (error) => {
+      console.error('📡 User-data stream error:', error.message || error);
+    };
+
+    socket.onclose = () => {
+      if (this.userStream?.socket !== socket) return;
+      this.clearUserDataStream();
+      this.restartUserDataStream();
+    };
+
+    // listenKeys expire after 60 minutes without a keepalive
+    this.userStream.keepAlive = setInterval(() => {
+      this.makeRequest(`/v3/userDataStream?listenKey=${listenKey}`, 'PUT').catch(error => {
+        console.warn('📡 listenKey keepalive failed:', error.message);
+      });
+    }, LISTEN_KEY_KEEPALIVE);
+
+    return this.userStream;
   }
 
-  onKlineUpdate(data) {
-    console.log('📊 Kline update:', data);
+  hasUserHandlers() {
+    return Array.from(this.userHandlers.values()).some(set => set.size > 0);
+  }
+
+  restartUserDataStream() {
+    if (!this.hasUserHandlers()) return;
+
+    console.log('🔄 Restarting Binance user-data stream...');
+    setTimeout(() => {
+      this.startUserDataStream().catch(error => {
+        console.error('❌ Binance user-data stream restart failed:', error.message);
+        this.restartUserDataStream();
+      });
+    }, USER_STREAM_RETRY_DELAY);
+  }
+
+  clearUserDataStream() {
+    if (!this.userStream) return null;
+
+    const stream = this.userStream;
+    clearInterval(stream.keepAlive);
+    this.userStream = null;
+    return stream;
+  }
+
+  stopUserDataStream() {
+    const stream = this.clearUserDataStream();
+    if (!stream) return;
+
+    stream.socket.close();
+    this.makeRequest(`/v3/userDataStream?listenKey=${stream.listenKey}`, 'DELETE').catch(() => {});
+  }
+
+  handleUserDataMessage(event) {
+    const emit = (channel, payload) => {
+      this.userHandlers.get(channel)?.forEach(handler => handler(payload));
+    };
+
+    switch (event.e) {
+      case 'executionReport': {
+        // On cancels `c` is the cancel request id and `C` the original order's id
+        const clientOrderId = event.C || event.c;
+
+        if (event.x === 'TRADE') {
+          emit('execution', toFillDTO({
+            fillId: event.t,
+            orderId: event.i,
+            clientOrderId,
+            symbol: event.s,
+            side: event.S,
+            quantity: event.l,
+            price: event.L,
+            commission: event.n,
+            commissionAsset: event.N,
+            isMaker: event.m,
+            timestamp: event.T
+          }));
+        }
+
+        const filledQuantity = parseFloat(event.z);
+        emit('order', toOrderDTO({
+          orderId: event.i,
+          clientOrderId,
+          symbol: event.s,
+          side: event.S,
+          type: BINANCE_TYPE_MAP[event.o] || event.o,
+          status: event.X,
+          quantity: event.q,
+          price: event.p,
+          stopPrice: parseFloat(event.P) > 0 ? event.P : null,
+          timeInForce: event.f,
+          filledQuantity,
+          avgFillPrice: filledQuantity > 0 ? parseFloat(event.Z) / filledQuantity : null,
+          rejectReason: event.r && event.r !== 'NONE' ? event.r : null,
+          createdAt: event.O,
+          updatedAt: event.E,
+          raw: event
+        }));
+        break;
+      }
+      case 'outboundAccountPosition':
+        emit('wallet', {
+          balances: event.B.map(balance => toBalanceDTO({ asset: balance.a, free: balance.f, locked: balance.l })),
+          timestamp: event.E
+        });
+        break;
+      case 'listenKeyExpired':
+        console.warn('📡 Binance listenKey expired');
+        this.clearUserDataStream()?.socket.close();
+        this.restartUserDataStream();
+        break;
+      default:
+        break;
+    }
   }
 
   /**
    * Cleanup
    */
   disconnect() {
+    this.closing = true;
+    this.userHandlers.clear();
+    this.stopUserDataStream();
+
     if (this.wsConnection) {
       this.wsConnection.close();
       this.wsConnection = null;
     }
     this.subscriptions.clear();
+    this.isConnected = false;
     console.log('🔌 Binance API disconnected');
   }
 }
 
-export default BinanceAPI;
\ No newline at end of file
+export default BinanceAPI;
@@ -0,0 +1,953 @@
+/**
+ * Bybit v5 API Integration
+ * Signed REST (spot + linear perps), unified trading account, position settings
+ * and the private order/execution WebSocket
+ */
+
+import { paperExchange } from '../paper-trading/paper-exchange.js';
+import {
+  ExchangeAdapter,
+  toOrderDTO,
+  toFillDTO,
+  toBalanceDTO,
+  toCandleDTO,
+  createWebSocket,
+  WS_OPEN
+} from './exchange-adapter.js';
+
+const ORDER_TYPE_MAP = {
+  MARKET: 'Market',
+  LIMIT: 'Limit',
+  STOP: 'Market',
+  STOP_LIMIT: 'Limit'
+};
+
+const TIME_IN_FORCE_MAP = {
+  GTC: 'GTC',
+  IOC: 'IOC',
+  FOK: 'FOK',
+  POST_ONLY: 'PostOnly'
+};
+
+const KLINE_INTERVALS = {
+  '1m': '1', '3m': '3', '5m': '5', '15m': '15', '30m': '30',
+  '1h': '60', '2h': '120', '4h': '240', '6h': '360', '12h': '720',
+  '1d': 'D', '1w': 'W', '1M': 'M'
+};
+
+const INTERVAL_MS = {
+  '1': 60000, '3': 180000, '5': 300000, '15': 900000, '30': 1800000,
+  '60': 3600000, '120': 7200000, '240': 14400000, '360': 21600000, '720': 43200000,
+  'D': 86400000, 'W': 604800000, 'M': 2592000000
+};
+
+const POSITION_MODES = {
+  ONE_WAY: 0,
+  HEDGE: 3
+};
+
+const PRIVATE_TOPICS = ['order', 'execution', 'position', 'wallet'];
+
+const PUBLIC_TOPICS = {
+  ticker: 'tickers',
+  kline: 'kline',
+  trade: 'publicTrade',
+  depth: 'orderbook.50'
+};
+
+// retCodes Bybit returns when a setting is already in the requested state
+const NOT_MODIFIED_CODES = [110043, 110025];
+
+const PING_INTERVAL = 20000;
+const RECONNECT_DELAY = 3000;
+
+const clean = (params) => Object.fromEntries(
+  Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+const toBybitSide = (side) => (String(side).toUpperCase() === 'BUY' ? 'Buy' : 'Sell');
+
+class BybitAPI extends ExchangeAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.baseUrl = config.apiUrl || 'https://api.bybit.com';
+    this.wsUrl = config.wsUrl || 'wss://stream.bybit.com';
+    this.recvWindow = config.recvWindow || 5000;
+    this.defaultCategory = config.category || 'spot';
+    this.paperAccountId = config.accountId || 'bybit_demo';
+
+    this.accountSettings = null;
+    this.positionModes = new Map(); // symbol -> ONE_WAY | HEDGE
+    this.leverage = new Map(); // symbol -> { buyLeverage, sellLeverage }
+
+    this.sockets = new Map(); // 'private' | category -> WebSocket
+    this.pingTimers = new Map();
+    this.subscriptions = new Map(); // key -> { socketKey, topic, channel, handlers }
+    this.paperListeners = [];
+    this.closing = false;
+  }
+
+  /**
+   * ===== CONNECTION =====
+   */
+
+  async connect() {
+    if (this.isDemo) {
+      paperExchange.getAccount(this.paperAccountId, {
+        allowShort: this.defaultCategory === 'linear'
+      });
+      console.log('🎭 Bybit Demo Mode Connected');
+      this.isConnected = true;
+      return true;
+    }
+
+    try {
+      this.accountSettings = await this.request('GET', '/v5/account/info', {}, { signed: true });
+      this.isConnected = true;
+      console.log(`✅ Bybit API Connected (${this.accountSettings.marginMode})`);
+      return true;
+    } catch (error) {
+      console.error('❌ Bybit connection error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * HMAC-SHA256 signature (Web Crypto works in the browser and on Node 18+)
+   */
+  async sign(payload) {
+    if (!this.apiSecret) {
+      throw new Error('Bybit API secret is required for signed requests');
+    }
+
+    const encoder = new TextEncoder();
+    const key = await globalThis.crypto.subtle.importKey(
+      'raw',
+      encoder.encode(this.apiSecret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const signature = await globalThis.crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+
+    return Array.from(new Uint8Array(signature))
+      .map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * v5 request: signature = HMAC(timestamp + apiKey + recvWindow + queryString | jsonBody)
+   */
+  async request(method, path, params = {}, { signed = false } = {}) {
+    const payload = clean(params);
+    const query = method === 'GET' ? new URLSearchParams(payload).toString() : '';
+    const body = method === 'GET' ? '' : JSON.stringify(payload);
+
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (signed) {
+      const timestamp = Date.now().toString();
+      headers['X-BAPI-API-KEY'] = this.apiKey;
+      headers['X-BAPI-TIMESTAMP'] = timestamp;
+      headers['X-BAPI-RECV-WINDOW'] = String(this.recvWindow);
+      headers['X-BAPI-SIGN'] = await this.sign(
+        `${timestamp}${this.apiKey}${this.recvWindow}${query || body}`
+      );
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}${query ? `?${query}` : ''}`, {
+      method,
+      headers,
+      ...(method !== 'GET' && { body })
+    });
+
+    const data = await response.json();
+    if (data.retCode !== 0) {
+      const error = new Error(`Bybit API Error ${data.retCode}: ${data.retMsg}`);
+      error.code = data.retCode;
+      throw error;
+    }
+
+    return data.result;
+  }
+
+  validateOrderData(orderData) {
+    const errors = [];
+
+    if (!orderData.symbol || !/^[A-Z0-9]{2,20}$/.test(orderData.symbol)) {
+      errors.push('Invalid symbol format');
+    }
+    if (!['BUY', 'SELL'].includes(String(orderData.side).toUpperCase())) {
+      errors.push('Invalid order side');
+    }
+    if (!orderData.quantity || parseFloat(orderData.quantity) <= 0) {
+      errors.push('Invalid quantity');
+    }
+
+    const type = String(orderData.type || 'MARKET').toUpperCase();
+    if (!ORDER_TYPE_MAP[type]) {
+      errors.push(`Unsupported order type: ${type}`);
+    }
+    if (['LIMIT', 'STOP_LIMIT'].includes(type) && (!orderData.price || parseFloat(orderData.price) <= 0)) {
+      errors.push('Invalid price for limit order');
+    }
+    if (['STOP', 'STOP_LIMIT'].includes(type) && (!orderData.stopPrice || parseFloat(orderData.stopPrice) <= 0)) {
+      errors.push('Invalid stop price');
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * ===== ACCOUNT (Unified Trading Account) =====
+   */
+
+  async getAccountInfo() {
+    if (this.isDemo) {
+      const balances = paperExchange.getBalances(this.paperAccountId).map(toBalanceDTO);
+      const cash = balances.find(b => b.asset === 'USDT');
+      return {
+        accountType: 'DEMO',
+        balance: cash ? cash.total : 0,
+        equity: paperExchange.getEquity(this.paperAccountId),
+        balances
+      };
+    }
+
+    try {
+      const result = await this.request('GET', '/v5/account/wallet-balance', { accountType: 'UNIFIED' }, { signed: true });
+      return this.toAccountInfo(result.list?.[0]);
+    } catch (error) {
+      console.error('❌ Bybit account info error:', error);
+      throw error;
+    }
+  }
+
+  toAccountInfo(wallet = {}) {
+    return {
+      accountType: 'LIVE',
+      marginMode: this.accountSettings?.marginMode,
+      balance: parseFloat(wallet.totalWalletBalance || 0),
+      equity: parseFloat(wallet.totalEquity || 0),
+      availableBalance: parseFloat(wallet.totalAvailableBalance || 0),
+      marginBalance: parseFloat(wallet.totalMarginBalance || 0),
+      initialMargin: parseFloat(wallet.totalInitialMargin || 0),
+      maintenanceMargin: parseFloat(wallet.totalMaintenanceMargin || 0),
+      unrealizedPnL: parseFloat(wallet.totalPerpUPL || 0),
+      initialMarginRate: parseFloat(wallet.accountIMRate || 0),
+      maintenanceMarginRate: parseFloat(wallet.accountMMRate || 0),
+      balances: (wallet.coin || []).map(coin => this.toBalance(coin))
+    };
+  }
+
+  /**
+   * UTA coins carry spot locks plus order/position margin for derivatives
+   */
+  toBalance(coin) {
+    const walletBalance = parseFloat(coin.walletBalance || 0);
+    const locked = parseFloat(coin.locked || 0)
+      + parseFloat(coin.totalOrderIM || 0)
+      + parseFloat(coin.totalPositionIM || 0);
+
+    return {
+      ...toBalanceDTO({
+        asset: coin.coin,
+        free: Math.max(0, walletBalance - locked),
+        locked,
+        total: walletBalance
+      }),
+      equity: parseFloat(coin.equity || 0),
+      usdValue: parseFloat(coin.usdValue || 0),
+      unrealizedPnL: parseFloat(coin.unrealisedPnl || 0),
+      borrowed: parseFloat(coin.borrowAmount || 0)
+    };
+  }
+
+  /**
+   * ===== POSITIONS (linear perps) =====
+   */
+
+  async getPositions({ symbol, category = 'linear', settleCoin = 'USDT' } = {}) {
+    if (this.isDemo) return [];
+
+    const result = await this.request('GET', '/v5/position/list', {
+      category,
+      symbol,
+      ...(!symbol && { settleCoin })
+    }, { signed: true });
+
+    return (result.list || [])
+      .filter(position => parseFloat(position.size) > 0)
+      .map(position => ({
+        symbol: position.symbol,
+        side: position.side === 'Buy' ? 'LONG' : 'SHORT',
+        quantity: parseFloat(position.size),
+        avgPrice: parseFloat(position.avgPrice),
+        markPrice: parseFloat(position.markPrice),
+        liquidationPrice: position.liqPrice ? parseFloat(position.liqPrice) : null,
+        leverage: parseFloat(position.leverage),
+        unrealizedPnL: parseFloat(position.unrealisedPnl),
+        positionIdx: position.positionIdx
+      }));
+  }
+
+  async setLeverage(symbol, leverage, { buyLeverage = leverage, sellLeverage = leverage, category = 'linear' } = {}) {
+    const setting = { buyLeverage: String(buyLeverage), sellLeverage: String(sellLeverage) };
+
+    if (!this.isDemo) {
+      try {
+        await this.request('POST', '/v5/position/set-leverage', { category, symbol, ...setting }, { signed: true });
+      } catch (error) {
+        if (!NOT_MODIFIED_CODES.includes(error.code)) throw error;
+      }
+    }
+
+    this.leverage.set(symbol, setting);
+    console.log(`⚙️ Bybit leverage for ${symbol}: ${setting.buyLeverage}x / ${setting.sellLeverage}x`);
+    return setting;
+  }
+
+  /**
+   * Switch between one-way (positionIdx 0) and hedge mode (1 = long, 2 = short)
+   */
+  async switchPositionMode(symbol, mode, { category = 'linear' } = {}) {
+    if (POSITION_MODES[mode] === undefined) {
+      throw new Error(`Unknown position mode: ${mode}`);
+    }
+
+    if (!this.isDemo) {
+      try {
+        await this.request('POST', '/v5/position/switch-mode', {
+          category,
+          symbol,
+          mode: POSITION_MODES[mode]
+        }, { signed: true });
+      } catch (error) {
+        if (!NOT_MODIFIED_CODES.includes(error.code)) throw error;
+      }
+    }
+
+    this.positionModes.set(symbol, mode);
+    console.log(`⚙️ Bybit position mode for ${symbol}: ${mode}`);
+    return mode;
+  }
+
+  getPositionIdx(symbol, side, reduceOnly = false) {
+    if (this.positionModes.get(symbol) !== 'HEDGE') return 0;
+
+    const isBuy = String(side).toUpperCase() === 'BUY';
+    // Closing trades sit on the opposite leg of the hedge
+    return isBuy !== Boolean(reduceOnly) ? 1 : 2;
+  }
+
+  /**
+   * ===== ORDERS =====
+   */
+
+  async placeOrder(order) {
+    const validation = this.validateOrderData(order);
+    if (!validation.isValid) {
+      throw new Error(`Invalid order data: ${validation.errors.join(', ')}`);
+    }
+
+    if (this.isDemo) {
+      console.log('🎭 DEMO ORDER (Bybit):', order);
+      if (paperExchange.getLastPrice(order.symbol) === null) {
+        const ticker = await this.getTicker(order.symbol, order.category);
+        paperExchange.updatePrice(order.symbol, ticker.price);
+      }
+      const result = paperExchange.placeOrder(this.paperAccountId, order);
+      if (result.status === 'REJECTED') {
+        throw new Error(`Order failed: ${result.rejectReason}`);
+      }
+      return result;
+    }
+
+    const category = order.category || this.defaultCategory;
+    const type = String(order.type || 'MARKET').toUpperCase();
+    const isConditional = type === 'STOP' || type === 'STOP_LIMIT';
+
+    const params = {
+      category,
+      symbol: order.symbol,
+      side: toBybitSide(order.side),
+      orderType: ORDER_TYPE_MAP[type],
+      qty: String(order.quantity),
+      orderLinkId: order.clientOrderId,
+      timeInForce: order.timeInForce ? TIME_IN_FORCE_MAP[order.timeInForce] || order.timeInForce : undefined,
+      ...(ORDER_TYPE_MAP[type] === 'Limit' && { price: String(order.price) })
+    };
+
+    if (isConditional) {
+      params.triggerPrice = String(order.stopPrice);
+      if (category === 'spot') {
+        params.orderFilter = 'StopOrder';
+      } else {
+        // 1 = trigger when price rises to triggerPrice, 2 = when it falls
+        params.triggerDirection = String(order.side).toUpperCase() === 'BUY' ? 1 : 2;
+      }
+    }
+
+    if (category === 'spot' && params.orderType === 'Market') {
+      params.marketUnit = 'baseCoin'; // Spot market buys default to quote quantity
+    }
+
+    if (category !== 'spot') {
+      params.positionIdx = this.getPositionIdx(order.symbol, order.side, order.reduceOnly);
+      if (order.reduceOnly) params.reduceOnly = true;
+    }
+
+    try {
+      const result = await this.request('POST', '/v5/order/create', params, { signed: true });
+
+      const snapshot = await this.getOrder({ category, symbol: order.symbol, orderId: result.orderId })
+        .catch(() => null);
+
+      return snapshot || toOrderDTO({
+        orderId: result.orderId,
+        clientOrderId: result.orderLinkId,
+        symbol: order.symbol,
+        side: order.side,
+        type,
+        status: 'New',
+        quantity: order.quantity,
+        price: order.price,
+        stopPrice: order.stopPrice,
+        timeInForce: params.timeInForce
+      });
+    } catch (error) {
+      console.error('❌ Bybit order error:', error);
+      throw error;
+    }
+  }
+
+  async getOrder({ category = this.defaultCategory, symbol, orderId, clientOrderId }) {
+    if (this.isDemo) {
+      return paperExchange.getOrder(this.paperAccountId, orderId);
+    }
+
+    const params = { category, symbol, orderId, orderLinkId: orderId ? undefined : clientOrderId };
+
+    const open = await this.request('GET', '/v5/order/realtime', params, { signed: true });
+    let raw = open.list?.[0];
+
+    if (!raw) {
+      const history = await this.request('GET', '/v5/order/history', params, { signed: true });
+      raw = history.list?.[0];
+    }
+
+    return raw ? this.toOrder(raw) : null;
+  }
+
+  /**
+   * Demo only: v5 has per-order TP/SL but no OCO list, so live brackets are
+   * emulated server-side by the OCO manager
+   */
+  async placeOcoOrder(params) {
+    if (!this.isDemo) {
+      return this.unsupported('placeOcoOrder');
+    }
+    if (paperExchange.getLastPrice(params.symbol) === null) {
+      const ticker = await this.getTicker(params.symbol);
+      paperExchange.updatePrice(params.symbol, ticker.price);
+    }
+    return paperExchange.placeOcoOrder(this.paperAccountId, params);
+  }
+
+  async cancelOrder({ symbol, orderId, clientOrderId, category = this.defaultCategory }) {
+    if (this.isDemo) {
+      return paperExchange.cancelOrder(this.paperAccountId, orderId || clientOrderId);
+    }
+
+    const result = await this.request('POST', '/v5/order/cancel', {
+      category,
+      symbol,
+      orderId,
+      orderLinkId: orderId ? undefined : clientOrderId
+    }, { signed: true });
+
+    const snapshot = await this.getOrder({ category, symbol, orderId: result.orderId }).catch(() => null);
+    return snapshot || toOrderDTO({
+      orderId: result.orderId,
+      clientOrderId: result.orderLinkId,
+      symbol,
+      status: 'Cancelled'
+    });
+  }
+
+  async amendOrder({ symbol, orderId, clientOrderId, price, quantity, stopPrice, category = this.defaultCategory }) {
+    if (this.isDemo) {
+      return paperExchange.amendOrder(this.paperAccountId, orderId || clientOrderId, { price, quantity, stopPrice });
+    }
+
+    const result = await this.request('POST', '/v5/order/amend', {
+      category,
+      symbol,
+      orderId,
+      orderLinkId: orderId ? undefined : clientOrderId,
+      price: price !== undefined ? String(price) : undefined,
+      qty: quantity !== undefined ? String(quantity) : undefined,
+      triggerPrice: stopPrice !== undefined ? String(stopPrice) : undefined
+    }, { signed: true });
+
+    const snapshot = await this.getOrder({ category, symbol, orderId: result.orderId }).catch(() => null);
+    return snapshot || toOrderDTO({
+      orderId: result.orderId,
+      clientOrderId: result.orderLinkId,
+      symbol,
+      price,
+      quantity
+    });
+  }
+
+  async cancelAllOrders(symbol = null, { category = this.defaultCategory } = {}) {
+    if (this.isDemo) {
+      return super.cancelAllOrders(symbol);
+    }
+
+    const result = await this.request('POST', '/v5/order/cancel-all', {
+      category,
+      symbol,
+      ...(!symbol && category !== 'spot' && { settleCoin: 'USDT' })
+    }, { signed: true });
+
+    return (result.list || []).map(order => toOrderDTO({
+      orderId: order.orderId,
+      clientOrderId: order.orderLinkId,
+      symbol,
+      status: 'Cancelled'
+    }));
+  }
+
+  async getOpenOrders(symbol = null, { category = this.defaultCategory } = {}) {
+    if (this.isDemo) {
+      return paperExchange.getOpenOrders(this.paperAccountId, symbol);
+    }
+
+    const result = await this.request('GET', '/v5/order/realtime', {
+      category,
+      symbol,
+      openOnly: 0,
+      ...(!symbol && category !== 'spot' && { settleCoin: 'USDT' })
+    }, { signed: true });
+
+    return (result.list || []).map(raw => this.toOrder(raw));
+  }
+
+  async getFills(symbol = null, { startTime, limit = 50, category = this.defaultCategory } = {}) {
+    if (this.isDemo) {
+      return paperExchange.getFills(this.paperAccountId, symbol)
+        .filter(fill => !startTime || fill.timestamp >= startTime)
+        .slice(-limit);
+    }
+
+    const result = await this.request('GET', '/v5/execution/list', {
+      category,
+      symbol,
+      startTime,
+      limit
+    }, { signed: true });
+
+    return (result.list || [])
+      .filter(execution => !execution.execType || execution.execType === 'Trade')
+      .map(execution => this.toFill(execution));
+  }
+
+  toOrder(raw) {
+    const isConditional = parseFloat(raw.triggerPrice || 0) > 0;
+    const baseType = String(raw.orderType || '').toUpperCase();
+
+    return toOrderDTO({
+      orderId: raw.orderId,
+      clientOrderId: raw.orderLinkId || null,
+      symbol: raw.symbol,
+      side: raw.side,
+      type: isConditional ? (baseType === 'LIMIT' ? 'STOP_LIMIT' : 'STOP') : baseType,
+      status: raw.orderStatus,
+      quantity: raw.qty,
+      price: parseFloat(raw.price) > 0 ? raw.price : null,
+      stopPrice: isConditional ? raw.triggerPrice : null,
+      timeInForce: raw.timeInForce,
+      filledQuantity: raw.cumExecQty,
+      avgFillPrice: parseFloat(raw.avgPrice) > 0 ? raw.avgPrice : null,
+      rejectReason: raw.rejectReason && raw.rejectReason !== 'EC_NoError' ? raw.rejectReason : null,
+      createdAt: raw.createdTime,
+      updatedAt: raw.updatedTime,
+      raw
+    });
+  }
+
+  toFill(raw) {
+    return toFillDTO({
+      fillId: raw.execId,
+      orderId: raw.orderId,
+      clientOrderId: raw.orderLinkId || null,
+      symbol: raw.symbol,
+      side: raw.side,
+      quantity: raw.execQty,
+      price: raw.execPrice,
+      commission: raw.execFee,
+      commissionAsset: raw.feeCurrency || null,
+      isMaker: raw.isMaker,
+      timestamp: raw.execTime
+    });
+  }
+
+  /**
+   * ===== MARKET DATA =====
+   */
+
+  async getTicker(symbol, category = this.defaultCategory) {
+    const result = await this.request('GET', '/v5/market/tickers', { category, symbol });
+    const ticker = result.list?.[0];
+    if (!ticker) {
+      throw new Error(`No Bybit ticker for ${symbol}`);
+    }
+
+    return {
+      symbol: ticker.symbol,
+      price: parseFloat(ticker.lastPrice),
+      priceChangePercent: parseFloat(ticker.price24hPcnt) * 100,
+      volume: parseFloat(ticker.volume24h)
+    };
+  }
+
+  async getOrderBook(symbol, limit = 200, category = this.defaultCategory) {
+    const result = await this.request('GET', '/v5/market/orderbook', { category, symbol, limit });
+    return {
+      symbol: result.s,
+      updateId: result.u,
+      bids: result.b || [],
+      asks: result.a || [],
+      timestamp: result.ts
+    };
+  }
+
+  // Funding of the linear perpetual, whatever category the adapter trades
+  async getFundingRate(symbol) {
+    const result = await this.request('GET', '/v5/market/tickers', { category: 'linear', symbol });
+    const ticker = result.list?.[0];
+    if (!ticker || ticker.fundingRate === undefined || ticker.fundingRate === '') {
+      throw new Error(`No Bybit funding rate for ${symbol}`);
+    }
+
+    return {
+      symbol: ticker.symbol,
+      fundingRate: parseFloat(ticker.fundingRate),
+      nextFundingTime: parseInt(ticker.nextFundingTime, 10),
+      markPrice: parseFloat(ticker.markPrice),
+      timestamp: Date.now()
+    };
+  }
+
+  async getKlines(symbol, interval = '1h', { startTime, endTime, limit = 200, category = this.defaultCategory } = {}) {
+    const bybitInterval = KLINE_INTERVALS[interval] || interval;
+    const result = await this.request('GET', '/v5/market/kline', {
+      category,
+      symbol,
+      interval: bybitInterval,
+      start: startTime,
+      end: endTime,
+      limit
+    });
+
+    const now = Date.now();
+    // Bybit returns newest first
+    return (result.list || []).slice().reverse().map(([start, open, high, low, close, volume]) => toCandleDTO({
+      timestamp: Number(start),
+      open,
+      high,
+      low,
+      close,
+      volume,
+      closed: Number(start) + INTERVAL_MS[bybitInterval] <= now
+    }));
+  }
+
+  /**
+   * ===== WEBSOCKET STREAMS =====
+   */
+
+  /**
+   * Private channels: 'order' | 'execution' | 'position' | 'wallet'
+   * Public channels: 'ticker' | 'kline' | 'trade' | 'depth' with { symbol, interval, category }
+   */
+  subscribe(channel, params = {}, handler) {
+    if (PRIVATE_TOPICS.includes(channel)) {
+      return this.isDemo
+        ? this.subscribePaper(channel, handler)
+        : this.addSubscription('private', channel, channel, handler);
+    }
+
+    if (!PUBLIC_TOPICS[channel]) {
+      throw new Error(`Unsupported Bybit channel: ${channel}`);
+    }
+
+    const category = params.category || this.defaultCategory;
+    const topic = channel === 'kline'
+      ? `kline.${KLINE_INTERVALS[params.interval] || params.interval || '1'}.${params.symbol}`
+      : `${PUBLIC_TOPICS[channel]}.${params.symbol}`;
+
+    return this.addSubscription(category, topic, channel, handler);
+  }
+
+  /**
+   * Demo accounts mirror the private streams from the paper exchange
+   */
+  subscribePaper(channel, handler) {
+    const event = channel === 'execution' ? 'fill' : channel;
+    if (!['order', 'fill'].includes(event)) {
+      return () => {};
+    }
+
+    const listener = (payload) => {
+      if (payload.accountId === this.paperAccountId) handler(payload);
+    };
+    paperExchange.on(event, listener);
+    this.paperListeners.push([event, listener]);
+
+    return () => {
+      paperExchange.off(event, listener);
+      this.paperListeners = this.paperListeners.filter(([, l]) => l !== listener);
+    };
+  }
+
+  addSubscription(socketKey, topic, channel, handler) {
+    const key = `${socketKey}:${topic}`;
+    let subscription = this.subscriptions.get(key);
+
+    if (!subscription) {
+      subscription = { socketKey, topic, channel, handlers: new Set() };
+      this.subscriptions.set(key, subscription);
+
+      if (this.isSocketReady(socketKey)) {
+        this.sendOp(socketKey, 'subscribe', [topic]);
+      } else if (!this.sockets.has(socketKey)) {
+        this.openSocket(socketKey);
+      }
+    }
+
+    subscription.handlers.add(handler);
+
+    return () => {
+      subscription.handlers.delete(handler);
+      if (subscription.handlers.size === 0) {
+        this.subscriptions.delete(key);
+        this.sendOp(socketKey, 'unsubscribe', [topic]);
+      }
+    };
+  }
+
+  isSocketReady(socketKey) {
+    const socket = this.sockets.get(socketKey);
+    return Boolean(socket && socket.readyState === WS_OPEN && socket.ready);
+  }
+
+  openSocket(socketKey) {
+    const url = socketKey === 'private'
+      ? `${this.wsUrl}/v5/private`
+      : `${this.wsUrl}/v5/public/${socketKey}`;
+
+    const socket = createWebSocket(url, undefined, this.config.WebSocket);
+    socket.ready = false;
+    this.sockets.set(socketKey, socket);
+
+    socket.onopen = async () => {
+      try {
+        if (socketKey === 'private') {
+          await this.authenticate(socket);
+        } else {
+          this.onSocketReady(socketKey, socket);
+        }
+      } catch (error) {
+        console.error('❌ Bybit WebSocket auth error:', error);
+        socket.close();
+      }
+    };
+
+    socket.onmessage = (event) => {
+      try {
+        this.handleSocketMessage(socketKey, socket, JSON.parse(event.data));
+      } catch (error) {
+        console.error('❌ Bybit WebSocket message error:', error);
+      }
+    };
+
+    socket.onerror = (error) => {
+      console.error(`❌ Bybit WebSocket error (${socketKey}):`, error.message || error);
+    };
+
+    socket.onclose = () => {
+      clearInterval(this.pingTimers.get(socketKey));
+      this.pingTimers.delete(socketKey);
+      if (this.sockets.get(socketKey) === socket) {
+        this.sockets.delete(socketKey);
+      }
+
+      const stillNeeded = Array.from(this.subscriptions.values()).some(s => s.socketKey === socketKey);
+      if (!this.closing && stillNeeded) {
+        console.log(`🔄 Bybit ${socketKey} stream closed, reconnecting...`);
+        setTimeout(() => {
+          if (!this.closing && !this.sockets.has(socketKey)) this.openSocket(socketKey);
+        }, RECONNECT_DELAY);
+      }
+    };
+
+    return socket;
+  }
+
+  /**
+   * Private stream auth: signature = HMAC('GET/realtime' + expires)
+   */
+  async authenticate(socket) {
+    const expires = Date.now() + 10000;
+    const signature = await this.sign(`GET/realtime${expires}`);
+    socket.send(JSON.stringify({ op: 'auth', args: [this.apiKey, expires, signature] }));
+  }
+
+  // Called once the socket is usable: on open for public streams, after auth for private
+  onSocketReady(socketKey, socket) {
+    socket.ready = true;
+
+    clearInterval(this.pingTimers.get(socketKey));
+    this.pingTimers.set(socketKey, setInterval(() => {
+      if (socket.readyState === WS_OPEN) {
+        socket.send(JSON.stringify({ op: 'ping' }));
+      }
+    }, PING_INTERVAL));
+
+    const topics = Array.from(this.subscriptions.values())
+      .filter(s => s.socketKey === socketKey)
+      .map(s => s.topic);
+
+    if (topics.length > 0) {
+      this.sendOp(socketKey, 'subscribe', topics);
+    }
+  }
+
+  sendOp(socketKey, op, args) {
+    const socket = this.sockets.get(socketKey);
+    if (socket && socket.readyState === WS_OPEN) {
+      socket.send(JSON.stringify({ op, args }));
+    }
+  }
+
+  handleSocketMessage(socketKey, socket, message) {
+    if (message.op === 'auth') {
+      if (message.success) {
+        console.log('🔐 Bybit private stream authenticated');
+        this.onSocketReady(socketKey, socket);
+      } else {
+        console.error('❌ Bybit private stream auth failed:', message.ret_msg);
+        socket.close();
+      }
+      return;
+    }
+
+    if (message.op) {
+      if (message.success === false) {
+        console.error(`❌ Bybit ${message.op} failed:`, message.ret_msg);
+      }
+      return; // pong / subscribe acknowledgements
+    }
+
+    const subscription = this.subscriptions.get(`${socketKey}:${message.topic}`);
+    if (!subscription) return;
+
+    for (const payload of this.normalizeStreamPayload(subscription.channel, message)) {
+      subscription.handlers.forEach(handler => handler(payload));
+    }
+  }
+
+  normalizeStreamPayload(channel, message) {
+    const data = Array.isArray(message.data) ? message.data : [message.data];
+
+    switch (channel) {
+      case 'order':
+        return data.map(raw => this.toOrder(raw));
+      case 'execution':
+        return data
+          .filter(raw => !raw.execType || raw.execType === 'Trade')
+          .map(raw => this.toFill(raw));
+      case 'wallet':
+        return data.map(wallet => this.toAccountInfo(wallet));
+      case 'position':
+        return data.map(position => ({
+          symbol: position.symbol,
+          side: position.side === 'Buy' ? 'LONG' : position.side === 'Sell' ? 'SHORT' : 'FLAT',
+          quantity: parseFloat(position.size),
+          avgPrice: parseFloat(position.entryPrice || position.avgPrice || 0),
+          markPrice: parseFloat(position.markPrice || 0),
+          unrealizedPnL: parseFloat(position.unrealisedPnl || 0),
+          positionIdx: position.positionIdx
+        }));
+      case 'ticker':
+        // Linear tickers stream deltas; only forward updates carrying a price
+        return data
+          .filter(ticker => ticker.lastPrice !== undefined)
+          .map(ticker => ({
+            type: 'ticker',
+            symbol: ticker.symbol,
+            price: parseFloat(ticker.lastPrice),
+            ...(ticker.price24hPcnt !== undefined && { priceChangePercent: parseFloat(ticker.price24hPcnt) * 100 }),
+            ...(ticker.volume24h !== undefined && { volume: parseFloat(ticker.volume24h) })
+          }));
+      case 'kline':
+        return data.map(kline => ({
+          type: 'kline',
+          symbol: message.topic.split('.').pop(),
+          interval: kline.interval,
+          ...toCandleDTO({
+            timestamp: kline.start,
+            open: kline.open,
+            high: kline.high,
+            low: kline.low,
+            close: kline.close,
+            volume: kline.volume,
+            closed: kline.confirm
+          })
+        }));
+      case 'trade':
+        return data.map(trade => ({
+          type: 'trade',
+          symbol: trade.s,
+          tradeId: trade.i,
+          price: parseFloat(trade.p),
+          quantity: parseFloat(trade.v),
+          side: trade.S === 'Buy' ? 'BUY' : 'SELL',
+          timestamp: trade.T
+        }));
+      case 'depth':
+        // A snapshot on subscribe (and whenever Bybit restarts the book), deltas after it
+        return data.map(book => ({
+          type: message.type === 'snapshot' ? 'snapshot' : 'delta',
+          symbol: book.s,
+          firstUpdateId: book.u,
+          finalUpdateId: book.u,
+          bids: book.b,
+          asks: book.a,
+          timestamp: message.ts
+        }));
+      default:
+        return data;
+    }
+  }
+
+  disconnect() {
+    this.closing = true;
+
+    this.pingTimers.forEach(timer => clearInterval(timer));
+    this.pingTimers.clear();
+    this.sockets.forEach(socket => socket.close());
+    this.sockets.clear();
+    this.subscriptions.clear();
+
+    this.paperListeners.forEach(([event, listener]) => paperExchange.off(event, listener));
+    this.paperListeners = [];
+
+    this.isConnected = false;
+    this.closing = false;
+    console.log('🔌 Bybit API disconnected');
+  }
+}
+
+export default BybitAPI;
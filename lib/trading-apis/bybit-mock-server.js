@@ -0,0 +1,394 @@
+/**
+ * Bybit v5 Mock Server
+ * Local REST + WebSocket server that replays recorded Bybit payloads
+ * (fixtures/bybit-v5.json) so the adapter can be exercised without an account.
+ *
+ * Usage:
+ *   node lib/trading-apis/bybit-mock-server.js
+ *   new BybitAPI({ isDemo: false, apiKey, apiSecret, apiUrl: mock.url, wsUrl: mock.wsUrl, WebSocket })
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+
+const FIXTURE_PATH = new URL('./fixtures/bybit-v5.json', import.meta.url);
+
+const OPEN_STATUSES = ['New', 'PartiallyFilled', 'Untriggered'];
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+export function loadBybitFixtures() {
+  return JSON.parse(readFileSync(FIXTURE_PATH, 'utf8'));
+}
+
+export class BybitMockServer {
+  constructor({ port = 0, apiKey = 'mock_api_key', apiSecret = 'mock_api_secret', fixtures } = {}) {
+    this.port = port;
+    this.apiKey = apiKey;
+    this.apiSecret = apiSecret;
+    this.fixtures = fixtures || loadBybitFixtures();
+
+    this.orders = new Map(); // orderId -> recorded order payload with request fields applied
+    this.requests = []; // { method, path, params, timestamp } for assertions
+    this.sequence = 0;
+    this.server = null;
+    this.wss = null;
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this.port}`;
+  }
+
+  get wsUrl() {
+    return `ws://127.0.0.1:${this.port}`;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handleHttp(req, res));
+    this.wss = new WebSocketServer({ noServer: true });
+
+    this.server.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, this.url);
+      const match = pathname.match(/^\/v5\/(private|public\/(spot|linear))$/);
+      if (!match) {
+        socket.destroy();
+        return;
+      }
+
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        ws.scope = match[1] === 'private' ? 'private' : 'public';
+        ws.category = match[2] || null;
+        ws.topics = new Set();
+        ws.authenticated = false;
+        ws.connId = `mock-${++this.sequence}`;
+        ws.on('message', (data) => this.handleSocketMessage(ws, data));
+      });
+    });
+
+    await new Promise(resolve => this.server.listen(this.port, '127.0.0.1', resolve));
+    this.port = this.server.address().port;
+    console.log(`🧪 Bybit mock server listening on ${this.url}`);
+    return this;
+  }
+
+  async stop() {
+    this.wss?.clients.forEach(client => client.terminate());
+    this.wss?.close();
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+    }
+    this.server = null;
+  }
+
+  /**
+   * ===== REST =====
+   */
+
+  async handleHttp(req, res) {
+    const { pathname, searchParams } = new URL(req.url, this.url);
+    const body = await new Promise(resolve => {
+      let data = '';
+      req.on('data', chunk => { data += chunk; });
+      req.on('end', () => resolve(data));
+    });
+
+    const params = req.method === 'GET'
+      ? Object.fromEntries(searchParams.entries())
+      : (body ? JSON.parse(body) : {});
+
+    this.requests.push({ method: req.method, path: pathname, params, timestamp: Date.now() });
+
+    const send = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (!pathname.startsWith('/v5/market/')) {
+      const authError = this.verifyRequest(req, req.method === 'GET' ? (req.url.split('?')[1] || '') : body);
+      if (authError) {
+        send(200, { retCode: authError.code, retMsg: authError.message, result: {}, retExtInfo: {}, time: Date.now() });
+        return;
+      }
+    }
+
+    const route = `${req.method} ${pathname}`;
+    const recorded = this.fixtures.rest[route] || this.fixtures.rest[route.replace('/history', '/realtime')];
+    if (!recorded) {
+      send(404, { retCode: 404, retMsg: `Route not recorded: ${route}`, result: {}, retExtInfo: {}, time: Date.now() });
+      return;
+    }
+
+    const response = clone(recorded);
+    response.time = Date.now();
+
+    switch (route) {
+      case 'POST /v5/order/create':
+        response.result = this.createOrder(params);
+        break;
+      case 'POST /v5/order/cancel':
+      case 'POST /v5/order/amend': {
+        const order = this.findOrder(params);
+        if (!order) {
+          send(200, { retCode: 110001, retMsg: 'Order does not exist.', result: {}, retExtInfo: {}, time: Date.now() });
+          return;
+        }
+        response.result = route.endsWith('cancel') ? this.cancelOrder(order) : this.amendOrder(order, params);
+        break;
+      }
+      case 'POST /v5/order/cancel-all':
+        response.result.list = this.cancelAll(params);
+        break;
+      case 'GET /v5/order/realtime':
+      case 'GET /v5/order/history':
+        response.result.list = this.queryOrders(route, params, response.result.list);
+        break;
+      case 'GET /v5/execution/list':
+        if (params.symbol) {
+          response.result.list = response.result.list.filter(e => e.symbol === params.symbol);
+        }
+        break;
+      default:
+        break;
+    }
+
+    send(200, response);
+  }
+
+  verifyRequest(req, payload) {
+    const apiKey = req.headers['x-bapi-api-key'];
+    const timestamp = req.headers['x-bapi-timestamp'];
+    const recvWindow = req.headers['x-bapi-recv-window'] || '5000';
+    const signature = req.headers['x-bapi-sign'];
+
+    if (apiKey !== this.apiKey) {
+      return { code: 10003, message: 'API key is invalid.' };
+    }
+    if (!timestamp || Math.abs(Date.now() - Number(timestamp)) > Number(recvWindow)) {
+      return { code: 10002, message: 'invalid request, please check your server timestamp or recv_window param' };
+    }
+
+    const origin = `${timestamp}${apiKey}${recvWindow}${payload}`;
+    if (signature !== hmac(this.apiSecret, origin)) {
+      return { code: 10004, message: `error sign! origin_string[${origin}]` };
+    }
+    return null;
+  }
+
+  createOrder(params) {
+    const template = this.fixtures.rest['GET /v5/order/realtime'].result.list[0];
+    const lastPrice = this.fixtures.rest['GET /v5/market/tickers'].result.list[0].lastPrice;
+    const now = String(Date.now());
+    const isMarket = params.orderType === 'Market';
+    const orderId = `${Date.now()}${++this.sequence}`;
+
+    const order = {
+      ...clone(template),
+      orderId,
+      orderLinkId: params.orderLinkId || '',
+      category: params.category,
+      symbol: params.symbol,
+      side: params.side,
+      orderType: params.orderType,
+      qty: params.qty,
+      price: params.price || '0',
+      triggerPrice: params.triggerPrice || '0.00',
+      timeInForce: params.timeInForce || (isMarket ? 'IOC' : 'GTC'),
+      positionIdx: params.positionIdx || 0,
+      reduceOnly: Boolean(params.reduceOnly),
+      orderStatus: params.triggerPrice ? 'Untriggered' : isMarket ? 'Filled' : 'New',
+      cumExecQty: isMarket && !params.triggerPrice ? params.qty : '0',
+      avgPrice: isMarket && !params.triggerPrice ? lastPrice : '0',
+      leavesQty: isMarket && !params.triggerPrice ? '0' : params.qty,
+      createdTime: now,
+      updatedTime: now
+    };
+
+    this.orders.set(orderId, order);
+
+    // Replay the recorded private stream for the new order
+    const snapshot = clone(order);
+    setTimeout(() => {
+      this.pushPrivate('order', [snapshot]);
+      if (snapshot.orderStatus === 'Filled') {
+        this.pushPrivate('execution', [this.buildExecution(snapshot)]);
+        this.pushPrivate('wallet');
+      }
+    }, 10);
+
+    return { orderId, orderLinkId: order.orderLinkId };
+  }
+
+  buildExecution(order) {
+    const template = this.fixtures.private.execution.data[0];
+    return {
+      ...clone(template),
+      category: order.category,
+      symbol: order.symbol,
+      side: order.side,
+      orderId: order.orderId,
+      orderLinkId: order.orderLinkId,
+      orderType: order.orderType,
+      orderQty: order.qty,
+      execId: `${Date.now()}${++this.sequence}`,
+      execQty: order.cumExecQty,
+      execPrice: order.avgPrice,
+      execValue: String(parseFloat(order.cumExecQty) * parseFloat(order.avgPrice)),
+      execTime: String(Date.now())
+    };
+  }
+
+  findOrder({ orderId, orderLinkId }) {
+    if (orderId) return this.orders.get(orderId) || null;
+    return Array.from(this.orders.values()).find(o => o.orderLinkId === orderLinkId) || null;
+  }
+
+  cancelOrder(order) {
+    order.orderStatus = 'Cancelled';
+    order.cancelType = 'CancelByUser';
+    order.updatedTime = String(Date.now());
+    this.schedulePush(order);
+    return { orderId: order.orderId, orderLinkId: order.orderLinkId };
+  }
+
+  amendOrder(order, params) {
+    if (params.price) order.price = params.price;
+    if (params.qty) {
+      order.qty = params.qty;
+      order.leavesQty = String(parseFloat(params.qty) - parseFloat(order.cumExecQty));
+    }
+    if (params.triggerPrice) order.triggerPrice = params.triggerPrice;
+    order.updatedTime = String(Date.now());
+    this.schedulePush(order);
+    return { orderId: order.orderId, orderLinkId: order.orderLinkId };
+  }
+
+  schedulePush(order) {
+    const snapshot = clone(order);
+    setTimeout(() => this.pushPrivate('order', [snapshot]), 10);
+  }
+
+  cancelAll({ category, symbol }) {
+    return Array.from(this.orders.values())
+      .filter(o => OPEN_STATUSES.includes(o.orderStatus))
+      .filter(o => (!category || o.category === category) && (!symbol || o.symbol === symbol))
+      .map(order => this.cancelOrder(order));
+  }
+
+  queryOrders(route, params, recordedList) {
+    if (this.orders.size === 0) {
+      return recordedList.filter(o => !params.symbol || o.symbol === params.symbol);
+    }
+
+    const wantOpen = route.endsWith('/realtime') && !params.orderId && !params.orderLinkId;
+    return Array.from(this.orders.values())
+      .filter(o => !params.orderId || o.orderId === params.orderId)
+      .filter(o => !params.orderLinkId || o.orderLinkId === params.orderLinkId)
+      .filter(o => !params.symbol || o.symbol === params.symbol)
+      .filter(o => !wantOpen || OPEN_STATUSES.includes(o.orderStatus));
+  }
+
+  /**
+   * ===== WEBSOCKET =====
+   */
+
+  handleSocketMessage(ws, raw) {
+    const message = JSON.parse(raw.toString());
+    const reply = (payload) => ws.send(JSON.stringify({ conn_id: ws.connId, ...payload }));
+
+    switch (message.op) {
+      case 'auth': {
+        const [apiKey, expires, signature] = message.args || [];
+        const valid = apiKey === this.apiKey && signature === hmac(this.apiSecret, `GET/realtime${expires}`);
+        ws.authenticated = valid;
+        reply({ op: 'auth', success: valid, ret_msg: valid ? '' : 'Invalid signature', req_id: message.req_id || '' });
+        break;
+      }
+      case 'subscribe':
+        if (ws.scope === 'private' && !ws.authenticated) {
+          reply({ op: 'subscribe', success: false, ret_msg: 'Request not authorized', req_id: message.req_id || '' });
+          break;
+        }
+        message.args.forEach(topic => ws.topics.add(topic));
+        reply({ op: 'subscribe', success: true, ret_msg: '', req_id: message.req_id || '' });
+        if (ws.scope === 'public') {
+          message.args.forEach(topic => this.replayPublic(ws, topic));
+        }
+        break;
+      case 'unsubscribe':
+        message.args.forEach(topic => ws.topics.delete(topic));
+        reply({ op: 'unsubscribe', success: true, ret_msg: '', req_id: message.req_id || '' });
+        break;
+      case 'ping':
+        reply(ws.scope === 'private'
+          ? { op: 'pong', args: [String(Date.now())], req_id: message.req_id || '' }
+          : { op: 'ping', success: true, ret_msg: 'pong', req_id: message.req_id || '' });
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Push a recorded private message (optionally with replaced data) to subscribers
+   */
+  pushPrivate(topic, data) {
+    const recorded = this.fixtures.private[topic];
+    if (!recorded) return;
+
+    const message = {
+      ...clone(recorded),
+      id: `${topic}-${++this.sequence}`,
+      creationTime: Date.now(),
+      ...(data && { data: clone(data) })
+    };
+
+    this.wss?.clients.forEach(ws => {
+      if (ws.scope === 'private' && ws.authenticated && ws.topics.has(topic)) {
+        ws.send(JSON.stringify(message));
+      }
+    });
+  }
+
+  replayPublic(ws, topic) {
+    const [channel, ...rest] = topic.split('.');
+    const recorded = this.fixtures.public[channel];
+    if (!recorded) return;
+
+    const symbol = rest[rest.length - 1];
+    const message = clone(recorded);
+    message.topic = topic;
+    message.ts = Date.now();
+
+    const data = Array.isArray(message.data) ? message.data : [message.data];
+    data.forEach(item => {
+      if ('symbol' in item) item.symbol = symbol;
+      if ('s' in item) item.s = symbol;
+      if (channel === 'kline') item.interval = rest[0];
+    });
+
+    ws.send(JSON.stringify(message));
+  }
+}
+
+export async function createBybitMockServer(options) {
+  return new BybitMockServer(options).start();
+}
+
+// Allow `node lib/trading-apis/bybit-mock-server.js` for manual testing
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  createBybitMockServer({
+    port: Number(process.env.BYBIT_MOCK_PORT || 8555),
+    apiKey: process.env.BYBIT_MOCK_API_KEY,
+    apiSecret: process.env.BYBIT_MOCK_API_SECRET
+  }).then(mock => {
+    console.log(`   REST: ${mock.url}`);
+    console.log(`   WS:   ${mock.wsUrl}/v5/private`);
+  });
+}
+
+export default BybitMockServer;
@@ -3,14 +3,13 @@
  * Proper HMAC-SHA256 authentication for all exchanges
  */
 
-// Base Trading API Class
-export class BaseTradingAPI {
-  constructor(config) {
-    this.config = config;
-    this.apiKey = config.apiKey;
-    this.apiSecret = config.apiSecret;
-    this.isConnected = false;
-    this.isDemo = config.testnet || config.demo || true; // Default to demo mode
+import { paperExchange } from '../paper-trading/paper-exchange.js';
+import { ExchangeAdapter, toOrderDTO, toFillDTO, toBalanceDTO } from './exchange-adapter.js';
+
+// Base Trading API Class - shared helpers on top of the adapter contract
+export class BaseTradingAPI extends ExchangeAdapter {
+  constructor(config = {}) {
+    super(config);
   }
 
   validateConnection() {
@@ -100,321 +99,29 @@ export class BaseTradingAPI {
   }
 }
 
-export class BinanceAPI extends BaseTradingAPI {
-  constructor(config) {
-    super(config);
-    this.baseUrl = config.testnet 
-      ? 'https://testnet.binance.vision/api/v3' 
-      : 'https://api.binance.com/api/v3';
-    this.wsUrl = config.testnet
-      ? 'wss://testnet.binance.vision/ws'
-      : 'wss://stream.binance.com:9443/ws';
-  }
-
-  async connect() {
-    if (this.isDemo) {
-      console.log('🎭 Binance Demo Mode Connected');
-      this.isConnected = true;
-      return true;
-    }
-
-    try {
-      const timestamp = Date.now();
-      const queryString = `timestamp=${timestamp}`;
-      const signature = await this.generateSignature(queryString);
-      
-      const response = await fetch(`${this.baseUrl}/account?${queryString}&signature=${signature}`, {
-        headers: {
-          'X-MBX-APIKEY': this.apiKey
-        }
-      });
-      
-      if (response.ok) {
-        this.isConnected = true;
-        console.log('✅ Binance API Connected');
-        return true;
-      }
-      throw new Error('Failed to connect to Binance API');
-    } catch (error) {
-      console.error('❌ Binance connection error:', error);
-      return false;
-    }
-  }
-
-  async getAccountInfo() {
-    this.validateConnection();
-    
-    if (this.isDemo) {
-      return {
-        balance: 10000.00,
-        equity: 10250.50,
-        balances: {
-          'USDT': { free: 10000.00, locked: 0 },
-          'BTC': { free: 0.5, locked: 0 },
-          'ETH': { free: 5.0, locked: 0 }
-        },
-        accountType: 'TESTNET'
-      };
-    }
-
-    try {
-      const timestamp = Date.now();
-      const queryString = `timestamp=${timestamp}`;
-      const signature = await this.generateSignature(queryString);
-      
-      const response = await fetch(`${this.baseUrl}/account?${queryString}&signature=${signature}`, {
-        headers: {
-          'X-MBX-APIKEY': this.apiKey
-        }
-      });
-      
-      const data = await response.json();
-      
-      return {
-        balance: parseFloat(data.balances.find(b => b.asset === 'USDT')?.free || '0'),
-        equity: this.calculateEquity(data.balances),
-        balances: data.balances.reduce((acc, bal) => {
-          if (parseFloat(bal.free) > 0 || parseFloat(bal.locked) > 0) {
-            acc[bal.asset] = {
-              free: parseFloat(bal.free),
-              locked: parseFloat(bal.locked)
-            };
-          }
-          return acc;
-        }, {}),
-        accountType: this.config.testnet ? 'TESTNET' : 'LIVE'
-      };
-    } catch (error) {
-      console.error('❌ Binance account info error:', error);
-      throw error;
-    }
-  }
-
-  async placeOrder(order) {
-    this.validateConnection();
-    
-    // Validate order data
-    const validation = this.validateOrderData(order);
-    if (!validation.isValid) {
-      throw new Error(`Invalid order data: ${validation.errors.join(', ')}`);
-    }
-
-    if (this.isDemo) {
-      console.log('🎭 DEMO ORDER (Binance):', order);
-      return {
-        orderId: `binance_demo_${Date.now()}`,
-        symbol: order.symbol,
-        side: order.side,
-        type: order.type,
-        quantity: order.quantity,
-        price: order.price,
-        status: 'FILLED',
-        transactTime: Date.now()
-      };
-    }
-
-    try {
-      const binanceOrder = {
-        symbol: order.symbol,
-        side: order.side.toUpperCase(),
-        type: order.type?.toUpperCase() || 'MARKET',
-        quantity: order.quantity,
-        timestamp: Date.now()
-      };
-
-      if (order.type?.toUpperCase() === 'LIMIT') {
-        binanceOrder.price = order.price;
-        binanceOrder.timeInForce = order.timeInForce || 'GTC';
-      }
-
-      const queryString = new URLSearchParams(binanceOrder).toString();
-      const signature = await this.generateSignature(queryString);
-
-      const response = await fetch(`${this.baseUrl}/order`, {
-        method: 'POST',
-        headers: {
-          'X-MBX-APIKEY': this.apiKey,
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        body: `${queryString}&signature=${signature}`
-      });
-
-      return await response.json();
-    } catch (error) {
-      console.error('❌ Binance order error:', error);
-      throw error;
-    }
-  }
-
-  async getMarketData(symbol) {
-    try {
-      const response = await fetch(`${this.baseUrl}/ticker/24hr?symbol=${symbol}`);
-      return await response.json();
-    } catch (error) {
-      console.warn('📊 Using demo market data:', error);
-      return {
-        symbol: symbol,
-        price: (45000 + Math.random() * 10000).toFixed(2),
-        priceChangePercent: (Math.random() * 10 - 5).toFixed(2),
-        volume: (Math.random() * 1000000).toFixed(2)
-      };
-    }
-  }
-}
-
-export class BybitAPI extends BaseTradingAPI {
-  constructor(config) {
-    super(config);
-    this.baseUrl = config.testnet 
-      ? 'https://api-testnet.bybit.com' 
-      : 'https://api.bybit.com';
-  }
-
-  async connect() {
-    if (this.isDemo) {
-      console.log('🎭 Bybit Demo Mode Connected');
-      this.isConnected = true;
-      return true;
-    }
-
-    try {
-      const timestamp = Date.now();
-      const params = `accountType=UNIFIED&timestamp=${timestamp}`;
-      const signature = await this.generateSignature(params);
-      
-      const response = await fetch(`${this.baseUrl}/v5/account/wallet-balance?${params}&signature=${signature}`, {
-        headers: {
-          'X-BAPI-API-KEY': this.apiKey,
-          'X-BAPI-TIMESTAMP': timestamp.toString(),
-          'X-BAPI-SIGN': signature
-        }
-      });
-      
-      if (response.ok) {
-        this.isConnected = true;
-        console.log('✅ Bybit API Connected');
-        return true;
-      }
-      throw new Error('Failed to connect to Bybit API');
-    } catch (error) {
-      console.error('❌ Bybit connection error:', error);
-      return false;
-    }
-  }
-
-  async getAccountInfo() {
-    this.validateConnection();
-    
-    if (this.isDemo) {
-      return {
-        balance: 15000.00,
-        equity: 15500.75,
-        accountType: 'TESTNET'
-      };
-    }
 
-    try {
-      const timestamp = Date.now();
-      const params = `accountType=UNIFIED&timestamp=${timestamp}`;
-      const signature = await this.generateSignature(params);
-      
-      const response = await fetch(`${this.baseUrl}/v5/account/wallet-balance?${params}&signature=${signature}`, {
-        headers: {
-          'X-BAPI-API-KEY': this.apiKey,
-          'X-BAPI-TIMESTAMP': timestamp.toString(),
-          'X-BAPI-SIGN': signature
-        }
-      });
-      
-      const data = await response.json();
-      
-      return {
-        balance: parseFloat(data.result?.list?.[0]?.totalWalletBalance || '0'),
-        equity: parseFloat(data.result?.list?.[0]?.totalEquity || '0'),
-        accountType: this.config.testnet ? 'TESTNET' : 'LIVE'
-      };
-    } catch (error) {
-      console.error('❌ Bybit account info error:', error);
-      throw error;
-    }
-  }
-
-  async placeOrder(order) {
-    this.validateConnection();
-    
-    // Validate order data
-    const validation = this.validateOrderData(order);
-    if (!validation.isValid) {
-      throw new Error(`Invalid order data: ${validation.errors.join(', ')}`);
-    }
-
-    if (this.isDemo) {
-      console.log('🎭 DEMO ORDER (Bybit):', order);
-      return {
-        orderId: `bybit_demo_${Date.now()}`,
-        symbol: order.symbol,
-        side: order.side,
-        orderType: order.type,
-        qty: order.quantity.toString(),
-        status: 'Filled'
-      };
-    }
-
-    try {
-      const timestamp = Date.now();
-      const bybitOrder = {
-        category: 'spot',
-        symbol: order.symbol,
-        side: order.side,
-        orderType: order.type || 'Market',
-        qty: order.quantity.toString(),
-        timestamp: timestamp
-      };
-
-      if (order.price) {
-        bybitOrder.price = order.price.toString();
-      }
-      if (order.timeInForce) {
-        bybitOrder.timeInForce = order.timeInForce;
-      }
-
-      const params = Object.keys(bybitOrder)
-        .sort()
-        .map(key => `${key}=${bybitOrder[key]}`)
-        .join('&');
-      
-      const signature = await this.generateSignature(params);
-
-      const response = await fetch(`${this.baseUrl}/v5/order/create`, {
-        method: 'POST',
-        headers: {
-          'X-BAPI-API-KEY': this.apiKey,
-          'X-BAPI-TIMESTAMP': timestamp.toString(),
-          'X-BAPI-SIGN': signature,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(bybitOrder)
-      });
-
-      return await response.json();
-    } catch (error) {
-      console.error('❌ Bybit order error:', error);
-      throw error;
-    }
-  }
-}
+// Binance and Bybit have dedicated adapters
+export { default as BinanceAPI } from './binance-api.js';
+export { default as BybitAPI } from './bybit-api.js';
 
 export class TradovateAPI extends BaseTradingAPI {
   constructor(config) {
     super(config);
-    this.baseUrl = config.demo 
+    this.baseUrl = this.isDemo 
       ? 'https://demo.tradovateapi.com/v1' 
       : 'https://live.tradovateapi.com/v1';
     this.accessToken = null;
+    this.paperAccountId = config.accountId || 'tradovate_demo';
+    this.tradovateAccountId = config.externalAccountId || config.accountId;
   }
 
   async connect() {
     if (this.isDemo) {
+      // Futures paper accounts settle in USD and may go short
+      paperExchange.getAccount(this.paperAccountId, {
+        allowShort: true,
+        initialBalances: { USD: 25000 }
+      });
       console.log('🎭 Tradovate Demo Mode Connected');
       this.isConnected = true;
       this.accessToken = 'demo_token';
@@ -453,34 +160,48 @@ export class TradovateAPI extends BaseTradingAPI {
     }
   }
 
+  async tradovateRequest(path, method = 'GET', body = null) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      ...(body && { body: JSON.stringify(body) })
+    });
+
+    const data = await response.json();
+    if (!response.ok || data.failureReason) {
+      throw new Error(`Tradovate API Error: ${data.failureText || data.errorText || response.statusText}`);
+    }
+    return data;
+  }
+
   async getAccountInfo() {
     this.validateConnection();
     
     if (this.isDemo) {
+      const balances = paperExchange.getBalances(this.paperAccountId).map(toBalanceDTO);
+      const cash = balances.find(b => b.asset === 'USD');
       return {
-        balance: 25000.00,
-        equity: 25750.25,
-        dayTradingBuyingPower: 100000.00,
-        accountType: 'DEMO'
+        accountType: 'DEMO',
+        balance: cash ? cash.total : 0,
+        equity: paperExchange.getEquity(this.paperAccountId, 'USD'),
+        dayTradingBuyingPower: cash ? cash.free * 4 : 0,
+        balances
       };
     }
 
     try {
-      const response = await fetch(`${this.baseUrl}/account/list`, {
-        headers: {
-          'Authorization': `Bearer ${this.accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      const accounts = await response.json();
+      const accounts = await this.tradovateRequest('/account/list');
       const account = accounts[0]; // Get first account
       
       return {
+        accountType: 'LIVE',
         balance: account.balance,
         equity: account.netLiquidationValue,
         dayTradingBuyingPower: account.dayTradingBuyingPower,
-        accountType: this.config.demo ? 'DEMO' : 'LIVE'
+        balances: [toBalanceDTO({ asset: 'USD', free: account.balance, locked: 0 })]
       };
     } catch (error) {
       console.error('❌ Tradovate account info error:', error);
@@ -499,46 +220,159 @@ export class TradovateAPI extends BaseTradingAPI {
 
     if (this.isDemo) {
       console.log('🎭 DEMO ORDER (Tradovate):', order);
-      return {
-        orderId: `tradovate_demo_${Date.now()}`,
-        clOrdId: this.generateOrderId(),
-        symbol: order.symbol,
-        action: order.side,
-        orderQty: order.quantity,
-        orderType: order.type,
-        status: 'Filled'
-      };
+      const result = paperExchange.placeOrder(this.paperAccountId, {
+        ...order,
+        clientOrderId: order.clientOrderId || this.generateOrderId()
+      });
+      if (result.status === 'REJECTED') {
+        throw new Error(`Order failed: ${result.rejectReason}`);
+      }
+      return result;
     }
 
     try {
+      const clOrdId = order.clientOrderId || this.generateOrderId();
       const tradovateOrder = {
-        accountSpec: this.config.accountId,
-        accountId: parseInt(this.config.accountId),
-        clOrdId: this.generateOrderId(),
+        accountSpec: this.tradovateAccountId,
+        accountId: parseInt(this.tradovateAccountId),
+        clOrdId,
         action: order.side,
         symbol: order.symbol,
         orderQty: order.quantity,
         orderType: order.type || 'Market',
         price: order.price,
+        stopPrice: order.stopPrice,
         timeInForce: order.timeInForce || 'Day'
       };
 
-      const response = await fetch(`${this.baseUrl}/order/placeorder`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.accessToken}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(tradovateOrder)
-      });
+      const response = await this.tradovateRequest('/order/placeorder', 'POST', tradovateOrder);
 
-      return await response.json();
+      return toOrderDTO({
+        orderId: response.orderId,
+        clientOrderId: clOrdId,
+        symbol: order.symbol,
+        side: order.side,
+        type: order.type,
+        status: 'Working',
+        quantity: order.quantity,
+        price: order.price,
+        stopPrice: order.stopPrice,
+        timeInForce: tradovateOrder.timeInForce,
+        raw: response
+      });
     } catch (error) {
       console.error('❌ Tradovate order error:', error);
       throw error;
     }
   }
 
+  /**
+   * Demo only: live brackets are emulated server-side by the OCO manager
+   */
+  async placeOcoOrder(params) {
+    if (!this.isDemo) {
+      return this.unsupported('placeOcoOrder');
+    }
+    return paperExchange.placeOcoOrder(this.paperAccountId, params);
+  }
+
+  async cancelOrder({ orderId, clientOrderId }) {
+    if (this.isDemo) {
+      return paperExchange.cancelOrder(this.paperAccountId, orderId || clientOrderId);
+    }
+
+    await this.tradovateRequest('/order/cancelorder', 'POST', { orderId: parseInt(orderId) });
+    return toOrderDTO({ orderId, clientOrderId, status: 'Canceled' });
+  }
+
+  async amendOrder({ orderId, clientOrderId, price, quantity, stopPrice }) {
+    if (this.isDemo) {
+      return paperExchange.amendOrder(this.paperAccountId, orderId || clientOrderId, { price, quantity, stopPrice });
+    }
+
+    const current = await this.tradovateRequest(`/order/item?id=${orderId}`);
+    const version = await this.tradovateRequest(`/orderVersion/deps?masterid=${orderId}`);
+    const latest = version[version.length - 1] || {};
+
+    await this.tradovateRequest('/order/modifyorder', 'POST', {
+      orderId: parseInt(orderId),
+      orderQty: quantity || latest.orderQty,
+      orderType: latest.orderType,
+      price: price || latest.price,
+      stopPrice: stopPrice || latest.stopPrice
+    });
+
+    return toOrderDTO({
+      orderId,
+      clientOrderId,
+      side: current.action,
+      type: latest.orderType,
+      status: current.ordStatus,
+      quantity: quantity || latest.orderQty,
+      price: price || latest.price,
+      stopPrice: stopPrice || latest.stopPrice
+    });
+  }
+
+  async getOrder({ orderId }) {
+    if (this.isDemo) {
+      return paperExchange.getOrder(this.paperAccountId, orderId);
+    }
+
+    const order = await this.tradovateRequest(`/order/item?id=${orderId}`);
+    if (!order?.id) return null;
+
+    const fills = await this.tradovateRequest(`/fill/deps?masterid=${orderId}`);
+    const filledQuantity = fills.reduce((total, fill) => total + fill.qty, 0);
+    const notional = fills.reduce((total, fill) => total + fill.qty * fill.price, 0);
+
+    return toOrderDTO({
+      orderId: order.id,
+      side: order.action,
+      status: order.ordStatus,
+      filledQuantity,
+      avgFillPrice: filledQuantity > 0 ? notional / filledQuantity : null,
+      createdAt: order.timestamp,
+      raw: order
+    });
+  }
+
+  async getOpenOrders(symbol = null) {
+    if (this.isDemo) {
+      return paperExchange.getOpenOrders(this.paperAccountId, symbol);
+    }
+
+    const orders = await this.tradovateRequest('/order/list');
+    return orders
+      .filter(order => order.ordStatus === 'Working')
+      .map(order => toOrderDTO({
+        orderId: order.id,
+        side: order.action,
+        status: order.ordStatus,
+        createdAt: order.timestamp,
+        raw: order
+      }));
+  }
+
+  async getFills(symbol = null, options = {}) {
+    if (this.isDemo) {
+      return paperExchange.getFills(this.paperAccountId, symbol)
+        .filter(fill => !options.startTime || fill.timestamp >= options.startTime);
+    }
+
+    const fills = await this.tradovateRequest('/fill/list');
+    return fills
+      .filter(fill => !options.startTime || new Date(fill.timestamp).getTime() >= options.startTime)
+      .map(fill => toFillDTO({
+        fillId: fill.id,
+        orderId: fill.orderId,
+        side: fill.action,
+        quantity: fill.qty,
+        price: fill.price,
+        timestamp: fill.timestamp
+      }));
+  }
+
   generateOrderId() {
     return Math.random().toString(36).substr(2, 9);
   }
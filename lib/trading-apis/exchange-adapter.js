@@ -0,0 +1,329 @@
+/**
+ * Exchange Adapter Contract
+ * Common interface and normalized DTOs shared by every exchange integration
+ */
+
+import NodeWebSocket from 'ws';
+
+/**
+ * Methods every adapter exposes. Adapters that cannot support one
+ * inherit the default implementation, which throws a descriptive error.
+ */
+export const ADAPTER_METHODS = [
+  'connect',
+  'disconnect',
+  'getAccountInfo',
+  'getBalances',
+  'placeOrder',
+  'cancelOrder',
+  'amendOrder',
+  'cancelAllOrders',
+  'getOrder',
+  'getOpenOrders',
+  'getFills',
+  'getKlines',
+  'getTicker',
+  'subscribe'
+];
+
+/**
+ * Resolve the legacy demo flags (`isDemo`, `demo`, `testnet`) into one boolean.
+ * Anything not explicitly marked live stays in demo mode.
+ */
+export function resolveDemoFlag(config = {}) {
+  const flag = config.isDemo ?? config.demo ?? config.testnet;
+  return flag === undefined || flag === null ? true : Boolean(flag);
+}
+
+const STATUS_MAP = {
+  // Our own vocabulary (Prisma OrderStatus)
+  PENDING: 'PENDING',
+  SUBMITTED: 'SUBMITTED',
+  PARTIALLY_FILLED: 'PARTIALLY_FILLED',
+  FILLED: 'FILLED',
+  CANCELLED: 'CANCELLED',
+  REJECTED: 'REJECTED',
+  EXPIRED: 'EXPIRED',
+
+  // Binance
+  NEW: 'SUBMITTED',
+  PENDING_NEW: 'PENDING',
+  CANCELED: 'CANCELLED',
+  PENDING_CANCEL: 'SUBMITTED',
+  EXPIRED_IN_MATCH: 'EXPIRED',
+
+  // Bybit v5
+  CREATED: 'PENDING',
+  UNTRIGGERED: 'SUBMITTED',
+  TRIGGERED: 'SUBMITTED',
+  PARTIALLYFILLED: 'PARTIALLY_FILLED',
+  PARTIALLYFILLEDCANCELED: 'CANCELLED',
+  DEACTIVATED: 'CANCELLED',
+
+  // Tradovate
+  WORKING: 'SUBMITTED',
+  SUSPENDED: 'SUBMITTED',
+  PENDINGNEW: 'PENDING',
+  PENDINGREPLACE: 'SUBMITTED',
+  PENDINGCANCEL: 'SUBMITTED',
+  COMPLETED: 'FILLED'
+};
+
+/**
+ * Map an exchange-specific order status onto our OrderStatus enum
+ */
+export function normalizeOrderStatus(status) {
+  if (!status) return 'SUBMITTED';
+  const key = String(status).replace(/[\s-]/g, '').toUpperCase();
+  return STATUS_MAP[key] || STATUS_MAP[String(status).toUpperCase()] || 'SUBMITTED';
+}
+
+const toNumber = (value, fallback = null) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const toTimestamp = (value) => {
+  if (!value) return Date.now();
+  if (value instanceof Date) return value.getTime();
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : new Date(value).getTime();
+};
+
+/**
+ * Normalized order shape returned by every adapter
+ */
+export function toOrderDTO(order) {
+  const quantity = toNumber(order.quantity, 0);
+  const filledQuantity = toNumber(order.filledQuantity, 0);
+
+  return {
+    orderId: order.orderId !== undefined && order.orderId !== null ? String(order.orderId) : null,
+    clientOrderId: order.clientOrderId || null,
+    symbol: order.symbol,
+    side: order.side ? String(order.side).toUpperCase() : null,
+    type: order.type ? String(order.type).toUpperCase() : null,
+    status: normalizeOrderStatus(order.status),
+    quantity,
+    price: toNumber(order.price),
+    stopPrice: toNumber(order.stopPrice),
+    timeInForce: order.timeInForce || null,
+    filledQuantity,
+    avgFillPrice: toNumber(order.avgFillPrice),
+    fills: (order.fills || []).map(toFillDTO),
+    rejectReason: order.rejectReason || null,
+    createdAt: toTimestamp(order.createdAt),
+    updatedAt: toTimestamp(order.updatedAt || order.createdAt),
+    raw: order.raw
+  };
+}
+
+/**
+ * Normalized execution (trade) shape
+ */
+export function toFillDTO(fill) {
+  return {
+    fillId: fill.fillId !== undefined && fill.fillId !== null ? String(fill.fillId) : null,
+    orderId: fill.orderId !== undefined && fill.orderId !== null ? String(fill.orderId) : null,
+    clientOrderId: fill.clientOrderId || null,
+    symbol: fill.symbol,
+    side: fill.side ? String(fill.side).toUpperCase() : null,
+    quantity: toNumber(fill.quantity, 0),
+    price: toNumber(fill.price, 0),
+    commission: toNumber(fill.commission, 0),
+    commissionAsset: fill.commissionAsset || null,
+    isMaker: Boolean(fill.isMaker),
+    timestamp: toTimestamp(fill.timestamp)
+  };
+}
+
+/**
+ * Normalized asset balance shape
+ */
+export function toBalanceDTO(balance) {
+  const free = toNumber(balance.free, 0);
+  const locked = toNumber(balance.locked, 0);
+
+  return {
+    asset: balance.asset,
+    free,
+    locked,
+    total: toNumber(balance.total, free + locked)
+  };
+}
+
+/**
+ * Normalized OHLCV candle shape
+ */
+export function toCandleDTO(candle) {
+  return {
+    timestamp: toTimestamp(candle.timestamp),
+    open: toNumber(candle.open, 0),
+    high: toNumber(candle.high, 0),
+    low: toNumber(candle.low, 0),
+    close: toNumber(candle.close, 0),
+    volume: toNumber(candle.volume, 0),
+    closed: candle.closed ?? true
+  };
+}
+
+export const WS_CONNECTING = 0;
+export const WS_OPEN = 1;
+
+/**
+ * Open a WebSocket with the browser implementation or the `ws` package on the server.
+ * An explicit implementation (config.WebSocket) wins, which lets scripts and mock
+ * servers run outside the Next.js bundler.
+ */
+export function createWebSocket(url, options, WebSocketImpl) {
+  if (WebSocketImpl) {
+    return new WebSocketImpl(url, options);
+  }
+  if (typeof window !== 'undefined' && window.WebSocket) {
+    return new window.WebSocket(url);
+  }
+  return new NodeWebSocket(url, options);
+}
+
+/**
+ * Base class for every exchange adapter
+ */
+export class ExchangeAdapter {
+  constructor(config = {}) {
+    this.config = config;
+    this.isDemo = resolveDemoFlag(config);
+    this.accountId = config.accountId || null;
+    this.apiKey = config.apiKey;
+    this.apiSecret = config.apiSecret;
+    this.isConnected = false;
+  }
+
+  get name() {
+    return this.constructor.name;
+  }
+
+  unsupported(method) {
+    throw new Error(`${this.name} does not support ${method}`);
+  }
+
+  /**
+   * ===== CONNECTION =====
+   */
+
+  async connect() {
+    this.isConnected = true;
+    return true;
+  }
+
+  disconnect() {
+    this.isConnected = false;
+  }
+
+  /**
+   * ===== ACCOUNT =====
+   */
+
+  // -> { accountType, balance, equity, balances: BalanceDTO[] }
+  async getAccountInfo() {
+    return this.unsupported('getAccountInfo');
+  }
+
+  // -> BalanceDTO[]
+  async getBalances() {
+    const info = await this.getAccountInfo();
+    return info.balances || [];
+  }
+
+  /**
+   * ===== ORDERS =====
+   */
+
+  // ({ symbol, side, type, quantity, price, stopPrice, timeInForce, clientOrderId, reduceOnly }) -> OrderDTO
+  // reduceOnly is honoured where the venue has position-aware orders and ignored elsewhere.
+  async placeOrder(order) {
+    return this.unsupported('placeOrder');
+  }
+
+  // ({ symbol, orderId, clientOrderId }) -> OrderDTO
+  async cancelOrder(params) {
+    return this.unsupported('cancelOrder');
+  }
+
+  // ({ symbol, orderId, clientOrderId, price, quantity, stopPrice }) -> OrderDTO
+  async amendOrder(params) {
+    return this.unsupported('amendOrder');
+  }
+
+  // ({ symbol, side, quantity, price, stopPrice, stopLimitPrice, limitClientOrderId, stopClientOrderId })
+  //   -> [limitLeg: OrderDTO, stopLeg: OrderDTO]
+  // Venue-managed one-cancels-the-other list; callers emulate it where this is unsupported.
+  async placeOcoOrder(params) {
+    return this.unsupported('placeOcoOrder');
+  }
+
+  // (symbol?) -> OrderDTO[] of cancelled orders.
+  // Venues without a bulk endpoint fall back to cancelling each open order.
+  async cancelAllOrders(symbol) {
+    const openOrders = await this.getOpenOrders(symbol);
+    const cancelled = [];
+
+    for (const order of openOrders) {
+      cancelled.push(await this.cancelOrder({
+        symbol: order.symbol,
+        orderId: order.orderId,
+        clientOrderId: order.clientOrderId
+      }));
+    }
+    return cancelled;
+  }
+
+  // ({ symbol, orderId, clientOrderId }) -> OrderDTO | null
+  async getOrder(params) {
+    return this.unsupported('getOrder');
+  }
+
+  // (symbol?) -> OrderDTO[]
+  async getOpenOrders(symbol) {
+    return this.unsupported('getOpenOrders');
+  }
+
+  // (symbol, { startTime, limit }) -> FillDTO[]
+  async getFills(symbol, options = {}) {
+    return this.unsupported('getFills');
+  }
+
+  /**
+   * ===== MARKET DATA =====
+   */
+
+  // (symbol, interval, { startTime, endTime, limit }) -> Candle[]
+  async getKlines(symbol, interval, options = {}) {
+    return this.unsupported('getKlines');
+  }
+
+  // (symbol) -> { symbol, price, priceChangePercent, volume }
+  async getTicker(symbol) {
+    return this.unsupported('getTicker');
+  }
+
+  // (symbol, limit) -> { symbol, updateId, bids, asks, timestamp }, levels as [price, quantity]
+  async getOrderBook(symbol, limit) {
+    return this.unsupported('getOrderBook');
+  }
+
+  // (symbol) -> { symbol, fundingRate (fraction per interval), nextFundingTime, markPrice, timestamp }
+  // for the symbol's perpetual contract
+  async getFundingRate(symbol) {
+    return this.unsupported('getFundingRate');
+  }
+
+  // (channel, params, handler) -> unsubscribe()
+  // Public channels: 'ticker' | 'kline' | 'trade' | 'depth' (see order-book-feed.js)
+  // Private channels: 'order' (OrderDTO) | 'execution' (FillDTO) | 'wallet'
+  subscribe(channel, params, handler) {
+    return this.unsupported('subscribe');
+  }
+}
+
+export default ExchangeAdapter;
@@ -0,0 +1,681 @@
+/**
+ * OCO Manager
+ * Bracket orders (entry + stop-loss + take-profit) and one-cancels-the-other pairs,
+ * stored as parent/child Order rows. Exit legs go to the exchange as a native OCO
+ * list where the venue has one; elsewhere they are linked server-side and a leg
+ * that fills or is cancelled takes its open siblings with it. On spot venues both exits
+ * would sell the same base asset, so only the take-profit rests on the exchange: the
+ * stop-loss is held here and sent as a market (or limit) order once price reaches it.
+ * Bracket exits go out as soon as the entry starts filling and follow it up as it fills.
+ */
+
+import { prisma } from '../database.js';
+import { adapterRegistry } from '../trading-apis/adapter-registry.js';
+import { OPEN_ORDER_STATUSES, TERMINAL_ORDER_STATUSES } from './order-reconciler.js';
+
+const EXIT_ROLES = ['STOP_LOSS', 'TAKE_PROFIT'];
+const DEFAULT_TRIGGER_INTERVAL = 5000;
+
+const oppositeSide = (side) => (side === 'BUY' ? 'SELL' : 'BUY');
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+/**
+ * Exits must sit on the correct side of the entry: a long is stopped out below and
+ * takes profit above, a short the other way round.
+ */
+function validateExits(side, referencePrice, { stopLoss, takeProfit }) {
+  if (stopLoss === null && takeProfit === null) {
+    throw new Error('Invalid bracket: provide a stopLoss and/or takeProfit');
+  }
+  if ((stopLoss !== null && !(stopLoss > 0)) || (takeProfit !== null && !(takeProfit > 0))) {
+    throw new Error('Invalid bracket: stopLoss and takeProfit must be positive numbers');
+  }
+
+  const below = side === 'BUY' ? stopLoss : takeProfit;
+  const above = side === 'BUY' ? takeProfit : stopLoss;
+  const misplaced = (below !== null && above !== null && below >= above) ||
+    (referencePrice && below !== null && below >= referencePrice) ||
+    (referencePrice && above !== null && above <= referencePrice);
+
+  if (misplaced) {
+    throw new Error(side === 'BUY'
+      ? 'Invalid bracket: a BUY needs its stopLoss below and takeProfit above the entry price'
+      : 'Invalid bracket: a SELL needs its stopLoss above and takeProfit below the entry price');
+  }
+}
+
+function toOrderData(order) {
+  return {
+    symbol: order.symbol,
+    side: order.side,
+    type: order.type,
+    quantity: parseFloat(order.quantity),
+    ...(order.price !== null && { price: parseFloat(order.price) }),
+    ...(order.stopPrice !== null && { stopPrice: parseFloat(order.stopPrice) })
+  };
+}
+
+export class OcoManager {
+  /**
+   * @param {object} manager - UnifiedTradingManager (createOrderRecord, submitOrder, reconciler...)
+   */
+  constructor(manager, { intervalMs = DEFAULT_TRIGGER_INTERVAL } = {}) {
+    this.manager = manager;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.evaluating = false;
+    this.arming = new Map(); // parent id -> in-flight exit submission
+    this.cancelling = new Set(); // parent ids whose legs are being cancelled together
+    this.triggering = new Set(); // parent ids whose held stop is replacing its take-profit
+    this.following = new Map(); // entry id -> tail of its serialised arm/resize passes
+
+    this.onOrder = (order) => {
+      this.handleOrderUpdate(order).catch(error => console.error('❌ OCO update failed:', error));
+    };
+
+    // More fills on a partially filled entry change no status, so they only arrive here
+    this.onFill = ({ order }) => {
+      if (order.legRole !== 'ENTRY') return;
+      this.followEntry(order).catch(error => console.error('❌ Bracket exit resize failed:', error));
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.manager.reconciler.on('order', this.onOrder);
+    this.manager.reconciler.on('fill', this.onFill);
+    this.timer = setInterval(() => {
+      this.evaluateHeldStops().catch(error => console.error('❌ Held stop evaluation failed:', error));
+    }, this.intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.manager.reconciler.off('order', this.onOrder);
+    this.manager.reconciler.off('fill', this.onFill);
+  }
+
+  /**
+   * Demo accounts get OCO lists from the paper exchange; live ones only where the venue has them
+   */
+  usesNativeOco(account) {
+    return account.isDemo || adapterRegistry.supports(account.platform, 'oco');
+  }
+
+  /**
+   * Emulated pairs on spot venues: the exchange reserves the base asset for each resting
+   * sell, so a second exit leg would be rejected for insufficient balance
+   */
+  holdsStopLocally(account) {
+    return !this.usesNativeOco(account) && adapterRegistry.supports(account.platform, 'markets', 'spot');
+  }
+
+  /**
+   * ===== PLACEMENT =====
+   */
+
+  /**
+   * Entry with attached exits. The exit legs are stored straight away but only sent
+   * once the entry starts filling, sized to what has filled so far.
+   */
+  async placeBracket(userId, account, api, { stopLoss, takeProfit, stopLimitPrice, ...entryData }, links = {}) {
+    if (!['MARKET', 'LIMIT'].includes(entryData.type)) {
+      throw new Error('Invalid bracket: entry must be a MARKET or LIMIT order');
+    }
+
+    const exits = { stopLoss: toNumber(stopLoss), takeProfit: toNumber(takeProfit) };
+    const referencePrice = entryData.type === 'LIMIT'
+      ? toNumber(entryData.price)
+      : await this.manager.getCurrentPrice(entryData.symbol).catch(() => null);
+    validateExits(entryData.side, referencePrice, exits);
+
+    const entry = await this.manager.createOrderRecord(userId, account.id, entryData, { ...links, legRole: 'ENTRY' });
+    const legLinks = {
+      ...links,
+      parentOrderId: entry.id,
+      isNativeOco: exits.stopLoss !== null && exits.takeProfit !== null && this.usesNativeOco(account)
+    };
+    const exitData = {
+      symbol: entryData.symbol,
+      side: oppositeSide(entryData.side),
+      quantity: entryData.quantity
+    };
+
+    if (exits.stopLoss !== null) {
+      await this.manager.createOrderRecord(userId, account.id, {
+        ...exitData,
+        type: stopLimitPrice ? 'STOP_LIMIT' : 'STOP',
+        stopPrice: exits.stopLoss,
+        price: toNumber(stopLimitPrice) ?? undefined
+      }, { ...legLinks, legRole: 'STOP_LOSS' });
+    }
+    if (exits.takeProfit !== null) {
+      await this.manager.createOrderRecord(userId, account.id, {
+        ...exitData,
+        type: 'LIMIT',
+        price: exits.takeProfit
+      }, { ...legLinks, legRole: 'TAKE_PROFIT' });
+    }
+
+    let submitted;
+    try {
+      submitted = await this.manager.submitOrder(account, api, entry, entryData);
+    } catch (error) {
+      await this.cancelLegs(entry.id);
+      throw error;
+    }
+
+    // Market entries fill inline: arm the exits before answering
+    await this.handleOrderUpdate(submitted);
+    return this.getOrderWithLegs(entry.id);
+  }
+
+  /**
+   * Standalone OCO pair: an OCO container row with a LIMIT (take-profit) leg and a
+   * STOP / STOP_LIMIT (stop-loss) leg on the same side, e.g. both exits of an open position.
+   */
+  async placeOco(userId, account, api, { symbol, side, quantity, price, stopPrice, stopLimitPrice }) {
+    const limitPrice = toNumber(price);
+    const triggerPrice = toNumber(stopPrice);
+
+    if (!(limitPrice > 0) || !(triggerPrice > 0)) {
+      throw new Error('Invalid OCO: price and stopPrice are required');
+    }
+    if (side === 'SELL' ? limitPrice <= triggerPrice : limitPrice >= triggerPrice) {
+      throw new Error(`Invalid OCO: a ${side} needs its limit price ${side === 'SELL' ? 'above' : 'below'} the stopPrice`);
+    }
+
+    const parent = await this.manager.createOrderRecord(userId, account.id, {
+      symbol, side, type: 'OCO', quantity, price: limitPrice, stopPrice: triggerPrice
+    });
+    const legLinks = { parentOrderId: parent.id, isNativeOco: this.usesNativeOco(account) };
+
+    await this.manager.createOrderRecord(userId, account.id, {
+      symbol, side, type: 'LIMIT', quantity, price: limitPrice
+    }, { ...legLinks, legRole: 'TAKE_PROFIT' });
+    await this.manager.createOrderRecord(userId, account.id, {
+      symbol,
+      side,
+      type: stopLimitPrice ? 'STOP_LIMIT' : 'STOP',
+      quantity,
+      stopPrice: triggerPrice,
+      price: toNumber(stopLimitPrice) ?? undefined
+    }, { ...legLinks, legRole: 'STOP_LOSS' });
+
+    try {
+      await this.armLegs(parent);
+    } catch (error) {
+      await prisma.order.update({ where: { id: parent.id }, data: { status: 'REJECTED' } });
+      throw error;
+    }
+
+    await this.syncOcoParent(parent.id);
+    return this.getOrderWithLegs(parent.id);
+  }
+
+  async getOrderWithLegs(orderId) {
+    return await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { childOrders: true }
+    });
+  }
+
+  /**
+   * Send a parent's pending exit legs to the exchange. Concurrent callers (the
+   * placement request and the reconciler event for the same fill) share one submission.
+   */
+  armLegs(parent) {
+    if (!this.arming.has(parent.id)) {
+      const submission = this.submitLegs(parent).finally(() => this.arming.delete(parent.id));
+      this.arming.set(parent.id, submission);
+    }
+    return this.arming.get(parent.id);
+  }
+
+  async submitLegs(parent, quantity = parent.legRole === 'ENTRY' ? parseFloat(parent.filledQuantity) : parseFloat(parent.quantity)) {
+    const legs = await prisma.order.findMany({
+      where: {
+        parentOrderId: parent.id,
+        legRole: { in: EXIT_ROLES },
+        status: 'PENDING',
+        externalOrderId: null
+      }
+    });
+    if (legs.length === 0) return [];
+
+    const account = await prisma.tradingAccount.findUnique({ where: { id: parent.tradingAccountId } });
+    const api = await this.manager.connectAccount(account.id);
+
+    // Bracket exits cover what the entry actually filled
+    if (legs.some(leg => parseFloat(leg.quantity) !== quantity)) {
+      await prisma.order.updateMany({
+        where: { id: { in: legs.map(leg => leg.id) } },
+        data: { quantity }
+      });
+      legs.forEach(leg => { leg.quantity = quantity; });
+    }
+
+    if (legs.length === 2 && legs.every(leg => leg.isNativeOco)) {
+      return this.submitNativeOco(account, api, legs);
+    }
+
+    const holdStop = legs.length === 2 && this.holdsStopLocally(account);
+
+    const submitted = [];
+    let lastError = null;
+    for (const leg of legs) {
+      // A sibling that filled inline may already have cancelled this leg
+      const current = await prisma.order.findUnique({ where: { id: leg.id } });
+      if (current.status !== 'PENDING') continue;
+
+      if (holdStop && current.legRole === 'STOP_LOSS') {
+        // Working, but only here until evaluateHeldStops sees its trigger
+        submitted.push(await this.manager.reconciler.applyOrderUpdate(current, { status: 'SUBMITTED', updatedAt: Date.now() }));
+        continue;
+      }
+
+      try {
+        submitted.push(await this.manager.submitOrder(account, api, current, toOrderData(current)));
+      } catch (error) {
+        console.error(`❌ ${leg.legRole} leg rejected for ${leg.symbol}:`, error.message);
+        lastError = error;
+      }
+    }
+
+    if (submitted.length === 0 && lastError) {
+      throw lastError;
+    }
+    return submitted;
+  }
+
+  async submitNativeOco(account, api, legs) {
+    const limitLeg = legs.find(leg => leg.legRole === 'TAKE_PROFIT');
+    const stopLeg = legs.find(leg => leg.legRole === 'STOP_LOSS');
+
+    let results;
+    try {
+      results = await api.placeOcoOrder({
+        symbol: limitLeg.symbol,
+        side: limitLeg.side,
+        quantity: parseFloat(limitLeg.quantity),
+        price: parseFloat(limitLeg.price),
+        stopPrice: parseFloat(stopLeg.stopPrice),
+        ...(stopLeg.price !== null && { stopLimitPrice: parseFloat(stopLeg.price) }),
+        limitClientOrderId: limitLeg.clientOrderId,
+        stopClientOrderId: stopLeg.clientOrderId
+      });
+    } catch (error) {
+      await prisma.order.updateMany({
+        where: { id: { in: [limitLeg.id, stopLeg.id] } },
+        data: { status: 'REJECTED' }
+      });
+      throw error;
+    }
+
+    const updated = [];
+    for (const [leg, result] of [[limitLeg, results[0]], [stopLeg, results[1]]]) {
+      await this.manager.recordImmediateFills(account, leg, result);
+      updated.push(await this.manager.reconciler.applyOrderUpdate(leg, result));
+    }
+
+    console.log(`🔗 Native OCO placed: ${limitLeg.symbol} ${limitLeg.side} ${limitLeg.quantity}`);
+    return updated;
+  }
+
+  /**
+   * ===== ENTRY FILLS =====
+   */
+
+  /**
+   * Bring an entry's exits in line with what it has filled. Passes for one entry run
+   * one at a time and each re-reads the entry, so a burst of fills arms the legs once
+   * and then resizes them.
+   */
+  followEntry(entry) {
+    const previous = this.following.get(entry.id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this.syncEntryLegs(entry.id));
+
+    this.following.set(entry.id, next);
+    next.catch(() => {}).finally(() => {
+      if (this.following.get(entry.id) === next) this.following.delete(entry.id);
+    });
+    return next;
+  }
+
+  async syncEntryLegs(entryId) {
+    const entry = await prisma.order.findUnique({ where: { id: entryId } });
+    if (!entry) return [];
+
+    const filledQuantity = await this.getFilledQuantity(entry);
+    if (filledQuantity > 0) {
+      const armed = await this.armLegs({ ...entry, filledQuantity });
+      await this.resizeLegs(entry, filledQuantity);
+      return armed;
+    }
+    if (TERMINAL_ORDER_STATUSES.includes(entry.status)) {
+      return this.cancelLegs(entry.id);
+    }
+    return [];
+  }
+
+  /**
+   * The sweep records fills before it writes the order's new filled quantity; take
+   * whichever is further along
+   */
+  async getFilledQuantity(order) {
+    const fills = await prisma.orderFill.findMany({ where: { orderId: order.id } });
+    const recorded = fills.reduce((sum, fill) => sum + parseFloat(fill.quantity), 0);
+    return parseFloat(Math.max(parseFloat(order.filledQuantity), recorded).toFixed(8));
+  }
+
+  /**
+   * Grow working exits to the entry's filled quantity: held stops only exist here,
+   * exchange legs are amended, and native lists (or venues that cannot amend) are
+   * cancelled and placed again for the position they no longer cover
+   */
+  async resizeLegs(entry, filledQuantity) {
+    if (this.triggering.has(entry.id)) return [];
+
+    const legs = (await prisma.order.findMany({
+      where: {
+        parentOrderId: entry.id,
+        legRole: { in: EXIT_ROLES },
+        status: { in: OPEN_ORDER_STATUSES }
+      }
+    })).filter(leg => leg.status !== 'PENDING' && parseFloat(leg.quantity) < filledQuantity);
+    if (legs.length === 0) return [];
+
+    const account = await prisma.tradingAccount.findUnique({ where: { id: entry.tradingAccountId } });
+    const canAmend = account.isDemo || adapterRegistry.supports(account.platform, 'amend');
+    if (!canAmend || legs.some(leg => leg.isNativeOco)) {
+      return this.replaceLegs(entry, legs, filledQuantity);
+    }
+
+    const api = await this.manager.connectAccount(account.id);
+    const resized = [];
+    for (const leg of legs) {
+      try {
+        resized.push(leg.externalOrderId
+          ? await this.amendLegQuantity(account, api, leg, filledQuantity)
+          : await prisma.order.update({ where: { id: leg.id }, data: { quantity: filledQuantity } }));
+      } catch (error) {
+        console.error(`❌ ${leg.legRole} leg could not be resized for ${leg.symbol}:`, error.message);
+      }
+    }
+
+    console.log(`🔗 Bracket exits resized: ${entry.symbol} ${filledQuantity}`);
+    return resized;
+  }
+
+  async amendLegQuantity(account, api, leg, quantity) {
+    // The exchange order only carries what earlier cancel/replace amends left over
+    const replacedFilledQuantity = parseFloat(leg.replacedFilledQuantity || 0);
+
+    this.manager.reconciler.amending.add(leg.id);
+    try {
+      const result = await api.amendOrder({
+        symbol: leg.symbol,
+        orderId: leg.externalOrderId,
+        clientOrderId: leg.clientOrderId,
+        quantity: parseFloat((quantity - replacedFilledQuantity).toFixed(8))
+      });
+
+      await this.manager.recordImmediateFills(account, leg, result);
+      return await this.manager.reconciler.applyOrderUpdate(leg, result, { quantity });
+    } finally {
+      this.manager.reconciler.amending.delete(leg.id);
+    }
+  }
+
+  async replaceLegs(entry, legs, filledQuantity) {
+    let closed = 0;
+    this.cancelling.add(entry.id);
+    try {
+      for (const leg of legs) {
+        const result = await this.cancelLeg(leg);
+        if (OPEN_ORDER_STATUSES.includes(result.status)) {
+          throw new Error(`${leg.legRole} leg ${leg.id} could not be cancelled`);
+        }
+        closed += parseFloat(result.filledQuantity);
+      }
+    } finally {
+      this.cancelling.delete(entry.id);
+    }
+
+    // Whatever the old legs already sold is no longer there to protect
+    const quantity = parseFloat((filledQuantity - closed).toFixed(8));
+    if (!(quantity > 0)) return [];
+
+    for (const leg of legs) {
+      await this.manager.createOrderRecord(leg.userId, leg.tradingAccountId, { ...toOrderData(leg), quantity }, {
+        parentOrderId: entry.id,
+        legRole: leg.legRole,
+        isNativeOco: leg.isNativeOco,
+        algoOrderId: leg.algoOrderId,
+        strategyId: leg.strategyId
+      });
+    }
+
+    console.log(`🔗 Bracket exits replaced: ${entry.symbol} ${quantity}`);
+    return this.submitLegs(entry, quantity);
+  }
+
+  /**
+   * ===== HELD STOPS =====
+   */
+
+  async evaluateHeldStops() {
+    if (this.evaluating) return;
+    this.evaluating = true;
+
+    try {
+      const legs = await prisma.order.findMany({
+        where: {
+          legRole: 'STOP_LOSS',
+          status: 'SUBMITTED',
+          externalOrderId: null,
+          parentOrderId: { not: null }
+        }
+      });
+
+      for (const leg of legs) {
+        try {
+          const price = await this.manager.getCurrentPrice(leg.symbol);
+          const stopPrice = parseFloat(leg.stopPrice);
+          const triggered = leg.side === 'SELL' ? price <= stopPrice : price >= stopPrice;
+          if (triggered) {
+            await this.triggerHeldStop(leg);
+          }
+        } catch (error) {
+          console.warn(`🔗 Held stop ${leg.id} skipped:`, error.message);
+        }
+      }
+    } finally {
+      this.evaluating = false;
+    }
+  }
+
+  /**
+   * Pull the take-profit first so its reserved balance is free, then send the stop
+   * for whatever the take-profit did not fill
+   */
+  async triggerHeldStop(leg) {
+    this.triggering.add(leg.parentOrderId);
+    try {
+      const siblings = await prisma.order.findMany({
+        where: {
+          parentOrderId: leg.parentOrderId,
+          id: { not: leg.id },
+          legRole: 'TAKE_PROFIT',
+          status: { in: OPEN_ORDER_STATUSES }
+        }
+      });
+
+      let siblingFilled = 0;
+      for (const sibling of siblings) {
+        const result = await this.cancelLeg(sibling);
+        if (OPEN_ORDER_STATUSES.includes(result.status)) {
+          throw new Error(`take-profit ${sibling.id} could not be cancelled`);
+        }
+        siblingFilled += parseFloat(result.filledQuantity);
+      }
+
+      const current = await prisma.order.findUnique({ where: { id: leg.id } });
+      if (current.status !== 'SUBMITTED' || current.externalOrderId) return current;
+
+      const quantity = parseFloat((parseFloat(current.quantity) - siblingFilled).toFixed(8));
+      if (!(quantity > 0)) {
+        // The take-profit filled in full before it could be pulled
+        return this.manager.reconciler.applyOrderUpdate(current, { status: 'CANCELLED', updatedAt: Date.now() });
+      }
+      if (quantity !== parseFloat(current.quantity)) {
+        await prisma.order.update({ where: { id: current.id }, data: { quantity } });
+      }
+
+      const account = await prisma.tradingAccount.findUnique({ where: { id: current.tradingAccountId } });
+      const api = await this.manager.connectAccount(account.id);
+      const orderData = current.type === 'STOP_LIMIT'
+        ? { symbol: current.symbol, side: current.side, type: 'LIMIT', quantity, price: parseFloat(current.price) }
+        : { symbol: current.symbol, side: current.side, type: 'MARKET', quantity };
+
+      console.log(`🔗 Held stop triggered: ${current.symbol} ${current.side} ${quantity} @ ${current.stopPrice}`);
+      return await this.manager.submitOrder(account, api, { ...current, quantity }, orderData);
+    } finally {
+      this.triggering.delete(leg.parentOrderId);
+    }
+  }
+
+  /**
+   * ===== LIFECYCLE =====
+   */
+
+  /**
+   * Reconciler 'order' events: arm exits as an entry fills (or drop them if it never
+   * does), keep OCO siblings exclusive
+   */
+  async handleOrderUpdate(order) {
+    if (!order) return;
+
+    if (order.legRole === 'ENTRY') {
+      await this.followEntry(order);
+      return;
+    }
+
+    if (!EXIT_ROLES.includes(order.legRole) || !order.parentOrderId) return;
+
+    // Native lists are cancelled by the venue; emulated ones are our job
+    const leftWorkingState = !['PENDING', 'SUBMITTED'].includes(order.status);
+    const managedHere = this.cancelling.has(order.parentOrderId) || this.triggering.has(order.parentOrderId);
+    if (leftWorkingState && !order.isNativeOco && !managedHere) {
+      await this.cancelSiblings(order);
+    }
+
+    await this.syncOcoParent(order.parentOrderId);
+  }
+
+  async cancelSiblings(order) {
+    const siblings = await prisma.order.findMany({
+      where: {
+        parentOrderId: order.parentOrderId,
+        id: { not: order.id },
+        legRole: { in: EXIT_ROLES },
+        status: { in: OPEN_ORDER_STATUSES }
+      }
+    });
+
+    for (const sibling of siblings) {
+      await this.cancelLeg(sibling);
+      console.log(`🔗 OCO: ${order.legRole} ${order.status.toLowerCase()}, cancelled ${sibling.legRole} on ${sibling.symbol}`);
+    }
+  }
+
+  /**
+   * Cancel every open exit leg under a parent (an OCO cancel, or an entry that died unfilled)
+   */
+  async cancelLegs(parentId) {
+    this.cancelling.add(parentId);
+    try {
+      const legs = await prisma.order.findMany({
+        where: {
+          parentOrderId: parentId,
+          legRole: { in: EXIT_ROLES },
+          status: { in: OPEN_ORDER_STATUSES }
+        }
+      });
+
+      const cancelled = [];
+      for (const leg of legs) {
+        cancelled.push(await this.cancelLeg(leg));
+      }
+
+      await this.syncOcoParent(parentId);
+      return cancelled;
+    } finally {
+      this.cancelling.delete(parentId);
+    }
+  }
+
+  async cancelLeg(leg) {
+    const current = await prisma.order.findUnique({ where: { id: leg.id } });
+    if (!OPEN_ORDER_STATUSES.includes(current.status)) return current;
+
+    // Exits still waiting on their entry only exist here
+    if (!current.externalOrderId) {
+      return this.manager.reconciler.applyOrderUpdate(current, { status: 'CANCELLED', updatedAt: Date.now() });
+    }
+
+    const api = await this.manager.connectAccount(current.tradingAccountId);
+    const reference = {
+      symbol: current.symbol,
+      orderId: current.externalOrderId,
+      clientOrderId: current.clientOrderId
+    };
+
+    try {
+      return await this.manager.reconciler.applyOrderUpdate(current, await api.cancelOrder(reference));
+    } catch (error) {
+      // Native lists cancel their own siblings; take whatever state the venue now reports
+      const snapshot = await api.getOrder(reference).catch(() => null);
+      if (!snapshot) {
+        console.warn(`🔗 Could not cancel ${current.legRole} leg ${current.id}:`, error.message);
+        return current;
+      }
+      return this.manager.reconciler.applyOrderUpdate(current, snapshot);
+    }
+  }
+
+  /**
+   * An OCO container mirrors its legs: filled once either leg fills, cancelled once both are gone
+   */
+  async syncOcoParent(parentId) {
+    const parent = await this.getOrderWithLegs(parentId);
+    if (!parent || parent.type !== 'OCO') return parent;
+
+    const legs = parent.childOrders;
+    const filledLeg = legs.find(leg => parseFloat(leg.filledQuantity) > 0);
+    const isOpen = (leg) => OPEN_ORDER_STATUSES.includes(leg.status);
+
+    let status;
+    if (filledLeg) {
+      status = filledLeg.status === 'FILLED' ? 'FILLED' : isOpen(filledLeg) ? 'PARTIALLY_FILLED' : 'CANCELLED';
+    } else if (legs.some(leg => isOpen(leg) && leg.status !== 'PENDING')) {
+      status = 'SUBMITTED';
+    } else if (legs.some(isOpen)) {
+      status = 'PENDING';
+    } else {
+      status = legs.every(leg => leg.status === 'REJECTED') ? 'REJECTED' : 'CANCELLED';
+    }
+
+    return this.manager.reconciler.applyOrderUpdate(parent, {
+      status,
+      filledQuantity: filledLeg ? parseFloat(filledLeg.filledQuantity) : 0,
+      avgFillPrice: filledLeg?.avgFillPrice ? parseFloat(filledLeg.avgFillPrice) : null,
+      updatedAt: Date.now()
+    });
+  }
+}
+
+export default OcoManager;
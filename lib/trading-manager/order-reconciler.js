@@ -0,0 +1,362 @@
+/**
+ * Order Reconciler
+ * Keeps Order rows in step with the exchange: private streams (Binance listenKey,
+ * Bybit order/execution topics, paper exchange events) push updates as they happen
+ * and a periodic REST sweep catches anything the streams missed.
+ */
+
+import { EventEmitter } from 'events';
+import { prisma } from '../database.js';
+import { paperExchange } from '../paper-trading/paper-exchange.js';
+
+export const OPEN_ORDER_STATUSES = ['PENDING', 'SUBMITTED', 'PARTIALLY_FILLED'];
+export const TERMINAL_ORDER_STATUSES = ['FILLED', 'CANCELLED', 'REJECTED', 'EXPIRED'];
+
+// Statuses only move forward; late or duplicated updates never regress a row
+const STATUS_RANK = {
+  PENDING: 0,
+  SUBMITTED: 1,
+  PARTIALLY_FILLED: 2,
+  FILLED: 3,
+  CANCELLED: 3,
+  REJECTED: 3,
+  EXPIRED: 3
+};
+
+const DEFAULT_SWEEP_INTERVAL = 60000;
+
+export class OrderReconciler extends EventEmitter {
+  /**
+   * @param {object} manager - UnifiedTradingManager (connectAccount, updatePortfolioFromFill, syncPaperBalance)
+   */
+  constructor(manager, { sweepIntervalMs = DEFAULT_SWEEP_INTERVAL } = {}) {
+    super();
+    this.manager = manager;
+    this.sweepIntervalMs = sweepIntervalMs;
+    this.watchers = new Map(); // accountId -> unsubscribe[]
+    this.sweepTimer = null;
+    this.sweeping = false;
+    // Order rows with an amend in flight. A cancel/replace amend cancels the exchange
+    // order the row points at; its stream events must not cancel the row meanwhile.
+    this.amending = new Set();
+
+    // Paper accounts are keyed by TradingAccount id, so one listener covers every demo account
+    this.onPaperOrder = (update) => this.handleOrderUpdate(update.accountId, update);
+    this.onPaperFill = (fill) => this.handleFill(fill.accountId, fill);
+  }
+
+  start() {
+    if (this.sweepTimer) return;
+
+    paperExchange.on('order', this.onPaperOrder);
+    paperExchange.on('fill', this.onPaperFill);
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => console.error('❌ Order sweep failed:', error));
+    }, this.sweepIntervalMs);
+
+    console.log('🔁 Order reconciler started');
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+
+    paperExchange.off('order', this.onPaperOrder);
+    paperExchange.off('fill', this.onPaperFill);
+
+    for (const accountId of this.watchers.keys()) {
+      this.unwatchAccount(accountId);
+    }
+  }
+
+  /**
+   * ===== STREAMS =====
+   */
+
+  watchAccount(accountId, api) {
+    if (this.watchers.has(accountId) || api.isDemo) return;
+
+    const unsubscribers = [];
+    try {
+      unsubscribers.push(api.subscribe('execution', {}, (fill) => {
+        this.handleFill(accountId, fill);
+      }));
+      unsubscribers.push(api.subscribe('order', {}, (update) => {
+        this.handleOrderUpdate(accountId, update);
+      }));
+      console.log(`📡 Watching order stream for account ${accountId}`);
+    } catch (error) {
+      // Venues without a private stream rely on the REST sweep
+      console.warn(`📡 No order stream for ${api.name}, using REST sweep:`, error.message);
+    }
+
+    this.watchers.set(accountId, unsubscribers);
+  }
+
+  unwatchAccount(accountId) {
+    const unsubscribers = this.watchers.get(accountId) || [];
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.watchers.delete(accountId);
+  }
+
+  async findOrder(accountId, { orderId, clientOrderId }) {
+    if (!orderId && !clientOrderId) return null;
+
+    return await prisma.order.findFirst({
+      where: {
+        tradingAccountId: accountId,
+        OR: [
+          ...(orderId ? [{ externalOrderId: String(orderId) }] : []),
+          ...(clientOrderId ? [{ clientOrderId }] : [])
+        ]
+      },
+      include: {
+        tradingAccount: { select: { id: true, isDemo: true } }
+      }
+    });
+  }
+
+  async handleOrderUpdate(accountId, update) {
+    try {
+      const order = await this.findOrder(accountId, update);
+      if (!order || this.amending.has(order.id)) return null;
+
+      const updatedOrder = await this.applyOrderUpdate(order, update);
+      if (order.tradingAccount.isDemo && updatedOrder?.status !== order.status) {
+        await this.manager.syncPaperBalance(accountId);
+      }
+      return updatedOrder;
+    } catch (error) {
+      console.error('❌ Order update reconcile failed:', error);
+      return null;
+    }
+  }
+
+  async handleFill(accountId, fill) {
+    try {
+      const order = await this.findOrder(accountId, fill);
+      if (!order) return false;
+
+      const recorded = await this.recordFill(order, fill);
+      if (recorded && order.tradingAccount.isDemo) {
+        await this.manager.syncPaperBalance(accountId);
+      }
+      return recorded;
+    } catch (error) {
+      console.error('❌ Fill reconcile failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * ===== RECONCILIATION =====
+   */
+
+  /**
+   * Write an exchange order snapshot (OrderDTO) back onto its Order row.
+   * Cancel/replace amends (Binance) move the row onto a new exchange order that only
+   * carries the unfilled remainder: `update.replacedOrderId` names the retired order
+   * and `update.replacedFilledQuantity` what it had filled.
+   */
+  async applyOrderUpdate(staleOrder, update, changes = {}) {
+    // Streams, the sweep and request handlers race each other; decide on the latest row
+    const order = await prisma.order.findUnique({ where: { id: staleOrder.id } });
+    if (!order || TERMINAL_ORDER_STATUSES.includes(order.status)) {
+      return order;
+    }
+
+    const replacing = Boolean(update.replacedOrderId) && update.replacedOrderId === order.externalOrderId;
+    if (!replacing && update.orderId && order.externalOrderId && update.orderId !== order.externalOrderId) {
+      return order; // Late update for an exchange order an amend already replaced
+    }
+
+    const status = STATUS_RANK[update.status] >= STATUS_RANK[order.status]
+      ? update.status
+      : order.status;
+
+    const replacedFilledQuantity = parseFloat(order.replacedFilledQuantity || 0)
+      + (replacing ? parseFloat(update.replacedFilledQuantity || 0) : 0);
+    const exchangeFilled = replacedFilledQuantity + parseFloat(update.filledQuantity || 0);
+    // The exchange's figure is authoritative for its own order; the max only guards
+    // against a stale snapshot racing a newer one for the same order
+    const filledQuantity = replacing
+      ? exchangeFilled
+      : Math.max(exchangeFilled, parseFloat(order.filledQuantity || 0));
+
+    // The exchange's average only covers its own order once earlier ones were replaced
+    const avgFillPrice = replacedFilledQuantity > 0
+      ? await this.getAverageFillPrice(order.id)
+      : update.avgFillPrice;
+
+    const updatedOrder = await prisma.order.update({
+      where: { id: order.id },
+      data: {
+        status,
+        filledQuantity,
+        ...(avgFillPrice && { avgFillPrice }),
+        ...(replacing && { replacedFilledQuantity }),
+        // Cancel/replace venues (Binance) issue a new exchange id on amend
+        ...(update.orderId && { externalOrderId: update.orderId }),
+        ...(changes.price !== undefined && { price: update.price ?? changes.price }),
+        ...((replacing || changes.quantity !== undefined) && {
+          quantity: update.quantity ? replacedFilledQuantity + update.quantity : changes.quantity
+        }),
+        ...(changes.stopPrice !== undefined && { stopPrice: update.stopPrice ?? changes.stopPrice }),
+        ...(status === 'CANCELLED' && { cancelledAt: new Date(update.updatedAt) }),
+        ...(status === 'FILLED' && { filledAt: new Date(update.updatedAt) })
+      }
+    });
+
+    if (status !== order.status) {
+      this.emit('order', updatedOrder);
+    }
+    return updatedOrder;
+  }
+
+  async getAverageFillPrice(orderId) {
+    const fills = await prisma.orderFill.findMany({ where: { orderId } });
+    const quantity = fills.reduce((sum, fill) => sum + parseFloat(fill.quantity), 0);
+    if (quantity <= 0) return null;
+    return fills.reduce((sum, fill) => sum + parseFloat(fill.quantity) * parseFloat(fill.price), 0) / quantity;
+  }
+
+  /**
+   * Insert one OrderFill and apply it to the portfolio exactly once.
+   * The (orderId, externalFillId) unique key makes stream, sweep and
+   * inline placement fills idempotent.
+   */
+  async recordFill(order, fill) {
+    const externalFillId = fill.fillId
+      || `${fill.orderId || order.externalOrderId}:${fill.timestamp}:${fill.quantity}@${fill.price}`;
+
+    let orderFill;
+    try {
+      orderFill = await prisma.orderFill.create({
+        data: {
+          orderId: order.id,
+          externalFillId,
+          quantity: fill.quantity,
+          price: fill.price,
+          commission: fill.commission || 0,
+          commissionAsset: fill.commissionAsset,
+          isMaker: Boolean(fill.isMaker),
+          timestamp: new Date(fill.timestamp)
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') return false; // Already recorded
+      throw error;
+    }
+
+    const realizedPnL = await this.manager.updatePortfolioFromFill(order.tradingAccountId, order, {
+      filledQuantity: fill.quantity,
+      avgFillPrice: fill.price
+    });
+
+    // Daily realized-loss limits are summed from these
+    if (realizedPnL) {
+      await prisma.orderFill.update({
+        where: { id: orderFill.id },
+        data: { realizedPnL }
+      });
+    }
+
+    this.emit('fill', { order, fill });
+    return true;
+  }
+
+  /**
+   * REST fallback: re-read every open order and pull any fills we have not seen
+   */
+  async sweep() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+
+    try {
+      const openOrders = await prisma.order.findMany({
+        where: {
+          status: { in: OPEN_ORDER_STATUSES },
+          externalOrderId: { not: null }
+        },
+        include: {
+          tradingAccount: { select: { id: true, isDemo: true } }
+        }
+      });
+
+      const byAccount = new Map();
+      for (const order of openOrders) {
+        if (!byAccount.has(order.tradingAccountId)) byAccount.set(order.tradingAccountId, []);
+        byAccount.get(order.tradingAccountId).push(order);
+      }
+
+      for (const [accountId, orders] of byAccount) {
+        await this.sweepAccount(accountId, orders);
+      }
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  async sweepAccount(accountId, orders) {
+    let api;
+    try {
+      api = await this.manager.connectAccount(accountId);
+    } catch (error) {
+      console.warn(`🔁 Sweep skipped account ${accountId}:`, error.message);
+      return;
+    }
+
+    const fillsBySymbol = new Map();
+    const since = new Map(); // symbol -> earliest open order time
+    for (const order of orders) {
+      const createdAt = new Date(order.createdAt).getTime();
+      since.set(order.symbol, Math.min(since.get(order.symbol) ?? createdAt, createdAt));
+    }
+
+    for (const order of orders) {
+      if (this.amending.has(order.id)) continue;
+      try {
+        const snapshot = await api.getOrder({
+          symbol: order.symbol,
+          orderId: order.externalOrderId,
+          clientOrderId: order.clientOrderId
+        });
+        if (!snapshot) {
+          // Paper state is restored before demo accounts connect, so an order the paper
+          // exchange does not know was lost (a reset, or placed before state was saved)
+          if (order.tradingAccount.isDemo) {
+            await this.applyOrderUpdate(order, { status: 'EXPIRED', filledQuantity: 0, updatedAt: Date.now() });
+            console.warn(`🔁 Paper order ${order.externalOrderId} no longer exists; order ${order.id} expired`);
+          }
+          continue;
+        }
+
+        const replacedFilledQuantity = parseFloat(order.replacedFilledQuantity || 0);
+        if (replacedFilledQuantity + snapshot.filledQuantity > parseFloat(order.filledQuantity)) {
+          if (!fillsBySymbol.has(order.symbol)) {
+            fillsBySymbol.set(order.symbol, await api.getFills(order.symbol, {
+              startTime: since.get(order.symbol)
+            }));
+          }
+
+          const fills = fillsBySymbol.get(order.symbol)
+            .filter(fill => fill.orderId === snapshot.orderId);
+          for (const fill of fills) {
+            await this.recordFill(order, fill);
+          }
+        }
+
+        await this.applyOrderUpdate(order, snapshot);
+      } catch (error) {
+        console.warn(`🔁 Sweep failed for order ${order.id}:`, error.message);
+      }
+    }
+
+    if (orders[0]?.tradingAccount.isDemo) {
+      await this.manager.syncPaperBalance(accountId);
+    }
+  }
+}
+
+export default OrderReconciler;
@@ -0,0 +1,25 @@
+/**
+ * Order API Responses
+ * Shared by the order routes so every endpoint strips credentials from returned orders
+ * and maps the manager's errors to the same HTTP statuses.
+ */
+
+/**
+ * Drop the account credentials that come along with included relations
+ */
+export function sanitizeOrder(order) {
+  if (!order?.tradingAccount) return order;
+
+  const { apiKey, apiSecret, ...tradingAccount } = order.tradingAccount;
+  return { ...order, tradingAccount };
+}
+
+export function getOrderErrorStatus(error) {
+  if (error.violations) return 422; // Pre-trade risk rejection
+  if (/^Kill switch engaged/.test(error.message)) return 423;
+  if (error.message === 'Order not found') return 404;
+  if (error.message === 'Unauthorized account access') return 403;
+  if (/^(Invalid|Nothing to amend|Order is |Market orders|Quantity cannot|Price and quantity)/.test(error.message)) return 400;
+  if (/does not support/.test(error.message)) return 422;
+  return 500;
+}
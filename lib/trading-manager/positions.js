@@ -0,0 +1,34 @@
+/**
+ * Position Accounting
+ * A Position row holds one side and a positive quantity: BUY for a long, SELL for a short.
+ * A fill on the position's side adds to it at a blended average price. A fill against it
+ * closes up to its size and realizes P&L for that side; whatever is left of the fill opens
+ * a position on the fill's side at the fill price.
+ */
+
+/**
+ * Apply one fill to a position (null, or quantity 0 once closed) ->
+ * { side, quantity, avgPrice, realizedPnL }
+ */
+export function applyFill(position, { side, quantity, price }) {
+  const held = position ? parseFloat(position.quantity) : 0;
+
+  if (!(held > 0) || position.side === side) {
+    const total = parseFloat((held + quantity).toFixed(8));
+    const avgPrice = held > 0
+      ? (held * parseFloat(position.avgPrice) + quantity * price) / total
+      : price;
+    return { side, quantity: total, avgPrice, realizedPnL: 0 };
+  }
+
+  const avgPrice = parseFloat(position.avgPrice);
+  const closedQty = Math.min(quantity, held);
+  const realizedPnL = (position.side === 'BUY' ? price - avgPrice : avgPrice - price) * closedQty;
+  const remainder = parseFloat((quantity - held).toFixed(8));
+
+  if (remainder > 0) {
+    // Covered and flipped: the rest of the fill is a new position on the other side
+    return { side, quantity: remainder, avgPrice: price, realizedPnL };
+  }
+  return { side: position.side, quantity: parseFloat((held - closedQty).toFixed(8)), avgPrice, realizedPnL };
+}
@@ -0,0 +1,383 @@
+/**
+ * Stop Manager
+ * Trailing and break-even management for open positions. Each StopRule owns a working
+ * stop order: as price moves in the position's favour the stop is ratcheted by a fixed
+ * distance, a percentage or an ATR multiple, and it can jump to break-even once the trade
+ * is far enough in profit. Stops only ever tighten, and rule state is persisted on every
+ * adjustment so trailing picks up where it left off after a restart. The stop is resized
+ * whenever the position grows or is partly closed, so it never covers more than is held.
+ */
+
+import { prisma } from '../database.js';
+import { TERMINAL_ORDER_STATUSES } from './order-reconciler.js';
+import { ATR } from '../indicators/indicators.js';
+
+const DEFAULT_EVALUATION_INTERVAL = 5000;
+const ATR_REFRESH_INTERVAL = 60000;
+const TRAIL_TYPES = ['FIXED', 'PERCENT', 'ATR'];
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+/**
+ * Round a computed stop to the precision the market quotes in
+ */
+function roundToQuote(value, referencePrice) {
+  const decimals = (String(referencePrice).split('.')[1] || '').length;
+  const factor = Math.pow(10, Math.min(Math.max(decimals, 2), 8));
+  return Math.round(value * factor) / factor;
+}
+
+export class StopManager {
+  /**
+   * @param {object} manager - UnifiedTradingManager (placeOrder, amendOrder, getCurrentPrice, reconciler...)
+   */
+  constructor(manager, { intervalMs = DEFAULT_EVALUATION_INTERVAL } = {}) {
+    this.manager = manager;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.evaluating = false;
+    this.atrCache = new Map(); // symbol:interval:period -> { value, timestamp }
+
+    this.onOrder = (order) => {
+      this.handleOrderUpdate(order).catch(error => console.error('❌ Stop rule update failed:', error));
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.manager.reconciler.on('order', this.onOrder);
+    this.timer = setInterval(() => {
+      this.evaluateAll().catch(error => console.error('❌ Stop evaluation failed:', error));
+    }, this.intervalMs);
+
+    console.log('🪜 Stop manager started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.manager.reconciler.off('order', this.onOrder);
+  }
+
+  /**
+   * ===== RULES =====
+   */
+
+  /**
+   * Attach trailing / break-even management to an open position.
+   * Manages `config.orderId` if given (an existing stop, e.g. a bracket stop-loss),
+   * otherwise places a new STOP for the full position at `initialStop` or one trail away.
+   */
+  async createRule(userId, positionId, config = {}) {
+    const position = await prisma.position.findUnique({
+      where: { id: positionId },
+      include: { portfolio: true }
+    });
+    if (!position || position.portfolio.userId !== userId) {
+      throw new Error('Position not found');
+    }
+    if (position.closedAt || !(parseFloat(position.quantity) > 0)) {
+      throw new Error('Invalid stop rule: position is closed');
+    }
+
+    const existing = await prisma.stopRule.findFirst({ where: { positionId, isActive: true } });
+    if (existing) {
+      throw new Error('Invalid stop rule: position already has an active stop rule');
+    }
+
+    const settings = this.validateSettings(config);
+    const isLong = position.side === 'BUY';
+    const price = await this.manager.getCurrentPrice(position.symbol);
+    const rule = {
+      ...settings,
+      userId,
+      tradingAccountId: position.tradingAccountId,
+      positionId,
+      symbol: position.symbol,
+      side: position.side,
+      entryPrice: parseFloat(position.avgPrice),
+      extremePrice: price
+    };
+
+    let stopOrder;
+    if (config.orderId) {
+      stopOrder = await this.manager.getOwnedOrder(userId, config.orderId);
+      if (!['STOP', 'STOP_LIMIT'].includes(stopOrder.type) || stopOrder.symbol !== position.symbol) {
+        throw new Error(`Invalid stop rule: order must be a ${position.symbol} stop order`);
+      }
+      if (stopOrder.isNativeOco) {
+        throw new Error('Invalid stop rule: exchange OCO legs cannot be trailed');
+      }
+      if (TERMINAL_ORDER_STATUSES.includes(stopOrder.status)) {
+        throw new Error(`Invalid stop rule: order is already ${stopOrder.status.toLowerCase()}`);
+      }
+    } else {
+      const initialStop = toNumber(config.initialStop) ?? await this.getTrailStop(rule, price);
+      if (initialStop === null) {
+        throw new Error('Invalid stop rule: initialStop is required without a trail');
+      }
+      if (isLong ? initialStop >= price : initialStop <= price) {
+        throw new Error(`Invalid stop rule: stop must be ${isLong ? 'below' : 'above'} the current price (${price})`);
+      }
+
+      stopOrder = await this.manager.placeOrder(userId, position.tradingAccountId, {
+        symbol: position.symbol,
+        side: isLong ? 'SELL' : 'BUY',
+        type: 'STOP',
+        quantity: parseFloat(position.quantity),
+        stopPrice: roundToQuote(initialStop, price),
+        // Venues with position-aware orders (Bybit derivatives) never let it open a new position
+        reduceOnly: true
+      });
+    }
+
+    const created = await prisma.stopRule.create({
+      data: {
+        ...rule,
+        orderId: stopOrder.id,
+        currentStop: parseFloat(stopOrder.stopPrice)
+      }
+    });
+
+    console.log(`🪜 Stop rule on ${position.symbol}: ${settings.trailType || 'break-even'} from ${created.currentStop}`);
+    return created;
+  }
+
+  validateSettings(config) {
+    const trailType = config.trailType ? String(config.trailType).toUpperCase() : null;
+    const trailDistance = toNumber(config.trailDistance);
+    const breakEvenTrigger = toNumber(config.breakEvenTrigger);
+
+    if (trailType && !TRAIL_TYPES.includes(trailType)) {
+      throw new Error(`Invalid stop rule: trailType must be one of ${TRAIL_TYPES.join(', ')}`);
+    }
+    if (trailType && !(trailDistance > 0)) {
+      throw new Error('Invalid stop rule: trailDistance must be a positive number');
+    }
+    if (trailType === 'PERCENT' && trailDistance >= 100) {
+      throw new Error('Invalid stop rule: a percentage trail must be below 100');
+    }
+    if (breakEvenTrigger !== null && !(breakEvenTrigger > 0)) {
+      throw new Error('Invalid stop rule: breakEvenTrigger must be a positive percentage');
+    }
+    if (!trailType && breakEvenTrigger === null) {
+      throw new Error('Invalid stop rule: configure a trail and/or a break-even trigger');
+    }
+
+    return {
+      trailType,
+      trailDistance,
+      atrPeriod: parseInt(config.atrPeriod || 14, 10),
+      atrInterval: config.atrInterval || '1h',
+      breakEvenTrigger,
+      breakEvenOffset: toNumber(config.breakEvenOffset) ?? 0
+    };
+  }
+
+  async getUserRules(userId, { activeOnly = false } = {}) {
+    return await prisma.stopRule.findMany({
+      where: { userId, ...(activeOnly && { isActive: true }) },
+      orderBy: { createdAt: 'desc' },
+      include: { order: true }
+    });
+  }
+
+  /**
+   * Stop trailing; the stop order itself stays where it is
+   */
+  async deactivateRule(userId, ruleId) {
+    const rule = await prisma.stopRule.findUnique({ where: { id: ruleId } });
+    if (!rule || rule.userId !== userId) {
+      throw new Error('Stop rule not found');
+    }
+
+    return await prisma.stopRule.update({
+      where: { id: ruleId },
+      data: { isActive: false }
+    });
+  }
+
+  /**
+   * ===== EVALUATION =====
+   */
+
+  async evaluateAll() {
+    if (this.evaluating) return;
+    this.evaluating = true;
+
+    try {
+      const rules = await prisma.stopRule.findMany({ where: { isActive: true } });
+      for (const rule of rules) {
+        try {
+          await this.evaluateRule(rule);
+        } catch (error) {
+          console.warn(`🪜 Stop rule ${rule.id} skipped:`, error.message);
+        }
+      }
+    } finally {
+      this.evaluating = false;
+    }
+  }
+
+  async evaluateRule(rule) {
+    const position = await prisma.position.findUnique({ where: { id: rule.positionId } });
+    if (!position || position.closedAt || !(parseFloat(position.quantity) > 0)) {
+      await this.retireRule(rule, 'position closed');
+      return;
+    }
+
+    await this.syncStopQuantity(rule, position);
+
+    const isLong = rule.side === 'BUY';
+    const price = await this.manager.getCurrentPrice(rule.symbol);
+    const entryPrice = parseFloat(rule.entryPrice);
+    const currentStop = parseFloat(rule.currentStop);
+    const previousExtreme = parseFloat(rule.extremePrice);
+    const extremePrice = isLong ? Math.max(previousExtreme, price) : Math.min(previousExtreme, price);
+
+    const candidates = [];
+    const trailStop = await this.getTrailStop(rule, extremePrice);
+    if (trailStop !== null) candidates.push(trailStop);
+
+    let breakEvenApplied = rule.breakEvenApplied;
+    if (!breakEvenApplied && rule.breakEvenTrigger !== null) {
+      const profitPercent = (isLong ? price - entryPrice : entryPrice - price) / entryPrice * 100;
+      if (profitPercent >= parseFloat(rule.breakEvenTrigger)) {
+        const offset = parseFloat(rule.breakEvenOffset);
+        candidates.push(isLong ? entryPrice + offset : entryPrice - offset);
+        breakEvenApplied = true;
+      }
+    }
+
+    const target = candidates.length > 0
+      ? roundToQuote(isLong ? Math.max(...candidates) : Math.min(...candidates), price)
+      : null;
+
+    // Ratchet only: tighter than the working stop and still on the protective side of price
+    const tightens = target !== null && (isLong ? target > currentStop : target < currentStop);
+    const stillProtective = target !== null && (isLong ? target < price : target > price);
+
+    if (tightens && stillProtective) {
+      await this.moveStop(rule, target, { extremePrice, breakEvenApplied });
+    } else if (extremePrice !== previousExtreme) {
+      await prisma.stopRule.update({
+        where: { id: rule.id },
+        data: { extremePrice }
+      });
+    }
+  }
+
+  /**
+   * Keep the stop sized to the position: a partial close would otherwise leave it
+   * selling more than is held, and an add-on would leave part of the position unprotected
+   */
+  async syncStopQuantity(rule, position) {
+    const order = rule.orderId ? await prisma.order.findUnique({ where: { id: rule.orderId } }) : null;
+    if (!order || TERMINAL_ORDER_STATUSES.includes(order.status)) return;
+
+    const quantity = parseFloat(position.quantity);
+    if (Math.abs(parseFloat(order.quantity) - quantity) < 1e-9) return;
+
+    if (order.externalOrderId) {
+      await this.manager.amendOrder(rule.userId, order.id, { quantity });
+    } else {
+      // Held server-side (an emulated OCO stop): nothing on the exchange to amend
+      await prisma.order.update({ where: { id: order.id }, data: { quantity } });
+    }
+    console.log(`🪜 ${rule.symbol} stop resized ${order.quantity} → ${quantity}`);
+  }
+
+  async getTrailStop(rule, extremePrice) {
+    const isLong = rule.side === 'BUY';
+    const distance = parseFloat(rule.trailDistance);
+
+    switch (rule.trailType) {
+      case 'FIXED':
+        return isLong ? extremePrice - distance : extremePrice + distance;
+
+      case 'PERCENT':
+        return extremePrice * (isLong ? 1 - distance / 100 : 1 + distance / 100);
+
+      case 'ATR': {
+        const atr = await this.getATR(rule);
+        if (atr === null) return null;
+        return isLong ? extremePrice - atr * distance : extremePrice + atr * distance;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  async getATR(rule) {
+    const key = `${rule.symbol}:${rule.atrInterval}:${rule.atrPeriod}`;
+    const cached = this.atrCache.get(key);
+    if (cached && Date.now() - cached.timestamp < ATR_REFRESH_INTERVAL) {
+      return cached.value;
+    }
+
+    const api = await this.manager.connectAccount(rule.tradingAccountId);
+    const candles = await api.getKlines(rule.symbol, rule.atrInterval, {
+      limit: rule.atrPeriod * 3 + 1
+    });
+
+    // Only completed candles; the forming one understates the range
+    const values = ATR.compute(candles.filter(candle => candle.closed !== false), { period: rule.atrPeriod });
+    const value = values.length ? values[values.length - 1] : null;
+    this.atrCache.set(key, { value, timestamp: Date.now() });
+    return value;
+  }
+
+  async moveStop(rule, stopPrice, { extremePrice, breakEvenApplied }) {
+    await this.manager.amendOrder(rule.userId, rule.orderId, { stopPrice });
+
+    await prisma.stopRule.update({
+      where: { id: rule.id },
+      data: {
+        currentStop: stopPrice,
+        extremePrice,
+        breakEvenApplied,
+        adjustments: { increment: 1 },
+        lastAdjustedAt: new Date()
+      }
+    });
+
+    const reason = breakEvenApplied && !rule.breakEvenApplied ? 'break-even' : 'trail';
+    console.log(`🪜 ${rule.symbol} stop ${rule.currentStop} → ${stopPrice} (${reason})`);
+  }
+
+  /**
+   * ===== LIFECYCLE =====
+   */
+
+  /**
+   * A rule is done once its stop order fills, is cancelled or is rejected
+   */
+  async handleOrderUpdate(order) {
+    if (!order || !TERMINAL_ORDER_STATUSES.includes(order.status)) return;
+
+    const { count } = await prisma.stopRule.updateMany({
+      where: { orderId: order.id, isActive: true },
+      data: { isActive: false }
+    });
+    if (count > 0) {
+      console.log(`🪜 Stop rule for ${order.symbol} finished: stop order ${order.status.toLowerCase()}`);
+    }
+  }
+
+  async retireRule(rule, reason) {
+    await prisma.stopRule.update({
+      where: { id: rule.id },
+      data: { isActive: false }
+    });
+
+    // Without a position the stop would open a new one when it triggers
+    if (rule.orderId) {
+      await this.manager.cancelOrder(rule.userId, rule.orderId).catch(() => null);
+    }
+    console.log(`🪜 Stop rule for ${rule.symbol} retired: ${reason}`);
+  }
+}
+
+export default StopManager;
@@ -3,20 +3,82 @@
  * Handles demo/live switching, account management, and portfolio tracking
  */
 
-import { PrismaClient } from '@prisma/client';
+import { prisma } from '../database.js';
 import BinanceAPI from '../trading-apis/binance-api.js';
+import { adapterRegistry } from '../trading-apis/adapter-registry.js';
+import { paperExchange } from '../paper-trading/paper-exchange.js';
+import { PaperStore } from '../paper-trading/paper-store.js';
+import { OrderReconciler, OPEN_ORDER_STATUSES } from './order-reconciler.js';
+import { OcoManager } from './oco-manager.js';
+import { applyFill } from './positions.js';
+import { StopManager } from './stop-manager.js';
+import { ExecutionEngine } from '../execution/execution-engine.js';
+import { PreTradeRiskEngine } from '../risk/pre-trade-risk.js';
+import { KillSwitch } from '../risk/kill-switch.js';
+import { StrategyRuntime } from '../strategies/strategy-runtime.js';
+import { BacktestService } from '../backtesting/backtest-service.js';
+import { OptimizationService } from '../backtesting/optimization-service.js';
+import { RobustnessService } from '../backtesting/robustness-service.js';
+import { candleIngester } from '../market-data/candle-ingester.js';
+import { AlertEngine } from '../alerts/alert-engine.js';
 import { encrypt, decrypt } from '../security/encryption.js';
 
-const prisma = new PrismaClient();
 
 class UnifiedTradingManager {
   constructor() {
     this.connections = new Map(); // Active trading connections
     this.portfolioCache = new Map(); // Portfolio state cache
     this.priceCache = new Map(); // Price cache for P&L calculations
+    this.marketDataApi = new BinanceAPI({ isDemo: true }); // Public ticker source
     
     // Initialize price update interval
     this.startPriceUpdates();
+
+    // Limits every exposure-adding order must pass before it is stored or sent
+    this.riskEngine = new PreTradeRiskEngine(this);
+    this.killSwitch = new KillSwitch(this);
+
+    // Demo balances and working paper orders, restored from PaperAccount rows
+    this.paperStore = new PaperStore(paperExchange);
+    this.paperStore.start();
+
+    // Streams + REST sweep keep Order rows and fills in step with the exchange
+    this.reconciler = new OrderReconciler(this);
+    this.reconciler.start();
+
+    // Bracket exits and OCO pairs react to the reconciler's order updates
+    this.ocoManager = new OcoManager(this);
+    this.ocoManager.start();
+
+    // Trailing / break-even stops, resumed from persisted StopRule rows
+    this.stopManager = new StopManager(this);
+    this.stopManager.start();
+
+    // TWAP / VWAP / iceberg parent orders, worked as rate-limited child orders
+    this.executionEngine = new ExecutionEngine(this);
+    this.executionEngine.start();
+
+    // Active Strategy records, fed candles and trading through placeOrder
+    this.strategyRuntime = new StrategyRuntime(this);
+    this.strategyRuntime.start();
+
+    // Historical replays of saved strategies
+    this.backtestService = new BacktestService(this);
+
+    // Parameter sweeps and walk-forward analysis, run as background jobs in worker threads
+    this.optimizationService = new OptimizationService(this);
+    this.optimizationService.start();
+
+    // Monte Carlo reports over a strategy's backtest, live or imported trades
+    this.robustnessService = new RobustnessService(this);
+
+    // Tracked kline series, kept backfilled and gap-free in the candle store
+    this.candleIngester = candleIngester;
+    this.candleIngester.start();
+
+    // Price / indicator alerts on the market data hub, resumed from persisted Alert rows
+    this.alertEngine = new AlertEngine(this);
+    this.alertEngine.start();
   }
 
   /**
@@ -106,19 +168,22 @@ class UnifiedTradingManager {
         return this.connections.get(accountId);
       }
 
-      let api;
-      switch (account.platform) {
-        case 'BINANCE':
-          api = await this.connectBinance(account);
-          break;
-        case 'BYBIT':
-          api = await this.connectBybit(account);
-          break;
-        default:
-          throw new Error(`Platform ${account.platform} not supported yet`);
+      // A demo adapter opens its paper account on connect; it must find the saved one
+      if (account.isDemo) {
+        await this.paperStore.ready;
+      }
+      const api = adapterRegistry.create(account.platform, this.buildAdapterConfig(account));
+
+      const connected = await api.connect();
+      if (connected === false) {
+        throw new Error(`Failed to connect to ${account.platform} (${account.isDemo ? 'demo' : 'live'})`);
+      }
+      if (account.isDemo) {
+        this.paperStore.track(accountId);
       }
 
       this.connections.set(accountId, api);
+      this.reconciler.watchAccount(accountId, api);
       console.log(`🔗 Connected to ${account.platform} (${account.isDemo ? 'demo' : 'live'})`);
       
       return api;
@@ -128,29 +193,43 @@ class UnifiedTradingManager {
     }
   }
 
-  async connectBinance(account) {
-    const config = {
+  buildAdapterConfig(account) {
+    return {
       isDemo: account.isDemo,
+      accountId: account.id,
+      externalAccountId: account.accountId,
       apiKey: account.apiKey ? decrypt(account.apiKey) : null,
       apiSecret: account.apiSecret ? decrypt(account.apiSecret) : null,
+      // Derivatives accounts trade linear perps on venues that split markets by category
+      category: account.accountType === 'FUTURES' ? 'linear' : 'spot',
+      ...(account.apiUrl && { apiUrl: account.apiUrl })
     };
+  }
 
-    const api = new BinanceAPI(config);
-    
-    // Test connection
-    try {
-      await api.getAccountInfo();
-      return api;
-    } catch (error) {
-      console.warn('⚠️ API test failed, continuing with demo mode');
-      return new BinanceAPI({ isDemo: true });
+  getCapabilities(platform) {
+    return adapterRegistry.getCapabilities(platform);
+  }
+
+  async setLeverage(accountId, symbol, leverage) {
+    const account = await prisma.tradingAccount.findUnique({ where: { id: accountId } });
+    if (!account) {
+      throw new Error('Trading account not found');
+    }
+    await this.riskEngine.checkLeverage(account.userId, accountId, leverage);
+
+    const api = await this.connectAccount(accountId);
+    if (typeof api.setLeverage !== 'function') {
+      throw new Error(`${api.name} does not support leverage settings`);
     }
+    return api.setLeverage(symbol, leverage);
   }
 
-  async connectBybit(account) {
-    // TODO: Implement Bybit connection
-    console.log('📝 Bybit connection - coming soon');
-    return null;
+  async setPositionMode(accountId, symbol, mode) {
+    const api = await this.connectAccount(accountId);
+    if (typeof api.switchPositionMode !== 'function') {
+      throw new Error(`${api.name} does not support position modes`);
+    }
+    return api.switchPositionMode(symbol, mode);
   }
 
   disconnectAccount(accountId) {
@@ -158,6 +237,7 @@ class UnifiedTradingManager {
     if (connection && connection.disconnect) {
       connection.disconnect();
     }
+    this.reconciler.unwatchAccount(accountId);
     this.connections.delete(accountId);
   }
 
@@ -165,92 +245,600 @@ class UnifiedTradingManager {
    * ===== ORDER MANAGEMENT =====
    */
   
-  async placeOrder(userId, accountId, orderData) {
+  async placeOrder(userId, accountId, orderData, links = {}) {
     try {
-      // Get trading connection
-      const api = await this.connectAccount(accountId);
-      if (!api) {
-        throw new Error('Failed to connect to trading platform');
+      const { account, api } = await this.getTradingContext(userId, accountId);
+
+      // Flatten orders are the kill switch's own and must get through it
+      if (!links.killSwitchId) {
+        await this.killSwitch.assertArmed(userId, accountId);
       }
+      await this.riskEngine.checkOrder(userId, account, orderData, {
+        countsAsTrade: !links.algoOrderId,
+        flatten: Boolean(links.killSwitchId)
+      });
 
-      // Validate order
-      const account = await prisma.tradingAccount.findUnique({
-        where: { id: accountId }
+      const orderRecord = await this.createOrderRecord(userId, accountId, orderData, links);
+      const order = await this.submitOrder(account, api, orderRecord, orderData);
+
+      console.log(`✅ Order placed: ${orderRecord.symbol} ${orderRecord.side} ${orderRecord.quantity}`);
+      return order;
+
+    } catch (error) {
+      console.error('❌ Order placement failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Entry order with an attached stop-loss and/or take-profit
+   */
+  async placeBracketOrder(userId, accountId, orderData, links = {}) {
+    try {
+      const { account, api } = await this.getTradingContext(userId, accountId);
+      await this.killSwitch.assertArmed(userId, accountId);
+      await this.riskEngine.checkOrder(userId, account, orderData);
+
+      const order = await this.ocoManager.placeBracket(userId, account, api, orderData, links);
+
+      console.log(`✅ Bracket placed: ${order.symbol} ${order.side} ${order.quantity} (${order.childOrders.length} exit leg(s))`);
+      return order;
+    } catch (error) {
+      console.error('❌ Bracket placement failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Limit + stop pair where either leg filling cancels the other
+   */
+  async placeOcoOrder(userId, accountId, orderData) {
+    try {
+      const { account, api } = await this.getTradingContext(userId, accountId);
+      await this.killSwitch.assertArmed(userId, accountId);
+      await this.riskEngine.checkOrder(userId, account, orderData);
+
+      const order = await this.ocoManager.placeOco(userId, account, api, orderData);
+
+      console.log(`✅ OCO placed: ${order.symbol} ${order.side} ${order.quantity} @ ${order.price} / stop ${order.stopPrice}`);
+      return order;
+    } catch (error) {
+      console.error('❌ OCO placement failed:', error);
+      throw error;
+    }
+  }
+
+  async getTradingContext(userId, accountId) {
+    const account = await prisma.tradingAccount.findUnique({
+      where: { id: accountId }
+    });
+
+    if (!account || account.userId !== userId) {
+      throw new Error('Unauthorized account access');
+    }
+
+    const api = await this.connectAccount(accountId);
+    if (!api) {
+      throw new Error('Failed to connect to trading platform');
+    }
+
+    return { account, api };
+  }
+
+  generateClientOrderId() {
+    return `agnes_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Persist a PENDING order row. `links` ties bracket/OCO legs, algo slices and
+   * strategy orders to their parent and is never taken from client input.
+   */
+  async createOrderRecord(userId, accountId, orderData, links = {}) {
+    return await prisma.order.create({
+      data: {
+        userId,
+        tradingAccountId: accountId,
+        symbol: orderData.symbol,
+        side: orderData.side,
+        type: orderData.type,
+        quantity: orderData.quantity,
+        price: orderData.price,
+        stopPrice: orderData.stopPrice,
+        status: 'PENDING',
+        clientOrderId: this.generateClientOrderId(),
+        parentOrderId: links.parentOrderId,
+        legRole: links.legRole,
+        isNativeOco: links.isNativeOco ?? false,
+        algoOrderId: links.algoOrderId,
+        strategyId: links.strategyId
+      }
+    });
+  }
+
+  /**
+   * Send a stored order to the exchange and write the result back onto its row
+   */
+  async submitOrder(account, api, orderRecord, orderData) {
+    let result;
+    try {
+      result = await api.placeOrder({
+        ...orderData,
+        clientOrderId: orderRecord.clientOrderId
       });
+    } catch (exchangeError) {
+      // Update order as rejected
+      await prisma.order.update({
+        where: { id: orderRecord.id },
+        data: { status: 'REJECTED' }
+      });
+      throw exchangeError;
+    }
+
+    // Fills first so the portfolio sees them even if a stream update races us
+    await this.recordImmediateFills(account, orderRecord, result);
+    return await this.reconciler.applyOrderUpdate(orderRecord, result);
+  }
+
+  /**
+   * Orders that fill synchronously (market orders, marketable amends) report fills inline.
+   * The reconciler dedupes them against the same fills arriving over the stream.
+   */
+  async recordImmediateFills(account, order, result) {
+    for (const fill of result.fills || []) {
+      await this.reconciler.recordFill(order, fill);
+    }
 
-      if (account.userId !== userId) {
-        throw new Error('Unauthorized account access');
+    if (account.isDemo) {
+      await this.syncPaperBalance(account.id);
+    }
+  }
+
+  async getOwnedOrder(userId, orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { tradingAccount: true }
+    });
+
+    if (!order || order.userId !== userId) {
+      throw new Error('Order not found');
+    }
+    return order;
+  }
+
+  async cancelOrder(userId, orderId) {
+    try {
+      const order = await this.getOwnedOrder(userId, orderId);
+      if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+        throw new Error(`Order is already ${order.status.toLowerCase()}`);
       }
 
-      // Create order record
-      const orderRecord = await prisma.order.create({
-        data: {
-          userId,
-          tradingAccountId: accountId,
-          symbol: orderData.symbol,
-          side: orderData.side,
-          type: orderData.type,
-          quantity: orderData.quantity,
-          price: orderData.price,
-          stopPrice: orderData.stopPrice,
-          status: 'PENDING',
-          clientOrderId: `agnes_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+      let updatedOrder;
+      if (order.type === 'OCO') {
+        // The container has no exchange order of its own; cancelling it cancels the legs
+        await this.ocoManager.cancelLegs(order.id);
+        updatedOrder = await this.ocoManager.getOrderWithLegs(order.id);
+      } else if (order.parentOrderId) {
+        // Bracket/OCO legs may not be on the exchange yet; siblings follow via the OCO manager
+        updatedOrder = await this.ocoManager.cancelLeg(order);
+      } else {
+        const api = await this.connectAccount(order.tradingAccountId);
+        const result = await api.cancelOrder({
+          symbol: order.symbol,
+          orderId: order.externalOrderId,
+          clientOrderId: order.clientOrderId
+        });
+        updatedOrder = await this.reconciler.applyOrderUpdate(order, result);
+      }
+
+      if (order.tradingAccount.isDemo) {
+        await this.syncPaperBalance(order.tradingAccountId);
+      }
+      console.log(`🚫 Order cancelled: ${order.symbol} ${order.side} ${order.quantity}`);
+      return updatedOrder;
+    } catch (error) {
+      console.error('❌ Order cancel failed:', error);
+      throw error;
+    }
+  }
+
+  async amendOrder(userId, orderId, { price, quantity, stopPrice } = {}) {
+    try {
+      if (price === undefined && quantity === undefined && stopPrice === undefined) {
+        throw new Error('Nothing to amend: provide price, quantity and/or stopPrice');
+      }
+      if ([price, quantity, stopPrice].some(value => value !== undefined && !(parseFloat(value) > 0))) {
+        throw new Error('Price and quantity must be positive numbers');
+      }
+
+      const order = await this.getOwnedOrder(userId, orderId);
+      if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+        throw new Error(`Order is already ${order.status.toLowerCase()}`);
+      }
+      if (price !== undefined && order.type === 'MARKET') {
+        throw new Error('Market orders have no price to amend');
+      }
+      if (stopPrice !== undefined && !['STOP', 'STOP_LIMIT'].includes(order.type)) {
+        throw new Error('Order is not a stop order and has no stopPrice to amend');
+      }
+      if (quantity !== undefined && parseFloat(quantity) <= parseFloat(order.filledQuantity)) {
+        throw new Error('Quantity cannot be at or below the already filled amount');
+      }
+      if (order.type === 'OCO') {
+        throw new Error('Order is an OCO pair: amend its legs instead');
+      }
+      if (order.isNativeOco) {
+        throw new Error('Order is part of an exchange OCO list and cannot be amended');
+      }
+      await this.killSwitch.assertArmed(userId, order.tradingAccountId);
+
+      const changes = {
+        ...(price !== undefined && { price: parseFloat(price) }),
+        ...(quantity !== undefined && { quantity: parseFloat(quantity) }),
+        ...(stopPrice !== undefined && { stopPrice: parseFloat(stopPrice) })
+      };
+
+      if (!order.externalOrderId && order.parentOrderId) {
+        // Bracket exits wait here until their entry fills; only their trigger/limit can move
+        if (quantity !== undefined) {
+          throw new Error('Order is a bracket exit: its quantity follows the entry fill');
         }
-      });
+        const { price: newPrice, stopPrice: newStopPrice } = changes;
+        return await prisma.order.update({
+          where: { id: order.id },
+          data: order.type === 'STOP'
+            ? { stopPrice: newStopPrice ?? newPrice }
+            : { ...(newPrice !== undefined && { price: newPrice }), ...(newStopPrice !== undefined && { stopPrice: newStopPrice }) }
+        });
+      }
+
+      // A bigger or pricier order takes on new risk, and is checked like a new one would be
+      const amended = { ...order, ...changes };
+      const notional = (row) => parseFloat(row.quantity) * parseFloat(row.price ?? row.stopPrice ?? 0);
+      if (parseFloat(amended.quantity) > parseFloat(order.quantity) || notional(amended) > notional(order)) {
+        await this.riskEngine.checkOrder(userId, order.tradingAccount, {
+          symbol: order.symbol,
+          side: order.side,
+          type: order.type,
+          quantity: parseFloat((parseFloat(amended.quantity) - parseFloat(order.filledQuantity)).toFixed(8)),
+          price: amended.price,
+          stopPrice: amended.stopPrice
+        }, { countsAsTrade: false, replacesOrderId: order.id });
+      }
 
-      // Submit to exchange
+      const api = await this.connectAccount(order.tradingAccountId);
+      // The row's quantity spans every exchange order a cancel/replace amend retired;
+      // the exchange order itself only knows about its own share
+      const replacedFilledQuantity = parseFloat(order.replacedFilledQuantity || 0);
+
+      let updatedOrder;
+      this.reconciler.amending.add(order.id);
       try {
-        const result = await api.placeOrder({
-          ...orderData,
-          clientOrderId: orderRecord.clientOrderId
+        const result = await api.amendOrder({
+          symbol: order.symbol,
+          orderId: order.externalOrderId,
+          clientOrderId: order.clientOrderId,
+          ...changes,
+          ...(changes.quantity !== undefined && {
+            quantity: parseFloat((changes.quantity - replacedFilledQuantity).toFixed(8))
+          })
         });
 
-        // Update order with exchange response
-        const updatedOrder = await prisma.order.update({
-          where: { id: orderRecord.id },
-          data: {
-            status: result.status || 'SUBMITTED',
-            externalOrderId: result.orderId || result.id,
-            filledQuantity: result.executedQty || 0,
-            avgFillPrice: result.price || result.avgPrice,
-            ...(result.transactTime && { filledAt: new Date(result.transactTime) })
-          }
+        await this.recordImmediateFills(order.tradingAccount, order, result);
+        updatedOrder = await this.reconciler.applyOrderUpdate(order, result, changes);
+      } finally {
+        this.reconciler.amending.delete(order.id);
+      }
+      console.log(`✏️ Order amended: ${order.symbol} ${order.side} ${updatedOrder.quantity} @ ${updatedOrder.price ?? updatedOrder.stopPrice}`);
+      return updatedOrder;
+    } catch (error) {
+      console.error('❌ Order amend failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel every open order for a symbol, on one account or on all of the user's accounts
+   */
+  async cancelAllOrders(userId, { accountId = null, symbol = null } = {}) {
+    try {
+      let accounts;
+      if (accountId) {
+        const account = await prisma.tradingAccount.findUnique({ where: { id: accountId } });
+        if (!account || account.userId !== userId) {
+          throw new Error('Unauthorized account access');
+        }
+        accounts = [account];
+      } else {
+        const openOrders = await prisma.order.findMany({
+          where: { userId, status: { in: OPEN_ORDER_STATUSES }, ...(symbol && { symbol }) },
+          select: { tradingAccount: true },
+          distinct: ['tradingAccountId']
         });
+        accounts = openOrders.map(o => o.tradingAccount);
+      }
+
+      const cancelled = [];
+      for (const { id, isDemo } of accounts) {
+        const api = await this.connectAccount(id);
+        const results = await api.cancelAllOrders(symbol);
 
-        // Update portfolio if filled
-        if (result.status === 'FILLED') {
-          await this.updatePortfolioFromFill(accountId, updatedOrder, result);
+        for (const result of results) {
+          const order = await prisma.order.findFirst({
+            where: {
+              tradingAccountId: id,
+              OR: [
+                ...(result.orderId ? [{ externalOrderId: result.orderId }] : []),
+                ...(result.clientOrderId ? [{ clientOrderId: result.clientOrderId }] : [])
+              ]
+            }
+          });
+
+          // Orders placed outside Agnes have no row to reconcile
+          if (order) {
+            cancelled.push(await this.reconciler.applyOrderUpdate(order, result));
+          }
         }
 
-        console.log(`✅ Order placed: ${orderRecord.symbol} ${orderRecord.side} ${orderRecord.quantity}`);
-        return updatedOrder;
+        if (isDemo) {
+          await this.syncPaperBalance(id);
+        }
+      }
 
-      } catch (exchangeError) {
-        // Update order as rejected
-        await prisma.order.update({
-          where: { id: orderRecord.id },
-          data: { status: 'REJECTED' }
-        });
-        throw exchangeError;
+      console.log(`🚫 Cancelled ${cancelled.length} order(s)${symbol ? ` for ${symbol}` : ''}`);
+      return cancelled;
+    } catch (error) {
+      console.error('❌ Cancel-all failed:', error);
+      throw error;
+    }
+  }
+
+  async syncPaperBalance(accountId) {
+    const balances = paperExchange.getBalances(accountId);
+    const cash = balances
+      .filter(b => ['USDT', 'USD'].includes(b.asset))
+      .reduce((total, b) => total + b.free + b.locked, 0);
+
+    await prisma.tradingAccount.update({
+      where: { id: accountId },
+      data: {
+        balance: cash,
+        equity: paperExchange.getEquity(accountId),
+        lastSync: new Date()
       }
+    });
+  }
 
+  /**
+   * ===== STOP MANAGEMENT =====
+   */
+
+  async createStopRule(userId, positionId, config) {
+    try {
+      return await this.stopManager.createRule(userId, positionId, config);
     } catch (error) {
-      console.error('❌ Order placement failed:', error);
+      console.error('❌ Stop rule creation failed:', error);
+      throw error;
+    }
+  }
+
+  async getStopRules(userId, options) {
+    return this.stopManager.getUserRules(userId, options);
+  }
+
+  async deactivateStopRule(userId, ruleId) {
+    return this.stopManager.deactivateRule(userId, ruleId);
+  }
+
+  /**
+   * ===== ALERTS =====
+   */
+
+  async createAlert(userId, input) {
+    try {
+      return await this.alertEngine.createAlert(userId, input);
+    } catch (error) {
+      console.error('❌ Alert creation failed:', error);
+      throw error;
+    }
+  }
+
+  async getAlerts(userId, options) {
+    return this.alertEngine.getUserAlerts(userId, options);
+  }
+
+  async updateAlert(userId, alertId, changes) {
+    return this.alertEngine.updateAlert(userId, alertId, changes);
+  }
+
+  async deleteAlert(userId, alertId) {
+    return this.alertEngine.deleteAlert(userId, alertId);
+  }
+
+  /**
+   * ===== RISK LIMITS =====
+   */
+
+  async getRiskStatus(userId, accountId = null) {
+    if (accountId) {
+      await this.getTradingContext(userId, accountId);
+    }
+    return this.riskEngine.getRiskStatus(userId, accountId);
+  }
+
+  async getRiskLimits(userId) {
+    return this.riskEngine.getUserLimits(userId);
+  }
+
+  async setRiskLimits(userId, accountId, limits) {
+    return this.riskEngine.setLimits(userId, accountId, limits);
+  }
+
+  async removeRiskLimits(userId, riskLimitId) {
+    return this.riskEngine.removeLimits(userId, riskLimitId);
+  }
+
+  /**
+   * ===== STRATEGIES =====
+   */
+
+  async createStrategy(userId, data) {
+    try {
+      return await this.strategyRuntime.createStrategy(userId, data);
+    } catch (error) {
+      console.error('❌ Strategy creation failed:', error);
+      throw error;
+    }
+  }
+
+  async getStrategies(userId) {
+    return this.strategyRuntime.getUserStrategies(userId);
+  }
+
+  async updateStrategy(userId, strategyId, changes) {
+    return this.strategyRuntime.updateStrategy(userId, strategyId, changes);
+  }
+
+  async deleteStrategy(userId, strategyId) {
+    return this.strategyRuntime.deleteStrategy(userId, strategyId);
+  }
+
+  /**
+   * ===== BACKTESTING =====
+   */
+
+  async runBacktest(userId, strategyId, options) {
+    try {
+      return await this.backtestService.runBacktest(userId, strategyId, options);
+    } catch (error) {
+      console.error('❌ Backtest failed:', error);
+      throw error;
+    }
+  }
+
+  async getBacktests(userId, strategyId) {
+    return this.backtestService.getStrategyBacktests(userId, strategyId);
+  }
+
+  async getBacktest(userId, backtestId) {
+    return this.backtestService.getBacktest(userId, backtestId);
+  }
+
+  async deleteBacktest(userId, backtestId) {
+    return this.backtestService.deleteBacktest(userId, backtestId);
+  }
+
+  async analyzeRobustness(userId, strategyId, options) {
+    try {
+      return await this.robustnessService.analyzeStrategy(userId, strategyId, options);
+    } catch (error) {
+      console.error('❌ Robustness analysis failed:', error);
       throw error;
     }
   }
 
+  /**
+   * ===== OPTIMIZATION =====
+   */
+
+  async startOptimization(userId, strategyId, options) {
+    try {
+      return await this.optimizationService.startOptimization(userId, strategyId, options);
+    } catch (error) {
+      console.error('❌ Optimization failed to start:', error);
+      throw error;
+    }
+  }
+
+  async getOptimizations(userId, strategyId) {
+    return this.optimizationService.getStrategyOptimizations(userId, strategyId);
+  }
+
+  async getOptimization(userId, jobId) {
+    return this.optimizationService.getOptimization(userId, jobId);
+  }
+
+  async cancelOptimization(userId, jobId) {
+    return this.optimizationService.cancelOptimization(userId, jobId);
+  }
+
+  /**
+   * ===== KILL SWITCH =====
+   */
+
+  async engageKillSwitch(userId, options) {
+    try {
+      return await this.killSwitch.engage(userId, options);
+    } catch (error) {
+      console.error('❌ Kill switch failed:', error);
+      throw error;
+    }
+  }
+
+  async rearmKillSwitch(userId, options) {
+    return this.killSwitch.rearm(userId, options);
+  }
+
+  async getKillSwitchStatus(userId) {
+    return this.killSwitch.getStatus(userId);
+  }
+
+  /**
+   * ===== EXECUTION ALGORITHMS =====
+   */
+
+  async startAlgoOrder(userId, accountId, params) {
+    try {
+      const { account, api } = await this.getTradingContext(userId, accountId);
+      await this.killSwitch.assertArmed(userId, accountId);
+      // The parent's size is checked against position limits; each slice against order limits
+      await this.riskEngine.checkOrder(userId, account, {
+        symbol: params.symbol,
+        side: params.side,
+        quantity: params.quantity,
+        price: params.limitPrice
+      }, { algoParent: true });
+
+      return await this.executionEngine.createAlgoOrder(userId, account, api, params);
+    } catch (error) {
+      console.error('❌ Algo order failed to start:', error);
+      throw error;
+    }
+  }
+
+  async getAlgoOrders(userId, options) {
+    return this.executionEngine.getUserAlgoOrders(userId, options);
+  }
+
+  async getAlgoOrder(userId, algoOrderId) {
+    return this.executionEngine.getAlgoOrder(userId, algoOrderId);
+  }
+
+  async pauseAlgoOrder(userId, algoOrderId) {
+    return this.executionEngine.pause(userId, algoOrderId);
+  }
+
+  async resumeAlgoOrder(userId, algoOrderId) {
+    return this.executionEngine.resume(userId, algoOrderId);
+  }
+
+  async cancelAlgoOrder(userId, algoOrderId) {
+    return this.executionEngine.cancel(userId, algoOrderId);
+  }
+
   /**
    * ===== PORTFOLIO MANAGEMENT =====
    */
   
+  /**
+   * Apply a fill to the account's position; returns the P&L it realized (0 when it adds)
+   */
   async updatePortfolioFromFill(accountId, order, fillData) {
     try {
       const portfolio = await prisma.portfolio.findFirst({
         where: { tradingAccountId: accountId }
       });
 
-      if (!portfolio) return;
+      if (!portfolio) return 0;
 
       // Find or create position
       let position = await prisma.position.findUnique({
@@ -262,66 +850,50 @@ class UnifiedTradingManager {
         }
       });
 
-      const fillQty = parseFloat(fillData.executedQty || order.filledQuantity);
-      const fillPrice = parseFloat(fillData.avgPrice || order.avgFillPrice);
+      const fillQty = parseFloat(fillData.filledQuantity || order.filledQuantity);
+      const fillPrice = parseFloat(fillData.avgFillPrice || order.avgFillPrice);
+
+      // Positions are signed by side: a fill against one covers it and may flip it
+      const next = applyFill(position, { side: order.side, quantity: fillQty, price: fillPrice });
+      const data = {
+        side: next.side,
+        quantity: next.quantity,
+        avgPrice: next.avgPrice,
+        marketValue: next.quantity * fillPrice,
+        costBasis: next.quantity * next.avgPrice,
+        closedAt: next.quantity > 0 ? null : new Date()
+      };
 
       if (!position) {
-        // Create new position
         position = await prisma.position.create({
           data: {
+            ...data,
             portfolioId: portfolio.id,
             tradingAccountId: accountId,
             symbol: order.symbol,
-            side: order.side,
-            quantity: fillQty,
-            avgPrice: fillPrice,
             currentPrice: fillPrice,
-            marketValue: fillQty * fillPrice,
-            costBasis: fillQty * fillPrice,
             unrealizedPnL: 0,
             totalPnL: 0,
             pnlPercent: 0
           }
         });
       } else {
-        // Update existing position
-        const newQty = order.side === 'BUY' 
-          ? parseFloat(position.quantity) + fillQty
-          : parseFloat(position.quantity) - fillQty;
-
-        if (newQty <= 0) {
-          // Position closed
-          await prisma.position.update({
-            where: { id: position.id },
-            data: { 
-              quantity: 0,
-              closedAt: new Date(),
-              realizedPnL: (fillPrice - parseFloat(position.avgPrice)) * fillQty
-            }
-          });
-        } else {
-          // Update position
-          const newAvgPrice = order.side === 'BUY'
-            ? ((parseFloat(position.quantity) * parseFloat(position.avgPrice)) + (fillQty * fillPrice)) / newQty
-            : parseFloat(position.avgPrice);
-
-          await prisma.position.update({
-            where: { id: position.id },
-            data: {
-              quantity: newQty,
-              avgPrice: newAvgPrice,
-              marketValue: newQty * fillPrice,
-              costBasis: newQty * newAvgPrice
-            }
-          });
-        }
+        await prisma.position.update({
+          where: { id: position.id },
+          data: {
+            ...data,
+            realizedPnL: parseFloat(position.realizedPnL || 0) + next.realizedPnL
+          }
+        });
       }
 
       // Update portfolio totals
       await this.recalculatePortfolio(portfolio.id);
+      return next.realizedPnL;
 
     } catch (error) {
       console.error('❌ Portfolio update failed:', error);
+      return 0;
     }
   }
 
@@ -339,10 +911,12 @@ class UnifiedTradingManager {
       let totalPnL = 0;
 
       for (const position of positions) {
-        const currentPrice = await this.getCurrentPrice(position.symbol);
+        const currentPrice = await this.getCurrentPrice(position.symbol)
+          .catch(() => parseFloat(position.currentPrice));
         const marketValue = parseFloat(position.quantity) * currentPrice;
         const costBasis = parseFloat(position.costBasis);
-        const unrealizedPnL = marketValue - costBasis;
+        // A short gains as the price falls below what it was sold at
+        const unrealizedPnL = position.side === 'SELL' ? costBasis - marketValue : marketValue - costBasis;
 
         // Update position with current prices
         await prisma.position.update({
@@ -392,31 +966,55 @@ class UnifiedTradingManager {
       // Get from any available connection
       for (const [accountId, api] of this.connections) {
         try {
-          const ticker = await api.getTicker24hr(symbol);
-          const price = parseFloat(ticker.price || ticker.lastPrice);
-          
-          // Cache the price
-          this.priceCache.set(symbol, {
-            price,
-            timestamp: Date.now()
-          });
-          
+          const ticker = await api.getTicker(symbol);
+          if (ticker.isMock) continue; // Skip fabricated fallback tickers
+
+          const price = ticker.price;
+          this.recordPrice(symbol, price);
           return price;
         } catch (error) {
           continue; // Try next connection
         }
       }
 
-      // Fallback to mock price for demo
-      console.warn(`📊 Using mock price for ${symbol}`);
-      return 45000 + Math.random() * 10000;
+      // Fall back to public market data
+      const ticker = await this.marketDataApi.getTicker(symbol);
+      if (!ticker.isMock) {
+        const price = ticker.price;
+        this.recordPrice(symbol, price);
+        return price;
+      }
+
+      // Last traded price on the paper exchange (e.g. replayed streams)
+      const paperPrice = paperExchange.getLastPrice(symbol);
+      if (paperPrice !== null) {
+        return paperPrice;
+      }
+
+      throw new Error(`No market price available for ${symbol}`);
 
     } catch (error) {
-      console.warn('📊 Price fetch failed, using cached/mock:', error.message);
-      return this.priceCache.get(symbol)?.price || 45000;
+      const stale = this.priceCache.get(symbol)?.price;
+      if (stale !== undefined) {
+        console.warn(`📊 Price fetch failed for ${symbol}, using cached price:`, error.message);
+        return stale;
+      }
+      throw error;
     }
   }
 
+  recordPrice(symbol, price) {
+    if (!Number.isFinite(price)) return;
+
+    this.priceCache.set(symbol, {
+      price,
+      timestamp: Date.now()
+    });
+
+    // Every real price observation drives the paper matching engine
+    paperExchange.updatePrice(symbol, price);
+  }
+
   startPriceUpdates() {
     // Update portfolio values every 30 seconds
     setInterval(async () => {
@@ -434,6 +1032,11 @@ class UnifiedTradingManager {
         for (const portfolio of portfolios) {
           await this.recalculatePortfolio(portfolio.id);
         }
+
+        // Keep resting paper orders matched against fresh prices
+        for (const symbol of paperExchange.getWorkingSymbols()) {
+          await this.getCurrentPrice(symbol).catch(() => null);
+        }
       } catch (error) {
         console.error('📊 Price update error:', error);
       }
@@ -479,14 +1082,20 @@ class UnifiedTradingManager {
     });
   }
 
-  async getUserOrders(userId, limit = 50) {
+  async getUserOrders(userId, { limit = 50, accountId = null, symbol = null, openOnly = false } = {}) {
     return await prisma.order.findMany({
-      where: { userId },
+      where: {
+        userId,
+        ...(accountId && { tradingAccountId: accountId }),
+        ...(symbol && { symbol }),
+        ...(openOnly && { status: { in: OPEN_ORDER_STATUSES } })
+      },
       orderBy: { createdAt: 'desc' },
       take: limit,
       include: {
         tradingAccount: true,
-        fills: true
+        fills: true,
+        childOrders: true
       }
     });
   }
@@ -496,6 +1105,15 @@ class UnifiedTradingManager {
    */
   
   async cleanup() {
+    this.alertEngine.stop();
+    this.strategyRuntime.stop();
+    this.optimizationService.stop();
+    this.candleIngester.stop();
+    this.executionEngine.stop();
+    this.stopManager.stop();
+    this.ocoManager.stop();
+    this.reconciler.stop();
+
     // Disconnect all connections
     for (const [accountId, connection] of this.connections) {
       this.disconnectAccount(accountId);
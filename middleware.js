@@ -33,7 +33,7 @@ export async function middleware(request) {
       const endpoint = pathname;
       const exchange = getExchange(request);
       
-      const rateLimitResult = tradingRateLimiter.isAllowed(userId, endpoint, exchange);
+      const rateLimitResult = tradingRateLimiter.isAllowed(userId, endpoint, exchange, request.method);
       
       if (!rateLimitResult.allowed) {
         return new NextResponse(
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAlertCondition, describeAlert, getAlertHistory, getAlertStream, parseAlert } from '../../lib/alerts/alert-conditions.js';
+
+const MINUTE = 60000;
+const alert = (type, params) => parseAlert({ symbol: 'btcusdt', type, params });
+const ticker = (price) => ({ type: 'ticker', price });
+const candle = (timestamp, fields) => ({ type: 'candle', timestamp, closed: true, open: 100, high: 100, low: 100, close: 100, volume: 10, ...fields });
+
+test('alerts are validated and filled with defaults', () => {
+  const parsed = alert('RSI', { operator: 'above', level: 70 });
+
+  assert.deepEqual(parsed, {
+    exchange: 'BINANCE',
+    symbol: 'BTCUSDT',
+    type: 'RSI',
+    params: { interval: '1h', period: 14, operator: 'above', level: 70 },
+    name: null,
+    repeating: false,
+    cooldownSeconds: 300
+  });
+  assert.deepEqual(getAlertStream(parsed), { exchange: 'BINANCE', channel: 'kline', symbol: 'BTCUSDT', interval: '1h' });
+  assert.deepEqual(getAlertHistory(parsed), { interval: '1h', bars: 140 });
+  assert.equal(describeAlert(parsed), 'BTCUSDT RSI(14) 1h above 70');
+
+  assert.throws(() => alert('PRICE_CROSS', { price: -1 }), /Invalid alert: params.price/);
+  assert.throws(() => alert('PERCENT_MOVE', { percent: 5, windowMinutes: 2000 }), /params.windowMinutes/);
+  assert.throws(() => alert('RSI', { operator: 'above', level: 70, extra: 1 }), /Invalid alert: params/);
+  assert.throws(() => parseAlert({ symbol: 'BTC/USDT', type: 'PRICE_CROSS', params: { price: 1 } }), /symbol: must be an exchange symbol/);
+});
+
+test('price crosses fire on the crossing tick in the watched direction', () => {
+  const either = createAlertCondition(alert('PRICE_CROSS', { price: 100 }));
+  const above = createAlertCondition(alert('PRICE_CROSS', { price: 100, direction: 'above' }));
+  const results = (condition, prices) => prices.map(price => condition.evaluate(ticker(price))?.value ?? null);
+
+  assert.deepEqual(results(either, [99, 101, 102, 99]), [null, 101, null, 99]);
+  assert.deepEqual(results(above, [99, 101, 99]), [null, 101, null]);
+  assert.equal(either.evaluate({ type: 'trade', price: 200 }), null);
+});
+
+test('percent moves fire once on reaching the size within the window', () => {
+  const condition = createAlertCondition(alert('PERCENT_MOVE', { percent: 5, windowMinutes: 3, direction: 'up' }));
+  condition.warmUp([candle(0, { low: 100 })]);
+
+  assert.equal(condition.evaluate(candle(MINUTE, { close: 104, high: 104 })), null);
+  assert.equal(condition.evaluate(candle(2 * MINUTE, { close: 106, high: 106 })).value, 6);
+  // Still up 5%: no repeat until it drops back out of the condition
+  assert.equal(condition.evaluate(candle(2 * MINUTE, { close: 107, high: 107 })), null);
+  // The 100 low has left the window
+  assert.equal(condition.evaluate(candle(4 * MINUTE, { close: 108, high: 108, low: 105 })), null);
+});
+
+test('volume spikes compare closed bars with the lookback average', () => {
+  const condition = createAlertCondition(alert('VOLUME_SPIKE', { interval: '5m', multiplier: 3, lookback: 5 }));
+  condition.warmUp([0, 1, 2, 3].map(index => candle(index * 5 * MINUTE)));
+
+  // The lookback isn't full yet
+  assert.equal(condition.evaluate(candle(20 * MINUTE, { volume: 50 })), null);
+  assert.equal(condition.evaluate(candle(25 * MINUTE, { volume: 90, closed: false })), null);
+  assert.equal(condition.evaluate(candle(25 * MINUTE, { volume: 90 })).value, 90 / 18);
+  assert.equal(condition.evaluate(candle(25 * MINUTE, { volume: 90 })), null);
+});
+
+test('RSI and funding alerts fire on entering their zone', () => {
+  const rsi = createAlertCondition(alert('RSI', { interval: '1m', period: 2, operator: 'above', level: 70 }));
+  rsi.warmUp([100, 99, 98].map((close, index) => candle(index * MINUTE, { close })));
+  const fired = [101, 102, 103].map((close, index) => rsi.evaluate(candle((index + 3) * MINUTE, { close })));
+  assert.equal(fired.filter(Boolean).length, 1);
+  assert.ok(fired.find(Boolean).value > 70);
+
+  const funding = createAlertCondition(alert('FUNDING_RATE', { operator: 'above', rate: 0.05 }));
+  const rates = [0.0001, 0.0006, 0.0007, 0.0002, 0.0008].map(fundingRate => funding.evaluate({ type: 'funding', fundingRate }));
+  assert.deepEqual(rates.map(event => (event ? Number(event.value.toFixed(2)) : null)), [null, 0.06, null, null, 0.08]);
+});
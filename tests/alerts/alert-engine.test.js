@@ -0,0 +1,99 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModel, mockPrisma } from '../support/database.js';
+import { AlertEngine } from '../../lib/alerts/alert-engine.js';
+import { marketDataHub } from '../../lib/market-data/market-data-hub.js';
+
+const priceCross = (overrides = {}) => ({ symbol: 'BTCUSDT', type: 'PRICE_CROSS', params: { price: 100, direction: 'above' }, ...overrides });
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+let alerts;
+let notifications;
+let engine;
+let tickers; // symbol -> hub handler, from the stand-in ticker source
+
+beforeEach(() => {
+  alerts = createModel();
+  const create = alerts.create;
+  alerts.create = ({ data }) => create({ data: { isActive: true, triggerCount: 0, lastTriggeredAt: null, ...data } });
+  notifications = createModel();
+  mockPrisma({ alert: alerts, notification: notifications });
+
+  tickers = new Map();
+  marketDataHub.sources.set('BINANCE', {
+    subscribe(channel, { symbol }, handler) {
+      tickers.set(symbol, handler);
+      return () => tickers.delete(symbol);
+    }
+  });
+  engine = new AlertEngine({});
+});
+
+afterEach(() => {
+  engine.stop();
+  marketDataHub.sources.delete('BINANCE');
+});
+
+const seedActive = (count) => alerts.rows.push(...Array.from({ length: count }, (_, index) => ({
+  id: `seed_${index}`, userId: 'user_1', isActive: true, ...priceCross()
+})));
+
+test('a one-shot alert notifies once and switches off', async () => {
+  const alert = await engine.createAlert('user_1', priceCross({ name: 'Breakout' }));
+  assert.equal(engine.watches.size, 1);
+
+  tickers.get('BTCUSDT')({ price: 99 });
+  tickers.get('BTCUSDT')({ price: 101 });
+  await tick();
+
+  assert.equal(engine.watches.size, 0);
+  assert.equal(tickers.size, 0);
+  const stored = alerts.rows.find(row => row.id === alert.id);
+  assert.equal(stored.isActive, false);
+  assert.equal(stored.triggerCount, 1);
+  assert.equal(notifications.rows.length, 1);
+  assert.equal(notifications.rows[0].title, 'Breakout');
+  assert.equal(notifications.rows[0].type, 'STRATEGY_ALERT');
+});
+
+test('repeating alerts stay armed and respect their cooldown', async () => {
+  await engine.createAlert('user_1', priceCross({ repeating: true, cooldownSeconds: 3600 }));
+  [99, 101, 99, 101].forEach(price => tickers.get('BTCUSDT')({ price }));
+  await tick();
+
+  assert.equal(notifications.rows.length, 1);
+  assert.equal(engine.watches.size, 1);
+});
+
+test('re-arming an alert counts against the active-alert limit', async () => {
+  const paused = await engine.createAlert('user_1', priceCross());
+  await engine.updateAlert('user_1', paused.id, { isActive: false });
+  seedActive(99);
+
+  // 100 active now: the paused one can't come back
+  await engine.createAlert('user_1', priceCross());
+  await assert.rejects(
+    engine.updateAlert('user_1', paused.id, { isActive: true }),
+    /Invalid alert: at most 100 active alerts/
+  );
+  assert.equal(alerts.rows.find(row => row.id === paused.id).isActive, false);
+
+  // Editing an alert that is already active is not re-arming it
+  const active = alerts.rows.find(row => row.id !== paused.id && row.id.startsWith('row_'));
+  const edited = await engine.updateAlert('user_1', active.id, { params: { price: 120, direction: 'above' } });
+  assert.equal(edited.params.price, 120);
+
+  await engine.deleteAlert('user_1', active.id);
+  await engine.updateAlert('user_1', paused.id, { isActive: true });
+  assert.equal(engine.watches.has(paused.id), true);
+});
+
+test('creating alerts is capped, and other users cannot touch an alert', async () => {
+  seedActive(100);
+  await assert.rejects(engine.createAlert('user_1', priceCross()), /Invalid alert: at most 100 active alerts/);
+
+  const other = await engine.createAlert('user_2', priceCross());
+  await assert.rejects(engine.updateAlert('user_1', other.id, { isActive: false }), /Alert not found/);
+  await assert.rejects(engine.deleteAlert('user_1', other.id), /Alert not found/);
+  await assert.rejects(engine.createAlert('user_2', priceCross({ exchange: 'KRAKEN' })), /Invalid alert: no ticker stream on KRAKEN/);
+});
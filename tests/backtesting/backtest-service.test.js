@@ -0,0 +1,102 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker } from 'worker_threads';
+import { createModel, mockPrisma } from '../support/database.js';
+import { STRATEGY_TEMPLATES } from '../../lib/strategies/strategy-schema.js';
+import { candleIngester, MAX_CANDLE_LIMIT } from '../../lib/market-data/candle-ingester.js';
+import { BacktestService } from '../../lib/backtesting/backtest-service.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const config = { ...STRATEGY_TEMPLATES.EMA_CROSSOVER, symbol: 'BTCUSDT', timeframe: '1h' };
+const candles = Array.from({ length: 200 }, (_, index) => {
+  const close = 100 + 10 * Math.sin(index / 10);
+  return { timestamp: index * HOUR, open: close, high: close + 1, low: close - 1, close, volume: 1 };
+});
+
+let backtests;
+let reads;
+let service;
+let workers;
+const getCandles = candleIngester.getCandles;
+const { on, terminate } = Worker.prototype;
+
+beforeEach(() => {
+  backtests = createModel();
+  mockPrisma({
+    strategy: createModel([{ id: 'strat_1', userId: 'user_1', name: 'EMA', type: 'EMA_CROSSOVER', config }]),
+    backtest: backtests
+  });
+
+  reads = [];
+  candleIngester.getCandles = async (...args) => {
+    reads.push(args);
+    return candles;
+  };
+  service = new BacktestService({});
+
+  // Track the service's workers and whether each was stopped
+  workers = new Map();
+  Worker.prototype.on = function (...args) {
+    if (!workers.has(this)) workers.set(this, { terminated: false });
+    return on.apply(this, args);
+  };
+  Worker.prototype.terminate = function () {
+    workers.get(this).terminated = true;
+    return terminate.call(this);
+  };
+});
+
+afterEach(() => {
+  candleIngester.getCandles = getCandles;
+  Worker.prototype.on = on;
+  Worker.prototype.terminate = terminate;
+});
+
+test('the default window never asks for more bars than one candle read returns', () => {
+  const end = Date.UTC(2024, 5, 1);
+
+  const minute = service.getRange({ endTime: end }, '1m');
+  assert.equal((minute.endTime - minute.startTime) / MINUTE, MAX_CANDLE_LIMIT - 1);
+
+  const hourly = service.getRange({ endTime: end }, '1h');
+  assert.equal(hourly.endTime - hourly.startTime, 30 * DAY);
+
+  // An explicit window is the caller's to size
+  const asked = service.getRange({ endTime: end, days: 60 }, '1m');
+  assert.equal(asked.endTime - asked.startTime, 60 * DAY);
+});
+
+test('built-in strategies are backtested in a worker thread', async () => {
+  const workerRuns = [];
+  const runInWorker = service.runInWorker.bind(service);
+  service.runInWorker = (args) => {
+    workerRuns.push(args.type);
+    return runInWorker(args);
+  };
+
+  const backtest = await service.runBacktest('user_1', 'strat_1', { endTime: Date.UTC(2024, 5, 1) });
+
+  assert.deepEqual(workerRuns, ['EMA_CROSSOVER']);
+  assert.equal(reads[0][0], 'BINANCE');
+  assert.equal(backtests.rows.length, 1);
+  assert.equal(backtest.endTime.getTime(), candles[candles.length - 1].timestamp);
+});
+
+test('a worker is stopped as soon as its result arrives', async () => {
+  const result = await service.runInWorker({ type: 'EMA_CROSSOVER', config, candles });
+
+  assert.equal(result.stats.endTime, candles[candles.length - 1].timestamp);
+  assert.deepEqual([...workers.values()], [{ terminated: true }]);
+});
+
+test('a worker that exits before posting a result fails the run', async () => {
+  const run = service.runInWorker({ type: 'EMA_CROSSOVER', config, candles });
+  const [worker] = workers.keys();
+  worker.emit('exit', 1);
+
+  await assert.rejects(run, /Backtest worker exited with code 1/);
+  assert.equal(workers.get(worker).terminated, true);
+});
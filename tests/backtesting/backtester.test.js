@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { STRATEGY_IMPLEMENTATIONS } from '../../lib/strategies/strategy-registry.js';
+import { Backtester, runBacktest, downsample } from '../../lib/backtesting/backtester.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+/**
+ * Raises config.script[barIndex] on that bar's close
+ */
+class ScriptedStrategy extends EventEmitter {
+  constructor(config) {
+    super();
+    this.script = config.script || {};
+  }
+
+  start() {}
+  stop() {}
+
+  onTick({ timestamp }) {
+    const signal = this.script[(timestamp - START) / HOUR];
+    if (signal) this.emit('signal', signal);
+  }
+}
+
+before(() => { STRATEGY_IMPLEMENTATIONS.SCRIPTED = ScriptedStrategy; });
+after(() => { delete STRATEGY_IMPLEMENTATIONS.SCRIPTED; });
+
+const bars = (rows) => rows.map(([open, high, low, close], index) => ({
+  timestamp: START + index * HOUR, open, high, low, close, volume: 1
+}));
+
+const flat = [100, 101, 99, 100];
+
+const backtest = (script, candles, { config, ...settings } = {}) => runBacktest({
+  type: 'SCRIPTED',
+  config: { symbol: 'BTCUSDT', timeframe: '1h', quantity: 1, script, ...config },
+  candles,
+  warmUpBars: 2,
+  ...settings
+});
+
+test('signals fill at the next open with slippage and commission on both sides', () => {
+  const result = backtest(
+    { 2: { action: 'ENTER_LONG', reason: 'breakout' }, 4: { action: 'EXIT' } },
+    bars([flat, flat, [100, 102, 99, 101], [102, 104, 101, 103], [103, 106, 102, 105], [106, 107, 105, 106]]),
+    { commissionRate: 0.001, slippageBps: 10 }
+  );
+
+  assert.equal(result.trades.length, 1);
+  const [trade] = result.trades;
+  assert.equal(trade.entryTime, START + 3 * HOUR);
+  assert.ok(Math.abs(trade.entryPrice - 102.102) < 1e-9);
+  assert.ok(Math.abs(trade.exitPrice - 105.894) < 1e-9);
+  assert.equal(trade.exitReason, 'SIGNAL');
+  assert.equal(trade.reason, 'breakout');
+  assert.ok(Math.abs(trade.pnl - (105.894 - 102.102 - 0.102102 - 0.105894)) < 1e-9);
+
+  assert.ok(Math.abs(result.stats.finalEquity - (10000 + trade.pnl)) < 1e-9);
+  assert.equal(result.stats.totalTrades, 1);
+  assert.equal(result.stats.winRate, 100);
+  assert.equal(result.stats.bars, 4);
+  // In the market from the fill bar through the bar before the exit fill
+  assert.equal(result.stats.exposurePercent, 50);
+});
+
+test('a bar through both the stop and the target resolves by the intrabar mode', () => {
+  const enter = { 2: { action: 'ENTER_LONG', stopLoss: 95, takeProfit: 110 } };
+  const upBar = bars([flat, flat, flat, [100, 101, 99, 100], [100, 111, 94, 105]]);
+  const downBar = bars([flat, flat, flat, [100, 101, 99, 100], [100, 111, 94, 97]]);
+
+  assert.equal(backtest(enter, upBar).trades[0].exitReason, 'STOP_LOSS');
+  assert.equal(backtest(enter, downBar).trades[0].exitReason, 'STOP_LOSS');
+
+  // OHLC: up bars trade the low first, down bars the high first
+  assert.equal(backtest(enter, upBar, { intrabar: 'OHLC' }).trades[0].exitPrice, 95);
+  const target = backtest(enter, downBar, { intrabar: 'OHLC' }).trades[0];
+  assert.equal(target.exitReason, 'TAKE_PROFIT');
+  assert.equal(target.exitPrice, 110);
+});
+
+test('a gap through a level fills at the open', () => {
+  const enter = { 2: { action: 'ENTER_SHORT', stopLoss: 105, takeProfit: 90 } };
+
+  const stopped = backtest(enter, bars([flat, flat, flat, [100, 101, 99, 100], [108, 109, 107, 108]])).trades[0];
+  assert.deepEqual([stopped.exitReason, stopped.exitPrice], ['STOP_LOSS', 108]);
+
+  const target = backtest(enter, bars([flat, flat, flat, [100, 101, 99, 100], [85, 86, 84, 85]])).trades[0];
+  assert.deepEqual([target.exitReason, target.exitPrice], ['TAKE_PROFIT', 85]);
+  assert.equal(target.pnl, 15);
+});
+
+test('daily trade limits apply and an open position is marked out at the end', () => {
+  const result = backtest(
+    { 2: { action: 'ENTER_LONG' }, 3: { action: 'EXIT' }, 5: { action: 'ENTER_LONG' } },
+    bars([flat, flat, flat, flat, flat, flat, flat, [100, 101, 99, 104]]),
+    { config: { riskSettings: { maxDailyTrades: 1 } } }
+  );
+  assert.equal(result.trades.length, 1);
+
+  const open = backtest({ 2: { action: 'ENTER_LONG' } }, bars([flat, flat, flat, flat, [100, 101, 99, 104]]));
+  assert.equal(open.trades[0].exitReason, 'END_OF_DATA');
+  assert.equal(open.trades[0].pnl, 4);
+  assert.equal(open.equityCurve[open.equityCurve.length - 1].equity, 10004);
+});
+
+test('settings and history length are validated', () => {
+  assert.throws(() => new Backtester({ type: 'SCRIPTED', intrabar: 'RANDOM' }), /intrabar must be one of/);
+  assert.throws(() => new Backtester({ type: 'SCRIPTED', initialCapital: 0 }), /initialCapital must be positive/);
+  assert.throws(() => backtest({}, bars([flat, flat, flat])), /need more than 3 closed candles/);
+});
+
+test('downsampling keeps the first and last points', () => {
+  const points = Array.from({ length: 10 }, (_, index) => index);
+  assert.deepEqual(downsample(points, 4), [0, 3, 6, 9]);
+  assert.equal(downsample(points, 20), points);
+});
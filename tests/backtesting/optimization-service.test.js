@@ -0,0 +1,67 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModel, mockPrisma } from '../support/database.js';
+import { STRATEGY_TEMPLATES } from '../../lib/strategies/strategy-schema.js';
+import { OptimizationService } from '../../lib/backtesting/optimization-service.js';
+import { Optimizer } from '../../lib/backtesting/optimizer.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const config = { ...STRATEGY_TEMPLATES.EMA_CROSSOVER, symbol: 'BTCUSDT', timeframe: '1h' };
+const candles = Array.from({ length: 200 }, (_, index) => {
+  const close = 100 + 10 * Math.sin(index / 10);
+  return { timestamp: index * HOUR, open: close, high: close + 1, low: close - 1, close, volume: 1 };
+});
+const options = { candles, parameters: [{ key: 'indicators.0.params.period', values: [5, 8] }] };
+
+let jobs;
+let service;
+
+beforeEach(() => {
+  jobs = createModel();
+  mockPrisma({ optimizationJob: jobs });
+
+  const backtestService = {
+    getOwnedStrategy: async (userId, strategyId) => ({ id: strategyId, userId, name: 'EMA', type: 'EMA_CROSSOVER', config }),
+    parseSettings: () => ({})
+  };
+  service = new OptimizationService({ backtestService }, { maxJobsPerUser: 2, jobTimeoutMs: 1 });
+});
+
+test('each user may only have a limited number of jobs queued or running', async () => {
+  // Another job holds the runner, so these only queue
+  service.active = { jobId: 'job_running', userId: 'user_1', optimizer: { cancel() {} } };
+
+  await service.startOptimization('user_1', 'strat_1', options);
+  await assert.rejects(
+    service.startOptimization('user_1', 'strat_1', options),
+    /Invalid optimization: 2 of your optimizations are already queued or running/
+  );
+
+  await service.startOptimization('user_2', 'strat_2', options);
+  assert.deepEqual(service.queue.map(entry => entry.userId), ['user_1', 'user_2']);
+  assert.equal(jobs.rows.length, 2);
+});
+
+test('a job over its wall-clock budget is failed, not cancelled', async () => {
+  const job = await jobs.create({ data: { userId: 'user_1', status: 'QUEUED' } });
+  const optimizer = new Optimizer({ type: 'EMA_CROSSOVER', config, candles, parameters: options.parameters, timeoutMs: 1 });
+
+  await service.runJob({ jobId: job.id, userId: 'user_1', optimizer });
+
+  const [row] = jobs.rows;
+  assert.equal(row.status, 'FAILED');
+  assert.equal(row.error, 'Optimization timed out after 0.001s');
+  assert.equal(optimizer.workers.size, 0);
+});
+
+test('a cancelled job is recorded as cancelled', async () => {
+  const job = await jobs.create({ data: { userId: 'user_1', status: 'QUEUED' } });
+  const optimizer = new Optimizer({ type: 'EMA_CROSSOVER', config, candles, parameters: options.parameters });
+  const running = service.runJob({ jobId: job.id, userId: 'user_1', optimizer });
+  optimizer.cancel();
+  await running;
+
+  assert.equal(jobs.rows[0].status, 'CANCELLED');
+  assert.equal(jobs.rows[0].error, null);
+});
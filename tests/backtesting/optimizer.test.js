@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STRATEGY_TEMPLATES } from '../../lib/strategies/strategy-schema.js';
+import {
+  Optimizer,
+  applyParameters,
+  buildGrid,
+  buildWalkForwardWindows,
+  evaluateParameterSets,
+  normalizeParameters,
+  rankResults,
+  sampleRandom
+} from '../../lib/backtesting/optimizer.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const config = { ...STRATEGY_TEMPLATES.EMA_CROSSOVER, symbol: 'BTCUSDT', timeframe: '1h' };
+const candles = Array.from({ length: 300 }, (_, index) => {
+  const close = 100 + 10 * Math.sin(index / 10);
+  return { timestamp: index * HOUR, open: close, high: close + 1, low: close - 1, close, volume: 1 };
+});
+const parameters = [{ key: 'indicators.0.params.period', values: [5, 8] }];
+
+test('parameter ranges expand to rounded values and a bounded grid', () => {
+  const space = normalizeParameters([
+    { key: 'risk.quantity', min: 0.1, max: 0.3, step: 0.1 },
+    { key: 'fast', values: [5, 5, 10] }
+  ]);
+  assert.deepEqual(space, [
+    { key: 'risk.quantity', values: [0.1, 0.2, 0.3] },
+    { key: 'fast', values: [5, 10] }
+  ]);
+  assert.equal(buildGrid(space).length, 6);
+
+  assert.throws(() => normalizeParameters([]), /at least one parameter/);
+  assert.throws(() => normalizeParameters([{ key: 'a', min: 2, max: 1, step: 1 }]), /min <= max/);
+  assert.throws(() => buildGrid([{ key: 'a', values: Array(40).fill(0).map((_, i) => i) }, { key: 'b', values: Array(40).fill(0).map((_, i) => i) }]), /1600 combinations/);
+});
+
+test('random samples are distinct and repeat for a seed', () => {
+  const space = normalizeParameters([{ key: 'a', min: 1, max: 20, step: 1 }, { key: 'b', min: 1, max: 20, step: 1 }]);
+  const first = sampleRandom(space, 25, 7);
+
+  assert.equal(first.length, 25);
+  assert.equal(new Set(first.map(params => JSON.stringify(params))).size, 25);
+  assert.deepEqual(sampleRandom(space, 25, 7), first);
+  assert.notDeepEqual(sampleRandom(space, 25, 8), first);
+});
+
+test('dotted parameters are applied to a copy of the config', () => {
+  const next = applyParameters(config, { 'indicators.0.params.period': 3, 'riskSettings.maxPositionSize': 2 });
+
+  assert.equal(next.indicators[0].params.period, 3);
+  assert.deepEqual(next.riskSettings, { maxPositionSize: 2 });
+  assert.equal(config.indicators[0].params.period, 10);
+});
+
+test('walk-forward windows tile the data without overlapping out-of-sample slices', () => {
+  // 60/40 split: 181 out-of-sample bars per window after 271 in-sample ones
+  const rolling = buildWalkForwardWindows(1000, { windows: 4, inSamplePercent: 60 });
+  assert.deepEqual(rolling.map(window => window.outOfSample), [[271, 452], [452, 633], [633, 814], [814, 995]]);
+  assert.deepEqual(rolling.map(window => window.inSample), [[0, 271], [181, 452], [362, 633], [543, 814]]);
+
+  const anchored = buildWalkForwardWindows(1000, { windows: 4, inSamplePercent: 60, anchored: true });
+  assert.ok(anchored.every(window => window.inSample[0] === 0));
+  assert.throws(() => buildWalkForwardWindows(3, { windows: 4 }), /not enough candles/);
+});
+
+test('results below minTrades are kept but ranked last', () => {
+  const results = evaluateParameterSets(
+    { type: 'EMA_CROSSOVER', config, candles, settings: {}, objective: 'netProfit', minTrades: 1000 },
+    [{ 'indicators.0.params.period': 5 }]
+  );
+  assert.equal(results[0].score, null);
+  assert.ok(results[0].stats.totalTrades > 0);
+
+  assert.deepEqual(
+    rankResults([{ score: null }, { score: 1 }, { score: 3 }]).map(result => result.score),
+    [3, 1, null]
+  );
+});
+
+test('a run scores every combination in worker threads', async () => {
+  const optimizer = new Optimizer({ type: 'EMA_CROSSOVER', config, candles, parameters, minTrades: 0, concurrency: 1 });
+  const progress = [];
+  optimizer.on('progress', ({ completed }) => progress.push(completed));
+
+  const { results, walkForward } = await optimizer.run();
+
+  assert.equal(results.length, 2);
+  assert.ok(results[0].score >= results[1].score);
+  assert.deepEqual(progress, [1, 2]);
+  assert.equal(walkForward, null);
+});
+
+test('a run past its wall-clock budget terminates its workers and fails', async () => {
+  const optimizer = new Optimizer({ type: 'EMA_CROSSOVER', config, candles, parameters, concurrency: 2, timeoutMs: 1 });
+
+  await assert.rejects(optimizer.run(), /Optimization timed out after 0.001s/);
+  assert.equal(optimizer.timedOut, true);
+  assert.equal(optimizer.workers.size, 0);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTrades, parseRobustnessSettings, runMonteCarlo, simulatePath, tradesFromFills } from '../../lib/backtesting/robustness.js';
+import { RobustnessService } from '../../lib/backtesting/robustness-service.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Alternating wins and losses, a year apart end to end
+const trades = Array.from({ length: 200 }, (_, index) => ({
+  pnl: index % 3 === 0 ? -80 : 100,
+  entryTime: index * 40 * HOUR,
+  exitTime: index * 40 * HOUR + HOUR
+}));
+
+const strategy = { id: 'strat_1', name: 'EMA', totalTrades: 200, winRate: '66.5', maxDrawdown: '4.2' };
+const createService = (options) => new RobustnessService({ backtestService: { getOwnedStrategy: async () => strategy } }, options);
+
+test('trades are put in exit order and fills are paired flat to flat', () => {
+  const { pnls, startTime, endTime } = normalizeTrades([
+    { pnl: '5', entryTime: 3000, exitTime: 4000 },
+    { pnl: -2, entryTime: 1000, exitTime: 2000 }
+  ]);
+  assert.deepEqual(pnls, [-2, 5]);
+  assert.deepEqual([startTime, endTime], [1000, 4000]);
+  assert.throws(() => normalizeTrades([{ pnl: 1 }]), /at least two closed trades/);
+  assert.throws(() => normalizeTrades([{ pnl: 1 }, { pnl: 'x' }]), /trade 2 needs a numeric pnl/);
+
+  assert.deepEqual(tradesFromFills([
+    { side: 'BUY', quantity: '1', price: '100', timestamp: 1 },
+    { side: 'BUY', quantity: '1', price: '110', timestamp: 2 },
+    { side: 'SELL', quantity: '3', price: '120', timestamp: 3 },
+    { side: 'BUY', quantity: '1', price: '115', timestamp: 4 }
+  ]), [
+    { pnl: 30, entryTime: 1, exitTime: 3 },
+    // The oversold unit was a short, covered 5 lower
+    { pnl: 5, entryTime: 3, exitTime: 4 }
+  ]);
+});
+
+test('an equity path tracks drawdown from the peak and ruin', () => {
+  const path = simulatePath([100, -300, 50], { initialCapital: 1000, ruinLevel: 850 });
+
+  assert.equal(path.finalEquity, 850);
+  assert.equal(path.maxDrawdown, 300);
+  assert.equal(path.maxDrawdownPercent, (300 / 1100) * 100);
+  assert.equal(path.ruined, true);
+});
+
+test('reports repeat exactly for a seed, and shuffles keep the total', () => {
+  const report = runMonteCarlo(trades, { simulations: 50, seed: 7 });
+
+  assert.deepEqual(runMonteCarlo(trades, { simulations: 50, seed: 7 }), report);
+  assert.notDeepEqual(runMonteCarlo(trades, { simulations: 50, seed: 8 }).methods.BOOTSTRAP, report.methods.BOOTSTRAP);
+  assert.equal(report.trades, 200);
+  assert.equal(report.methods.SHUFFLE.netProfit.worst, report.original.netProfit);
+  assert.equal(report.methods.SHUFFLE.netProfit.best, report.original.netProfit);
+  assert.ok(report.methods.SHUFFLE.maxDrawdownPercent.upper >= report.methods.SHUFFLE.maxDrawdownPercent.lower);
+  assert.ok(report.methods.SKIP.netProfit.mean < report.original.netProfit);
+});
+
+test('settings are bounded', () => {
+  assert.equal(parseRobustnessSettings({ simulations: '250.7' }).simulations, 250);
+  assert.throws(() => parseRobustnessSettings({ simulations: 0 }), /Invalid robustness: simulations must be between 1 and 10000/);
+  assert.throws(() => parseRobustnessSettings({ confidence: 100 }), /confidence/);
+  assert.throws(() => runMonteCarlo(trades.concat(trades).concat(trades), { simulations: 10000 }), /simulations x trades is limited/);
+});
+
+test('the service builds reports in a worker without blocking the event loop', async () => {
+  const service = createService();
+  let ticks = 0;
+  const timer = setInterval(() => { ticks += 1; }, 1);
+
+  try {
+    const result = await service.analyzeStrategy('user_1', 'strat_1', { source: 'IMPORT', trades, simulations: 5000, seed: 3 });
+
+    assert.ok(ticks > 0);
+    assert.deepEqual(result.report, runMonteCarlo(trades, { simulations: 5000, seed: 3 }));
+    assert.deepEqual(result.strategy, { id: 'strat_1', name: 'EMA', totalTrades: 200, winRate: 66.5, maxDrawdown: 4.2 });
+  } finally {
+    clearInterval(timer);
+  }
+});
+
+test('invalid settings from the worker and runaway reports reject as invalid input', async () => {
+  await assert.rejects(
+    createService().analyzeStrategy('user_1', 'strat_1', { source: 'IMPORT', trades, simulations: 0 }),
+    /Invalid robustness: simulations must be between 1 and 10000/
+  );
+  await assert.rejects(
+    createService({ reportTimeoutMs: 1 }).analyzeStrategy('user_1', 'strat_1', { source: 'IMPORT', trades, simulations: 10000 }),
+    /Invalid robustness: the report took longer than 0.001s/
+  );
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChartShapes, createTimeIndex } from '../../lib/charts/chart-shapes.js';
+
+const MINUTE = 60000;
+const candles = [0, 1, 2, 4].map(index => ({ timestamp: index * MINUTE }));
+
+// 10px per bar, and a price axis where 1 point is 1px down from 1000 (null prices can't be placed)
+function attach(shapes) {
+  let updates = 0;
+  shapes.attached({
+    chart: { timeScale: () => ({ logicalToCoordinate: logical => logical * 10 }) },
+    series: { priceToCoordinate: price => (price === null ? null : 1000 - price) },
+    requestUpdate: () => { updates += 1; }
+  });
+  shapes.setTimeIndex(createTimeIndex(candles, MINUTE));
+  return () => updates;
+}
+
+// Canvas 2D stand-in recording the calls that place things
+function recordingContext() {
+  const calls = [];
+  const record = (name) => (...args) => calls.push([name, ...args]);
+  return {
+    calls,
+    save() {},
+    restore() {},
+    setLineDash() {},
+    beginPath() {},
+    stroke() {},
+    moveTo: record('moveTo'),
+    lineTo: record('lineTo'),
+    fillRect: record('fillRect'),
+    strokeRect: record('strokeRect'),
+    fillText: record('fillText')
+  };
+}
+
+test('times map to bar positions across gaps and beyond the loaded candles', () => {
+  const { toLogical, toTime } = createTimeIndex(candles, MINUTE);
+
+  assert.equal(toLogical(MINUTE), 1);
+  assert.equal(toLogical(1.5 * MINUTE), 1.5);
+  // Inside the missing 3m bar the position holds at the next bar
+  assert.equal(toLogical(3 * MINUTE), 3);
+  assert.equal(toLogical(-2 * MINUTE), -2);
+  assert.equal(toLogical(6 * MINUTE), 5);
+  assert.equal(toTime(5), 6 * MINUTE);
+  assert.equal(toTime(-1), -MINUTE);
+  assert.equal(toTime(2.5), 2.5 * MINUTE);
+  assert.equal(createTimeIndex([], MINUTE).toLogical(0), null);
+});
+
+test('rects and lines resolve to pane geometry, open bounds running to the edge', () => {
+  const shapes = new ChartShapes();
+  const updates = attach(shapes);
+  shapes.setShapes([]);
+  assert.equal(updates(), 2);
+
+  assert.deepEqual(shapes.rectBounds({ from: MINUTE, to: 2 * MINUTE, high: 110, low: 100 }, 400, 900), { x: 10, y: 890, width: 10, height: 10 });
+  assert.deepEqual(shapes.rectBounds({ from: MINUTE, to: null, high: null, low: 100 }, 400, 900), { x: 10, y: 0, width: 390, height: 900 });
+
+  const points = [{ time: 0, price: 100 }, { time: MINUTE, price: 110 }];
+  assert.deepEqual(shapes.lineEnds({ points }, 400), { x1: 0, y1: 900, x2: 10, y2: 890 });
+  assert.deepEqual(shapes.lineEnds({ points, extend: true }, 400), { x1: 0, y1: 900, x2: 400, y2: 500 });
+  assert.deepEqual(shapes.lineEnds({ points: [points[1], { time: 2 * MINUTE, price: 120 }], extend: 'both' }, 400), { x1: 0, y1: 900, x2: 400, y2: 500 });
+  assert.deepEqual(shapes.hlineEnds({ price: 150 }, 400), { x1: 0, y1: 850, x2: 400, y2: 850 });
+});
+
+test('drawing renders every shape type and skips shapes that cannot be placed', () => {
+  const shapes = new ChartShapes({ zOrder: 'bottom' });
+  const context = recordingContext();
+  attach(shapes);
+  shapes.setShapes([
+    { type: 'rect', from: 0, to: MINUTE, high: 110, low: 100, color: 'blue', border: true, label: 'OB' },
+    { type: 'line', points: [{ time: 0, price: 100 }, { time: MINUTE, price: null }], color: 'red' },
+    { type: 'hline', price: 150, color: 'green', label: 'TP' },
+    { type: 'text', time: 2 * MINUTE, price: 120, text: 'BOS', color: 'white' }
+  ]);
+  shapes.draw(context, { width: 400, height: 900 });
+
+  assert.equal(shapes.paneViews()[0].zOrder(), 'bottom');
+  assert.deepEqual(context.calls, [
+    ['fillRect', 0, 890, 10, 10],
+    ['strokeRect', 0, 890, 10, 10],
+    ['fillText', 'OB', 2, 892],
+    ['moveTo', 0, 850],
+    ['lineTo', 400, 850],
+    ['fillText', 'TP', 398, 848],
+    ['fillText', 'BOS', 20, 880]
+  ]);
+});
+
+test('hit testing finds the topmost shape with an id near the pointer', () => {
+  const shapes = new ChartShapes();
+  attach(shapes);
+  shapes.setShapes([
+    { id: 'zone', type: 'rect', from: 0, to: 4 * MINUTE, high: 150, low: 100 },
+    { id: 'level', type: 'hline', price: 120 },
+    { type: 'hline', price: 130 },
+    { id: 'trend', type: 'line', points: [{ time: 0, price: 100 }, { time: 4 * MINUTE, price: 140 }] }
+  ]);
+
+  // Nothing has been drawn yet, so the pane size is unknown
+  assert.equal(shapes.hitTest(10, 880), null);
+  shapes.draw(recordingContext(), { width: 400, height: 900 });
+
+  assert.equal(shapes.hitTest(200, 882), 'level');
+  assert.equal(shapes.hitTest(20, 878), 'trend');
+  assert.equal(shapes.hitTest(25, 890), 'zone');
+  // Shapes without an id can't be picked
+  assert.equal(shapes.hitTest(300, 870), null);
+
+  shapes.detached();
+  assert.equal(shapes.hitTest(200, 880), null);
+});
@@ -0,0 +1,67 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModel, mockPrisma } from '../support/database.js';
+import { parseDrawing } from '../../lib/charts/chart-drawings.js';
+import { ChartDrawingService } from '../../lib/charts/drawing-service.js';
+
+const line = (overrides = {}) => ({
+  exchange: 'BINANCE',
+  symbol: 'BTCUSDT',
+  interval: '1h',
+  type: 'HORIZONTAL_LINE',
+  data: { points: [{ time: 0, price: 100 }] },
+  ...overrides
+});
+
+let drawings;
+let service;
+
+beforeEach(() => {
+  drawings = createModel();
+  mockPrisma({ chartDrawing: drawings });
+  service = new ChartDrawingService();
+});
+
+test('drawings are kept per exchange as well as symbol and timeframe', async () => {
+  await service.createDrawing('user_1', line());
+  await service.createDrawing('user_1', line({ exchange: 'bybit_testnet', data: { points: [{ time: 0, price: 101 }] } }));
+  await service.createDrawing('user_1', line({ exchange: undefined, interval: '4h' }));
+
+  const bybit = await service.getDrawings('user_1', { exchange: 'BYBIT_TESTNET', symbol: 'btcusdt', interval: '1h' });
+  assert.deepEqual(bybit.map(drawing => drawing.data.points[0].price), [101]);
+
+  // Without an exchange the chart is the Binance one, as before drawings had one
+  const binance = await service.getDrawings('user_1', { symbol: 'BTCUSDT', interval: '1h' });
+  assert.deepEqual(binance.map(drawing => [drawing.exchange, drawing.data.points[0].price]), [['BINANCE', 100]]);
+  assert.equal(drawings.rows.find(drawing => drawing.interval === '4h').exchange, 'BINANCE');
+
+  assert.equal(await service.clearDrawings('user_1', { exchange: 'BINANCE', symbol: 'BTCUSDT', interval: '1h' }), 1);
+  assert.deepEqual(drawings.rows.map(drawing => drawing.exchange).sort(), ['BINANCE', 'BYBIT_TESTNET']);
+});
+
+test('the per-chart limit counts one exchange chart at a time', async () => {
+  drawings.rows.push(...Array.from({ length: 200 }, (_, index) => ({ id: `d_${index}`, userId: 'user_1', ...line() })));
+
+  await assert.rejects(service.createDrawing('user_1', line()), /Invalid drawing: at most 200 drawings per chart/);
+  await service.createDrawing('user_1', line({ exchange: 'BYBIT' }));
+  await service.createDrawing('user_2', line());
+});
+
+test('only the owner can delete a drawing', async () => {
+  const drawing = await service.createDrawing('user_1', line());
+
+  await assert.rejects(service.deleteDrawing('user_2', drawing.id), /Drawing not found/);
+  assert.equal((await service.deleteDrawing('user_1', drawing.id)).id, drawing.id);
+  assert.equal(drawings.rows.length, 0);
+});
+
+test('drawings and charts are validated', async () => {
+  assert.equal(parseDrawing(line()).data.color, '#38bdf8');
+  assert.throws(() => parseDrawing(line({ type: 'TREND_LINE' })), /Invalid drawing: data.points: TREND_LINE takes 2 point\(s\)/);
+  assert.throws(() => parseDrawing(line({ type: 'TEXT' })), /data.text: Text is required/);
+  assert.throws(() => parseDrawing(line({ exchange: 'BIN ANCE' })), /exchange: must be an exchange name/);
+
+  await assert.rejects(service.getDrawings('user_1', { exchange: '../x', symbol: 'BTCUSDT', interval: '1h' }), /Invalid chart: unknown exchange/);
+  await assert.rejects(service.getDrawings('user_1', { symbol: 'BTCUSDT', interval: '2m' }), /Invalid chart: unknown interval 2m/);
+  await assert.rejects(service.clearDrawings('user_1', { interval: '1h' }), /Invalid chart: symbol is required/);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_SLICES,
+  roundToStep,
+  getSliceCount,
+  buildTwapSchedule,
+  buildVolumeProfile,
+  buildVwapSchedule
+} from '../../lib/execution/algorithms.js';
+
+const HOUR = 3600000;
+const sum = (schedule) => schedule.reduce((total, slice) => total + slice.quantity, 0);
+
+test('roundToStep rounds down to the lot step', () => {
+  assert.equal(roundToStep(0.123456789), 0.12345678);
+  assert.equal(roundToStep(1.2345, 0.01), 1.23);
+  assert.equal(roundToStep(0.3, 0.1), 0.3);
+  assert.equal(roundToStep(5, 2), 4);
+});
+
+test('getSliceCount defaults to one slice a minute and is capped', () => {
+  assert.equal(getSliceCount(0, 10 * 60000), 10);
+  assert.equal(getSliceCount(0, 10 * 60000, 4), 4);
+  assert.equal(getSliceCount(0, 30000), 1);
+  assert.equal(getSliceCount(0, 10000 * 60000), MAX_SLICES);
+});
+
+test('TWAP splits the quantity evenly from the start time', () => {
+  const schedule = buildTwapSchedule({ quantity: 2, startTime: 0, endTime: 4 * 60000, slices: 4 });
+
+  assert.deepEqual(schedule.map(slice => slice.at), [0, 60000, 120000, 180000]);
+  assert.ok(schedule.every(slice => slice.quantity === 0.5));
+});
+
+test('buildVolumeProfile averages volume per UTC hour', () => {
+  const profile = buildVolumeProfile([
+    { timestamp: 0, volume: 10 },
+    { timestamp: 24 * HOUR, volume: 30 },
+    { timestamp: 5 * HOUR, volume: 7 }
+  ]);
+
+  assert.equal(profile.length, 24);
+  assert.equal(profile[0], 20);
+  assert.equal(profile[5], 7);
+  assert.equal(profile[1], 0);
+});
+
+test('VWAP weights slices by the hour\'s historical volume', () => {
+  const volumeProfile = new Array(24).fill(0);
+  volumeProfile[0] = 1;
+  volumeProfile[1] = 3;
+
+  const schedule = buildVwapSchedule({ quantity: 4, startTime: 0, endTime: 2 * HOUR, slices: 2, volumeProfile });
+
+  assert.deepEqual(schedule.map(slice => slice.quantity), [1, 3]);
+  assert.equal(sum(schedule), 4);
+});
+
+test('VWAP without volume history falls back to TWAP', () => {
+  const schedule = buildVwapSchedule({ quantity: 3, startTime: 0, endTime: 3 * HOUR, slices: 3, volumeProfile: [] });
+
+  assert.ok(schedule.every(slice => slice.quantity === 1));
+});
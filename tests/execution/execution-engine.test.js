@@ -0,0 +1,167 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModel, mockPrisma } from '../support/database.js';
+import { ExecutionEngine } from '../../lib/execution/execution-engine.js';
+
+const account = { id: 'acct_1', platform: 'BINANCE', isDemo: true };
+
+let algoOrders;
+let orders;
+let placed;
+let fillRatio;
+let failPlacement;
+let engine;
+let userSequence = 0;
+let userId;
+
+beforeEach(() => {
+  // The exchange order-rate limiter is shared; a fresh user keeps each test's budget separate
+  userId = `user_${++userSequence}`;
+
+  const algoModel = createModel();
+  algoOrders = {
+    ...algoModel,
+    create: ({ data }) => algoModel.create({
+      data: { status: 'RUNNING', nextSlice: 0, filledQuantity: 0, pausedAt: null, tradingAccount: account, ...data }
+    })
+  };
+  orders = createModel();
+  mockPrisma({ algoOrder: algoOrders, order: orders });
+
+  placed = [];
+  fillRatio = 1;
+  failPlacement = null;
+
+  const manager = {
+    reconciler: { on() {}, off() {} },
+    async placeOrder(owner, accountId, orderData, links) {
+      if (failPlacement) throw new Error(failPlacement);
+      placed.push(orderData);
+
+      // Market children fill in full; limit children fill `fillRatio` and stay working
+      const filledQuantity = orderData.type === 'MARKET' ? orderData.quantity : orderData.quantity * fillRatio;
+      return orders.create({
+        data: {
+          ...orderData,
+          algoOrderId: links.algoOrderId,
+          status: filledQuantity >= orderData.quantity ? 'FILLED' : 'SUBMITTED',
+          filledQuantity,
+          avgFillPrice: 100
+        }
+      });
+    },
+    async cancelOrder(owner, orderId) {
+      return orders.update({ where: { id: orderId }, data: { status: 'CANCELLED' } });
+    }
+  };
+  engine = new ExecutionEngine(manager);
+});
+
+// Bring every remaining slice due, on the row as well as the engine's copy
+const dueNow = async (algo) => {
+  await engine.updateAlgo(algo, { schedule: algo.schedule.map(slice => ({ ...slice, at: 0 })) });
+};
+
+test('validateParams rejects incomplete algo orders', () => {
+  assert.throws(() => engine.validateParams({ algo: 'SNIPER' }), /algo must be one of/);
+  assert.throws(() => engine.validateParams({ algo: 'TWAP', symbol: 'BTCUSDT', side: 'BUY', quantity: 1 }), /positive durationMinutes/);
+  assert.throws(() => engine.validateParams({ algo: 'ICEBERG', symbol: 'BTCUSDT', side: 'BUY', quantity: 1, displayQuantity: 0.1 }), /need a limitPrice/);
+  assert.throws(() => engine.validateParams({ algo: 'ICEBERG', symbol: 'BTCUSDT', side: 'BUY', quantity: 1, limitPrice: 100, displayQuantity: 1 }), /displayQuantity/);
+});
+
+test('TWAP sends one child per due slice and completes at the total', async () => {
+  const algo = await engine.createAlgoOrder(userId, account, {}, {
+    algo: 'TWAP', symbol: 'BTCUSDT', side: 'BUY', quantity: 1, durationMinutes: 4, slices: 4
+  });
+  assert.equal(algo.schedule.length, 4);
+
+  await engine.processAlgo(algo);
+  assert.equal(placed.length, 1, 'only the first slice is due');
+  assert.equal(placed[0].type, 'MARKET');
+  assert.equal(placed[0].quantity, 0.25);
+
+  await dueNow(algo);
+  for (let i = 0; i < 3; i++) {
+    await engine.processAlgo(algo);
+  }
+
+  assert.deepEqual(placed.map(order => order.quantity), [0.25, 0.25, 0.25, 0.25]);
+  assert.equal(algoOrders.rows[0].status, 'COMPLETED');
+  assert.equal(algoOrders.rows[0].filledQuantity, 1);
+  assert.equal(engine.active.has(algo.id), false);
+});
+
+test('limit slices that miss are cancelled and rolled into the next slice', async () => {
+  const algo = await engine.createAlgoOrder(userId, account, {}, {
+    algo: 'TWAP', symbol: 'BTCUSDT', side: 'SELL', quantity: 1, durationMinutes: 2, slices: 2, limitPrice: 100
+  });
+  fillRatio = 0.5;
+
+  await engine.processAlgo(algo);
+  assert.equal(placed[0].type, 'LIMIT');
+  assert.equal(placed[0].timeInForce, 'IOC');
+
+  await dueNow(algo);
+  fillRatio = 1;
+  await engine.processAlgo(algo);
+
+  assert.equal(orders.rows[0].status, 'CANCELLED');
+  assert.equal(placed[1].quantity, 0.75);
+  assert.equal(algoOrders.rows[0].status, 'COMPLETED');
+});
+
+test('iceberg keeps one display-sized child working at a time', async () => {
+  const algo = await engine.createAlgoOrder(userId, account, {}, {
+    algo: 'ICEBERG', symbol: 'BTCUSDT', side: 'BUY', quantity: 1, limitPrice: 100, displayQuantity: 0.4
+  });
+  fillRatio = 0;
+
+  await engine.processAlgo(algo);
+  await engine.processAlgo(algo);
+  assert.equal(placed.length, 1, 'a working child blocks the next one');
+  assert.equal(placed[0].quantity, 0.4);
+
+  await orders.update({ where: { id: orders.rows[0].id }, data: { status: 'FILLED', filledQuantity: 0.4 } });
+  await engine.processAlgo(algo);
+  assert.equal(placed[1].quantity, 0.4);
+
+  await orders.update({ where: { id: orders.rows[1].id }, data: { status: 'FILLED', filledQuantity: 0.4 } });
+  await engine.processAlgo(algo);
+  assert.equal(placed[2].quantity, 0.2);
+
+  await orders.update({ where: { id: orders.rows[2].id }, data: { status: 'FILLED', filledQuantity: 0.2 } });
+  await engine.refreshProgress(algo.id);
+  assert.equal(algoOrders.rows[0].status, 'COMPLETED');
+});
+
+test('repeated child failures fail the parent', async () => {
+  const algo = await engine.createAlgoOrder(userId, account, {}, {
+    algo: 'TWAP', symbol: 'BTCUSDT', side: 'BUY', quantity: 1, durationMinutes: 2, slices: 2
+  });
+  failPlacement = 'Risk check failed';
+
+  for (let i = 0; i < 3; i++) {
+    await engine.processAlgo(algo);
+  }
+
+  assert.equal(algoOrders.rows[0].status, 'FAILED');
+  assert.equal(algoOrders.rows[0].lastError, 'Risk check failed');
+  assert.equal(algoOrders.rows[0].nextSlice, 0);
+});
+
+test('resume shifts the remaining slices by the time spent paused', async () => {
+  const algo = await engine.createAlgoOrder(userId, account, {}, {
+    algo: 'TWAP', symbol: 'BTCUSDT', side: 'BUY', quantity: 1, durationMinutes: 3, slices: 3
+  });
+  await engine.processAlgo(algo);
+  const before = algo.schedule.map(slice => slice.at);
+
+  await engine.pause(userId, algo.id);
+  algo.pausedAt = new Date(Date.now() - 30000);
+  const resumed = await engine.resume(userId, algo.id);
+
+  assert.equal(resumed.status, 'RUNNING');
+  assert.equal(algo.schedule[0].at, before[0]);
+  assert.ok(algo.schedule[1].at - before[1] >= 30000);
+  assert.ok(algo.schedule[2].at - before[2] >= 30000);
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ADX,
+  ATR,
+  BollingerBands,
+  EMA,
+  INDICATORS,
+  INDICATOR_OUTPUTS,
+  MACD,
+  PivotPoints,
+  RSI,
+  SMA,
+  Stochastic,
+  Supertrend,
+  VWAP,
+  WMA,
+  computeIndicator,
+  createIndicator,
+  priceOf
+} from '../../lib/indicators/indicators.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+const candle = (high, low, close, extra = {}) => ({ open: close, high, low, close, volume: 1, timestamp: 0, ...extra });
+const close = (values) => values.map(value => Number(value.toFixed(10)));
+
+test('moving averages warm up over their period', () => {
+  assert.deepEqual(SMA.compute([1, 2, 3, 4, 5], { period: 3 }), [null, null, 2, 3, 4]);
+  // Seeded with the SMA of the first three, then weighted 2 / (3 + 1)
+  assert.deepEqual(EMA.compute([1, 2, 3, 4, 6], { period: 3 }), [null, null, 2, 3, 4.5]);
+  assert.deepEqual(close(WMA.compute([1, 2, 3, 6], { period: 3 }).slice(2)), close([14 / 6, 26 / 6]));
+});
+
+test('RSI uses Wilder smoothing and is neutral on a flat series', () => {
+  assert.deepEqual(RSI.compute([1, 2, 3, 2], { period: 2 }), [null, null, 100, 50]);
+  assert.deepEqual(RSI.compute([5, 5, 5], { period: 2 }), [null, null, 50]);
+  assert.equal(new RSI({ period: 14 }).warmUpBars, 15);
+});
+
+test('MACD lines appear once the slow and signal EMAs are seeded', () => {
+  const values = MACD.compute([1, 2, 3, 4, 5, 6], { fastPeriod: 2, slowPeriod: 3, signalPeriod: 2 });
+
+  assert.equal(values.findIndex(value => value !== null), 3);
+  for (const value of values.slice(3)) {
+    assert.ok(Math.abs(value.histogram - (value.macd - value.signal)) < 1e-12);
+    assert.ok(value.macd > 0);
+  }
+});
+
+test('stochastic %K is the close within the range, %D its average', () => {
+  const values = Stochastic.compute([
+    candle(10, 8, 9),
+    candle(12, 9, 11),
+    candle(11, 8, 10),
+    candle(13, 10, 13)
+  ], { kPeriod: 3, dPeriod: 2 });
+
+  assert.deepEqual(values.slice(0, 3), [null, null, null]);
+  // %K: (10 - 8) / (12 - 8) = 50, then (13 - 8) / (13 - 8) = 100
+  assert.deepEqual(values[3], { k: 100, d: 75 });
+});
+
+test('ATR and Bollinger bands', () => {
+  assert.deepEqual(ATR.compute([candle(10, 8, 9), candle(11, 9, 10), candle(12, 9, 11)], { period: 2 }), [null, 2, 2.5]);
+  assert.deepEqual(BollingerBands.compute([1, 3], { period: 2 }), [null, { upper: 4, middle: 2, lower: 0, bandwidth: 2 }]);
+});
+
+test('ADX reads a steady rise as a strong trend with no minus movement', () => {
+  const rising = Array.from({ length: 6 }, (_, index) => candle(11 + index, 9 + index, 10 + index));
+  const values = ADX.compute(rising, { period: 2 });
+
+  assert.equal(values.findIndex(value => value !== null), 3);
+  assert.equal(values[5].adx, 100);
+  assert.equal(values[5].minusDI, 0);
+  assert.ok(values[5].plusDI > 0);
+});
+
+test('supertrend flips when price closes through the trailing band', () => {
+  const values = Supertrend.compute([candle(11, 9, 10), candle(10, 6, 7)], { period: 1, multiplier: 1 });
+
+  assert.deepEqual(values[0], { value: 8, direction: 'up', upper: 12, lower: 8 });
+  assert.deepEqual(values[1], { value: 12, direction: 'down', upper: 12, lower: 8 });
+});
+
+test('VWAP resets each UTC day', () => {
+  const values = VWAP.compute([
+    candle(10, 10, 10, { volume: 1, timestamp: 0 }),
+    candle(20, 20, 20, { volume: 3, timestamp: HOUR }),
+    candle(30, 30, 30, { volume: 2, timestamp: DAY })
+  ]);
+  assert.deepEqual(values, [10, 17.5, 30]);
+});
+
+test('pivot points come from the previous completed session', () => {
+  const values = PivotPoints.compute([
+    candle(12, 9, 10, { timestamp: 0 }),
+    candle(11, 8, 10, { timestamp: HOUR }),
+    candle(15, 13, 14, { timestamp: DAY })
+  ]);
+
+  assert.deepEqual(values.slice(0, 2), [null, null]);
+  assert.deepEqual(values[2], { pivot: 10, r1: 12, s1: 8, r2: 14, s2: 6, r3: 16, s3: 4 });
+  assert.throws(() => new PivotPoints({ method: 'woodie' }), /pivot method must be one of/);
+});
+
+test('price sources and the registry', () => {
+  const bar = { open: 1, high: 4, low: 2, close: 3 };
+  assert.deepEqual(['open', 'close', 'hl2', 'hlc3', 'ohlc4'].map(source => priceOf(bar, source)), [1, 3, 3, 3, 2.5]);
+  assert.equal(priceOf(7, 'hl2'), 7);
+
+  assert.deepEqual(computeIndicator('SMA', [1, 3], { period: 2 }), [null, 2]);
+  assert.throws(() => createIndicator('ICHIMOKU', {}), /Invalid indicator: ICHIMOKU/);
+  assert.throws(() => createIndicator('EMA', { period: 0 }), /period must be a positive integer/);
+  assert.ok(Object.keys(INDICATOR_OUTPUTS).every(type => INDICATORS[type]));
+
+  const sma = createIndicator('SMA', { period: 2 });
+  sma.update(1);
+  sma.update(3);
+  sma.reset();
+  assert.equal(sma.isReady, false);
+  assert.equal(sma.update(5), null);
+});
@@ -0,0 +1,92 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModel, mockPrisma } from '../support/database.js';
+import { CandleIngester } from '../../lib/market-data/candle-ingester.js';
+
+const HOUR = 60 * 60 * 1000;
+
+let seriesRows;
+let listed;
+let stored;
+let ingester;
+
+beforeEach(() => {
+  const model = createModel();
+  seriesRows = model.rows;
+  mockPrisma({
+    candleSeries: {
+      ...model,
+      // Compound unique key as Prisma exposes it
+      findUnique: ({ where }) => model.findFirst({ where: where.exchange_symbol_interval })
+    }
+  });
+
+  listed = new Set(['BTCUSDT']);
+  stored = [];
+  const store = {
+    findGaps: async () => [],
+    getLatestOpenTime: async () => null,
+    saveCandles: async (exchange, symbol, interval, candles) => {
+      stored.push(...candles);
+      return candles.length;
+    },
+    getCandles: async () => stored
+  };
+  const source = {
+    async getKlines(symbol, interval, { endTime, limit }) {
+      if (symbol === 'DOWN') throw new Error('Service unavailable');
+      if (!listed.has(symbol)) return [];
+      const last = Math.floor((endTime ?? Date.now()) / HOUR) * HOUR;
+      return Array.from({ length: Math.min(limit, 3) }, (_, index) => ({
+        timestamp: last - (Math.min(limit, 3) - 1 - index) * HOUR,
+        open: 1, high: 1, low: 1, close: 1, volume: 1, closed: true
+      }));
+    }
+  };
+
+  ingester = new CandleIngester({ store, maxSeries: 2 });
+  ingester.sources.set('BINANCE', source);
+});
+
+afterEach(() => ingester.stop());
+
+test('a symbol the venue does not list is rejected before a series is stored', async () => {
+  await assert.rejects(ingester.track('BINANCE', 'NOPEUSDT', '1h'), /Invalid symbol: BINANCE has no NOPEUSDT 1h candles/);
+  await assert.rejects(ingester.track('BINANCE', 'DOWN', '1h'), /Invalid symbol: DOWN is not available on BINANCE/);
+  await assert.rejects(ingester.track('BINANCE', 'BTCUSDT', '7m'), /Invalid interval/);
+  await assert.rejects(ingester.track('NYSE', 'BTCUSDT', '1h'), /Invalid exchange/);
+
+  assert.equal(seriesRows.length, 0);
+  assert.equal(ingester.timer, null);
+});
+
+test('tracking stops at the series cap; re-tracking an existing series still works', async () => {
+  listed.add('ETHUSDT');
+  listed.add('SOLUSDT');
+
+  await ingester.track('BINANCE', 'BTCUSDT', '1h', { backfillDays: 1 });
+  await ingester.track('BINANCE', 'ETHUSDT', '1h', { backfillDays: 1 });
+  await assert.rejects(ingester.track('BINANCE', 'SOLUSDT', '1h', { backfillDays: 1 }), /Invalid series: 2 series are already tracked/);
+
+  const series = await ingester.track('BINANCE', 'BTCUSDT', '1h', { backfillDays: 2 });
+  assert.equal(series.lastError, null);
+  assert.equal(seriesRows.length, 2);
+});
+
+test('untracking removes the series so it is no longer synced', async () => {
+  await ingester.track('BINANCE', 'BTCUSDT', '1h', { backfillDays: 1 });
+
+  assert.equal(await ingester.untrack('BINANCE', 'BTCUSDT', '1h'), 1);
+  assert.equal(await ingester.untrack('BINANCE', 'BTCUSDT', '1h'), 0);
+  assert.equal(seriesRows.length, 0);
+  assert.equal(ingester.lastGapScan.size, 0);
+});
+
+test('read ranges are bounded', () => {
+  assert.throws(() => ingester.resolveRange('1h', { startTime: 2 * HOUR, endTime: HOUR }), /startTime must be before endTime/);
+  assert.throws(() => ingester.resolveRange('1m', { startTime: 0, endTime: 30000 * 60000 }), /more than 20000 1m candles/);
+
+  const { start, end } = ingester.resolveRange('1h', { limit: 10 });
+  assert.equal((end - start) / HOUR, 9);
+  assert.ok(end < Date.now() - HOUR + 1);
+});
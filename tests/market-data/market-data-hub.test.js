@@ -0,0 +1,141 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MarketDataHub, normalizeStream, parseStreamKey } from '../../lib/market-data/market-data-hub.js';
+
+let hub;
+let source;
+let unsubscribers;
+
+// Upstream adapter stand-in: records subscriptions and lets a test push payloads
+function createSource() {
+  return {
+    opened: [],
+    closed: 0,
+    handlers: new Map(),
+    subscribe(channel, { symbol, interval }, handler) {
+      const key = [channel, symbol, interval].filter(Boolean).join(':');
+      this.opened.push(key);
+      this.handlers.set(key, handler);
+      return () => {
+        this.closed += 1;
+        this.handlers.delete(key);
+      };
+    },
+    push(key, payload) {
+      this.handlers.get(key)(payload);
+    },
+    getFundingRate: async () => ({ fundingRate: '0.0001', nextFundingTime: 1000, markPrice: '100.5' })
+  };
+}
+
+const listen = (spec, messages = []) => {
+  unsubscribers.push(hub.subscribe(spec, message => messages.push(message)));
+  return messages;
+};
+
+beforeEach(() => {
+  hub = new MarketDataHub();
+  source = createSource();
+  hub.sources.set('BINANCE', source);
+  unsubscribers = [];
+});
+
+afterEach(() => {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  hub.stopWatchdog();
+});
+
+test('stream keys are validated and normalized', () => {
+  assert.deepEqual(parseStreamKey('binance:kline:btcusdt:1m'), {
+    exchange: 'BINANCE', channel: 'kline', symbol: 'BTCUSDT', interval: '1m', key: 'BINANCE:kline:BTCUSDT:1m'
+  });
+  // Only klines carry an interval
+  assert.equal(normalizeStream({ channel: 'ticker', symbol: 'ethusdt', interval: '1m' }).key, 'BINANCE:ticker:ETHUSDT');
+
+  assert.throws(() => parseStreamKey('BINANCE:orders:BTCUSDT'), /Invalid stream: channel must be one of/);
+  assert.throws(() => parseStreamKey('BINANCE:ticker:BTC/USDT'), /Invalid stream: bad symbol/);
+  assert.throws(() => parseStreamKey('BINANCE:kline:BTCUSDT:7m'), /Invalid stream: Invalid interval: 7m/);
+  assert.throws(() => parseStreamKey('KRAKEN:ticker:BTCUSDT'), /Invalid stream: no ticker stream on KRAKEN/);
+});
+
+test('listeners share one upstream stream, opened by the first and closed by the last', () => {
+  const first = hub.subscribe({ channel: 'ticker', symbol: 'BTCUSDT' }, () => {});
+  const second = hub.subscribe({ exchange: 'binance', channel: 'ticker', symbol: 'btcusdt' }, () => {});
+
+  assert.deepEqual(source.opened, ['ticker:BTCUSDT']);
+  assert.deepEqual(hub.getStatus(), [{ stream: 'BINANCE:ticker:BTCUSDT', listeners: 2, lastMessageAt: null }]);
+
+  first();
+  assert.equal(source.closed, 0);
+  second();
+  assert.equal(source.closed, 1);
+  assert.deepEqual(hub.getStatus(), []);
+  assert.equal(hub.watchdog, null);
+});
+
+test('updates are normalized, and late listeners get the latest ticker or candle', () => {
+  const tickers = listen({ channel: 'ticker', symbol: 'BTCUSDT' });
+  const candles = listen({ channel: 'kline', symbol: 'BTCUSDT', interval: '1m' });
+
+  source.push('ticker:BTCUSDT', { price: 'not a price' });
+  source.push('ticker:BTCUSDT', { price: '100.5', priceChangePercent: '1.5', volume: '20', timestamp: 5 });
+  source.push('kline:BTCUSDT:1m', { timestamp: 60000, open: '1', high: '3', low: '0.5', close: '2', volume: '9', closed: false });
+
+  assert.deepEqual(tickers, [{
+    stream: 'BINANCE:ticker:BTCUSDT', exchange: 'BINANCE', symbol: 'BTCUSDT',
+    type: 'ticker', price: 100.5, priceChangePercent: 1.5, volume: 20, timestamp: 5
+  }]);
+  assert.deepEqual(candles[0], {
+    stream: 'BINANCE:kline:BTCUSDT:1m', exchange: 'BINANCE', symbol: 'BTCUSDT',
+    type: 'candle', interval: '1m', timestamp: 60000, open: 1, high: 3, low: 0.5, close: 2, volume: 9, closed: false
+  });
+
+  assert.deepEqual(listen({ channel: 'ticker', symbol: 'BTCUSDT' }), [tickers[0]]);
+});
+
+test('trades are not replayed, and one failing listener does not starve the rest', () => {
+  const received = listen({ channel: 'trade', symbol: 'BTCUSDT' });
+  unsubscribers.push(hub.subscribe({ channel: 'trade', symbol: 'BTCUSDT' }, () => {
+    throw new Error('listener bug');
+  }));
+  const after = listen({ channel: 'trade', symbol: 'BTCUSDT' });
+
+  source.push('trade:BTCUSDT', { tradeId: 7, price: '100', quantity: '0.5', side: 'BUY', timestamp: 1 });
+
+  assert.equal(received.length, 1);
+  assert.equal(after.length, 1);
+  assert.equal(received[0].quantity, 0.5);
+  assert.deepEqual(listen({ channel: 'trade', symbol: 'BTCUSDT' }), []);
+});
+
+test('the watchdog re-opens streams that went quiet or never opened', () => {
+  listen({ channel: 'ticker', symbol: 'BTCUSDT' });
+  listen({ channel: 'ticker', symbol: 'ETHUSDT' });
+  source.push('ticker:ETHUSDT', { price: '3000' });
+
+  hub.streams.get('BINANCE:ticker:BTCUSDT').openedAt = Date.now() - 5 * 60000;
+  hub.checkStreams();
+
+  assert.deepEqual(source.opened, ['ticker:BTCUSDT', 'ticker:ETHUSDT', 'ticker:BTCUSDT']);
+  assert.equal(source.closed, 1);
+
+  // A stream whose source failed to open is retried on the next check
+  hub.sources.set('BYBIT', { subscribe: () => { throw new Error('socket down'); } });
+  listen({ exchange: 'BYBIT', channel: 'ticker', symbol: 'BTCUSDT' });
+  hub.sources.set('BYBIT', source);
+  hub.checkStreams();
+  assert.equal(source.opened.at(-1), 'ticker:BTCUSDT');
+  assert.notEqual(hub.streams.get('BYBIT:ticker:BTCUSDT').unsubscribe, null);
+});
+
+test('funding streams poll the adapter until the last listener leaves', async () => {
+  const updates = [];
+  const unsubscribe = hub.subscribe({ channel: 'funding', symbol: 'BTCUSDT' }, message => updates.push(message));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(updates.map(({ type, fundingRate, markPrice, nextFundingTime }) => ({ type, fundingRate, markPrice, nextFundingTime })), [
+    { type: 'funding', fundingRate: 0.0001, markPrice: 100.5, nextFundingTime: 1000 }
+  ]);
+  unsubscribe();
+  assert.deepEqual(hub.getStatus(), []);
+});
@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OrderBook, getDepthAtPrice, getImbalance, getSpread } from '../../lib/market-data/order-book.js';
+import { OrderBookFeed } from '../../lib/market-data/order-book-feed.js';
+
+const snapshot = {
+  updateId: 100,
+  bids: [['99', '2'], ['98', '3'], ['97', '5']],
+  asks: [['101', '1'], ['102', '4']],
+  timestamp: 1
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Depth adapter stand-in: the test pushes stream events and settles REST snapshots
+function createSource(snapshots = []) {
+  return {
+    subscriptions: 0,
+    unsubscribed: 0,
+    requests: 0,
+    handler: null,
+    subscribe(channel, options, handler) {
+      this.subscriptions += 1;
+      this.handler = handler;
+      return () => { this.unsubscribed += 1; };
+    },
+    async getOrderBook() {
+      this.requests += 1;
+      return snapshots.shift();
+    },
+    push(event) {
+      this.handler({ type: 'delta', ...event });
+    }
+  };
+}
+
+test('diffs apply on top of the snapshot in sequence; zero quantities remove levels', () => {
+  const book = new OrderBook({ exchange: 'BINANCE', symbol: 'BTCUSDT' });
+  assert.equal(book.applyDiff({ firstUpdateId: 1, finalUpdateId: 2 }), 'gap');
+
+  book.applySnapshot(snapshot);
+  assert.equal(book.applyDiff({ firstUpdateId: 95, finalUpdateId: 100, bids: [['99', '9']] }), 'stale');
+  // The first diff may straddle the snapshot
+  assert.equal(book.applyDiff({ firstUpdateId: 98, finalUpdateId: 103, bids: [['99', '0'], ['99.5', '1']] }), 'applied');
+  assert.equal(book.applyDiff({ firstUpdateId: 104, finalUpdateId: 104, asks: [['100.5', '2']] }), 'applied');
+
+  assert.deepEqual(book.getLevels('BID'), [[99.5, 1], [98, 3], [97, 5]]);
+  assert.deepEqual(book.getLevels('ASK', 2), [[100.5, 2], [101, 1]]);
+  assert.equal(book.updateId, 104);
+
+  const summary = book.getSummary(2);
+  assert.deepEqual(summary.bestBid, { price: 99.5, quantity: 1 });
+  assert.deepEqual(summary.bestAsk, { price: 100.5, quantity: 2 });
+  assert.equal(summary.spread, 1);
+  assert.equal(summary.mid, 100);
+  assert.equal(summary.imbalance, (4 - 3) / 7);
+  assert.equal(summary.bids.length, 2);
+});
+
+test('a skipped update id is a gap that needs a new snapshot', () => {
+  const book = new OrderBook({ symbol: 'BTCUSDT' });
+  book.applySnapshot(snapshot);
+  book.applyDiff({ firstUpdateId: 101, finalUpdateId: 102 });
+
+  // Once bridged, diffs must follow on exactly
+  assert.equal(book.applyDiff({ firstUpdateId: 104, finalUpdateId: 105 }), 'gap');
+  assert.equal(book.synced, false);
+  assert.equal(book.applyDiff({ firstUpdateId: 103, finalUpdateId: 103 }), 'gap');
+
+  const fresh = new OrderBook({ symbol: 'BTCUSDT' });
+  fresh.applySnapshot(snapshot);
+  assert.equal(fresh.applyDiff({ firstUpdateId: 102, finalUpdateId: 103 }), 'gap');
+});
+
+test('depth, spread and imbalance queries work on plain books', () => {
+  const book = { bids: [[99, 2], [98, 3]], asks: [[101, 1], [102, 4], [103, 6]] };
+
+  assert.deepEqual(getDepthAtPrice(book, 102), { side: 'ASK', price: 102, quantity: 4, cumulative: 5 });
+  assert.deepEqual(getDepthAtPrice(book, 98), { side: 'BID', price: 98, quantity: 3, cumulative: 5 });
+  // Between levels: nothing resting there, everything better on the way
+  assert.deepEqual(getDepthAtPrice(book, 102.5), { side: 'ASK', price: 102.5, quantity: 0, cumulative: 5 });
+  assert.equal(getImbalance(book, 1), (2 - 1) / 3);
+  assert.equal(getImbalance({ bids: [], asks: [] }), 0);
+  assert.equal(getSpread({ bids: book.bids, asks: [] }), null);
+});
+
+test('the feed buffers diffs until the REST snapshot, then replays them', async () => {
+  const source = createSource([snapshot]);
+  const updates = [];
+  const feed = new OrderBookFeed({ source, exchange: 'BINANCE', symbol: 'BTCUSDT', onUpdate: book => updates.push(book.updateId) });
+  feed.start();
+
+  source.push({ firstUpdateId: 95, finalUpdateId: 99, bids: [['50', '1']] });
+  source.push({ firstUpdateId: 100, finalUpdateId: 101, asks: [['101', '0']] });
+  source.push({ firstUpdateId: 102, finalUpdateId: 102, bids: [['99', '7']] });
+  assert.equal(source.requests, 1);
+  assert.equal(feed.book.synced, false);
+
+  await tick();
+  assert.equal(feed.book.synced, true);
+  assert.deepEqual(updates, [102]);
+  assert.deepEqual(feed.book.getTopOfBook(), { bid: { price: 99, quantity: 7 }, ask: { price: 102, quantity: 4 } });
+  // The pre-snapshot diff was dropped as stale
+  assert.equal(feed.book.getLevels('BID').some(([price]) => price === 50), false);
+
+  source.push({ firstUpdateId: 103, finalUpdateId: 103, asks: [['101.5', '1']] });
+  assert.deepEqual(updates, [102, 103]);
+  feed.stop();
+});
+
+test('a gap resyncs the feed from a new snapshot', async () => {
+  const source = createSource([snapshot, { ...snapshot, updateId: 200, bids: [['90', '1']] }]);
+  const feed = new OrderBookFeed({ source, exchange: 'BINANCE', symbol: 'BTCUSDT', onUpdate: () => {} });
+  feed.start();
+  source.push({ firstUpdateId: 101, finalUpdateId: 101 });
+  await tick();
+
+  source.push({ firstUpdateId: 150, finalUpdateId: 201, bids: [['91', '1']] });
+  assert.equal(feed.resyncs, 1);
+  assert.equal(feed.book.synced, false);
+  assert.equal(source.requests, 2);
+
+  await tick();
+  assert.equal(feed.book.updateId, 201);
+  assert.deepEqual(feed.book.getLevels('BID'), [[91, 1], [90, 1]]);
+  feed.stop();
+});
+
+test('venues that stream snapshots resubscribe on a gap instead of fetching', () => {
+  const source = createSource();
+  const feed = new OrderBookFeed({ source, exchange: 'BYBIT', symbol: 'BTCUSDT', onUpdate: () => {} });
+  feed.start();
+
+  source.handler({ type: 'snapshot', finalUpdateId: 10, bids: [['99', '1']], asks: [['101', '1']] });
+  source.push({ finalUpdateId: 11, bids: [['99', '2']] });
+  assert.equal(feed.book.updateId, 11);
+
+  source.push({ finalUpdateId: 13 });
+  assert.equal(source.requests, 0);
+  assert.equal(source.unsubscribed, 1);
+  assert.equal(source.subscriptions, 2);
+  assert.equal(feed.book.synced, false);
+
+  feed.stop();
+  source.handler({ type: 'snapshot', finalUpdateId: 20, bids: [], asks: [] });
+  assert.equal(feed.book.synced, false);
+});
+
+test('a snapshot older than the buffered diffs is retried later, and stop cancels it', async () => {
+  const source = createSource([{ ...snapshot, updateId: 50 }]);
+  const feed = new OrderBookFeed({ source, exchange: 'BINANCE', symbol: 'BTCUSDT', onUpdate: () => {} });
+  feed.start();
+  source.push({ firstUpdateId: 101, finalUpdateId: 101 });
+  await tick();
+
+  assert.equal(feed.book.synced, false);
+  assert.equal(feed.buffer.length, 1);
+  assert.notEqual(feed.retryTimer, null);
+
+  feed.stop();
+  assert.equal(feed.buffer.length, 0);
+});
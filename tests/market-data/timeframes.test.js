@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MultiTimeframeFeed, intervalToMs } from '../../lib/market-data/timeframes.js';
+
+const MINUTE = 60000;
+
+// 5m candles from `start`; each close is its index plus one, for readable OHLC
+const candles = (count, start = 0) => Array.from({ length: count }, (_, index) => ({
+  timestamp: start + index * 5 * MINUTE,
+  open: index + 0.5,
+  high: index + 2,
+  low: index,
+  close: index + 1,
+  volume: 10
+}));
+
+test('higher timeframe bars aggregate the base candles of their bucket', () => {
+  const feed = new MultiTimeframeFeed({ interval: '5m', timeframes: ['15m', '1h'] });
+  feed.warmUp(candles(7));
+  const snapshot = feed.snapshot();
+
+  assert.deepEqual(feed.timeframes, ['5m', '15m', '1h']);
+  assert.equal(snapshot['5m'].candles.length, 7);
+  assert.deepEqual(snapshot['15m'].candles, [
+    { timestamp: 0, open: 0.5, high: 4, low: 0, close: 3, volume: 30, closed: true },
+    { timestamp: 15 * MINUTE, open: 3.5, high: 7, low: 3, close: 6, volume: 30, closed: true }
+  ]);
+  // The 15m bar forming from the seventh candle, and the hour so far
+  assert.deepEqual(snapshot['15m'].current, { timestamp: 30 * MINUTE, open: 6.5, high: 8, low: 6, close: 7, volume: 10, closed: false });
+  assert.deepEqual(snapshot['1h'].candles, []);
+  assert.equal(snapshot['1h'].current.close, 7);
+  assert.equal(snapshot['1h'].current.volume, 70);
+});
+
+test('snapshots never include candles past the last base candle', () => {
+  const feed = new MultiTimeframeFeed({ interval: '5m', timeframes: ['15m'] });
+  const series = candles(6);
+
+  feed.update(series[0]);
+  feed.update(series[1]);
+  const early = feed.snapshot()['15m'];
+  assert.equal(early.candles.length, 0);
+  assert.equal(early.current.close, 2);
+  assert.equal(early.current.high, 3);
+
+  // A snapshot is a copy: later candles don't change it
+  feed.update(series[2]);
+  assert.equal(early.current.close, 2);
+  assert.equal(feed.snapshot()['15m'].candles[0].close, 3);
+});
+
+test('a bucket joined part-way is skipped rather than closed short', () => {
+  const feed = new MultiTimeframeFeed({ interval: '5m', timeframes: ['15m'] });
+  // History starts at :10, the last candle of the first 15m bucket
+  feed.warmUp(candles(3, 10 * MINUTE));
+  const { candles: closed, current } = feed.snapshot()['15m'];
+
+  assert.deepEqual(closed, []);
+  assert.equal(current.timestamp, 15 * MINUTE);
+  assert.equal(current.open, 1.5);
+});
+
+test('a gap closes the forming bar when a candle opens in a later bucket', () => {
+  const feed = new MultiTimeframeFeed({ interval: '5m', timeframes: ['15m'] });
+  const series = candles(7);
+  // Missing :05 to :25
+  [series[0], series[6]].forEach(candle => feed.update(candle));
+  const { candles: closed, current } = feed.snapshot()['15m'];
+
+  assert.deepEqual(closed.map(bar => [bar.timestamp, bar.close, bar.volume]), [[0, 1, 10]]);
+  assert.equal(current.timestamp, 30 * MINUTE);
+});
+
+test('in-progress, replayed and duplicate candles are ignored', () => {
+  const feed = new MultiTimeframeFeed({ interval: '5m', timeframes: ['15m'] });
+  const series = candles(3);
+
+  feed.update({ ...series[0], closed: false });
+  assert.equal(feed.snapshot()['5m'].candles.length, 0);
+
+  feed.warmUp(series);
+  feed.update(series[1]);
+  feed.update({ ...series[2], close: 99 });
+
+  const snapshot = feed.snapshot();
+  assert.equal(snapshot['5m'].candles.length, 3);
+  assert.equal(snapshot['15m'].candles[0].close, 3);
+});
+
+test('history is capped per timeframe', () => {
+  const feed = new MultiTimeframeFeed({ interval: '5m', timeframes: ['15m'], maxCandles: 4 });
+  feed.warmUp(candles(30));
+  const snapshot = feed.snapshot();
+
+  assert.equal(snapshot['5m'].candles.length, 4);
+  assert.equal(snapshot['5m'].candles[3].close, 30);
+  assert.deepEqual(snapshot['15m'].candles.map(bar => bar.close), [21, 24, 27, 30]);
+});
+
+test('timeframes must be known whole multiples of the base interval', () => {
+  assert.equal(intervalToMs('4h'), 4 * 60 * MINUTE);
+  assert.throws(() => intervalToMs('7m'), /Invalid interval: 7m/);
+  assert.throws(() => new MultiTimeframeFeed({ interval: '15m', timeframes: ['5m'] }), /Invalid timeframe: 5m is not a multiple of the 15m/);
+  assert.throws(() => new MultiTimeframeFeed({ interval: '2h', timeframes: ['3m'] }), /Invalid timeframe/);
+  // The base interval and repeats collapse
+  assert.deepEqual(new MultiTimeframeFeed({ interval: '5m', timeframes: ['5m', '1h', '1h'] }).timeframes, ['5m', '1h']);
+});
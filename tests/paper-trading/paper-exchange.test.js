@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PaperExchange, splitSymbol } from '../../lib/paper-trading/paper-exchange.js';
+
+const createExchange = () => new PaperExchange({
+  slippageModel: { type: 'none' },
+  feeModel: { maker: 0, taker: 0 },
+  initialBalances: { USDT: 10000 }
+});
+
+const balance = (exchange, accountId, asset) =>
+  exchange.getBalances(accountId).find(bal => bal.asset === asset) || { free: 0, locked: 0 };
+
+test('splitSymbol separates quote assets and falls back to USD', () => {
+  assert.deepEqual(splitSymbol('BTCUSDT'), { base: 'BTC', quote: 'USDT' });
+  assert.deepEqual(splitSymbol('ETHBTC'), { base: 'ETH', quote: 'BTC' });
+  assert.deepEqual(splitSymbol('ES'), { base: 'ES', quote: 'USD' });
+});
+
+test('market orders fill at the last price with slippage and fees', () => {
+  const exchange = new PaperExchange({
+    slippageModel: { type: 'bps', value: 10 },
+    feeModel: { maker: 0.001, taker: 0.001 },
+    initialBalances: { USDT: 10000 }
+  });
+  exchange.updatePrice('BTCUSDT', 1000);
+
+  const order = exchange.placeOrder('acc', { symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 1 });
+
+  assert.equal(order.status, 'FILLED');
+  assert.equal(order.avgFillPrice, 1001);
+  assert.equal(balance(exchange, 'acc', 'BTC').free, 1);
+  assert.equal(balance(exchange, 'acc', 'USDT').free, 10000 - 1001 - 1.001);
+});
+
+test('market orders are rejected without a price', () => {
+  const exchange = createExchange();
+  const order = exchange.placeOrder('acc', { symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 1 });
+  assert.equal(order.status, 'REJECTED');
+});
+
+test('resting limit orders lock funds and fill as maker when the price crosses', () => {
+  const exchange = createExchange();
+  exchange.updatePrice('BTCUSDT', 1000);
+
+  const order = exchange.placeOrder('acc', { symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 2, price: 900 });
+  assert.equal(order.status, 'SUBMITTED');
+  assert.deepEqual(balance(exchange, 'acc', 'USDT'), { asset: 'USDT', free: 8200, locked: 1800 });
+
+  exchange.updatePrice('BTCUSDT', 950);
+  assert.equal(exchange.getOrder('acc', order.orderId).status, 'SUBMITTED');
+
+  exchange.updatePrice('BTCUSDT', 890);
+  const filled = exchange.getOrder('acc', order.orderId);
+  assert.equal(filled.status, 'FILLED');
+  assert.equal(filled.avgFillPrice, 900);
+  assert.deepEqual(balance(exchange, 'acc', 'USDT'), { asset: 'USDT', free: 8200, locked: 0 });
+  assert.equal(exchange.getFills('acc')[0].isMaker, true);
+});
+
+test('cancelling a resting order releases its funds', () => {
+  const exchange = createExchange();
+  exchange.updatePrice('BTCUSDT', 1000);
+  const order = exchange.placeOrder('acc', { symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 1, price: 900 });
+
+  const cancelled = exchange.cancelOrder('acc', order.orderId);
+
+  assert.equal(cancelled.status, 'CANCELLED');
+  assert.equal(balance(exchange, 'acc', 'USDT').free, 10000);
+  assert.throws(() => exchange.cancelOrder('acc', order.orderId), /cannot be cancelled/);
+});
+
+test('amending a limit order re-reserves funds and fills when it becomes marketable', () => {
+  const exchange = createExchange();
+  exchange.updatePrice('BTCUSDT', 1000);
+  const order = exchange.placeOrder('acc', { symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 1, price: 900 });
+
+  exchange.amendOrder('acc', order.orderId, { quantity: 2 });
+  assert.equal(balance(exchange, 'acc', 'USDT').locked, 1800);
+
+  const amended = exchange.amendOrder('acc', order.orderId, { price: 1000 });
+  assert.equal(amended.status, 'FILLED');
+  assert.equal(balance(exchange, 'acc', 'BTC').free, 2);
+});
+
+test('stop orders trigger on the stop price', () => {
+  const exchange = createExchange();
+  exchange.updatePrice('BTCUSDT', 1000);
+  exchange.placeOrder('acc', { symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 1 });
+
+  const stop = exchange.placeOrder('acc', { symbol: 'BTCUSDT', side: 'SELL', type: 'STOP', quantity: 1, stopPrice: 950 });
+  exchange.updatePrice('BTCUSDT', 960);
+  assert.equal(exchange.getOrder('acc', stop.orderId).status, 'SUBMITTED');
+
+  exchange.updatePrice('BTCUSDT', 940);
+  assert.equal(exchange.getOrder('acc', stop.orderId).status, 'FILLED');
+  assert.equal(balance(exchange, 'acc', 'BTC').free, 0);
+});
+
+test('an OCO fill on one leg cancels the other', () => {
+  const exchange = createExchange();
+  exchange.updatePrice('BTCUSDT', 1000);
+  exchange.placeOrder('acc', { symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 1 });
+
+  const [limitLeg, stopLeg] = exchange.placeOcoOrder('acc', {
+    symbol: 'BTCUSDT', side: 'SELL', quantity: 1, price: 1100, stopPrice: 900
+  });
+  assert.equal(balance(exchange, 'acc', 'BTC').locked, 1);
+
+  exchange.updatePrice('BTCUSDT', 890);
+
+  assert.equal(exchange.getOrder('acc', stopLeg.orderId).status, 'FILLED');
+  assert.equal(exchange.getOrder('acc', limitLeg.orderId).status, 'CANCELLED');
+  assert.deepEqual(balance(exchange, 'acc', 'BTC'), { asset: 'BTC', free: 0, locked: 0 });
+});
+
+test('an OCO stop rejected at trigger time leaves the limit leg working', () => {
+  const exchange = new PaperExchange({
+    slippageModel: { type: 'none' },
+    feeModel: { maker: 0, taker: 0 },
+    initialBalances: { USDT: 1000 }
+  });
+  exchange.updatePrice('BTCUSDT', 1000);
+
+  // Covering a short: the 900 limit is affordable, the 1100 stop is not
+  const [limitLeg, stopLeg] = exchange.placeOcoOrder('acc', {
+    symbol: 'BTCUSDT', side: 'BUY', quantity: 1, price: 900, stopPrice: 1050
+  });
+  exchange.updatePrice('BTCUSDT', 1100);
+
+  assert.equal(exchange.getOrder('acc', stopLeg.orderId).status, 'REJECTED');
+  assert.equal(exchange.getOrder('acc', limitLeg.orderId).status, 'SUBMITTED');
+  assert.deepEqual(balance(exchange, 'acc', 'USDT'), { asset: 'USDT', free: 100, locked: 900 });
+
+  exchange.updatePrice('BTCUSDT', 900);
+  assert.equal(exchange.getOrder('acc', limitLeg.orderId).status, 'FILLED');
+});
+
+test('OCO prices must straddle the last price', () => {
+  const exchange = createExchange();
+  exchange.updatePrice('BTCUSDT', 1000);
+  assert.throws(
+    () => exchange.placeOcoOrder('acc', { symbol: 'BTCUSDT', side: 'SELL', quantity: 1, price: 950, stopPrice: 900 }),
+    /either side of the last price/
+  );
+});
@@ -0,0 +1,79 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModel, mockPrisma } from '../support/database.js';
+import { PaperExchange } from '../../lib/paper-trading/paper-exchange.js';
+import { PaperStore } from '../../lib/paper-trading/paper-store.js';
+
+const createExchange = () => new PaperExchange({
+  slippageModel: { type: 'none' },
+  feeModel: { maker: 0, taker: 0 },
+  initialBalances: { USDT: 10000 }
+});
+
+const balance = (exchange, accountId, asset) =>
+  exchange.getBalances(accountId).find(bal => bal.asset === asset) || { free: 0, locked: 0 };
+
+let paperAccounts;
+
+beforeEach(() => {
+  paperAccounts = createModel();
+  mockPrisma({ paperAccount: paperAccounts });
+});
+
+test('balances and working orders survive a restart', async () => {
+  const exchange = createExchange();
+  const store = new PaperStore(exchange);
+  await store.start();
+  store.track('acct_1');
+
+  exchange.updatePrice('BTCUSDT', 1000);
+  exchange.placeOrder('acct_1', { symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 1 });
+  const resting = exchange.placeOrder('acct_1', { symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 2, price: 900 });
+  await store.flush();
+  assert.equal(paperAccounts.rows.length, 1);
+
+  // A new process: fresh exchange, state read back from the rows
+  const restarted = createExchange();
+  await new PaperStore(restarted).start();
+
+  assert.deepEqual(balance(restarted, 'acct_1', 'USDT'), { asset: 'USDT', free: 7200, locked: 1800 });
+  assert.deepEqual(balance(restarted, 'acct_1', 'BTC'), { asset: 'BTC', free: 1, locked: 0 });
+  assert.equal(restarted.getOrder('acct_1', resting.orderId).status, 'SUBMITTED');
+
+  restarted.updatePrice('BTCUSDT', 890);
+  assert.equal(restarted.getOrder('acct_1', resting.orderId).status, 'FILLED');
+  assert.deepEqual(balance(restarted, 'acct_1', 'BTC'), { asset: 'BTC', free: 3, locked: 0 });
+});
+
+test('changes arriving during a save share the next one', async () => {
+  const exchange = createExchange();
+  const store = new PaperStore(exchange);
+  await store.start();
+  store.track('acct_1');
+
+  let saves = 0;
+  const save = store.save.bind(store);
+  store.save = (accountId) => {
+    saves += 1;
+    return save(accountId);
+  };
+
+  exchange.updatePrice('BTCUSDT', 1000);
+  for (let i = 0; i < 5; i++) {
+    exchange.placeOrder('acct_1', { symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 1, price: 800 + i });
+  }
+  await store.flush();
+
+  assert.ok(saves <= 2);
+  assert.equal(paperAccounts.rows[0].orders.length, 5);
+});
+
+test('paper accounts that are not demo trading accounts stay in memory', async () => {
+  const exchange = createExchange();
+  await new PaperStore(exchange).start();
+
+  exchange.updatePrice('BTCUSDT', 1000);
+  exchange.placeOrder('binance_demo', { symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 1 });
+
+  assert.equal(paperAccounts.rows.length, 0);
+});
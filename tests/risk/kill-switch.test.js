@@ -0,0 +1,129 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModel, mockPrisma } from '../support/database.js';
+import { KillSwitch } from '../../lib/risk/kill-switch.js';
+
+let orders;
+let auditLog;
+let strategies;
+let positions;
+let placed;
+let failSymbols;
+let killSwitch;
+
+beforeEach(() => {
+  const switchModel = createModel();
+  orders = createModel([
+    { id: 'ord_1', userId: 'user_1', tradingAccountId: 'acct_1', symbol: 'ETHUSDT', status: 'SUBMITTED' }
+  ]);
+  auditLog = createModel();
+  strategies = createModel([
+    { id: 'strat_1', userId: 'user_1', name: 'Main trend', tradingAccountId: 'acct_1', isActive: true },
+    { id: 'strat_2', userId: 'user_1', name: 'Alt scalper', tradingAccountId: 'acct_2', isActive: true }
+  ]);
+
+  positions = createModel([
+    { id: 'pos_1', tradingAccountId: 'acct_1', symbol: 'BTCUSDT', side: 'BUY', quantity: 0.5 },
+    { id: 'pos_2', tradingAccountId: 'acct_1', symbol: 'SOLUSDT', side: 'SELL', quantity: 20 },
+    { id: 'pos_3', tradingAccountId: 'acct_1', symbol: 'XRPUSDT', side: 'BUY', quantity: 0 }
+  ]);
+
+  mockPrisma({
+    killSwitch: {
+      ...switchModel,
+      create: ({ data }) => switchModel.create({ data: { isEngaged: true, engagedAt: new Date(), ...data } })
+    },
+    tradingAccount: createModel([{ id: 'acct_1', userId: 'user_1', platform: 'BINANCE', nickname: 'Main' }]),
+    strategy: strategies,
+    order: orders,
+    position: positions,
+    auditLog,
+    notification: createModel()
+  });
+
+  placed = [];
+  failSymbols = new Set();
+
+  const manager = {
+    strategyRuntime: { sync: async () => {} },
+    getAlgoOrders: async () => [],
+    async cancelAllOrders(userId, { accountId }) {
+      const open = await orders.findMany({ where: { tradingAccountId: accountId, status: 'SUBMITTED' } });
+      return Promise.all(open.map(order => orders.update({ where: { id: order.id }, data: { status: 'CANCELLED' } })));
+    },
+    async placeOrder(userId, accountId, orderData, links) {
+      if (failSymbols.has(orderData.symbol)) throw new Error('Exchange unavailable');
+      placed.push({ orderData, links });
+      return orders.create({ data: { ...orderData, userId, tradingAccountId: accountId, status: 'FILLED' } });
+    }
+  };
+  killSwitch = new KillSwitch(manager);
+});
+
+const actions = () => auditLog.rows.map(row => row.action);
+
+test('flatten closes every open position with a reduce-only market order', async () => {
+  const { killSwitch: engaged, summary } = await killSwitch.engage('user_1', { accountId: 'acct_1', flatten: true });
+
+  assert.equal(summary.cancelledOrders, 1);
+  assert.deepEqual(placed.map(({ orderData }) => orderData), [
+    { symbol: 'BTCUSDT', side: 'SELL', type: 'MARKET', quantity: 0.5, reduceOnly: true },
+    { symbol: 'SOLUSDT', side: 'BUY', type: 'MARKET', quantity: 20, reduceOnly: true }
+  ]);
+  // The link is what lets the orders past the engaged switch and the risk limits
+  assert.ok(placed.every(({ links }) => links.killSwitchId === engaged.id));
+  assert.deepEqual(summary.flattened.map(entry => entry.positionIds), [['pos_1'], ['pos_2']]);
+  assert.deepEqual(actions(), [
+    'KILL_SWITCH_ENGAGED', 'STRATEGIES_HALTED', 'ORDERS_CANCELLED', 'POSITION_FLATTENED', 'POSITION_FLATTENED', 'KILL_SWITCH_COMPLETE'
+  ]);
+});
+
+test('a flatten that fails is recorded and the others still go out', async () => {
+  failSymbols.add('BTCUSDT');
+
+  const { summary } = await killSwitch.engage('user_1', { accountId: 'acct_1', flatten: true });
+
+  assert.deepEqual(placed.map(({ orderData }) => orderData.symbol), ['SOLUSDT']);
+  assert.deepEqual(summary.failures, [
+    { step: 'POSITION_FLATTENED', symbol: 'BTCUSDT', positionIds: ['pos_1'], error: 'Exchange unavailable' }
+  ]);
+  assert.ok(actions().includes('POSITION_FLATTEN_FAILED'));
+});
+
+test('new orders are refused until the switch is re-armed', async () => {
+  await killSwitch.engage('user_1', { accountId: 'acct_1' });
+  assert.equal(placed.length, 0);
+
+  await assert.rejects(killSwitch.assertArmed('user_1', 'acct_1'), /Kill switch engaged/);
+  await killSwitch.assertArmed('user_1', 'acct_2');
+
+  const status = await killSwitch.rearm('user_1', { accountId: 'acct_1' });
+  assert.equal(status.isEngaged, false);
+  await killSwitch.assertArmed('user_1', 'acct_1');
+});
+
+test('an account switch halts only the strategies trading that account', async () => {
+  const { summary } = await killSwitch.engage('user_1', { accountId: 'acct_1' });
+
+  assert.equal(summary.haltedStrategies, 1);
+  assert.deepEqual(strategies.rows.map(strategy => strategy.isActive), [false, true]);
+
+  await killSwitch.engage('user_1');
+  assert.deepEqual(strategies.rows.map(strategy => strategy.isActive), [false, false]);
+});
+
+test('flatten closes the net signed position of each symbol', async () => {
+  positions.rows.push(
+    { id: 'pos_4', tradingAccountId: 'acct_1', symbol: 'SOLUSDT', side: 'BUY', quantity: 5 },
+    { id: 'pos_5', tradingAccountId: 'acct_1', symbol: 'ADAUSDT', side: 'BUY', quantity: 100 },
+    { id: 'pos_6', tradingAccountId: 'acct_1', symbol: 'ADAUSDT', side: 'SELL', quantity: 100 }
+  );
+
+  const { summary } = await killSwitch.engage('user_1', { accountId: 'acct_1', flatten: true });
+
+  assert.deepEqual(placed.map(({ orderData }) => [orderData.symbol, orderData.side, orderData.quantity]), [
+    ['BTCUSDT', 'SELL', 0.5],
+    ['SOLUSDT', 'BUY', 15]
+  ]);
+  assert.deepEqual(summary.flattened.map(entry => entry.positionIds), [['pos_1'], ['pos_2', 'pos_4']]);
+});
@@ -0,0 +1,199 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModel, mockPrisma } from '../support/database.js';
+import { PreTradeRiskEngine, RiskCheckError } from '../../lib/risk/pre-trade-risk.js';
+
+const account = { id: 'acct_1', userId: 'user_1', equity: 100000, balance: 100000 };
+
+let positions;
+let orders;
+let dailyRealizedPnL;
+let engine;
+
+beforeEach(() => {
+  positions = createModel();
+  orders = createModel();
+  dailyRealizedPnL = 0;
+
+  mockPrisma({
+    user: createModel([{ id: 'user_1', riskTolerance: 'MEDIUM' }]),
+    riskLimit: createModel(),
+    position: positions,
+    order: orders,
+    algoOrder: createModel(),
+    orderFill: {
+      aggregate: async () => ({ _sum: { realizedPnL: dailyRealizedPnL } })
+    }
+  });
+
+  engine = new PreTradeRiskEngine({ getCurrentPrice: async () => 100 });
+});
+
+const addPosition = (side, quantity, price = 100) => positions.create({
+  data: {
+    tradingAccountId: account.id,
+    portfolio: { userId: 'user_1' },
+    symbol: 'BTCUSDT',
+    side,
+    quantity,
+    currentPrice: price,
+    closedAt: null
+  }
+});
+
+const codes = (result) => result.violations.map(violation => violation.code);
+
+test('orders above the preset notional are rejected with the violation', async () => {
+  await assert.rejects(
+    engine.checkOrder('user_1', account, { symbol: 'BTCUSDT', side: 'BUY', quantity: 200 }),
+    (error) => error instanceof RiskCheckError && error.violations[0].code === 'MAX_ORDER_NOTIONAL'
+  );
+
+  const result = await engine.checkOrder('user_1', account, { symbol: 'BTCUSDT', side: 'BUY', quantity: 50 });
+  assert.equal(result.notional, 5000);
+  assert.equal(result.reducing, false);
+});
+
+test('algo parents skip the per-order notional but not the position limits', async () => {
+  const parent = await engine.evaluateOrder('user_1', account, { symbol: 'BTCUSDT', side: 'BUY', quantity: 200 }, { algoParent: true });
+  assert.deepEqual(codes(parent), []);
+
+  const oversized = await engine.evaluateOrder('user_1', account, { symbol: 'BTCUSDT', side: 'BUY', quantity: 300 }, { algoParent: true });
+  assert.deepEqual(codes(oversized), ['MAX_POSITION_NOTIONAL']);
+});
+
+test('a BUY that covers a short is reducing and passes a breached loss limit', async () => {
+  await addPosition('SELL', 2);
+  dailyRealizedPnL = -1000;
+
+  const cover = await engine.evaluateOrder('user_1', account, { symbol: 'BTCUSDT', side: 'BUY', quantity: 2 });
+  assert.equal(cover.reducing, true);
+  assert.deepEqual(codes(cover), []);
+
+  const addOn = await engine.evaluateOrder('user_1', account, { symbol: 'BTCUSDT', side: 'SELL', quantity: 1 });
+  assert.equal(addOn.reducing, false);
+  assert.ok(codes(addOn).includes('DAILY_LOSS_LIMIT'));
+});
+
+test('a SELL is only reducing up to the long it closes', async () => {
+  await addPosition('BUY', 2);
+
+  assert.equal((await engine.evaluateOrder('user_1', account, { symbol: 'BTCUSDT', side: 'SELL', quantity: 2 })).reducing, true);
+  assert.equal((await engine.evaluateOrder('user_1', account, { symbol: 'BTCUSDT', side: 'SELL', quantity: 3 })).reducing, false);
+  assert.equal((await engine.evaluateOrder('user_1', account, { symbol: 'BTCUSDT', side: 'BUY', quantity: 1 })).reducing, false);
+});
+
+test('position limits project the signed position', async () => {
+  await addPosition('SELL', 240);
+
+  // Covering most of a 24,000 short leaves 4,000 of exposure
+  const cover = await engine.evaluateOrder('user_1', account, { symbol: 'BTCUSDT', side: 'BUY', quantity: 200 });
+  assert.equal(cover.reducing, true);
+
+  // Adding 20 to the short takes it to 26,000, past the 25,000 limit
+  const addOn = await engine.evaluateOrder('user_1', account, { symbol: 'BTCUSDT', side: 'SELL', quantity: 20 });
+  assert.deepEqual(codes(addOn), ['MAX_POSITION_NOTIONAL']);
+});
+
+test('leverage is derived from the account without the caller passing it', async () => {
+  const thinAccount = { ...account, equity: 1000, balance: 1000 };
+  await addPosition('BUY', 30); // 3,000 of exposure on 1,000 equity
+
+  const result = await engine.evaluateOrder('user_1', thinAccount, { symbol: 'ETHUSDT', side: 'BUY', quantity: 30 });
+  assert.deepEqual(codes(result), ['MAX_LEVERAGE']);
+  assert.equal(result.violations[0].actual, 6);
+
+  const small = await engine.evaluateOrder('user_1', thinAccount, { symbol: 'ETHUSDT', side: 'BUY', quantity: 10 });
+  assert.deepEqual(codes(small), []);
+});
+
+test('a requested leverage above the limit is still rejected', async () => {
+  const result = await engine.evaluateOrder('user_1', account, { symbol: 'BTCUSDT', side: 'BUY', quantity: 1, leverage: 10 });
+  assert.deepEqual(codes(result), ['MAX_LEVERAGE']);
+});
+
+test('kill switch flatten orders pass breached loss and open-order limits', async () => {
+  dailyRealizedPnL = -5000;
+  for (let i = 0; i < 25; i++) {
+    await orders.create({ data: { userId: 'user_1', tradingAccountId: account.id, status: 'SUBMITTED' } });
+  }
+  // Position rows can lag the venue; the flatten is sized from the venue's position
+  await addPosition('SELL', 2);
+
+  const flatten = await engine.evaluateOrder('user_1', account,
+    { symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 3, reduceOnly: true }, { flatten: true });
+  assert.deepEqual(codes(flatten), []);
+
+  // Only reduce-only orders get through, and only when the kill switch places them
+  const notReduceOnly = await engine.evaluateOrder('user_1', account,
+    { symbol: 'ETHUSDT', side: 'BUY', type: 'MARKET', quantity: 3 }, { flatten: true });
+  assert.ok(codes(notReduceOnly).includes('DAILY_LOSS_LIMIT'));
+
+  const notFlatten = await engine.evaluateOrder('user_1', account,
+    { symbol: 'ETHUSDT', side: 'BUY', type: 'MARKET', quantity: 3, reduceOnly: true });
+  assert.ok(codes(notFlatten).includes('MAX_OPEN_ORDERS'));
+});
+
+const addOrder = (side, quantity, fields = {}) => orders.create({
+  data: {
+    userId: 'user_1',
+    tradingAccountId: account.id,
+    symbol: 'BTCUSDT',
+    side,
+    type: 'LIMIT',
+    status: 'SUBMITTED',
+    quantity,
+    filledQuantity: 0,
+    parentOrderId: null,
+    ...fields
+  }
+});
+
+test('exits already working against a position leave only the rest of it to reduce', async () => {
+  await addPosition('BUY', 2);
+  await addOrder('SELL', 2, { filledQuantity: 0.5 });
+  dailyRealizedPnL = -1000;
+
+  // 1.5 of the long is still claimed by the resting SELL
+  const half = await engine.evaluateOrder('user_1', account, { symbol: 'BTCUSDT', side: 'SELL', quantity: 0.5 });
+  assert.equal(half.reducing, true);
+
+  const another = await engine.evaluateOrder('user_1', account, { symbol: 'BTCUSDT', side: 'SELL', quantity: 2 });
+  assert.equal(another.reducing, false);
+  assert.ok(codes(another).includes('DAILY_LOSS_LIMIT'));
+});
+
+test('legs of one OCO pair claim the position once', async () => {
+  await addPosition('BUY', 2);
+  await addOrder('SELL', 1, { parentOrderId: 'oco_1' });
+  await addOrder('SELL', 1, { type: 'STOP', parentOrderId: 'oco_1' });
+
+  const exit = await engine.evaluateOrder('user_1', account, { symbol: 'BTCUSDT', side: 'SELL', quantity: 1 });
+  assert.equal(exit.reducing, true);
+});
+
+test('reducing orders still count against the open-order limit', async () => {
+  await addPosition('BUY', 100);
+  for (let i = 0; i < 25; i++) {
+    await addOrder('BUY', 1, { symbol: 'ETHUSDT' });
+  }
+
+  const exit = await engine.evaluateOrder('user_1', account, { symbol: 'BTCUSDT', side: 'SELL', quantity: 1 });
+  assert.equal(exit.reducing, true);
+  assert.deepEqual(codes(exit), ['MAX_OPEN_ORDERS']);
+});
+
+test('an amend is not counted against itself', async () => {
+  await addPosition('BUY', 2);
+  const resting = await addOrder('SELL', 1);
+
+  const amend = await engine.evaluateOrder('user_1', account,
+    { symbol: 'BTCUSDT', side: 'SELL', type: 'LIMIT', quantity: 2, price: 100 },
+    { countsAsTrade: false, replacesOrderId: resting.id });
+  assert.equal(amend.reducing, true);
+  assert.deepEqual(codes(amend), []);
+
+  // Without the exclusion the resting order would claim half of the long
+  const fresh = await engine.evaluateOrder('user_1', account, { symbol: 'BTCUSDT', side: 'SELL', quantity: 2, price: 100 });
+  assert.equal(fresh.reducing, false);
+});
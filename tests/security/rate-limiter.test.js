@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, TradingRateLimiter } from '../../lib/security/rate-limiter.js';
+
+test('order reads count against the account bucket, not the trading bucket', () => {
+  const limiter = new RateLimiter({ trading: 10, account: 30 });
+
+  assert.equal(limiter.getLimitType('/api/trading/orders', 'GET'), 'account');
+  assert.equal(limiter.getLimitType('/api/trading/orders', 'POST'), 'trading');
+  assert.equal(limiter.getLimitType('/api/trading/orders/abc', 'DELETE'), 'trading');
+  assert.equal(limiter.getLimitType('/api/trading/orders/abc', 'PATCH'), 'trading');
+  // Existing callers that do not pass a method keep the trading bucket
+  assert.equal(limiter.getLimitType('/api/trading/orders'), 'trading');
+});
+
+test('dashboard polling does not use up the order placement budget', () => {
+  const limiter = new TradingRateLimiter();
+
+  for (let i = 0; i < 12; i++) {
+    assert.equal(limiter.isAllowed('user_1', '/api/trading/orders', 'binance', 'GET').allowed, true);
+  }
+
+  for (let i = 0; i < limiter.limits.trading; i++) {
+    assert.equal(limiter.isAllowed('user_1', '/api/trading/orders', 'binance', 'POST').allowed, true);
+  }
+
+  const rejected = limiter.isAllowed('user_1', '/api/trading/orders', 'binance', 'POST');
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.reason, 'rate_limit_exceeded');
+});
+
+test('order reads do not count toward the exchange order rate', () => {
+  const limiter = new RateLimiter({ trading: 100, account: 100, global: 1000 });
+  const { orders } = limiter.exchangeLimits.binance;
+
+  for (let i = 0; i < orders + 5; i++) {
+    assert.equal(limiter.isAllowed('user_2', '/api/trading/orders', 'binance', 'GET').allowed, true);
+  }
+
+  for (let i = 0; i < orders; i++) {
+    assert.equal(limiter.isAllowed('user_2', '/api/trading/orders', 'binance', 'POST').allowed, true);
+  }
+  assert.equal(limiter.isAllowed('user_2', '/api/trading/orders', 'binance', 'POST').reason, 'exchange_order_limit');
+});
@@ -0,0 +1,17 @@
+/**
+ * Test Setup
+ * Preloaded by `npm test`: swaps lib/database.js for the in-memory stand-in in
+ * tests/support/database.js so services can be exercised without a database, and mutes
+ * service logging (TEST_LOGS=1 shows it). Log lines written between the runner's own
+ * messages can also corrupt its report stream.
+ */
+
+import { register } from 'node:module';
+
+register('./support/database-hooks.js', import.meta.url);
+
+if (!process.env.TEST_LOGS) {
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    console[method] = () => {};
+  }
+}
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CodeSandbox, compileStrategyCode } from '../../lib/strategies/code-sandbox.js';
+
+const bar = (payload = {}) => ({ bar: { timestamp: 0, close: 100 }, indicators: {}, position: null, trading: true, ...payload });
+
+// Runs `attempt` in onBar and logs what it reached: 'object' would be the host process
+const probe = (attempt) => `
+  function onBar(bar, ctx) {
+    try {
+      ctx.log(typeof (${attempt}));
+    } catch (error) {
+      ctx.log('blocked');
+    }
+  }`;
+
+const reached = (code) => new CodeSandbox(code).dispatch('bar', bar()).logs;
+
+test('import() is refused at compile time in every spelling', () => {
+  const spellings = [
+    "import('fs').catch(e => e.constructor.constructor('return process')());",
+    "import /* comment */ ('fs');",
+    "import\n('fs');",
+    "const load = () => import('child_process');"
+  ];
+
+  for (const code of spellings) {
+    assert.throws(() => new CodeSandbox(code), /Invalid strategy: code can't use import/);
+    assert.throws(() => compileStrategyCode(code), /Invalid strategy/);
+  }
+});
+
+test('constructors of sandbox objects do not lead to the host', () => {
+  assert.deepEqual(reached(probe("ctx.constructor.constructor('return process')()")), ['blocked']);
+  assert.deepEqual(reached(probe("ctx.log.constructor('return process')()")), ['blocked']);
+  assert.deepEqual(reached(probe("bar.constructor.constructor('return process')()")), ['blocked']);
+  assert.deepEqual(reached(probe("this.constructor.constructor('return process')()")), ['blocked']);
+  assert.deepEqual(reached(`
+    function onBar(bar, ctx) {
+      try {
+        null.x;
+      } catch (error) {
+        try {
+          ctx.log(typeof error.constructor.constructor('return process')());
+        } catch (blocked) {
+          ctx.log('blocked');
+        }
+      }
+    }`), ['blocked']);
+});
+
+test('stack trace hooks only see sandbox call sites', () => {
+  const logs = reached(`
+    function onBar(bar, ctx) {
+      let seen = 'not called';
+      Error.prepareStackTrace = (error, frames) => {
+        try {
+          seen = typeof frames[0].constructor.constructor('return process')();
+        } catch (blocked) {
+          seen = 'blocked';
+        }
+        return '';
+      };
+      new Error('probe').stack;
+      ctx.log(seen);
+    }`);
+
+  assert.notEqual(logs[0], 'object');
+});
+
+test('host globals, eval and the Function constructor are unavailable', () => {
+  assert.deepEqual(reached(probe('process')), ['undefined']);
+  assert.deepEqual(reached(probe('require')), ['undefined']);
+  assert.deepEqual(reached(probe("eval('1')")), ['blocked']);
+  assert.deepEqual(reached(probe("new Function('return 1')()")), ['blocked']);
+});
+
+test('order intents come back as data, within the per-call limits', () => {
+  const sandbox = new CodeSandbox(`
+    function onBar(bar, ctx) {
+      ctx.buy({ quantity: 2, stopLoss: bar.close - 5, reason: 'breakout' });
+      if (bar.close > 100) while (true) {}
+    }`);
+
+  assert.deepEqual(sandbox.dispatch('bar', bar()).intents, [
+    { action: 'ENTER_LONG', quantity: 2, stopLoss: 95, takeProfit: null, reason: 'breakout' }
+  ]);
+  // Warm-up bars place nothing
+  assert.deepEqual(sandbox.dispatch('bar', bar({ trading: false })).intents, []);
+  assert.throws(() => sandbox.dispatch('bar', bar({ bar: { timestamp: 1, close: 101 } })), /Strategy code timed out in bar/);
+});
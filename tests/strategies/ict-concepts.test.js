@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  analyzeICT,
+  detectFairValueGaps,
+  detectLiquiditySweeps,
+  detectMarketStructure,
+  detectOrderBlocks,
+  findSwings,
+  getDealingRange,
+  getKillZone,
+  resolveKillZones
+} from '../../lib/strategies/ict-concepts.js';
+import { ICTStrategy } from '../../lib/strategies/ict-strategy.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const bars = (rows, start = 0) => rows.map(([open, high, low, close], index) => ({
+  timestamp: start + index * HOUR, open, high, low, close, volume: 1
+}));
+
+// Swing high 15 at 2, swing low 8 at 4, a bullish break at 7 and a bearish one at 9
+const structure = bars([
+  [10, 11, 9, 10],
+  [10, 12, 9.5, 11],
+  [11, 15, 10, 14],
+  [13, 13.5, 11, 12],
+  [12, 12.5, 8, 9],
+  [9, 11, 9, 10.5],
+  [10.5, 12, 10, 10],
+  [10, 17, 10, 16.5],
+  [16.5, 17, 12, 13],
+  [13, 13, 7, 7.5]
+]);
+
+test('swings are confirmed strength bars after they print', () => {
+  const swings = findSwings(structure, { strength: 1 });
+
+  assert.deepEqual(swings.map(({ type, index, confirmedIndex, price }) => [type, index, confirmedIndex, price]), [
+    ['HIGH', 2, 3, 15],
+    ['LOW', 4, 5, 8],
+    ['HIGH', 7, 8, 17]
+  ]);
+});
+
+test('a break with the trend is BOS and against it CHOCH', () => {
+  const swings = findSwings(structure, { strength: 1 });
+  const { events, trend } = detectMarketStructure(structure, swings);
+
+  assert.deepEqual(events.map(({ type, direction, level, index }) => [type, direction, level, index]), [
+    ['BOS', 'bullish', 15, 7],
+    ['CHOCH', 'bearish', 8, 9]
+  ]);
+  assert.equal(trend, 'bearish');
+});
+
+test('order blocks are the last opposing candle before the break', () => {
+  const swings = findSwings(structure, { strength: 1 });
+  const blocks = detectOrderBlocks(structure, detectMarketStructure(structure, swings).events);
+
+  assert.deepEqual(blocks.map(({ type, index, high, low, mitigatedIndex, invalidatedIndex }) => (
+    [type, index, high, low, mitigatedIndex, invalidatedIndex]
+  )), [
+    // Traded back into at 8, closed through at 9
+    ['bullish', 6, 12, 10, 8, 9],
+    ['bearish', 7, 17, 10, null, null]
+  ]);
+});
+
+test('dealing ranges only use swings confirmed by the bar', () => {
+  const swings = findSwings(structure, { strength: 1 });
+
+  assert.deepEqual(getDealingRange(structure, swings, 6), {
+    high: 15, low: 8, highIndex: 2, lowIndex: 4, equilibrium: 11.5, zone: 'DISCOUNT'
+  });
+  assert.equal(getDealingRange(structure, swings, 7).zone, 'PREMIUM');
+  assert.equal(getDealingRange(structure, swings, 4), null);
+});
+
+test('fair value gaps record when price fills them', () => {
+  const gaps = detectFairValueGaps(bars([
+    [10, 11, 9, 10.5],
+    [10.5, 14, 10.5, 13.5],
+    [13.5, 15, 12, 14.5],
+    [14.5, 15, 13, 13.5],
+    [13.5, 14, 10.8, 11]
+  ]));
+
+  assert.deepEqual(gaps.map(({ type, low, high, index, confirmedIndex, filledIndex }) => (
+    [type, low, high, index, confirmedIndex, filledIndex]
+  )), [['bullish', 11, 12, 1, 2, 4]]);
+});
+
+test('wicks through a swing that close back inside are sweeps; closes beyond are breaks', () => {
+  const candles = bars([
+    [10, 11, 9, 10],
+    [10, 14, 10, 13],
+    [13, 13, 11, 12],
+    [12, 12.5, 10.5, 11],
+    [11, 15, 11, 13.5],
+    [13.5, 14, 10, 11],
+    [11, 16, 11, 15.5]
+  ]);
+  const sweeps = detectLiquiditySweeps(candles, findSwings(candles, { strength: 1 }));
+
+  assert.deepEqual(sweeps.map(({ side, direction, level, index }) => [side, direction, level, index]), [
+    ['BUY_SIDE', 'bearish', 14, 4],
+    ['SELL_SIDE', 'bullish', 10.5, 5]
+  ]);
+});
+
+test('kill zones are read in the configured timezone, across midnight too', () => {
+  const newYork = (time) => Date.parse(`2024-01-15T${time}:00-05:00`);
+
+  assert.equal(getKillZone(newYork('08:00')), 'NEW_YORK_AM');
+  assert.equal(getKillZone(newYork('03:00')), 'LONDON');
+  assert.equal(getKillZone(newYork('12:30')), null);
+  assert.equal(getKillZone(newYork('23:00'), { killZones: ['ASIA'] }), 'ASIA');
+  assert.equal(getKillZone(newYork('00:30'), { killZones: ['ASIA'] }), null);
+  assert.equal(getKillZone(Date.parse('2024-01-15T08:30:00Z'), { timezone: 'UTC', killZones: { OPEN: { start: '08:00', end: '09:00' } } }), 'OPEN');
+
+  assert.throws(() => resolveKillZones(['TOKYO']), /Invalid kill zone: TOKYO/);
+  assert.throws(() => resolveKillZones({ LATE: { start: '25', end: '26:00' } }), /Invalid kill zone: LATE/);
+});
+
+test('the full analysis groups kill zone bars into sessions', () => {
+  const candles = bars(Array(6).fill([10, 11, 9, 10]), Date.parse('2024-01-15T06:00:00-05:00'));
+
+  assert.deepEqual(analyzeICT(candles).killZones, [{ name: 'NEW_YORK_AM', startIndex: 1, endIndex: 3 }]);
+});
+
+test('ICT strategy configs are checked when the strategy is built', () => {
+  assert.throws(() => new ICTStrategy({ entryRules: ['moon_phase'] }), /unknown entry rule moon_phase/);
+  assert.throws(() => new ICTStrategy({ entryRules: ['htf_trend'], timeframes: ['5m'] }), /htf_trend needs a timeframe/);
+  assert.throws(() => new ICTStrategy({ timezone: 'Mars/Olympus' }), /Invalid strategy/);
+  assert.doesNotThrow(() => new ICTStrategy({ entryRules: ['htf_trend', 'kill_zone'], timeframes: ['5m', '1h'] }));
+});
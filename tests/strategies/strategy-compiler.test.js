@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STRATEGY_TEMPLATES, parseStrategyDefinition } from '../../lib/strategies/strategy-schema.js';
+import { DeclarativeStrategy, compileCondition, compileStrategy } from '../../lib/strategies/strategy-compiler.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Long when the close crosses above its 3-bar SMA, out when it crosses back below
+const definition = {
+  version: 1,
+  symbol: 'BTCUSDT',
+  timeframe: '1h',
+  indicators: [{ id: 'sma', type: 'SMA', params: { period: 3 } }],
+  entry: { long: { left: { price: 'close' }, operator: 'crossesAbove', right: { indicator: 'sma' } } },
+  exit: { long: { left: { price: 'close' }, operator: 'crossesBelow', right: { indicator: 'sma' } } },
+  risk: { quantity: 2, stopLoss: { type: 'POINTS', value: 5 }, takeProfit: { type: 'PERCENT', value: 10 } }
+};
+
+const bars = (closes, start = 0) => closes.map((close, index) => ({
+  timestamp: start + index * HOUR, open: close, high: close + 1, low: close - 1, close, volume: 1
+}));
+
+test('definitions are validated and filled with defaults', () => {
+  const parsed = parseStrategyDefinition({ ...definition, timeframe: undefined, risk: undefined });
+
+  assert.equal(parsed.timeframe, '5m');
+  assert.deepEqual(parsed.risk, { quantity: 1 });
+  assert.deepEqual(parsed.filters, { killZones: [], timezone: 'America/New_York' });
+  Object.values(STRATEGY_TEMPLATES).forEach(template => parseStrategyDefinition(template));
+});
+
+test('invalid definitions name the offending path', () => {
+  const invalid = (changes) => () => parseStrategyDefinition({ ...definition, ...changes });
+
+  assert.throws(invalid({ version: 2 }), /unsupported definition version 2/);
+  assert.throws(invalid({ entry: {} }), /entry: needs a long or a short condition/);
+  assert.throws(invalid({ indicators: [...definition.indicators, { id: 'sma', type: 'EMA' }] }), /indicators.1.id: duplicate id sma/);
+  assert.throws(invalid({ indicators: [{ id: 'sma', type: 'SMA', params: { period: 0 } }] }), /indicators.0.params: Invalid indicator: period/);
+  assert.throws(
+    invalid({ entry: { long: { left: { indicator: 'ema' }, operator: 'gt', right: 1 } } }),
+    /entry.long.left: unknown indicator ema/
+  );
+  assert.throws(
+    invalid({ entry: { long: { left: { indicator: 'sma', field: 'upper' }, operator: 'gt', right: 1 } } }),
+    /sma has a single value, no field upper/
+  );
+  assert.throws(invalid({ filters: { killZones: ['TOKYO'] } }), /Invalid strategy: filters.killZones/);
+});
+
+test('conditions compare, cross and combine; missing values are false', () => {
+  const state = { candles: [{ close: 1 }, { close: 3 }], values: { sma: [2, 2] } };
+  // Operands as the schema leaves them, offsets filled in
+  const close = (offset = 0) => ({ price: 'close', offset });
+  const sma = { indicator: 'sma', offset: 0 };
+  const compile = (condition) => compileCondition(condition, { sma: 'SMA' });
+
+  assert.equal(compile({ left: close(), operator: 'crossesAbove', right: sma })(state), true);
+  assert.equal(compile({ left: close(), operator: 'crossesBelow', right: sma })(state), false);
+  assert.equal(compile({ left: close(1), operator: 'lt', right: 2 })(state), true);
+  assert.equal(compile({ left: close(5), operator: 'lt', right: 2 })(state), false);
+  assert.equal(compile({
+    any: [
+      { left: close(), operator: 'gt', right: 10 },
+      { all: [{ left: sma, operator: 'gte', right: 2 }, { left: close(), operator: 'lte', right: 3 }] }
+    ]
+  })(state), true);
+  assert.equal(compile({ all: [{ left: close(), operator: 'gt', right: 2 }, { left: close(1), operator: 'gt', right: 2 }] })(state), false);
+});
+
+test('warm-up covers the indicators plus the history conditions look back over', () => {
+  const compiled = compileStrategy({ ...definition, risk: { stopLoss: { type: 'ATR', value: 1, atrPeriod: 10 } } });
+
+  // Crossings read one bar back
+  assert.equal(compiled.historyBars, 2);
+  assert.equal(compiled.warmUpBars, 10 + 2 - 1);
+  assert.deepEqual(Object.keys(compiled.stopIndicators), ['10']);
+});
+
+test('signals carry the definition quantity and exits, and exits need a position', () => {
+  const strategy = new DeclarativeStrategy(definition);
+  const signals = [];
+  strategy.on('signal', signal => signals.push(signal));
+  strategy.warmUp(bars([10, 10, 10]));
+  strategy.start();
+
+  const live = bars([10, 10, 10, 12, 8, 8], 3 * HOUR).slice(3);
+  strategy.onTick({ candle: live[0] });
+  assert.deepEqual(signals, [{
+    action: 'ENTER_LONG',
+    quantity: 2,
+    stopLoss: 7,
+    takeProfit: 12 * 1.1,
+    reason: 'Long entry conditions met'
+  }]);
+
+  // Flat: the cross back below is not an exit
+  strategy.onTick({ candle: live[1] });
+  assert.equal(signals.length, 1);
+
+  strategy.setPosition({ side: 'LONG', quantity: 2 });
+  strategy.onTick({ candle: { ...live[2], close: 12, timestamp: live[2].timestamp } });
+  strategy.onTick({ candle: { ...live[2], close: 5, timestamp: live[2].timestamp + HOUR } });
+  assert.equal(signals[signals.length - 1].action, 'EXIT');
+});
+
+test('kill zone filters hold entries outside the sessions', () => {
+  const strategy = new DeclarativeStrategy({ ...definition, filters: { killZones: ['NEW_YORK_AM'] } });
+  const signals = [];
+  strategy.on('signal', signal => signals.push(signal));
+  strategy.start();
+
+  // 12:00-15:00 New York: outside the 07:00-10:00 window
+  bars([10, 10, 10, 12], Date.parse('2024-01-15T12:00:00-05:00')).forEach(candle => strategy.onTick({ candle }));
+  assert.equal(signals.length, 0);
+
+  bars([10, 10, 10, 12], Date.parse('2024-01-16T06:00:00-05:00')).forEach(candle => strategy.onTick({ candle }));
+  assert.equal(signals.length, 1);
+});
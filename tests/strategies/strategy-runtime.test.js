@@ -0,0 +1,122 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModel, mockPrisma } from '../support/database.js';
+import { StrategyRuntime } from '../../lib/strategies/strategy-runtime.js';
+
+const record = {
+  id: 'strat_1',
+  userId: 'user_1',
+  tradingAccountId: 'acct_1',
+  name: 'EMA cross',
+  config: { quantity: 1 },
+  isActive: true,
+  state: null,
+  totalTrades: 0,
+  winningTrades: 0,
+  totalPnL: 0,
+  peakPnL: 0,
+  maxDrawdown: 0
+};
+
+let orders;
+let placed;
+let cancelled;
+let fillImmediately;
+let releasePlacement;
+let runtime;
+let instance;
+
+beforeEach(() => {
+  orders = createModel();
+  mockPrisma({ strategy: createModel([record]), order: orders, notification: createModel() });
+
+  placed = [];
+  cancelled = [];
+  fillImmediately = false;
+  releasePlacement = null;
+
+  const manager = {
+    reconciler: { on() {}, off() {} },
+    async placeOrder(userId, accountId, orderData, links) {
+      placed.push(orderData);
+      // Holds the first order flow open so further signals arrive while it is busy
+      if (placed.length === 1 && releasePlacement === null) {
+        await new Promise(resolve => { releasePlacement = resolve; });
+      }
+
+      const order = await orders.create({
+        data: { ...orderData, ...links, userId, tradingAccountId: accountId, status: 'SUBMITTED' }
+      });
+      if (!fillImmediately) return order;
+
+      runtime.onFill({ order, fill: { quantity: orderData.quantity, price: 100, timestamp: Date.now() } });
+      return orders.update({ where: { id: order.id }, data: { status: 'FILLED' } });
+    },
+    async cancelOrder(userId, orderId) {
+      cancelled.push(orderId);
+      const order = await orders.update({ where: { id: orderId }, data: { status: 'CANCELLED' } });
+      runtime.onOrder(order);
+      return order;
+    }
+  };
+
+  runtime = new StrategyRuntime(manager);
+  instance = {
+    record,
+    strategy: { setPosition() {} },
+    symbol: 'BTCUSDT',
+    interval: '1h',
+    busy: false,
+    pendingSignal: null,
+    pendingEntry: null
+  };
+  runtime.instances.set(record.id, instance);
+});
+
+const signal = (action) => runtime.handleSignal(instance, { action });
+
+test('the latest signal that arrives while busy is handled once the flow settles', async () => {
+  const first = signal('ENTER_LONG');
+  await new Promise(resolve => setImmediate(resolve));
+
+  // Both arrive mid-flow; EXIT supersedes ENTER_SHORT
+  await signal('ENTER_SHORT');
+  await signal('EXIT');
+  releasePlacement();
+  await first;
+
+  assert.deepEqual(placed.map(order => order.side), ['BUY']);
+  // The entry never filled, so the exit only pulls it
+  assert.equal(cancelled.length, 1);
+  assert.equal(instance.pendingEntry, null);
+  assert.equal(instance.pendingSignal, null);
+});
+
+test('a working entry blocks a second entry until it ends', async () => {
+  releasePlacement = () => {};
+
+  await signal('ENTER_LONG');
+  const entryId = instance.pendingEntry;
+  assert.ok(entryId);
+
+  await signal('ENTER_LONG');
+  assert.equal(placed.length, 1);
+
+  runtime.onOrder(await orders.update({ where: { id: entryId }, data: { status: 'REJECTED' } }));
+  await signal('ENTER_LONG');
+  assert.equal(placed.length, 2);
+});
+
+test('an entry that fills at once is the position the next signals see', async () => {
+  releasePlacement = () => {};
+  fillImmediately = true;
+
+  await signal('ENTER_LONG');
+  assert.equal(instance.pendingEntry, null);
+
+  await signal('ENTER_SHORT');
+  assert.equal(placed.length, 1);
+
+  await signal('EXIT');
+  assert.deepEqual(placed.map(order => `${order.side} ${order.quantity}`), ['BUY 1', 'SELL 1']);
+});
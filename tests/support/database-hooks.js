@@ -0,0 +1,14 @@
+/**
+ * Module hooks: resolve lib/database.js to the test stand-in
+ */
+
+const DATABASE_URL = new URL('../../lib/database.js', import.meta.url).href;
+const TEST_DATABASE_URL = new URL('./database.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  if (resolved.url === DATABASE_URL) {
+    return { ...resolved, url: TEST_DATABASE_URL };
+  }
+  return resolved;
+}
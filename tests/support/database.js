@@ -0,0 +1,130 @@
+/**
+ * Test Database
+ * Stands in for lib/database.js. `prisma` is a plain object that each test fills with
+ * the model delegates it needs: hand-written stubs, or in-memory tables from createModel.
+ */
+
+export const prisma = {};
+
+/**
+ * Replace every model delegate on the shared prisma object
+ */
+export function mockPrisma(models = {}) {
+  for (const key of Object.keys(prisma)) {
+    delete prisma[key];
+  }
+  return Object.assign(prisma, models);
+}
+
+/**
+ * In-memory table with the subset of the Prisma delegate API the services use:
+ * equality / in / not / gt(e) / lt(e) filters, OR, { increment } updates and take.
+ */
+export function createModel(rows = []) {
+  const table = rows.map(row => ({ ...row }));
+  let sequence = table.length;
+
+  const find = (where = {}) => table.filter(row => matches(row, where));
+  // Prisma hands out copies: a caller's row never changes under it
+  const copy = (row) => (row ? { ...row } : null);
+
+  return {
+    rows: table,
+
+    async findUnique({ where }) {
+      return copy(find(where)[0]);
+    },
+
+    async findFirst({ where } = {}) {
+      return copy(find(where)[0]);
+    },
+
+    async findMany({ where, take } = {}) {
+      const found = find(where).map(copy);
+      return take ? found.slice(0, take) : found;
+    },
+
+    async count({ where } = {}) {
+      return find(where).length;
+    },
+
+    async create({ data }) {
+      const now = new Date();
+      const row = { id: `row_${++sequence}`, createdAt: now, updatedAt: now, ...data };
+      table.push(row);
+      return { ...row };
+    },
+
+    async update({ where, data }) {
+      const row = find(where)[0];
+      if (!row) throw new Error('Record to update not found.');
+      applyUpdate(row, data);
+      return { ...row };
+    },
+
+    async updateMany({ where, data }) {
+      const found = find(where);
+      found.forEach(row => applyUpdate(row, data));
+      return { count: found.length };
+    },
+
+    async delete({ where }) {
+      const row = find(where)[0];
+      if (!row) throw new Error('Record to delete does not exist.');
+      table.splice(table.indexOf(row), 1);
+      return copy(row);
+    },
+
+    async deleteMany({ where } = {}) {
+      const found = find(where);
+      found.forEach(row => table.splice(table.indexOf(row), 1));
+      return { count: found.length };
+    }
+  };
+}
+
+function matches(row, where) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === 'OR') return condition.some(option => matches(row, option));
+    if (key === 'AND') return condition.every(option => matches(row, option));
+
+    const value = row[key];
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+      return equals(value, condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case 'in': return operand.some(option => equals(value, option));
+        case 'notIn': return !operand.some(option => equals(value, option));
+        case 'not': return !equals(value, operand);
+        case 'gt': return value > operand;
+        case 'gte': return value >= operand;
+        case 'lt': return value < operand;
+        case 'lte': return value <= operand;
+        default: return equals(value?.[operator], operand);
+      }
+    });
+  });
+}
+
+function equals(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+function applyUpdate(row, data) {
+  for (const [key, value] of Object.entries(data)) {
+    if (value && typeof value === 'object' && 'increment' in value) {
+      row[key] = (row[key] || 0) + value.increment;
+    } else if (value && typeof value === 'object' && 'decrement' in value) {
+      row[key] = (row[key] || 0) - value.decrement;
+    } else {
+      row[key] = value;
+    }
+  }
+  row.updatedAt = new Date();
+}
+
+export default prisma;
@@ -0,0 +1,177 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { WebSocketServer } from 'ws';
+import BinanceAPI from '../../lib/trading-apis/binance-api.js';
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+/**
+ * Route signed REST calls to handlers keyed by "METHOD /path" and record each request
+ */
+const stubFetch = (routes) => {
+  const requests = [];
+  mock.method(globalThis, 'fetch', async (url, init = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    const route = `${init.method || 'GET'} ${pathname.replace(/^\/api/, '')}`;
+    const params = Object.fromEntries(searchParams.entries());
+    requests.push({ route, params });
+
+    const handler = routes[route];
+    const body = handler ? handler(params) : { msg: `No route ${route}` };
+    return {
+      ok: Boolean(handler) && !body.code,
+      statusText: 'Bad Request',
+      json: async () => body
+    };
+  });
+  return requests;
+};
+
+const createApi = () => new BinanceAPI({ isDemo: false, apiKey: 'key', apiSecret: 'secret' });
+
+const openOrder = {
+  orderId: 111,
+  clientOrderId: 'agnes_1',
+  symbol: 'BTCUSDT',
+  side: 'BUY',
+  type: 'LIMIT',
+  status: 'PARTIALLY_FILLED',
+  price: '60000.00',
+  origQty: '1.00000000',
+  executedQty: '0.40000000',
+  timeInForce: 'GTC',
+  stopPrice: '0.00'
+};
+
+const cancelReplaceRoute = (params) => ({
+  cancelResult: 'SUCCESS',
+  newOrderResult: 'SUCCESS',
+  cancelResponse: { orderId: 111, status: 'CANCELED', executedQty: '0.40000000' },
+  newOrderResponse: {
+    orderId: 222,
+    clientOrderId: 'replacement',
+    symbol: 'BTCUSDT',
+    side: 'BUY',
+    type: 'LIMIT',
+    status: 'NEW',
+    price: params.price,
+    origQty: String(params.quantity),
+    executedQty: '0',
+    cummulativeQuoteQty: '0',
+    transactTime: 1700000000000
+  }
+});
+
+test('amending a partially filled order only re-places the unfilled remainder', async () => {
+  const requests = stubFetch({
+    'GET /v3/order': () => openOrder,
+    'POST /v3/order/cancelReplace': cancelReplaceRoute
+  });
+
+  const result = await createApi().amendOrder({ symbol: 'BTCUSDT', orderId: '111', quantity: 1.5, price: 59000 });
+
+  const replace = requests.find(request => request.route === 'POST /v3/order/cancelReplace');
+  assert.equal(replace.params.quantity, '1.1');
+  assert.equal(replace.params.price, '59000');
+  assert.equal(replace.params.cancelOrderId, '111');
+  assert.equal(result.orderId, '222');
+  assert.equal(result.replacedOrderId, '111');
+  assert.equal(result.replacedFilledQuantity, 0.4);
+});
+
+test('a price-only amend keeps the unfilled remainder', async () => {
+  const requests = stubFetch({
+    'GET /v3/order': () => openOrder,
+    'POST /v3/order/cancelReplace': cancelReplaceRoute
+  });
+
+  await createApi().amendOrder({ symbol: 'BTCUSDT', orderId: '111', price: 59500 });
+
+  const replace = requests.find(request => request.route === 'POST /v3/order/cancelReplace');
+  assert.equal(replace.params.quantity, '0.6');
+});
+
+test('amends at or below the filled quantity are rejected before cancelling', async () => {
+  const requests = stubFetch({
+    'GET /v3/order': () => openOrder,
+    'POST /v3/order/cancelReplace': cancelReplaceRoute
+  });
+
+  await assert.rejects(
+    createApi().amendOrder({ symbol: 'BTCUSDT', orderId: '111', quantity: 0.4 }),
+    /Quantity cannot be at or below the 0.4 already filled/
+  );
+  assert.equal(requests.some(request => request.route === 'POST /v3/order/cancelReplace'), false);
+});
+
+test('toOrder normalizes Binance payloads', () => {
+  const order = createApi().toOrder({
+    ...openOrder,
+    type: 'STOP_LOSS_LIMIT',
+    stopPrice: '59000.00',
+    cummulativeQuoteQty: '24000',
+    time: 1000
+  });
+
+  assert.equal(order.type, 'STOP_LIMIT');
+  assert.equal(order.status, 'PARTIALLY_FILLED');
+  assert.equal(order.quantity, 1);
+  assert.equal(order.filledQuantity, 0.4);
+  assert.equal(order.avgFillPrice, 60000);
+  assert.equal(order.stopPrice, 59000);
+});
+
+test('user-data channels subscribed back to back share one listenKey and socket', async () => {
+  let listenKeys = 0;
+  const requests = stubFetch({
+    'POST /v3/userDataStream': () => ({ listenKey: `key_${++listenKeys}` }),
+    'DELETE /v3/userDataStream': () => ({})
+  });
+
+  const server = new WebSocketServer({ port: 0 });
+  await once(server, 'listening');
+  const sockets = [];
+  server.on('connection', (socket, request) => sockets.push({ socket, path: request.url }));
+
+  // Fake keepalive intervals, so a leaked stream cannot keep the test process alive
+  mock.timers.enable({ apis: ['setInterval'] });
+  const api = createApi();
+  api.wsBaseUrl = `ws://127.0.0.1:${server.address().port}/stream`;
+  const orders = [];
+  const fills = [];
+
+  try {
+    const unsubscribeOrders = api.subscribe('order', {}, order => orders.push(order));
+    const unsubscribeFills = api.subscribe('execution', {}, fill => fills.push(fill));
+    await api.startUserDataStream();
+    while (sockets.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.equal(listenKeys, 1);
+    assert.deepEqual(sockets.map(socket => socket.path), ['/ws/key_1']);
+
+    sockets[0].socket.send(JSON.stringify({
+      e: 'executionReport', E: 2, s: 'BTCUSDT', c: 'agnes_1', S: 'BUY', o: 'LIMIT', f: 'GTC',
+      q: '1', p: '60000', P: '0', x: 'TRADE', X: 'PARTIALLY_FILLED', r: 'NONE', i: 111,
+      l: '0.4', z: '0.4', L: '60000', n: '0', N: 'USDT', T: 2, t: 9, m: true, Z: '24000', O: 1
+    }));
+    while (orders.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.equal(orders.length, 1);
+    assert.equal(fills.length, 1);
+    assert.equal(orders[0].filledQuantity, 0.4);
+
+    unsubscribeOrders();
+    unsubscribeFills();
+    assert.equal(api.userStream, null);
+    assert.ok(requests.some(request => request.route === 'DELETE /v3/userDataStream' && request.params.listenKey === 'key_1'));
+  } finally {
+    api.stopUserDataStream();
+    mock.timers.reset();
+    server.clients.forEach(client => client.terminate());
+    server.close();
+  }
+});
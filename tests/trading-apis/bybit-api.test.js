@@ -0,0 +1,157 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBybitMockServer } from '../../lib/trading-apis/bybit-mock-server.js';
+import BybitAPI from '../../lib/trading-apis/bybit-api.js';
+
+let mock;
+
+before(async () => {
+  mock = await createBybitMockServer();
+});
+
+after(async () => {
+  await mock.stop();
+});
+
+const createApi = (overrides = {}) => new BybitAPI({
+  isDemo: false,
+  apiKey: 'mock_api_key',
+  apiSecret: 'mock_api_secret',
+  apiUrl: mock.url,
+  wsUrl: mock.wsUrl,
+  ...overrides
+});
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+test('connects with signed requests and rejects a bad secret', async () => {
+  assert.equal(await createApi().connect(), true);
+  assert.equal(await createApi({ apiSecret: 'wrong' }).connect(), false);
+});
+
+test('reads the unified wallet as normalized balances', async () => {
+  const info = await createApi().getAccountInfo();
+  assert.ok(info.equity > 0);
+  assert.ok(info.balances.every(balance => typeof balance.free === 'number' && balance.asset));
+});
+
+test('places, amends and cancels orders', async () => {
+  const api = createApi();
+
+  const market = await api.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 0.001, clientOrderId: 'c1' });
+  assert.equal(market.status, 'FILLED');
+  assert.equal(market.clientOrderId, 'c1');
+  const createRequest = mock.requests.findLast(request => request.path === '/v5/order/create');
+  assert.equal(createRequest.params.marketUnit, 'baseCoin');
+  assert.equal(createRequest.params.side, 'Buy');
+
+  const limit = await api.placeOrder({ symbol: 'ETHUSDT', side: 'SELL', type: 'LIMIT', quantity: 0.5, price: 4000, category: 'linear' });
+  assert.equal(limit.status, 'SUBMITTED');
+  assert.equal(limit.price, 4000);
+  assert.ok((await api.getOpenOrders('ETHUSDT', { category: 'linear' })).some(order => order.orderId === limit.orderId));
+
+  const amended = await api.amendOrder({ symbol: 'ETHUSDT', orderId: limit.orderId, price: 3900, category: 'linear' });
+  assert.equal(amended.price, 3900);
+
+  const cancelled = await api.cancelOrder({ symbol: 'ETHUSDT', orderId: limit.orderId, category: 'linear' });
+  assert.equal(cancelled.status, 'CANCELLED');
+  await assert.rejects(api.cancelOrder({ symbol: 'ETHUSDT', orderId: 'missing', category: 'linear' }), /Order does not exist/);
+});
+
+test('conditional orders carry a trigger price and direction', async () => {
+  const api = createApi();
+  const stop = await api.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'STOP', quantity: 0.01, stopPrice: 60000, category: 'linear' });
+
+  assert.equal(stop.status, 'SUBMITTED');
+  const request = mock.requests.findLast(entry => entry.path === '/v5/order/create');
+  assert.equal(request.params.triggerPrice, '60000');
+  assert.equal(request.params.triggerDirection, 2);
+});
+
+test('reads market data without signing', async () => {
+  const api = createApi({ apiKey: undefined, apiSecret: undefined });
+  const ticker = await api.getTicker('BTCUSDT');
+  assert.equal(ticker.symbol, 'BTCUSDT');
+  assert.equal(ticker.price, 66545.2);
+
+  const candles = await api.getKlines('BTCUSDT', '1h');
+  assert.ok(candles.length > 0);
+  assert.ok(candles.every((candle, i) => i === 0 || candle.timestamp > candles[i - 1].timestamp));
+});
+
+test('private streams authenticate, then deliver orders and fills', async () => {
+  const api = createApi();
+  const events = [];
+
+  try {
+    api.subscribe('order', {}, order => events.push(['order', order.status]));
+    api.subscribe('execution', {}, fill => events.push(['fill', fill.quantity]));
+    await waitFor(() => api.isSocketReady('private'));
+    assert.ok(api.pingTimers.has('private'));
+
+    await api.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 0.002 });
+    await waitFor(() => events.some(([type]) => type === 'fill'));
+
+    assert.deepEqual(events.find(([type]) => type === 'order'), ['order', 'FILLED']);
+    assert.deepEqual(events.find(([type]) => type === 'fill'), ['fill', 0.002]);
+  } finally {
+    api.disconnect();
+  }
+});
+
+test('public streams replay tickers for the subscribed symbol', async () => {
+  const api = createApi();
+  const tickers = [];
+
+  try {
+    api.subscribe('ticker', { symbol: 'ETHUSDT' }, ticker => tickers.push(ticker));
+    await waitFor(() => tickers.length > 0);
+    assert.equal(tickers[0].type, 'ticker');
+    assert.equal(tickers[0].symbol, 'ETHUSDT');
+    assert.ok(api.pingTimers.has('spot'));
+  } finally {
+    api.disconnect();
+  }
+});
+
+test('a failed private stream auth closes the socket without starting the ping', async () => {
+  const sockets = [];
+  class FakeSocket {
+    constructor(url) {
+      this.url = url;
+      this.readyState = 1;
+      this.sent = [];
+      sockets.push(this);
+    }
+    send(data) {
+      this.sent.push(JSON.parse(data));
+    }
+    close() {
+      this.readyState = 3;
+    }
+  }
+
+  const api = createApi({ WebSocket: FakeSocket });
+
+  try {
+    api.subscribe('order', {}, () => {});
+    const [socket] = sockets;
+
+    await socket.onopen();
+    assert.equal(socket.sent[0].op, 'auth');
+    assert.equal(api.pingTimers.has('private'), false);
+
+    socket.onmessage({ data: JSON.stringify({ op: 'auth', success: false, ret_msg: 'Invalid signature' }) });
+    assert.equal(socket.readyState, 3);
+    assert.equal(api.pingTimers.has('private'), false);
+    assert.equal(api.isSocketReady('private'), false);
+  } finally {
+    api.disconnect();
+  }
+});
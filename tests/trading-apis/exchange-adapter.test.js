@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { WebSocketServer } from 'ws';
+import {
+  ExchangeAdapter,
+  resolveDemoFlag,
+  normalizeOrderStatus,
+  toOrderDTO,
+  toFillDTO,
+  toBalanceDTO,
+  toCandleDTO,
+  createWebSocket,
+  WS_OPEN
+} from '../../lib/trading-apis/exchange-adapter.js';
+import { AdapterRegistry, adapterRegistry } from '../../lib/trading-apis/adapter-registry.js';
+
+test('resolveDemoFlag stays in demo mode unless marked live', () => {
+  assert.equal(resolveDemoFlag({}), true);
+  assert.equal(resolveDemoFlag({ isDemo: false }), false);
+  assert.equal(resolveDemoFlag({ testnet: false }), false);
+  assert.equal(resolveDemoFlag({ demo: null }), true);
+});
+
+test('normalizeOrderStatus maps venue vocabularies onto OrderStatus', () => {
+  assert.equal(normalizeOrderStatus('NEW'), 'SUBMITTED');
+  assert.equal(normalizeOrderStatus('CANCELED'), 'CANCELLED');
+  assert.equal(normalizeOrderStatus('PartiallyFilled'), 'PARTIALLY_FILLED');
+  assert.equal(normalizeOrderStatus('Completed'), 'FILLED');
+  assert.equal(normalizeOrderStatus(undefined), 'SUBMITTED');
+  assert.equal(normalizeOrderStatus('SOMETHING_ELSE'), 'SUBMITTED');
+});
+
+test('DTO helpers coerce strings and fill defaults', () => {
+  const order = toOrderDTO({
+    orderId: 42,
+    symbol: 'BTCUSDT',
+    side: 'buy',
+    type: 'limit',
+    status: 'NEW',
+    quantity: '0.5',
+    price: '100.5',
+    filledQuantity: '',
+    createdAt: new Date(1000),
+    fills: [{ fillId: 1, orderId: 42, price: '100', quantity: '0.1', side: 'buy', timestamp: 2000 }]
+  });
+
+  assert.equal(order.orderId, '42');
+  assert.equal(order.side, 'BUY');
+  assert.equal(order.status, 'SUBMITTED');
+  assert.equal(order.quantity, 0.5);
+  assert.equal(order.price, 100.5);
+  assert.equal(order.filledQuantity, 0);
+  assert.equal(order.stopPrice, null);
+  assert.equal(order.createdAt, 1000);
+  assert.equal(order.updatedAt, 1000);
+  assert.deepEqual(order.fills[0], toFillDTO({ fillId: 1, orderId: 42, price: '100', quantity: '0.1', side: 'buy', timestamp: 2000 }));
+
+  assert.deepEqual(toBalanceDTO({ asset: 'USDT', free: '10', locked: '2.5' }), { asset: 'USDT', free: 10, locked: 2.5, total: 12.5 });
+  assert.equal(toCandleDTO({ timestamp: '5', open: '1', high: '2', low: '0.5', close: '1.5' }).closed, true);
+});
+
+test('unsupported methods throw a descriptive error', async () => {
+  class EmptyAdapter extends ExchangeAdapter {}
+  const adapter = new EmptyAdapter();
+
+  await assert.rejects(adapter.placeOrder({}), /EmptyAdapter does not support placeOrder/);
+  assert.throws(() => adapter.subscribe('ticker', {}, () => {}), /does not support subscribe/);
+});
+
+test('cancelAllOrders falls back to cancelling each open order', async () => {
+  class ListAdapter extends ExchangeAdapter {
+    async getOpenOrders() {
+      return [{ symbol: 'BTCUSDT', orderId: '1' }, { symbol: 'BTCUSDT', orderId: '2' }];
+    }
+    async cancelOrder({ orderId }) {
+      return { orderId, status: 'CANCELLED' };
+    }
+  }
+
+  const cancelled = await new ListAdapter().cancelAllOrders('BTCUSDT');
+  assert.deepEqual(cancelled.map(order => order.orderId), ['1', '2']);
+});
+
+test('createWebSocket opens a ws socket on the server', async () => {
+  const server = new WebSocketServer({ port: 0 });
+  await once(server, 'listening');
+
+  try {
+    const socket = createWebSocket(`ws://127.0.0.1:${server.address().port}`);
+    await once(socket, 'open');
+    assert.equal(socket.readyState, WS_OPEN);
+    socket.close();
+  } finally {
+    server.close();
+  }
+});
+
+test('createWebSocket prefers an explicit implementation', () => {
+  class FakeSocket {
+    constructor(url, options) {
+      this.url = url;
+      this.options = options;
+    }
+  }
+
+  const socket = createWebSocket('ws://example', { headers: {} }, FakeSocket);
+  assert.ok(socket instanceof FakeSocket);
+  assert.equal(socket.url, 'ws://example');
+});
+
+test('the adapter registry reports capabilities and builds adapters', () => {
+  assert.equal(adapterRegistry.supports('BINANCE', 'oco'), true);
+  assert.equal(adapterRegistry.supports('BYBIT', 'orderTypes', 'STOP_LIMIT'), true);
+  assert.equal(adapterRegistry.supports('TRADOVATE', 'streams'), false);
+  assert.equal(adapterRegistry.supports('UNKNOWN', 'oco'), false);
+
+  const registry = new AdapterRegistry();
+  registry.register('TEST', { create: (config) => ({ config }) });
+  assert.deepEqual(registry.create('TEST', { a: 1 }).config, { a: 1 });
+  assert.deepEqual(registry.getCapabilities('TEST').orderTypes, ['MARKET', 'LIMIT']);
+  assert.throws(() => registry.get('MISSING'), /No exchange adapter registered/);
+  assert.throws(() => registry.register('BAD', {}), /must provide a create/);
+});
@@ -0,0 +1,292 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModel, mockPrisma } from '../support/database.js';
+import { OrderReconciler } from '../../lib/trading-manager/order-reconciler.js';
+import { OcoManager } from '../../lib/trading-manager/oco-manager.js';
+
+/**
+ * Spot venue that reserves the base asset for every resting sell, like Bybit spot
+ */
+class SpotVenue {
+  constructor({ base = 1 } = {}) {
+    this.free = base;
+    this.open = new Map();
+    this.closed = new Map();
+    this.lists = new Map(); // orderId -> both orderIds of its native OCO list
+    this.placed = [];
+    this.amended = [];
+    this.sequence = 0;
+  }
+
+  async placeOrder(order) {
+    this.placed.push(order);
+    if (order.side === 'SELL' && order.quantity > this.free + 1e-9) {
+      throw new Error('Insufficient balance');
+    }
+
+    const orderId = String(++this.sequence);
+    if (order.type === 'MARKET') {
+      this.free -= order.quantity;
+      return { orderId, clientOrderId: order.clientOrderId, status: 'FILLED', quantity: order.quantity, filledQuantity: order.quantity, avgFillPrice: 58000, fills: [], updatedAt: 2000 };
+    }
+
+    this.free -= order.quantity;
+    const dto = { orderId, clientOrderId: order.clientOrderId, status: 'SUBMITTED', quantity: order.quantity, price: order.price, filledQuantity: 0, fills: [], updatedAt: 1000 };
+    this.open.set(orderId, dto);
+    return dto;
+  }
+
+  // Native list: both legs share one reservation and are cancelled together
+  async placeOcoOrder({ side, quantity, price, stopPrice, limitClientOrderId, stopClientOrderId }) {
+    this.placed.push({ type: 'OCO', side, quantity, price, stopPrice });
+    this.free -= quantity;
+
+    const legs = [limitClientOrderId, stopClientOrderId].map(clientOrderId => ({
+      orderId: String(++this.sequence), clientOrderId, status: 'SUBMITTED', quantity, filledQuantity: 0, fills: [], updatedAt: 1000
+    }));
+    const ids = legs.map(leg => leg.orderId);
+    legs.forEach(leg => {
+      this.open.set(leg.orderId, leg);
+      this.lists.set(leg.orderId, ids);
+    });
+    return legs.map(leg => ({ ...leg }));
+  }
+
+  async amendOrder({ orderId, quantity }) {
+    const order = this.open.get(orderId);
+    this.amended.push({ orderId, quantity });
+    this.free -= quantity - order.quantity;
+    order.quantity = quantity;
+    return { ...order, updatedAt: 2500 };
+  }
+
+  // Fill part of a resting order
+  fill(orderId, quantity) {
+    const order = this.open.get(orderId);
+    order.filledQuantity += quantity;
+    order.status = 'PARTIALLY_FILLED';
+  }
+
+  async cancelOrder({ orderId }) {
+    const order = this.open.get(orderId);
+    if (!order) throw new Error('Unknown order');
+
+    for (const id of this.lists.get(orderId) || [orderId]) {
+      this.closed.set(id, { ...this.open.get(id), status: 'CANCELLED', updatedAt: 1500 });
+      this.open.delete(id);
+    }
+    this.free += order.quantity - order.filledQuantity;
+    return this.closed.get(orderId);
+  }
+
+  async getOrder({ orderId }) {
+    return this.open.get(orderId) || this.closed.get(orderId) || null;
+  }
+}
+
+let orders;
+let venue;
+let price;
+let manager;
+let ocoManager;
+
+const withLegs = (model) => ({
+  ...model,
+  async findUnique(args) {
+    const row = await model.findUnique(args);
+    if (!row || !args.include?.childOrders) return row;
+    return { ...row, childOrders: model.rows.filter(leg => leg.parentOrderId === row.id).map(leg => ({ ...leg })) };
+  }
+});
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+const setup = (platform) => {
+  orders = createModel();
+  const accounts = createModel([{ id: 'acct_1', userId: 'user_1', platform, isDemo: false }]);
+  mockPrisma({ order: withLegs(orders), tradingAccount: accounts, orderFill: createModel() });
+
+  venue = new SpotVenue();
+  price = 60000;
+  let clientSequence = 0;
+
+  manager = {
+    connectAccount: async () => venue,
+    getCurrentPrice: async () => price,
+    updatePortfolioFromFill: async () => 0,
+    syncPaperBalance: async () => {},
+    recordImmediateFills: async () => {},
+    createOrderRecord: (userId, accountId, orderData, links = {}) => orders.create({
+      data: {
+        userId,
+        tradingAccountId: accountId,
+        ...orderData,
+        price: orderData.price ?? null,
+        stopPrice: orderData.stopPrice ?? null,
+        status: 'PENDING',
+        filledQuantity: 0,
+        externalOrderId: null,
+        clientOrderId: `agnes_${++clientSequence}`,
+        parentOrderId: links.parentOrderId ?? null,
+        legRole: links.legRole ?? null,
+        isNativeOco: links.isNativeOco ?? false
+      }
+    }),
+    async submitOrder(account, api, orderRecord, orderData) {
+      let result;
+      try {
+        result = await api.placeOrder({ ...orderData, clientOrderId: orderRecord.clientOrderId });
+      } catch (error) {
+        await orders.update({ where: { id: orderRecord.id }, data: { status: 'REJECTED' } });
+        throw error;
+      }
+      return this.reconciler.applyOrderUpdate(orderRecord, result);
+    }
+  };
+  manager.reconciler = new OrderReconciler(manager);
+  ocoManager = new OcoManager(manager);
+  manager.reconciler.on('order', ocoManager.onOrder);
+  manager.reconciler.on('fill', ocoManager.onFill);
+};
+
+const account = (platform) => ({ id: 'acct_1', platform, isDemo: false });
+const legOf = (role) => orders.rows.find(order => order.legRole === role);
+
+const placeSellOco = (platform) => ocoManager.placeOco('user_1', account(platform), venue, {
+  symbol: 'BTCUSDT', side: 'SELL', quantity: 1, price: 62000, stopPrice: 59000
+});
+
+const placeLongBracket = (platform) => ocoManager.placeBracket('user_1', account(platform), venue, {
+  symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: 1, price: 60000, stopLoss: 58000, takeProfit: 63000
+});
+
+let fillSequence = 0;
+const fillEntry = (entry, quantity) => manager.reconciler.recordFill(entry, {
+  fillId: `fill_${++fillSequence}`, orderId: entry.externalOrderId, quantity, price: 60000, timestamp: 2000 + fillSequence
+});
+
+beforeEach(() => setup('BYBIT'));
+
+afterEach(() => {
+  ocoManager.stop();
+});
+
+test('emulated spot OCO rests only the take-profit and holds the stop locally', async () => {
+  const parent = await placeSellOco('BYBIT');
+
+  assert.equal(venue.placed.length, 1);
+  assert.equal(venue.placed[0].type, 'LIMIT');
+  assert.equal(venue.free, 0);
+
+  const stopLeg = legOf('STOP_LOSS');
+  assert.equal(stopLeg.status, 'SUBMITTED');
+  assert.equal(stopLeg.externalOrderId, null);
+  assert.equal(parent.status, 'SUBMITTED');
+});
+
+test('a held stop waits while price is above its trigger', async () => {
+  await placeSellOco('BYBIT');
+  price = 59500;
+
+  await ocoManager.evaluateHeldStops();
+
+  assert.equal(venue.placed.length, 1);
+  assert.equal(legOf('STOP_LOSS').status, 'SUBMITTED');
+  assert.equal(legOf('TAKE_PROFIT').status, 'SUBMITTED');
+});
+
+test('a triggered held stop pulls the take-profit and sells at market', async () => {
+  await placeSellOco('BYBIT');
+  price = 58900;
+
+  await ocoManager.evaluateHeldStops();
+  await settle();
+
+  assert.equal(legOf('TAKE_PROFIT').status, 'CANCELLED');
+  assert.equal(legOf('STOP_LOSS').status, 'FILLED');
+  assert.deepEqual(venue.placed.map(order => order.type), ['LIMIT', 'MARKET']);
+  assert.equal(venue.placed[1].quantity, 1);
+  assert.equal(orders.rows.find(order => order.type === 'OCO').status, 'FILLED');
+});
+
+test('the held stop only sells what the take-profit left unfilled', async () => {
+  await placeSellOco('BYBIT');
+  venue.fill(legOf('TAKE_PROFIT').externalOrderId, 0.25);
+  price = 58000;
+
+  await ocoManager.evaluateHeldStops();
+  await settle();
+
+  assert.equal(venue.placed[1].quantity, 0.75);
+  assert.equal(legOf('STOP_LOSS').quantity, 0.75);
+  assert.equal(legOf('STOP_LOSS').status, 'FILLED');
+});
+
+test('a take-profit fill cancels the held stop without touching the exchange', async () => {
+  await placeSellOco('BYBIT');
+  const takeProfit = legOf('TAKE_PROFIT');
+
+  await manager.reconciler.applyOrderUpdate(takeProfit, {
+    orderId: takeProfit.externalOrderId, status: 'FILLED', filledQuantity: 1, avgFillPrice: 62000, updatedAt: 3000
+  });
+  await settle();
+
+  assert.equal(legOf('STOP_LOSS').status, 'CANCELLED');
+  assert.equal(venue.placed.length, 1);
+});
+
+test('futures venues keep both legs resting on the exchange', async () => {
+  setup('TRADOVATE');
+  venue.free = 10; // No base-asset reservation on futures; the fake just needs room
+
+  await placeSellOco('TRADOVATE');
+
+  assert.deepEqual(venue.placed.map(order => order.type).sort(), ['LIMIT', 'STOP']);
+  assert.notEqual(legOf('STOP_LOSS').externalOrderId, null);
+});
+
+test('a partially filled entry arms its exits for the filled quantity and grows them with later fills', async () => {
+  venue.free = 10;
+  const entry = await placeLongBracket('BYBIT');
+  assert.equal(legOf('TAKE_PROFIT').status, 'PENDING');
+
+  await fillEntry(entry, 0.4);
+  await settle();
+
+  assert.equal(legOf('ENTRY').status, 'SUBMITTED');
+  assert.deepEqual(venue.placed.map(order => [order.type, order.quantity]), [['LIMIT', 1], ['LIMIT', 0.4]]);
+  assert.equal(legOf('TAKE_PROFIT').quantity, 0.4);
+  assert.equal(legOf('STOP_LOSS').status, 'SUBMITTED');
+  assert.equal(legOf('STOP_LOSS').quantity, 0.4);
+
+  await fillEntry(entry, 0.3);
+  await settle();
+
+  assert.deepEqual(venue.amended, [{ orderId: legOf('TAKE_PROFIT').externalOrderId, quantity: 0.7 }]);
+  assert.equal(legOf('TAKE_PROFIT').quantity, 0.7);
+  assert.equal(legOf('STOP_LOSS').quantity, 0.7);
+  assert.equal(venue.placed.length, 2);
+});
+
+test('native OCO exits are replaced at the new size as the entry keeps filling', async () => {
+  setup('BINANCE');
+  venue.free = 10;
+  const entry = await placeLongBracket('BINANCE');
+
+  await fillEntry(entry, 0.4);
+  await settle();
+  await fillEntry(entry, 0.3);
+  await settle();
+
+  assert.deepEqual(venue.placed.map(order => [order.type, order.quantity]), [['LIMIT', 1], ['OCO', 0.4], ['OCO', 0.7]]);
+  assert.deepEqual(venue.amended, []);
+
+  const legs = orders.rows.filter(order => order.parentOrderId === entry.id);
+  assert.deepEqual(legs.map(leg => [leg.legRole, leg.status, leg.quantity]), [
+    ['STOP_LOSS', 'CANCELLED', 0.4],
+    ['TAKE_PROFIT', 'CANCELLED', 0.4],
+    ['STOP_LOSS', 'SUBMITTED', 0.7],
+    ['TAKE_PROFIT', 'SUBMITTED', 0.7]
+  ]);
+  assert.ok(legs.every(leg => leg.isNativeOco));
+});
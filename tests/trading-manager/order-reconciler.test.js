@@ -0,0 +1,164 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModel, mockPrisma } from '../support/database.js';
+import { OrderReconciler } from '../../lib/trading-manager/order-reconciler.js';
+
+const account = { id: 'acct_1', isDemo: false };
+let orders;
+let orderFills;
+let reconciler;
+
+const manager = {
+  updatePortfolioFromFill: async () => 0,
+  syncPaperBalance: async () => {},
+  connectAccount: async () => { throw new Error('offline'); }
+};
+
+beforeEach(() => {
+  orders = createModel([{
+    id: 'order_1',
+    tradingAccountId: account.id,
+    tradingAccount: account,
+    symbol: 'BTCUSDT',
+    side: 'BUY',
+    type: 'LIMIT',
+    status: 'PARTIALLY_FILLED',
+    quantity: 1,
+    price: 60000,
+    filledQuantity: 0.4,
+    avgFillPrice: 60000,
+    replacedFilledQuantity: 0,
+    externalOrderId: '111',
+    clientOrderId: 'agnes_1'
+  }]);
+  orderFills = createModel([
+    { id: 'fill_1', orderId: 'order_1', externalFillId: '1', quantity: 0.4, price: 60000 }
+  ]);
+  mockPrisma({ order: orders, orderFill: orderFills });
+  reconciler = new OrderReconciler(manager);
+});
+
+// Binance cancel/replace response: the new order carries only the unfilled remainder
+const replacement = {
+  orderId: '222',
+  clientOrderId: 'x-generated',
+  status: 'SUBMITTED',
+  quantity: 1.1,
+  price: 59000,
+  filledQuantity: 0,
+  avgFillPrice: null,
+  updatedAt: 1000,
+  replacedOrderId: '111',
+  replacedFilledQuantity: 0.4
+};
+
+test('a cancel/replace amend carries the retired order\'s fills onto the row', async () => {
+  const updated = await reconciler.applyOrderUpdate(orders.rows[0], replacement, { quantity: 1.5, price: 59000 });
+
+  assert.equal(updated.externalOrderId, '222');
+  assert.equal(updated.quantity, 1.5);
+  assert.equal(updated.filledQuantity, 0.4);
+  assert.equal(updated.replacedFilledQuantity, 0.4);
+  assert.equal(updated.status, 'PARTIALLY_FILLED');
+});
+
+test('fills on the replacement add to the carried quantity and average price', async () => {
+  await reconciler.applyOrderUpdate(orders.rows[0], replacement, { quantity: 1.5, price: 59000 });
+  await orderFills.create({ data: { orderId: 'order_1', externalFillId: '2', quantity: 0.4, price: 59000 } });
+
+  const updated = await reconciler.handleOrderUpdate(account.id, {
+    ...replacement,
+    replacedOrderId: undefined,
+    replacedFilledQuantity: undefined,
+    status: 'PARTIALLY_FILLED',
+    filledQuantity: 0.4,
+    avgFillPrice: 59000
+  });
+
+  assert.equal(updated.filledQuantity, 0.8);
+  assert.equal(updated.quantity, 1.5);
+  assert.equal(updated.avgFillPrice, 59500);
+});
+
+test('late updates for the retired exchange order are ignored', async () => {
+  await reconciler.applyOrderUpdate(orders.rows[0], replacement, { quantity: 1.5 });
+
+  // Binance reports the replaced order's cancel under the row's original clientOrderId
+  const updated = await reconciler.handleOrderUpdate(account.id, {
+    orderId: '111',
+    clientOrderId: 'agnes_1',
+    status: 'CANCELLED',
+    quantity: 1,
+    filledQuantity: 0.4,
+    updatedAt: 2000
+  });
+
+  assert.equal(updated.status, 'PARTIALLY_FILLED');
+  assert.equal(orders.rows[0].status, 'PARTIALLY_FILLED');
+  assert.equal(orders.rows[0].cancelledAt, undefined);
+});
+
+test('stream updates wait while an amend is in flight', async () => {
+  reconciler.amending.add('order_1');
+
+  const result = await reconciler.handleOrderUpdate(account.id, {
+    orderId: '111',
+    clientOrderId: 'agnes_1',
+    status: 'CANCELLED',
+    filledQuantity: 0.4,
+    updatedAt: 2000
+  });
+
+  assert.equal(result, null);
+  assert.equal(orders.rows[0].status, 'PARTIALLY_FILLED');
+});
+
+test('a stale snapshot never lowers the filled quantity of the same order', async () => {
+  const updated = await reconciler.applyOrderUpdate(orders.rows[0], {
+    orderId: '111',
+    status: 'SUBMITTED',
+    filledQuantity: 0.1,
+    updatedAt: 500
+  });
+
+  assert.equal(updated.filledQuantity, 0.4);
+  assert.equal(updated.status, 'PARTIALLY_FILLED');
+});
+
+test('terminal updates close the row', async () => {
+  const updated = await reconciler.handleOrderUpdate(account.id, {
+    orderId: '111',
+    status: 'FILLED',
+    filledQuantity: 1,
+    avgFillPrice: 59800,
+    updatedAt: 3000
+  });
+
+  assert.equal(updated.status, 'FILLED');
+  assert.equal(updated.filledQuantity, 1);
+  assert.equal(updated.avgFillPrice, 59800);
+  assert.deepEqual(updated.filledAt, new Date(3000));
+});
+
+test('the sweep expires demo orders the paper exchange no longer has', async () => {
+  const demo = { id: 'acct_demo', isDemo: true };
+  await orders.create({
+    data: {
+      ...orders.rows[0],
+      id: 'order_2',
+      tradingAccountId: demo.id,
+      tradingAccount: demo,
+      status: 'SUBMITTED',
+      filledQuantity: 0,
+      externalOrderId: 'paper_1'
+    }
+  });
+  const sweeper = new OrderReconciler({ ...manager, connectAccount: async () => ({ getOrder: async () => null }) });
+
+  await sweeper.sweepAccount(account.id, [orders.rows[0]]);
+  await sweeper.sweepAccount(demo.id, [orders.rows[1]]);
+
+  // A live venue missing an order may just be lagging; the paper exchange is the whole truth
+  assert.equal(orders.rows[0].status, 'PARTIALLY_FILLED');
+  assert.equal(orders.rows[1].status, 'EXPIRED');
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeOrder, getOrderErrorStatus } from '../../lib/trading-manager/order-responses.js';
+import { RiskCheckError } from '../../lib/risk/pre-trade-risk.js';
+
+test('returned orders never carry the account credentials', () => {
+  const order = {
+    id: 'ord_1',
+    tradingAccount: { id: 'acct_1', nickname: 'Main', apiKey: 'enc-key', apiSecret: 'enc-secret' }
+  };
+
+  assert.deepEqual(sanitizeOrder(order), { id: 'ord_1', tradingAccount: { id: 'acct_1', nickname: 'Main' } });
+  assert.deepEqual(sanitizeOrder({ id: 'ord_2' }), { id: 'ord_2' });
+});
+
+test('manager errors map to the same statuses on every order route', () => {
+  const status = (message) => getOrderErrorStatus(new Error(message));
+
+  assert.equal(getOrderErrorStatus(new RiskCheckError([{ code: 'MAX_ORDER_NOTIONAL', message: 'Too big' }])), 422);
+  assert.equal(status('Kill switch engaged since 2026-01-01T00:00:00.000Z; re-arm it to place orders'), 423);
+  assert.equal(status('Order not found'), 404);
+  assert.equal(status('Unauthorized account access'), 403);
+  assert.equal(status('Quantity cannot be at or below the already filled amount'), 400);
+  assert.equal(status('Invalid order side'), 400);
+  assert.equal(status('Bybit does not support amending stop orders'), 422);
+  assert.equal(status('socket hang up'), 500);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFill } from '../../lib/trading-manager/positions.js';
+
+const long = { side: 'BUY', quantity: '2', avgPrice: '100' };
+const short = { side: 'SELL', quantity: '2', avgPrice: '100' };
+
+test('a fill with no position opens one on its side', () => {
+  assert.deepEqual(applyFill(null, { side: 'SELL', quantity: 1, price: 90 }),
+    { side: 'SELL', quantity: 1, avgPrice: 90, realizedPnL: 0 });
+});
+
+test('a fill on the position side adds at a blended price', () => {
+  assert.deepEqual(applyFill(short, { side: 'SELL', quantity: 2, price: 110 }),
+    { side: 'SELL', quantity: 4, avgPrice: 105, realizedPnL: 0 });
+});
+
+test('a BUY against a short covers it instead of adding to it', () => {
+  assert.deepEqual(applyFill(short, { side: 'BUY', quantity: 1, price: 90 }),
+    { side: 'SELL', quantity: 1, avgPrice: 100, realizedPnL: 10 });
+});
+
+test('a fill larger than the position closes it and flips the rest', () => {
+  assert.deepEqual(applyFill(short, { side: 'BUY', quantity: 5, price: 110 }),
+    { side: 'BUY', quantity: 3, avgPrice: 110, realizedPnL: -20 });
+  assert.deepEqual(applyFill(long, { side: 'SELL', quantity: 3, price: 120 }),
+    { side: 'SELL', quantity: 1, avgPrice: 120, realizedPnL: 40 });
+});
+
+test('an exact close leaves a flat position that reopens on the next fill side', () => {
+  const flat = applyFill(long, { side: 'SELL', quantity: 2, price: 95 });
+  assert.deepEqual(flat, { side: 'BUY', quantity: 0, avgPrice: 100, realizedPnL: -10 });
+
+  assert.deepEqual(applyFill(flat, { side: 'SELL', quantity: 1, price: 97 }),
+    { side: 'SELL', quantity: 1, avgPrice: 97, realizedPnL: 0 });
+});
@@ -0,0 +1,122 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModel, mockPrisma } from '../support/database.js';
+import { StopManager } from '../../lib/trading-manager/stop-manager.js';
+
+let positions;
+let rules;
+let orders;
+let price;
+let placed;
+let amends;
+let cancels;
+let stopManager;
+
+beforeEach(() => {
+  positions = createModel([{
+    id: 'pos_1',
+    tradingAccountId: 'acct_1',
+    portfolio: { userId: 'user_1' },
+    symbol: 'BTCUSDT',
+    side: 'BUY',
+    quantity: 1,
+    avgPrice: 60000,
+    closedAt: null
+  }]);
+  rules = createModel();
+  orders = createModel();
+  mockPrisma({ position: positions, stopRule: rules, order: orders });
+
+  price = 61000;
+  placed = [];
+  amends = [];
+  cancels = [];
+
+  const manager = {
+    reconciler: { on() {}, off() {} },
+    getCurrentPrice: async () => price,
+    async placeOrder(userId, accountId, orderData) {
+      placed.push(orderData);
+      return orders.create({ data: { ...orderData, userId, tradingAccountId: accountId, status: 'SUBMITTED', externalOrderId: 'ex_1' } });
+    },
+    async amendOrder(userId, orderId, changes) {
+      amends.push(changes);
+      return orders.update({ where: { id: orderId }, data: changes });
+    },
+    async cancelOrder(userId, orderId) {
+      cancels.push(orderId);
+      return orders.update({ where: { id: orderId }, data: { status: 'CANCELLED' } });
+    }
+  };
+  stopManager = new StopManager(manager);
+});
+
+const createFixedTrail = () => stopManager.createRule('user_1', 'pos_1', {
+  trailType: 'FIXED',
+  trailDistance: 1000
+});
+
+test('new stops cover the full position and are reduce-only', async () => {
+  const rule = await createFixedTrail();
+
+  assert.equal(placed.length, 1);
+  assert.equal(placed[0].type, 'STOP');
+  assert.equal(placed[0].side, 'SELL');
+  assert.equal(placed[0].quantity, 1);
+  assert.equal(placed[0].reduceOnly, true);
+  assert.equal(rule.currentStop, 60000);
+});
+
+test('the stop trails price and never loosens', async () => {
+  const rule = await createFixedTrail();
+
+  price = 62500;
+  await stopManager.evaluateRule(rules.rows[0]);
+  assert.deepEqual(amends, [{ stopPrice: 61500 }]);
+
+  price = 61800;
+  await stopManager.evaluateRule(rules.rows[0]);
+  assert.equal(amends.length, 1);
+  assert.equal(rules.rows[0].currentStop, 61500);
+  assert.equal(rule.orderId, rules.rows[0].orderId);
+});
+
+test('a partial close shrinks the stop to the remaining position', async () => {
+  await createFixedTrail();
+  positions.rows[0].quantity = 0.4;
+
+  await stopManager.evaluateRule(rules.rows[0]);
+
+  assert.deepEqual(amends, [{ quantity: 0.4 }]);
+  assert.equal(orders.rows[0].quantity, 0.4);
+});
+
+test('adding to the position grows the stop', async () => {
+  await createFixedTrail();
+  positions.rows[0].quantity = 1.5;
+
+  await stopManager.evaluateRule(rules.rows[0]);
+
+  assert.deepEqual(amends, [{ quantity: 1.5 }]);
+});
+
+test('a stop held server-side is resized in place', async () => {
+  await createFixedTrail();
+  orders.rows[0].externalOrderId = null;
+  positions.rows[0].quantity = 0.7;
+
+  await stopManager.evaluateRule(rules.rows[0]);
+
+  assert.equal(amends.length, 0);
+  assert.equal(orders.rows[0].quantity, 0.7);
+});
+
+test('a closed position retires the rule and cancels its stop', async () => {
+  await createFixedTrail();
+  positions.rows[0].closedAt = new Date();
+
+  await stopManager.evaluateRule(rules.rows[0]);
+
+  assert.equal(rules.rows[0].isActive, false);
+  assert.deepEqual(cancels, [orders.rows[0].id]);
+});